@@ -2,6 +2,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Organization = require('../models/Organization');
+const DataLogger = require('../models/DataLogger');
 
 // Middleware de autenticación principal
 const auth = async (req, res, next) => {
@@ -149,6 +150,50 @@ const addTenantContext = (req, res, next) => {
   next();
 };
 
+// Middleware de autenticación de registradores de datos (sondas) con su token de dispositivo.
+// Fija req.dataLogger y req.tenantId; no hay usuario asociado a la petición.
+const deviceAuth = async (req, res, next) => {
+  try {
+    const token = req.header('x-device-token') || req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'No hay token de dispositivo, autorización denegada' 
+      });
+    }
+
+    const dataLogger = await DataLogger.findOne({ tokenHash: DataLogger.hashToken(token) });
+
+    if (!dataLogger || !dataLogger.isActive) {
+      return res.status(401).json({ 
+        success: false,
+        message: 'Token de dispositivo inválido o sonda desactivada' 
+      });
+    }
+
+    const organization = await Organization.findById(dataLogger.organizationId).select('isActive subscription');
+
+    if (!organization || !organization.isActive || organization.subscription.status !== 'active') {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Organización no encontrada, inactiva o suspendida' 
+      });
+    }
+
+    req.dataLogger = dataLogger;
+    req.tenantId = dataLogger.organizationId;
+
+    next();
+  } catch (err) {
+    console.error('Error en autenticación de dispositivo:', err);
+    res.status(500).json({ 
+      success: false,
+      message: 'Error del servidor en autenticación' 
+    });
+  }
+};
+
 // Función para generar JWT con contexto de organización
 const generateToken = (user) => {
   const payload = {
@@ -182,6 +227,7 @@ module.exports = {
   requireRole,
   requireOrgAdmin,
   addTenantContext,
+  deviceAuth,
   generateToken,
   generateRefreshToken
 };
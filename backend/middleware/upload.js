@@ -0,0 +1,70 @@
+const path = require('path');
+const multer = require('multer');
+
+// Archivos admitidos para la importación de registros
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx', '.json'];
+// Exportaciones de los registradores de datos USB
+const LOGGER_EXTENSIONS = ['.csv', '.txt'];
+// Documentos adjuntos (fichas de seguridad y técnicas); el tipo MIME se toma de la extensión
+const DOCUMENT_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+const DOCUMENT_EXTENSIONS = Object.keys(DOCUMENT_MIME_TYPES);
+const MAX_IMPORT_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// Middleware que recibe el archivo del campo "file" y responde 400 si no es válido
+const singleFileUpload = (extensions, formatMessage) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      if (!extensions.includes(extension)) {
+        return cb(new Error(formatMessage));
+      }
+      cb(null, true);
+    }
+  });
+
+  return (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+      if (error) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? 'El archivo supera el tamaño máximo de 10 MB'
+          : error.message;
+
+        return res.status(400).json({
+          success: false,
+          message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Debe adjuntar un archivo'
+        });
+      }
+
+      next();
+    });
+  };
+};
+
+const uploadImportFile = singleFileUpload(IMPORT_EXTENSIONS, 'Formato de archivo no admitido. Use CSV, XLSX o JSON');
+const uploadLoggerFile = singleFileUpload(LOGGER_EXTENSIONS, 'Formato de archivo no admitido. Use la exportación CSV del registrador');
+const uploadDocumentFile = singleFileUpload(DOCUMENT_EXTENSIONS, 'Formato de archivo no admitido. Use PDF, JPG o PNG');
+
+module.exports = {
+  IMPORT_EXTENSIONS,
+  LOGGER_EXTENSIONS,
+  DOCUMENT_EXTENSIONS,
+  DOCUMENT_MIME_TYPES,
+  MAX_IMPORT_FILE_SIZE,
+  uploadImportFile,
+  uploadLoggerFile,
+  uploadDocumentFile
+};
@@ -1,4 +1,17 @@
 const { body, param, query, validationResult } = require('express-validator');
+const ConfigCatalog = require('../models/ConfigCatalog');
+const { CATALOG_KEYS } = ConfigCatalog;
+const { SOURCE_TYPES } = require('../models/OutgoingRecord');
+const { EXCURSION_STATUSES } = require('../models/TemperatureExcursion');
+const { MISSED_CHECK_STATUSES } = require('../models/MissedCheck');
+const { SCHEDULE_TIME_PATTERN } = require('../models/StorageUnit');
+const { SURFACE_FREQUENCY_TYPES, AREA_FREQUENCY_TYPES } = require('../utils/cleaningPlan');
+const { CHEMICAL_USES, CHEMICAL_DOCUMENT_KINDS } = require('../models/ChemicalProduct');
+const { PEST_STATION_TYPES, PEST_ACTIVITY_LEVELS } = require('../models/PestStation');
+const { WATER_ANALYSIS_TYPES, WATER_ANALYSIS_RESULTS } = require('../models/WaterAnalysis');
+const { FRYING_OIL_EVENT_TYPES } = require('../models/FryingOilEvent');
+const { TRAINING_PLAN_STATUSES } = require('../models/TrainingPlan');
+const { MAX_LOT_OPTIONS } = require('../utils/lotGenealogy');
 
 // Middleware para manejar errores de validación
 const handleValidationErrors = (req, res, next) => {
@@ -21,6 +34,20 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Responder con los errores de un ValidationError de Mongoose en el mismo formato
+const sendMongooseValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.message
+  }));
+  
+  return res.status(400).json({
+    success: false,
+    message: 'Errores de validación',
+    errors
+  });
+};
+
 // Validaciones para registro de usuario
 const validateUserRegistration = [
   body('name')
@@ -197,48 +224,1271 @@ const validatePagination = [
   handleValidationErrors
 ];
 
-// Sanitización de entrada para prevenir XSS
-const sanitizeInput = (req, res, next) => {
-  const sanitizeValue = (value) => {
-    if (typeof value === 'string') {
-      // Remover scripts y tags HTML peligrosos
-      return value
-        .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-        .replace(/<[^>]*>/g, '')
-        .trim();
+// El valor debe pertenecer al catálogo configurable de la organización (api/config)
+const catalogValueRule = (field, catalog, message) => body(field)
+  .optional({ nullable: true, checkFalsy: true })
+  .trim()
+  .isLength({ max: 100 })
+  .withMessage(message)
+  .bail()
+  .custom(async (value, { req }) => {
+    if (!(await ConfigCatalog.hasItem(req.tenantId, catalog, value))) {
+      throw new Error(message);
     }
-    return value;
-  };
+    return true;
+  });
 
-  const sanitizeObject = (obj) => {
-    for (let key in obj) {
-      if (obj.hasOwnProperty(key)) {
-        if (typeof obj[key] === 'object' && obj[key] !== null) {
-          sanitizeObject(obj[key]);
-        } else {
-          obj[key] = sanitizeValue(obj[key]);
-        }
-      }
-    }
-  };
+// Validaciones para cámaras de almacenamiento
+const validateStorageUnit = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre de la cámara debe tener entre 1 y 100 caracteres'),
+    
+  catalogValueRule('type', 'storage-types', 'Tipo de cámara no incluido en el catálogo de la organización'),
+    
+  body('minTemp')
+    .optional({ nullable: true })
+    .isFloat({ min: -50, max: 100 })
+    .withMessage('La temperatura mínima debe ser un número válido'),
+    
+  body('maxTemp')
+    .optional({ nullable: true })
+    .isFloat({ min: -50, max: 100 })
+    .withMessage('La temperatura máxima debe ser un número válido'),
+    
+  // Programación de controles (null o sin horas la elimina)
+  body('monitoringSchedule.times')
+    .optional({ nullable: true })
+    .isArray({ max: 24 })
+    .withMessage('Las horas de control deben ser una lista de hasta 24 horas'),
+    
+  body('monitoringSchedule.times.*')
+    .matches(SCHEDULE_TIME_PATTERN)
+    .withMessage('Las horas de control deben tener el formato HH:mm'),
+    
+  body('monitoringSchedule.graceMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 5, max: 720 })
+    .withMessage('La tolerancia debe estar entre 5 y 720 minutos'),
+    
+  body('monitoringSchedule.timezone')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('La zona horaria debe ser un texto'),
+    
+  handleValidationErrors
+];
 
-  if (req.body) sanitizeObject(req.body);
-  if (req.query) sanitizeObject(req.query);
-  if (req.params) sanitizeObject(req.params);
+// Validaciones para registros de almacenamiento (en actualizaciones todos los campos son opcionales)
+const storageRecordRules = (optional) => [
+  (optional ? body('unitId').optional() : body('unitId'))
+    .isMongoId()
+    .withMessage('Debe indicar una cámara válida'),
+    
+  (optional ? body('dateTime').optional() : body('dateTime'))
+    .isISO8601()
+    .withMessage('La fecha y hora deben tener un formato válido'),
+    
+  (optional ? body('temperature').optional() : body('temperature'))
+    .isFloat({ min: -50, max: 100 })
+    .withMessage('La temperatura debe ser un número entre -50 y 100'),
+    
+  body('humidity')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('La humedad debe ser un número entre 0 y 100'),
+    
+  body('rotationCheck')
+    .optional()
+    .isBoolean()
+    .withMessage('rotationCheck debe ser un valor booleano'),
+    
+  body('mincingCheck')
+    .optional()
+    .isBoolean()
+    .withMessage('mincingCheck debe ser un valor booleano'),
+    
+  handleValidationErrors
+];
 
-  next();
-};
+const validateStorageRecord = storageRecordRules(false);
+const validateStorageRecordUpdate = storageRecordRules(true);
 
-module.exports = {
-  validateUserRegistration,
-  validateLogin,
-  validatePasswordReset,
-  validatePasswordResetConfirm,
-  validateOrganizationUpdate,
-  validateUserInvitation,
-  validateUserUpdate,
-  validateObjectId,
-  validatePagination,
-  sanitizeInput,
+// Validaciones para registros de recepción (en actualizaciones todos los campos son opcionales)
+const deliveryRecordRules = (optional) => [
+  (optional ? body('supplierId').optional() : body('supplierId'))
+    .trim()
+    .notEmpty()
+    .withMessage('Debe indicar un proveedor'),
+    
+  (optional ? body('productTypeId').optional() : body('productTypeId'))
+    .trim()
+    .notEmpty()
+    .withMessage('Debe indicar un tipo de producto'),
+    
+  (optional ? body('temperature').optional() : body('temperature'))
+    .isFloat({ min: -50, max: 100 })
+    .withMessage('La temperatura debe ser un número entre -50 y 100'),
+    
+  (optional ? body('receptionDate').optional() : body('receptionDate'))
+    .isISO8601()
+    .withMessage('La fecha de recepción debe tener un formato válido'),
+    
+  body('docsOk')
+    .optional()
+    .isBoolean()
+    .withMessage('docsOk debe ser un valor booleano'),
+    
+  catalogValueRule('transportCondition', 'transport-conditions', 'Condición de transporte no incluida en el catálogo de la organización'),
+    
+  body('lot')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('El lote no puede exceder 100 caracteres'),
+    
+  body('expiryDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('La fecha de caducidad debe tener un formato válido'),
+    
+  handleValidationErrors
+];
+
+const validateDeliveryRecord = deliveryRecordRules(false);
+const validateDeliveryRecordUpdate = deliveryRecordRules(true);
+
+// Validaciones para superficies de limpieza diaria
+// Campos del plan de limpieza y desinfección comunes a superficies y zonas
+const cleaningPlanRules = (frequencyTypes) => [
+  body('method')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('El método no puede exceder 500 caracteres'),
+    
+  body(['product', 'dilution', 'responsibleRole'])
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('El producto, la dilución y el responsable no pueden exceder 100 caracteres'),
+    
+  body('contactTimeMinutes')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('El tiempo de contacto debe estar entre 0 y 1440 minutos'),
+    
+  body('frequencyType')
+    .optional()
+    .isIn(frequencyTypes)
+    .withMessage(`La frecuencia debe ser ${frequencyTypes.join(', ')}`),
+    
+  body('weekdays')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Los días de la semana deben ser una lista'),
+    
+  body('weekdays.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Los días de la semana deben ser números entre 0 (domingo) y 6 (sábado)')
+];
+
+const validateDailySurface = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre de la superficie debe tener entre 1 y 100 caracteres'),
+    
+  ...cleaningPlanRules(SURFACE_FREQUENCY_TYPES),
+    
+  handleValidationErrors
+];
+
+// Validaciones para proveedores
+const validateSupplier = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('El nombre del proveedor debe tener entre 1 y 200 caracteres'),
+    
+  handleValidationErrors
+];
+
+// Tolerancia de recepción en grados respecto a la temperatura óptima (vacía = sin límite)
+const toleranceRule = (field) => body(field)
+  .optional({ nullable: true, checkFalsy: true })
+  .isFloat({ min: 0, max: 100 })
+  .withMessage('Las tolerancias deben ser un número de grados entre 0 y 100');
+
+const rejectLimitRule = (field, toleranceField) => toleranceRule(field)
+  .bail()
+  .custom((value, { req }) => {
+    const tolerance = req.body[toleranceField];
+    return tolerance === undefined || tolerance === null || tolerance === '' || parseFloat(value) >= parseFloat(tolerance);
+  })
+  .withMessage('El límite de rechazo no puede ser menor que la tolerancia');
+
+// Validaciones para tipos de producto
+const validateProductType = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre del tipo de producto debe tener entre 1 y 100 caracteres'),
+    
+  body('optimalTemp')
+    .isFloat({ min: -50, max: 100 })
+    .withMessage('La temperatura óptima debe ser un número entre -50 y 100'),
+    
+  catalogValueRule('category', 'categories', 'Categoría no incluida en el catálogo de la organización'),
+    
+  toleranceRule('toleranceAbove'),
+  rejectLimitRule('rejectAbove', 'toleranceAbove'),
+  toleranceRule('toleranceBelow'),
+  rejectLimitRule('rejectBelow', 'toleranceBelow'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para zonas de limpieza frecuente
+const validateFrequentArea = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre de la zona debe tener entre 1 y 100 caracteres'),
+    
+  // Solo se usa con la frecuencia 'Cada X días' (la requiere el modelo)
+  body('frequencyDays')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('La frecuencia debe ser un número entero de días entre 1 y 365'),
+    
+  ...cleaningPlanRules(AREA_FREQUENCY_TYPES),
+    
+  handleValidationErrors
+];
+
+// Validaciones para registros de limpieza (superficie o zona)
+const validateCleaningRecord = [
+  body('surfaceId')
+    .optional()
+    .isMongoId()
+    .withMessage('Debe indicar una superficie válida'),
+    
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Debe indicar un usuario válido'),
+    
+  body('productId')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Debe indicar un producto químico válido'),
+    
+  body('dateTime')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha y hora deben tener un formato válido'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para el registro de productos químicos de limpieza
+const validateChemicalProduct = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre del producto debe tener entre 1 y 100 caracteres'),
+    
+  body(['manufacturer', 'dilution'])
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('El fabricante y la dilución no pueden exceder 100 caracteres'),
+    
+  body('use')
+    .isIn(CHEMICAL_USES)
+    .withMessage(`El uso debe ser ${CHEMICAL_USES.join(', ')}`),
+    
+  body('foodContactAuthorized')
+    .optional()
+    .isBoolean()
+    .withMessage('La autorización para contacto con alimentos debe ser verdadero o falso'),
+    
+  handleValidationErrors
+];
+
+// Tipo de documento adjunto de un producto químico
+const validateChemicalDocumentKind = [
+  param('kind')
+    .isIn(CHEMICAL_DOCUMENT_KINDS)
+    .withMessage(`El documento debe ser ${CHEMICAL_DOCUMENT_KINDS.join(', ')}`),
+    
+  handleValidationErrors
+];
+
+// Validaciones para estaciones de cebo o trampas del control de plagas
+const validatePestStation = [
+  body('number')
+    .isInt({ min: 1 })
+    .withMessage('El número de la estación en el plano debe ser un entero mayor que 0')
+    .toInt(),
+    
+  body('location')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('La ubicación debe tener entre 1 y 100 caracteres'),
+    
+  body('type')
+    .isIn(PEST_STATION_TYPES)
+    .withMessage(`El tipo debe ser ${PEST_STATION_TYPES.join(', ')}`),
+    
+  body('incidentThreshold')
+    .optional()
+    .isIn(PEST_ACTIVITY_LEVELS.slice(1))
+    .withMessage(`El umbral de incidencia debe ser ${PEST_ACTIVITY_LEVELS.slice(1).join(', ')}`),
+    
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('El estado activo debe ser verdadero o falso'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para visitas de la empresa de control de plagas
+const validatePestControlVisit = [
+  body('visitDate')
+    .isISO8601()
+    .withMessage('La fecha de la visita debe tener un formato válido'),
+    
+  body('company')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('La empresa debe tener entre 1 y 100 caracteres'),
+    
+  body('technician')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('El técnico no puede exceder 100 caracteres'),
+    
+  body('technicianCertificate')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('El número de carné del técnico debe tener entre 1 y 50 caracteres'),
+    
+  body('findings')
+    .optional()
+    .isArray()
+    .withMessage('Los hallazgos deben ser una lista')
+    .custom(findings => new Set(findings.map(finding => String(finding && finding.stationId))).size === findings.length)
+    .withMessage('Cada estación solo puede aparecer una vez en la visita'),
+    
+  body('findings.*.stationId')
+    .isMongoId()
+    .withMessage('La estación del hallazgo no es válida'),
+    
+  body('findings.*.activity')
+    .isIn(PEST_ACTIVITY_LEVELS)
+    .withMessage(`La actividad debe ser ${PEST_ACTIVITY_LEVELS.join(', ')}`),
+    
+  body('findings.*.notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las observaciones del hallazgo no pueden exceder 500 caracteres'),
+    
+  body('productsApplied')
+    .optional()
+    .isArray()
+    .withMessage('Los productos aplicados deben ser una lista'),
+    
+  body('productsApplied.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre del producto aplicado debe tener entre 1 y 100 caracteres'),
+    
+  body(['productsApplied.*.registrationNumber', 'productsApplied.*.quantity'])
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('El número de registro y la cantidad no pueden exceder 50 caracteres'),
+    
+  body('observations')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Las observaciones no pueden exceder 1000 caracteres'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para puntos de muestreo del agua (rangos aceptables de cloro libre y pH)
+const validateWaterSamplingPoint = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre del punto de muestreo debe tener entre 1 y 100 caracteres'),
+    
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La ubicación no puede exceder 100 caracteres'),
+    
+  body(['chlorineMin', 'chlorineMax'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Los límites de cloro libre deben ser un número entre 0 y 10 mg/L'),
+    
+  body(['phMin', 'phMax'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 14 })
+    .withMessage('Los límites de pH deben ser un número entre 0 y 14'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para lecturas diarias de cloro libre residual y pH
+const validateWaterRecord = [
+  body('pointId')
+    .isMongoId()
+    .withMessage('Debe indicar un punto de muestreo válido'),
+    
+  body('dateTime')
+    .isISO8601()
+    .withMessage('La fecha y hora deben tener un formato válido'),
+    
+  body('freeChlorine')
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('El cloro libre debe ser un número entre 0 y 10 mg/L'),
+    
+  body('ph')
+    .isFloat({ min: 0, max: 14 })
+    .withMessage('El pH debe ser un número entre 0 y 14'),
+    
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las observaciones no pueden exceder 500 caracteres'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para análisis de laboratorio del agua
+const validateWaterAnalysis = [
+  body('pointId')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('El punto de muestreo no es válido'),
+    
+  body('sampleDate')
+    .isISO8601()
+    .withMessage('La fecha de toma de muestra debe tener un formato válido'),
+    
+  body('laboratory')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El laboratorio debe tener entre 1 y 100 caracteres'),
+    
+  body('analysisType')
+    .isIn(WATER_ANALYSIS_TYPES)
+    .withMessage(`El tipo de análisis debe ser ${WATER_ANALYSIS_TYPES.join(', ')}`),
+    
+  body('result')
+    .isIn(WATER_ANALYSIS_RESULTS)
+    .withMessage(`El resultado debe ser ${WATER_ANALYSIS_RESULTS.join(' o ')}`),
+    
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Las observaciones no pueden exceder 1000 caracteres'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para freidoras (límite de desecho del aceite en %TPM)
+const validateFryer = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre de la freidora debe tener entre 1 y 100 caracteres'),
+    
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La ubicación no puede exceder 100 caracteres'),
+    
+  body('discardLimit')
+    .optional({ nullable: true })
+    .isFloat({ min: 1, max: 50 })
+    .withMessage('El límite de desecho debe ser un número entre 1 y 50 %TPM'),
+    
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('El estado activo debe ser verdadero o falso'),
+    
   handleValidationErrors
+];
+
+// Validaciones para lecturas de compuestos polares y cambios de aceite
+const validateFryingOilEvent = [
+  body('fryerId')
+    .isMongoId()
+    .withMessage('Debe indicar una freidora válida'),
+    
+  body('type')
+    .isIn(FRYING_OIL_EVENT_TYPES)
+    .withMessage(`El tipo de evento debe ser ${FRYING_OIL_EVENT_TYPES.join(' o ')}`),
+    
+  body('dateTime')
+    .isISO8601()
+    .withMessage('La fecha y hora deben tener un formato válido'),
+    
+  body('tpm')
+    .if(body('type').equals('reading'))
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('El %TPM debe ser un número entre 0 y 100'),
+    
+  body('temperature')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0, max: 250 })
+    .withMessage('La temperatura del aceite debe ser un número entre 0 y 250'),
+    
+  body('oilProduct')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('El aceite no puede exceder 100 caracteres'),
+    
+  body('quantityLiters')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0 })
+    .withMessage('La cantidad de aceite debe ser un número positivo'),
+    
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las observaciones no pueden exceder 500 caracteres'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para acciones del plan de formación
+const validateTrainingPlan = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('El nombre de la formación debe tener entre 1 y 200 caracteres'),
+    
+  body('year')
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('El año del plan no es válido'),
+    
+  body('plannedDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('La fecha prevista debe tener un formato válido'),
+    
+  body('hours')
+    .optional({ nullable: true, checkFalsy: true })
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Las horas deben ser un número entre 0 y 1000'),
+    
+  body('provider')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La entidad formadora no puede exceder 200 caracteres'),
+    
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('La descripción no puede exceder 1000 caracteres'),
+    
+  body('participantIds')
+    .optional()
+    .isArray()
+    .withMessage('Los participantes deben ser una lista'),
+    
+  body('participantIds.*')
+    .isMongoId()
+    .withMessage('Los participantes no son válidos'),
+    
+  body('status')
+    .optional()
+    .isIn(TRAINING_PLAN_STATUSES)
+    .withMessage(`El estado debe ser ${TRAINING_PLAN_STATUSES.join(', ')}`),
+    
+  handleValidationErrors
+];
+
+// Validaciones para formaciones de los trabajadores
+const validateTrainingRecord = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Debe indicar un trabajador válido'),
+    
+  body('planId')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('La acción del plan de formación no es válida'),
+    
+  body('course')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('El curso debe tener entre 1 y 200 caracteres'),
+    
+  body('trainingDate')
+    .isISO8601()
+    .withMessage('La fecha de la formación debe tener un formato válido'),
+    
+  body('hours')
+    .isFloat({ min: 0, max: 1000 })
+    .withMessage('Las horas deben ser un número entre 0 y 1000'),
+    
+  body('provider')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('La entidad formadora no puede exceder 200 caracteres'),
+    
+  body('expiryDate')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('La caducidad del certificado debe tener un formato válido'),
+    
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Las observaciones no pueden exceder 500 caracteres'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para registros de salida (trazabilidad)
+const validateOutgoingRecord = [
+  body('productName')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('El nombre del producto debe tener entre 1 y 200 caracteres'),
+    
+  body('quantity')
+    .trim()
+    .notEmpty()
+    .withMessage('La cantidad es requerida'),
+    
+  body('lotIdentifier')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El lote o identificador debe tener entre 1 y 100 caracteres'),
+    
+  body('destinationType')
+    .isIn(['sucursal', 'consumidor'])
+    .withMessage('El tipo de destino debe ser sucursal o consumidor'),
+    
+  body('destination')
+    .trim()
+    .notEmpty()
+    .withMessage('El destino es requerido'),
+    
+  body('date')
+    .isISO8601()
+    .withMessage('La fecha debe tener un formato válido'),
+    
+  body('sourceType')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(SOURCE_TYPES)
+    .withMessage('El origen del lote debe ser un producto elaborado o una recepción'),
+    
+  body('sourceRecordId')
+    .if(body('sourceType').notEmpty())
+    .isMongoId()
+    .withMessage('Debe indicar el registro de origen del lote'),
+    
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Debe indicar un usuario válido'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para registros de productos elaborados (trazabilidad)
+const validateElaboratedRecord = [
+  body('productName')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('El nombre del producto debe tener entre 1 y 200 caracteres'),
+    
+  body('elaborationDate')
+    .isISO8601()
+    .withMessage('La fecha de elaboración debe tener un formato válido'),
+    
+  body('productLot')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El lote del producto debe tener entre 1 y 100 caracteres'),
+    
+  body('ingredients')
+    .isArray({ min: 1 })
+    .withMessage('Debe indicar al menos un ingrediente'),
+    
+  body('ingredients.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('El nombre del ingrediente es requerido'),
+    
+  body('ingredients.*.lot')
+    .trim()
+    .notEmpty()
+    .withMessage('El lote del ingrediente es requerido'),
+    
+  body('ingredients.*.quantity')
+    .trim()
+    .notEmpty()
+    .withMessage('La cantidad del ingrediente es requerida'),
+    
+  body('ingredients.*.deliveryRecordId')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('La recepción del ingrediente no es válida'),
+    
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Debe indicar un usuario válido'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para fichas técnicas de producto
+const validateTechnicalSheet = [
+  body('productName')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('La denominación del producto debe tener entre 1 y 200 caracteres'),
+    
+  body('ingredients')
+    .isArray({ min: 1 })
+    .withMessage('Debe indicar al menos un ingrediente'),
+    
+  body('ingredients.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('El nombre del ingrediente es requerido'),
+    
+  body('ingredients.*.lot')
+    .trim()
+    .notEmpty()
+    .withMessage('El lote del ingrediente es requerido'),
+    
+  body('ingredients.*.isAllergen')
+    .optional()
+    .isBoolean()
+    .withMessage('El indicador de alérgeno debe ser verdadero o falso'),
+    
+  body(['elaboration', 'presentation', 'shelfLife', 'labeling'])
+    .optional()
+    .isString()
+    .withMessage('El campo debe ser un texto'),
+    
+  body('changeReason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('El motivo del cambio no puede exceder 500 caracteres'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para escandallos
+const validateCosting = [
+  body('productName')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('El nombre del producto debe tener entre 1 y 200 caracteres'),
+    
+  body('totalWeight')
+    .isFloat({ gt: 0 })
+    .withMessage('El peso total debe ser un número mayor que 0'),
+    
+  body('purchasePrice')
+    .isFloat({ min: 0 })
+    .withMessage('El precio de compra debe ser un número no negativo'),
+    
+  body('parts')
+    .isArray({ min: 1 })
+    .withMessage('Debe indicar al menos una parte'),
+    
+  body('parts.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('El nombre de la parte es requerido'),
+    
+  body('parts.*.weight')
+    .isFloat({ min: 0 })
+    .withMessage('El peso de la parte debe ser un número no negativo'),
+    
+  body('parts.*.saleType')
+    .optional()
+    .isIn(['weight', 'unit'])
+    .withMessage('El tipo de venta debe ser weight o unit'),
+    
+  body('parts.*.quantity')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('La cantidad debe ser un número entero mayor que 0'),
+    
+  body('salePrices')
+    .optional()
+    .isObject()
+    .withMessage('Los precios de venta deben ser un objeto'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para la actualización de precios de venta de un escandallo
+const validateCostingSalePrices = [
+  body('salePrices')
+    .isObject()
+    .withMessage('Los precios de venta deben ser un objeto'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para incidencias
+const validateIncident = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El título debe tener entre 1 y 100 caracteres'),
+    
+  body('description')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('La descripción debe tener entre 1 y 1000 caracteres'),
+    
+  body('detectionDate')
+    .isISO8601()
+    .withMessage('La fecha de detección debe tener un formato válido'),
+    
+  body('affectedArea')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('El área afectada debe tener entre 1 y 50 caracteres'),
+    
+  body('severity')
+    .optional()
+    .isIn(['Baja', 'Media', 'Alta', 'Crítica'])
+    .withMessage('La gravedad debe ser Baja, Media, Alta o Crítica'),
+    
+  body('reportedBy')
+    .optional()
+    .isMongoId()
+    .withMessage('Debe indicar un usuario válido'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para cambios de estado de una incidencia
+const validateIncidentStatus = [
+  body('status')
+    .isIn(['Abierta', 'En Proceso', 'Resuelta'])
+    .withMessage('El estado debe ser Abierta, En Proceso o Resuelta'),
+    
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas no pueden exceder 1000 caracteres'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para acciones correctivas (en actualización todos los campos son opcionales)
+const correctiveActionRules = (optional) => [
+  (optional ? body('description').optional() : body('description'))
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('La descripción de la acción debe tener entre 1 y 1000 caracteres'),
+    
+  (optional ? body('implementationDate').optional() : body('implementationDate'))
+    .isISO8601()
+    .withMessage('La fecha de implementación debe tener un formato válido'),
+    
+  body('responsibleUser')
+    .optional()
+    .isMongoId()
+    .withMessage('Debe indicar un responsable válido'),
+    
+  body('status')
+    .optional()
+    .isIn(['Pendiente', 'En Progreso', 'Completada'])
+    .withMessage('El estado debe ser Pendiente, En Progreso o Completada'),
+    
+  handleValidationErrors
+];
+
+const validateCorrectiveAction = correctiveActionRules(false);
+const validateCorrectiveActionUpdate = correctiveActionRules(true);
+
+// Tipos de registro que admiten exportación e importación
+const recordTypeRule = () => param('type')
+  .isIn(['delivery', 'storage', 'technical-sheets'])
+  .withMessage('Tipo de registro no válido');
+
+// Validaciones para exportación de registros
+const validateRecordExport = [
+  recordTypeRule(),
+    
+  query('format')
+    .optional()
+    .isIn(['csv', 'excel', 'xlsx', 'json'])
+    .withMessage('El formato debe ser csv, excel o json'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para importación de registros
+const validateRecordImport = [
+  recordTypeRule(),
+  handleValidationErrors
+];
+
+// Validaciones para búsqueda de registros
+const validateRecordSearch = [
+  param('type')
+    .isIn(['delivery', 'storage', 'technical-sheets', 'outgoing', 'elaborated', 'incidents'])
+    .withMessage('Tipo de registro no válido'),
+    
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('El texto de búsqueda debe tener entre 1 y 200 caracteres'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para la genealogía de lotes
+const validateLotList = [
+  query('type')
+    .optional()
+    .isIn(SOURCE_TYPES)
+    .withMessage('El tipo de lote debe ser delivery o elaborated'),
+    
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('El texto de búsqueda no puede exceder 100 caracteres'),
+    
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LOT_OPTIONS })
+    .withMessage(`El límite debe ser un número entre 1 y ${MAX_LOT_OPTIONS}`),
+    
+  handleValidationErrors
+];
+
+const lotQueryRule = () => query('lot')
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('El lote debe tener entre 1 y 100 caracteres');
+
+const validateLotGenealogy = [
+  lotQueryRule(),
+  handleValidationErrors
+];
+
+const validateLotRecall = [
+  lotQueryRule(),
+    
+  query('direction')
+    .optional()
+    .isIn(['forward', 'backward'])
+    .withMessage('El sentido debe ser forward (hacia destinos) o backward (hacia proveedores)'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para catálogos configurables
+const catalogRule = () => param('catalog')
+  .isIn(CATALOG_KEYS)
+  .withMessage('Catálogo no válido');
+
+const validateConfigCatalog = [
+  catalogRule(),
+  handleValidationErrors
+];
+
+const validateConfigCatalogUpdate = [
+  catalogRule(),
+    
+  body('items')
+    .isArray({ min: 1, max: ConfigCatalog.MAX_CATALOG_ITEMS })
+    .withMessage(`El catálogo debe tener entre 1 y ${ConfigCatalog.MAX_CATALOG_ITEMS} valores`),
+    
+  body('items.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Cada valor debe tener entre 1 y 100 caracteres'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para el listado de excursiones de temperatura
+const validateExcursionList = [
+  query('unitId')
+    .optional()
+    .isMongoId()
+    .withMessage('Debe indicar una cámara válida'),
+    
+  query('status')
+    .optional()
+    .isIn(EXCURSION_STATUSES)
+    .withMessage(`El estado debe ser ${EXCURSION_STATUSES.join(', ')}`),
+    
+  query('active')
+    .optional()
+    .isBoolean()
+    .withMessage('active debe ser un valor booleano'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para reconocer o cerrar una excursión (cerrar exige la acción correctiva)
+const validateExcursionStatus = [
+  body('status')
+    .isIn(['Reconocida', 'Cerrada'])
+    .withMessage('El estado debe ser Reconocida o Cerrada'),
+    
+  body('correctiveAction')
+    .if(body('status').equals('Cerrada'))
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Debe indicar la acción correctiva (máximo 1000 caracteres) para cerrar la excursión'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para dar de alta una sonda (registrador de datos) en una cámara
+const validateDataLogger = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre de la sonda debe tener entre 1 y 100 caracteres'),
+    
+  body('unitId')
+    .isMongoId()
+    .withMessage('Debe indicar una cámara válida'),
+    
+  body('serialNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('El número de serie no puede exceder 100 caracteres'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para editar una sonda (todos los campos opcionales)
+const validateDataLoggerUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('El nombre de la sonda debe tener entre 1 y 100 caracteres'),
+    
+  body('unitId')
+    .optional()
+    .isMongoId()
+    .withMessage('Debe indicar una cámara válida'),
+    
+  body('serialNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('El número de serie no puede exceder 100 caracteres'),
+    
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive debe ser un valor booleano'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para un lote de lecturas enviado por una sonda (cada lectura se valida en la ingesta)
+const validateLoggerBatch = [
+  body('readings')
+    .isArray({ min: 1 })
+    .withMessage('Debe enviar una lista de lecturas'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para la serie de temperatura agrupada de una cámara
+const validateStorageSeries = [
+  query('unitId')
+    .isMongoId()
+    .withMessage('Debe indicar una cámara válida'),
+    
+  query('dateFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha inicial debe tener un formato válido'),
+    
+  query('dateTo')
+    .optional()
+    .isISO8601()
+    .withMessage('La fecha final debe tener un formato válido'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para listar controles programados no realizados
+const validateMissedCheckList = [
+  query('unitId')
+    .optional()
+    .isMongoId()
+    .withMessage('Debe indicar una cámara válida'),
+    
+  query('status')
+    .optional()
+    .isIn(MISSED_CHECK_STATUSES)
+    .withMessage(`El estado debe ser ${MISSED_CHECK_STATUSES.join(', ')}`),
+    
+  handleValidationErrors
+];
+
+// Validaciones para justificar un control no realizado
+const validateMissedCheckJustification = [
+  body('justification')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Debe indicar el motivo (máximo 1000 caracteres) por el que no se realizó el control'),
+    
+  handleValidationErrors
+];
+
+// Validaciones para las tareas de limpieza de un día
+const validateCleaningTasks = [
+  query('date')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('La fecha debe tener el formato YYYY-MM-DD'),
+    
+  query('timezone')
+    .optional()
+    .custom(value => {
+      new Intl.DateTimeFormat('es-ES', { timeZone: value });
+      return true;
+    })
+    .withMessage('Zona horaria no válida'),
+    
+  handleValidationErrors
+];
+
+// Sanitización de entrada para prevenir XSS
+const sanitizeInput = (req, res, next) => {
+  const sanitizeValue = (value) => {
+    if (typeof value === 'string') {
+      // Remover scripts y tags HTML peligrosos
+      return value
+        .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+        .replace(/<[^>]*>/g, '')
+        .trim();
+    }
+    return value;
+  };
+
+  const sanitizeObject = (obj) => {
+    for (let key in obj) {
+      if (obj.hasOwnProperty(key)) {
+        if (typeof obj[key] === 'object' && obj[key] !== null) {
+          sanitizeObject(obj[key]);
+        } else {
+          obj[key] = sanitizeValue(obj[key]);
+        }
+      }
+    }
+  };
+
+  if (req.body) sanitizeObject(req.body);
+  if (req.query) sanitizeObject(req.query);
+  if (req.params) sanitizeObject(req.params);
+
+  next();
+};
+
+module.exports = {
+  validateUserRegistration,
+  validateLogin,
+  validatePasswordReset,
+  validatePasswordResetConfirm,
+  validateOrganizationUpdate,
+  validateUserInvitation,
+  validateUserUpdate,
+  validateObjectId,
+  validatePagination,
+  validateStorageUnit,
+  validateStorageRecord,
+  validateStorageRecordUpdate,
+  validateDeliveryRecord,
+  validateDeliveryRecordUpdate,
+  validateDailySurface,
+  validateFrequentArea,
+  validateSupplier,
+  validateProductType,
+  validateCleaningRecord,
+  validateOutgoingRecord,
+  validateElaboratedRecord,
+  validateTechnicalSheet,
+  validateCosting,
+  validateCostingSalePrices,
+  validateIncident,
+  validateIncidentStatus,
+  validateCorrectiveAction,
+  validateCorrectiveActionUpdate,
+  validateRecordExport,
+  validateRecordImport,
+  validateRecordSearch,
+  validateLotList,
+  validateLotGenealogy,
+  validateLotRecall,
+  validateConfigCatalog,
+  validateConfigCatalogUpdate,
+  validateExcursionList,
+  validateExcursionStatus,
+  validateDataLogger,
+  validateDataLoggerUpdate,
+  validateLoggerBatch,
+  validateStorageSeries,
+  validateMissedCheckList,
+  validateMissedCheckJustification,
+  validateCleaningTasks,
+  validateChemicalProduct,
+  validateChemicalDocumentKind,
+  validatePestStation,
+  validatePestControlVisit,
+  validateWaterSamplingPoint,
+  validateWaterRecord,
+  validateWaterAnalysis,
+  validateFryer,
+  validateFryingOilEvent,
+  validateTrainingPlan,
+  validateTrainingRecord,
+  sanitizeInput,
+  handleValidationErrors,
+  sendMongooseValidationError
 };
\ No newline at end of file
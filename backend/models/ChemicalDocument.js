@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { CHEMICAL_DOCUMENT_KINDS } = require('./ChemicalProduct');
+
+// Contenido de un documento adjunto a un producto químico (ficha de seguridad o ficha técnica).
+// Se guarda aparte para que el registro de productos no cargue los archivos.
+const ChemicalDocumentSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChemicalProduct',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: CHEMICAL_DOCUMENT_KINDS,
+    required: true
+  },
+
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true
+  },
+
+  // Campos de trazabilidad
+  uploadedBy: {
+    type: String,
+    trim: true
+  },
+  uploadedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Un documento de cada tipo por producto
+ChemicalDocumentSchema.index({ productId: 1, kind: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChemicalDocument', ChemicalDocumentSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const DocumentInfoSchema = require('../utils/documentInfo');
+
+const CHEMICAL_USES = ['Detergente', 'Desinfectante', 'Detergente desinfectante'];
+// Documentos adjuntos de cada producto (el contenido se guarda en ChemicalDocument)
+const CHEMICAL_DOCUMENT_KINDS = ['safetyDataSheet', 'technicalSheet'];
+
+// Producto químico de limpieza registrado por la organización (detergentes y desinfectantes)
+const ChemicalProductSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'El nombre del producto es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  manufacturer: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El fabricante no puede exceder 100 caracteres'],
+    default: ''
+  },
+  use: {
+    type: String,
+    enum: CHEMICAL_USES,
+    required: [true, 'El uso del producto es requerido']
+  },
+  dilution: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La dilución no puede exceder 100 caracteres'],
+    default: ''
+  },
+  // Autorizado para superficies en contacto con alimentos
+  foodContactAuthorized: {
+    type: Boolean,
+    default: false
+  },
+
+  // Ficha de datos de seguridad y ficha técnica
+  safetyDataSheet: {
+    type: DocumentInfoSchema,
+    default: null
+  },
+  technicalSheet: {
+    type: DocumentInfoSchema,
+    default: null
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+ChemicalProductSchema.index({ organizationId: 1, name: 1 });
+
+module.exports = mongoose.model('ChemicalProduct', ChemicalProductSchema);
+module.exports.CHEMICAL_USES = CHEMICAL_USES;
+module.exports.CHEMICAL_DOCUMENT_KINDS = CHEMICAL_DOCUMENT_KINDS;
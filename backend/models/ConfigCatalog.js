@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Catálogos editables por organización (api/config/:catalog) y sus valores iniciales
+const CATALOG_DEFAULTS = {
+  'storage-types': ['Cámara Frigorífica', 'Cámara Expositora', 'Cámara de secado', 'Cámara de Congelación', 'Almacén Seco'],
+  'units': ['kg', 'g', 'l', 'ml', 'unidades', 'cajas', 'raciones'],
+  'categories': ['Carnes', 'Pescados y mariscos', 'Frutas y verduras', 'Lácteos y huevos', 'Congelados', 'Panadería y repostería', 'Conservas y secos', 'Bebidas'],
+  'transport-conditions': ['Refrigerado', 'Congelado', 'Temperatura ambiente', 'Isotermo']
+};
+
+const CATALOG_KEYS = Object.keys(CATALOG_DEFAULTS);
+const MAX_CATALOG_ITEMS = 100;
+
+const ConfigCatalogSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+
+  catalog: {
+    type: String,
+    enum: CATALOG_KEYS,
+    required: true
+  },
+  items: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [100, 'Cada valor no puede exceder 100 caracteres']
+    }],
+    validate: [
+      {
+        validator: items => items.length > 0 && items.length <= MAX_CATALOG_ITEMS,
+        message: `El catálogo debe tener entre 1 y ${MAX_CATALOG_ITEMS} valores`
+      },
+      {
+        validator: items => items.every(item => item.length > 0),
+        message: 'Los valores del catálogo no pueden estar vacíos'
+      },
+      {
+        validator: items => new Set(items.map(item => item.toLowerCase())).size === items.length,
+        message: 'El catálogo contiene valores repetidos'
+      }
+    ]
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Un documento por catálogo y organización
+ConfigCatalogSchema.index({ organizationId: 1, catalog: 1 }, { unique: true });
+
+// Valores del catálogo de la organización; se crean con los valores iniciales la primera vez
+ConfigCatalogSchema.statics.getItems = async function(organizationId, catalog) {
+  try {
+    const doc = await this.findOneAndUpdate(
+      { organizationId, catalog },
+      { $setOnInsert: { items: CATALOG_DEFAULTS[catalog] } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    return doc.items;
+  } catch (error) {
+    // Dos peticiones simultáneas pueden intentar crear el mismo catálogo
+    if (error.code !== 11000) throw error;
+    const doc = await this.findOne({ organizationId, catalog });
+    return doc.items;
+  }
+};
+
+// Todos los catálogos de la organización como { catalog: items }
+ConfigCatalogSchema.statics.getAll = async function(organizationId) {
+  const entries = await Promise.all(
+    CATALOG_KEYS.map(async catalog => [catalog, await this.getItems(organizationId, catalog)])
+  );
+  return Object.fromEntries(entries);
+};
+
+// Comprueba que un valor pertenece al catálogo (sin distinguir mayúsculas)
+ConfigCatalogSchema.statics.hasItem = async function(organizationId, catalog, value) {
+  const items = await this.getItems(organizationId, catalog);
+  return items.some(item => item.toLowerCase() === String(value).trim().toLowerCase());
+};
+
+module.exports = mongoose.model('ConfigCatalog', ConfigCatalogSchema);
+module.exports.CATALOG_DEFAULTS = CATALOG_DEFAULTS;
+module.exports.CATALOG_KEYS = CATALOG_KEYS;
+module.exports.MAX_CATALOG_ITEMS = MAX_CATALOG_ITEMS;
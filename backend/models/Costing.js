@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const CostingPartSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: [true, 'El nombre de la parte es requerido'],
+    trim: true 
+  },
+  weight: { 
+    type: Number, 
+    required: [true, 'El peso de la parte es requerido'],
+    min: [0, 'El peso no puede ser negativo'] 
+  },
+  saleType: { 
+    type: String, 
+    enum: ['weight', 'unit'], 
+    default: 'weight' 
+  },
+  quantity: { 
+    type: Number, 
+    min: [1, 'La cantidad debe ser al menos 1'],
+    required: [
+      function() { return this.saleType === 'unit'; },
+      'La cantidad es requerida para partes vendidas por unidad'
+    ]
+  }
+}, { 
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+const CostingSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  // Campos de trazabilidad
+  registeredBy: { 
+    type: String, 
+    required: true,
+    trim: true 
+  },
+  registeredById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  registeredAt: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  },
+  
+  productName: { 
+    type: String, 
+    required: [true, 'El nombre del producto es requerido'],
+    trim: true 
+  },
+  totalWeight: { 
+    type: Number, 
+    required: [true, 'El peso total es requerido'],
+    min: [0.001, 'El peso total debe ser mayor que 0'] 
+  },
+  purchasePrice: { 
+    type: Number, 
+    required: [true, 'El precio de compra es requerido'],
+    min: [0, 'El precio de compra no puede ser negativo'] 
+  },
+  parts: {
+    type: [CostingPartSchema],
+    validate: [arr => arr.length > 0, 'Debe indicar al menos una parte']
+  },
+  // Precio de venta por parte (clave: id de la parte)
+  salePrices: { 
+    type: Map, 
+    of: { type: Number, min: 0 },
+    default: {} 
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+CostingSchema.index({ organizationId: 1, productName: 1 });
+
+// Método para calcular coste por kg, ingresos y márgenes con los precios actuales
+CostingSchema.methods.calculateSummary = function() {
+  const parts = this.parts.map(part => {
+    const salePrice = this.salePrices.get(part.id) || 0;
+    const revenue = part.saleType === 'unit' ? salePrice * (part.quantity || 0) : salePrice * part.weight;
+
+    return {
+      partId: part._id,
+      name: part.name,
+      weight: part.weight,
+      saleType: part.saleType,
+      quantity: part.quantity,
+      salePrice,
+      revenue
+    };
+  });
+
+  const totalRevenue = parts.reduce((sum, part) => sum + part.revenue, 0);
+  const profit = totalRevenue - this.purchasePrice;
+
+  return {
+    totalWeight: this.totalWeight,
+    purchasePrice: this.purchasePrice,
+    costPerKg: this.totalWeight > 0 ? this.purchasePrice / this.totalWeight : 0,
+    totalRevenue,
+    profit,
+    marginPercent: this.purchasePrice > 0 ? (profit / this.purchasePrice) * 100 : 0,
+    parts
+  };
+};
+
+module.exports = mongoose.model('Costing', CostingSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const PartPriceSchema = new mongoose.Schema({
+  partId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    required: true 
+  },
+  name: { 
+    type: String, 
+    required: true,
+    trim: true 
+  },
+  weight: { 
+    type: Number, 
+    required: true 
+  },
+  saleType: { 
+    type: String, 
+    enum: ['weight', 'unit'], 
+    default: 'weight' 
+  },
+  quantity: Number,
+  salePrice: { 
+    type: Number, 
+    default: 0 
+  },
+  revenue: { 
+    type: Number, 
+    default: 0 
+  }
+}, { _id: false });
+
+// Instantánea de precios y márgenes de un escandallo cada vez que cambian
+const CostingPriceHistorySchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  costingId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Costing', 
+    required: true 
+  },
+  recordedAt: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  },
+  
+  // Campos de trazabilidad
+  registeredBy: { 
+    type: String, 
+    required: true,
+    trim: true 
+  },
+  registeredById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  
+  totalWeight: { 
+    type: Number, 
+    required: true 
+  },
+  purchasePrice: { 
+    type: Number, 
+    required: true 
+  },
+  costPerKg: { 
+    type: Number, 
+    required: true 
+  },
+  totalRevenue: { 
+    type: Number, 
+    default: 0 
+  },
+  profit: { 
+    type: Number, 
+    default: 0 
+  },
+  marginPercent: { 
+    type: Number, 
+    default: 0 
+  },
+  parts: [PartPriceSchema]
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+CostingPriceHistorySchema.index({ organizationId: 1, costingId: 1, recordedAt: -1 });
+
+module.exports = mongoose.model('CostingPriceHistory', CostingPriceHistorySchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const DailyCleaningRecordSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  // Campos de trazabilidad
+  registeredBy: { 
+    type: String, 
+    required: true,
+    trim: true 
+  },
+  registeredById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  registeredAt: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  },
+  
+  // Usuario que realiza la limpieza
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  // Superficie de limpieza diaria o zona de limpieza frecuente
+  surfaceId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'DailySurface' 
+  },
+  areaId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'FrequentArea' 
+  },
+  // Producto químico utilizado (registro de productos químicos)
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChemicalProduct',
+    default: null
+  },
+  dateTime: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+DailyCleaningRecordSchema.index({ organizationId: 1, dateTime: -1 });
+DailyCleaningRecordSchema.index({ organizationId: 1, surfaceId: 1, dateTime: -1 });
+DailyCleaningRecordSchema.index({ organizationId: 1, areaId: 1, dateTime: -1 });
+
+// Cada registro corresponde exactamente a una superficie o a una zona
+DailyCleaningRecordSchema.pre('validate', function(next) {
+  if (!this.surfaceId === !this.areaId) {
+    this.invalidate('surfaceId', 'El registro debe indicar una superficie o una zona');
+  }
+  next();
+});
+
+module.exports = mongoose.model('DailyCleaningRecord', DailyCleaningRecordSchema);
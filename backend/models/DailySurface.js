@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { SURFACE_FREQUENCY_TYPES, cleaningPlanFields, validateCleaningFrequency } = require('../utils/cleaningPlan');
+
+const DailySurfaceSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  name: { 
+    type: String, 
+    required: [true, 'El nombre de la superficie es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+
+  // Plan L+D: método, producto, responsable y frecuencia
+  ...cleaningPlanFields(SURFACE_FREQUENCY_TYPES),
+  
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+DailySurfaceSchema.index({ organizationId: 1, name: 1 });
+
+DailySurfaceSchema.pre('validate', function(next) {
+  validateCleaningFrequency(this);
+  next();
+});
+
+module.exports = mongoose.model('DailySurface', DailySurfaceSchema);
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const TOKEN_PREFIX = 'dlg_';
+
+// Registrador de datos (sonda) asociado a una cámara. Envía sus lecturas a
+// api/data-loggers/ingest autenticándose con su token de dispositivo, del que
+// solo se guarda el hash (el token en claro se muestra una única vez).
+const DataLoggerSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  unitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StorageUnit',
+    required: [true, 'La cámara es requerida']
+  },
+  name: {
+    type: String,
+    required: [true, 'El nombre de la sonda es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  serialNumber: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El número de serie no puede exceder 100 caracteres'],
+    default: ''
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Primeros caracteres del token para reconocerlo sin mostrarlo entero
+  tokenHint: {
+    type: String,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Actividad del dispositivo
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
+  lastReadingAt: {
+    type: Date,
+    default: null
+  },
+  readingsCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Campos de trazabilidad
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+DataLoggerSchema.index({ tokenHash: 1 }, { unique: true });
+DataLoggerSchema.index({ organizationId: 1, unitId: 1 });
+
+// Hash con el que se guarda y se busca un token de dispositivo
+DataLoggerSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Método para generar un token nuevo (invalida el anterior); devuelve el token en claro
+DataLoggerSchema.methods.generateToken = function() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+
+  this.tokenHash = this.constructor.hashToken(token);
+  this.tokenHint = token.slice(0, TOKEN_PREFIX.length + 6);
+
+  return token;
+};
+
+module.exports = mongoose.model('DataLogger', DataLoggerSchema);
@@ -1,6 +1,9 @@
 
 const mongoose = require('mongoose');
 
+// Resultado de la comprobación de conformidad de la recepción
+const CONFORMITY_STATUSES = ['accepted', 'accepted_with_remark', 'rejected'];
+
 const DeliveryRecordSchema = new mongoose.Schema({
   // Multi-tenant field
   organizationId: { 
@@ -57,17 +60,109 @@ const DeliveryRecordSchema = new mongoose.Schema({
     required: true, 
     default: true 
   },
+  // Valor del catálogo "transport-conditions" de la organización (api/config)
+  transportCondition: { 
+    type: String, 
+    trim: true,
+    maxlength: [100, 'La condición de transporte no puede exceder 100 caracteres']
+  },
+  // Lote del proveedor y fecha de caducidad (origen de la genealogía de lotes, api/lots)
+  lot: { 
+    type: String, 
+    trim: true,
+    maxlength: [100, 'El lote no puede exceder 100 caracteres']
+  },
+  expiryDate: { 
+    type: Date 
+  },
   albaranImage: { 
     type: String, 
     required: false 
+  },
+  // Calculado al guardar con las tolerancias del tipo de producto (utils/receptionConformity)
+  conformity: {
+    status: { 
+      type: String, 
+      enum: CONFORMITY_STATUSES 
+    },
+    optimalTemp: { 
+      type: Number 
+    },
+    deviation: { 
+      type: Number 
+    },
+    reasons: [{ 
+      type: String, 
+      trim: true 
+    }],
+    // Incidencia abierta automáticamente al rechazar la recepción
+    incidentId: { 
+      type: mongoose.Schema.Types.ObjectId, 
+      ref: 'Incident' 
+    }
   }
 }, { 
-  timestamps: true 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Índices para optimización
 DeliveryRecordSchema.index({ organizationId: 1, createdAt: -1 });
 DeliveryRecordSchema.index({ organizationId: 1, registeredById: 1 });
 DeliveryRecordSchema.index({ organizationId: 1, receptionDate: -1 });
+DeliveryRecordSchema.index({ organizationId: 1, lot: 1 });
+DeliveryRecordSchema.index({ organizationId: 1, 'conformity.status': 1 });
+
+// Resumen de recepciones según su conformidad: aceptadas, aceptadas con observaciones, rechazadas
+// y tasa de aceptación. Las recepciones sin conformidad (sin tipo de producto o temperatura con los
+// que compararla) se aceptan o rechazan según su documentación.
+DeliveryRecordSchema.statics.getSummaryStats = async function(organizationId, { dateRange } = {}) {
+  const match = { organizationId: new mongoose.Types.ObjectId(organizationId) };
+  if (dateRange) match.receptionDate = dateRange;
+
+  const countStatus = (status) => ({
+    $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] }
+  });
+
+  const [summary] = await this.aggregate([
+    { $match: match },
+    {
+      $project: {
+        productTypeId: 1,
+        status: {
+          $ifNull: ['$conformity.status', { $cond: ['$docsOk', 'accepted', 'rejected'] }]
+        }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        totalDeliveries: { $sum: 1 },
+        acceptedDeliveries: countStatus('accepted'),
+        conditionalDeliveries: countStatus('accepted_with_remark'),
+        rejectedDeliveries: countStatus('rejected'),
+        productTypes: { $addToSet: '$productTypeId' }
+      }
+    }
+  ]);
+
+  const totalDeliveries = summary ? summary.totalDeliveries : 0;
+  const acceptedDeliveries = summary ? summary.acceptedDeliveries : 0;
+  const conditionalDeliveries = summary ? summary.conditionalDeliveries : 0;
+
+  return {
+    totalDeliveries,
+    acceptedDeliveries,
+    conditionalDeliveries,
+    rejectedDeliveries: summary ? summary.rejectedDeliveries : 0,
+    // Las aceptadas con observaciones también se aceptan
+    acceptanceRate: totalDeliveries > 0
+      ? Math.round(((acceptedDeliveries + conditionalDeliveries) / totalDeliveries) * 1000) / 10
+      : 0,
+    uniqueProductTypes: summary ? summary.productTypes.length : 0
+  };
+};
 
 module.exports = mongoose.model('DeliveryRecord', DeliveryRecordSchema);
+module.exports.CONFORMITY_STATUSES = CONFORMITY_STATUSES;
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const IngredientSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: [true, 'El nombre del ingrediente es requerido'],
+    trim: true 
+  },
+  supplier: { 
+    type: String, 
+    trim: true 
+  },
+  lot: { 
+    type: String, 
+    required: [true, 'El lote del ingrediente es requerido'],
+    trim: true 
+  },
+  quantity: { 
+    type: String, 
+    required: [true, 'La cantidad del ingrediente es requerida'],
+    trim: true 
+  },
+  // Recepción de la que procede el lote (si se eligió entre los lotes recibidos)
+  deliveryRecordId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'DeliveryRecord' 
+  }
+}, { _id: false });
+
+const ElaboratedRecordSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  // Campos de trazabilidad
+  registeredBy: { 
+    type: String, 
+    required: true,
+    trim: true 
+  },
+  registeredById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  registeredAt: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  },
+  
+  // Usuario responsable de la elaboración
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  productName: { 
+    type: String, 
+    required: [true, 'El nombre del producto es requerido'],
+    trim: true 
+  },
+  elaborationDate: { 
+    type: Date, 
+    required: true 
+  },
+  productLot: { 
+    type: String, 
+    required: [true, 'El lote del producto es requerido'],
+    trim: true 
+  },
+  ingredients: {
+    type: [IngredientSchema],
+    validate: [arr => arr.length > 0, 'Debe indicar al menos un ingrediente']
+  },
+  destination: { 
+    type: String, 
+    trim: true,
+    default: '' 
+  },
+  quantitySent: { 
+    type: String, 
+    trim: true,
+    default: '' 
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+ElaboratedRecordSchema.index({ organizationId: 1, elaborationDate: -1 });
+ElaboratedRecordSchema.index({ organizationId: 1, productLot: 1 });
+ElaboratedRecordSchema.index({ organizationId: 1, 'ingredients.lot': 1 });
+ElaboratedRecordSchema.index({ organizationId: 1, 'ingredients.deliveryRecordId': 1 });
+// Búsqueda de texto por organización (api/records/:type/search)
+ElaboratedRecordSchema.index(
+  { organizationId: 1, productName: 'text', productLot: 'text', destination: 'text', 'ingredients.name': 'text', 'ingredients.lot': 'text', 'ingredients.supplier': 'text' },
+  { default_language: 'spanish', name: 'elaboratedRecord_text_search' }
+);
+
+module.exports = mongoose.model('ElaboratedRecord', ElaboratedRecordSchema);
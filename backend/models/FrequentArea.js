@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { AREA_FREQUENCY_TYPES, cleaningPlanFields, validateCleaningFrequency } = require('../utils/cleaningPlan');
+
+const FrequentAreaSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  name: { 
+    type: String, 
+    required: [true, 'El nombre de la zona es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  // Días entre limpiezas para la frecuencia 'Cada X días'
+  frequencyDays: { 
+    type: Number, 
+    required: [function() { return this.frequencyType === 'Cada X días'; }, 'La frecuencia de limpieza es requerida'],
+    min: [1, 'La frecuencia debe ser de al menos 1 día'],
+    max: [365, 'La frecuencia no puede superar 365 días']
+  },
+  lastCleaned: { 
+    type: Date, 
+    default: null 
+  },
+
+  // Plan L+D: método, producto, responsable y frecuencia
+  ...cleaningPlanFields(AREA_FREQUENCY_TYPES),
+  
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+FrequentAreaSchema.index({ organizationId: 1, name: 1 });
+
+FrequentAreaSchema.pre('validate', function(next) {
+  validateCleaningFrequency(this);
+  next();
+});
+
+// Próxima fecha en la que la zona debe limpiarse (null si nunca se ha limpiado o si se limpia
+// ciertos días de la semana)
+FrequentAreaSchema.virtual('nextDueDate').get(function() {
+  if (!this.lastCleaned || this.frequencyType !== 'Cada X días') return null;
+  const next = new Date(this.lastCleaned);
+  next.setDate(next.getDate() + this.frequencyDays);
+  return next;
+});
+
+module.exports = mongoose.model('FrequentArea', FrequentAreaSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Límite de compuestos polares totales (%TPM) a partir del cual se debe desechar el aceite
+const DEFAULT_DISCARD_LIMIT = 25;
+
+// Freidora del establecimiento con su límite de desecho del aceite
+const FryerSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'El nombre de la freidora es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La ubicación no puede exceder 100 caracteres'],
+    default: ''
+  },
+  // %TPM máximo antes de cambiar el aceite
+  discardLimit: {
+    type: Number,
+    min: [1, 'El límite de desecho debe estar entre 1 y 50 %TPM'],
+    max: [50, 'El límite de desecho debe estar entre 1 y 50 %TPM'],
+    default: DEFAULT_DISCARD_LIMIT
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Campos de trazabilidad
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+FryerSchema.index({ organizationId: 1, name: 1 });
+
+// Método para comprobar si una lectura de compuestos polares supera el límite de desecho
+FryerSchema.methods.isOverDiscardLimit = function(tpm) {
+  return tpm > this.discardLimit;
+};
+
+module.exports = mongoose.model('Fryer', FryerSchema);
+module.exports.DEFAULT_DISCARD_LIMIT = DEFAULT_DISCARD_LIMIT;
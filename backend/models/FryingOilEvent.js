@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Eventos del historial de una freidora: lectura de compuestos polares o cambio de aceite
+const FRYING_OIL_EVENT_TYPES = ['reading', 'change'];
+
+function isReading() {
+  return this.type === 'reading';
+}
+
+const FryingOilEventSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+
+  // Campos de trazabilidad
+  registeredBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  registeredById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  registeredAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  fryerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fryer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: FRYING_OIL_EVENT_TYPES,
+    required: [true, 'El tipo de evento es requerido']
+  },
+  dateTime: {
+    type: Date,
+    required: true
+  },
+
+  // Lectura: compuestos polares totales (%TPM) y temperatura del aceite
+  tpm: {
+    type: Number,
+    required: [isReading, 'El porcentaje de compuestos polares es requerido'],
+    min: [0, 'El %TPM debe estar entre 0 y 100'],
+    max: [100, 'El %TPM debe estar entre 0 y 100']
+  },
+  temperature: {
+    type: Number,
+    required: false
+  },
+  // Calculado al guardar la lectura con el límite de desecho de la freidora
+  isOverLimit: {
+    type: Boolean,
+    default: false
+  },
+  discardLimit: {
+    type: Number,
+    default: null
+  },
+
+  // Cambio de aceite: aceite nuevo y litros repuestos
+  oilProduct: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El aceite no puede exceder 100 caracteres'],
+    default: ''
+  },
+  quantityLiters: {
+    type: Number,
+    min: [0, 'La cantidad no puede ser negativa'],
+    required: false
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+FryingOilEventSchema.index({ organizationId: 1, dateTime: -1 });
+FryingOilEventSchema.index({ organizationId: 1, fryerId: 1, type: 1, dateTime: -1 });
+
+module.exports = mongoose.model('FryingOilEvent', FryingOilEventSchema);
+module.exports.FRYING_OIL_EVENT_TYPES = FRYING_OIL_EVENT_TYPES;
@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+
+const INCIDENT_SEVERITIES = ['Baja', 'Media', 'Alta', 'Crítica'];
+const INCIDENT_STATUSES = ['Abierta', 'En Proceso', 'Resuelta'];
+const ACTION_STATUSES = ['Pendiente', 'En Progreso', 'Completada'];
+
+// Transiciones de estado permitidas (Resuelta → En Proceso equivale a reabrir)
+const STATUS_TRANSITIONS = {
+  'Abierta': ['En Proceso'],
+  'En Proceso': ['Resuelta'],
+  'Resuelta': ['En Proceso']
+};
+
+const CorrectiveActionSchema = new mongoose.Schema({
+  description: { 
+    type: String, 
+    required: [true, 'La descripción de la acción es requerida'],
+    trim: true,
+    maxlength: [1000, 'La descripción no puede exceder 1000 caracteres']
+  },
+  implementationDate: { 
+    type: Date, 
+    required: [true, 'La fecha de implementación es requerida'] 
+  },
+  responsibleUser: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  status: { 
+    type: String, 
+    enum: ACTION_STATUSES, 
+    default: 'Pendiente' 
+  },
+  completedAt: { 
+    type: Date, 
+    default: null 
+  },
+  registeredBy: { 
+    type: String, 
+    trim: true 
+  },
+  registeredById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+const StatusChangeSchema = new mongoose.Schema({
+  from: { 
+    type: String, 
+    enum: [...INCIDENT_STATUSES, null] 
+  },
+  to: { 
+    type: String, 
+    enum: INCIDENT_STATUSES, 
+    required: true 
+  },
+  changedAt: { 
+    type: Date, 
+    default: Date.now 
+  },
+  changedBy: { 
+    type: String, 
+    trim: true 
+  },
+  changedById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User' 
+  },
+  notes: { 
+    type: String, 
+    trim: true, 
+    default: '' 
+  }
+}, { _id: false });
+
+const IncidentSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  // Campos de trazabilidad
+  registeredBy: { 
+    type: String, 
+    required: true,
+    trim: true 
+  },
+  registeredById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  registeredAt: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  },
+  
+  title: { 
+    type: String, 
+    required: [true, 'El título es requerido'],
+    trim: true,
+    maxlength: [100, 'El título no puede exceder 100 caracteres']
+  },
+  description: { 
+    type: String, 
+    required: [true, 'La descripción es requerida'],
+    trim: true,
+    maxlength: [1000, 'La descripción no puede exceder 1000 caracteres']
+  },
+  detectionDate: { 
+    type: Date, 
+    required: [true, 'La fecha de detección es requerida'] 
+  },
+  affectedArea: { 
+    type: String, 
+    required: [true, 'El área afectada es requerida'],
+    trim: true,
+    maxlength: [50, 'El área no puede exceder 50 caracteres']
+  },
+  severity: { 
+    type: String, 
+    enum: INCIDENT_SEVERITIES, 
+    default: 'Media' 
+  },
+  status: { 
+    type: String, 
+    enum: INCIDENT_STATUSES, 
+    default: 'Abierta' 
+  },
+  // Usuario que detectó la incidencia
+  reportedBy: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  
+  // Resolución
+  resolutionNotes: { 
+    type: String, 
+    trim: true, 
+    default: '' 
+  },
+  resolvedAt: { 
+    type: Date, 
+    default: null 
+  },
+  resolvedBy: { 
+    type: String, 
+    trim: true, 
+    default: '' 
+  },
+  resolvedById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    default: null 
+  },
+  
+  // Recepción no conforme que originó la incidencia (abierta automáticamente)
+  deliveryRecordId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'DeliveryRecord', 
+    default: null 
+  },
+  supplierId: { 
+    type: String, 
+    trim: true 
+  },
+  
+  // Visita de control de plagas cuyo hallazgo originó la incidencia (abierta automáticamente)
+  pestControlVisitId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'PestControlVisit', 
+    default: null 
+  },
+  
+  correctiveActions: [CorrectiveActionSchema],
+  statusHistory: [StatusChangeSchema]
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+IncidentSchema.index({ organizationId: 1, detectionDate: -1 });
+IncidentSchema.index({ organizationId: 1, status: 1, severity: 1 });
+IncidentSchema.index({ organizationId: 1, deliveryRecordId: 1 });
+// Búsqueda de texto por organización (api/records/:type/search)
+IncidentSchema.index(
+  { organizationId: 1, title: 'text', description: 'text', affectedArea: 'text', resolutionNotes: 'text', 'correctiveActions.description': 'text', 'statusHistory.notes': 'text' },
+  { default_language: 'spanish', name: 'incident_text_search' }
+);
+
+// Método para comprobar si se puede pasar al estado indicado
+IncidentSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Método para comprobar si todas las acciones correctivas están completadas
+IncidentSchema.methods.hasAllActionsCompleted = function() {
+  return this.correctiveActions.length > 0 &&
+    this.correctiveActions.every(action => action.status === 'Completada');
+};
+
+// Método para cambiar de estado dejando constancia en el historial
+IncidentSchema.methods.setStatus = function(status, user, notes = '') {
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedAt: new Date(),
+    changedBy: user.name,
+    changedById: user.id,
+    notes
+  });
+
+  if (status === 'Resuelta') {
+    this.resolutionNotes = notes;
+    this.resolvedAt = new Date();
+    this.resolvedBy = user.name;
+    this.resolvedById = user.id;
+  } else if (this.status === 'Resuelta') {
+    // Reapertura: la resolución anterior queda en el historial de estados
+    this.resolutionNotes = '';
+    this.resolvedAt = null;
+    this.resolvedBy = '';
+    this.resolvedById = null;
+  }
+
+  this.status = status;
+};
+
+module.exports = mongoose.model('Incident', IncidentSchema);
+module.exports.INCIDENT_SEVERITIES = INCIDENT_SEVERITIES;
+module.exports.INCIDENT_STATUSES = INCIDENT_STATUSES;
+module.exports.ACTION_STATUSES = ACTION_STATUSES;
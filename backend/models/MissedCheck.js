@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const MISSED_CHECK_STATUSES = ['Pendiente', 'Justificado'];
+
+// Control de temperatura programado que no se realizó: ninguna lectura de la cámara dentro de
+// la ventana de tolerancia de la hora programada. Los detecta utils/missedChecks a partir de la
+// programación de cada cámara; la justificación la añaden los usuarios.
+const MissedCheckSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  unitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StorageUnit',
+    required: true
+  },
+
+  // Hora programada (HH:mm en la zona horaria de la programación) y su instante exacto
+  scheduledTime: {
+    type: String,
+    required: true
+  },
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+  // Fin de la ventana de tolerancia: a partir de aquí el control se da por no realizado
+  dueAt: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: MISSED_CHECK_STATUSES,
+    default: 'Pendiente'
+  },
+  // Motivo por el que no se hizo el control (cierre, avería, cámara vacía...)
+  justification: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'La justificación no puede exceder 1000 caracteres'],
+    default: ''
+  },
+  justifiedAt: {
+    type: Date,
+    default: null
+  },
+  justifiedBy: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  justifiedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+MissedCheckSchema.index({ organizationId: 1, unitId: 1, scheduledAt: 1 }, { unique: true });
+MissedCheckSchema.index({ organizationId: 1, status: 1, scheduledAt: -1 });
+
+// Método para justificar el control dejando constancia de quién y cuándo
+MissedCheckSchema.methods.justify = function(justification, user) {
+  this.status = 'Justificado';
+  this.justification = justification;
+  this.justifiedAt = new Date();
+  this.justifiedBy = user.name;
+  this.justifiedById = user.id;
+};
+
+module.exports = mongoose.model('MissedCheck', MissedCheckSchema);
+module.exports.MISSED_CHECK_STATUSES = MISSED_CHECK_STATUSES;
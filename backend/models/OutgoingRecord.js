@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const SOURCE_TYPES = ['elaborated', 'delivery'];
+
+const OutgoingRecordSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  // Campos de trazabilidad
+  registeredBy: { 
+    type: String, 
+    required: true,
+    trim: true 
+  },
+  registeredById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  registeredAt: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  },
+  
+  // Usuario responsable de la salida
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  productName: { 
+    type: String, 
+    required: [true, 'El nombre del producto es requerido'],
+    trim: true 
+  },
+  quantity: { 
+    type: String, 
+    required: [true, 'La cantidad es requerida'],
+    trim: true 
+  },
+  lotIdentifier: { 
+    type: String, 
+    required: [true, 'El lote o identificador es requerido'],
+    trim: true 
+  },
+  destinationType: { 
+    type: String, 
+    enum: ['sucursal', 'consumidor'], 
+    required: true 
+  },
+  destination: { 
+    type: String, 
+    required: [true, 'El destino es requerido'],
+    trim: true 
+  },
+  date: { 
+    type: Date, 
+    required: true 
+  },
+  // Lote expedido: un producto elaborado o una recepción (vacío en salidas sin vincular)
+  sourceType: { 
+    type: String, 
+    enum: SOURCE_TYPES 
+  },
+  sourceRecordId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    required: function() { return Boolean(this.sourceType); } 
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+OutgoingRecordSchema.index({ organizationId: 1, date: -1 });
+OutgoingRecordSchema.index({ organizationId: 1, lotIdentifier: 1 });
+OutgoingRecordSchema.index({ organizationId: 1, sourceRecordId: 1 });
+// Búsqueda de texto por organización (api/records/:type/search)
+OutgoingRecordSchema.index(
+  { organizationId: 1, productName: 'text', lotIdentifier: 'text', destination: 'text', destinationType: 'text' },
+  { default_language: 'spanish', name: 'outgoingRecord_text_search' }
+);
+
+module.exports = mongoose.model('OutgoingRecord', OutgoingRecordSchema);
+module.exports.SOURCE_TYPES = SOURCE_TYPES;
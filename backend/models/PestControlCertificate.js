@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Contenido del certificado de servicio de una visita de control de plagas.
+// Se guarda aparte para que el historial de visitas no cargue los archivos.
+const PestControlCertificateSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  visitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PestControlVisit',
+    required: true,
+    unique: true
+  },
+
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true
+  },
+
+  // Campos de trazabilidad
+  uploadedBy: {
+    type: String,
+    trim: true
+  },
+  uploadedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PestControlCertificate', PestControlCertificateSchema);
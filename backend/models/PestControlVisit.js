@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const DocumentInfoSchema = require('../utils/documentInfo');
+const { PEST_ACTIVITY_LEVELS } = require('./PestStation');
+
+// Resultado de la revisión de una estación. El número y la ubicación se copian
+// para que el historial se conserve aunque la estación se modifique o elimine.
+const PestFindingSchema = new mongoose.Schema({
+  stationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PestStation',
+    required: true
+  },
+  stationNumber: {
+    type: Number,
+    required: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  activity: {
+    type: String,
+    enum: PEST_ACTIVITY_LEVELS,
+    required: [true, 'La actividad detectada es requerida']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+    default: ''
+  },
+  // Incidencia abierta automáticamente al superar el umbral de la estación
+  incidentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    default: null
+  }
+}, { _id: false });
+
+const AppliedProductSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'El nombre del producto es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre del producto no puede exceder 100 caracteres']
+  },
+  // Número de inscripción en el Registro Oficial de Biocidas
+  registrationNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'El número de registro no puede exceder 50 caracteres'],
+    default: ''
+  },
+  quantity: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'La cantidad no puede exceder 50 caracteres'],
+    default: ''
+  }
+}, { _id: false });
+
+// Visita periódica de la empresa externa de control de plagas
+const PestControlVisitSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+
+  // Campos de trazabilidad
+  registeredBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  registeredById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  visitDate: {
+    type: Date,
+    required: [true, 'La fecha de la visita es requerida']
+  },
+  company: {
+    type: String,
+    required: [true, 'La empresa es requerida'],
+    trim: true,
+    maxlength: [100, 'La empresa no puede exceder 100 caracteres']
+  },
+  technician: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El técnico no puede exceder 100 caracteres'],
+    default: ''
+  },
+  // Número del carné de aplicador de biocidas del técnico
+  technicianCertificate: {
+    type: String,
+    required: [true, 'El número de carné del técnico es requerido'],
+    trim: true,
+    maxlength: [50, 'El número de carné no puede exceder 50 caracteres']
+  },
+  findings: [PestFindingSchema],
+  productsApplied: [AppliedProductSchema],
+  observations: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Las observaciones no pueden exceder 1000 caracteres'],
+    default: ''
+  },
+
+  // Certificado del servicio emitido por la empresa (el contenido se guarda en PestControlCertificate)
+  certificate: {
+    type: DocumentInfoSchema,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+PestControlVisitSchema.index({ organizationId: 1, visitDate: -1 });
+PestControlVisitSchema.index({ organizationId: 1, 'findings.stationId': 1 });
+
+module.exports = mongoose.model('PestControlVisit', PestControlVisitSchema);
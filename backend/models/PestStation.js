@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const PEST_STATION_TYPES = ['Cebadero de roedores', 'Trampa mecánica', 'Trampa adhesiva', 'Lámpara UV', 'Trampa de feromonas'];
+// Niveles de actividad que anota la empresa de control de plagas en cada estación, de menor a mayor
+const PEST_ACTIVITY_LEVELS = ['Sin actividad', 'Baja', 'Media', 'Alta'];
+
+// Estación de cebo o trampa del plan de control de plagas, numerada como en el plano del establecimiento
+const PestStationSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+
+  // Número de la estación en el plano
+  number: {
+    type: Number,
+    required: [true, 'El número de la estación es requerido'],
+    min: [1, 'El número de la estación debe ser mayor que 0']
+  },
+  location: {
+    type: String,
+    required: [true, 'La ubicación es requerida'],
+    trim: true,
+    maxlength: [100, 'La ubicación no puede exceder 100 caracteres']
+  },
+  type: {
+    type: String,
+    enum: PEST_STATION_TYPES,
+    required: [true, 'El tipo de estación es requerido']
+  },
+  // Nivel de actividad a partir del cual un hallazgo abre una incidencia
+  incidentThreshold: {
+    type: String,
+    enum: PEST_ACTIVITY_LEVELS.slice(1),
+    default: 'Media'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+PestStationSchema.index({ organizationId: 1, number: 1 });
+
+// Método para comprobar si una actividad alcanza el umbral de incidencia de la estación
+PestStationSchema.methods.reachesThreshold = function(activity) {
+  return PEST_ACTIVITY_LEVELS.indexOf(activity) >= PEST_ACTIVITY_LEVELS.indexOf(this.incidentThreshold);
+};
+
+module.exports = mongoose.model('PestStation', PestStationSchema);
+module.exports.PEST_STATION_TYPES = PEST_STATION_TYPES;
+module.exports.PEST_ACTIVITY_LEVELS = PEST_ACTIVITY_LEVELS;
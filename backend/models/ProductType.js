@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const ProductTypeSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  name: { 
+    type: String, 
+    required: [true, 'El nombre del tipo de producto es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  optimalTemp: { 
+    type: Number, 
+    required: [true, 'La temperatura óptima es requerida'],
+    min: [-50, 'La temperatura óptima no puede ser inferior a -50°C'],
+    max: [100, 'La temperatura óptima no puede ser superior a 100°C']
+  },
+  // Tolerancias de recepción (°C de desviación respecto a la temperatura óptima).
+  // Hasta toleranceX se acepta, hasta rejectX se acepta con observaciones y por encima se rechaza.
+  // Sin límite por debajo (null) no se penaliza recibir el producto más frío.
+  toleranceAbove: { 
+    type: Number, 
+    min: [0, 'La tolerancia no puede ser negativa'],
+    default: 2 
+  },
+  rejectAbove: { 
+    type: Number, 
+    min: [0, 'El límite de rechazo no puede ser negativo'],
+    default: 5 
+  },
+  toleranceBelow: { 
+    type: Number, 
+    min: [0, 'La tolerancia no puede ser negativa'],
+    default: null 
+  },
+  rejectBelow: { 
+    type: Number, 
+    min: [0, 'El límite de rechazo no puede ser negativo'],
+    default: null 
+  },
+  // Valor del catálogo "categories" de la organización (api/config)
+  category: { 
+    type: String, 
+    trim: true,
+    maxlength: [100, 'La categoría no puede exceder 100 caracteres']
+  },
+  
+  // Los tipos con registros de recepción se archivan en lugar de eliminarse
+  isArchived: { 
+    type: Boolean, 
+    default: false 
+  },
+  archivedAt: { 
+    type: Date, 
+    default: null 
+  },
+  
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+ProductTypeSchema.index({ organizationId: 1, isArchived: 1, name: 1 });
+// Búsqueda de texto por organización (api/records/:type/search)
+ProductTypeSchema.index(
+  { organizationId: 1, name: 'text' },
+  { default_language: 'spanish', name: 'productType_text_search' }
+);
+
+// Los límites de rechazo no pueden ser más estrictos que las tolerancias
+ProductTypeSchema.pre('validate', function(next) {
+  if (this.toleranceAbove != null && this.rejectAbove != null && this.rejectAbove < this.toleranceAbove) {
+    this.invalidate('rejectAbove', 'El límite de rechazo no puede ser menor que la tolerancia');
+  }
+  if (this.toleranceBelow != null && this.rejectBelow != null && this.rejectBelow < this.toleranceBelow) {
+    this.invalidate('rejectBelow', 'El límite de rechazo no puede ser menor que la tolerancia');
+  }
+  next();
+});
+
+// Método para clasificar la temperatura de una recepción según las tolerancias del producto
+ProductTypeSchema.methods.classifyTemperature = function(temperature) {
+  const deviation = Math.round((temperature - this.optimalTemp) * 10) / 10;
+  const [tolerance, reject] = deviation > 0
+    ? [this.toleranceAbove, this.rejectAbove]
+    : [this.toleranceBelow, this.rejectBelow];
+  const excess = Math.abs(deviation);
+
+  let status = 'accepted';
+  if (reject != null && excess > reject) status = 'rejected';
+  else if (tolerance != null && excess > tolerance) status = 'accepted_with_remark';
+
+  return { status, deviation };
+};
+
+module.exports = mongoose.model('ProductType', ProductTypeSchema);
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+
+// Origen de la lectura: control manual o registrador de datos (sonda)
+const STORAGE_RECORD_SOURCES = ['manual', 'logger'];
+
+// Las lecturas de las sondas no las registra ningún usuario
+function isManualRecord() {
+  return this.source !== 'logger';
+}
+
+const StorageRecordSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  // Campos de trazabilidad
+  registeredBy: { 
+    type: String, 
+    required: true,
+    trim: true 
+  },
+  registeredById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: isManualRecord 
+  },
+  registeredAt: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  },
+  
+  // Campos del registro (mantener compatibilidad)
+  userId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: isManualRecord 
+  },
+  unitId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'StorageUnit', 
+    required: true 
+  },
+  dateTime: { 
+    type: Date, 
+    required: true 
+  },
+  temperature: { 
+    type: Number, 
+    required: [true, 'La temperatura es requerida'] 
+  },
+  humidity: { 
+    type: Number, 
+    required: false,
+    min: [0, 'La humedad no puede ser negativa'],
+    max: [100, 'La humedad no puede superar el 100%']
+  },
+  rotationCheck: { 
+    type: Boolean, 
+    default: false 
+  },
+  mincingCheck: { 
+    type: Boolean, 
+    default: false 
+  },
+  // Calculado al guardar a partir del rango de la cámara
+  isOutOfRange: { 
+    type: Boolean, 
+    default: false 
+  },
+  source: {
+    type: String,
+    enum: STORAGE_RECORD_SOURCES,
+    default: 'manual'
+  },
+  loggerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DataLogger',
+    default: null
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+StorageRecordSchema.index({ organizationId: 1, dateTime: -1 });
+StorageRecordSchema.index({ organizationId: 1, unitId: 1, dateTime: -1 });
+StorageRecordSchema.index({ organizationId: 1, isOutOfRange: 1 });
+StorageRecordSchema.index({ organizationId: 1, source: 1, dateTime: -1 });
+StorageRecordSchema.index({ loggerId: 1, dateTime: 1 });
+
+// Estadísticas de temperatura por cámara (lecturas, fuera de rango y temperatura media/mínima/máxima)
+StorageRecordSchema.statics.getTemperatureStats = function(organizationId, { dateRange, unitId } = {}) {
+  const match = { organizationId: new mongoose.Types.ObjectId(organizationId) };
+  if (dateRange) match.dateTime = dateRange;
+  if (unitId) match.unitId = new mongoose.Types.ObjectId(unitId);
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$unitId',
+        totalReadings: { $sum: 1 },
+        outOfRangeCount: { $sum: { $cond: ['$isOutOfRange', 1, 0] } },
+        avgTemp: { $avg: '$temperature' },
+        minTemp: { $min: '$temperature' },
+        maxTemp: { $max: '$temperature' },
+        lastReadingAt: { $max: '$dateTime' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'storageunits',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'unit'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        unitId: '$_id',
+        unitName: { $ifNull: [{ $arrayElemAt: ['$unit.name', 0] }, null] },
+        totalReadings: 1,
+        outOfRangeCount: 1,
+        avgTemp: { $round: ['$avgTemp', 1] },
+        minTemp: 1,
+        maxTemp: 1,
+        lastReadingAt: 1
+      }
+    },
+    { $sort: { unitName: 1 } }
+  ]);
+};
+
+// Serie de temperatura de una cámara agrupada en intervalos de bucketMinutes
+// (media, mínima, máxima y lecturas fuera de rango de cada intervalo)
+StorageRecordSchema.statics.getDownsampledSeries = function(organizationId, { unitId, dateRange, bucketMinutes }) {
+  const match = {
+    organizationId: new mongoose.Types.ObjectId(organizationId),
+    unitId: new mongoose.Types.ObjectId(unitId)
+  };
+  if (dateRange) match.dateTime = dateRange;
+
+  const bucketMs = bucketMinutes * 60 * 1000;
+  const time = { $toLong: '$dateTime' };
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $subtract: [time, { $mod: [time, bucketMs] }] },
+        readings: { $sum: 1 },
+        outOfRangeCount: { $sum: { $cond: ['$isOutOfRange', 1, 0] } },
+        avgTemp: { $avg: '$temperature' },
+        minTemp: { $min: '$temperature' },
+        maxTemp: { $max: '$temperature' }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        dateTime: { $toDate: '$_id' },
+        readings: 1,
+        outOfRangeCount: 1,
+        avgTemp: { $round: ['$avgTemp', 1] },
+        minTemp: 1,
+        maxTemp: 1
+      }
+    }
+  ]);
+};
+
+module.exports = mongoose.model('StorageRecord', StorageRecordSchema);
+module.exports.STORAGE_RECORD_SOURCES = STORAGE_RECORD_SOURCES;
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// Zona horaria en la que se interpretan las horas de la programación de controles
+const DEFAULT_MONITORING_TIMEZONE = process.env.MONITORING_TIMEZONE || 'Europe/Madrid';
+const DEFAULT_GRACE_MINUTES = 60;
+const SCHEDULE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('es-ES', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const StorageUnitSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  name: { 
+    type: String, 
+    required: [true, 'El nombre de la cámara es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  // Valor del catálogo "storage-types" de la organización (api/config); sin tipo, el primero del catálogo
+  type: { 
+    type: String, 
+    trim: true,
+    maxlength: [100, 'El tipo de cámara no puede exceder 100 caracteres']
+  },
+  minTemp: { 
+    type: Number, 
+    required: false 
+  },
+  maxTemp: { 
+    type: Number, 
+    required: false 
+  },
+
+  // Programación de controles: horas diarias a las que debe registrarse una lectura.
+  // Sin horas la cámara no tiene controles programados (utils/missedChecks)
+  monitoringSchedule: {
+    times: [{
+      type: String,
+      match: [SCHEDULE_TIME_PATTERN, 'Las horas de control deben tener el formato HH:mm']
+    }],
+    // Margen antes y después de cada hora en el que una lectura cuenta como control realizado
+    graceMinutes: {
+      type: Number,
+      min: [5, 'La tolerancia mínima es de 5 minutos'],
+      max: [720, 'La tolerancia máxima es de 12 horas'],
+      default: DEFAULT_GRACE_MINUTES
+    },
+    timezone: {
+      type: String,
+      default: DEFAULT_MONITORING_TIMEZONE
+    },
+    // Desde cuándo rige la programación actual: no se buscan controles anteriores
+    activeSince: {
+      type: Date,
+      default: null
+    }
+  },
+  
+  // Campos de trazabilidad
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+StorageUnitSchema.index({ organizationId: 1, name: 1 });
+// Búsqueda de texto por organización (api/records/:type/search)
+StorageUnitSchema.index(
+  { organizationId: 1, name: 'text' },
+  { default_language: 'spanish', name: 'storageUnit_text_search' }
+);
+
+// El rango óptimo debe ser coherente
+StorageUnitSchema.pre('validate', function(next) {
+  if (this.minTemp != null && this.maxTemp != null && this.minTemp > this.maxTemp) {
+    this.invalidate('minTemp', 'La temperatura mínima no puede ser mayor que la máxima');
+  }
+
+  const schedule = this.monitoringSchedule;
+  if (schedule && schedule.times.length > 0) {
+    const minutes = [...new Set(schedule.times)].sort().map(toMinutes);
+    if (minutes.length !== schedule.times.length) {
+      this.invalidate('monitoringSchedule.times', 'Las horas de control no pueden repetirse');
+    }
+    // Cada lectura solo puede contar para un control: las ventanas no deben solaparse
+    const gaps = minutes.map((minute, i) => (i > 0 ? minute - minutes[i - 1] : minute + 24 * 60 - minutes[minutes.length - 1]));
+    if (minutes.length > 1 && Math.min(...gaps) < schedule.graceMinutes * 2) {
+      this.invalidate('monitoringSchedule.graceMinutes', 'La tolerancia no puede superar la mitad del intervalo entre controles');
+    }
+    if (!isValidTimezone(schedule.timezone)) {
+      this.invalidate('monitoringSchedule.timezone', 'Zona horaria no válida');
+    }
+  }
+  next();
+});
+
+// Un cambio en la programación rige desde ese momento; los controles no realizados
+// con la programación anterior se conservan
+StorageUnitSchema.pre('save', function(next) {
+  const scheduleChanged = ['times', 'graceMinutes', 'timezone'].some(field => this.isModified(`monitoringSchedule.${field}`));
+  if (this.isNew || scheduleChanged) {
+    this.monitoringSchedule.times = [...this.monitoringSchedule.times].sort();
+    this.monitoringSchedule.activeSince = this.monitoringSchedule.times.length > 0 ? new Date() : null;
+  }
+  next();
+});
+
+// Método para comprobar si una temperatura está fuera del rango óptimo
+StorageUnitSchema.methods.isTemperatureOutOfRange = function(temperature) {
+  if (this.minTemp != null && temperature < this.minTemp) return true;
+  if (this.maxTemp != null && temperature > this.maxTemp) return true;
+  return false;
+};
+
+// Método para comprobar si la cámara tiene controles programados
+StorageUnitSchema.methods.hasMonitoringSchedule = function() {
+  return Boolean(this.monitoringSchedule && this.monitoringSchedule.times.length > 0);
+};
+
+module.exports = mongoose.model('StorageUnit', StorageUnitSchema);
+module.exports.DEFAULT_MONITORING_TIMEZONE = DEFAULT_MONITORING_TIMEZONE;
+module.exports.DEFAULT_GRACE_MINUTES = DEFAULT_GRACE_MINUTES;
+module.exports.SCHEDULE_TIME_PATTERN = SCHEDULE_TIME_PATTERN;
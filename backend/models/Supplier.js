@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const SupplierSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  name: { 
+    type: String, 
+    required: [true, 'El nombre del proveedor es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre no puede exceder 200 caracteres']
+  },
+  
+  // Los proveedores con registros de recepción se archivan en lugar de eliminarse
+  isArchived: { 
+    type: Boolean, 
+    default: false 
+  },
+  archivedAt: { 
+    type: Date, 
+    default: null 
+  },
+  
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+SupplierSchema.index({ organizationId: 1, isArchived: 1, name: 1 });
+// Búsqueda de texto por organización (api/records/:type/search)
+SupplierSchema.index(
+  { organizationId: 1, name: 'text' },
+  { default_language: 'spanish', name: 'supplier_text_search' }
+);
+
+module.exports = mongoose.model('Supplier', SupplierSchema);
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const SheetIngredientSchema = new mongoose.Schema({
+  name: { 
+    type: String, 
+    required: [true, 'El nombre del ingrediente es requerido'],
+    trim: true 
+  },
+  lot: { 
+    type: String, 
+    required: [true, 'El lote del ingrediente es requerido'],
+    trim: true 
+  },
+  isAllergen: { 
+    type: Boolean, 
+    default: false 
+  }
+}, { _id: false });
+
+// Campos de contenido de la ficha, compartidos con sus revisiones
+const sheetContentFields = {
+  productName: { 
+    type: String, 
+    required: [true, 'La denominación del producto es requerida'],
+    trim: true 
+  },
+  ingredients: {
+    type: [SheetIngredientSchema],
+    validate: [arr => arr.length > 0, 'Debe indicar al menos un ingrediente']
+  },
+  elaboration: { 
+    type: String, 
+    trim: true,
+    default: '' 
+  },
+  presentation: { 
+    type: String, 
+    trim: true,
+    default: '' 
+  },
+  shelfLife: { 
+    type: String, 
+    trim: true,
+    default: '' 
+  },
+  labeling: { 
+    type: String, 
+    trim: true,
+    default: '' 
+  }
+};
+
+const CONTENT_FIELDS = Object.keys(sheetContentFields);
+
+const TechnicalSheetSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  // Campos de trazabilidad
+  registeredBy: { 
+    type: String, 
+    required: true,
+    trim: true 
+  },
+  registeredById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  registeredAt: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  },
+  
+  ...sheetContentFields,
+  
+  // Revisión vigente de la ficha
+  revision: { 
+    type: Number, 
+    required: true,
+    min: 1,
+    default: 1 
+  },
+  revisionDate: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  }
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+TechnicalSheetSchema.index({ organizationId: 1, productName: 1 });
+// Búsqueda de texto por organización (api/records/:type/search)
+TechnicalSheetSchema.index(
+  { organizationId: 1, productName: 'text', 'ingredients.name': 'text', 'ingredients.lot': 'text' },
+  { default_language: 'spanish', name: 'technicalSheet_text_search' }
+);
+
+// Método para obtener el contenido de la ficha que se guarda en cada revisión
+TechnicalSheetSchema.methods.getContent = function() {
+  return CONTENT_FIELDS.reduce((content, field) => {
+    content[field] = this[field];
+    return content;
+  }, {});
+};
+
+module.exports = mongoose.model('TechnicalSheet', TechnicalSheetSchema);
+module.exports.sheetContentFields = sheetContentFields;
+module.exports.CONTENT_FIELDS = CONTENT_FIELDS;
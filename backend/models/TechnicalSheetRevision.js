@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { sheetContentFields } = require('./TechnicalSheet');
+
+// Copia inmutable de una ficha técnica tal y como estaba vigente desde effectiveFrom
+const TechnicalSheetRevisionSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  sheetId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'TechnicalSheet', 
+    required: true 
+  },
+  revision: { 
+    type: Number, 
+    required: true,
+    min: 1 
+  },
+  effectiveFrom: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  },
+  changeReason: { 
+    type: String, 
+    trim: true,
+    default: '' 
+  },
+  
+  // Campos de trazabilidad
+  registeredBy: { 
+    type: String, 
+    required: true,
+    trim: true 
+  },
+  registeredById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  
+  ...sheetContentFields
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+TechnicalSheetRevisionSchema.index({ organizationId: 1, sheetId: 1, revision: -1 }, { unique: true });
+TechnicalSheetRevisionSchema.index({ organizationId: 1, sheetId: 1, effectiveFrom: -1 });
+
+// Crea la revisión que congela el contenido vigente de la ficha
+TechnicalSheetRevisionSchema.statics.fromSheet = function(sheet, user, changeReason = '') {
+  return new this({
+    organizationId: sheet.organizationId,
+    sheetId: sheet._id,
+    revision: sheet.revision,
+    effectiveFrom: sheet.revisionDate,
+    changeReason,
+    registeredBy: user.name,
+    registeredById: user.id,
+    ...sheet.getContent()
+  });
+};
+
+module.exports = mongoose.model('TechnicalSheetRevision', TechnicalSheetRevisionSchema);
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+const EXCURSION_STATUSES = ['Abierta', 'Reconocida', 'Cerrada'];
+const EXCURSION_DIRECTIONS = ['above', 'below'];
+
+// Transiciones de estado permitidas: se reconoce al verla y se cierra con la acción correctiva
+const STATUS_TRANSITIONS = {
+  'Abierta': ['Reconocida'],
+  'Reconocida': ['Cerrada'],
+  'Cerrada': []
+};
+
+// Excursión de temperatura: lecturas consecutivas de una cámara fuera de su rango.
+// Las métricas se recalculan a partir de la serie de registros (utils/temperatureExcursions);
+// el estado y la acción correctiva los gestionan los usuarios.
+const TemperatureExcursionSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  unitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StorageUnit',
+    required: true
+  },
+
+  // Por encima de maxTemp o por debajo de minTemp
+  direction: {
+    type: String,
+    enum: EXCURSION_DIRECTIONS,
+    required: true
+  },
+  // Límite del rango superado al detectar la excursión
+  limit: {
+    type: Number,
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  // Primera lectura de nuevo dentro de rango (null mientras sigue en curso)
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  lastReadingAt: {
+    type: Date,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    default: 0
+  },
+  peakTemperature: {
+    type: Number,
+    required: true
+  },
+  // Grados por encima (o por debajo) del límite en la lectura más desfavorable
+  peakDeviation: {
+    type: Number,
+    required: true
+  },
+  readingsCount: {
+    type: Number,
+    default: 1
+  },
+
+  status: {
+    type: String,
+    enum: EXCURSION_STATUSES,
+    default: 'Abierta'
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  acknowledgedBy: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  acknowledgedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Obligatoria para cerrar la excursión
+  correctiveAction: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'La acción correctiva no puede exceder 1000 caracteres'],
+    default: ''
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  closedBy: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  closedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+TemperatureExcursionSchema.index({ organizationId: 1, unitId: 1, startedAt: -1 });
+TemperatureExcursionSchema.index({ organizationId: 1, status: 1, startedAt: -1 });
+
+// Virtual: la excursión sigue en curso si aún no hay una lectura dentro de rango
+TemperatureExcursionSchema.virtual('isOngoing').get(function() {
+  return !this.endedAt;
+});
+
+// Método para comprobar si se puede pasar al estado indicado
+TemperatureExcursionSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Método para cambiar de estado dejando constancia de quién y cuándo
+TemperatureExcursionSchema.methods.setStatus = function(status, user, correctiveAction = '') {
+  if (status === 'Reconocida') {
+    this.acknowledgedAt = new Date();
+    this.acknowledgedBy = user.name;
+    this.acknowledgedById = user.id;
+  } else if (status === 'Cerrada') {
+    this.correctiveAction = correctiveAction;
+    this.closedAt = new Date();
+    this.closedBy = user.name;
+    this.closedById = user.id;
+  }
+
+  this.status = status;
+};
+
+module.exports = mongoose.model('TemperatureExcursion', TemperatureExcursionSchema);
+module.exports.EXCURSION_STATUSES = EXCURSION_STATUSES;
+module.exports.EXCURSION_DIRECTIONS = EXCURSION_DIRECTIONS;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Contenido del certificado de una formación (certificado de manipulador de alimentos, diploma...).
+// Se guarda aparte para que el listado de formaciones no cargue los archivos.
+const TrainingCertificateSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  recordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingRecord',
+    required: true,
+    unique: true
+  },
+
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true
+  },
+
+  // Campos de trazabilidad
+  uploadedBy: {
+    type: String,
+    trim: true
+  },
+  uploadedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TrainingCertificate', TrainingCertificateSchema);
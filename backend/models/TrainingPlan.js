@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Estados de una acción formativa del plan de formación
+const TRAINING_PLAN_STATUSES = ['Planificada', 'Realizada', 'Cancelada'];
+
+// Acción formativa del plan anual de formación de la organización
+const TrainingPlanSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'El nombre de la formación es requerido'],
+    trim: true,
+    maxlength: [200, 'El nombre de la formación no puede exceder 200 caracteres']
+  },
+  year: {
+    type: Number,
+    required: [true, 'El año del plan es requerido'],
+    min: [2000, 'El año del plan no es válido'],
+    max: [2100, 'El año del plan no es válido']
+  },
+  plannedDate: {
+    type: Date,
+    default: null
+  },
+  hours: {
+    type: Number,
+    min: [0, 'Las horas no pueden ser negativas'],
+    max: [1000, 'Las horas no pueden exceder 1000'],
+    default: null
+  },
+  provider: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La entidad formadora no puede exceder 200 caracteres'],
+    default: ''
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'La descripción no puede exceder 1000 caracteres'],
+    default: ''
+  },
+  // Trabajadores a los que va dirigida (vacío = toda la plantilla)
+  participantIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  status: {
+    type: String,
+    enum: TRAINING_PLAN_STATUSES,
+    default: 'Planificada'
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+TrainingPlanSchema.index({ organizationId: 1, year: -1, plannedDate: 1 });
+
+module.exports = mongoose.model('TrainingPlan', TrainingPlanSchema);
+module.exports.TRAINING_PLAN_STATUSES = TRAINING_PLAN_STATUSES;
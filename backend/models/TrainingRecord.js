@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const DocumentInfoSchema = require('../utils/documentInfo');
+
+// Formación recibida por un trabajador (p. ej. manipulador de alimentos), con su certificado y caducidad
+const TrainingRecordSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+
+  // Campos de trazabilidad
+  registeredBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  registeredById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El trabajador es requerido']
+  },
+  // Nombre del trabajador al registrar la formación: el registro se conserva aunque se elimine el usuario
+  userName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Acción del plan de formación a la que corresponde (opcional)
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TrainingPlan',
+    default: null
+  },
+  course: {
+    type: String,
+    required: [true, 'El curso es requerido'],
+    trim: true,
+    maxlength: [200, 'El curso no puede exceder 200 caracteres']
+  },
+  trainingDate: {
+    type: Date,
+    required: [true, 'La fecha de la formación es requerida']
+  },
+  hours: {
+    type: Number,
+    required: [true, 'Las horas de formación son requeridas'],
+    min: [0, 'Las horas no pueden ser negativas'],
+    max: [1000, 'Las horas no pueden exceder 1000']
+  },
+  provider: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'La entidad formadora no puede exceder 200 caracteres'],
+    default: ''
+  },
+  // Fecha de caducidad del certificado (null si no caduca)
+  expiryDate: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+    default: ''
+  },
+  // Datos del certificado (el contenido se guarda en TrainingCertificate)
+  certificate: {
+    type: DocumentInfoSchema,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+TrainingRecordSchema.index({ organizationId: 1, trainingDate: -1 });
+TrainingRecordSchema.index({ organizationId: 1, userId: 1, expiryDate: -1 });
+
+TrainingRecordSchema.pre('validate', function(next) {
+  if (this.expiryDate && this.trainingDate && this.expiryDate < this.trainingDate) {
+    this.invalidate('expiryDate', 'La caducidad del certificado no puede ser anterior a la fecha de la formación');
+  }
+  next();
+});
+
+module.exports = mongoose.model('TrainingRecord', TrainingRecordSchema);
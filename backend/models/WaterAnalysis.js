@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const DocumentInfoSchema = require('../utils/documentInfo');
+
+// Tipos de análisis de laboratorio del agua de consumo
+const WATER_ANALYSIS_TYPES = ['Control', 'Completo', 'Grifo del consumidor', 'Otro'];
+const WATER_ANALYSIS_RESULTS = ['Apto', 'No apto'];
+
+// Análisis periódico del agua realizado por un laboratorio, con su informe adjunto
+const WaterAnalysisSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+
+  // Campos de trazabilidad
+  registeredBy: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  registeredById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Punto donde se tomó la muestra (opcional: puede ser un análisis de toda la red)
+  pointId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaterSamplingPoint',
+    default: null
+  },
+  sampleDate: {
+    type: Date,
+    required: [true, 'La fecha de toma de muestra es requerida']
+  },
+  laboratory: {
+    type: String,
+    required: [true, 'El laboratorio es requerido'],
+    trim: true,
+    maxlength: [100, 'El laboratorio no puede exceder 100 caracteres']
+  },
+  analysisType: {
+    type: String,
+    enum: WATER_ANALYSIS_TYPES,
+    required: [true, 'El tipo de análisis es requerido']
+  },
+  result: {
+    type: String,
+    enum: WATER_ANALYSIS_RESULTS,
+    required: [true, 'El resultado del análisis es requerido']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Las observaciones no pueden exceder 1000 caracteres'],
+    default: ''
+  },
+  // Datos del informe del laboratorio (el contenido se guarda en WaterAnalysisReport)
+  report: {
+    type: DocumentInfoSchema,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+WaterAnalysisSchema.index({ organizationId: 1, sampleDate: -1 });
+
+module.exports = mongoose.model('WaterAnalysis', WaterAnalysisSchema);
+module.exports.WATER_ANALYSIS_TYPES = WATER_ANALYSIS_TYPES;
+module.exports.WATER_ANALYSIS_RESULTS = WATER_ANALYSIS_RESULTS;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Contenido del informe de un análisis de agua del laboratorio.
+// Se guarda aparte para que el listado de análisis no cargue los archivos.
+const WaterAnalysisReportSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  analysisId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaterAnalysis',
+    required: true,
+    unique: true
+  },
+
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true
+  },
+
+  // Campos de trazabilidad
+  uploadedBy: {
+    type: String,
+    trim: true
+  },
+  uploadedById: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('WaterAnalysisReport', WaterAnalysisReportSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { WATER_PARAMETERS } = require('./WaterSamplingPoint');
+
+// Lectura diaria de cloro libre residual y pH en un punto de muestreo
+const WaterRecordSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'Organization', 
+    required: true,
+    index: true 
+  },
+  
+  // Campos de trazabilidad
+  registeredBy: { 
+    type: String, 
+    required: true,
+    trim: true 
+  },
+  registeredById: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'User', 
+    required: true 
+  },
+  registeredAt: { 
+    type: Date, 
+    required: true,
+    default: Date.now 
+  },
+  
+  // Campos del registro
+  pointId: { 
+    type: mongoose.Schema.Types.ObjectId, 
+    ref: 'WaterSamplingPoint', 
+    required: true 
+  },
+  dateTime: { 
+    type: Date, 
+    required: true 
+  },
+  // Cloro libre residual en mg/L
+  freeChlorine: { 
+    type: Number, 
+    required: [true, 'El cloro libre es requerido'],
+    min: [0, 'El cloro libre no puede ser negativo']
+  },
+  ph: { 
+    type: Number, 
+    required: [true, 'El pH es requerido'],
+    min: [0, 'El pH debe estar entre 0 y 14'],
+    max: [14, 'El pH debe estar entre 0 y 14']
+  },
+  // Medidas adoptadas u observaciones de la lectura
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Las observaciones no pueden exceder 500 caracteres'],
+    default: ''
+  },
+  // Calculados al guardar a partir de los rangos del punto de muestreo
+  isOutOfRange: { 
+    type: Boolean, 
+    default: false 
+  },
+  outOfRangeParameters: [{
+    type: String,
+    enum: WATER_PARAMETERS
+  }]
+}, { 
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+WaterRecordSchema.index({ organizationId: 1, dateTime: -1 });
+WaterRecordSchema.index({ organizationId: 1, pointId: 1, dateTime: -1 });
+WaterRecordSchema.index({ organizationId: 1, isOutOfRange: 1 });
+
+// Recalcula el fuera de rango con los límites actuales del punto de muestreo
+WaterRecordSchema.methods.applyRanges = function(point) {
+  this.outOfRangeParameters = point.getOutOfRangeParameters(this.freeChlorine, this.ph);
+  this.isOutOfRange = this.outOfRangeParameters.length > 0;
+};
+
+module.exports = mongoose.model('WaterRecord', WaterRecordSchema);
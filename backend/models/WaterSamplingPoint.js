@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Parámetros que se controlan a diario en cada punto de muestreo
+const WATER_PARAMETERS = ['freeChlorine', 'ph'];
+
+// Valores paramétricos de referencia para agua de consumo humano (cloro libre residual en mg/L)
+const DEFAULT_WATER_RANGES = {
+  chlorineMin: 0.2,
+  chlorineMax: 1,
+  phMin: 6.5,
+  phMax: 9.5
+};
+
+// Punto de muestreo del agua de autoabastecimiento (grifo, depósito, entrada de la red...)
+const WaterSamplingPointSchema = new mongoose.Schema({
+  // Multi-tenant field
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'El nombre del punto de muestreo es requerido'],
+    trim: true,
+    maxlength: [100, 'El nombre no puede exceder 100 caracteres']
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La ubicación no puede exceder 100 caracteres'],
+    default: ''
+  },
+
+  // Rangos aceptables de cloro libre residual (mg/L) y pH
+  chlorineMin: {
+    type: Number,
+    min: [0, 'El cloro libre no puede ser negativo'],
+    default: DEFAULT_WATER_RANGES.chlorineMin
+  },
+  chlorineMax: {
+    type: Number,
+    min: [0, 'El cloro libre no puede ser negativo'],
+    default: DEFAULT_WATER_RANGES.chlorineMax
+  },
+  phMin: {
+    type: Number,
+    min: [0, 'El pH debe estar entre 0 y 14'],
+    max: [14, 'El pH debe estar entre 0 y 14'],
+    default: DEFAULT_WATER_RANGES.phMin
+  },
+  phMax: {
+    type: Number,
+    min: [0, 'El pH debe estar entre 0 y 14'],
+    max: [14, 'El pH debe estar entre 0 y 14'],
+    default: DEFAULT_WATER_RANGES.phMax
+  },
+
+  // Campos de trazabilidad
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Índices para optimización
+WaterSamplingPointSchema.index({ organizationId: 1, name: 1 });
+
+// Los rangos aceptables deben ser coherentes
+WaterSamplingPointSchema.pre('validate', function(next) {
+  if (this.chlorineMin > this.chlorineMax) {
+    this.invalidate('chlorineMin', 'El cloro libre mínimo no puede ser mayor que el máximo');
+  }
+  if (this.phMin > this.phMax) {
+    this.invalidate('phMin', 'El pH mínimo no puede ser mayor que el máximo');
+  }
+  next();
+});
+
+// Método para obtener los parámetros de una lectura que quedan fuera del rango aceptable
+WaterSamplingPointSchema.methods.getOutOfRangeParameters = function(freeChlorine, ph) {
+  const parameters = [];
+  if (freeChlorine < this.chlorineMin || freeChlorine > this.chlorineMax) parameters.push('freeChlorine');
+  if (ph < this.phMin || ph > this.phMax) parameters.push('ph');
+  return parameters;
+};
+
+module.exports = mongoose.model('WaterSamplingPoint', WaterSamplingPointSchema);
+module.exports.WATER_PARAMETERS = WATER_PARAMETERS;
+module.exports.DEFAULT_WATER_RANGES = DEFAULT_WATER_RANGES;
@@ -0,0 +1,213 @@
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateChemicalProduct, validateChemicalDocumentKind, sendMongooseValidationError } = require('../middleware/validation');
+const { uploadDocumentFile, DOCUMENT_MIME_TYPES } = require('../middleware/upload');
+const ChemicalProduct = require('../models/ChemicalProduct');
+const ChemicalDocument = require('../models/ChemicalDocument');
+const { sendAttachment } = require('../utils/attachments');
+
+// Maneja errores comunes de las rutas de productos químicos
+const handleChemicalProductError = (res, error, context) => {
+    console.error(`Error ${context}:`, error);
+
+    if (error.name === 'ValidationError') {
+        return sendMongooseValidationError(res, error);
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+    });
+};
+
+const findProduct = (req) => ChemicalProduct.findOne({ _id: req.params.id, organizationId: req.tenantId });
+
+const sendProductNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Producto químico no encontrado'
+});
+
+// @route   GET api/chemical-products
+// @desc    Registro de productos químicos de limpieza de la organización
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const products = await ChemicalProduct.find({ organizationId: req.tenantId })
+            .sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: products
+        });
+    } catch (error) {
+        handleChemicalProductError(res, error, 'obteniendo productos químicos');
+    }
+});
+
+// @route   POST api/chemical-products
+// @desc    Registrar un producto químico (nombre, fabricante, uso, dilución y autorización alimentaria)
+// @access  Private
+router.post('/', auth, addTenantContext, validateChemicalProduct, async (req, res) => {
+    try {
+        const { name, manufacturer, use, dilution, foodContactAuthorized } = req.body;
+
+        const product = new ChemicalProduct({
+            organizationId: req.tenantId,
+            name,
+            manufacturer,
+            use,
+            dilution,
+            foodContactAuthorized,
+            createdBy: req.user.id
+        });
+
+        await product.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Producto químico registrado exitosamente',
+            data: product
+        });
+    } catch (error) {
+        handleChemicalProductError(res, error, 'creando producto químico');
+    }
+});
+
+// @route   PUT api/chemical-products/:id
+// @desc    Actualizar un producto químico (los documentos se cambian por separado)
+// @access  Private
+router.put('/:id', auth, addTenantContext, validateObjectId('id'), validateChemicalProduct, async (req, res) => {
+    try {
+        const product = await findProduct(req);
+        if (!product) return sendProductNotFound(res);
+
+        ['name', 'manufacturer', 'use', 'dilution', 'foodContactAuthorized'].forEach(field => {
+            if (req.body[field] !== undefined) product[field] = req.body[field];
+        });
+        await product.save();
+
+        res.json({
+            success: true,
+            message: 'Producto químico actualizado exitosamente',
+            data: product
+        });
+    } catch (error) {
+        handleChemicalProductError(res, error, 'actualizando producto químico');
+    }
+});
+
+// @route   DELETE api/chemical-products/:id
+// @desc    Eliminar un producto químico y sus documentos (los registros de limpieza se conservan)
+// @access  Private
+router.delete('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const product = await ChemicalProduct.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+        if (!product) return sendProductNotFound(res);
+
+        await ChemicalDocument.deleteMany({ productId: product._id, organizationId: req.tenantId });
+
+        res.json({
+            success: true,
+            message: 'Producto químico eliminado exitosamente'
+        });
+    } catch (error) {
+        handleChemicalProductError(res, error, 'eliminando producto químico');
+    }
+});
+
+// ==================== DOCUMENTOS ====================
+
+// @route   POST api/chemical-products/:id/documents/:kind
+// @desc    Adjuntar la ficha de seguridad (safetyDataSheet) o la ficha técnica (technicalSheet); sustituye la anterior
+// @access  Private
+router.post('/:id/documents/:kind', auth, addTenantContext, validateObjectId('id'), validateChemicalDocumentKind, uploadDocumentFile, async (req, res) => {
+    try {
+        const product = await findProduct(req);
+        if (!product) return sendProductNotFound(res);
+
+        const { kind } = req.params;
+        const fileName = req.file.originalname;
+        const mimeType = DOCUMENT_MIME_TYPES[path.extname(fileName).toLowerCase()];
+
+        await ChemicalDocument.findOneAndUpdate(
+            { productId: product._id, kind },
+            {
+                organizationId: req.tenantId,
+                productId: product._id,
+                kind,
+                fileName,
+                mimeType,
+                data: req.file.buffer,
+                uploadedBy: req.user.name,
+                uploadedById: req.user.id
+            },
+            { upsert: true, runValidators: true }
+        );
+
+        product[kind] = { fileName, mimeType, size: req.file.size, uploadedAt: new Date() };
+        await product.save();
+
+        res.json({
+            success: true,
+            message: 'Documento adjuntado exitosamente',
+            data: product
+        });
+    } catch (error) {
+        handleChemicalProductError(res, error, 'adjuntando documento de producto químico');
+    }
+});
+
+// @route   GET api/chemical-products/:id/documents/:kind
+// @desc    Descargar la ficha de seguridad o la ficha técnica de un producto
+// @access  Private
+router.get('/:id/documents/:kind', auth, addTenantContext, validateObjectId('id'), validateChemicalDocumentKind, async (req, res) => {
+    try {
+        const document = await ChemicalDocument.findOne({
+            productId: req.params.id,
+            organizationId: req.tenantId,
+            kind: req.params.kind
+        });
+
+        if (!document) {
+            return res.status(404).json({
+                success: false,
+                message: 'Documento no encontrado'
+            });
+        }
+
+        sendAttachment(res, document);
+    } catch (error) {
+        handleChemicalProductError(res, error, 'descargando documento de producto químico');
+    }
+});
+
+// @route   DELETE api/chemical-products/:id/documents/:kind
+// @desc    Eliminar un documento adjunto de un producto
+// @access  Private
+router.delete('/:id/documents/:kind', auth, addTenantContext, validateObjectId('id'), validateChemicalDocumentKind, async (req, res) => {
+    try {
+        const product = await findProduct(req);
+        if (!product) return sendProductNotFound(res);
+
+        const { kind } = req.params;
+        await ChemicalDocument.deleteOne({ productId: product._id, organizationId: req.tenantId, kind });
+
+        product[kind] = null;
+        await product.save();
+
+        res.json({
+            success: true,
+            message: 'Documento eliminado exitosamente',
+            data: product
+        });
+    } catch (error) {
+        handleChemicalProductError(res, error, 'eliminando documento de producto químico');
+    }
+});
+
+module.exports = router;
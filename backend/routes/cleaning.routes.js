@@ -0,0 +1,528 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, addTenantContext } = require('../middleware/auth');
+const {
+    validateObjectId,
+    validateDailySurface,
+    validateFrequentArea,
+    validateCleaningRecord,
+    validateCleaningTasks,
+    sendMongooseValidationError
+} = require('../middleware/validation');
+const { buildDateRangeFilter, getPaginationParams, buildPaginationInfo } = require('../utils/queryHelpers');
+const { findOrganizationUser } = require('../utils/tenantHelpers');
+const DailySurface = require('../models/DailySurface');
+const DailyCleaningRecord = require('../models/DailyCleaningRecord');
+const FrequentArea = require('../models/FrequentArea');
+const ChemicalProduct = require('../models/ChemicalProduct');
+const { CLEANING_PLAN_FIELDS } = require('../utils/cleaningPlan');
+const { getCleaningTasks } = require('../utils/cleaningTasks');
+
+// El producto químico de un registro, si se indica, debe pertenecer a la organización
+const isOrganizationProduct = async (req, productId) =>
+    !productId || Boolean(await ChemicalProduct.exists({ _id: productId, organizationId: req.tenantId }));
+
+// Copia en la superficie o zona los campos del Plan L+D enviados en la petición
+const applyCleaningPlan = (item, body) => {
+    CLEANING_PLAN_FIELDS.forEach(field => {
+        if (body[field] !== undefined) item[field] = body[field];
+    });
+};
+
+// ==================== SUPERFICIES (LIMPIEZA DIARIA) ====================
+
+// @route   GET api/cleaning/surfaces
+// @desc    Obtener las superficies de limpieza diaria de la organización
+// @access  Private
+router.get('/surfaces', auth, addTenantContext, async (req, res) => {
+    try {
+        const surfaces = await DailySurface.find({ organizationId: req.tenantId })
+            .sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: surfaces
+        });
+    } catch (error) {
+        console.error('Error obteniendo superficies:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/cleaning/surfaces
+// @desc    Crear una superficie de limpieza diaria
+// @access  Private
+router.post('/surfaces', auth, addTenantContext, validateDailySurface, async (req, res) => {
+    try {
+        const surface = new DailySurface({
+            organizationId: req.tenantId,
+            name: req.body.name,
+            createdBy: req.user.id
+        });
+        applyCleaningPlan(surface, req.body);
+
+        await surface.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Superficie creada exitosamente',
+            data: surface
+        });
+    } catch (error) {
+        console.error('Error creando superficie:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/cleaning/surfaces/:id
+// @desc    Actualizar el nombre y el Plan L+D de una superficie de limpieza diaria
+// @access  Private
+router.put('/surfaces/:id', auth, addTenantContext, validateObjectId('id'), validateDailySurface, async (req, res) => {
+    try {
+        const surface = await DailySurface.findOne({ _id: req.params.id, organizationId: req.tenantId });
+
+        if (!surface) {
+            return res.status(404).json({
+                success: false,
+                message: 'Superficie no encontrada'
+            });
+        }
+
+        surface.name = req.body.name;
+        applyCleaningPlan(surface, req.body);
+        await surface.save();
+
+        res.json({
+            success: true,
+            message: 'Superficie actualizada exitosamente',
+            data: surface
+        });
+    } catch (error) {
+        console.error('Error actualizando superficie:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   DELETE api/cleaning/surfaces/:id
+// @desc    Eliminar una superficie (sus registros de limpieza se conservan)
+// @access  Private
+router.delete('/surfaces/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const surface = await DailySurface.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!surface) {
+            return res.status(404).json({
+                success: false,
+                message: 'Superficie no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Superficie eliminada exitosamente'
+        });
+    } catch (error) {
+        console.error('Error eliminando superficie:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// ==================== PLAN L+D ====================
+
+// @route   GET api/cleaning/tasks
+// @desc    Tareas de limpieza que el Plan L+D genera para un día (date YYYY-MM-DD, hoy por defecto)
+// @access  Private
+router.get('/tasks', auth, addTenantContext, validateCleaningTasks, async (req, res) => {
+    try {
+        const { date, timezone } = req.query;
+        const tasks = await getCleaningTasks(req.tenantId, { date, timezone });
+
+        res.json({
+            success: true,
+            data: tasks
+        });
+    } catch (error) {
+        console.error('Error obteniendo tareas de limpieza:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// ==================== REGISTROS DE LIMPIEZA ====================
+
+// @route   GET api/cleaning/records
+// @desc    Obtener registros de limpieza de la organización (filtros surfaceId, areaId, productId, fechas y paginación)
+// @access  Private
+router.get('/records', auth, addTenantContext, async (req, res) => {
+    try {
+        const { surfaceId, areaId, productId, dateFrom, dateTo } = req.query;
+        const { page, limit, skip } = getPaginationParams(req.query);
+
+        const filter = { organizationId: req.tenantId };
+        if (surfaceId && mongoose.Types.ObjectId.isValid(surfaceId)) filter.surfaceId = surfaceId;
+        if (areaId && mongoose.Types.ObjectId.isValid(areaId)) filter.areaId = areaId;
+        if (productId && mongoose.Types.ObjectId.isValid(productId)) filter.productId = productId;
+
+        const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+        if (dateRange) filter.dateTime = dateRange;
+
+        const [records, total] = await Promise.all([
+            DailyCleaningRecord.find(filter)
+                .sort({ dateTime: -1 })
+                .skip(skip)
+                .limit(limit),
+            DailyCleaningRecord.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error obteniendo registros de limpieza:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/cleaning/records
+// @desc    Registrar la limpieza de una superficie
+// @access  Private
+router.post('/records', auth, addTenantContext, validateCleaningRecord, async (req, res) => {
+    try {
+        const { surfaceId, userId, productId, dateTime } = req.body;
+
+        if (!surfaceId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Debe indicar la superficie limpiada'
+            });
+        }
+
+        const surface = await DailySurface.findOne({ _id: surfaceId, organizationId: req.tenantId });
+        if (!surface) {
+            return res.status(404).json({
+                success: false,
+                message: 'Superficie no encontrada'
+            });
+        }
+
+        const cleaningUser = await findOrganizationUser(req, userId);
+        if (!cleaningUser) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado en la organización'
+            });
+        }
+
+        if (!(await isOrganizationProduct(req, productId))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto químico no encontrado'
+            });
+        }
+
+        const record = new DailyCleaningRecord({
+            organizationId: req.tenantId,
+            surfaceId: surface._id,
+            userId: cleaningUser._id,
+            productId: productId || null,
+            dateTime: dateTime || new Date(),
+            registeredBy: req.user.name,
+            registeredById: req.user.id,
+            registeredAt: new Date().toISOString()
+        });
+
+        await record.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Limpieza registrada exitosamente',
+            data: record
+        });
+    } catch (error) {
+        console.error('Error registrando limpieza:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   DELETE api/cleaning/records/:id
+// @desc    Eliminar un registro de limpieza
+// @access  Private
+router.delete('/records/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const record = await DailyCleaningRecord.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Registro de limpieza eliminado exitosamente'
+        });
+    } catch (error) {
+        console.error('Error eliminando registro de limpieza:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// ==================== ZONAS (LIMPIEZA FRECUENTE) ====================
+
+// @route   GET api/cleaning/areas
+// @desc    Obtener las zonas de limpieza frecuente de la organización
+// @access  Private
+router.get('/areas', auth, addTenantContext, async (req, res) => {
+    try {
+        const areas = await FrequentArea.find({ organizationId: req.tenantId })
+            .sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: areas
+        });
+    } catch (error) {
+        console.error('Error obteniendo zonas de limpieza:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/cleaning/areas
+// @desc    Crear una zona de limpieza frecuente
+// @access  Private
+router.post('/areas', auth, addTenantContext, validateFrequentArea, async (req, res) => {
+    try {
+        const { name, frequencyDays, lastCleaned } = req.body;
+
+        const area = new FrequentArea({
+            organizationId: req.tenantId,
+            name,
+            frequencyDays,
+            lastCleaned: lastCleaned || null,
+            createdBy: req.user.id
+        });
+        applyCleaningPlan(area, req.body);
+
+        await area.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Zona creada exitosamente',
+            data: area
+        });
+    } catch (error) {
+        console.error('Error creando zona de limpieza:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/cleaning/areas/:id
+// @desc    Actualizar una zona de limpieza frecuente y su Plan L+D
+// @access  Private
+router.put('/areas/:id', auth, addTenantContext, validateObjectId('id'), validateFrequentArea, async (req, res) => {
+    try {
+        const { name, frequencyDays } = req.body;
+
+        const area = await FrequentArea.findOne({ _id: req.params.id, organizationId: req.tenantId });
+
+        if (!area) {
+            return res.status(404).json({
+                success: false,
+                message: 'Zona no encontrada'
+            });
+        }
+
+        area.name = name;
+        if (frequencyDays !== undefined) area.frequencyDays = frequencyDays;
+        applyCleaningPlan(area, req.body);
+        await area.save();
+
+        res.json({
+            success: true,
+            message: 'Zona actualizada exitosamente',
+            data: area
+        });
+    } catch (error) {
+        console.error('Error actualizando zona de limpieza:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   DELETE api/cleaning/areas/:id
+// @desc    Eliminar una zona de limpieza frecuente (sus registros se conservan)
+// @access  Private
+router.delete('/areas/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const area = await FrequentArea.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!area) {
+            return res.status(404).json({
+                success: false,
+                message: 'Zona no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Zona eliminada exitosamente'
+        });
+    } catch (error) {
+        console.error('Error eliminando zona de limpieza:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/cleaning/areas/:id/clean
+// @desc    Marcar una zona como limpiada: actualiza lastCleaned y crea el registro de limpieza
+// @access  Private
+router.post('/areas/:id/clean', auth, addTenantContext, validateObjectId('id'), validateCleaningRecord, async (req, res) => {
+    try {
+        const { userId, productId, dateTime } = req.body;
+
+        const area = await FrequentArea.findOne({ _id: req.params.id, organizationId: req.tenantId });
+        if (!area) {
+            return res.status(404).json({
+                success: false,
+                message: 'Zona no encontrada'
+            });
+        }
+
+        const cleaningUser = await findOrganizationUser(req, userId);
+        if (!cleaningUser) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado en la organización'
+            });
+        }
+
+        if (!(await isOrganizationProduct(req, productId))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Producto químico no encontrado'
+            });
+        }
+
+        const cleanedAt = dateTime ? new Date(dateTime) : new Date();
+
+        const record = new DailyCleaningRecord({
+            organizationId: req.tenantId,
+            areaId: area._id,
+            userId: cleaningUser._id,
+            productId: productId || null,
+            dateTime: cleanedAt,
+            registeredBy: req.user.name,
+            registeredById: req.user.id,
+            registeredAt: new Date().toISOString()
+        });
+        await record.save();
+
+        // Solo avanzar lastCleaned si la limpieza es posterior a la última registrada
+        if (!area.lastCleaned || area.lastCleaned < cleanedAt) {
+            area.lastCleaned = cleanedAt;
+            try {
+                await area.save();
+            } catch (saveError) {
+                // No dejar un registro huérfano si no se pudo actualizar la zona
+                await record.deleteOne();
+                throw saveError;
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Limpieza de la zona registrada exitosamente',
+            data: {
+                area,
+                record
+            }
+        });
+    } catch (error) {
+        console.error('Error registrando limpieza de zona:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
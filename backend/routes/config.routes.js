@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext, requireOrgAdmin } = require('../middleware/auth');
+const { validateConfigCatalog, validateConfigCatalogUpdate, sendMongooseValidationError } = require('../middleware/validation');
+const ConfigCatalog = require('../models/ConfigCatalog');
+const { CATALOG_DEFAULTS } = ConfigCatalog;
+
+// @route   GET api/config
+// @desc    Obtener todos los catálogos configurables de la organización
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const catalogs = await ConfigCatalog.getAll(req.tenantId);
+
+        res.json({
+            success: true,
+            data: catalogs
+        });
+    } catch (error) {
+        console.error('Error obteniendo catálogos:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/config/:catalog
+// @desc    Obtener los valores de un catálogo (storage-types, units, categories, transport-conditions)
+// @access  Private
+router.get('/:catalog', auth, addTenantContext, validateConfigCatalog, async (req, res) => {
+    try {
+        const items = await ConfigCatalog.getItems(req.tenantId, req.params.catalog);
+
+        res.json({
+            success: true,
+            data: items
+        });
+    } catch (error) {
+        console.error('Error obteniendo catálogo:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/config/:catalog
+// @desc    Sustituir los valores de un catálogo (los registros existentes conservan su valor)
+// @access  Private (Admin)
+router.put('/:catalog', auth, addTenantContext, requireOrgAdmin, validateConfigCatalogUpdate, async (req, res) => {
+    try {
+        const catalog = await ConfigCatalog.findOneAndUpdate(
+            { organizationId: req.tenantId, catalog: req.params.catalog },
+            { $set: { items: req.body.items, updatedBy: req.user.id } },
+            { new: true, upsert: true, runValidators: true }
+        );
+
+        res.json({
+            success: true,
+            message: 'Catálogo actualizado exitosamente',
+            data: catalog.items
+        });
+    } catch (error) {
+        console.error('Error actualizando catálogo:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/config/:catalog/reset
+// @desc    Restablecer los valores iniciales de un catálogo
+// @access  Private (Admin)
+router.post('/:catalog/reset', auth, addTenantContext, requireOrgAdmin, validateConfigCatalog, async (req, res) => {
+    try {
+        const catalog = await ConfigCatalog.findOneAndUpdate(
+            { organizationId: req.tenantId, catalog: req.params.catalog },
+            { $set: { items: CATALOG_DEFAULTS[req.params.catalog], updatedBy: req.user.id } },
+            { new: true, upsert: true }
+        );
+
+        res.json({
+            success: true,
+            message: 'Catálogo restablecido exitosamente',
+            data: catalog.items
+        });
+    } catch (error) {
+        console.error('Error restableciendo catálogo:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
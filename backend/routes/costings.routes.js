@@ -0,0 +1,328 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateCosting, validateCostingSalePrices, sendMongooseValidationError } = require('../middleware/validation');
+const { buildDateRangeFilter } = require('../utils/queryHelpers');
+const Costing = require('../models/Costing');
+const CostingPriceHistory = require('../models/CostingPriceHistory');
+
+// Normaliza un precio de venta: vacío o inválido significa "sin precio"
+const parseSalePrice = (value) => {
+    if (value === '' || value === null || value === undefined) return null;
+    const price = parseFloat(value);
+    return isNaN(price) || price < 0 ? null : price;
+};
+
+// Aplica las partes y precios recibidos al escandallo. Las partes nuevas del
+// frontend llegan con ids temporales, por lo que se remapean las claves de salePrices.
+const applyCostingPayload = (costing, { productName, totalWeight, purchasePrice, parts, salePrices }) => {
+    const previousPrices = new Map(costing.salePrices || []);
+    const idMap = new Map();
+
+    const newParts = parts.map(part => {
+        const clientId = part.id || part._id;
+        const partId = clientId && mongoose.Types.ObjectId.isValid(clientId) && String(new mongoose.Types.ObjectId(clientId)) === String(clientId)
+            ? new mongoose.Types.ObjectId(clientId)
+            : new mongoose.Types.ObjectId();
+
+        if (clientId) idMap.set(String(clientId), String(partId));
+
+        return {
+            _id: partId,
+            name: part.name,
+            weight: part.weight,
+            saleType: part.saleType || 'weight',
+            quantity: part.saleType === 'unit' ? part.quantity : undefined
+        };
+    });
+
+    const prices = new Map();
+    newParts.forEach(part => {
+        const partId = String(part._id);
+        if (previousPrices.has(partId)) prices.set(partId, previousPrices.get(partId));
+    });
+
+    if (salePrices) {
+        Object.entries(salePrices).forEach(([key, value]) => {
+            const partId = idMap.get(key) || key;
+            if (!newParts.some(part => String(part._id) === partId)) return;
+
+            const price = parseSalePrice(value);
+            if (price === null) {
+                prices.delete(partId);
+            } else {
+                prices.set(partId, price);
+            }
+        });
+    }
+
+    costing.set({
+        productName,
+        totalWeight,
+        purchasePrice,
+        parts: newParts,
+        salePrices: prices
+    });
+};
+
+// Datos del escandallo que, al cambiar, generan una entrada en el histórico de precios
+const getPriceSignature = (summary) => JSON.stringify({
+    totalWeight: summary.totalWeight,
+    purchasePrice: summary.purchasePrice,
+    parts: summary.parts.map(({ partId, weight, saleType, quantity, salePrice }) => ({ partId, weight, saleType, quantity, salePrice }))
+});
+
+// Guarda una instantánea de costes y márgenes en el histórico
+const recordPriceHistory = (costing, summary, req) => new CostingPriceHistory({
+    organizationId: costing.organizationId,
+    costingId: costing._id,
+    recordedAt: new Date(),
+    registeredBy: req.user.name,
+    registeredById: req.user.id,
+    ...summary
+}).save();
+
+// Busca un escandallo de la organización o responde 404
+const findCostingOr404 = async (req, res) => {
+    const costing = await Costing.findOne({
+        _id: req.params.id,
+        organizationId: req.tenantId
+    });
+
+    if (!costing) {
+        res.status(404).json({
+            success: false,
+            message: 'Escandallo no encontrado'
+        });
+    }
+
+    return costing;
+};
+
+// Guarda el escandallo y registra el histórico solo si cambian precios o pesos
+const saveWithHistory = async (costing, previousSignature, req) => {
+    await costing.save();
+
+    const summary = costing.calculateSummary();
+    if (getPriceSignature(summary) !== previousSignature) {
+        await recordPriceHistory(costing, summary, req);
+    }
+};
+
+// @route   GET api/costings
+// @desc    Obtener escandallos de la organización
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const costings = await Costing.find({ organizationId: req.tenantId })
+            .sort({ productName: 1 });
+
+        res.json({
+            success: true,
+            data: costings
+        });
+    } catch (error) {
+        console.error('Error obteniendo escandallos:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/costings/:id
+// @desc    Obtener un escandallo de la organización
+// @access  Private
+router.get('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const costing = await findCostingOr404(req, res);
+        if (!costing) return;
+
+        res.json({
+            success: true,
+            data: costing
+        });
+    } catch (error) {
+        console.error('Error obteniendo escandallo:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/costings/:id/history
+// @desc    Obtener la evolución de coste por kg y márgenes de un escandallo
+// @access  Private
+router.get('/:id/history', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const costing = await findCostingOr404(req, res);
+        if (!costing) return;
+
+        const filter = {
+            organizationId: req.tenantId,
+            costingId: costing._id
+        };
+
+        const dateRange = buildDateRangeFilter(req.query.dateFrom, req.query.dateTo);
+        if (dateRange) filter.recordedAt = dateRange;
+
+        const history = await CostingPriceHistory.find(filter).sort({ recordedAt: 1 });
+
+        res.json({
+            success: true,
+            data: history
+        });
+    } catch (error) {
+        console.error('Error obteniendo histórico de escandallo:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/costings
+// @desc    Crear un nuevo escandallo
+// @access  Private
+router.post('/', auth, addTenantContext, validateCosting, async (req, res) => {
+    try {
+        const costing = new Costing({
+            organizationId: req.tenantId,
+            registeredBy: req.user.name,
+            registeredById: req.user.id,
+            registeredAt: new Date().toISOString()
+        });
+
+        applyCostingPayload(costing, req.body);
+        await saveWithHistory(costing, null, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Escandallo creado exitosamente',
+            data: costing
+        });
+    } catch (error) {
+        console.error('Error creando escandallo:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/costings/:id
+// @desc    Actualizar un escandallo de la organización
+// @access  Private
+router.put('/:id', auth, addTenantContext, validateObjectId('id'), validateCosting, async (req, res) => {
+    try {
+        const costing = await findCostingOr404(req, res);
+        if (!costing) return;
+
+        const previousSignature = getPriceSignature(costing.calculateSummary());
+        applyCostingPayload(costing, req.body);
+        await saveWithHistory(costing, previousSignature, req);
+
+        res.json({
+            success: true,
+            message: 'Escandallo actualizado exitosamente',
+            data: costing
+        });
+    } catch (error) {
+        console.error('Error actualizando escandallo:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PATCH api/costings/:id/sale-prices
+// @desc    Actualizar precios de venta de una o varias partes
+// @access  Private
+router.patch('/:id/sale-prices', auth, addTenantContext, validateObjectId('id'), validateCostingSalePrices, async (req, res) => {
+    try {
+        const costing = await findCostingOr404(req, res);
+        if (!costing) return;
+
+        const previousSignature = getPriceSignature(costing.calculateSummary());
+
+        Object.entries(req.body.salePrices).forEach(([partId, value]) => {
+            if (!costing.parts.id(partId)) return;
+
+            const price = parseSalePrice(value);
+            if (price === null) {
+                costing.salePrices.delete(partId);
+            } else {
+                costing.salePrices.set(partId, price);
+            }
+        });
+
+        await saveWithHistory(costing, previousSignature, req);
+
+        res.json({
+            success: true,
+            message: 'Precios de venta actualizados exitosamente',
+            data: costing
+        });
+    } catch (error) {
+        console.error('Error actualizando precios de venta:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   DELETE api/costings/:id
+// @desc    Eliminar un escandallo y su histórico de precios
+// @access  Private
+router.delete('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const costing = await Costing.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!costing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Escandallo no encontrado'
+            });
+        }
+
+        await CostingPriceHistory.deleteMany({
+            organizationId: req.tenantId,
+            costingId: costing._id
+        });
+
+        res.json({
+            success: true,
+            message: 'Escandallo eliminado exitosamente'
+        });
+    } catch (error) {
+        console.error('Error eliminando escandallo:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
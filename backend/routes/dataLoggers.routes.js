@@ -0,0 +1,254 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, addTenantContext, requireOrgAdmin, deviceAuth } = require('../middleware/auth');
+const { validateObjectId, validateDataLogger, validateDataLoggerUpdate, validateLoggerBatch, sendMongooseValidationError } = require('../middleware/validation');
+const { uploadLoggerFile } = require('../middleware/upload');
+const { normalizeReadings, parseLoggerCsv, ingestReadings } = require('../utils/loggerIngestion');
+const DataLogger = require('../models/DataLogger');
+const StorageUnit = require('../models/StorageUnit');
+
+// Maneja errores comunes de las rutas de sondas
+const handleDataLoggerError = (res, error, context) => {
+    console.error(`Error ${context}:`, error);
+
+    if (error.name === 'ValidationError') {
+        return sendMongooseValidationError(res, error);
+    }
+
+    // Lote o archivo con formato no válido
+    if (error.name === 'ImportFileError') {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+    });
+};
+
+// La respuesta nunca incluye el hash del token
+const serializeDataLogger = (dataLogger) => {
+    const data = dataLogger.toJSON();
+    delete data.tokenHash;
+    return data;
+};
+
+const findUnit = (organizationId, unitId) => StorageUnit.findOne({ _id: unitId, organizationId });
+
+// Valida las lecturas y guarda las correctas en la cámara de la sonda
+const ingest = async (res, dataLogger, items) => {
+    const unit = await findUnit(dataLogger.organizationId, dataLogger.unitId);
+    if (!unit) {
+        return res.status(404).json({
+            success: false,
+            message: 'Cámara de la sonda no encontrada'
+        });
+    }
+
+    const { readings, errors } = normalizeReadings(items);
+    const result = await ingestReadings(dataLogger, unit, readings);
+
+    res.json({
+        success: true,
+        message: `${result.imported} de ${items.length} lecturas registradas`,
+        data: {
+            received: items.length,
+            ...result,
+            errors
+        }
+    });
+};
+
+// @route   POST api/data-loggers/ingest
+// @desc    Lote de lecturas JSON enviado por una sonda ({ readings: [{ dateTime, temperature, humidity? }] })
+// @access  Dispositivo (token de la sonda en X-Device-Token o Authorization: Bearer)
+router.post('/ingest', deviceAuth, validateLoggerBatch, async (req, res) => {
+    try {
+        await ingest(res, req.dataLogger, req.body.readings);
+    } catch (error) {
+        handleDataLoggerError(res, error, 'ingiriendo lecturas de sonda');
+    }
+});
+
+// @route   POST api/data-loggers/ingest/csv
+// @desc    Exportación CSV de un registrador USB enviada por la propia sonda (campo "file")
+// @access  Dispositivo
+router.post('/ingest/csv', deviceAuth, uploadLoggerFile, async (req, res) => {
+    try {
+        await ingest(res, req.dataLogger, parseLoggerCsv(req.file.buffer));
+    } catch (error) {
+        handleDataLoggerError(res, error, 'ingiriendo CSV de sonda');
+    }
+});
+
+// @route   GET api/data-loggers
+// @desc    Sondas de la organización (filtro opcional por unitId)
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const filter = { organizationId: req.tenantId };
+        if (req.query.unitId && mongoose.Types.ObjectId.isValid(req.query.unitId)) filter.unitId = req.query.unitId;
+
+        const dataLoggers = await DataLogger.find(filter).sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: dataLoggers
+        });
+    } catch (error) {
+        handleDataLoggerError(res, error, 'obteniendo sondas');
+    }
+});
+
+// @route   POST api/data-loggers
+// @desc    Dar de alta una sonda en una cámara; el token del dispositivo solo se devuelve aquí
+// @access  Private (Admin)
+router.post('/', auth, addTenantContext, requireOrgAdmin, validateDataLogger, async (req, res) => {
+    try {
+        const { name, unitId, serialNumber } = req.body;
+
+        const unit = await findUnit(req.tenantId, unitId);
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cámara no encontrada'
+            });
+        }
+
+        const dataLogger = new DataLogger({
+            organizationId: req.tenantId,
+            unitId: unit._id,
+            name,
+            serialNumber,
+            createdBy: req.user.id
+        });
+        const token = dataLogger.generateToken();
+        await dataLogger.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Sonda creada exitosamente. Guarde el token: no se volverá a mostrar',
+            data: { ...serializeDataLogger(dataLogger), token }
+        });
+    } catch (error) {
+        handleDataLoggerError(res, error, 'creando sonda');
+    }
+});
+
+// @route   POST api/data-loggers/:id/token
+// @desc    Generar un token nuevo para la sonda (el anterior deja de funcionar)
+// @access  Private (Admin)
+router.post('/:id/token', auth, addTenantContext, requireOrgAdmin, validateObjectId('id'), async (req, res) => {
+    try {
+        const dataLogger = await DataLogger.findOne({ _id: req.params.id, organizationId: req.tenantId });
+
+        if (!dataLogger) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sonda no encontrada'
+            });
+        }
+
+        const token = dataLogger.generateToken();
+        await dataLogger.save();
+
+        res.json({
+            success: true,
+            message: 'Token regenerado. Guarde el token: no se volverá a mostrar',
+            data: { ...serializeDataLogger(dataLogger), token }
+        });
+    } catch (error) {
+        handleDataLoggerError(res, error, 'regenerando token de sonda');
+    }
+});
+
+// @route   PUT api/data-loggers/:id
+// @desc    Editar una sonda (nombre, cámara, número de serie o activarla/desactivarla)
+// @access  Private (Admin)
+router.put('/:id', auth, addTenantContext, requireOrgAdmin, validateObjectId('id'), validateDataLoggerUpdate, async (req, res) => {
+    try {
+        const dataLogger = await DataLogger.findOne({ _id: req.params.id, organizationId: req.tenantId });
+
+        if (!dataLogger) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sonda no encontrada'
+            });
+        }
+
+        const { name, unitId, serialNumber, isActive } = req.body;
+
+        if (unitId !== undefined) {
+            const unit = await findUnit(req.tenantId, unitId);
+            if (!unit) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Cámara no encontrada'
+                });
+            }
+            dataLogger.unitId = unit._id;
+        }
+        if (name !== undefined) dataLogger.name = name;
+        if (serialNumber !== undefined) dataLogger.serialNumber = serialNumber;
+        if (isActive !== undefined) dataLogger.isActive = isActive === true || isActive === 'true';
+
+        await dataLogger.save();
+
+        res.json({
+            success: true,
+            message: 'Sonda actualizada exitosamente',
+            data: dataLogger
+        });
+    } catch (error) {
+        handleDataLoggerError(res, error, 'actualizando sonda');
+    }
+});
+
+// @route   DELETE api/data-loggers/:id
+// @desc    Eliminar una sonda (sus lecturas se conservan en el historial de la cámara)
+// @access  Private (Admin)
+router.delete('/:id', auth, addTenantContext, requireOrgAdmin, validateObjectId('id'), async (req, res) => {
+    try {
+        const dataLogger = await DataLogger.findOneAndDelete({ _id: req.params.id, organizationId: req.tenantId });
+
+        if (!dataLogger) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sonda no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Sonda eliminada exitosamente'
+        });
+    } catch (error) {
+        handleDataLoggerError(res, error, 'eliminando sonda');
+    }
+});
+
+// @route   POST api/data-loggers/:id/upload
+// @desc    Subir desde la aplicación el CSV descargado de un registrador USB (campo "file")
+// @access  Private
+router.post('/:id/upload', auth, addTenantContext, validateObjectId('id'), uploadLoggerFile, async (req, res) => {
+    try {
+        const dataLogger = await DataLogger.findOne({ _id: req.params.id, organizationId: req.tenantId });
+
+        if (!dataLogger) {
+            return res.status(404).json({
+                success: false,
+                message: 'Sonda no encontrada'
+            });
+        }
+
+        await ingest(res, dataLogger, parseLoggerCsv(req.file.buffer));
+    } catch (error) {
+        handleDataLoggerError(res, error, 'subiendo CSV de sonda');
+    }
+});
+
+module.exports = router;
@@ -2,21 +2,38 @@
 const express = require('express');
 const router = express.Router();
 const { auth, addTenantContext } = require('../middleware/auth');
-const { validateObjectId } = require('../middleware/validation');
+const { validateObjectId, validateDeliveryRecord, validateDeliveryRecordUpdate, sendMongooseValidationError } = require('../middleware/validation');
+const { buildDateRangeFilter, getPaginationParams, buildPaginationInfo, buildSort } = require('../utils/queryHelpers');
+const { buildDeliveryFilter } = require('../utils/recordFilters');
+const { countLotReferences } = require('../utils/lotGenealogy');
+const { saveWithConformity } = require('../utils/receptionConformity');
 const DeliveryRecord = require('../models/DeliveryRecord');
 
+const SORTABLE_FIELDS = ['receptionDate', 'createdAt'];
+
 // @route   GET api/records/delivery
-// @desc    Obtener registros de recepción de la organización
+// @desc    Obtener registros de recepción de la organización (filtros y paginación)
 // @access  Private
 router.get('/', auth, addTenantContext, async (req, res) => {
     try {
-        const records = await DeliveryRecord.find({ organizationId: req.tenantId })
-            .sort({ createdAt: -1 })
-            .populate('registeredById', 'name email');
+        const { page, limit, skip } = getPaginationParams(req.query);
+        const filter = buildDeliveryFilter(req.tenantId, req.query);
+
+        const [records, total] = await Promise.all([
+            DeliveryRecord.find(filter)
+                .sort(buildSort(req.query.sort, SORTABLE_FIELDS, { receptionDate: -1, createdAt: -1 }))
+                .skip(skip)
+                .limit(limit)
+                .populate('registeredById', 'name email'),
+            DeliveryRecord.countDocuments(filter)
+        ]);
 
         res.json({
             success: true,
-            data: records
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
         });
     } catch (error) {
         console.error('Error obteniendo registros de recepción:', error);
@@ -27,10 +44,64 @@ router.get('/', auth, addTenantContext, async (req, res) => {
     }
 });
 
+// @route   GET api/records/delivery/stats/summary
+// @desc    Resumen de recepciones en un rango de fechas según su conformidad (aceptadas, con observaciones, rechazadas y tasa de aceptación)
+// @access  Private
+router.get('/stats/summary', auth, addTenantContext, async (req, res) => {
+    try {
+        const { dateFrom, dateTo } = req.query;
+
+        const stats = await DeliveryRecord.getSummaryStats(req.tenantId, {
+            dateRange: buildDateRangeFilter(dateFrom, dateTo)
+        });
+
+        res.json({
+            success: true,
+            data: stats
+        });
+    } catch (error) {
+        console.error('Error obteniendo estadísticas de recepción:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/records/delivery/:id
+// @desc    Obtener un registro de recepción de la organización
+// @access  Private
+router.get('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const record = await DeliveryRecord.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        }).populate('registeredById', 'name email');
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: record
+        });
+    } catch (error) {
+        console.error('Error obteniendo registro de recepción:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
 // @route   POST api/records/delivery
-// @desc    Crear un nuevo registro de recepción
+// @desc    Crear un nuevo registro de recepción (clasifica su conformidad y abre una incidencia si se rechaza)
 // @access  Private
-router.post('/', auth, addTenantContext, async (req, res) => {
+router.post('/', auth, addTenantContext, validateDeliveryRecord, async (req, res) => {
     try {
         const { 
             supplierId, 
@@ -38,21 +109,14 @@ router.post('/', auth, addTenantContext, async (req, res) => {
             temperature, 
             receptionDate, 
             docsOk, 
+            transportCondition,
+            lot,
+            expiryDate,
             albaranImage,
             registeredBy,
             registeredById 
         } = req.body;
         
-        console.log('📥 Backend recibió registro de recepción:', {
-            supplierId,
-            productTypeId,
-            temperature,
-            receptionDate,
-            docsOk,
-            albaranImage: albaranImage ? `[Imagen de ${albaranImage.length} caracteres]` : 'Sin imagen',
-            organizationId: req.tenantId
-        });
-        
         const newRecord = new DeliveryRecord({
             organizationId: req.tenantId,
             userId: req.user.id, // Mantener compatibilidad
@@ -61,19 +125,16 @@ router.post('/', auth, addTenantContext, async (req, res) => {
             temperature,
             receptionDate,
             docsOk,
+            transportCondition: transportCondition || undefined,
+            lot: lot || undefined,
+            expiryDate: expiryDate || undefined,
             albaranImage,
             registeredBy: registeredBy || req.user.name,
             registeredById: registeredById || req.user.id,
             registeredAt: new Date().toISOString()
         });
         
-        const record = await newRecord.save();
-        
-        console.log('💾 Registro guardado:', {
-            id: record._id,
-            organizationId: record.organizationId,
-            albaranImage: record.albaranImage ? `[Imagen guardada]` : 'Sin imagen'
-        });
+        const record = await saveWithConformity(newRecord, req.user);
         
         res.status(201).json({
             success: true,
@@ -82,7 +143,64 @@ router.post('/', auth, addTenantContext, async (req, res) => {
         });
         
     } catch (error) {
-        console.error('❌ Error creando registro de recepción:', error);
+        console.error('Error creando registro de recepción:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/records/delivery/:id
+// @desc    Actualizar un registro de recepción de la organización (vuelve a clasificar su conformidad)
+// @access  Private
+router.put('/:id', auth, addTenantContext, validateObjectId('id'), validateDeliveryRecordUpdate, async (req, res) => {
+    try {
+        const record = await DeliveryRecord.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        const { supplierId, productTypeId, temperature, receptionDate, docsOk, transportCondition, lot, expiryDate, albaranImage } = req.body;
+
+        if (supplierId !== undefined) record.supplierId = supplierId;
+        if (productTypeId !== undefined) record.productTypeId = productTypeId;
+        if (temperature !== undefined) record.temperature = temperature;
+        if (receptionDate !== undefined) record.receptionDate = receptionDate;
+        if (docsOk !== undefined) record.docsOk = docsOk;
+        if (transportCondition !== undefined) record.transportCondition = transportCondition || undefined;
+        if (lot !== undefined) record.lot = lot || undefined;
+        if (expiryDate !== undefined) record.expiryDate = expiryDate || undefined;
+        // Un valor vacío elimina la foto del albarán
+        if (albaranImage !== undefined) record.albaranImage = albaranImage || undefined;
+
+        await saveWithConformity(record, req.user);
+
+        res.json({
+            success: true,
+            message: 'Registro de recepción actualizado exitosamente',
+            data: record
+        });
+
+    } catch (error) {
+        console.error('Error actualizando registro de recepción:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
         res.status(500).json({
             success: false,
             message: 'Error interno del servidor'
@@ -107,6 +225,14 @@ router.delete('/:id', auth, addTenantContext, validateObjectId('id'), async (req
             });
         }
 
+        // El lote no puede quedar huérfano en la genealogía
+        if (await countLotReferences(req.tenantId, 'delivery', record._id) > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'No se puede eliminar: el lote de esta recepción está vinculado a elaboraciones o salidas'
+            });
+        }
+
         await record.deleteOne();
         
         res.json({
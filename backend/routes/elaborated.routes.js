@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateElaboratedRecord, sendMongooseValidationError } = require('../middleware/validation');
+const { getPaginationParams, buildPaginationInfo, buildSort } = require('../utils/queryHelpers');
+const { buildElaboratedFilter } = require('../utils/recordFilters');
+const { findOrganizationUser } = require('../utils/tenantHelpers');
+const { resolveIngredientLots, countLotReferences } = require('../utils/lotGenealogy');
+const ElaboratedRecord = require('../models/ElaboratedRecord');
+
+const SORTABLE_FIELDS = ['elaborationDate', 'productName', 'productLot', 'createdAt'];
+
+// @route   GET api/records/elaborated
+// @desc    Obtener registros de productos elaborados de la organización (filtros y paginación)
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const { page, limit, skip } = getPaginationParams(req.query);
+        const filter = buildElaboratedFilter(req.tenantId, req.query);
+
+        const [records, total] = await Promise.all([
+            ElaboratedRecord.find(filter)
+                .sort(buildSort(req.query.sort, SORTABLE_FIELDS, { elaborationDate: -1 }))
+                .skip(skip)
+                .limit(limit),
+            ElaboratedRecord.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error obteniendo registros de productos elaborados:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/records/elaborated/:id
+// @desc    Obtener un registro de producto elaborado de la organización
+// @access  Private
+router.get('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const record = await ElaboratedRecord.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: record
+        });
+    } catch (error) {
+        console.error('Error obteniendo registro de producto elaborado:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/records/elaborated
+// @desc    Crear un nuevo registro de producto elaborado
+// @access  Private
+router.post('/', auth, addTenantContext, validateElaboratedRecord, async (req, res) => {
+    try {
+        const { productName, elaborationDate, productLot, ingredients, destination, quantitySent, userId } = req.body;
+
+        const responsible = await findOrganizationUser(req, userId);
+        if (!responsible) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado en la organización'
+            });
+        }
+
+        const record = new ElaboratedRecord({
+            organizationId: req.tenantId,
+            userId: responsible._id,
+            productName,
+            elaborationDate,
+            productLot,
+            ingredients: await resolveIngredientLots(req.tenantId, ingredients),
+            destination,
+            quantitySent,
+            registeredBy: req.user.name,
+            registeredById: req.user.id,
+            registeredAt: new Date().toISOString()
+        });
+
+        await record.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Registro de producto elaborado creado exitosamente',
+            data: record
+        });
+    } catch (error) {
+        console.error('Error creando registro de producto elaborado:', error);
+
+        if (error.name === 'LotLinkError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Errores de validación',
+                errors: [{ field: error.field, message: error.message }]
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/records/elaborated/:id
+// @desc    Actualizar un registro de producto elaborado de la organización
+// @access  Private
+router.put('/:id', auth, addTenantContext, validateObjectId('id'), validateElaboratedRecord, async (req, res) => {
+    try {
+        const record = await ElaboratedRecord.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        const { productName, elaborationDate, productLot, ingredients, destination, quantitySent, userId } = req.body;
+
+        if (userId) {
+            const responsible = await findOrganizationUser(req, userId);
+            if (!responsible) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuario no encontrado en la organización'
+                });
+            }
+            record.userId = responsible._id;
+        }
+
+        Object.assign(record, {
+            productName,
+            elaborationDate,
+            productLot,
+            ingredients: await resolveIngredientLots(req.tenantId, ingredients),
+            destination,
+            quantitySent
+        });
+        await record.save();
+
+        res.json({
+            success: true,
+            message: 'Registro de producto elaborado actualizado exitosamente',
+            data: record
+        });
+    } catch (error) {
+        console.error('Error actualizando registro de producto elaborado:', error);
+
+        if (error.name === 'LotLinkError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Errores de validación',
+                errors: [{ field: error.field, message: error.message }]
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   DELETE api/records/elaborated/:id
+// @desc    Eliminar un registro de producto elaborado de la organización
+// @access  Private
+router.delete('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const record = await ElaboratedRecord.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        // El lote no puede quedar huérfano en la genealogía
+        if (await countLotReferences(req.tenantId, 'elaborated', record._id) > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'No se puede eliminar: el lote elaborado está vinculado a salidas'
+            });
+        }
+
+        await record.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Registro de producto elaborado eliminado exitosamente'
+        });
+    } catch (error) {
+        console.error('Error eliminando registro de producto elaborado:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateExcursionList, validateExcursionStatus, sendMongooseValidationError } = require('../middleware/validation');
+const { getPaginationParams, buildPaginationInfo, buildSort } = require('../utils/queryHelpers');
+const { buildExcursionFilter } = require('../utils/recordFilters');
+const { syncExcursions } = require('../utils/temperatureExcursions');
+const TemperatureExcursion = require('../models/TemperatureExcursion');
+
+const SORTABLE_FIELDS = ['startedAt', 'durationMinutes', 'peakDeviation', 'status'];
+
+// Maneja errores comunes de las rutas de excursiones
+const handleExcursionError = (res, error, context) => {
+    console.error(`Error ${context}:`, error);
+
+    if (error.name === 'ValidationError') {
+        return sendMongooseValidationError(res, error);
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+    });
+};
+
+// @route   GET api/excursions
+// @desc    Excursiones de temperatura de la organización (filtros unitId, status, active, dateFrom, dateTo y paginación)
+// @access  Private
+router.get('/', auth, addTenantContext, validateExcursionList, async (req, res) => {
+    try {
+        const { page, limit, skip } = getPaginationParams(req.query);
+        const filter = buildExcursionFilter(req.tenantId, req.query);
+
+        const [records, total] = await Promise.all([
+            TemperatureExcursion.find(filter)
+                .sort(buildSort(req.query.sort, SORTABLE_FIELDS, { startedAt: -1 }))
+                .skip(skip)
+                .limit(limit),
+            TemperatureExcursion.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        handleExcursionError(res, error, 'obteniendo excursiones de temperatura');
+    }
+});
+
+// @route   POST api/excursions/analyze
+// @desc    Volver a analizar la serie completa de lecturas de todas las cámaras
+// @access  Private
+router.post('/analyze', auth, addTenantContext, async (req, res) => {
+    try {
+        const result = await syncExcursions(req.tenantId);
+
+        res.json({
+            success: true,
+            message: `${result.excursions} excursiones en ${result.units} cámaras`,
+            data: result
+        });
+    } catch (error) {
+        handleExcursionError(res, error, 'analizando excursiones de temperatura');
+    }
+});
+
+// @route   PATCH api/excursions/:id/status
+// @desc    Reconocer una excursión o cerrarla con su acción correctiva
+// @access  Private
+router.patch('/:id/status', auth, addTenantContext, validateObjectId('id'), validateExcursionStatus, async (req, res) => {
+    try {
+        const excursion = await TemperatureExcursion.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!excursion) {
+            return res.status(404).json({
+                success: false,
+                message: 'Excursión no encontrada'
+            });
+        }
+
+        const { status, correctiveAction } = req.body;
+
+        if (!excursion.canTransitionTo(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `No se puede cambiar el estado de "${excursion.status}" a "${status}"`
+            });
+        }
+
+        if (status === 'Cerrada' && excursion.isOngoing) {
+            return res.status(400).json({
+                success: false,
+                message: 'La excursión sigue en curso: no se puede cerrar hasta registrar una lectura dentro de rango'
+            });
+        }
+
+        excursion.setStatus(status, req.user, correctiveAction);
+        await excursion.save();
+
+        res.json({
+            success: true,
+            message: `Excursión marcada como ${status}`,
+            data: excursion
+        });
+    } catch (error) {
+        handleExcursionError(res, error, 'cambiando estado de excursión');
+    }
+});
+
+module.exports = router;
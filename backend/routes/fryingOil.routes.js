@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateFryer, validateFryingOilEvent, sendMongooseValidationError } = require('../middleware/validation');
+const Fryer = require('../models/Fryer');
+const FryingOilEvent = require('../models/FryingOilEvent');
+const { getPendingOilChanges } = require('../utils/fryingOil');
+const { buildDateRangeFilter, getPaginationParams, buildPaginationInfo } = require('../utils/queryHelpers');
+
+// Maneja errores comunes de las rutas de aceite de fritura
+const handleFryingOilError = (res, error, context) => {
+    console.error(`Error ${context}:`, error);
+
+    if (error.name === 'ValidationError') {
+        return sendMongooseValidationError(res, error);
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+    });
+};
+
+const sendFryerNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Freidora no encontrada'
+});
+
+const findFryer = (req, id) => Fryer.findOne({ _id: id, organizationId: req.tenantId });
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// ==================== FREIDORAS ====================
+
+// @route   GET api/frying-oil/fryers
+// @desc    Freidoras de la organización
+// @access  Private
+router.get('/fryers', auth, addTenantContext, async (req, res) => {
+    try {
+        const fryers = await Fryer.find({ organizationId: req.tenantId })
+            .sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: fryers
+        });
+    } catch (error) {
+        handleFryingOilError(res, error, 'obteniendo freidoras');
+    }
+});
+
+// @route   POST api/frying-oil/fryers
+// @desc    Crear una freidora con su límite de desecho (%TPM)
+// @access  Private
+router.post('/fryers', auth, addTenantContext, validateFryer, async (req, res) => {
+    try {
+        const { name, location, discardLimit, isActive } = req.body;
+
+        const fryer = new Fryer({
+            organizationId: req.tenantId,
+            name,
+            location,
+            discardLimit: hasValue(discardLimit) ? Number(discardLimit) : undefined,
+            isActive,
+            createdBy: req.user.id
+        });
+
+        await fryer.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Freidora creada exitosamente',
+            data: fryer
+        });
+    } catch (error) {
+        handleFryingOilError(res, error, 'creando freidora');
+    }
+});
+
+// @route   PUT api/frying-oil/fryers/:id
+// @desc    Actualizar una freidora (las lecturas anteriores conservan el límite con el que se evaluaron)
+// @access  Private
+router.put('/fryers/:id', auth, addTenantContext, validateObjectId('id'), validateFryer, async (req, res) => {
+    try {
+        const fryer = await findFryer(req, req.params.id);
+        if (!fryer) return sendFryerNotFound(res);
+
+        const { name, location, discardLimit, isActive } = req.body;
+        fryer.name = name;
+        if (location !== undefined) fryer.location = location;
+        if (hasValue(discardLimit)) fryer.discardLimit = Number(discardLimit);
+        if (isActive !== undefined) fryer.isActive = isActive;
+
+        await fryer.save();
+
+        res.json({
+            success: true,
+            message: 'Freidora actualizada exitosamente',
+            data: fryer
+        });
+    } catch (error) {
+        handleFryingOilError(res, error, 'actualizando freidora');
+    }
+});
+
+// @route   DELETE api/frying-oil/fryers/:id
+// @desc    Eliminar una freidora (si tiene lecturas o cambios de aceite se deja fuera de uso para conservar el historial)
+// @access  Private
+router.delete('/fryers/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const fryer = await findFryer(req, req.params.id);
+        if (!fryer) return sendFryerNotFound(res);
+
+        const eventCount = await FryingOilEvent.countDocuments({ organizationId: req.tenantId, fryerId: fryer._id });
+
+        if (eventCount > 0) {
+            fryer.isActive = false;
+            await fryer.save();
+
+            return res.json({
+                success: true,
+                message: `La freidora tiene ${eventCount} lecturas y cambios de aceite y se ha dejado fuera de uso en lugar de eliminarse`,
+                data: { deactivated: true, fryer }
+            });
+        }
+
+        await fryer.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Freidora eliminada exitosamente',
+            data: { deactivated: false }
+        });
+    } catch (error) {
+        handleFryingOilError(res, error, 'eliminando freidora');
+    }
+});
+
+// ==================== LECTURAS Y CAMBIOS DE ACEITE ====================
+
+// @route   GET api/frying-oil/events
+// @desc    Historial de lecturas y cambios de aceite (filtros fryerId, type, dateFrom, dateTo y paginación)
+// @access  Private
+router.get('/events', auth, addTenantContext, async (req, res) => {
+    try {
+        const { fryerId, type, dateFrom, dateTo } = req.query;
+        const { page, limit, skip } = getPaginationParams(req.query);
+
+        const filter = { organizationId: req.tenantId };
+        if (fryerId && mongoose.Types.ObjectId.isValid(fryerId)) filter.fryerId = fryerId;
+        if (FryingOilEvent.FRYING_OIL_EVENT_TYPES.includes(type)) filter.type = type;
+
+        const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+        if (dateRange) filter.dateTime = dateRange;
+
+        const [records, total] = await Promise.all([
+            FryingOilEvent.find(filter)
+                .sort({ dateTime: -1 })
+                .skip(skip)
+                .limit(limit),
+            FryingOilEvent.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        handleFryingOilError(res, error, 'obteniendo historial de aceite de fritura');
+    }
+});
+
+// @route   POST api/frying-oil/events
+// @desc    Registrar una lectura de compuestos polares (se evalúa con el límite de la freidora)
+//          o un cambio de aceite
+// @access  Private
+router.post('/events', auth, addTenantContext, validateFryingOilEvent, async (req, res) => {
+    try {
+        const { fryerId, type, dateTime, tpm, temperature, oilProduct, quantityLiters, notes } = req.body;
+
+        const fryer = await findFryer(req, fryerId);
+        if (!fryer) return sendFryerNotFound(res);
+
+        const event = new FryingOilEvent({
+            organizationId: req.tenantId,
+            fryerId: fryer._id,
+            type,
+            dateTime,
+            notes,
+            registeredBy: req.user.name,
+            registeredById: req.user.id
+        });
+
+        if (type === 'reading') {
+            event.tpm = Number(tpm);
+            event.temperature = hasValue(temperature) ? Number(temperature) : undefined;
+            event.discardLimit = fryer.discardLimit;
+            event.isOverLimit = fryer.isOverDiscardLimit(event.tpm);
+        } else {
+            event.oilProduct = oilProduct;
+            event.quantityLiters = hasValue(quantityLiters) ? Number(quantityLiters) : undefined;
+        }
+
+        await event.save();
+
+        res.status(201).json({
+            success: true,
+            message: type === 'reading' ? 'Lectura registrada exitosamente' : 'Cambio de aceite registrado exitosamente',
+            data: event
+        });
+    } catch (error) {
+        handleFryingOilError(res, error, 'registrando evento de aceite de fritura');
+    }
+});
+
+// @route   DELETE api/frying-oil/events/:id
+// @desc    Eliminar una lectura o un cambio de aceite
+// @access  Private
+router.delete('/events/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const event = await FryingOilEvent.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Registro eliminado exitosamente'
+        });
+    } catch (error) {
+        handleFryingOilError(res, error, 'eliminando evento de aceite de fritura');
+    }
+});
+
+// @route   GET api/frying-oil/alerts
+// @desc    Freidoras con una lectura por encima del límite sin un cambio de aceite posterior
+// @access  Private
+router.get('/alerts', auth, addTenantContext, async (req, res) => {
+    try {
+        const alerts = await getPendingOilChanges(req.tenantId);
+
+        res.json({
+            success: true,
+            data: alerts
+        });
+    } catch (error) {
+        handleFryingOilError(res, error, 'obteniendo alertas de aceite de fritura');
+    }
+});
+
+module.exports = router;
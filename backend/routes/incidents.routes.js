@@ -0,0 +1,364 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const {
+    validateObjectId,
+    validateIncident,
+    validateIncidentStatus,
+    validateCorrectiveAction,
+    validateCorrectiveActionUpdate,
+    sendMongooseValidationError
+} = require('../middleware/validation');
+const { getPaginationParams, buildPaginationInfo, buildSort } = require('../utils/queryHelpers');
+const { buildIncidentFilter } = require('../utils/recordFilters');
+const { findOrganizationUser } = require('../utils/tenantHelpers');
+const Incident = require('../models/Incident');
+
+const SORTABLE_FIELDS = ['detectionDate', 'severity', 'status', 'createdAt', 'title'];
+
+// Busca una incidencia de la organización o responde 404
+const findIncidentOr404 = async (req, res) => {
+    const incident = await Incident.findOne({
+        _id: req.params.id,
+        organizationId: req.tenantId
+    });
+
+    if (!incident) {
+        res.status(404).json({
+            success: false,
+            message: 'Incidencia no encontrada'
+        });
+    }
+
+    return incident;
+};
+
+// Una acción sin completar en una incidencia resuelta la vuelve a poner en proceso
+const reopenIfActionPending = (incident, action, user) => {
+    if (incident.status === 'Resuelta' && action.status !== 'Completada') {
+        incident.setStatus('En Proceso', user, 'Reabierta por acción correctiva pendiente');
+    }
+};
+
+// Maneja errores comunes de las rutas de incidencias
+const handleIncidentError = (res, error, context) => {
+    console.error(`Error ${context}:`, error);
+
+    if (error.name === 'ValidationError') {
+        return sendMongooseValidationError(res, error);
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+    });
+};
+
+// @route   GET api/incidents
+// @desc    Obtener incidencias de la organización (filtros y paginación)
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const { page, limit, skip } = getPaginationParams(req.query);
+        const filter = buildIncidentFilter(req.tenantId, req.query);
+
+        const [records, total] = await Promise.all([
+            Incident.find(filter)
+                .sort(buildSort(req.query.sort, SORTABLE_FIELDS, { detectionDate: -1, createdAt: -1 }))
+                .skip(skip)
+                .limit(limit),
+            Incident.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'obteniendo incidencias');
+    }
+});
+
+// @route   GET api/incidents/:id
+// @desc    Obtener una incidencia de la organización
+// @access  Private
+router.get('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const incident = await findIncidentOr404(req, res);
+        if (!incident) return;
+
+        res.json({
+            success: true,
+            data: incident
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'obteniendo incidencia');
+    }
+});
+
+// @route   POST api/incidents
+// @desc    Registrar una nueva incidencia (estado inicial: Abierta)
+// @access  Private
+router.post('/', auth, addTenantContext, validateIncident, async (req, res) => {
+    try {
+        const { title, description, detectionDate, affectedArea, severity, reportedBy } = req.body;
+
+        const reporter = await findOrganizationUser(req, reportedBy);
+        if (!reporter) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado en la organización'
+            });
+        }
+
+        const incident = new Incident({
+            organizationId: req.tenantId,
+            title,
+            description,
+            detectionDate,
+            affectedArea,
+            severity,
+            status: 'Abierta',
+            reportedBy: reporter._id,
+            statusHistory: [{
+                from: null,
+                to: 'Abierta',
+                changedAt: new Date(),
+                changedBy: req.user.name,
+                changedById: req.user.id
+            }],
+            registeredBy: req.user.name,
+            registeredById: req.user.id,
+            registeredAt: new Date().toISOString()
+        });
+
+        await incident.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Incidencia registrada exitosamente',
+            data: incident
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'creando incidencia');
+    }
+});
+
+// @route   PUT api/incidents/:id
+// @desc    Actualizar los datos de una incidencia (el estado se cambia con PATCH /status)
+// @access  Private
+router.put('/:id', auth, addTenantContext, validateObjectId('id'), validateIncident, async (req, res) => {
+    try {
+        const incident = await findIncidentOr404(req, res);
+        if (!incident) return;
+
+        const { title, description, detectionDate, affectedArea, severity } = req.body;
+        Object.assign(incident, { title, description, detectionDate, affectedArea });
+        if (severity) incident.severity = severity;
+
+        await incident.save();
+
+        res.json({
+            success: true,
+            message: 'Incidencia actualizada exitosamente',
+            data: incident
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'actualizando incidencia');
+    }
+});
+
+// @route   PATCH api/incidents/:id/status
+// @desc    Cambiar el estado de una incidencia (Abierta → En Proceso → Resuelta)
+// @access  Private
+router.patch('/:id/status', auth, addTenantContext, validateObjectId('id'), validateIncidentStatus, async (req, res) => {
+    try {
+        const incident = await findIncidentOr404(req, res);
+        if (!incident) return;
+
+        const { status, notes = '' } = req.body;
+
+        if (!incident.canTransitionTo(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `No se puede cambiar el estado de "${incident.status}" a "${status}"`
+            });
+        }
+
+        if (status === 'Resuelta' && !incident.hasAllActionsCompleted()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Para resolver la incidencia debe tener al menos una acción correctiva y todas deben estar completadas'
+            });
+        }
+
+        incident.setStatus(status, req.user, notes);
+        await incident.save();
+
+        res.json({
+            success: true,
+            message: `Incidencia marcada como ${status}`,
+            data: incident
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'cambiando estado de incidencia');
+    }
+});
+
+// @route   DELETE api/incidents/:id
+// @desc    Eliminar una incidencia y sus acciones correctivas
+// @access  Private
+router.delete('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const incident = await Incident.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!incident) {
+            return res.status(404).json({
+                success: false,
+                message: 'Incidencia no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Incidencia eliminada exitosamente'
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'eliminando incidencia');
+    }
+});
+
+// ==================== ACCIONES CORRECTIVAS ====================
+
+// @route   POST api/incidents/:id/actions
+// @desc    Añadir una acción correctiva (una incidencia abierta pasa a En Proceso)
+// @access  Private
+router.post('/:id/actions', auth, addTenantContext, validateObjectId('id'), validateCorrectiveAction, async (req, res) => {
+    try {
+        const incident = await findIncidentOr404(req, res);
+        if (!incident) return;
+
+        const { description, implementationDate, responsibleUser, status = 'Pendiente' } = req.body;
+
+        const responsible = await findOrganizationUser(req, responsibleUser);
+        if (!responsible) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado en la organización'
+            });
+        }
+
+        incident.correctiveActions.push({
+            description,
+            implementationDate,
+            responsibleUser: responsible._id,
+            status,
+            completedAt: status === 'Completada' ? new Date() : null,
+            registeredBy: req.user.name,
+            registeredById: req.user.id
+        });
+        const action = incident.correctiveActions[incident.correctiveActions.length - 1];
+
+        if (incident.status === 'Abierta') {
+            incident.setStatus('En Proceso', req.user, 'Acción correctiva registrada');
+        } else {
+            reopenIfActionPending(incident, action, req.user);
+        }
+
+        await incident.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Acción correctiva registrada exitosamente',
+            data: incident
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'creando acción correctiva');
+    }
+});
+
+// @route   PUT api/incidents/:id/actions/:actionId
+// @desc    Actualizar una acción correctiva
+// @access  Private
+router.put('/:id/actions/:actionId', auth, addTenantContext, validateObjectId('id'), validateObjectId('actionId'), validateCorrectiveActionUpdate, async (req, res) => {
+    try {
+        const incident = await findIncidentOr404(req, res);
+        if (!incident) return;
+
+        const action = incident.correctiveActions.id(req.params.actionId);
+        if (!action) {
+            return res.status(404).json({
+                success: false,
+                message: 'Acción correctiva no encontrada'
+            });
+        }
+
+        const { description, implementationDate, responsibleUser, status } = req.body;
+
+        if (responsibleUser) {
+            const responsible = await findOrganizationUser(req, responsibleUser);
+            if (!responsible) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuario no encontrado en la organización'
+                });
+            }
+            action.responsibleUser = responsible._id;
+        }
+
+        if (description !== undefined) action.description = description;
+        if (implementationDate !== undefined) action.implementationDate = implementationDate;
+        if (status && status !== action.status) {
+            action.status = status;
+            action.completedAt = status === 'Completada' ? new Date() : null;
+        }
+
+        reopenIfActionPending(incident, action, req.user);
+        await incident.save();
+
+        res.json({
+            success: true,
+            message: 'Acción correctiva actualizada exitosamente',
+            data: incident
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'actualizando acción correctiva');
+    }
+});
+
+// @route   DELETE api/incidents/:id/actions/:actionId
+// @desc    Eliminar una acción correctiva
+// @access  Private
+router.delete('/:id/actions/:actionId', auth, addTenantContext, validateObjectId('id'), validateObjectId('actionId'), async (req, res) => {
+    try {
+        const incident = await findIncidentOr404(req, res);
+        if (!incident) return;
+
+        const action = incident.correctiveActions.id(req.params.actionId);
+        if (!action) {
+            return res.status(404).json({
+                success: false,
+                message: 'Acción correctiva no encontrada'
+            });
+        }
+
+        action.deleteOne();
+        await incident.save();
+
+        res.json({
+            success: true,
+            message: 'Acción correctiva eliminada exitosamente',
+            data: incident
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'eliminando acción correctiva');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateLotList, validateLotGenealogy, validateLotRecall } = require('../middleware/validation');
+const { listLots, getLotGenealogy, traceRecall } = require('../utils/lotGenealogy');
+
+// @route   GET api/lots
+// @desc    Lotes recibidos (type=delivery) o elaborados (type=elaborated) para vincular en elaboraciones y salidas
+// @access  Private
+router.get('/', auth, addTenantContext, validateLotList, async (req, res) => {
+    try {
+        const { type = 'delivery', q, limit } = req.query;
+        const lots = await listLots(req.tenantId, { type, q, limit });
+
+        res.json({
+            success: true,
+            data: lots
+        });
+    } catch (error) {
+        console.error('Error obteniendo lotes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/lots/genealogy?lot=
+// @desc    Genealogía de un lote: origen, un paso atrás (recepciones de los ingredientes)
+//          y un paso adelante (elaboraciones y salidas)
+// @access  Private
+router.get('/genealogy', auth, addTenantContext, validateLotGenealogy, async (req, res) => {
+    try {
+        const genealogy = await getLotGenealogy(req.tenantId, req.query.lot);
+
+        const found = genealogy.receptions.length > 0
+            || genealogy.elaborations.length > 0
+            || genealogy.forward.elaborations.length > 0
+            || genealogy.forward.shipments.length > 0;
+
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'No hay registros con este lote'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: genealogy
+        });
+    } catch (error) {
+        console.error('Error obteniendo genealogía del lote:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/lots/recall?lot=&direction=forward|backward
+// @desc    Simulación de retirada de producto: destinos afectados por un lote (forward)
+//          o proveedores de los que procede (backward), a través de todas las elaboraciones
+// @access  Private
+router.get('/recall', auth, addTenantContext, validateLotRecall, async (req, res) => {
+    try {
+        const { lot, direction = 'forward' } = req.query;
+        const report = await traceRecall(req.tenantId, lot, direction);
+
+        if (report.receptions.length === 0 && report.elaborations.length === 0 && report.shipments.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'No hay registros con este lote'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        console.error('Error simulando retirada de producto:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateMissedCheckList, validateMissedCheckJustification, sendMongooseValidationError } = require('../middleware/validation');
+const { getPaginationParams, buildPaginationInfo, buildSort } = require('../utils/queryHelpers');
+const { buildMissedCheckFilter } = require('../utils/recordFilters');
+const { syncMissedChecks } = require('../utils/missedChecks');
+const MissedCheck = require('../models/MissedCheck');
+
+const SORTABLE_FIELDS = ['scheduledAt', 'status'];
+
+// Maneja errores comunes de las rutas de controles no realizados
+const handleMissedCheckError = (res, error, context) => {
+    console.error(`Error ${context}:`, error);
+
+    if (error.name === 'ValidationError') {
+        return sendMongooseValidationError(res, error);
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+    });
+};
+
+// @route   GET api/missed-checks
+// @desc    Controles programados no realizados (filtros unitId, status, dateFrom, dateTo y paginación)
+// @access  Private
+router.get('/', auth, addTenantContext, validateMissedCheckList, async (req, res) => {
+    try {
+        const { page, limit, skip } = getPaginationParams(req.query);
+        const filter = buildMissedCheckFilter(req.tenantId, req.query);
+
+        const [records, total] = await Promise.all([
+            MissedCheck.find(filter)
+                .sort(buildSort(req.query.sort, SORTABLE_FIELDS, { scheduledAt: -1 }))
+                .skip(skip)
+                .limit(limit),
+            MissedCheck.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        handleMissedCheckError(res, error, 'obteniendo controles no realizados');
+    }
+});
+
+// @route   POST api/missed-checks/analyze
+// @desc    Revisar ahora los controles programados de todas las cámaras (la tarea periódica lo hace cada pocos minutos)
+// @access  Private
+router.post('/analyze', auth, addTenantContext, async (req, res) => {
+    try {
+        const result = await syncMissedChecks(req.tenantId);
+
+        res.json({
+            success: true,
+            message: `${result.missed} controles no realizados en ${result.units} cámaras`,
+            data: result
+        });
+    } catch (error) {
+        handleMissedCheckError(res, error, 'analizando controles no realizados');
+    }
+});
+
+// @route   PATCH api/missed-checks/:id/justify
+// @desc    Justificar un control no realizado (cierre, avería, cámara vacía...)
+// @access  Private
+router.patch('/:id/justify', auth, addTenantContext, validateObjectId('id'), validateMissedCheckJustification, async (req, res) => {
+    try {
+        const missedCheck = await MissedCheck.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!missedCheck) {
+            return res.status(404).json({
+                success: false,
+                message: 'Control no encontrado'
+            });
+        }
+
+        missedCheck.justify(req.body.justification, req.user);
+        await missedCheck.save();
+
+        res.json({
+            success: true,
+            message: 'Control justificado',
+            data: missedCheck
+        });
+    } catch (error) {
+        handleMissedCheckError(res, error, 'justificando control no realizado');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,239 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateOutgoingRecord, sendMongooseValidationError } = require('../middleware/validation');
+const { getPaginationParams, buildPaginationInfo, buildSort } = require('../utils/queryHelpers');
+const { buildOutgoingFilter } = require('../utils/recordFilters');
+const { findOrganizationUser } = require('../utils/tenantHelpers');
+const { resolveOutgoingSource } = require('../utils/lotGenealogy');
+const OutgoingRecord = require('../models/OutgoingRecord');
+
+const SORTABLE_FIELDS = ['date', 'productName', 'lotIdentifier', 'createdAt'];
+
+// @route   GET api/records/outgoing
+// @desc    Obtener registros de salida de la organización (filtros y paginación)
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const { page, limit, skip } = getPaginationParams(req.query);
+        const filter = buildOutgoingFilter(req.tenantId, req.query);
+
+        const [records, total] = await Promise.all([
+            OutgoingRecord.find(filter)
+                .sort(buildSort(req.query.sort, SORTABLE_FIELDS, { date: -1 }))
+                .skip(skip)
+                .limit(limit),
+            OutgoingRecord.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error obteniendo registros de salida:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/records/outgoing/:id
+// @desc    Obtener un registro de salida de la organización
+// @access  Private
+router.get('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const record = await OutgoingRecord.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: record
+        });
+    } catch (error) {
+        console.error('Error obteniendo registro de salida:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/records/outgoing
+// @desc    Crear un nuevo registro de salida
+// @access  Private
+router.post('/', auth, addTenantContext, validateOutgoingRecord, async (req, res) => {
+    try {
+        const { productName, quantity, lotIdentifier, destinationType, destination, date, userId } = req.body;
+
+        const responsible = await findOrganizationUser(req, userId);
+        if (!responsible) {
+            return res.status(404).json({
+                success: false,
+                message: 'Usuario no encontrado en la organización'
+            });
+        }
+
+        // Con un lote de origen vinculado, el lote expedido es el del registro de origen
+        const source = await resolveOutgoingSource(req.tenantId, req.body);
+
+        const record = new OutgoingRecord({
+            organizationId: req.tenantId,
+            userId: responsible._id,
+            productName,
+            quantity,
+            lotIdentifier: source ? source.lot : lotIdentifier,
+            destinationType,
+            destination,
+            date,
+            sourceType: source?.sourceType,
+            sourceRecordId: source?.sourceRecordId,
+            registeredBy: req.user.name,
+            registeredById: req.user.id,
+            registeredAt: new Date().toISOString()
+        });
+
+        await record.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Registro de salida creado exitosamente',
+            data: record
+        });
+    } catch (error) {
+        console.error('Error creando registro de salida:', error);
+
+        if (error.name === 'LotLinkError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Errores de validación',
+                errors: [{ field: error.field, message: error.message }]
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/records/outgoing/:id
+// @desc    Actualizar un registro de salida de la organización
+// @access  Private
+router.put('/:id', auth, addTenantContext, validateObjectId('id'), validateOutgoingRecord, async (req, res) => {
+    try {
+        const record = await OutgoingRecord.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        const { productName, quantity, lotIdentifier, destinationType, destination, date, userId } = req.body;
+
+        if (userId) {
+            const responsible = await findOrganizationUser(req, userId);
+            if (!responsible) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuario no encontrado en la organización'
+                });
+            }
+            record.userId = responsible._id;
+        }
+
+        const source = await resolveOutgoingSource(req.tenantId, req.body);
+
+        Object.assign(record, {
+            productName,
+            quantity,
+            lotIdentifier: source ? source.lot : lotIdentifier,
+            destinationType,
+            destination,
+            date,
+            sourceType: source?.sourceType,
+            sourceRecordId: source?.sourceRecordId
+        });
+        await record.save();
+
+        res.json({
+            success: true,
+            message: 'Registro de salida actualizado exitosamente',
+            data: record
+        });
+    } catch (error) {
+        console.error('Error actualizando registro de salida:', error);
+
+        if (error.name === 'LotLinkError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Errores de validación',
+                errors: [{ field: error.field, message: error.message }]
+            });
+        }
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   DELETE api/records/outgoing/:id
+// @desc    Eliminar un registro de salida de la organización
+// @access  Private
+router.delete('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const record = await OutgoingRecord.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Registro de salida eliminado exitosamente'
+        });
+    } catch (error) {
+        console.error('Error eliminando registro de salida:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,374 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validatePestStation, validatePestControlVisit, sendMongooseValidationError } = require('../middleware/validation');
+const { uploadDocumentFile, DOCUMENT_MIME_TYPES } = require('../middleware/upload');
+const PestStation = require('../models/PestStation');
+const PestControlVisit = require('../models/PestControlVisit');
+const PestControlCertificate = require('../models/PestControlCertificate');
+const { buildFindings, saveVisitWithIncidents } = require('../utils/pestControl');
+const { sendAttachment } = require('../utils/attachments');
+const { buildDateRangeFilter, getPaginationParams, buildPaginationInfo } = require('../utils/queryHelpers');
+
+// Maneja errores comunes de las rutas de control de plagas
+const handlePestControlError = (res, error, context) => {
+    console.error(`Error ${context}:`, error);
+
+    if (error.name === 'ValidationError') {
+        return sendMongooseValidationError(res, error);
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+    });
+};
+
+const sendStationNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Estación no encontrada'
+});
+
+const sendVisitNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Visita no encontrada'
+});
+
+// Cada número del plano identifica una sola estación de la organización
+const isDuplicateNumber = async (req, number, excludeId) => {
+    const filter = { organizationId: req.tenantId, number };
+    if (excludeId) filter._id = { $ne: excludeId };
+    return Boolean(await PestStation.exists(filter));
+};
+
+const sendDuplicateNumber = (res) => res.status(400).json({
+    success: false,
+    message: 'Ya existe una estación con ese número en el plano'
+});
+
+const findVisit = (req) => PestControlVisit.findOne({ _id: req.params.id, organizationId: req.tenantId });
+
+// Campos de la visita que se copian del cuerpo de la petición
+const assignVisitFields = (visit, body) => {
+    visit.visitDate = body.visitDate;
+    visit.company = body.company;
+    visit.technician = body.technician || '';
+    visit.technicianCertificate = body.technicianCertificate;
+    visit.productsApplied = body.productsApplied || [];
+    visit.observations = body.observations || '';
+};
+
+// ==================== ESTACIONES ====================
+
+// @route   GET api/pest-control/stations
+// @desc    Estaciones de cebo y trampas de la organización, por número del plano
+// @access  Private
+router.get('/stations', auth, addTenantContext, async (req, res) => {
+    try {
+        const stations = await PestStation.find({ organizationId: req.tenantId })
+            .sort({ number: 1 });
+
+        res.json({
+            success: true,
+            data: stations
+        });
+    } catch (error) {
+        handlePestControlError(res, error, 'obteniendo estaciones de control de plagas');
+    }
+});
+
+// @route   POST api/pest-control/stations
+// @desc    Crear una estación (número del plano, ubicación, tipo y umbral de incidencia)
+// @access  Private
+router.post('/stations', auth, addTenantContext, validatePestStation, async (req, res) => {
+    try {
+        const { number, location, type, incidentThreshold, isActive } = req.body;
+
+        if (await isDuplicateNumber(req, number)) return sendDuplicateNumber(res);
+
+        const station = new PestStation({
+            organizationId: req.tenantId,
+            number,
+            location,
+            type,
+            incidentThreshold,
+            isActive,
+            createdBy: req.user.id
+        });
+
+        await station.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Estación creada exitosamente',
+            data: station
+        });
+    } catch (error) {
+        handlePestControlError(res, error, 'creando estación de control de plagas');
+    }
+});
+
+// @route   PUT api/pest-control/stations/:id
+// @desc    Actualizar una estación (las visitas anteriores conservan sus datos)
+// @access  Private
+router.put('/stations/:id', auth, addTenantContext, validateObjectId('id'), validatePestStation, async (req, res) => {
+    try {
+        const station = await PestStation.findOne({ _id: req.params.id, organizationId: req.tenantId });
+        if (!station) return sendStationNotFound(res);
+
+        if (await isDuplicateNumber(req, req.body.number, station._id)) return sendDuplicateNumber(res);
+
+        ['number', 'location', 'type', 'incidentThreshold', 'isActive'].forEach(field => {
+            if (req.body[field] !== undefined) station[field] = req.body[field];
+        });
+        await station.save();
+
+        res.json({
+            success: true,
+            message: 'Estación actualizada exitosamente',
+            data: station
+        });
+    } catch (error) {
+        handlePestControlError(res, error, 'actualizando estación de control de plagas');
+    }
+});
+
+// @route   DELETE api/pest-control/stations/:id
+// @desc    Eliminar una estación (sus hallazgos se conservan en el historial de visitas)
+// @access  Private
+router.delete('/stations/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const station = await PestStation.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+        if (!station) return sendStationNotFound(res);
+
+        res.json({
+            success: true,
+            message: 'Estación eliminada exitosamente'
+        });
+    } catch (error) {
+        handlePestControlError(res, error, 'eliminando estación de control de plagas');
+    }
+});
+
+// ==================== VISITAS ====================
+
+// @route   GET api/pest-control/visits
+// @desc    Historial de visitas (filtros stationId, dateFrom, dateTo y paginación)
+// @access  Private
+router.get('/visits', auth, addTenantContext, async (req, res) => {
+    try {
+        const { stationId, dateFrom, dateTo } = req.query;
+        const { page, limit, skip } = getPaginationParams(req.query);
+
+        const filter = { organizationId: req.tenantId };
+        if (stationId && mongoose.Types.ObjectId.isValid(stationId)) filter['findings.stationId'] = stationId;
+
+        const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+        if (dateRange) filter.visitDate = dateRange;
+
+        const [records, total] = await Promise.all([
+            PestControlVisit.find(filter)
+                .sort({ visitDate: -1 })
+                .skip(skip)
+                .limit(limit),
+            PestControlVisit.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        handlePestControlError(res, error, 'obteniendo visitas de control de plagas');
+    }
+});
+
+// @route   GET api/pest-control/visits/:id
+// @desc    Obtener una visita
+// @access  Private
+router.get('/visits/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const visit = await findVisit(req);
+        if (!visit) return sendVisitNotFound(res);
+
+        res.json({
+            success: true,
+            data: visit
+        });
+    } catch (error) {
+        handlePestControlError(res, error, 'obteniendo visita de control de plagas');
+    }
+});
+
+// @route   POST api/pest-control/visits
+// @desc    Registrar una visita con los hallazgos por estación y los productos aplicados.
+//          Los hallazgos que alcanzan el umbral de su estación abren una incidencia.
+// @access  Private
+router.post('/visits', auth, addTenantContext, validatePestControlVisit, async (req, res) => {
+    try {
+        const findings = await buildFindings(req.tenantId, req.body.findings);
+        if (!findings) return sendStationNotFound(res);
+
+        const visit = new PestControlVisit({
+            organizationId: req.tenantId,
+            findings,
+            registeredBy: req.user.name,
+            registeredById: req.user.id
+        });
+        assignVisitFields(visit, req.body);
+
+        await saveVisitWithIncidents(visit, req.user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Visita registrada exitosamente',
+            data: visit
+        });
+    } catch (error) {
+        handlePestControlError(res, error, 'registrando visita de control de plagas');
+    }
+});
+
+// @route   PUT api/pest-control/visits/:id
+// @desc    Actualizar una visita (las incidencias ya abiertas se conservan)
+// @access  Private
+router.put('/visits/:id', auth, addTenantContext, validateObjectId('id'), validatePestControlVisit, async (req, res) => {
+    try {
+        const visit = await findVisit(req);
+        if (!visit) return sendVisitNotFound(res);
+
+        const findings = await buildFindings(req.tenantId, req.body.findings, visit.findings);
+        if (!findings) return sendStationNotFound(res);
+
+        visit.findings = findings;
+        assignVisitFields(visit, req.body);
+
+        await saveVisitWithIncidents(visit, req.user);
+
+        res.json({
+            success: true,
+            message: 'Visita actualizada exitosamente',
+            data: visit
+        });
+    } catch (error) {
+        handlePestControlError(res, error, 'actualizando visita de control de plagas');
+    }
+});
+
+// @route   DELETE api/pest-control/visits/:id
+// @desc    Eliminar una visita y su certificado (las incidencias abiertas se conservan)
+// @access  Private
+router.delete('/visits/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const visit = await PestControlVisit.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+        if (!visit) return sendVisitNotFound(res);
+
+        await PestControlCertificate.deleteOne({ visitId: visit._id, organizationId: req.tenantId });
+
+        res.json({
+            success: true,
+            message: 'Visita eliminada exitosamente'
+        });
+    } catch (error) {
+        handlePestControlError(res, error, 'eliminando visita de control de plagas');
+    }
+});
+
+// ==================== CERTIFICADOS ====================
+
+// @route   POST api/pest-control/visits/:id/certificate
+// @desc    Adjuntar el certificado del servicio (PDF, JPG o PNG); sustituye el anterior
+// @access  Private
+router.post('/visits/:id/certificate', auth, addTenantContext, validateObjectId('id'), uploadDocumentFile, async (req, res) => {
+    try {
+        const visit = await findVisit(req);
+        if (!visit) return sendVisitNotFound(res);
+
+        const fileName = req.file.originalname;
+        const mimeType = DOCUMENT_MIME_TYPES[path.extname(fileName).toLowerCase()];
+
+        await PestControlCertificate.findOneAndUpdate(
+            { visitId: visit._id },
+            {
+                organizationId: req.tenantId,
+                visitId: visit._id,
+                fileName,
+                mimeType,
+                data: req.file.buffer,
+                uploadedBy: req.user.name,
+                uploadedById: req.user.id
+            },
+            { upsert: true, runValidators: true }
+        );
+
+        visit.certificate = { fileName, mimeType, size: req.file.size, uploadedAt: new Date() };
+        await visit.save();
+
+        res.json({
+            success: true,
+            message: 'Certificado adjuntado exitosamente',
+            data: visit
+        });
+    } catch (error) {
+        handlePestControlError(res, error, 'adjuntando certificado de control de plagas');
+    }
+});
+
+// @route   GET api/pest-control/visits/:id/certificate
+// @desc    Descargar el certificado del servicio de una visita
+// @access  Private
+router.get('/visits/:id/certificate', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const certificate = await PestControlCertificate.findOne({
+            visitId: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificado no encontrado'
+            });
+        }
+
+        sendAttachment(res, certificate);
+    } catch (error) {
+        handlePestControlError(res, error, 'descargando certificado de control de plagas');
+    }
+});
+
+// @route   DELETE api/pest-control/visits/:id/certificate
+// @desc    Eliminar el certificado adjunto de una visita
+// @access  Private
+router.delete('/visits/:id/certificate', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const visit = await findVisit(req);
+        if (!visit) return sendVisitNotFound(res);
+
+        await PestControlCertificate.deleteOne({ visitId: visit._id, organizationId: req.tenantId });
+
+        visit.certificate = null;
+        await visit.save();
+
+        res.json({
+            success: true,
+            message: 'Certificado eliminado exitosamente',
+            data: visit
+        });
+    } catch (error) {
+        handlePestControlError(res, error, 'eliminando certificado de control de plagas');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateProductType, sendMongooseValidationError } = require('../middleware/validation');
+const { escapeRegExp } = require('../utils/queryHelpers');
+const ProductType = require('../models/ProductType');
+const DeliveryRecord = require('../models/DeliveryRecord');
+
+const TOLERANCE_FIELDS = ['toleranceAbove', 'rejectAbove', 'toleranceBelow', 'rejectBelow'];
+
+// Tolerancias de recepción incluidas en la petición (un valor vacío elimina el límite)
+const pickTolerances = (body) => TOLERANCE_FIELDS.reduce((tolerances, field) => {
+    if (body[field] !== undefined) {
+        tolerances[field] = body[field] === null || body[field] === '' ? null : parseFloat(body[field]);
+    }
+    return tolerances;
+}, {});
+
+// Comprueba si ya existe otro tipo de producto activo con el mismo nombre
+const isDuplicateName = (req, name, excludeId) => ProductType.exists({
+    organizationId: req.tenantId,
+    isArchived: false,
+    name: new RegExp(`^${escapeRegExp(name.trim())}$`, 'i'),
+    ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @route   GET api/product-types
+// @desc    Obtener tipos de producto de la organización (includeArchived=true para incluir archivados)
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const filter = { organizationId: req.tenantId };
+        if (req.query.includeArchived !== 'true') filter.isArchived = false;
+
+        const productTypes = await ProductType.find(filter).sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: productTypes
+        });
+    } catch (error) {
+        console.error('Error obteniendo tipos de producto:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/product-types/:id
+// @desc    Obtener un tipo de producto de la organización
+// @access  Private
+router.get('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const productType = await ProductType.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!productType) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tipo de producto no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: productType
+        });
+    } catch (error) {
+        console.error('Error obteniendo tipo de producto:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/product-types
+// @desc    Crear un tipo de producto
+// @access  Private
+router.post('/', auth, addTenantContext, validateProductType, async (req, res) => {
+    try {
+        if (await isDuplicateName(req, req.body.name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un tipo de producto con ese nombre'
+            });
+        }
+
+        const productType = new ProductType({
+            organizationId: req.tenantId,
+            name: req.body.name,
+            optimalTemp: parseFloat(req.body.optimalTemp),
+            category: req.body.category || undefined,
+            ...pickTolerances(req.body),
+            createdBy: req.user.id
+        });
+
+        await productType.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Tipo de producto creado exitosamente',
+            data: productType
+        });
+    } catch (error) {
+        console.error('Error creando tipo de producto:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/product-types/:id
+// @desc    Actualizar un tipo de producto
+// @access  Private
+router.put('/:id', auth, addTenantContext, validateObjectId('id'), validateProductType, async (req, res) => {
+    try {
+        if (await isDuplicateName(req, req.body.name, req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un tipo de producto con ese nombre'
+            });
+        }
+
+        const update = { $set: { name: req.body.name, optimalTemp: parseFloat(req.body.optimalTemp), ...pickTolerances(req.body) } };
+        // Sin categoría en la petición se conserva la actual; vacía la elimina
+        if (req.body.category) update.$set.category = req.body.category;
+        else if (req.body.category !== undefined) update.$unset = { category: '' };
+
+        const productType = await ProductType.findOneAndUpdate(
+            { _id: req.params.id, organizationId: req.tenantId },
+            update,
+            { new: true, runValidators: true }
+        );
+
+        if (!productType) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tipo de producto no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Tipo de producto actualizado exitosamente',
+            data: productType
+        });
+    } catch (error) {
+        console.error('Error actualizando tipo de producto:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/product-types/:id/restore
+// @desc    Reactivar un tipo de producto archivado
+// @access  Private
+router.post('/:id/restore', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const productType = await ProductType.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!productType) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tipo de producto no encontrado'
+            });
+        }
+
+        if (await isDuplicateName(req, productType.name, productType._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un tipo de producto activo con ese nombre'
+            });
+        }
+
+        productType.isArchived = false;
+        productType.archivedAt = null;
+        await productType.save();
+
+        res.json({
+            success: true,
+            message: 'Tipo de producto reactivado exitosamente',
+            data: productType
+        });
+    } catch (error) {
+        console.error('Error reactivando tipo de producto:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   DELETE api/product-types/:id
+// @desc    Eliminar un tipo de producto. Si tiene registros de recepción se archiva para conservar el historial
+// @access  Private
+router.delete('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const productType = await ProductType.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!productType) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tipo de producto no encontrado'
+            });
+        }
+
+        const deliveryCount = await DeliveryRecord.countDocuments({
+            organizationId: req.tenantId,
+            productTypeId: String(productType._id)
+        });
+
+        if (deliveryCount > 0) {
+            productType.isArchived = true;
+            productType.archivedAt = new Date();
+            await productType.save();
+
+            return res.json({
+                success: true,
+                message: `El tipo de producto tiene ${deliveryCount} registros de recepción y se ha archivado en lugar de eliminarse`,
+                data: { archived: true, productType }
+            });
+        }
+
+        await productType.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Tipo de producto eliminado exitosamente',
+            data: { archived: false }
+        });
+    } catch (error) {
+        console.error('Error eliminando tipo de producto:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,461 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateRecordExport, validateRecordImport, validateRecordSearch } = require('../middleware/validation');
+const { uploadImportFile } = require('../middleware/upload');
+const { getPaginationParams, buildPaginationInfo } = require('../utils/queryHelpers');
+const {
+    buildDeliveryFilter,
+    buildStorageFilter,
+    buildTechnicalSheetFilter,
+    buildOutgoingFilter,
+    buildElaboratedFilter,
+    buildIncidentFilter
+} = require('../utils/recordFilters');
+const { resolveExportFormat, formatDate, formatDateTime, sendExport } = require('../utils/recordExport');
+const { normalizeText, isEmptyValue, parseImportFile, mapRowKeys, parseNumber, parseBoolean, parseDate, findByIdOrName } = require('../utils/recordImport');
+const { loadOrganizationMap } = require('../utils/tenantHelpers');
+const { CONFORMITY_LABELS, evaluateConformity } = require('../utils/receptionConformity');
+const { syncExcursions } = require('../utils/temperatureExcursions');
+const { syncMissedChecks } = require('../utils/missedChecks');
+const DeliveryRecord = require('../models/DeliveryRecord');
+const StorageRecord = require('../models/StorageRecord');
+const StorageUnit = require('../models/StorageUnit');
+const TechnicalSheet = require('../models/TechnicalSheet');
+const TechnicalSheetRevision = require('../models/TechnicalSheetRevision');
+const OutgoingRecord = require('../models/OutgoingRecord');
+const ElaboratedRecord = require('../models/ElaboratedRecord');
+const Incident = require('../models/Incident');
+const Supplier = require('../models/Supplier');
+const ProductType = require('../models/ProductType');
+const ConfigCatalog = require('../models/ConfigCatalog');
+
+// Temperatura numérica dentro del rango que admiten los formularios
+const parseTemperature = (value, errors, field = 'temperature') => {
+    const temperature = parseNumber(value);
+    if (temperature === null || temperature < -50 || temperature > 100) {
+        errors.push({ field, message: 'La temperatura debe ser un número entre -50 y 100' });
+    }
+    return temperature;
+};
+
+// Ingredientes en el formato de la exportación: "Nombre (lote X) [alérgeno]; ..."
+const parseIngredients = (value, errors) => {
+    if (Array.isArray(value)) return value;
+
+    return String(value || '').split(';').map(text => text.trim()).filter(Boolean).map(text => {
+        const match = text.match(/^(.*?)\s*\(lote\s+([^)]+)\)\s*(\[al[ée]rgeno\])?$/i);
+        if (!match) {
+            errors.push({ field: 'ingredients', message: `Ingrediente sin lote: ${text}` });
+            return { name: text, lot: '' };
+        }
+        return { name: match[1], lot: match[2].trim(), isAllergen: Boolean(match[3]) };
+    });
+};
+
+// Configuración de cada tipo de registro exportable e importable.
+// importRow(row, lookups) devuelve los campos del registro y los errores de la fila.
+const RECORD_TYPES = {
+    delivery: {
+        model: DeliveryRecord,
+        buildFilter: buildDeliveryFilter,
+        sort: { receptionDate: -1, createdAt: -1 },
+        fileName: 'historial_recepciones',
+        sheetName: 'Recepciones',
+        loadLookups: async (organizationId) => ({
+            suppliers: await loadOrganizationMap(Supplier, organizationId, 'name'),
+            productTypes: await loadOrganizationMap(ProductType, organizationId, 'name optimalTemp toleranceAbove rejectAbove toleranceBelow rejectBelow'),
+            transportConditions: await ConfigCatalog.getItems(organizationId, 'transport-conditions')
+        }),
+        columns: [
+            { key: 'receptionDate', header: 'Fecha', value: r => formatDate(r.receptionDate) },
+            { key: 'supplier', header: 'Proveedor', value: (r, { suppliers }) => suppliers.get(r.supplierId)?.name || 'N/A' },
+            { key: 'productType', header: 'Producto', value: (r, { productTypes }) => productTypes.get(r.productTypeId)?.name || 'N/A' },
+            { key: 'temperature', header: 'Temperatura Recibida (°C)', value: r => r.temperature },
+            { key: 'optimalTemp', header: 'Temperatura Óptima (°C)', value: (r, { productTypes }) => productTypes.get(r.productTypeId)?.optimalTemp },
+            { key: 'conformity', header: 'Conformidad', value: r => CONFORMITY_LABELS[r.conformity?.status] },
+            { key: 'docsOk', header: 'Documentación OK', value: r => r.docsOk },
+            { key: 'transportCondition', header: 'Condiciones de Transporte', value: r => r.transportCondition },
+            { key: 'lot', header: 'Lote', value: r => r.lot },
+            { key: 'expiryDate', header: 'Fecha de Caducidad', value: r => formatDate(r.expiryDate) },
+            { key: 'registeredBy', header: 'Usuario', value: r => r.registeredBy },
+            { key: 'hasAlbaranImage', header: 'Foto Albarán', value: r => Boolean(r.albaranImage) }
+        ],
+        importRow: (row, { suppliers, productTypes, transportConditions }) => {
+            const errors = [];
+
+            const supplier = findByIdOrName(suppliers, row.supplier);
+            if (!supplier) errors.push({ field: 'supplier', message: `Proveedor no encontrado: ${row.supplier || '(vacío)'}` });
+
+            const productType = findByIdOrName(productTypes, row.productType);
+            if (!productType) errors.push({ field: 'productType', message: `Tipo de producto no encontrado: ${row.productType || '(vacío)'}` });
+
+            const temperature = parseTemperature(row.temperature, errors);
+
+            const receptionDate = parseDate(row.receptionDate);
+            if (!receptionDate) errors.push({ field: 'receptionDate', message: 'La fecha de recepción no es válida' });
+
+            const docsOk = parseBoolean(row.docsOk, true);
+            if (docsOk === null) errors.push({ field: 'docsOk', message: 'Documentación OK debe ser Sí o No' });
+
+            // Se guarda con la grafía del catálogo de la organización
+            const transportCondition = isEmptyValue(row.transportCondition)
+                ? undefined
+                : transportConditions.find(item => normalizeText(item) === normalizeText(row.transportCondition));
+            if (transportCondition === undefined && !isEmptyValue(row.transportCondition)) {
+                errors.push({ field: 'transportCondition', message: `Condición de transporte no incluida en el catálogo: ${row.transportCondition}` });
+            }
+
+            const expiryDate = isEmptyValue(row.expiryDate) ? undefined : parseDate(row.expiryDate);
+            if (expiryDate === null) errors.push({ field: 'expiryDate', message: 'La fecha de caducidad no es válida' });
+
+            // Misma clasificación que en los registros manuales; los históricos importados no abren incidencias
+            const conformity = productType && errors.length === 0
+                ? evaluateConformity(ProductType.hydrate(productType), { temperature, docsOk })
+                : undefined;
+
+            return {
+                errors,
+                data: {
+                    supplierId: supplier?._id.toString(),
+                    productTypeId: productType?._id.toString(),
+                    temperature: temperature === null ? undefined : String(temperature),
+                    receptionDate,
+                    docsOk,
+                    transportCondition,
+                    lot: isEmptyValue(row.lot) ? undefined : String(row.lot).trim(),
+                    expiryDate,
+                    conformity,
+                    registeredBy: row.registeredBy
+                }
+            };
+        }
+    },
+    storage: {
+        model: StorageRecord,
+        buildFilter: buildStorageFilter,
+        sort: { dateTime: -1 },
+        fileName: 'historial_almacenamiento',
+        sheetName: 'Almacenamiento',
+        loadLookups: async (organizationId) => ({
+            units: await loadOrganizationMap(StorageUnit, organizationId, 'name minTemp maxTemp monitoringSchedule.timezone')
+        }),
+        columns: [
+            { key: 'dateTime', header: 'Fecha y Hora', value: r => formatDateTime(r.dateTime) },
+            { key: 'unit', header: 'Cámara', value: (r, { units }) => units.get(r.unitId.toString())?.name || 'N/A' },
+            { key: 'temperature', header: 'Temperatura (°C)', value: r => r.temperature },
+            { key: 'humidity', header: 'Humedad (%)', value: r => r.humidity },
+            { key: 'isOutOfRange', header: 'Fuera de Rango', value: r => r.isOutOfRange },
+            { key: 'rotationCheck', header: 'Rotación OK', value: r => r.rotationCheck },
+            { key: 'mincingCheck', header: 'Instrucciones Picado OK', value: r => r.mincingCheck },
+            { key: 'registeredBy', header: 'Usuario', value: r => r.registeredBy }
+        ],
+        importRow: (row, { units }) => {
+            const errors = [];
+
+            const unit = findByIdOrName(units, row.unit);
+            if (!unit) errors.push({ field: 'unit', message: `Cámara no encontrada: ${row.unit || '(vacío)'}` });
+
+            // Las horas sin zona son las de la cámara
+            const dateTime = parseDate(row.dateTime, unit?.monitoringSchedule?.timezone);
+            if (!dateTime) errors.push({ field: 'dateTime', message: 'La fecha y hora no es válida' });
+
+            const temperature = parseTemperature(row.temperature, errors);
+
+            const humidity = parseNumber(row.humidity);
+            if (humidity === null && !isEmptyValue(row.humidity)) {
+                errors.push({ field: 'humidity', message: 'La humedad debe ser un número' });
+            }
+
+            const rotationCheck = parseBoolean(row.rotationCheck);
+            if (rotationCheck === null) errors.push({ field: 'rotationCheck', message: 'Rotación OK debe ser Sí o No' });
+
+            const mincingCheck = parseBoolean(row.mincingCheck);
+            if (mincingCheck === null) errors.push({ field: 'mincingCheck', message: 'Instrucciones Picado OK debe ser Sí o No' });
+
+            return {
+                errors,
+                data: {
+                    unitId: unit?._id,
+                    dateTime,
+                    temperature,
+                    humidity: humidity === null ? undefined : humidity,
+                    rotationCheck,
+                    mincingCheck,
+                    // Misma comprobación de rango que en los registros manuales
+                    isOutOfRange: unit && temperature !== null
+                        ? StorageUnit.hydrate(unit).isTemperatureOutOfRange(temperature)
+                        : false,
+                    registeredBy: row.registeredBy
+                }
+            };
+        },
+        // Las lecturas importadas pueden abrir o ampliar excursiones de temperatura
+        afterImport: async (records) => {
+            const unitIds = records.map(record => record.unitId);
+            const dates = records.map(record => new Date(record.dateTime).getTime());
+            const range = { from: new Date(Math.min(...dates)), to: new Date(Math.max(...dates)) };
+            await syncExcursions(records[0].organizationId, unitIds, range);
+            // Los registros en papel importados pueden cubrir controles que constaban como no realizados
+            await syncMissedChecks(records[0].organizationId, unitIds, range);
+        }
+    },
+    'technical-sheets': {
+        model: TechnicalSheet,
+        buildFilter: buildTechnicalSheetFilter,
+        sort: { productName: 1 },
+        fileName: 'fichas_tecnicas',
+        sheetName: 'Fichas Técnicas',
+        loadLookups: async () => ({}),
+        columns: [
+            { key: 'productName', header: 'Denominación', value: r => r.productName },
+            { key: 'revision', header: 'Revisión', value: r => r.revision },
+            { key: 'revisionDate', header: 'Fecha Revisión', value: r => formatDate(r.revisionDate) },
+            {
+                key: 'ingredients',
+                header: 'Ingredientes',
+                value: r => r.ingredients
+                    .map(i => `${i.name} (lote ${i.lot})${i.isAllergen ? ' [alérgeno]' : ''}`)
+                    .join('; ')
+            },
+            { key: 'elaboration', header: 'Elaboración', value: r => r.elaboration },
+            { key: 'presentation', header: 'Presentación', value: r => r.presentation },
+            { key: 'shelfLife', header: 'Vida Útil', value: r => r.shelfLife },
+            { key: 'labeling', header: 'Etiquetado', value: r => r.labeling }
+        ],
+        importRow: (row) => {
+            const errors = [];
+
+            if (isEmptyValue(row.productName)) {
+                errors.push({ field: 'productName', message: 'La denominación del producto es requerida' });
+            }
+
+            return {
+                errors,
+                data: {
+                    productName: row.productName,
+                    ingredients: parseIngredients(row.ingredients, errors),
+                    elaboration: row.elaboration,
+                    presentation: row.presentation,
+                    shelfLife: row.shelfLife,
+                    labeling: row.labeling,
+                    revision: 1,
+                    revisionDate: new Date()
+                }
+            };
+        },
+        // Cada ficha importada empieza con su revisión inicial
+        afterImport: (sheets, user) => TechnicalSheetRevision.insertMany(
+            sheets.map(sheet => TechnicalSheetRevision.fromSheet(sheet, user, 'Importación'))
+        )
+    }
+};
+
+// Ids de los documentos de una colección maestra cuyo nombre coincide con la búsqueda
+const findTextMatchIds = async (Model, organizationId, q) => {
+    const docs = await Model.find({ organizationId, $text: { $search: q } }).select('_id').lean();
+    return docs.map(doc => doc._id);
+};
+
+// Configuración de la búsqueda por tipo de registro. Los registros con texto propio
+// usan su índice de texto; recepciones y almacenamiento guardan ids, así que se
+// buscan primero los proveedores, productos o cámaras cuyo nombre coincide.
+const SEARCH_TYPES = {
+    delivery: {
+        model: DeliveryRecord,
+        buildFilter: buildDeliveryFilter,
+        sort: { receptionDate: -1, createdAt: -1 },
+        searchFilter: async (organizationId, q) => {
+            const [supplierIds, productTypeIds] = await Promise.all([
+                findTextMatchIds(Supplier, organizationId, q),
+                findTextMatchIds(ProductType, organizationId, q)
+            ]);
+            return {
+                $or: [
+                    { supplierId: { $in: supplierIds.map(String) } },
+                    { productTypeId: { $in: productTypeIds.map(String) } },
+                    { lot: q }
+                ]
+            };
+        }
+    },
+    storage: {
+        model: StorageRecord,
+        buildFilter: buildStorageFilter,
+        sort: { dateTime: -1 },
+        searchFilter: async (organizationId, q) => ({
+            unitId: { $in: await findTextMatchIds(StorageUnit, organizationId, q) }
+        })
+    },
+    'technical-sheets': {
+        model: TechnicalSheet,
+        buildFilter: buildTechnicalSheetFilter,
+        sort: { productName: 1 }
+    },
+    outgoing: {
+        model: OutgoingRecord,
+        buildFilter: buildOutgoingFilter,
+        sort: { date: -1 }
+    },
+    elaborated: {
+        model: ElaboratedRecord,
+        buildFilter: buildElaboratedFilter,
+        sort: { elaborationDate: -1 }
+    },
+    incidents: {
+        model: Incident,
+        buildFilter: buildIncidentFilter,
+        sort: { detectionDate: -1, createdAt: -1 }
+    }
+};
+
+// @route   GET api/records/:type/search
+// @desc    Buscar registros de la organización por texto (paginado, admite los filtros del listado)
+// @access  Private
+router.get('/:type/search', auth, addTenantContext, validateRecordSearch, async (req, res) => {
+    try {
+        const config = SEARCH_TYPES[req.params.type];
+        const { q } = req.query;
+        const { page, limit, skip } = getPaginationParams(req.query);
+
+        const filter = config.searchFilter
+            ? { ...config.buildFilter(req.tenantId, req.query), ...(await config.searchFilter(req.tenantId, q)) }
+            : { ...config.buildFilter(req.tenantId, req.query), $text: { $search: q } };
+
+        // Con índice de texto propio, los resultados más relevantes primero
+        const sort = config.searchFilter
+            ? config.sort
+            : { score: { $meta: 'textScore' }, ...config.sort };
+
+        const [records, total] = await Promise.all([
+            config.model.find(filter)
+                .sort(sort)
+                .skip(skip)
+                .limit(limit),
+            config.model.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error buscando registros:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/records/:type/export
+// @desc    Exportar los registros filtrados de la organización en CSV, Excel o JSON
+// @access  Private
+router.get('/:type/export', auth, addTenantContext, validateRecordExport, async (req, res) => {
+    try {
+        const config = RECORD_TYPES[req.params.type];
+        const format = resolveExportFormat(req.query.format);
+
+        const cursor = config.model
+            .find(config.buildFilter(req.tenantId, req.query))
+            .sort(config.sort)
+            .lean()
+            .cursor();
+
+        await sendExport(res, {
+            format,
+            fileName: `${config.fileName}_${new Date().toISOString().slice(0, 10)}`,
+            sheetName: config.sheetName,
+            columns: config.columns,
+            cursor,
+            lookups: await config.loadLookups(req.tenantId)
+        });
+    } catch (error) {
+        console.error('Error exportando registros:', error);
+        // Si la descarga ya había empezado solo se puede cortar la conexión
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/records/:type/import
+// @desc    Importar registros desde un archivo CSV, Excel o JSON validando cada fila
+// @access  Private
+router.post('/:type/import', auth, addTenantContext, validateRecordImport, uploadImportFile, async (req, res) => {
+    try {
+        const config = RECORD_TYPES[req.params.type];
+        const rows = await parseImportFile(req.file);
+        const lookups = await config.loadLookups(req.tenantId);
+
+        const errors = [];
+        const records = [];
+
+        for (const { rowNumber, values } of rows) {
+            const { data, errors: rowErrors } = config.importRow(mapRowKeys(values, config.columns), lookups);
+
+            if (rowErrors.length > 0) {
+                errors.push(...rowErrors.map(error => ({ row: rowNumber, ...error })));
+                continue;
+            }
+
+            const record = new config.model({
+                organizationId: req.tenantId,
+                userId: req.user.id, // Mantener compatibilidad
+                ...data,
+                registeredBy: data.registeredBy || req.user.name,
+                registeredById: req.user.id,
+                registeredAt: new Date().toISOString()
+            });
+
+            try {
+                await record.validate();
+                records.push(record);
+            } catch (validationError) {
+                if (validationError.name !== 'ValidationError') throw validationError;
+                errors.push(...Object.values(validationError.errors).map(err => ({
+                    row: rowNumber,
+                    field: err.path,
+                    message: err.message
+                })));
+            }
+        }
+
+        if (records.length > 0) {
+            const saved = await config.model.insertMany(records);
+            if (config.afterImport) await config.afterImport(saved, req.user);
+        }
+
+        res.json({
+            success: true,
+            message: `${records.length} de ${rows.length} registros importados`,
+            data: {
+                imported: records.length,
+                errors
+            }
+        });
+    } catch (error) {
+        console.error('Error importando registros:', error);
+
+        if (error.name === 'ImportFileError') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
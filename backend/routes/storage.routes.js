@@ -0,0 +1,326 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateStorageRecord, validateStorageRecordUpdate, validateStorageSeries, sendMongooseValidationError } = require('../middleware/validation');
+const { buildDateRangeFilter, getPaginationParams, buildPaginationInfo, buildSort } = require('../utils/queryHelpers');
+const { buildStorageFilter } = require('../utils/recordFilters');
+const { syncUnitExcursions } = require('../utils/temperatureExcursions');
+const { syncUnitMissedChecks } = require('../utils/missedChecks');
+const { chooseBucketMinutes } = require('../utils/loggerIngestion');
+const StorageRecord = require('../models/StorageRecord');
+const StorageUnit = require('../models/StorageUnit');
+
+const SORTABLE_FIELDS = ['dateTime', 'temperature', 'createdAt'];
+
+// @route   GET api/records/storage
+// @desc    Obtener registros de almacenamiento de la organización (filtros, también por origen manual/logger, y paginación)
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const { page, limit, skip } = getPaginationParams(req.query);
+        const filter = buildStorageFilter(req.tenantId, req.query);
+
+        const [records, total] = await Promise.all([
+            StorageRecord.find(filter)
+                .sort(buildSort(req.query.sort, SORTABLE_FIELDS, { dateTime: -1 }))
+                .skip(skip)
+                .limit(limit)
+                .populate('registeredById', 'name email'),
+            StorageRecord.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error obteniendo registros de almacenamiento:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/records/storage/stats/temperature
+// @desc    Estadísticas de temperatura por cámara en un rango de fechas
+// @access  Private
+router.get('/stats/temperature', auth, addTenantContext, async (req, res) => {
+    try {
+        const { unitId, dateFrom, dateTo } = req.query;
+
+        const stats = await StorageRecord.getTemperatureStats(req.tenantId, {
+            dateRange: buildDateRangeFilter(dateFrom, dateTo),
+            unitId: unitId && mongoose.Types.ObjectId.isValid(unitId) ? unitId : undefined
+        });
+
+        res.json({
+            success: true,
+            data: stats
+        });
+    } catch (error) {
+        console.error('Error obteniendo estadísticas de temperatura:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/records/storage/series
+// @desc    Serie de temperatura de una cámara agrupada en intervalos (lecturas manuales y de sondas).
+//          Por defecto, las últimas 24 horas; el intervalo se ajusta al rango de fechas.
+// @access  Private
+router.get('/series', auth, addTenantContext, validateStorageSeries, async (req, res) => {
+    try {
+        const { unitId, dateFrom, dateTo } = req.query;
+
+        const unit = await StorageUnit.findOne({ _id: unitId, organizationId: req.tenantId });
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cámara no encontrada'
+            });
+        }
+
+        const range = buildDateRangeFilter(dateFrom, dateTo) || {};
+        if (!range.$lte) range.$lte = new Date();
+        if (!range.$gte) range.$gte = new Date(range.$lte.getTime() - 24 * 60 * 60 * 1000);
+
+        const bucketMinutes = chooseBucketMinutes(range.$gte, range.$lte);
+        const points = await StorageRecord.getDownsampledSeries(req.tenantId, {
+            unitId: unit._id,
+            dateRange: range,
+            bucketMinutes
+        });
+
+        res.json({
+            success: true,
+            data: {
+                unitId: unit._id,
+                dateFrom: range.$gte,
+                dateTo: range.$lte,
+                bucketMinutes,
+                minTemp: unit.minTemp ?? null,
+                maxTemp: unit.maxTemp ?? null,
+                points
+            }
+        });
+    } catch (error) {
+        console.error('Error obteniendo serie de temperatura:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/records/storage/:id
+// @desc    Obtener un registro de almacenamiento de la organización
+// @access  Private
+router.get('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const record = await StorageRecord.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        }).populate('registeredById', 'name email');
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: record
+        });
+    } catch (error) {
+        console.error('Error obteniendo registro de almacenamiento:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/records/storage
+// @desc    Crear un nuevo registro de almacenamiento (y actualizar las excursiones de la cámara)
+// @access  Private
+router.post('/', auth, addTenantContext, validateStorageRecord, async (req, res) => {
+    try {
+        const { 
+            unitId, 
+            dateTime, 
+            temperature, 
+            humidity, 
+            rotationCheck, 
+            mincingCheck,
+            registeredBy,
+            registeredById 
+        } = req.body;
+
+        // La cámara debe pertenecer a la organización
+        const unit = await StorageUnit.findOne({ _id: unitId, organizationId: req.tenantId });
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cámara no encontrada'
+            });
+        }
+
+        const numericTemperature = Number(temperature);
+        const hasHumidity = humidity !== undefined && humidity !== null && humidity !== '';
+
+        const newRecord = new StorageRecord({
+            organizationId: req.tenantId,
+            userId: req.user.id, // Mantener compatibilidad
+            unitId: unit._id,
+            dateTime,
+            temperature: numericTemperature,
+            humidity: hasHumidity ? Number(humidity) : undefined,
+            rotationCheck: rotationCheck === true || rotationCheck === 'true',
+            mincingCheck: mincingCheck === true || mincingCheck === 'true',
+            isOutOfRange: unit.isTemperatureOutOfRange(numericTemperature),
+            registeredBy: registeredBy || req.user.name,
+            registeredById: registeredById || req.user.id,
+            registeredAt: new Date().toISOString()
+        });
+
+        const record = await newRecord.save();
+        await syncUnitExcursions(req.tenantId, unit._id, { from: record.dateTime, to: record.dateTime });
+        // Una lectura registrada con retraso resuelve el control que había quedado pendiente
+        await syncUnitMissedChecks(req.tenantId, unit._id, { from: record.dateTime, to: record.dateTime });
+
+        res.status(201).json({
+            success: true,
+            message: 'Registro de almacenamiento creado exitosamente',
+            data: record
+        });
+
+    } catch (error) {
+        console.error('Error creando registro de almacenamiento:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/records/storage/:id
+// @desc    Actualizar un registro de almacenamiento de la organización
+// @access  Private
+router.put('/:id', auth, addTenantContext, validateObjectId('id'), validateStorageRecordUpdate, async (req, res) => {
+    try {
+        const record = await StorageRecord.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        const { unitId, dateTime, temperature, humidity, rotationCheck, mincingCheck } = req.body;
+        const previousUnitId = record.unitId;
+        const previousDateTime = record.dateTime;
+
+        if (unitId !== undefined) record.unitId = unitId;
+        if (dateTime !== undefined) record.dateTime = dateTime;
+        if (temperature !== undefined) record.temperature = temperature;
+        if (humidity !== undefined) record.humidity = humidity === null || humidity === '' ? undefined : humidity;
+        if (rotationCheck !== undefined) record.rotationCheck = rotationCheck;
+        if (mincingCheck !== undefined) record.mincingCheck = mincingCheck;
+
+        // Validar antes de recalcular el rango (la temperatura puede no ser numérica)
+        await record.validate();
+
+        const unit = await StorageUnit.findOne({ _id: record.unitId, organizationId: req.tenantId });
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cámara no encontrada'
+            });
+        }
+
+        record.isOutOfRange = unit.isTemperatureOutOfRange(record.temperature);
+
+        await record.save();
+
+        // Las excursiones y los controles programados se revisan entre la fecha anterior y la nueva;
+        // si cambia de cámara, en ambas
+        const [from, to] = [previousDateTime, record.dateTime].sort((a, b) => a - b);
+        await syncUnitExcursions(req.tenantId, unit._id, { from, to });
+        if (!previousUnitId.equals(unit._id)) await syncUnitExcursions(req.tenantId, previousUnitId, { from, to });
+        await syncUnitMissedChecks(req.tenantId, unit._id, { from, to });
+        if (!previousUnitId.equals(unit._id)) await syncUnitMissedChecks(req.tenantId, previousUnitId, { from, to });
+
+        res.json({
+            success: true,
+            message: 'Registro de almacenamiento actualizado exitosamente',
+            data: record
+        });
+
+    } catch (error) {
+        console.error('Error actualizando registro de almacenamiento:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   DELETE api/records/storage/:id
+// @desc    Eliminar un registro de almacenamiento de la organización
+// @access  Private
+router.delete('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const record = await StorageRecord.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registro no encontrado'
+            });
+        }
+
+        await record.deleteOne();
+        await syncUnitExcursions(req.tenantId, record.unitId, { from: record.dateTime, to: record.dateTime });
+        await syncUnitMissedChecks(req.tenantId, record.unitId, { from: record.dateTime, to: record.dateTime });
+
+        res.json({
+            success: true,
+            message: 'Registro de almacenamiento eliminado exitosamente'
+        });
+
+    } catch (error) {
+        console.error('Error eliminando registro de almacenamiento:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,248 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateStorageUnit, sendMongooseValidationError } = require('../middleware/validation');
+const StorageUnit = require('../models/StorageUnit');
+const StorageRecord = require('../models/StorageRecord');
+const TemperatureExcursion = require('../models/TemperatureExcursion');
+const DataLogger = require('../models/DataLogger');
+const MissedCheck = require('../models/MissedCheck');
+const ConfigCatalog = require('../models/ConfigCatalog');
+const { syncUnitExcursions } = require('../utils/temperatureExcursions');
+
+// Aplica la programación de controles recibida (null la elimina). Solo se asignan los campos que
+// cambian: cualquier cambio hace que la programación rija de nuevo desde ahora
+const applyMonitoringSchedule = (unit, schedule) => {
+    const current = unit.monitoringSchedule;
+    const times = schedule && schedule.times ? [...schedule.times].sort() : [];
+    const graceMinutes = schedule && schedule.graceMinutes != null ? Number(schedule.graceMinutes) : current.graceMinutes;
+    const timezone = schedule && schedule.timezone ? schedule.timezone : current.timezone;
+
+    if (times.join(',') !== [...current.times].sort().join(',')) current.times = times;
+    if (graceMinutes !== current.graceMinutes) current.graceMinutes = graceMinutes;
+    if (timezone !== current.timezone) current.timezone = timezone;
+};
+
+// Tipo con la grafía del catálogo "storage-types" de la organización (sin tipo, el primero del
+// catálogo); undefined si no está en el catálogo
+const resolveStorageType = async (organizationId, type) => {
+    const items = await ConfigCatalog.getItems(organizationId, 'storage-types');
+    if (type === undefined || type === null || String(type).trim() === '') return items[0];
+    return items.find(item => item.toLowerCase() === String(type).trim().toLowerCase());
+};
+
+const sendUnknownStorageType = (res) => res.status(400).json({
+    success: false,
+    message: 'Errores de validación',
+    errors: [{ field: 'type', message: 'Tipo de cámara no incluido en el catálogo de la organización' }]
+});
+
+// @route   GET api/storage-units
+// @desc    Obtener las cámaras de la organización
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const units = await StorageUnit.find({ organizationId: req.tenantId })
+            .sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: units
+        });
+    } catch (error) {
+        console.error('Error obteniendo cámaras:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/storage-units/:id
+// @desc    Obtener una cámara de la organización
+// @access  Private
+router.get('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const unit = await StorageUnit.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cámara no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: unit
+        });
+    } catch (error) {
+        console.error('Error obteniendo cámara:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/storage-units
+// @desc    Crear una nueva cámara
+// @access  Private
+router.post('/', auth, addTenantContext, validateStorageUnit, async (req, res) => {
+    try {
+        const { name, type, minTemp, maxTemp, monitoringSchedule } = req.body;
+
+        const storageType = await resolveStorageType(req.tenantId, type);
+        if (!storageType) return sendUnknownStorageType(res);
+
+        const unit = new StorageUnit({
+            organizationId: req.tenantId,
+            name,
+            type: storageType,
+            minTemp: minTemp !== undefined && minTemp !== null && minTemp !== '' ? Number(minTemp) : undefined,
+            maxTemp: maxTemp !== undefined && maxTemp !== null && maxTemp !== '' ? Number(maxTemp) : undefined,
+            createdBy: req.user.id
+        });
+        if (monitoringSchedule !== undefined) applyMonitoringSchedule(unit, monitoringSchedule);
+
+        await unit.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Cámara creada exitosamente',
+            data: unit
+        });
+
+    } catch (error) {
+        console.error('Error creando cámara:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/storage-units/:id
+// @desc    Actualizar una cámara de la organización
+// @access  Private
+router.put('/:id', auth, addTenantContext, validateObjectId('id'), validateStorageUnit, async (req, res) => {
+    try {
+        const unit = await StorageUnit.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cámara no encontrada'
+            });
+        }
+
+        const { name, type, minTemp, maxTemp, monitoringSchedule } = req.body;
+        if (name !== undefined) unit.name = name;
+        if (type !== undefined) {
+            const storageType = await resolveStorageType(req.tenantId, type);
+            if (!storageType) return sendUnknownStorageType(res);
+            unit.type = storageType;
+        }
+        if (minTemp !== undefined) unit.minTemp = minTemp === null || minTemp === '' ? undefined : Number(minTemp);
+        if (maxTemp !== undefined) unit.maxTemp = maxTemp === null || maxTemp === '' ? undefined : Number(maxTemp);
+        if (monitoringSchedule !== undefined) applyMonitoringSchedule(unit, monitoringSchedule);
+
+        await unit.save();
+
+        // Recalcular el estado de los registros existentes y las excursiones con el nuevo rango
+        if (minTemp !== undefined || maxTemp !== undefined) {
+            const outOfRange = [];
+            if (unit.minTemp != null) outOfRange.push({ temperature: { $lt: unit.minTemp } });
+            if (unit.maxTemp != null) outOfRange.push({ temperature: { $gt: unit.maxTemp } });
+
+            const unitFilter = { organizationId: req.tenantId, unitId: unit._id };
+            await StorageRecord.updateMany(unitFilter, { $set: { isOutOfRange: false } });
+            if (outOfRange.length > 0) {
+                await StorageRecord.updateMany(
+                    { ...unitFilter, $or: outOfRange },
+                    { $set: { isOutOfRange: true } }
+                );
+            }
+            await syncUnitExcursions(req.tenantId, unit._id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Cámara actualizada exitosamente',
+            data: unit
+        });
+
+    } catch (error) {
+        console.error('Error actualizando cámara:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   DELETE api/storage-units/:id
+// @desc    Eliminar una cámara sin registros de temperatura ni controles no realizados, con sus sondas y excursiones
+// @access  Private
+router.delete('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const unit = await StorageUnit.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cámara no encontrada'
+            });
+        }
+
+        // El historial de temperaturas es un registro sanitario: no se borra con la cámara
+        const unitFilter = { organizationId: req.tenantId, unitId: unit._id };
+        const [recordCount, missedCheckCount] = await Promise.all([
+            StorageRecord.countDocuments(unitFilter),
+            MissedCheck.countDocuments(unitFilter)
+        ]);
+        if (recordCount > 0 || missedCheckCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `No se puede eliminar: la cámara tiene ${recordCount} registros de temperatura y ${missedCheckCount} controles no realizados`
+            });
+        }
+
+        await TemperatureExcursion.deleteMany(unitFilter);
+        await DataLogger.deleteMany(unitFilter);
+        await unit.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Cámara eliminada exitosamente'
+        });
+
+    } catch (error) {
+        console.error('Error eliminando cámara:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
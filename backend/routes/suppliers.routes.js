@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateSupplier, sendMongooseValidationError } = require('../middleware/validation');
+const { escapeRegExp } = require('../utils/queryHelpers');
+const Supplier = require('../models/Supplier');
+const DeliveryRecord = require('../models/DeliveryRecord');
+
+// Comprueba si ya existe otro proveedor activo con el mismo nombre
+const isDuplicateName = (req, name, excludeId) => Supplier.exists({
+    organizationId: req.tenantId,
+    isArchived: false,
+    name: new RegExp(`^${escapeRegExp(name.trim())}$`, 'i'),
+    ...(excludeId && { _id: { $ne: excludeId } })
+});
+
+// @route   GET api/suppliers
+// @desc    Obtener proveedores de la organización (includeArchived=true para incluir archivados)
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const filter = { organizationId: req.tenantId };
+        if (req.query.includeArchived !== 'true') filter.isArchived = false;
+
+        const suppliers = await Supplier.find(filter).sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: suppliers
+        });
+    } catch (error) {
+        console.error('Error obteniendo proveedores:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/suppliers/:id
+// @desc    Obtener un proveedor de la organización
+// @access  Private
+router.get('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const supplier = await Supplier.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Proveedor no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: supplier
+        });
+    } catch (error) {
+        console.error('Error obteniendo proveedor:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/suppliers
+// @desc    Crear un proveedor
+// @access  Private
+router.post('/', auth, addTenantContext, validateSupplier, async (req, res) => {
+    try {
+        if (await isDuplicateName(req, req.body.name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un proveedor con ese nombre'
+            });
+        }
+
+        const supplier = new Supplier({
+            organizationId: req.tenantId,
+            name: req.body.name,
+            createdBy: req.user.id
+        });
+
+        await supplier.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Proveedor creado exitosamente',
+            data: supplier
+        });
+    } catch (error) {
+        console.error('Error creando proveedor:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/suppliers/:id
+// @desc    Renombrar un proveedor
+// @access  Private
+router.put('/:id', auth, addTenantContext, validateObjectId('id'), validateSupplier, async (req, res) => {
+    try {
+        if (await isDuplicateName(req, req.body.name, req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un proveedor con ese nombre'
+            });
+        }
+
+        const supplier = await Supplier.findOneAndUpdate(
+            { _id: req.params.id, organizationId: req.tenantId },
+            { $set: { name: req.body.name } },
+            { new: true, runValidators: true }
+        );
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Proveedor no encontrado'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Proveedor actualizado exitosamente',
+            data: supplier
+        });
+    } catch (error) {
+        console.error('Error actualizando proveedor:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/suppliers/:id/restore
+// @desc    Reactivar un proveedor archivado
+// @access  Private
+router.post('/:id/restore', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const supplier = await Supplier.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Proveedor no encontrado'
+            });
+        }
+
+        if (await isDuplicateName(req, supplier.name, supplier._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ya existe un proveedor activo con ese nombre'
+            });
+        }
+
+        supplier.isArchived = false;
+        supplier.archivedAt = null;
+        await supplier.save();
+
+        res.json({
+            success: true,
+            message: 'Proveedor reactivado exitosamente',
+            data: supplier
+        });
+    } catch (error) {
+        console.error('Error reactivando proveedor:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   DELETE api/suppliers/:id
+// @desc    Eliminar un proveedor. Si tiene registros de recepción se archiva para conservar el historial
+// @access  Private
+router.delete('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const supplier = await Supplier.findOne({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Proveedor no encontrado'
+            });
+        }
+
+        const deliveryCount = await DeliveryRecord.countDocuments({
+            organizationId: req.tenantId,
+            supplierId: String(supplier._id)
+        });
+
+        if (deliveryCount > 0) {
+            supplier.isArchived = true;
+            supplier.archivedAt = new Date();
+            await supplier.save();
+
+            return res.json({
+                success: true,
+                message: `El proveedor tiene ${deliveryCount} registros de recepción y se ha archivado en lugar de eliminarse`,
+                data: { archived: true, supplier }
+            });
+        }
+
+        await supplier.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Proveedor eliminado exitosamente',
+            data: { archived: false }
+        });
+    } catch (error) {
+        console.error('Error eliminando proveedor:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateTechnicalSheet, sendMongooseValidationError } = require('../middleware/validation');
+const { buildDateRangeFilter, getPaginationParams, buildPaginationInfo, buildSort } = require('../utils/queryHelpers');
+const { buildTechnicalSheetFilter } = require('../utils/recordFilters');
+const TechnicalSheet = require('../models/TechnicalSheet');
+const TechnicalSheetRevision = require('../models/TechnicalSheetRevision');
+
+const { CONTENT_FIELDS } = TechnicalSheet;
+const SORTABLE_FIELDS = ['productName', 'revision', 'revisionDate', 'createdAt'];
+
+// Extrae del body únicamente los campos de contenido de la ficha
+const pickSheetContent = (body) => CONTENT_FIELDS.reduce((content, field) => {
+    if (body[field] !== undefined) content[field] = body[field];
+    return content;
+}, {});
+
+// Busca una ficha de la organización o responde 404
+const findSheetOr404 = async (req, res) => {
+    const sheet = await TechnicalSheet.findOne({
+        _id: req.params.id,
+        organizationId: req.tenantId
+    });
+
+    if (!sheet) {
+        res.status(404).json({
+            success: false,
+            message: 'Ficha técnica no encontrada'
+        });
+    }
+
+    return sheet;
+};
+
+// @route   GET api/technical-sheets
+// @desc    Obtener fichas técnicas de la organización (filtros y paginación)
+// @access  Private
+router.get('/', auth, addTenantContext, async (req, res) => {
+    try {
+        const { page, limit, skip } = getPaginationParams(req.query);
+        const filter = buildTechnicalSheetFilter(req.tenantId, req.query);
+
+        const [records, total] = await Promise.all([
+            TechnicalSheet.find(filter)
+                .sort(buildSort(req.query.sort, SORTABLE_FIELDS, { productName: 1 }))
+                .skip(skip)
+                .limit(limit),
+            TechnicalSheet.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error obteniendo fichas técnicas:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/technical-sheets/:id
+// @desc    Obtener la revisión vigente de una ficha técnica
+// @access  Private
+router.get('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const sheet = await findSheetOr404(req, res);
+        if (!sheet) return;
+
+        res.json({
+            success: true,
+            data: sheet
+        });
+    } catch (error) {
+        console.error('Error obteniendo ficha técnica:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/technical-sheets/:id/revisions
+// @desc    Obtener el historial de revisiones de una ficha técnica
+// @access  Private
+router.get('/:id/revisions', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const sheet = await findSheetOr404(req, res);
+        if (!sheet) return;
+
+        const revisions = await TechnicalSheetRevision.find({
+            organizationId: req.tenantId,
+            sheetId: sheet._id
+        }).sort({ revision: -1 });
+
+        res.json({
+            success: true,
+            data: revisions
+        });
+    } catch (error) {
+        console.error('Error obteniendo revisiones de ficha técnica:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/technical-sheets/:id/revisions/effective?date=YYYY-MM-DD
+// @desc    Obtener la revisión que estaba vigente en una fecha
+// @access  Private
+router.get('/:id/revisions/effective', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const dateRange = buildDateRangeFilter(null, req.query.date);
+        if (!dateRange) {
+            return res.status(400).json({
+                success: false,
+                message: 'Debe indicar una fecha válida'
+            });
+        }
+
+        const sheet = await findSheetOr404(req, res);
+        if (!sheet) return;
+
+        const revision = await TechnicalSheetRevision.findOne({
+            organizationId: req.tenantId,
+            sheetId: sheet._id,
+            effectiveFrom: dateRange
+        }).sort({ effectiveFrom: -1, revision: -1 });
+
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: 'La ficha técnica no existía en la fecha indicada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: revision
+        });
+    } catch (error) {
+        console.error('Error obteniendo revisión vigente de ficha técnica:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   GET api/technical-sheets/:id/revisions/:revision
+// @desc    Obtener una revisión concreta de una ficha técnica
+// @access  Private
+router.get('/:id/revisions/:revision', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const revisionNumber = parseInt(req.params.revision, 10);
+        if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'Número de revisión inválido'
+            });
+        }
+
+        const revision = await TechnicalSheetRevision.findOne({
+            organizationId: req.tenantId,
+            sheetId: req.params.id,
+            revision: revisionNumber
+        });
+
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: 'Revisión no encontrada'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: revision
+        });
+    } catch (error) {
+        console.error('Error obteniendo revisión de ficha técnica:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   POST api/technical-sheets
+// @desc    Crear una nueva ficha técnica (revisión 1)
+// @access  Private
+router.post('/', auth, addTenantContext, validateTechnicalSheet, async (req, res) => {
+    try {
+        const sheet = new TechnicalSheet({
+            organizationId: req.tenantId,
+            ...pickSheetContent(req.body),
+            revision: 1,
+            revisionDate: new Date(),
+            registeredBy: req.user.name,
+            registeredById: req.user.id,
+            registeredAt: new Date().toISOString()
+        });
+
+        await sheet.save();
+
+        try {
+            await TechnicalSheetRevision.fromSheet(sheet, req.user, req.body.changeReason || 'Versión inicial').save();
+        } catch (revisionError) {
+            // Sin revisión inicial la ficha no sería auditable: deshacer la creación
+            await TechnicalSheet.deleteOne({ _id: sheet._id });
+            throw revisionError;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Ficha técnica creada exitosamente',
+            data: sheet
+        });
+    } catch (error) {
+        console.error('Error creando ficha técnica:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   PUT api/technical-sheets/:id
+// @desc    Actualizar una ficha técnica creando una nueva revisión numerada
+// @access  Private
+router.put('/:id', auth, addTenantContext, validateObjectId('id'), validateTechnicalSheet, async (req, res) => {
+    try {
+        const sheet = await findSheetOr404(req, res);
+        if (!sheet) return;
+
+        const previousContent = JSON.stringify(sheet.getContent());
+        sheet.set(pickSheetContent(req.body));
+
+        // Si el contenido no cambia no se genera una revisión nueva
+        if (JSON.stringify(sheet.getContent()) === previousContent) {
+            return res.json({
+                success: true,
+                message: 'La ficha técnica no tiene cambios',
+                data: sheet
+            });
+        }
+
+        sheet.revision += 1;
+        sheet.revisionDate = new Date();
+        await sheet.validate();
+
+        try {
+            await TechnicalSheetRevision.fromSheet(sheet, req.user, req.body.changeReason).save();
+        } catch (revisionError) {
+            if (revisionError.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'La ficha técnica ha sido modificada por otro usuario, recargue e inténtelo de nuevo'
+                });
+            }
+            throw revisionError;
+        }
+
+        await sheet.save();
+
+        res.json({
+            success: true,
+            message: `Ficha técnica actualizada a la revisión ${sheet.revision}`,
+            data: sheet
+        });
+    } catch (error) {
+        console.error('Error actualizando ficha técnica:', error);
+
+        if (error.name === 'ValidationError') {
+            return sendMongooseValidationError(res, error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+// @route   DELETE api/technical-sheets/:id
+// @desc    Eliminar una ficha técnica y su historial de revisiones
+// @access  Private
+router.delete('/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const sheet = await TechnicalSheet.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!sheet) {
+            return res.status(404).json({
+                success: false,
+                message: 'Ficha técnica no encontrada'
+            });
+        }
+
+        const { deletedCount } = await TechnicalSheetRevision.deleteMany({
+            organizationId: req.tenantId,
+            sheetId: sheet._id
+        });
+
+        res.json({
+            success: true,
+            message: 'Ficha técnica eliminada exitosamente',
+            data: { deletedRevisions: deletedCount }
+        });
+    } catch (error) {
+        console.error('Error eliminando ficha técnica:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error interno del servidor'
+        });
+    }
+});
+
+module.exports = router;
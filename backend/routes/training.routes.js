@@ -0,0 +1,406 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext, requireOrgAdmin } = require('../middleware/auth');
+const { validateObjectId, validateTrainingPlan, validateTrainingRecord, sendMongooseValidationError } = require('../middleware/validation');
+const { uploadDocumentFile, DOCUMENT_MIME_TYPES } = require('../middleware/upload');
+const User = require('../models/User');
+const TrainingPlan = require('../models/TrainingPlan');
+const TrainingRecord = require('../models/TrainingRecord');
+const TrainingCertificate = require('../models/TrainingCertificate');
+const { DEFAULT_EXPIRY_WARNING_DAYS, getExpiringTrainings } = require('../utils/training');
+const { sendAttachment } = require('../utils/attachments');
+const { buildDateRangeFilter, getPaginationParams, buildPaginationInfo } = require('../utils/queryHelpers');
+
+// Maneja errores comunes de las rutas de formación
+const handleTrainingError = (res, error, context) => {
+    console.error(`Error ${context}:`, error);
+
+    if (error.name === 'ValidationError') {
+        return sendMongooseValidationError(res, error);
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+    });
+};
+
+const sendPlanNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Acción formativa no encontrada'
+});
+
+const sendRecordNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Formación no encontrada'
+});
+
+const sendUserNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Trabajador no encontrado'
+});
+
+const findRecord = (req) => TrainingRecord.findOne({ _id: req.params.id, organizationId: req.tenantId });
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// Los participantes de una acción formativa deben ser usuarios de la organización
+const resolveParticipants = async (req) => {
+    const ids = [...new Set(req.body.participantIds || [])];
+    if (ids.length === 0) return [];
+    const count = await User.countDocuments({ _id: { $in: ids }, organizationId: req.tenantId });
+    return count === ids.length ? ids : null;
+};
+
+// Campos de la acción formativa que se copian del cuerpo de la petición
+const assignPlanFields = (plan, body) => {
+    plan.name = body.name;
+    plan.year = Number(body.year);
+    plan.plannedDate = body.plannedDate || null;
+    plan.hours = hasValue(body.hours) ? Number(body.hours) : null;
+    if (body.provider !== undefined) plan.provider = body.provider;
+    if (body.description !== undefined) plan.description = body.description;
+    if (body.status !== undefined) plan.status = body.status;
+};
+
+// Trabajador y acción formativa de una formación: ambos deben ser de la organización
+const resolveRecordRefs = async (req) => {
+    const user = await User.findOne({ _id: req.body.userId, organizationId: req.tenantId }).select('name');
+    if (!user) return { error: sendUserNotFound };
+
+    if (!req.body.planId) return { user, planId: null };
+    const plan = await TrainingPlan.findOne({ _id: req.body.planId, organizationId: req.tenantId });
+    return plan ? { user, planId: plan._id } : { error: sendPlanNotFound };
+};
+
+// Campos de la formación que se copian del cuerpo de la petición
+const assignRecordFields = (record, body, { user, planId }) => {
+    record.userId = user._id;
+    record.userName = user.name;
+    record.planId = planId;
+    record.course = body.course;
+    record.trainingDate = body.trainingDate;
+    record.hours = Number(body.hours);
+    record.expiryDate = body.expiryDate || null;
+    if (body.provider !== undefined) record.provider = body.provider;
+    if (body.notes !== undefined) record.notes = body.notes;
+};
+
+// ==================== PLAN DE FORMACIÓN ====================
+
+// @route   GET api/training/plans
+// @desc    Acciones del plan de formación (filtro opcional year)
+// @access  Private
+router.get('/plans', auth, addTenantContext, async (req, res) => {
+    try {
+        const filter = { organizationId: req.tenantId };
+        const year = parseInt(req.query.year, 10);
+        if (!isNaN(year)) filter.year = year;
+
+        const plans = await TrainingPlan.find(filter)
+            .sort({ year: -1, plannedDate: 1, name: 1 });
+
+        res.json({
+            success: true,
+            data: plans
+        });
+    } catch (error) {
+        handleTrainingError(res, error, 'obteniendo plan de formación');
+    }
+});
+
+// @route   POST api/training/plans
+// @desc    Añadir una acción al plan de formación
+// @access  Private (Admin)
+router.post('/plans', auth, addTenantContext, requireOrgAdmin, validateTrainingPlan, async (req, res) => {
+    try {
+        const participantIds = await resolveParticipants(req);
+        if (!participantIds) return sendUserNotFound(res);
+
+        const plan = new TrainingPlan({
+            organizationId: req.tenantId,
+            participantIds,
+            createdBy: req.user.id
+        });
+        assignPlanFields(plan, req.body);
+
+        await plan.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Acción formativa creada exitosamente',
+            data: plan
+        });
+    } catch (error) {
+        handleTrainingError(res, error, 'creando acción formativa');
+    }
+});
+
+// @route   PUT api/training/plans/:id
+// @desc    Actualizar una acción del plan de formación
+// @access  Private (Admin)
+router.put('/plans/:id', auth, addTenantContext, requireOrgAdmin, validateObjectId('id'), validateTrainingPlan, async (req, res) => {
+    try {
+        const plan = await TrainingPlan.findOne({ _id: req.params.id, organizationId: req.tenantId });
+        if (!plan) return sendPlanNotFound(res);
+
+        const participantIds = await resolveParticipants(req);
+        if (!participantIds) return sendUserNotFound(res);
+
+        plan.participantIds = participantIds;
+        assignPlanFields(plan, req.body);
+
+        await plan.save();
+
+        res.json({
+            success: true,
+            message: 'Acción formativa actualizada exitosamente',
+            data: plan
+        });
+    } catch (error) {
+        handleTrainingError(res, error, 'actualizando acción formativa');
+    }
+});
+
+// @route   DELETE api/training/plans/:id
+// @desc    Eliminar una acción del plan (las formaciones registradas se conservan sin acción)
+// @access  Private (Admin)
+router.delete('/plans/:id', auth, addTenantContext, requireOrgAdmin, validateObjectId('id'), async (req, res) => {
+    try {
+        const plan = await TrainingPlan.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+        if (!plan) return sendPlanNotFound(res);
+
+        await TrainingRecord.updateMany(
+            { organizationId: req.tenantId, planId: plan._id },
+            { $set: { planId: null } }
+        );
+
+        res.json({
+            success: true,
+            message: 'Acción formativa eliminada exitosamente'
+        });
+    } catch (error) {
+        handleTrainingError(res, error, 'eliminando acción formativa');
+    }
+});
+
+// ==================== FORMACIONES DE LOS TRABAJADORES ====================
+
+// @route   GET api/training/records
+// @desc    Registro de formación (filtros userId, planId, dateFrom, dateTo y paginación)
+// @access  Private
+router.get('/records', auth, addTenantContext, async (req, res) => {
+    try {
+        const { userId, planId, dateFrom, dateTo } = req.query;
+        const { page, limit, skip } = getPaginationParams(req.query);
+
+        const filter = { organizationId: req.tenantId };
+        if (userId && mongoose.Types.ObjectId.isValid(userId)) filter.userId = userId;
+        if (planId && mongoose.Types.ObjectId.isValid(planId)) filter.planId = planId;
+
+        const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+        if (dateRange) filter.trainingDate = dateRange;
+
+        const [records, total] = await Promise.all([
+            TrainingRecord.find(filter)
+                .sort({ trainingDate: -1 })
+                .skip(skip)
+                .limit(limit),
+            TrainingRecord.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        handleTrainingError(res, error, 'obteniendo registro de formación');
+    }
+});
+
+// @route   POST api/training/records
+// @desc    Registrar la formación de un trabajador (el certificado se adjunta aparte)
+// @access  Private (Admin)
+router.post('/records', auth, addTenantContext, requireOrgAdmin, validateTrainingRecord, async (req, res) => {
+    try {
+        const refs = await resolveRecordRefs(req);
+        if (refs.error) return refs.error(res);
+
+        const record = new TrainingRecord({
+            organizationId: req.tenantId,
+            registeredBy: req.user.name,
+            registeredById: req.user.id
+        });
+        assignRecordFields(record, req.body, refs);
+
+        await record.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Formación registrada exitosamente',
+            data: record
+        });
+    } catch (error) {
+        handleTrainingError(res, error, 'registrando formación');
+    }
+});
+
+// @route   PUT api/training/records/:id
+// @desc    Actualizar la formación de un trabajador
+// @access  Private (Admin)
+router.put('/records/:id', auth, addTenantContext, requireOrgAdmin, validateObjectId('id'), validateTrainingRecord, async (req, res) => {
+    try {
+        const record = await findRecord(req);
+        if (!record) return sendRecordNotFound(res);
+
+        const refs = await resolveRecordRefs(req);
+        if (refs.error) return refs.error(res);
+
+        assignRecordFields(record, req.body, refs);
+
+        await record.save();
+
+        res.json({
+            success: true,
+            message: 'Formación actualizada exitosamente',
+            data: record
+        });
+    } catch (error) {
+        handleTrainingError(res, error, 'actualizando formación');
+    }
+});
+
+// @route   DELETE api/training/records/:id
+// @desc    Eliminar una formación y su certificado
+// @access  Private (Admin)
+router.delete('/records/:id', auth, addTenantContext, requireOrgAdmin, validateObjectId('id'), async (req, res) => {
+    try {
+        const record = await TrainingRecord.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+        if (!record) return sendRecordNotFound(res);
+
+        await TrainingCertificate.deleteOne({ recordId: record._id, organizationId: req.tenantId });
+
+        res.json({
+            success: true,
+            message: 'Formación eliminada exitosamente'
+        });
+    } catch (error) {
+        handleTrainingError(res, error, 'eliminando formación');
+    }
+});
+
+// @route   POST api/training/records/:id/certificate
+// @desc    Adjuntar el certificado de la formación (PDF, JPG o PNG); sustituye el anterior
+// @access  Private (Admin)
+router.post('/records/:id/certificate', auth, addTenantContext, requireOrgAdmin, validateObjectId('id'), uploadDocumentFile, async (req, res) => {
+    try {
+        const record = await findRecord(req);
+        if (!record) return sendRecordNotFound(res);
+
+        const fileName = req.file.originalname;
+        const mimeType = DOCUMENT_MIME_TYPES[path.extname(fileName).toLowerCase()];
+
+        await TrainingCertificate.findOneAndUpdate(
+            { recordId: record._id },
+            {
+                organizationId: req.tenantId,
+                recordId: record._id,
+                fileName,
+                mimeType,
+                data: req.file.buffer,
+                uploadedBy: req.user.name,
+                uploadedById: req.user.id
+            },
+            { upsert: true, runValidators: true }
+        );
+
+        record.certificate = { fileName, mimeType, size: req.file.size, uploadedAt: new Date() };
+        await record.save();
+
+        res.json({
+            success: true,
+            message: 'Certificado adjuntado exitosamente',
+            data: record
+        });
+    } catch (error) {
+        handleTrainingError(res, error, 'adjuntando certificado de formación');
+    }
+});
+
+// @route   GET api/training/records/:id/certificate
+// @desc    Descargar el certificado de una formación
+// @access  Private
+router.get('/records/:id/certificate', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const certificate = await TrainingCertificate.findOne({
+            recordId: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificado no encontrado'
+            });
+        }
+
+        sendAttachment(res, certificate);
+    } catch (error) {
+        handleTrainingError(res, error, 'descargando certificado de formación');
+    }
+});
+
+// @route   DELETE api/training/records/:id/certificate
+// @desc    Eliminar el certificado adjunto de una formación
+// @access  Private (Admin)
+router.delete('/records/:id/certificate', auth, addTenantContext, requireOrgAdmin, validateObjectId('id'), async (req, res) => {
+    try {
+        const record = await findRecord(req);
+        if (!record) return sendRecordNotFound(res);
+
+        await TrainingCertificate.deleteOne({ recordId: record._id, organizationId: req.tenantId });
+
+        record.certificate = null;
+        await record.save();
+
+        res.json({
+            success: true,
+            message: 'Certificado eliminado exitosamente',
+            data: record
+        });
+    } catch (error) {
+        handleTrainingError(res, error, 'eliminando certificado de formación');
+    }
+});
+
+// @route   GET api/training/expiring
+// @desc    Certificados de trabajadores activos caducados o que caducan en los próximos `days` días (por defecto 30)
+// @access  Private
+router.get('/expiring', auth, addTenantContext, async (req, res) => {
+    try {
+        const days = parseInt(req.query.days, 10);
+        const warningDays = !isNaN(days) && days >= 0 && days <= 365 ? days : DEFAULT_EXPIRY_WARNING_DAYS;
+
+        const trainings = await getExpiringTrainings(req.tenantId, warningDays);
+
+        res.json({
+            success: true,
+            data: trainings
+        });
+    } catch (error) {
+        handleTrainingError(res, error, 'obteniendo certificados próximos a caducar');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,475 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const express = require('express');
+const router = express.Router();
+const { auth, addTenantContext } = require('../middleware/auth');
+const { validateObjectId, validateWaterSamplingPoint, validateWaterRecord, validateWaterAnalysis, sendMongooseValidationError } = require('../middleware/validation');
+const { uploadDocumentFile, DOCUMENT_MIME_TYPES } = require('../middleware/upload');
+const WaterSamplingPoint = require('../models/WaterSamplingPoint');
+const WaterRecord = require('../models/WaterRecord');
+const WaterAnalysis = require('../models/WaterAnalysis');
+const WaterAnalysisReport = require('../models/WaterAnalysisReport');
+const { sendAttachment } = require('../utils/attachments');
+const { buildDateRangeFilter, getPaginationParams, buildPaginationInfo } = require('../utils/queryHelpers');
+
+const POINT_RANGE_FIELDS = ['chlorineMin', 'chlorineMax', 'phMin', 'phMax'];
+
+// Maneja errores comunes de las rutas de control del agua
+const handleWaterError = (res, error, context) => {
+    console.error(`Error ${context}:`, error);
+
+    if (error.name === 'ValidationError') {
+        return sendMongooseValidationError(res, error);
+    }
+
+    res.status(500).json({
+        success: false,
+        message: 'Error interno del servidor'
+    });
+};
+
+const sendPointNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Punto de muestreo no encontrado'
+});
+
+const sendRecordNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Registro no encontrado'
+});
+
+const sendAnalysisNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Análisis no encontrado'
+});
+
+const findPoint = (req, id) => WaterSamplingPoint.findOne({ _id: id, organizationId: req.tenantId });
+const findAnalysis = (req) => WaterAnalysis.findOne({ _id: req.params.id, organizationId: req.tenantId });
+
+// El punto de muestreo de un análisis es opcional, pero si se indica debe ser de la organización
+const resolveAnalysisPoint = async (req) => {
+    if (!req.body.pointId) return { pointId: null };
+    const point = await findPoint(req, req.body.pointId);
+    return point ? { pointId: point._id } : null;
+};
+
+// Campos del análisis que se copian del cuerpo de la petición
+const assignAnalysisFields = (analysis, body) => {
+    analysis.sampleDate = body.sampleDate;
+    analysis.laboratory = body.laboratory;
+    analysis.analysisType = body.analysisType;
+    analysis.result = body.result;
+    analysis.notes = body.notes || '';
+};
+
+// ==================== PUNTOS DE MUESTREO ====================
+
+// @route   GET api/water/points
+// @desc    Puntos de muestreo del agua de la organización
+// @access  Private
+router.get('/points', auth, addTenantContext, async (req, res) => {
+    try {
+        const points = await WaterSamplingPoint.find({ organizationId: req.tenantId })
+            .sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: points
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'obteniendo puntos de muestreo');
+    }
+});
+
+// @route   POST api/water/points
+// @desc    Crear un punto de muestreo con sus rangos aceptables de cloro libre y pH
+// @access  Private
+router.post('/points', auth, addTenantContext, validateWaterSamplingPoint, async (req, res) => {
+    try {
+        const point = new WaterSamplingPoint({
+            organizationId: req.tenantId,
+            name: req.body.name,
+            location: req.body.location,
+            createdBy: req.user.id
+        });
+        POINT_RANGE_FIELDS.forEach(field => {
+            if (req.body[field] != null) point[field] = Number(req.body[field]);
+        });
+
+        await point.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Punto de muestreo creado exitosamente',
+            data: point
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'creando punto de muestreo');
+    }
+});
+
+// @route   PUT api/water/points/:id
+// @desc    Actualizar un punto de muestreo (las lecturas anteriores conservan su evaluación)
+// @access  Private
+router.put('/points/:id', auth, addTenantContext, validateObjectId('id'), validateWaterSamplingPoint, async (req, res) => {
+    try {
+        const point = await findPoint(req, req.params.id);
+        if (!point) return sendPointNotFound(res);
+
+        point.name = req.body.name;
+        if (req.body.location !== undefined) point.location = req.body.location;
+        POINT_RANGE_FIELDS.forEach(field => {
+            if (req.body[field] != null) point[field] = Number(req.body[field]);
+        });
+
+        await point.save();
+
+        res.json({
+            success: true,
+            message: 'Punto de muestreo actualizado exitosamente',
+            data: point
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'actualizando punto de muestreo');
+    }
+});
+
+// @route   DELETE api/water/points/:id
+// @desc    Eliminar un punto de muestreo y sus lecturas (los análisis se conservan sin punto)
+// @access  Private
+router.delete('/points/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const point = await WaterSamplingPoint.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+        if (!point) return sendPointNotFound(res);
+
+        await WaterRecord.deleteMany({ organizationId: req.tenantId, pointId: point._id });
+        await WaterAnalysis.updateMany({ organizationId: req.tenantId, pointId: point._id }, { pointId: null });
+
+        res.json({
+            success: true,
+            message: 'Punto de muestreo eliminado exitosamente'
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'eliminando punto de muestreo');
+    }
+});
+
+// ==================== LECTURAS DIARIAS ====================
+
+// @route   GET api/water/records
+// @desc    Lecturas de cloro libre y pH (filtros pointId, dateFrom, dateTo, outOfRange y paginación)
+// @access  Private
+router.get('/records', auth, addTenantContext, async (req, res) => {
+    try {
+        const { pointId, dateFrom, dateTo, outOfRange } = req.query;
+        const { page, limit, skip } = getPaginationParams(req.query);
+
+        const filter = { organizationId: req.tenantId };
+        if (pointId && mongoose.Types.ObjectId.isValid(pointId)) filter.pointId = pointId;
+        if (outOfRange === 'true') filter.isOutOfRange = true;
+
+        const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+        if (dateRange) filter.dateTime = dateRange;
+
+        const [records, total] = await Promise.all([
+            WaterRecord.find(filter)
+                .sort({ dateTime: -1 })
+                .skip(skip)
+                .limit(limit),
+            WaterRecord.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'obteniendo lecturas de agua');
+    }
+});
+
+// @route   POST api/water/records
+// @desc    Registrar una lectura (se evalúa con los rangos del punto de muestreo)
+// @access  Private
+router.post('/records', auth, addTenantContext, validateWaterRecord, async (req, res) => {
+    try {
+        const point = await findPoint(req, req.body.pointId);
+        if (!point) return sendPointNotFound(res);
+
+        const record = new WaterRecord({
+            organizationId: req.tenantId,
+            pointId: point._id,
+            dateTime: req.body.dateTime,
+            freeChlorine: Number(req.body.freeChlorine),
+            ph: Number(req.body.ph),
+            notes: req.body.notes,
+            registeredBy: req.user.name,
+            registeredById: req.user.id
+        });
+        record.applyRanges(point);
+
+        await record.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Lectura registrada exitosamente',
+            data: record
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'registrando lectura de agua');
+    }
+});
+
+// @route   PUT api/water/records/:id
+// @desc    Actualizar una lectura (se vuelve a evaluar con los rangos actuales del punto)
+// @access  Private
+router.put('/records/:id', auth, addTenantContext, validateObjectId('id'), validateWaterRecord, async (req, res) => {
+    try {
+        const record = await WaterRecord.findOne({ _id: req.params.id, organizationId: req.tenantId });
+        if (!record) return sendRecordNotFound(res);
+
+        const point = await findPoint(req, req.body.pointId);
+        if (!point) return sendPointNotFound(res);
+
+        record.pointId = point._id;
+        record.dateTime = req.body.dateTime;
+        record.freeChlorine = Number(req.body.freeChlorine);
+        record.ph = Number(req.body.ph);
+        record.notes = req.body.notes || '';
+        record.applyRanges(point);
+
+        await record.save();
+
+        res.json({
+            success: true,
+            message: 'Lectura actualizada exitosamente',
+            data: record
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'actualizando lectura de agua');
+    }
+});
+
+// @route   DELETE api/water/records/:id
+// @desc    Eliminar una lectura
+// @access  Private
+router.delete('/records/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const record = await WaterRecord.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+        if (!record) return sendRecordNotFound(res);
+
+        res.json({
+            success: true,
+            message: 'Lectura eliminada exitosamente'
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'eliminando lectura de agua');
+    }
+});
+
+// ==================== ANÁLISIS DE LABORATORIO ====================
+
+// @route   GET api/water/analyses
+// @desc    Análisis de laboratorio del agua (filtros pointId, dateFrom, dateTo y paginación)
+// @access  Private
+router.get('/analyses', auth, addTenantContext, async (req, res) => {
+    try {
+        const { pointId, dateFrom, dateTo } = req.query;
+        const { page, limit, skip } = getPaginationParams(req.query);
+
+        const filter = { organizationId: req.tenantId };
+        if (pointId && mongoose.Types.ObjectId.isValid(pointId)) filter.pointId = pointId;
+
+        const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+        if (dateRange) filter.sampleDate = dateRange;
+
+        const [records, total] = await Promise.all([
+            WaterAnalysis.find(filter)
+                .sort({ sampleDate: -1 })
+                .skip(skip)
+                .limit(limit),
+            WaterAnalysis.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                records,
+                pagination: buildPaginationInfo(total, page, limit)
+            }
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'obteniendo análisis de agua');
+    }
+});
+
+// @route   POST api/water/analyses
+// @desc    Registrar un análisis de laboratorio (el informe se adjunta aparte)
+// @access  Private
+router.post('/analyses', auth, addTenantContext, validateWaterAnalysis, async (req, res) => {
+    try {
+        const point = await resolveAnalysisPoint(req);
+        if (!point) return sendPointNotFound(res);
+
+        const analysis = new WaterAnalysis({
+            organizationId: req.tenantId,
+            pointId: point.pointId,
+            registeredBy: req.user.name,
+            registeredById: req.user.id
+        });
+        assignAnalysisFields(analysis, req.body);
+
+        await analysis.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Análisis registrado exitosamente',
+            data: analysis
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'registrando análisis de agua');
+    }
+});
+
+// @route   PUT api/water/analyses/:id
+// @desc    Actualizar un análisis de laboratorio
+// @access  Private
+router.put('/analyses/:id', auth, addTenantContext, validateObjectId('id'), validateWaterAnalysis, async (req, res) => {
+    try {
+        const analysis = await findAnalysis(req);
+        if (!analysis) return sendAnalysisNotFound(res);
+
+        const point = await resolveAnalysisPoint(req);
+        if (!point) return sendPointNotFound(res);
+
+        analysis.pointId = point.pointId;
+        assignAnalysisFields(analysis, req.body);
+
+        await analysis.save();
+
+        res.json({
+            success: true,
+            message: 'Análisis actualizado exitosamente',
+            data: analysis
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'actualizando análisis de agua');
+    }
+});
+
+// @route   DELETE api/water/analyses/:id
+// @desc    Eliminar un análisis y su informe
+// @access  Private
+router.delete('/analyses/:id', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const analysis = await WaterAnalysis.findOneAndDelete({
+            _id: req.params.id,
+            organizationId: req.tenantId
+        });
+        if (!analysis) return sendAnalysisNotFound(res);
+
+        await WaterAnalysisReport.deleteOne({ analysisId: analysis._id, organizationId: req.tenantId });
+
+        res.json({
+            success: true,
+            message: 'Análisis eliminado exitosamente'
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'eliminando análisis de agua');
+    }
+});
+
+// @route   POST api/water/analyses/:id/report
+// @desc    Adjuntar el informe del laboratorio (PDF, JPG o PNG); sustituye el anterior
+// @access  Private
+router.post('/analyses/:id/report', auth, addTenantContext, validateObjectId('id'), uploadDocumentFile, async (req, res) => {
+    try {
+        const analysis = await findAnalysis(req);
+        if (!analysis) return sendAnalysisNotFound(res);
+
+        const fileName = req.file.originalname;
+        const mimeType = DOCUMENT_MIME_TYPES[path.extname(fileName).toLowerCase()];
+
+        await WaterAnalysisReport.findOneAndUpdate(
+            { analysisId: analysis._id },
+            {
+                organizationId: req.tenantId,
+                analysisId: analysis._id,
+                fileName,
+                mimeType,
+                data: req.file.buffer,
+                uploadedBy: req.user.name,
+                uploadedById: req.user.id
+            },
+            { upsert: true, runValidators: true }
+        );
+
+        analysis.report = { fileName, mimeType, size: req.file.size, uploadedAt: new Date() };
+        await analysis.save();
+
+        res.json({
+            success: true,
+            message: 'Informe adjuntado exitosamente',
+            data: analysis
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'adjuntando informe de análisis de agua');
+    }
+});
+
+// @route   GET api/water/analyses/:id/report
+// @desc    Descargar el informe del laboratorio de un análisis
+// @access  Private
+router.get('/analyses/:id/report', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const report = await WaterAnalysisReport.findOne({
+            analysisId: req.params.id,
+            organizationId: req.tenantId
+        });
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Informe no encontrado'
+            });
+        }
+
+        sendAttachment(res, report);
+    } catch (error) {
+        handleWaterError(res, error, 'descargando informe de análisis de agua');
+    }
+});
+
+// @route   DELETE api/water/analyses/:id/report
+// @desc    Eliminar el informe adjunto de un análisis
+// @access  Private
+router.delete('/analyses/:id/report', auth, addTenantContext, validateObjectId('id'), async (req, res) => {
+    try {
+        const analysis = await findAnalysis(req);
+        if (!analysis) return sendAnalysisNotFound(res);
+
+        await WaterAnalysisReport.deleteOne({ analysisId: analysis._id, organizationId: req.tenantId });
+
+        analysis.report = null;
+        await analysis.save();
+
+        res.json({
+            success: true,
+            message: 'Informe eliminado exitosamente',
+            data: analysis
+        });
+    } catch (error) {
+        handleWaterError(res, error, 'eliminando informe de análisis de agua');
+    }
+});
+
+module.exports = router;
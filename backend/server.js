@@ -55,6 +55,12 @@ if (process.env.ENABLE_MONITORING === 'true' || process.env.NODE_ENV === 'produc
 // Conectar a la Base de Datos
 connectDB();
 
+// Detección periódica de controles de temperatura programados no realizados
+const { startMissedCheckJob, stopMissedCheckJob, DEFAULT_JOB_INTERVAL_MINUTES } = require('./utils/missedChecks');
+if (process.env.NODE_ENV !== 'test') {
+  startMissedCheckJob(Number(process.env.MISSED_CHECKS_INTERVAL_MINUTES) || DEFAULT_JOB_INTERVAL_MINUTES);
+}
+
 // Trust proxy for production deployment
 if (process.env.NODE_ENV === 'production') {
   app.set('trust proxy', 1);
@@ -112,6 +118,7 @@ app.use('/api/auth/register', rateLimiters.registration);
 app.use('/api/auth/reset-password', rateLimiters.passwordReset);
 app.use('/api/auth/forgot-password', rateLimiters.passwordReset);
 app.use('/api/upload', rateLimiters.upload);
+app.use('/api/records/:type/import', rateLimiters.upload);
 
 // CORS Configuration - Production ready
 const corsOptions = {
@@ -242,6 +249,29 @@ app.use('/api/organization', require('./routes/organization.routes'));
 app.use('/api/audit', require('./routes/audit.routes'));
 app.use('/api/analytics', require('./routes/analytics.routes'));
 app.use('/api/monitoring', require('./routes/monitoring.routes'));
+app.use('/api/establishment', require('./routes/establishment.routes'));
+app.use('/api/config', require('./routes/config.routes'));
+app.use('/api/lots', require('./routes/lots.routes'));
+app.use('/api/records', require('./routes/records.routes'));
+app.use('/api/records/delivery', require('./routes/delivery.routes'));
+app.use('/api/storage-units', require('./routes/storageUnits.routes'));
+app.use('/api/records/storage', require('./routes/storage.routes'));
+app.use('/api/excursions', require('./routes/excursions.routes'));
+app.use('/api/data-loggers', require('./routes/dataLoggers.routes'));
+app.use('/api/missed-checks', require('./routes/missedChecks.routes'));
+app.use('/api/cleaning', require('./routes/cleaning.routes'));
+app.use('/api/chemical-products', require('./routes/chemicalProducts.routes'));
+app.use('/api/pest-control', require('./routes/pestControl.routes'));
+app.use('/api/water', require('./routes/water.routes'));
+app.use('/api/frying-oil', require('./routes/fryingOil.routes'));
+app.use('/api/training', require('./routes/training.routes'));
+app.use('/api/records/outgoing', require('./routes/outgoing.routes'));
+app.use('/api/records/elaborated', require('./routes/elaborated.routes'));
+app.use('/api/technical-sheets', require('./routes/technicalSheets.routes'));
+app.use('/api/costings', require('./routes/costings.routes'));
+app.use('/api/suppliers', require('./routes/suppliers.routes'));
+app.use('/api/product-types', require('./routes/productTypes.routes'));
+app.use('/api/incidents', require('./routes/incidents.routes'));
 // Aquí añadirías el resto de rutas para las otras funcionalidades
 
 const PORT = process.env.PORT || 5000;
@@ -314,6 +344,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received, shutting down gracefully`);
+  stopMissedCheckJob();
   
   server.close((err) => {
     if (err) {
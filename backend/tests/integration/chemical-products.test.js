@@ -0,0 +1,112 @@
+const ChemicalDocument = require('../../models/ChemicalDocument');
+
+describe('Chemical Products API', () => {
+  let token;
+
+  const app = global.testUtils.createTestApp({
+    '/api/chemical-products': require('../../routes/chemicalProducts.routes'),
+    '/api/cleaning': require('../../routes/cleaning.routes')
+  });
+  const api = global.testUtils.createApiClient(app, () => token);
+
+  beforeEach(async () => {
+    ({ token } = await global.testUtils.createAuthenticatedUser());
+  });
+
+  const createProduct = global.testUtils.createFixtureFactory(api, '/api/chemical-products', {
+    name: 'Desinfectante clorado',
+    manufacturer: 'Químicas del Sur',
+    use: 'Desinfectante',
+    dilution: '20 ml/L',
+    foodContactAuthorized: true
+  });
+
+  test('should register products and reject unknown uses', async () => {
+    const response = await createProduct().expect(201);
+
+    expect(response.body.data).toMatchObject({
+      name: 'Desinfectante clorado',
+      use: 'Desinfectante',
+      foodContactAuthorized: true,
+      safetyDataSheet: null,
+      technicalSheet: null
+    });
+
+    await createProduct({ use: 'Ambientador' }).expect(400);
+  });
+
+  test('should attach, download and remove the safety data sheet', async () => {
+    const product = await createProduct().expect(201);
+    const documentUrl = `/api/chemical-products/${product.body.data.id}/documents/safetyDataSheet`;
+    const pdf = Buffer.from('%PDF-1.4 ficha de datos de seguridad');
+
+    const uploaded = await api.post(documentUrl)
+      .attach('file', pdf, 'FDS Clorado.pdf')
+      .expect(200);
+
+    expect(uploaded.body.data.safetyDataSheet).toMatchObject({ fileName: 'FDS Clorado.pdf', mimeType: 'application/pdf', size: pdf.length });
+
+    const downloaded = await api.get(documentUrl)
+      .buffer(true)
+      .parse(global.testUtils.binaryParser)
+      .expect(200);
+
+    expect(downloaded.headers['content-type']).toBe('application/pdf');
+    expect(downloaded.headers['content-disposition']).toContain('filename="FDS Clorado.pdf"');
+    expect(downloaded.body.equals(pdf)).toBe(true);
+
+    // Solo se admiten PDF e imágenes, y documentos de los tipos conocidos
+    await api.post(documentUrl)
+      .attach('file', Buffer.from('MZ'), 'ficha.exe')
+      .expect(400);
+
+    await api.post(`/api/chemical-products/${product.body.data.id}/documents/invoice`)
+      .attach('file', pdf, 'factura.pdf')
+      .expect(400);
+
+    const removed = await api.delete(documentUrl).expect(200);
+
+    expect(removed.body.data.safetyDataSheet).toBeNull();
+    await api.get(documentUrl).expect(404);
+  });
+
+  test('should not expose documents of another organization and delete them with the product', async () => {
+    const { token: otherToken } = await global.testUtils.createAuthenticatedUser();
+
+    const product = await createProduct().expect(201);
+    const documentUrl = `/api/chemical-products/${product.body.data.id}/documents/technicalSheet`;
+
+    await api.post(documentUrl)
+      .attach('file', Buffer.from('ficha técnica'), 'ficha-tecnica.png')
+      .expect(200);
+
+    await api.get(documentUrl, undefined, otherToken).expect(404);
+
+    await api.delete(`/api/chemical-products/${product.body.data.id}`).expect(200);
+
+    expect(await ChemicalDocument.countDocuments({ productId: product.body.data.id })).toBe(0);
+  });
+
+  test('should reference the product used in cleaning records', async () => {
+    const { token: otherToken } = await global.testUtils.createAuthenticatedUser();
+
+    const product = await createProduct().expect(201);
+    const otherProduct = await createProduct({}, otherToken).expect(201);
+
+    const surface = await api.post('/api/cleaning/surfaces', { name: 'Tabla de cortar' }).expect(201);
+
+    const record = await api.post('/api/cleaning/records', { surfaceId: surface.body.data.id, productId: product.body.data.id })
+      .expect(201);
+
+    expect(record.body.data.productId).toBe(product.body.data.id);
+
+    await api.post('/api/cleaning/records', { surfaceId: surface.body.data.id, productId: otherProduct.body.data.id })
+      .expect(404);
+
+    const records = await api.get('/api/cleaning/records')
+      .query({ productId: product.body.data.id })
+      .expect(200);
+
+    expect(records.body.data.records).toHaveLength(1);
+  });
+});
@@ -0,0 +1,210 @@
+const request = require('supertest');
+const express = require('express');
+
+// Import models
+const FrequentArea = require('../../models/FrequentArea');
+const DailyCleaningRecord = require('../../models/DailyCleaningRecord');
+
+describe('Cleaning API', () => {
+  let app;
+  let user, organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/cleaning', require('../../routes/cleaning.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  test('should register a surface cleaning for the selected user', async () => {
+    const surface = await request(app)
+      .post('/api/cleaning/surfaces')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Tabla de cortar roja' })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/cleaning/records')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ surfaceId: surface.body.data.id, userId: user._id.toString() })
+      .expect(201);
+
+    expect(response.body.data.surfaceId).toBe(surface.body.data.id);
+    expect(response.body.data.userId).toBe(user._id.toString());
+  });
+
+  test('should update lastCleaned and create a record when an area is cleaned', async () => {
+    const area = await request(app)
+      .post('/api/cleaning/areas')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Almacén seco', frequencyDays: 7 })
+      .expect(201);
+
+    expect(area.body.data.lastCleaned).toBeNull();
+
+    const response = await request(app)
+      .post(`/api/cleaning/areas/${area.body.data.id}/clean`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({})
+      .expect(201);
+
+    expect(response.body.data.area.lastCleaned).toBeTruthy();
+    expect(response.body.data.record.areaId).toBe(area.body.data.id);
+
+    const storedArea = await FrequentArea.findById(area.body.data.id);
+    expect(storedArea.lastCleaned).toBeInstanceOf(Date);
+    expect(await DailyCleaningRecord.countDocuments({ areaId: area.body.data.id })).toBe(1);
+  });
+
+  test('should not register cleanings for users of another organization', async () => {
+    const other = await global.testUtils.createTestUser({
+      subdomain: `other-${Date.now()}`,
+      email: `other-${Date.now()}@example.com`
+    });
+
+    const area = await request(app)
+      .post('/api/cleaning/areas')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Cámara de basuras', frequencyDays: 1 })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/cleaning/areas/${area.body.data.id}/clean`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ userId: other.user._id.toString() })
+      .expect(404);
+
+    const storedArea = await FrequentArea.findById(area.body.data.id);
+    expect(storedArea.lastCleaned).toBeNull();
+  });
+
+  test('should store the cleaning and disinfection plan of surfaces and areas', async () => {
+    const surface = await request(app)
+      .post('/api/cleaning/surfaces')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        name: 'Cortadora de fiambre',
+        method: 'Desmontar, retirar restos, lavar con detergente, aclarar y desinfectar',
+        product: 'Desinfectante clorado',
+        dilution: '20 ml/L',
+        contactTimeMinutes: 5,
+        responsibleRole: 'Encargado de charcutería',
+        frequencyType: 'Después de cada uso'
+      })
+      .expect(201);
+
+    expect(surface.body.data).toMatchObject({
+      product: 'Desinfectante clorado',
+      contactTimeMinutes: 5,
+      frequencyType: 'Después de cada uso',
+      weekdays: []
+    });
+
+    const updated = await request(app)
+      .put(`/api/cleaning/surfaces/${surface.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Cortadora de fiambre', frequencyType: 'Días de la semana', weekdays: [5, 1, 3] })
+      .expect(200);
+
+    expect(updated.body.data.weekdays).toEqual([1, 3, 5]);
+    expect(updated.body.data.product).toBe('Desinfectante clorado');
+
+    // Los días de la semana son obligatorios con esa frecuencia
+    await request(app)
+      .put(`/api/cleaning/surfaces/${surface.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Cortadora de fiambre', weekdays: [] })
+      .expect(400);
+
+    // Las zonas no admiten limpiezas tras cada uso y solo piden días con 'Cada X días'
+    await request(app)
+      .post('/api/cleaning/areas')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Campana extractora', frequencyType: 'Después de cada uso' })
+      .expect(400);
+
+    await request(app)
+      .post('/api/cleaning/areas')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Campana extractora' })
+      .expect(400);
+
+    const area = await request(app)
+      .post('/api/cleaning/areas')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Campana extractora', frequencyType: 'Días de la semana', weekdays: [1] })
+      .expect(201);
+
+    expect(area.body.data).toMatchObject({ frequencyType: 'Días de la semana', weekdays: [1], nextDueDate: null });
+  });
+
+  test('should generate the tasks due on a day from the plan', async () => {
+    const createSurface = (data) => request(app)
+      .post('/api/cleaning/surfaces')
+      .set('Authorization', `Bearer ${token}`)
+      .send(data)
+      .expect(201);
+    const createArea = (data) => request(app)
+      .post('/api/cleaning/areas')
+      .set('Authorization', `Bearer ${token}`)
+      .send(data)
+      .expect(201);
+
+    // El 1 de julio de 2024 es lunes
+    const worktop = await createSurface({ name: 'Encimera' });
+    await createSurface({ name: 'Freidora', frequencyType: 'Días de la semana', weekdays: [2] });
+    await createSurface({ name: 'Horno', frequencyType: 'Días de la semana', weekdays: [1, 3] });
+    await createSurface({ name: 'Tabla de cortar', frequencyType: 'Después de cada uso' });
+    const storeroom = await createArea({ name: 'Almacén seco', frequencyDays: 7 });
+    const freezer = await createArea({ name: 'Arcón congelador', frequencyDays: 7 });
+
+    const clean = (areaId, dateTime) => request(app)
+      .post(`/api/cleaning/areas/${areaId}/clean`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ dateTime })
+      .expect(201);
+    await clean(storeroom.body.data.id, '2024-06-20T10:00:00Z');
+    await clean(freezer.body.data.id, '2024-06-28T10:00:00Z');
+
+    await request(app)
+      .post('/api/cleaning/records')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ surfaceId: worktop.body.data.id, dateTime: '2024-07-01T22:30:00Z' })
+      .expect(201);
+
+    const response = await request(app)
+      .get('/api/cleaning/tasks')
+      .query({ date: '2024-07-01', timezone: 'UTC' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.date).toBe('2024-07-01');
+    expect(response.body.data.tasks.map(task => [task.name, task.status, task.completions])).toEqual([
+      ['Encimera', 'Realizada', 1],
+      ['Horno', 'Vencida', 0],
+      ['Tabla de cortar', 'Tras cada uso', 0],
+      ['Almacén seco', 'Vencida', 0]
+    ]);
+
+    // En Madrid la limpieza de las 22:30 UTC ya cuenta para el 2 de julio
+    const madrid = await request(app)
+      .get('/api/cleaning/tasks')
+      .query({ date: '2024-07-02', timezone: 'Europe/Madrid' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(madrid.body.data.tasks.find(task => task.name === 'Encimera').status).toBe('Realizada');
+
+    await request(app)
+      .get('/api/cleaning/tasks')
+      .query({ timezone: 'Marte/Olympus' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+  });
+});
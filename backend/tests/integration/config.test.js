@@ -0,0 +1,139 @@
+const request = require('supertest');
+const express = require('express');
+
+// Import models
+const { CATALOG_DEFAULTS } = require('../../models/ConfigCatalog');
+
+describe('Config Catalogs API', () => {
+  let app;
+  let user, organization, token, adminToken;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/config', require('../../routes/config.routes'));
+    app.use('/api/storage-units', require('../../routes/storageUnits.routes'));
+    app.use('/api/product-types', require('../../routes/productTypes.routes'));
+    app.use('/api/records/delivery', require('../../routes/delivery.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+
+    const adminData = await global.testUtils.createTestUser({
+      organizationData: organization,
+      email: 'config-admin@example.com',
+      role: 'Admin'
+    });
+    adminToken = global.testUtils.generateTestToken(adminData.user, organization);
+  });
+
+  test('should return seeded default catalogs', async () => {
+    const response = await request(app)
+      .get('/api/config')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data).toEqual(CATALOG_DEFAULTS);
+
+    const units = await request(app)
+      .get('/api/config/units')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(units.body.data).toContain('kg');
+  });
+
+  test('should let admins edit a catalog and restore its defaults', async () => {
+    await request(app)
+      .put('/api/config/storage-types')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ items: ['Abatidor'] })
+      .expect(403);
+
+    const updated = await request(app)
+      .put('/api/config/storage-types')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ items: ['Cámara Frigorífica', ' Abatidor '] })
+      .expect(200);
+
+    expect(updated.body.data).toEqual(['Cámara Frigorífica', 'Abatidor']);
+
+    const reset = await request(app)
+      .post('/api/config/storage-types/reset')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(reset.body.data).toEqual(CATALOG_DEFAULTS['storage-types']);
+  });
+
+  test('should reject invalid catalogs and values', async () => {
+    await request(app)
+      .get('/api/config/colors')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+
+    await request(app)
+      .put('/api/config/units')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ items: [] })
+      .expect(400);
+
+    await request(app)
+      .put('/api/config/units')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ items: ['kg', 'KG'] })
+      .expect(400);
+  });
+
+  test('should validate form values against the organization catalogs', async () => {
+    await request(app)
+      .put('/api/config/storage-types')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ items: ['Abatidor'] })
+      .expect(200);
+
+    await request(app)
+      .post('/api/storage-units')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Cámara 1', type: 'Cámara Frigorífica' })
+      .expect(400);
+
+    const unit = await request(app)
+      .post('/api/storage-units')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Abatidor 1', type: ' abatidor ' })
+      .expect(201);
+    expect(unit.body.data.type).toBe('Abatidor');
+
+    // Sin tipo se usa el primero del catálogo de la organización
+    const untyped = await request(app)
+      .post('/api/storage-units')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Cámara 2' })
+      .expect(201);
+    expect(untyped.body.data.type).toBe('Abatidor');
+
+    await request(app)
+      .put(`/api/storage-units/${unit.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Abatidor 1', type: 'Cámara Frigorífica' })
+      .expect(400);
+
+    const productType = await request(app)
+      .post('/api/product-types')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Merluza', optimalTemp: 2, category: 'Pescados y mariscos' })
+      .expect(201);
+    expect(productType.body.data.category).toBe('Pescados y mariscos');
+
+    await request(app)
+      .post('/api/records/delivery')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ supplierId: 's1', productTypeId: 'p1', temperature: '3', receptionDate: '2024-05-10', transportCondition: 'En globo' })
+      .expect(400);
+  });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const express = require('express');
+
+// Import models
+const CostingPriceHistory = require('../../models/CostingPriceHistory');
+
+describe('Costings API', () => {
+  let app;
+  let user, organization, token;
+
+  const costingData = {
+    productName: 'Costillar de cerdo',
+    totalWeight: 10,
+    purchasePrice: 50,
+    parts: [
+      { id: '1718000000000', name: 'Chuletas', weight: 6, saleType: 'weight' },
+      { id: '1718000000001', name: 'Costillas', weight: 4, saleType: 'unit', quantity: 8 }
+    ],
+    salePrices: { '1718000000000': '10' }
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/costings', require('../../routes/costings.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  test('should create a costing remapping temporary part ids', async () => {
+    const response = await request(app)
+      .post('/api/costings')
+      .set('Authorization', `Bearer ${token}`)
+      .send(costingData)
+      .expect(201);
+
+    const [chuletas] = response.body.data.parts;
+    expect(chuletas.id).not.toBe('1718000000000');
+    expect(response.body.data.salePrices[chuletas.id]).toBe(10);
+
+    const history = await CostingPriceHistory.find({ costingId: response.body.data.id });
+    expect(history).toHaveLength(1);
+    expect(history[0].costPerKg).toBe(5);
+    expect(history[0].totalRevenue).toBe(60);
+  });
+
+  test('should record price history when a sale price changes', async () => {
+    const created = await request(app)
+      .post('/api/costings')
+      .set('Authorization', `Bearer ${token}`)
+      .send(costingData)
+      .expect(201);
+
+    const costingId = created.body.data.id;
+    const costillas = created.body.data.parts[1];
+
+    await request(app)
+      .patch(`/api/costings/${costingId}/sale-prices`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ salePrices: { [costillas.id]: '2' } })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/costings/${costingId}/history`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(2);
+    expect(response.body.data[1].totalRevenue).toBe(76);
+    expect(response.body.data[1].marginPercent).toBeCloseTo(52);
+  });
+
+  test('should not record history when prices do not change', async () => {
+    const created = await request(app)
+      .post('/api/costings')
+      .set('Authorization', `Bearer ${token}`)
+      .send(costingData)
+      .expect(201);
+
+    const { id, parts, salePrices } = created.body.data;
+
+    await request(app)
+      .put(`/api/costings/${id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...costingData, productName: 'Costillar ibérico', parts, salePrices })
+      .expect(200);
+
+    expect(await CostingPriceHistory.countDocuments({ costingId: id })).toBe(1);
+  });
+});
@@ -0,0 +1,217 @@
+const request = require('supertest');
+const express = require('express');
+const StorageRecord = require('../../models/StorageRecord');
+const TemperatureExcursion = require('../../models/TemperatureExcursion');
+
+describe('Data Loggers API', () => {
+  let app;
+  let organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/storage-units', require('../../routes/storageUnits.routes'));
+    app.use('/api/records/storage', require('../../routes/storage.routes'));
+    app.use('/api/data-loggers', require('../../routes/dataLoggers.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser({ role: 'Admin' });
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(userData.user, organization);
+  });
+
+  // Cámara de 0 a 4 °C con una sonda; devuelve el token del dispositivo
+  const createLogger = async () => {
+    const unit = await request(app)
+      .post('/api/storage-units')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Cámara Lácteos', type: 'Cámara Frigorífica', minTemp: 0, maxTemp: 4 })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/data-loggers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'EL-USB-2', unitId: unit.body.data.id, serialNumber: '10293847' })
+      .expect(201);
+
+    return { unitId: unit.body.data.id, logger: response.body.data };
+  };
+
+  const sendBatch = (deviceToken, readings) => request(app)
+    .post('/api/data-loggers/ingest')
+    .set('X-Device-Token', deviceToken)
+    .send({ readings });
+
+  test('should return the device token only once and never its hash', async () => {
+    const { logger } = await createLogger();
+
+    expect(logger.token).toMatch(/^dlg_[0-9a-f]{48}$/);
+    expect(logger.tokenHint).toBe(logger.token.slice(0, 10));
+    expect(logger.tokenHash).toBeUndefined();
+
+    const list = await request(app)
+      .get('/api/data-loggers')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0].token).toBeUndefined();
+    expect(list.body.data[0].tokenHash).toBeUndefined();
+  });
+
+  test('should ingest a JSON batch with the same out-of-range logic as manual records', async () => {
+    const { unitId, logger } = await createLogger();
+
+    const response = await sendBatch(logger.token, [
+      { dateTime: '2024-07-01T10:00:00Z', temperature: 3.2, humidity: 80 },
+      { dateTime: '2024-07-01T10:01:00Z', temperature: 6.8 },
+      { dateTime: '2024-07-01T10:02:00Z', temperature: '3,1' },
+      { dateTime: 'ayer', temperature: 3 },
+      { dateTime: '2024-07-01T10:04:00Z', temperature: 250 }
+    ]).expect(200);
+
+    expect(response.body.data).toMatchObject({ received: 5, imported: 3, duplicates: 0, outOfRange: 1 });
+    expect(response.body.data.errors).toEqual([
+      expect.objectContaining({ row: 4, field: 'dateTime' }),
+      expect.objectContaining({ row: 5, field: 'temperature' })
+    ]);
+
+    const records = await StorageRecord.find({ organizationId: organization._id }).sort({ dateTime: 1 });
+    expect(records.map(record => record.isOutOfRange)).toEqual([false, true, false]);
+    expect(records[0]).toMatchObject({ source: 'logger', registeredBy: 'Sonda EL-USB-2', humidity: 80 });
+
+    // La lectura fuera de rango abre una excursión como cualquier control manual
+    const excursion = await TemperatureExcursion.findOne({ organizationId: organization._id });
+    expect(excursion.unitId.toString()).toBe(unitId);
+    expect(excursion.peakTemperature).toBe(6.8);
+
+    // Reenviar el lote no duplica lecturas
+    const resent = await sendBatch(logger.token, [{ dateTime: '2024-07-01T10:00:00Z', temperature: 3.2 }]).expect(200);
+    expect(resent.body.data).toMatchObject({ imported: 0, duplicates: 1 });
+  });
+
+  test('should extend an ongoing excursion with the next batch', async () => {
+    const { logger } = await createLogger();
+
+    await sendBatch(logger.token, [
+      { dateTime: '2024-07-01T10:00:00Z', temperature: 3 },
+      { dateTime: '2024-07-01T10:01:00Z', temperature: 6 }
+    ]).expect(200);
+    await sendBatch(logger.token, [
+      { dateTime: '2024-07-01T10:02:00Z', temperature: 7.5 },
+      { dateTime: '2024-07-01T10:03:00Z', temperature: 2 }
+    ]).expect(200);
+
+    const excursions = await TemperatureExcursion.find({ organizationId: organization._id });
+    expect(excursions).toHaveLength(1);
+    expect(excursions[0]).toMatchObject({ readingsCount: 2, peakTemperature: 7.5, durationMinutes: 2 });
+    expect(excursions[0].endedAt.toISOString()).toBe('2024-07-01T10:03:00.000Z');
+  });
+
+  test('should reject unknown, rotated and deactivated device tokens', async () => {
+    const { logger } = await createLogger();
+    const reading = [{ dateTime: '2024-07-01T10:00:00Z', temperature: 2 }];
+
+    await sendBatch('dlg_invalido', reading).expect(401);
+
+    const rotated = await request(app)
+      .post(`/api/data-loggers/${logger.id}/token`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await sendBatch(logger.token, reading).expect(401);
+    await sendBatch(rotated.body.data.token, reading).expect(200);
+
+    await request(app)
+      .put(`/api/data-loggers/${logger.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ isActive: false })
+      .expect(200);
+
+    await sendBatch(rotated.body.data.token, reading).expect(401);
+  });
+
+  test('should ingest the CSV export of a USB logger', async () => {
+    const { logger } = await createLogger();
+
+    const csv = [
+      'EasyLog USB',
+      'Name,Time,Celsius(°C),Humidity(%rh),Serial Number',
+      'Lacteos,2024-07-01 10:00:00,2.5,75,10293847',
+      'Lacteos,2024-07-01 10:05:00,5.5,76',
+      'Lacteos,2024-07-01 10:10:00,3.0,75'
+    ].join('\n');
+
+    const response = await request(app)
+      .post(`/api/data-loggers/${logger.id}/upload`)
+      .set('Authorization', `Bearer ${token}`)
+      .attach('file', Buffer.from(csv), 'EL-USB-2.csv')
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({ received: 3, imported: 3, outOfRange: 1 });
+
+    const [excursion] = await TemperatureExcursion.find({ organizationId: organization._id });
+    expect(excursion).toMatchObject({ direction: 'above', durationMinutes: 5, peakTemperature: 5.5 });
+
+    const withoutColumns = await request(app)
+      .post('/api/data-loggers/ingest/csv')
+      .set('X-Device-Token', logger.token)
+      .attach('file', Buffer.from('a,b\n1,2'), 'datos.csv')
+      .expect(400);
+
+    expect(withoutColumns.body.message).toContain('columnas de fecha y temperatura');
+  });
+
+  test('should downsample the series and keep logger readings out of the manual history', async () => {
+    const { unitId, logger } = await createLogger();
+
+    // Una lectura por minuto durante dos horas
+    const start = Date.UTC(2024, 6, 1, 8, 0);
+    const readings = Array.from({ length: 120 }, (_, minute) => ({
+      dateTime: new Date(start + minute * 60000).toISOString(),
+      temperature: minute < 60 ? 2 : 4
+    }));
+    await sendBatch(logger.token, readings).expect(200);
+
+    const series = await request(app)
+      .get('/api/records/storage/series')
+      .query({ unitId, dateFrom: '2024-07-01T08:00:00.000Z', dateTo: '2024-07-01T10:00:00.000Z' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(series.body.data.bucketMinutes).toBe(1);
+
+    const day = await request(app)
+      .get('/api/records/storage/series')
+      .query({ unitId, dateFrom: '2024-07-01', dateTo: '2024-07-01' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(day.body.data.bucketMinutes).toBe(5);
+    expect(day.body.data.points).toHaveLength(24);
+    expect(day.body.data.points[0]).toMatchObject({ readings: 5, avgTemp: 2, minTemp: 2, maxTemp: 2 });
+
+    const manual = await request(app)
+      .get('/api/records/storage')
+      .query({ source: 'manual' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(manual.body.data.records).toHaveLength(0);
+  });
+
+  test('should only let administrators register data loggers', async () => {
+    const { user: staff } = await global.testUtils.createTestUser({
+      email: `staff-${Date.now()}@example.com`,
+      organizationData: { _id: organization._id }
+    });
+    const staffToken = global.testUtils.generateTestToken(staff, organization);
+
+    await request(app)
+      .post('/api/data-loggers')
+      .set('Authorization', `Bearer ${staffToken}`)
+      .send({ name: 'Sonda', unitId: '507f1f77bcf86cd799439011' })
+      .expect(403);
+  });
+});
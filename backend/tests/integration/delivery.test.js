@@ -0,0 +1,134 @@
+const request = require('supertest');
+const express = require('express');
+
+describe('Delivery Records API', () => {
+  let app;
+  let user, organization, token;
+
+  const recordData = {
+    supplierId: 'supplier-a',
+    productTypeId: 'product-a',
+    temperature: '3.5',
+    receptionDate: '2024-05-10',
+    docsOk: true
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/records/delivery', require('../../routes/delivery.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  const createRecord = (data = {}) => request(app)
+    .post('/api/records/delivery')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ ...recordData, ...data });
+
+  test('should return a paginated list filtered by supplier and date range', async () => {
+    await createRecord().expect(201);
+    await createRecord({ receptionDate: '2024-05-20' }).expect(201);
+    await createRecord({ supplierId: 'supplier-b' }).expect(201);
+
+    const response = await request(app)
+      .get('/api/records/delivery')
+      .query({ supplier: 'supplier-a', dateFrom: '2024-05-01', dateTo: '2024-05-15', limit: 10 })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.records).toHaveLength(1);
+    expect(response.body.data.records[0].id).toBeDefined();
+    expect(response.body.data.pagination).toEqual({ current: 1, pages: 1, total: 1, limit: 10 });
+  });
+
+  test('should paginate and sort by reception date', async () => {
+    await createRecord({ receptionDate: '2024-05-01' }).expect(201);
+    await createRecord({ receptionDate: '2024-05-02' }).expect(201);
+    await createRecord({ receptionDate: '2024-05-03' }).expect(201);
+
+    const response = await request(app)
+      .get('/api/records/delivery')
+      .query({ sort: 'receptionDate', page: 2, limit: 2 })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.records).toHaveLength(1);
+    expect(response.body.data.records[0].receptionDate).toMatch(/^2024-05-03/);
+    expect(response.body.data.pagination.pages).toBe(2);
+  });
+
+  test('should fetch and update a record by id', async () => {
+    const created = await createRecord().expect(201);
+    const id = created.body.data.id;
+
+    await request(app)
+      .put(`/api/records/delivery/${id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ temperature: '5', docsOk: false })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/records/delivery/${id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.temperature).toBe('5');
+    expect(response.body.data.docsOk).toBe(false);
+    expect(response.body.data.supplierId).toBe('supplier-a');
+  });
+
+  test('should summarise accepted and rejected deliveries within a date range', async () => {
+    await createRecord().expect(201);
+    await createRecord({ productTypeId: 'product-b' }).expect(201);
+    await createRecord({ docsOk: false }).expect(201);
+    await createRecord({ receptionDate: '2024-06-10', docsOk: false }).expect(201);
+
+    const response = await request(app)
+      .get('/api/records/delivery/stats/summary')
+      .query({ dateFrom: '2024-05-01', dateTo: '2024-05-31' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data).toEqual({
+      totalDeliveries: 3,
+      acceptedDeliveries: 2,
+      conditionalDeliveries: 0,
+      rejectedDeliveries: 1,
+      acceptanceRate: 66.7,
+      uniqueProductTypes: 2
+    });
+  });
+
+  test('should reject a record with a non numeric temperature', async () => {
+    const response = await createRecord({ temperature: 'frío' }).expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  test('should not return records from other organizations', async () => {
+    const created = await createRecord().expect(201);
+
+    const otherData = await global.testUtils.createTestUser({
+      subdomain: 'other-delivery-org',
+      email: 'other-delivery@example.com'
+    });
+    const otherToken = global.testUtils.generateTestToken(otherData.user, otherData.organization);
+
+    await request(app)
+      .get(`/api/records/delivery/${created.body.data.id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(404);
+
+    await request(app)
+      .put(`/api/records/delivery/${created.body.data.id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ docsOk: false })
+      .expect(404);
+  });
+});
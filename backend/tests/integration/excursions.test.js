@@ -0,0 +1,154 @@
+const request = require('supertest');
+const express = require('express');
+const TemperatureExcursion = require('../../models/TemperatureExcursion');
+
+describe('Temperature Excursions API', () => {
+  let app;
+  let user, organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/storage-units', require('../../routes/storageUnits.routes'));
+    app.use('/api/records/storage', require('../../routes/storage.routes'));
+    app.use('/api/excursions', require('../../routes/excursions.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  const createUnit = async () => {
+    const response = await request(app)
+      .post('/api/storage-units')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Cámara Carnes', type: 'Cámara Frigorífica', minTemp: 0, maxTemp: 4 })
+      .expect(201);
+    return response.body.data.id;
+  };
+
+  const reading = (unitId, dateTime, temperature) => request(app)
+    .post('/api/records/storage')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ unitId, dateTime, temperature })
+    .expect(201);
+
+  const listExcursions = (query = {}) => request(app)
+    .get('/api/excursions')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  const changeStatus = (id, data) => request(app)
+    .patch(`/api/excursions/${id}/status`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  test('should detect excursions with their duration and peak deviation', async () => {
+    const unitId = await createUnit();
+
+    await reading(unitId, '2024-07-01T08:00:00.000Z', 3);
+    await reading(unitId, '2024-07-01T10:00:00.000Z', 6);
+    await reading(unitId, '2024-07-01T12:00:00.000Z', 9.5);
+    await reading(unitId, '2024-07-01T14:00:00.000Z', 2);
+    await reading(unitId, '2024-07-02T08:00:00.000Z', -3);
+
+    const response = await listExcursions({ sort: 'startedAt' });
+    const [warm, cold] = response.body.data.records;
+
+    expect(response.body.data.records).toHaveLength(2);
+    expect(warm).toMatchObject({
+      direction: 'above',
+      limit: 4,
+      peakTemperature: 9.5,
+      peakDeviation: 5.5,
+      readingsCount: 2,
+      durationMinutes: 240,
+      status: 'Abierta',
+      isOngoing: false
+    });
+    expect(cold).toMatchObject({ direction: 'below', peakDeviation: 3, isOngoing: true, endedAt: null });
+  });
+
+  test('should keep the workflow of an excursion when new readings extend it', async () => {
+    const unitId = await createUnit();
+
+    await reading(unitId, '2024-07-01T10:00:00.000Z', 6);
+    const [excursion] = (await listExcursions()).body.data.records;
+
+    await changeStatus(excursion.id, { status: 'Reconocida' }).expect(200);
+    await reading(unitId, '2024-07-01T11:00:00.000Z', 8);
+
+    const [updated] = (await listExcursions()).body.data.records;
+    expect(updated).toMatchObject({ id: excursion.id, status: 'Reconocida', readingsCount: 2, peakTemperature: 8 });
+    expect(updated.acknowledgedBy).toBe(user.name);
+  });
+
+  test('should require a finished excursion and a corrective action to close it', async () => {
+    const unitId = await createUnit();
+
+    await reading(unitId, '2024-07-01T10:00:00.000Z', 7);
+    const [excursion] = (await listExcursions()).body.data.records;
+
+    // Hay que reconocerla antes de cerrarla
+    await changeStatus(excursion.id, { status: 'Cerrada', correctiveAction: 'Producto revisado' }).expect(400);
+    await changeStatus(excursion.id, { status: 'Reconocida' }).expect(200);
+
+    // Sigue en curso hasta que haya una lectura dentro de rango
+    await changeStatus(excursion.id, { status: 'Cerrada', correctiveAction: 'Producto revisado' }).expect(400);
+    await reading(unitId, '2024-07-01T11:30:00.000Z', 3);
+
+    await changeStatus(excursion.id, { status: 'Cerrada' }).expect(400);
+    const closed = await changeStatus(excursion.id, { status: 'Cerrada', correctiveAction: 'Ajustado el termostato y revisado el producto' }).expect(200);
+    expect(closed.body.data).toMatchObject({
+      status: 'Cerrada',
+      correctiveAction: 'Ajustado el termostato y revisado el producto',
+      closedBy: user.name,
+      durationMinutes: 90
+    });
+
+    const active = await listExcursions({ active: 'true' });
+    expect(active.body.data.records).toHaveLength(0);
+  });
+
+  test('should merge excursions and keep their workflow when a reading between them is corrected', async () => {
+    const unitId = await createUnit();
+
+    await reading(unitId, '2024-07-01T08:00:00.000Z', 6);
+    const between = await reading(unitId, '2024-07-01T09:00:00.000Z', 3);
+    await reading(unitId, '2024-07-01T10:00:00.000Z', 7);
+    await reading(unitId, '2024-07-01T11:00:00.000Z', 2);
+
+    const [first, second] = (await listExcursions({ sort: 'startedAt' })).body.data.records;
+    expect(second).toBeDefined();
+    await changeStatus(first.id, { status: 'Reconocida' }).expect(200);
+
+    await request(app)
+      .put(`/api/records/storage/${between.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ temperature: 5 })
+      .expect(200);
+
+    const merged = (await listExcursions()).body.data.records;
+    expect(merged).toHaveLength(1);
+    expect(merged[0]).toMatchObject({ id: first.id, status: 'Reconocida', readingsCount: 3, durationMinutes: 180 });
+  });
+
+  test('should drop unmanaged excursions when the readings are corrected', async () => {
+    const unitId = await createUnit();
+
+    const wrong = await reading(unitId, '2024-07-01T10:00:00.000Z', 40);
+    expect(await TemperatureExcursion.countDocuments({ organizationId: organization._id })).toBe(1);
+
+    await request(app)
+      .put(`/api/records/storage/${wrong.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ temperature: 4 })
+      .expect(200);
+
+    expect(await TemperatureExcursion.countDocuments({ organizationId: organization._id })).toBe(0);
+  });
+});
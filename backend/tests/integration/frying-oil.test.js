@@ -0,0 +1,106 @@
+const FryingOilEvent = require('../../models/FryingOilEvent');
+const Fryer = require('../../models/Fryer');
+
+describe('Frying Oil API', () => {
+  let organization, token;
+
+  const app = global.testUtils.createTestApp({
+    '/api/frying-oil': require('../../routes/fryingOil.routes')
+  });
+  const api = global.testUtils.createApiClient(app, () => token);
+  const { post } = api;
+
+  beforeEach(async () => {
+    ({ organization, token } = await global.testUtils.createAuthenticatedUser());
+  });
+
+  const getAlerts = () => api.get('/api/frying-oil/alerts').expect(200);
+
+  const createFryer = global.testUtils.createFixtureFactory(api, '/api/frying-oil/fryers', {
+    name: 'Freidora 1',
+    location: 'Cocina caliente'
+  });
+
+  const reading = (fryerId, tpm, dateTime) => post('/api/frying-oil/events', {
+    fryerId,
+    type: 'reading',
+    dateTime,
+    tpm,
+    temperature: 175
+  });
+
+  const oilChange = (fryerId, dateTime) => post('/api/frying-oil/events', {
+    fryerId,
+    type: 'change',
+    dateTime,
+    oilProduct: 'Aceite de girasol alto oleico',
+    quantityLiters: 12
+  });
+
+  test('should create fryers with the default discard limit', async () => {
+    const response = await createFryer().expect(201);
+    expect(response.body.data).toMatchObject({ name: 'Freidora 1', discardLimit: 25, isActive: true });
+
+    await createFryer({ name: 'Freidora 2', discardLimit: 80 }).expect(400);
+  });
+
+  test('should raise an alert for readings over the limit until the oil is changed', async () => {
+    const fryer = await createFryer().expect(201);
+    const fryerId = fryer.body.data.id;
+
+    const ok = await reading(fryerId, 18, '2024-06-01T10:00:00.000Z').expect(201);
+    expect(ok.body.data).toMatchObject({ isOverLimit: false, discardLimit: 25 });
+    expect((await getAlerts()).body.data).toHaveLength(0);
+
+    const over = await reading(fryerId, 27.5, '2024-06-03T10:00:00.000Z').expect(201);
+    expect(over.body.data.isOverLimit).toBe(true);
+
+    const alerts = await getAlerts();
+    expect(alerts.body.data).toHaveLength(1);
+    expect(alerts.body.data[0]).toMatchObject({ fryerName: 'Freidora 1', tpm: 27.5, discardLimit: 25 });
+
+    await oilChange(fryerId, '2024-06-03T12:00:00.000Z').expect(201);
+    expect((await getAlerts()).body.data).toHaveLength(0);
+
+    const timeline = await api.get('/api/frying-oil/events')
+      .query({ fryerId })
+      .expect(200);
+    expect(timeline.body.data.records.map(event => event.type)).toEqual(['change', 'reading', 'reading']);
+  });
+
+  test('should validate readings and reject fryers from other organizations', async () => {
+    const fryer = await createFryer().expect(201);
+
+    await post('/api/frying-oil/events', {
+      fryerId: fryer.body.data.id,
+      type: 'reading',
+      dateTime: '2024-06-01T10:00:00.000Z'
+    }).expect(400);
+
+    const { token: otherToken } = await global.testUtils.createAuthenticatedUser();
+    const otherFryer = await createFryer({}, otherToken).expect(201);
+
+    await reading(otherFryer.body.data.id, 20, '2024-06-01T10:00:00.000Z').expect(404);
+  });
+
+  test('should keep the history of a deleted fryer and leave it out of use', async () => {
+    const fryer = await createFryer().expect(201);
+    await reading(fryer.body.data.id, 30, '2024-06-01T10:00:00.000Z').expect(201);
+
+    const response = await api.delete(`/api/frying-oil/fryers/${fryer.body.data.id}`).expect(200);
+
+    expect(response.body.data.deactivated).toBe(true);
+    expect(response.body.data.fryer.isActive).toBe(false);
+    expect(await FryingOilEvent.countDocuments({ organizationId: organization._id })).toBe(1);
+    expect((await getAlerts()).body.data).toHaveLength(0);
+  });
+
+  test('should delete a fryer without history', async () => {
+    const fryer = await createFryer().expect(201);
+
+    const response = await api.delete(`/api/frying-oil/fryers/${fryer.body.data.id}`).expect(200);
+
+    expect(response.body.data.deactivated).toBe(false);
+    expect(await Fryer.countDocuments({ _id: fryer.body.data.id })).toBe(0);
+  });
+});
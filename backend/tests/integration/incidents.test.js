@@ -0,0 +1,151 @@
+const request = require('supertest');
+const express = require('express');
+
+describe('Incidents API', () => {
+  let app;
+  let user, organization, token;
+
+  const incidentData = {
+    title: 'Temperatura fuera de rango',
+    description: 'La cámara 1 marcaba 9 ºC durante el control de la mañana',
+    detectionDate: '2024-03-10',
+    affectedArea: 'Cámara 1',
+    severity: 'Alta'
+  };
+
+  const actionData = {
+    description: 'Trasladar producto a la cámara 2 y avisar al técnico',
+    implementationDate: '2024-03-10'
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/incidents', require('../../routes/incidents.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  const createIncident = async () => {
+    const response = await request(app)
+      .post('/api/incidents')
+      .set('Authorization', `Bearer ${token}`)
+      .send(incidentData)
+      .expect(201);
+    return response.body.data;
+  };
+
+  test('should create an open incident reported by the current user', async () => {
+    const incident = await createIncident();
+
+    expect(incident.status).toBe('Abierta');
+    expect(incident.reportedBy).toBe(user._id.toString());
+    expect(incident.statusHistory).toHaveLength(1);
+    expect(incident.correctiveActions).toEqual([]);
+  });
+
+  test('should move an open incident to in progress when an action is added', async () => {
+    const incident = await createIncident();
+
+    const response = await request(app)
+      .post(`/api/incidents/${incident.id}/actions`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(actionData)
+      .expect(201);
+
+    expect(response.body.data.status).toBe('En Proceso');
+    expect(response.body.data.correctiveActions).toHaveLength(1);
+    expect(response.body.data.correctiveActions[0].status).toBe('Pendiente');
+  });
+
+  test('should reject transitions that skip a state', async () => {
+    const incident = await createIncident();
+
+    const response = await request(app)
+      .patch(`/api/incidents/${incident.id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'Resuelta' })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  test('should require all corrective actions to be completed before resolving', async () => {
+    const incident = await createIncident();
+
+    const withAction = await request(app)
+      .post(`/api/incidents/${incident.id}/actions`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(actionData)
+      .expect(201);
+    const actionId = withAction.body.data.correctiveActions[0].id;
+
+    await request(app)
+      .patch(`/api/incidents/${incident.id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'Resuelta' })
+      .expect(400);
+
+    await request(app)
+      .put(`/api/incidents/${incident.id}/actions/${actionId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'Completada' })
+      .expect(200);
+
+    const response = await request(app)
+      .patch(`/api/incidents/${incident.id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'Resuelta', notes: 'Compresor reparado' })
+      .expect(200);
+
+    expect(response.body.data.status).toBe('Resuelta');
+    expect(response.body.data.resolutionNotes).toBe('Compresor reparado');
+    expect(response.body.data.resolvedAt).toBeTruthy();
+    expect(response.body.data.resolvedBy).toBe(user.name);
+  });
+
+  test('should reopen a resolved incident when a pending action is added', async () => {
+    const incident = await createIncident();
+
+    await request(app)
+      .post(`/api/incidents/${incident.id}/actions`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...actionData, status: 'Completada' })
+      .expect(201);
+
+    await request(app)
+      .patch(`/api/incidents/${incident.id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'Resuelta' })
+      .expect(200);
+
+    const response = await request(app)
+      .post(`/api/incidents/${incident.id}/actions`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(actionData)
+      .expect(201);
+
+    expect(response.body.data.status).toBe('En Proceso');
+    expect(response.body.data.resolvedAt).toBeNull();
+  });
+
+  test('should not expose incidents from other organizations', async () => {
+    const incident = await createIncident();
+
+    const otherData = await global.testUtils.createTestUser({
+      subdomain: 'other-incidents-org',
+      email: 'other-incidents@example.com'
+    });
+    const otherToken = global.testUtils.generateTestToken(otherData.user, otherData.organization);
+
+    await request(app)
+      .get(`/api/incidents/${incident.id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(404);
+  });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const express = require('express');
+
+describe('Lot Genealogy API', () => {
+  let app;
+  let user, organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/lots', require('../../routes/lots.routes'));
+    app.use('/api/records/delivery', require('../../routes/delivery.routes'));
+    app.use('/api/records/elaborated', require('../../routes/elaborated.routes'));
+    app.use('/api/records/outgoing', require('../../routes/outgoing.routes'));
+    app.use('/api/suppliers', require('../../routes/suppliers.routes'));
+    app.use('/api/product-types', require('../../routes/productTypes.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  const post = (url, data, authToken = token) => request(app)
+    .post(url)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(data);
+
+  const get = (url, query = {}, authToken = token) => request(app)
+    .get(url)
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  // Recepción de carne picada → albóndigas → salida a tienda
+  const createChain = async () => {
+    const supplier = await post('/api/suppliers', { name: 'Cárnicas del Norte' }).expect(201);
+    const product = await post('/api/product-types', { name: 'Carne picada', optimalTemp: 2 }).expect(201);
+
+    const reception = await post('/api/records/delivery', {
+      supplierId: supplier.body.data.id,
+      productTypeId: product.body.data.id,
+      temperature: '2',
+      receptionDate: '2024-03-01',
+      lot: 'CN-0301',
+      expiryDate: '2024-03-08'
+    }).expect(201);
+
+    const elaboration = await post('/api/records/elaborated', {
+      productName: 'Albóndigas',
+      elaborationDate: '2024-03-02',
+      productLot: 'ALB-0302',
+      ingredients: [
+        { name: 'Carne picada', lot: 'texto libre', quantity: '5 kg', deliveryRecordId: reception.body.data.id },
+        { name: 'Pan rallado', supplier: 'Panadería Sol', lot: 'PS-77', quantity: '1 kg' }
+      ]
+    }).expect(201);
+
+    const shipment = await post('/api/records/outgoing', {
+      productName: 'Albóndigas',
+      quantity: '4 kg',
+      lotIdentifier: 'ALB-0302',
+      destinationType: 'sucursal',
+      destination: 'Tienda Centro',
+      date: '2024-03-03',
+      sourceType: 'elaborated',
+      sourceRecordId: elaboration.body.data.id
+    }).expect(201);
+
+    return { reception, elaboration, shipment };
+  };
+
+  test('should take ingredient lots and suppliers from the linked reception', async () => {
+    const { reception, elaboration } = await createChain();
+
+    expect(reception.body.data).toMatchObject({ lot: 'CN-0301' });
+    expect(elaboration.body.data.ingredients[0]).toMatchObject({
+      lot: 'CN-0301',
+      supplier: 'Cárnicas del Norte',
+      deliveryRecordId: reception.body.data.id
+    });
+    expect(elaboration.body.data.ingredients[1].deliveryRecordId).toBeUndefined();
+
+    const lots = await get('/api/lots', { type: 'delivery', q: 'cn-' }).expect(200);
+    expect(lots.body.data).toEqual([
+      expect.objectContaining({
+        sourceType: 'delivery',
+        recordId: reception.body.data.id,
+        lot: 'CN-0301',
+        productName: 'Carne picada',
+        supplierName: 'Cárnicas del Norte'
+      })
+    ]);
+  });
+
+  test('should walk one step back and one step forward from a lot', async () => {
+    const { reception, elaboration, shipment } = await createChain();
+
+    const received = await get('/api/lots/genealogy', { lot: 'CN-0301' }).expect(200);
+    expect(received.body.data.receptions).toHaveLength(1);
+    expect(received.body.data.receptions[0]).toMatchObject({ supplierName: 'Cárnicas del Norte', productName: 'Carne picada' });
+    expect(received.body.data.forward.elaborations.map(e => e.id)).toEqual([elaboration.body.data.id]);
+
+    const elaborated = await get('/api/lots/genealogy', { lot: 'ALB-0302' }).expect(200);
+    expect(elaborated.body.data.elaborations).toHaveLength(1);
+    expect(elaborated.body.data.backward.ingredients[0].reception.id).toBe(reception.body.data.id);
+    expect(elaborated.body.data.backward.ingredients[1].reception).toBeNull();
+    expect(elaborated.body.data.forward.shipments.map(s => s.id)).toEqual([shipment.body.data.id]);
+
+    await get('/api/lots/genealogy', { lot: 'NO-EXISTE' }).expect(404);
+    await get('/api/lots/genealogy').expect(400);
+  });
+
+  test('should reject links to records of another organization or without lot', async () => {
+    const { reception } = await createChain();
+
+    const otherData = await global.testUtils.createTestUser({
+      subdomain: 'other-lots-org',
+      email: 'other-lots@example.com'
+    });
+    const otherToken = global.testUtils.generateTestToken(otherData.user, otherData.organization);
+
+    const foreign = await post('/api/records/elaborated', {
+      productName: 'Croquetas',
+      elaborationDate: '2024-03-04',
+      productLot: 'CRO-0304',
+      ingredients: [{ name: 'Carne', lot: 'X', quantity: '1 kg', deliveryRecordId: reception.body.data.id }]
+    }, otherToken).expect(400);
+    expect(foreign.body.errors[0].field).toBe('ingredients[0].deliveryRecordId');
+
+    const withoutLot = await post('/api/records/delivery', {
+      supplierId: 's1',
+      productTypeId: 'p1',
+      temperature: '4',
+      receptionDate: '2024-03-05'
+    }).expect(201);
+
+    await post('/api/records/outgoing', {
+      productName: 'Carne',
+      quantity: '1 kg',
+      lotIdentifier: 'X',
+      destinationType: 'consumidor',
+      destination: 'Cliente',
+      date: '2024-03-05',
+      sourceType: 'delivery',
+      sourceRecordId: withoutLot.body.data.id
+    }).expect(400);
+  });
+
+  test('should not delete records whose lot is linked', async () => {
+    const { reception, elaboration, shipment } = await createChain();
+
+    await request(app)
+      .delete(`/api/records/delivery/${reception.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(409);
+
+    await request(app)
+      .delete(`/api/records/elaborated/${elaboration.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(409);
+
+    await request(app)
+      .delete(`/api/records/outgoing/${shipment.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/records/elaborated/${elaboration.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+  });
+});
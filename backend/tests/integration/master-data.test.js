@@ -0,0 +1,115 @@
+const request = require('supertest');
+const express = require('express');
+
+// Import models
+const Supplier = require('../../models/Supplier');
+const DeliveryRecord = require('../../models/DeliveryRecord');
+
+describe('Suppliers and Product Types API', () => {
+  let app;
+  let user, organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/suppliers', require('../../routes/suppliers.routes'));
+    app.use('/api/product-types', require('../../routes/productTypes.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  const createDelivery = (supplierId, productTypeId) => DeliveryRecord.create({
+    organizationId: organization._id,
+    registeredBy: user.name,
+    registeredById: user._id,
+    userId: user._id,
+    supplierId,
+    productTypeId,
+    temperature: '3',
+    receptionDate: new Date()
+  });
+
+  test('should delete a supplier without delivery records', async () => {
+    const created = await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Carnes del Sur' })
+      .expect(201);
+
+    const response = await request(app)
+      .delete(`/api/suppliers/${created.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.archived).toBe(false);
+    expect(await Supplier.findById(created.body.data.id)).toBeNull();
+  });
+
+  test('should archive a supplier referenced by delivery records', async () => {
+    const created = await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Lácteos Norte' })
+      .expect(201);
+
+    await createDelivery(created.body.data.id, 'product-type');
+
+    const response = await request(app)
+      .delete(`/api/suppliers/${created.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.archived).toBe(true);
+
+    const active = await request(app)
+      .get('/api/suppliers')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(active.body.data).toHaveLength(0);
+
+    const all = await request(app)
+      .get('/api/suppliers?includeArchived=true')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(all.body.data[0].isArchived).toBe(true);
+  });
+
+  test('should archive a product type referenced by delivery records', async () => {
+    const created = await request(app)
+      .post('/api/product-types')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Pollo', optimalTemp: 4 })
+      .expect(201);
+
+    expect(created.body.data.optimalTemp).toBe(4);
+
+    await createDelivery('supplier', created.body.data.id);
+
+    const response = await request(app)
+      .delete(`/api/product-types/${created.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.archived).toBe(true);
+    expect(response.body.data.productType.isArchived).toBe(true);
+  });
+
+  test('should reject duplicate active supplier names', async () => {
+    await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Frutas Pepe' })
+      .expect(201);
+
+    await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'frutas pepe' })
+      .expect(400);
+  });
+});
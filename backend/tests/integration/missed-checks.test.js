@@ -0,0 +1,162 @@
+const request = require('supertest');
+const express = require('express');
+const StorageUnit = require('../../models/StorageUnit');
+const MissedCheck = require('../../models/MissedCheck');
+const { getScheduledChecks, syncUnitMissedChecks } = require('../../utils/missedChecks');
+
+describe('Missed Checks API', () => {
+  let app;
+  let organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/storage-units', require('../../routes/storageUnits.routes'));
+    app.use('/api/records/storage', require('../../routes/storage.routes'));
+    app.use('/api/missed-checks', require('../../routes/missedChecks.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(userData.user, organization);
+  });
+
+  // Cámara con controles a las 08:00 y a las 18:00 (UTC) y una hora de tolerancia,
+  // programada desde el 1 de julio de 2024 para poder revisar fechas fijas
+  const createScheduledUnit = async () => {
+    const response = await request(app)
+      .post('/api/storage-units')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        name: 'Cámara Carnes',
+        type: 'Cámara Frigorífica',
+        minTemp: 0,
+        maxTemp: 4,
+        monitoringSchedule: { times: ['18:00', '08:00'], graceMinutes: 60, timezone: 'UTC' }
+      })
+      .expect(201);
+
+    await StorageUnit.updateOne(
+      { _id: response.body.data.id },
+      { $set: { 'monitoringSchedule.activeSince': new Date('2024-07-01T00:00:00Z') } }
+    );
+    return response.body.data;
+  };
+
+  const reading = (unitId, dateTime) => request(app)
+    .post('/api/records/storage')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ unitId, dateTime, temperature: 3 })
+    .expect(201);
+
+  const listMissedChecks = (query = {}) => request(app)
+    .get('/api/missed-checks')
+    .query({ ...query, sort: 'scheduledAt' })
+    .set('Authorization', `Bearer ${token}`)
+    .expect(200);
+
+  test('should store the schedule sorted and start it when it is saved', async () => {
+    const unit = await createScheduledUnit();
+
+    expect(unit.monitoringSchedule).toMatchObject({ times: ['08:00', '18:00'], graceMinutes: 60, timezone: 'UTC' });
+    expect(unit.monitoringSchedule.activeSince).toBeTruthy();
+
+    // Editar otros campos no reinicia la programación; cambiarla sí
+    const renamed = await request(app)
+      .put(`/api/storage-units/${unit.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Cámara Carnes 2', monitoringSchedule: { times: ['08:00', '18:00'] } })
+      .expect(200);
+    expect(renamed.body.data.monitoringSchedule.activeSince).toBe('2024-07-01T00:00:00.000Z');
+
+    const removed = await request(app)
+      .put(`/api/storage-units/${unit.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Cámara Carnes 2', monitoringSchedule: null })
+      .expect(200);
+    expect(removed.body.data.monitoringSchedule).toMatchObject({ times: [], activeSince: null });
+  });
+
+  test('should reject invalid hours and overlapping tolerance windows', async () => {
+    const create = (monitoringSchedule) => request(app)
+      .post('/api/storage-units')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Cámara', type: 'Cámara Frigorífica', monitoringSchedule });
+
+    await create({ times: ['25:00'] }).expect(400);
+    await create({ times: ['08:00', '08:00'] }).expect(400);
+    await create({ times: ['08:00', '09:00'], graceMinutes: 45 }).expect(400);
+    await create({ times: ['08:00'], timezone: 'Marte/Olympus' }).expect(400);
+    await create({ times: ['08:00', '09:00'], graceMinutes: 30 }).expect(201);
+  });
+
+  test('should flag checks without readings and resolve them with late readings', async () => {
+    const unit = await createScheduledUnit();
+    const morning = await reading(unit.id, '2024-07-01T08:20:00Z');
+
+    const result = await syncUnitMissedChecks(organization._id, unit.id, { now: new Date('2024-07-02T12:00:00Z') });
+    expect(result).toEqual({ missed: 2, resolved: 0 });
+
+    // La tarea periódica y una petición pueden coincidir: no se duplican
+    await syncUnitMissedChecks(organization._id, unit.id, { now: new Date('2024-07-02T12:00:00Z') });
+
+    const missed = await listMissedChecks();
+    expect(missed.body.data.records.map(check => [check.scheduledAt, check.scheduledTime, check.status])).toEqual([
+      ['2024-07-01T18:00:00.000Z', '18:00', 'Pendiente'],
+      ['2024-07-02T08:00:00.000Z', '08:00', 'Pendiente']
+    ]);
+    expect(missed.body.data.records[0].dueAt).toBe('2024-07-01T19:00:00.000Z');
+
+    // Una lectura dentro de la tolerancia registrada con retraso resuelve el control
+    await reading(unit.id, '2024-07-01T18:45:00Z');
+    expect((await listMissedChecks()).body.data.records).toHaveLength(1);
+
+    // Eliminar la única lectura de un control lo deja como no realizado
+    await request(app)
+      .delete(`/api/records/storage/${morning.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    const afterDelete = await listMissedChecks({ status: 'Pendiente' });
+    expect(afterDelete.body.data.records.map(check => check.scheduledAt)).toEqual([
+      '2024-07-01T08:00:00.000Z',
+      '2024-07-02T08:00:00.000Z'
+    ]);
+  });
+
+  test('should justify a missed check and keep it after a late reading', async () => {
+    const unit = await createScheduledUnit();
+    await syncUnitMissedChecks(organization._id, unit.id, { now: new Date('2024-07-01T12:00:00Z') });
+
+    const [check] = (await listMissedChecks()).body.data.records;
+
+    await request(app)
+      .patch(`/api/missed-checks/${check.id}/justify`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ justification: '' })
+      .expect(400);
+
+    const justified = await request(app)
+      .patch(`/api/missed-checks/${check.id}/justify`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ justification: 'Establecimiento cerrado por festivo' })
+      .expect(200);
+
+    expect(justified.body.data).toMatchObject({ status: 'Justificado', justification: 'Establecimiento cerrado por festivo' });
+    expect(justified.body.data.justifiedBy).toBeTruthy();
+
+    await reading(unit.id, '2024-07-01T08:30:00Z');
+    expect(await MissedCheck.findById(check.id)).toMatchObject({ status: 'Justificado' });
+  });
+
+  test('should place scheduled hours in the schedule timezone across daylight saving changes', () => {
+    const schedule = { times: ['08:00'], graceMinutes: 60, timezone: 'Europe/Madrid' };
+    const checks = getScheduledChecks(schedule, '2024-03-30T00:00:00Z', '2024-03-31T23:00:00Z');
+
+    expect(checks.map(check => check.scheduledAt.toISOString())).toEqual([
+      '2024-03-30T07:00:00.000Z',
+      '2024-03-31T06:00:00.000Z'
+    ]);
+  });
+});
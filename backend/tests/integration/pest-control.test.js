@@ -0,0 +1,120 @@
+const Incident = require('../../models/Incident');
+const PestControlCertificate = require('../../models/PestControlCertificate');
+
+describe('Pest Control API', () => {
+  let organization, token;
+
+  const app = global.testUtils.createTestApp({
+    '/api/pest-control': require('../../routes/pestControl.routes')
+  });
+  const api = global.testUtils.createApiClient(app, () => token);
+  const { post } = api;
+
+  beforeEach(async () => {
+    ({ organization, token } = await global.testUtils.createAuthenticatedUser());
+  });
+
+  const createStation = global.testUtils.createFixtureFactory(api, '/api/pest-control/stations', {
+    number: 1,
+    location: 'Almacén seco',
+    type: 'Cebadero de roedores'
+  });
+
+  const visitData = (findings) => ({
+    visitDate: '2024-06-01',
+    company: 'Plagas Control S.L.',
+    technician: 'Ana Ruiz',
+    technicianCertificate: 'ROESP-1234',
+    productsApplied: [{ name: 'Cebo bromadiolona', registrationNumber: 'ES/RM-2020-14-00123', quantity: '200 g' }],
+    findings
+  });
+
+  test('should register stations and reject duplicated map numbers', async () => {
+    const response = await createStation().expect(201);
+
+    expect(response.body.data).toMatchObject({
+      number: 1,
+      location: 'Almacén seco',
+      type: 'Cebadero de roedores',
+      incidentThreshold: 'Media',
+      isActive: true
+    });
+
+    await createStation({ location: 'Cocina' }).expect(400);
+    await createStation({ number: 2, type: 'Ahuyentador' }).expect(400);
+  });
+
+  test('should open an incident for findings reaching the station threshold', async () => {
+    const storeroom = await createStation().expect(201);
+    const kitchen = await createStation({ number: 2, location: 'Cocina', type: 'Lámpara UV', incidentThreshold: 'Baja' }).expect(201);
+    const entrance = await createStation({ number: 3, location: 'Muelle de carga', incidentThreshold: 'Alta' }).expect(201);
+
+    const visit = await post('/api/pest-control/visits', visitData([
+      { stationId: storeroom.body.data.id, activity: 'Sin actividad' },
+      { stationId: kitchen.body.data.id, activity: 'Baja', notes: 'Dos moscas en la placa' },
+      { stationId: entrance.body.data.id, activity: 'Media' }
+    ])).expect(201);
+
+    const [storeroomFinding, kitchenFinding, entranceFinding] = visit.body.data.findings;
+    expect(storeroomFinding).toMatchObject({ stationNumber: 1, location: 'Almacén seco', incidentId: null });
+    expect(kitchenFinding.incidentId).toBeTruthy();
+    expect(entranceFinding.incidentId).toBeNull();
+
+    const incident = await Incident.findById(kitchenFinding.incidentId);
+    expect(incident).toMatchObject({ affectedArea: 'Cocina', severity: 'Baja', status: 'Abierta' });
+    expect(String(incident.pestControlVisitId)).toBe(visit.body.data.id);
+
+    // Al editar la visita no se duplica la incidencia ya abierta
+    const updated = await api.put(`/api/pest-control/visits/${visit.body.data.id}`, visitData([
+      { stationId: kitchen.body.data.id, activity: 'Media' },
+      { stationId: entrance.body.data.id, activity: 'Alta' }
+    ])).expect(200);
+
+    expect(updated.body.data.findings[0].incidentId).toBe(kitchenFinding.incidentId);
+    expect(updated.body.data.findings[1].incidentId).toBeTruthy();
+    expect(await Incident.countDocuments({ organizationId: organization._id, pestControlVisitId: visit.body.data.id })).toBe(2);
+  });
+
+  test('should reject findings for unknown or repeated stations', async () => {
+    const { token: otherToken } = await global.testUtils.createAuthenticatedUser();
+
+    const station = await createStation().expect(201);
+    const otherStation = await createStation({}, otherToken).expect(201);
+
+    await post('/api/pest-control/visits', visitData([{ stationId: otherStation.body.data.id, activity: 'Alta' }])).expect(404);
+    await post('/api/pest-control/visits', visitData([
+      { stationId: station.body.data.id, activity: 'Baja' },
+      { stationId: station.body.data.id, activity: 'Alta' }
+    ])).expect(400);
+    await post('/api/pest-control/visits', { ...visitData([]), technicianCertificate: '' }).expect(400);
+  });
+
+  test('should attach the service certificate and filter the history by station', async () => {
+    const station = await createStation().expect(201);
+    const visit = await post('/api/pest-control/visits', visitData([{ stationId: station.body.data.id, activity: 'Sin actividad' }])).expect(201);
+    await post('/api/pest-control/visits', { ...visitData([]), visitDate: '2024-07-01' }).expect(201);
+
+    const certificateUrl = `/api/pest-control/visits/${visit.body.data.id}/certificate`;
+    const pdf = Buffer.from('%PDF-1.4 certificado de servicio');
+
+    const uploaded = await api.post(certificateUrl)
+      .attach('file', pdf, 'certificado-junio.pdf')
+      .expect(200);
+
+    expect(uploaded.body.data.certificate).toMatchObject({ fileName: 'certificado-junio.pdf', mimeType: 'application/pdf', size: pdf.length });
+
+    const downloaded = await api.get(certificateUrl).expect(200);
+
+    expect(downloaded.headers['content-type']).toBe('application/pdf');
+
+    const history = await api.get('/api/pest-control/visits')
+      .query({ stationId: station.body.data.id })
+      .expect(200);
+
+    expect(history.body.data.records).toHaveLength(1);
+
+    await api.delete(`/api/pest-control/visits/${visit.body.data.id}`).expect(200);
+
+    expect(await PestControlCertificate.countDocuments({ visitId: visit.body.data.id })).toBe(0);
+  });
+});
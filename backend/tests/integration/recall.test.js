@@ -0,0 +1,121 @@
+const request = require('supertest');
+const express = require('express');
+
+describe('Product Recall API', () => {
+  let app;
+  let user, organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/lots', require('../../routes/lots.routes'));
+    app.use('/api/records/delivery', require('../../routes/delivery.routes'));
+    app.use('/api/records/elaborated', require('../../routes/elaborated.routes'));
+    app.use('/api/records/outgoing', require('../../routes/outgoing.routes'));
+    app.use('/api/suppliers', require('../../routes/suppliers.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  const post = (url, data) => request(app)
+    .post(url)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data)
+    .expect(201);
+
+  const recall = (query) => request(app)
+    .get('/api/lots/recall')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  const shipment = (data) => post('/api/records/outgoing', {
+    quantity: '1 kg',
+    destinationType: 'consumidor',
+    date: '2024-03-05',
+    ...data
+  });
+
+  // Carne recibida → albóndigas (vinculado) → menú (lote escrito a mano) → salidas
+  const createChain = async () => {
+    const supplier = await post('/api/suppliers', { name: 'Cárnicas del Norte' });
+    const reception = await post('/api/records/delivery', {
+      supplierId: supplier.body.data.id,
+      productTypeId: 'p1',
+      temperature: '2',
+      receptionDate: '2024-03-01',
+      lot: 'CN-0301'
+    });
+
+    const meatballs = await post('/api/records/elaborated', {
+      productName: 'Albóndigas',
+      elaborationDate: '2024-03-02',
+      productLot: 'ALB-0302',
+      ingredients: [{ name: 'Carne picada', lot: 'CN-0301', quantity: '5 kg', deliveryRecordId: reception.body.data.id }]
+    });
+
+    await post('/api/records/elaborated', {
+      productName: 'Menú del día',
+      elaborationDate: '2024-03-03',
+      productLot: 'MENU-0303',
+      ingredients: [
+        { name: 'Albóndigas', lot: 'ALB-0302', quantity: '2 kg' },
+        { name: 'Sal', supplier: 'Salinas', lot: 'SAL-9', quantity: '10 g' }
+      ]
+    });
+
+    await shipment({
+      productName: 'Albóndigas',
+      lotIdentifier: 'ALB-0302',
+      destinationType: 'sucursal',
+      destination: 'Tienda Centro',
+      sourceType: 'elaborated',
+      sourceRecordId: meatballs.body.data.id
+    });
+    await shipment({ productName: 'Menú del día', lotIdentifier: 'MENU-0303', destination: 'Cliente #5', date: '2024-03-04' });
+    await shipment({ productName: 'Menú del día', lotIdentifier: 'MENU-0303', destination: 'Cliente #5', quantity: '2 raciones' });
+  };
+
+  test('should walk forward from a supplier lot to every affected destination', async () => {
+    await createChain();
+
+    const response = await recall({ lot: 'CN-0301' }).expect(200);
+    const report = response.body.data;
+
+    expect(report.direction).toBe('forward');
+    expect(report.elaborations.map(e => [e.productLot, e.depth])).toEqual([['ALB-0302', 1], ['MENU-0303', 2]]);
+    expect(report.shipments).toHaveLength(3);
+    expect(report.destinations).toHaveLength(2);
+    expect(report.destinations.find(d => d.destination === 'Cliente #5')).toMatchObject({
+      shipments: 2,
+      quantities: ['1 kg', '2 raciones'],
+      lots: ['MENU-0303']
+    });
+  });
+
+  test('should walk backward from a shipped lot to its suppliers', async () => {
+    await createChain();
+
+    const response = await recall({ lot: 'MENU-0303', direction: 'backward' }).expect(200);
+    const report = response.body.data;
+
+    expect(report.shipments).toHaveLength(2);
+    expect(report.elaborations.map(e => e.productLot)).toEqual(['MENU-0303', 'ALB-0302']);
+    expect(report.suppliers).toEqual([
+      expect.objectContaining({ supplierName: 'Cárnicas del Norte', lots: ['CN-0301'] })
+    ]);
+    expect(report.untracedIngredients).toEqual([
+      { name: 'Sal', lot: 'SAL-9', supplier: 'Salinas', productLot: 'MENU-0303' }
+    ]);
+  });
+
+  test('should validate the lot and direction', async () => {
+    await recall({ lot: 'NO-EXISTE' }).expect(404);
+    await recall({}).expect(400);
+    await recall({ lot: 'CN-0301', direction: 'sideways' }).expect(400);
+  });
+});
@@ -0,0 +1,162 @@
+const request = require('supertest');
+const express = require('express');
+const Incident = require('../../models/Incident');
+
+describe('Reception Conformity', () => {
+  let app;
+  let user, organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/records/delivery', require('../../routes/delivery.routes'));
+    app.use('/api/product-types', require('../../routes/productTypes.routes'));
+    app.use('/api/suppliers', require('../../routes/suppliers.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  const post = (url, data) => request(app)
+    .post(url)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data);
+
+  // Carne picada a 2 °C: se acepta hasta 4 °C, con observaciones hasta 7 °C y se rechaza por encima
+  const createCatalog = async () => {
+    const supplier = await post('/api/suppliers', { name: 'Cárnicas del Norte' }).expect(201);
+    const product = await post('/api/product-types', {
+      name: 'Carne picada',
+      optimalTemp: 2,
+      toleranceAbove: 2,
+      rejectAbove: 5
+    }).expect(201);
+    return { supplierId: supplier.body.data.id, productTypeId: product.body.data.id };
+  };
+
+  const receive = (ids, data) => post('/api/records/delivery', {
+    ...ids,
+    receptionDate: '2024-06-01',
+    docsOk: true,
+    ...data
+  }).expect(201);
+
+  test('should classify deliveries with the product tolerances', async () => {
+    const ids = await createCatalog();
+
+    const accepted = await receive(ids, { temperature: '3.5' });
+    expect(accepted.body.data.conformity).toMatchObject({ status: 'accepted', optimalTemp: 2, deviation: 1.5, reasons: [] });
+
+    const remark = await receive(ids, { temperature: '6' });
+    expect(remark.body.data.conformity).toMatchObject({ status: 'accepted_with_remark', deviation: 4 });
+
+    const badDocs = await receive(ids, { temperature: '2', docsOk: false });
+    expect(badDocs.body.data.conformity).toMatchObject({ status: 'accepted_with_remark', reasons: ['Documentación incorrecta'] });
+
+    // Más frío que la óptima: sin límite por debajo
+    const colder = await receive(ids, { temperature: '-5' });
+    expect(colder.body.data.conformity.status).toBe('accepted');
+  });
+
+  test('should open an incident for deliveries accepted with the temperature out of tolerance', async () => {
+    const ids = await createCatalog();
+
+    const remark = await receive(ids, { temperature: '6' });
+    const { conformity } = remark.body.data;
+    expect(conformity.incidentId).toBeDefined();
+
+    const incident = await Incident.findById(conformity.incidentId);
+    expect(incident).toMatchObject({
+      title: 'Recepción fuera de tolerancia: Carne picada',
+      severity: 'Media',
+      status: 'Abierta'
+    });
+    expect(incident.deliveryRecordId.toString()).toBe(remark.body.data.id);
+
+    // La documentación incorrecta con la temperatura correcta queda solo como observación
+    const badDocs = await receive(ids, { temperature: '2', docsOk: false });
+    expect(badDocs.body.data.conformity.incidentId).toBeUndefined();
+
+    expect(await Incident.countDocuments({ organizationId: organization._id })).toBe(1);
+  });
+
+  test('should open a single incident linked to a rejected delivery and its supplier', async () => {
+    const ids = await createCatalog();
+
+    const rejected = await receive(ids, { temperature: '9', lot: 'CN-0601' });
+    const { conformity } = rejected.body.data;
+    expect(conformity).toMatchObject({ status: 'rejected', deviation: 7 });
+    expect(conformity.incidentId).toBeDefined();
+
+    const incident = await Incident.findById(conformity.incidentId);
+    expect(incident).toMatchObject({
+      title: 'Recepción rechazada: Carne picada',
+      affectedArea: 'Recepción',
+      severity: 'Alta',
+      status: 'Abierta',
+      supplierId: ids.supplierId
+    });
+    expect(incident.deliveryRecordId.toString()).toBe(rejected.body.data.id);
+    expect(incident.description).toContain('Cárnicas del Norte');
+    expect(incident.description).toContain('CN-0601');
+
+    // Al editar la recepción se reclasifica sin abrir otra incidencia
+    const updated = await request(app)
+      .put(`/api/records/delivery/${rejected.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ temperature: '10' })
+      .expect(200);
+
+    expect(updated.body.data.conformity.incidentId).toBe(conformity.incidentId);
+    expect(await Incident.countDocuments({ organizationId: organization._id })).toBe(1);
+  });
+
+  test('should summarise deliveries by conformity status', async () => {
+    const ids = await createCatalog();
+
+    await receive(ids, { temperature: '3' });
+    await receive(ids, { temperature: '6' });
+    // Documentación correcta pero fuera de temperatura: cuenta como rechazada
+    await receive(ids, { temperature: '9' });
+
+    const response = await request(app)
+      .get('/api/records/delivery/stats/summary')
+      .query({ dateFrom: '2024-06-01', dateTo: '2024-06-30' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data).toMatchObject({
+      totalDeliveries: 3,
+      acceptedDeliveries: 1,
+      conditionalDeliveries: 1,
+      rejectedDeliveries: 1,
+      acceptanceRate: 66.7
+    });
+  });
+
+  test('should not classify deliveries without a known product type', async () => {
+    const response = await post('/api/records/delivery', {
+      supplierId: 's1',
+      productTypeId: 'p1',
+      temperature: '30',
+      receptionDate: '2024-06-01'
+    }).expect(201);
+
+    expect(response.body.data.conformity?.status).toBeUndefined();
+  });
+
+  test('should reject reject limits below the tolerance', async () => {
+    const response = await post('/api/product-types', {
+      name: 'Pescado fresco',
+      optimalTemp: 1,
+      toleranceAbove: 3,
+      rejectAbove: 2
+    }).expect(400);
+
+    expect(response.body.errors[0].field).toBe('rejectAbove');
+  });
+});
@@ -0,0 +1,135 @@
+const request = require('supertest');
+const express = require('express');
+const ExcelJS = require('exceljs');
+
+describe('Records Export API', () => {
+  let app;
+  let user, organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/records', require('../../routes/records.routes'));
+    app.use('/api/records/delivery', require('../../routes/delivery.routes'));
+    app.use('/api/records/storage', require('../../routes/storage.routes'));
+    app.use('/api/storage-units', require('../../routes/storageUnits.routes'));
+    app.use('/api/suppliers', require('../../routes/suppliers.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  const post = (url, data) => request(app)
+    .post(url)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data)
+    .expect(201);
+
+  const createDeliveries = async () => {
+    const supplier = await post('/api/suppliers', { name: 'Cárnicas del Norte, S.L.' });
+    const supplierId = supplier.body.data.id;
+
+    await post('/api/records/delivery', { supplierId, productTypeId: 'p1', temperature: '3', receptionDate: '2024-05-10', docsOk: true });
+    await post('/api/records/delivery', { supplierId, productTypeId: 'p1', temperature: '9', receptionDate: '2024-05-12', docsOk: false });
+    await post('/api/records/delivery', { supplierId, productTypeId: 'p1', temperature: '2', receptionDate: '2024-06-01', docsOk: true });
+  };
+
+  // Recoge el cuerpo binario de la respuesta (XLSX)
+  const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  test('should export filtered delivery records as CSV with resolved supplier names', async () => {
+    await createDeliveries();
+
+    const response = await request(app)
+      .get('/api/records/delivery/export')
+      .query({ format: 'csv', dateFrom: '2024-05-01', dateTo: '2024-05-31' })
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename="historial_recepciones_.*\.csv"/);
+
+    const lines = response.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^Fecha,Proveedor,Producto/);
+    expect(lines[1]).toMatch(/^2024-05-12,"Cárnicas del Norte, S.L.",N\/A,9,,No,/);
+    expect(lines[2]).toMatch(/^2024-05-10,/);
+  });
+
+  test('should export records as JSON with machine friendly keys', async () => {
+    await createDeliveries();
+
+    const response = await request(app)
+      .get('/api/records/delivery/export?format=json&docsOk=true')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body).toHaveLength(2);
+    expect(response.body[0]).toMatchObject({
+      receptionDate: '2024-06-01',
+      supplier: 'Cárnicas del Norte, S.L.',
+      temperature: '2',
+      docsOk: true
+    });
+  });
+
+  test('should export storage readings as an Excel workbook', async () => {
+    const unit = await post('/api/storage-units', { name: 'Cámara 1', type: 'Cámara Frigorífica', minTemp: 0, maxTemp: 4 });
+    await post('/api/records/storage', { unitId: unit.body.data.id, dateTime: '2024-05-10T08:00:00.000Z', temperature: 6 });
+
+    const response = await request(app)
+      .get('/api/records/storage/export?format=excel')
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(response.body);
+    const worksheet = workbook.getWorksheet('Almacenamiento');
+    const headers = worksheet.getRow(1).values;
+    const cell = (header) => worksheet.getRow(2).getCell(headers.indexOf(header)).value;
+
+    expect(worksheet.rowCount).toBe(2);
+    expect(cell('Cámara')).toBe('Cámara 1');
+    expect(cell('Temperatura (°C)')).toBe(6);
+    expect(cell('Fuera de Rango')).toBe('Sí');
+  });
+
+  test('should reject unknown record types and formats', async () => {
+    await request(app)
+      .get('/api/records/incidents/export')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+
+    await request(app)
+      .get('/api/records/delivery/export?format=pdf')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+  });
+
+  test('should only export records from the current organization', async () => {
+    await createDeliveries();
+
+    const otherData = await global.testUtils.createTestUser({
+      subdomain: 'other-export-org',
+      email: 'other-export@example.com'
+    });
+    const otherToken = global.testUtils.generateTestToken(otherData.user, otherData.organization);
+
+    const response = await request(app)
+      .get('/api/records/delivery/export?format=json')
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(200);
+
+    expect(response.body).toEqual([]);
+  });
+});
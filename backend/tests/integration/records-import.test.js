@@ -0,0 +1,154 @@
+const request = require('supertest');
+const express = require('express');
+const ExcelJS = require('exceljs');
+
+// Import models
+const DeliveryRecord = require('../../models/DeliveryRecord');
+const StorageRecord = require('../../models/StorageRecord');
+const TechnicalSheetRevision = require('../../models/TechnicalSheetRevision');
+
+describe('Records Import API', () => {
+  let app;
+  let user, organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/records', require('../../routes/records.routes'));
+    app.use('/api/storage-units', require('../../routes/storageUnits.routes'));
+    app.use('/api/suppliers', require('../../routes/suppliers.routes'));
+    app.use('/api/product-types', require('../../routes/productTypes.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  const post = (url, data) => request(app)
+    .post(url)
+    .set('Authorization', `Bearer ${token}`)
+    .send(data)
+    .expect(201);
+
+  const importFile = (type, content, fileName) => request(app)
+    .post(`/api/records/${type}/import`)
+    .set('Authorization', `Bearer ${token}`)
+    .attach('file', Buffer.from(content), fileName);
+
+  test('should import delivery records from CSV resolving names and reporting invalid rows', async () => {
+    await post('/api/suppliers', { name: 'Cárnicas del Norte' });
+    await post('/api/product-types', { name: 'Carne fresca', optimalTemp: 4 });
+
+    const csv = [
+      'Fecha;Proveedor;Producto;Temperatura Recibida (°C);Documentación OK;Usuario',
+      '10/05/2024;carnicas del norte;Carne fresca;3,5;Sí;Ana',
+      '11/05/2024;Proveedor desconocido;Carne fresca;4;Sí;Ana',
+      'mañana;Cárnicas del Norte;Carne fresca;frío;No;Ana'
+    ].join('\n');
+
+    const response = await importFile('delivery', csv, 'recepciones.csv').expect(200);
+
+    expect(response.body.data.imported).toBe(1);
+    expect(response.body.data.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ row: 3, field: 'supplier' }),
+      expect.objectContaining({ row: 4, field: 'receptionDate' }),
+      expect.objectContaining({ row: 4, field: 'temperature' })
+    ]));
+
+    const records = await DeliveryRecord.find({ organizationId: organization._id });
+    expect(records).toHaveLength(1);
+    expect(records[0].temperature).toBe('3.5');
+    expect(records[0].registeredBy).toBe('Ana');
+    expect(records[0].receptionDate.toISOString()).toBe('2024-05-10T00:00:00.000Z');
+  });
+
+  test('should import storage readings from Excel and flag out of range temperatures', async () => {
+    await post('/api/storage-units', { name: 'Cámara 1', type: 'Cámara Frigorífica', minTemp: 0, maxTemp: 4 });
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Lecturas').addRows([
+      ['Fecha y Hora', 'Cámara', 'Temperatura (°C)', 'Rotación OK'],
+      ['2024-05-10T08:00:00.000Z', 'Cámara 1', 2, 'Sí'],
+      ['2024-05-10T18:00:00.000Z', 'Cámara 1', 7, 'No']
+    ]);
+
+    const response = await importFile(
+      'storage',
+      await workbook.xlsx.writeBuffer(),
+      'lecturas.xlsx'
+    ).expect(200);
+
+    expect(response.body.data).toEqual({ imported: 2, errors: [] });
+
+    const records = await StorageRecord.find({ organizationId: organization._id }).sort({ dateTime: 1 });
+    expect(records.map(r => r.isOutOfRange)).toEqual([false, true]);
+    expect(records[0].rotationCheck).toBe(true);
+  });
+
+  test('should read DD/MM/YYYY times in the unit timezone and reject thousands separators', async () => {
+    await post('/api/storage-units', { name: 'Cámara UTC', type: 'Cámara Frigorífica', minTemp: 0, maxTemp: 4, monitoringSchedule: { times: [], timezone: 'UTC' } });
+    await post('/api/storage-units', { name: 'Cámara Canarias', type: 'Cámara Frigorífica', minTemp: 0, maxTemp: 4, monitoringSchedule: { times: [], timezone: 'Atlantic/Canary' } });
+
+    const csv = [
+      'Fecha y Hora;Cámara;Temperatura (°C);Humedad (%)',
+      '10/05/2024 08:30;Cámara UTC;2,5;',
+      '10/05/2024 08:30;Cámara Canarias;3;',
+      '10/05/2024 09:00;Cámara UTC;1,234;',
+      '10/05/2024 09:30;Cámara UTC;2;1.250,5'
+    ].join('\n');
+
+    const response = await importFile('storage', csv, 'lecturas.csv').expect(200);
+
+    expect(response.body.data.imported).toBe(2);
+    expect(response.body.data.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ row: 4, field: 'temperature' }),
+      expect.objectContaining({ row: 5, field: 'humidity' })
+    ]));
+
+    const records = await StorageRecord.find({ organizationId: organization._id }).sort({ dateTime: 1 });
+    expect(records.map(r => r.dateTime.toISOString())).toEqual(['2024-05-10T07:30:00.000Z', '2024-05-10T08:30:00.000Z']);
+    expect(records.map(r => r.temperature)).toEqual([3, 2.5]);
+  });
+
+  test('should import technical sheets from JSON with an initial revision', async () => {
+    const sheets = [
+      { productName: 'Croquetas de jamón', ingredients: 'Jamón (lote J-12); Leche (lote L-3) [alérgeno]' },
+      { productName: 'Salsa sin lotes', ingredients: 'Tomate' }
+    ];
+
+    const response = await importFile('technical-sheets', JSON.stringify(sheets), 'fichas.json').expect(200);
+
+    expect(response.body.data.imported).toBe(1);
+    expect(response.body.data.errors).toEqual([
+      expect.objectContaining({ row: 2, field: 'ingredients' })
+    ]);
+
+    const revisions = await TechnicalSheetRevision.find({ organizationId: organization._id });
+    expect(revisions).toHaveLength(1);
+    expect(revisions[0].ingredients[1]).toMatchObject({ name: 'Leche', lot: 'L-3', isAllergen: true });
+  });
+
+  test('should reject unsupported or empty files', async () => {
+    await importFile('delivery', 'hola', 'notas.txt').expect(400);
+
+    const response = await importFile('delivery', 'Fecha;Proveedor\n', 'vacio.csv').expect(400);
+    expect(response.body.message).toBe('El archivo no contiene registros');
+
+    await request(app)
+      .post('/api/records/delivery/import')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+  });
+
+  test('should reject malformed Excel workbooks', async () => {
+    for (const content of ['no es un libro de Excel', 'PK\u0003\u0004 zip truncado']) {
+      const response = await importFile('storage', content, 'lecturas.xlsx').expect(400);
+      expect(response.body.message).toBe('No se ha podido leer la hoja de cálculo');
+    }
+
+    await importFile('storage', 'hola', 'lecturas.xls').expect(400);
+  });
+});
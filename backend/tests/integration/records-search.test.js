@@ -0,0 +1,104 @@
+const request = require('supertest');
+const express = require('express');
+
+// Import models
+const Supplier = require('../../models/Supplier');
+const ProductType = require('../../models/ProductType');
+const Incident = require('../../models/Incident');
+
+describe('Records Search API', () => {
+  let app;
+  let user, organization, token;
+
+  beforeAll(async () => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/records', require('../../routes/records.routes'));
+    app.use('/api/records/delivery', require('../../routes/delivery.routes'));
+    app.use('/api/suppliers', require('../../routes/suppliers.routes'));
+    app.use('/api/product-types', require('../../routes/productTypes.routes'));
+    app.use('/api/incidents', require('../../routes/incidents.routes'));
+
+    // $text necesita que los índices de texto estén creados
+    await Promise.all([Supplier.init(), ProductType.init(), Incident.init()]);
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  const post = (url, data, authToken = token) => request(app)
+    .post(url)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send(data)
+    .expect(201);
+
+  const search = (type, query, authToken = token) => request(app)
+    .get(`/api/records/${type}/search`)
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  test('should find deliveries by supplier or product name', async () => {
+    const supplier = await post('/api/suppliers', { name: 'Cárnicas del Norte' });
+    const other = await post('/api/suppliers', { name: 'Frutas García' });
+    const product = await post('/api/product-types', { name: 'Pescado fresco', optimalTemp: 2 });
+
+    await post('/api/records/delivery', { supplierId: supplier.body.data.id, productTypeId: 'p1', temperature: '3', receptionDate: '2024-05-10' });
+    await post('/api/records/delivery', { supplierId: other.body.data.id, productTypeId: product.body.data.id, temperature: '1', receptionDate: '2024-05-12' });
+    await post('/api/records/delivery', { supplierId: other.body.data.id, productTypeId: 'p1', temperature: '5', receptionDate: '2024-05-14' });
+
+    const bySupplier = await search('delivery', { q: 'cárnicas' }).expect(200);
+    expect(bySupplier.body.data.records).toHaveLength(1);
+    expect(bySupplier.body.data.records[0].supplierId).toBe(supplier.body.data.id);
+
+    const byProduct = await search('delivery', { q: 'pescado' }).expect(200);
+    expect(byProduct.body.data.records).toHaveLength(1);
+    expect(byProduct.body.data.pagination).toMatchObject({ total: 1, current: 1 });
+  });
+
+  test('should find incidents by title or notes combined with list filters', async () => {
+    await post('/api/incidents', {
+      title: 'Rotura de cadena de frío',
+      description: 'La cámara 1 marcaba 9 ºC',
+      detectionDate: '2024-03-10',
+      affectedArea: 'Cámara 1',
+      severity: 'Alta'
+    });
+    await post('/api/incidents', {
+      title: 'Plaga detectada',
+      description: 'Restos de roedores junto al almacén seco',
+      detectionDate: '2024-03-12',
+      affectedArea: 'Almacén',
+      severity: 'Crítica'
+    });
+
+    const response = await search('incidents', { q: 'roedores' }).expect(200);
+    expect(response.body.data.records).toHaveLength(1);
+    expect(response.body.data.records[0].title).toBe('Plaga detectada');
+
+    const filtered = await search('incidents', { q: 'roedores', severity: 'Alta' }).expect(200);
+    expect(filtered.body.data.records).toHaveLength(0);
+  });
+
+  test('should only search records from the current organization', async () => {
+    await post('/api/suppliers', { name: 'Cárnicas del Norte' });
+
+    const otherData = await global.testUtils.createTestUser({
+      subdomain: 'other-search-org',
+      email: 'other-search@example.com'
+    });
+    const otherToken = global.testUtils.generateTestToken(otherData.user, otherData.organization);
+
+    const response = await search('delivery', { q: 'cárnicas' }, otherToken).expect(200);
+    expect(response.body.data.records).toEqual([]);
+  });
+
+  test('should validate the record type and search text', async () => {
+    await search('suppliers', { q: 'norte' }).expect(400);
+    await search('delivery', { q: '   ' }).expect(400);
+    await search('delivery', {}).expect(400);
+  });
+});
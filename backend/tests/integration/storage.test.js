@@ -0,0 +1,228 @@
+const request = require('supertest');
+const express = require('express');
+
+// Import models
+const StorageUnit = require('../../models/StorageUnit');
+const StorageRecord = require('../../models/StorageRecord');
+
+describe('Storage Units and Records API', () => {
+  let app;
+  let user, organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/storage-units', require('../../routes/storageUnits.routes'));
+    app.use('/api/records/storage', require('../../routes/storage.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  const createUnit = (data = {}) => request(app)
+    .post('/api/storage-units')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'Cámara Carnes', type: 'Cámara Frigorífica', minTemp: 0, maxTemp: 4, ...data });
+
+  describe('Storage Units', () => {
+    test('should create a unit scoped to the organization', async () => {
+      const response = await createUnit().expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.id).toBeDefined();
+      expect(response.body.data.minTemp).toBe(0);
+      expect(response.body.data.maxTemp).toBe(4);
+
+      const unit = await StorageUnit.findById(response.body.data.id);
+      expect(unit.organizationId.toString()).toBe(organization._id.toString());
+    });
+
+    test('should reject a unit whose minimum temperature is above the maximum', async () => {
+      const response = await createUnit({ minTemp: 8, maxTemp: 2 }).expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors[0].field).toBe('minTemp');
+    });
+
+    test('should refuse to delete a unit that has temperature records', async () => {
+      const unitResponse = await createUnit().expect(201);
+      const unitId = unitResponse.body.data.id;
+
+      await request(app)
+        .post('/api/records/storage')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ unitId, dateTime: new Date().toISOString(), temperature: 3 })
+        .expect(201);
+
+      const response = await request(app)
+        .delete(`/api/storage-units/${unitId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(await StorageUnit.countDocuments({ _id: unitId })).toBe(1);
+      expect(await StorageRecord.countDocuments({ unitId })).toBe(1);
+    });
+
+    test('should delete a unit without records', async () => {
+      const unitResponse = await createUnit().expect(201);
+      const unitId = unitResponse.body.data.id;
+
+      await request(app)
+        .delete(`/api/storage-units/${unitId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await StorageUnit.countDocuments({ _id: unitId })).toBe(0);
+    });
+  });
+
+  describe('Storage Records', () => {
+    test('should store temperatures as numbers and flag out-of-range readings', async () => {
+      const unitResponse = await createUnit().expect(201);
+      const unitId = unitResponse.body.data.id;
+
+      const inRange = await request(app)
+        .post('/api/records/storage')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ unitId, dateTime: new Date().toISOString(), temperature: '3.5' })
+        .expect(201);
+
+      const outOfRange = await request(app)
+        .post('/api/records/storage')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ unitId, dateTime: new Date().toISOString(), temperature: 7.2 })
+        .expect(201);
+
+      expect(inRange.body.data.temperature).toBe(3.5);
+      expect(inRange.body.data.isOutOfRange).toBe(false);
+      expect(outOfRange.body.data.isOutOfRange).toBe(true);
+      expect(outOfRange.body.data.registeredBy).toBe(user.name);
+    });
+
+    test('should reject non numeric temperatures', async () => {
+      const unitResponse = await createUnit().expect(201);
+
+      const response = await request(app)
+        .post('/api/records/storage')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ unitId: unitResponse.body.data.id, dateTime: new Date().toISOString(), temperature: 'frío' })
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe('temperature');
+    });
+
+    test('should validate the fields sent when updating a record', async () => {
+      const unitResponse = await createUnit().expect(201);
+      const recordResponse = await request(app)
+        .post('/api/records/storage')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ unitId: unitResponse.body.data.id, dateTime: new Date().toISOString(), temperature: 3 })
+        .expect(201);
+      const recordId = recordResponse.body.data.id;
+
+      const invalid = await request(app)
+        .put(`/api/records/storage/${recordId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ temperature: 300, rotationCheck: 'sí' })
+        .expect(400);
+
+      expect(invalid.body.errors.map(error => error.field).sort()).toEqual(['rotationCheck', 'temperature']);
+
+      const updated = await request(app)
+        .put(`/api/records/storage/${recordId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ temperature: 7 })
+        .expect(200);
+
+      expect(updated.body.data.temperature).toBe(7);
+      expect(updated.body.data.isOutOfRange).toBe(true);
+    });
+
+    test('should return paginated records filtered by unit', async () => {
+      const unitA = (await createUnit({ name: 'A' })).body.data.id;
+      const unitB = (await createUnit({ name: 'B' })).body.data.id;
+
+      for (const unitId of [unitA, unitA, unitB]) {
+        await request(app)
+          .post('/api/records/storage')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ unitId, dateTime: new Date().toISOString(), temperature: 2 })
+          .expect(201);
+      }
+
+      const response = await request(app)
+        .get(`/api/records/storage?unitId=${unitA}&limit=1`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data.records).toHaveLength(1);
+      expect(response.body.data.pagination.total).toBe(2);
+      expect(response.body.data.pagination.pages).toBe(2);
+    });
+
+    test('should return temperature statistics per unit', async () => {
+      const unitA = (await createUnit({ name: 'A' })).body.data.id;
+      const unitB = (await createUnit({ name: 'B' })).body.data.id;
+
+      for (const [unitId, temperature] of [[unitA, 1], [unitA, 2.5], [unitA, 6], [unitB, 3]]) {
+        await request(app)
+          .post('/api/records/storage')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ unitId, dateTime: '2024-05-10T08:00:00.000Z', temperature })
+          .expect(201);
+      }
+      await request(app)
+        .post('/api/records/storage')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ unitId: unitB, dateTime: '2024-06-10T08:00:00.000Z', temperature: 9 })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/records/storage/stats/temperature')
+        .query({ dateFrom: '2024-05-01', dateTo: '2024-05-31' })
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0]).toMatchObject({
+        unitName: 'A',
+        totalReadings: 3,
+        outOfRangeCount: 1,
+        avgTemp: 3.2,
+        minTemp: 1,
+        maxTemp: 6
+      });
+      expect(response.body.data[1]).toMatchObject({ unitName: 'B', totalReadings: 1, outOfRangeCount: 0 });
+
+      const filtered = await request(app)
+        .get(`/api/records/storage/stats/temperature?unitId=${unitB}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(filtered.body.data).toHaveLength(1);
+      expect(filtered.body.data[0]).toMatchObject({ totalReadings: 2, outOfRangeCount: 1, maxTemp: 9 });
+    });
+
+    test('should not expose records from another organization', async () => {
+      const unitId = (await createUnit()).body.data.id;
+      const created = await request(app)
+        .post('/api/records/storage')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ unitId, dateTime: new Date().toISOString(), temperature: 2 })
+        .expect(201);
+
+      const other = await global.testUtils.createTestUser({ subdomain: `other-${Date.now()}`, email: `other-${Date.now()}@example.com` });
+      const otherToken = global.testUtils.generateTestToken(other.user, other.organization);
+
+      await request(app)
+        .get(`/api/records/storage/${created.body.data.id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+  });
+});
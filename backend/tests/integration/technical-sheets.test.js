@@ -0,0 +1,127 @@
+const request = require('supertest');
+const express = require('express');
+
+// Import models
+const TechnicalSheetRevision = require('../../models/TechnicalSheetRevision');
+
+describe('Technical Sheets API', () => {
+  let app;
+  let user, organization, token;
+
+  const sheetData = {
+    productName: 'Chorizo casero',
+    ingredients: [
+      { name: 'Carne de cerdo', lot: 'CP-001', isAllergen: false },
+      { name: 'Pimentón', lot: 'PM-010', isAllergen: false }
+    ],
+    elaboration: 'Picado, amasado y embutido',
+    presentation: 'Ristras de 1 kg',
+    shelfLife: '30 días',
+    labeling: 'Sin alérgenos'
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/technical-sheets', require('../../routes/technicalSheets.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  test('should create a sheet with an initial revision', async () => {
+    const response = await request(app)
+      .post('/api/technical-sheets')
+      .set('Authorization', `Bearer ${token}`)
+      .send(sheetData)
+      .expect(201);
+
+    expect(response.body.data.revision).toBe(1);
+    expect(await TechnicalSheetRevision.countDocuments({ sheetId: response.body.data.id })).toBe(1);
+  });
+
+  test('should create a new revision on update and keep the previous one', async () => {
+    const created = await request(app)
+      .post('/api/technical-sheets')
+      .set('Authorization', `Bearer ${token}`)
+      .send(sheetData)
+      .expect(201);
+
+    const sheetId = created.body.data.id;
+
+    const updated = await request(app)
+      .put(`/api/technical-sheets/${sheetId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...sheetData, shelfLife: '21 días', changeReason: 'Nuevo estudio de vida útil' })
+      .expect(200);
+
+    expect(updated.body.data.revision).toBe(2);
+    expect(updated.body.data.shelfLife).toBe('21 días');
+
+    const revisions = await request(app)
+      .get(`/api/technical-sheets/${sheetId}/revisions`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(revisions.body.data.map(r => r.revision)).toEqual([2, 1]);
+
+    const first = await request(app)
+      .get(`/api/technical-sheets/${sheetId}/revisions/1`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(first.body.data.shelfLife).toBe('30 días');
+  });
+
+  test('should not create a revision when nothing changes', async () => {
+    const created = await request(app)
+      .post('/api/technical-sheets')
+      .set('Authorization', `Bearer ${token}`)
+      .send(sheetData)
+      .expect(201);
+
+    const response = await request(app)
+      .put(`/api/technical-sheets/${created.body.data.id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(sheetData)
+      .expect(200);
+
+    expect(response.body.data.revision).toBe(1);
+  });
+
+  test('should return the revision in force on a given date', async () => {
+    const created = await request(app)
+      .post('/api/technical-sheets')
+      .set('Authorization', `Bearer ${token}`)
+      .send(sheetData)
+      .expect(201);
+
+    const sheetId = created.body.data.id;
+
+    // Simular que la versión inicial entró en vigor hace un mes
+    await TechnicalSheetRevision.updateOne(
+      { sheetId, revision: 1 },
+      { effectiveFrom: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+    );
+
+    await request(app)
+      .put(`/api/technical-sheets/${sheetId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...sheetData, labeling: 'Contiene sulfitos' })
+      .expect(200);
+
+    const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    const response = await request(app)
+      .get(`/api/technical-sheets/${sheetId}/revisions/effective?date=${lastWeek}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.revision).toBe(1);
+    expect(response.body.data.labeling).toBe('Sin alérgenos');
+  });
+});
@@ -0,0 +1,83 @@
+const request = require('supertest');
+const express = require('express');
+
+describe('Traceability API', () => {
+  let app;
+  let user, organization, token;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/records/outgoing', require('../../routes/outgoing.routes'));
+    app.use('/api/records/elaborated', require('../../routes/elaborated.routes'));
+  });
+
+  beforeEach(async () => {
+    const userData = await global.testUtils.createTestUser();
+    user = userData.user;
+    organization = userData.organization;
+    token = global.testUtils.generateTestToken(user, organization);
+  });
+
+  test('should create and filter outgoing records by lot', async () => {
+    await request(app)
+      .post('/api/records/outgoing')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        productName: 'Hamburguesa de ternera',
+        quantity: '20 kg',
+        lotIdentifier: 'L-2024-001',
+        destinationType: 'sucursal',
+        destination: 'Tienda Centro',
+        date: '2024-03-01'
+      })
+      .expect(201);
+
+    const response = await request(app)
+      .get('/api/records/outgoing?lot=L-2024-001')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.records).toHaveLength(1);
+    expect(response.body.data.records[0].registeredBy).toBe(user.name);
+    expect(response.body.data.pagination.total).toBe(1);
+  });
+
+  test('should find elaborations by ingredient lot', async () => {
+    await request(app)
+      .post('/api/records/elaborated')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        productName: 'Albóndigas',
+        elaborationDate: '2024-03-02',
+        productLot: 'ALB-0302',
+        ingredients: [
+          { name: 'Carne picada', supplier: 'Cárnicas Sur', lot: 'CS-998', quantity: '5 kg' }
+        ],
+        destination: 'Cámara 1',
+        quantitySent: '4.5 kg'
+      })
+      .expect(201);
+
+    const response = await request(app)
+      .get('/api/records/elaborated?ingredientLot=CS-998')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.data.records).toHaveLength(1);
+    expect(response.body.data.records[0].productLot).toBe('ALB-0302');
+  });
+
+  test('should reject elaborations without ingredients', async () => {
+    await request(app)
+      .post('/api/records/elaborated')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        productName: 'Albóndigas',
+        elaborationDate: '2024-03-02',
+        productLot: 'ALB-0303',
+        ingredients: []
+      })
+      .expect(400);
+  });
+});
@@ -0,0 +1,129 @@
+const TrainingRecord = require('../../models/TrainingRecord');
+const TrainingCertificate = require('../../models/TrainingCertificate');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+
+describe('Training API', () => {
+  let organization, token;
+
+  const app = global.testUtils.createTestApp({
+    '/api/training': require('../../routes/training.routes')
+  });
+  const api = global.testUtils.createApiClient(app, () => token);
+  const { post } = api;
+
+  beforeEach(async () => {
+    ({ organization, token } = await global.testUtils.createAuthenticatedUser({ role: 'Admin', name: 'Ana Admin' }));
+  });
+
+  const createWorker = (name) => global.testUtils.createAuthenticatedUser({
+    name,
+    organizationData: { _id: organization._id }
+  });
+
+  const recordData = (userId, data) => ({
+    userId,
+    course: 'Manipulador de alimentos',
+    trainingDate: daysFromNow(-700),
+    hours: 10,
+    provider: 'Academia APPCC',
+    ...data
+  });
+
+  const getExpiring = (query = {}) => api.get('/api/training/expiring')
+    .query(query)
+    .expect(200);
+
+  test('should register trainings and keep them without plan when the plan is removed', async () => {
+    const { user: worker } = await createWorker('Luis Cocina');
+
+    const plan = await post('/api/training/plans', {
+      name: 'Formación en alérgenos',
+      year: 2024,
+      plannedDate: '2024-03-15',
+      hours: 4,
+      participantIds: [worker._id.toString()]
+    }).expect(201);
+    expect(plan.body.data).toMatchObject({ status: 'Planificada', hours: 4 });
+
+    const record = await post('/api/training/records', recordData(worker._id.toString(), {
+      course: 'Formación en alérgenos',
+      trainingDate: '2024-03-15',
+      hours: 4,
+      planId: plan.body.data.id
+    })).expect(201);
+    expect(record.body.data).toMatchObject({ userName: 'Luis Cocina', planId: plan.body.data.id, expiryDate: null });
+
+    await post('/api/training/records', recordData(worker._id.toString(), {
+      trainingDate: '2024-03-15',
+      expiryDate: '2024-01-01'
+    })).expect(400);
+
+    await api.delete(`/api/training/plans/${plan.body.data.id}`).expect(200);
+
+    const records = await api.get('/api/training/records')
+      .query({ userId: worker._id.toString() })
+      .expect(200);
+    expect(records.body.data.records).toHaveLength(1);
+    expect(records.body.data.records[0].planId).toBeNull();
+  });
+
+  test('should list certificates expiring within the given days', async () => {
+    const { user: soon } = await createWorker('Marta Sala');
+    const { user: renewed } = await createWorker('Pedro Barra');
+    const { user: later } = await createWorker('Eva Office');
+
+    await post('/api/training/records', recordData(soon._id.toString(), { expiryDate: daysFromNow(10) })).expect(201);
+    await post('/api/training/records', recordData(later._id.toString(), { expiryDate: daysFromNow(90) })).expect(201);
+
+    // El certificado antiguo no avisa si el trabajador ya renovó la formación
+    await post('/api/training/records', recordData(renewed._id.toString(), { expiryDate: daysFromNow(-5) })).expect(201);
+    await post('/api/training/records', recordData(renewed._id.toString(), {
+      trainingDate: daysFromNow(-10),
+      expiryDate: daysFromNow(1000)
+    })).expect(201);
+
+    const expiring = await getExpiring();
+    expect(expiring.body.data).toHaveLength(1);
+    expect(expiring.body.data[0]).toMatchObject({ userName: 'Marta Sala', course: 'Manipulador de alimentos', isExpired: false });
+
+    const wider = await getExpiring({ days: 120 });
+    expect(wider.body.data.map(item => item.userName)).toEqual(['Marta Sala', 'Eva Office']);
+  });
+
+  test('should only allow admins to manage trainings of their organization workers', async () => {
+    const { user: worker, token: workerToken } = await createWorker('Luis Cocina');
+
+    await post('/api/training/records', recordData(worker._id.toString()), workerToken).expect(403);
+
+    const other = await global.testUtils.createAuthenticatedUser();
+    await post('/api/training/records', recordData(other.user._id.toString())).expect(404);
+    await post('/api/training/plans', {
+      name: 'Manipulador de alimentos',
+      year: 2024,
+      participantIds: [other.user._id.toString()]
+    }).expect(404);
+  });
+
+  test('should store training certificates and remove them with the training', async () => {
+    const { user: worker } = await createWorker('Luis Cocina');
+    const record = await post('/api/training/records', recordData(worker._id.toString())).expect(201);
+
+    const certificateUrl = `/api/training/records/${record.body.data.id}/certificate`;
+    const pdf = Buffer.from('%PDF-1.4 certificado de manipulador');
+
+    const uploaded = await api.post(certificateUrl)
+      .attach('file', pdf, 'manipulador-luis.pdf')
+      .expect(200);
+    expect(uploaded.body.data.certificate).toMatchObject({ fileName: 'manipulador-luis.pdf', mimeType: 'application/pdf', size: pdf.length });
+
+    const downloaded = await api.get(certificateUrl).expect(200);
+    expect(downloaded.headers['content-type']).toBe('application/pdf');
+
+    await api.delete(`/api/training/records/${record.body.data.id}`).expect(200);
+
+    expect(await TrainingRecord.countDocuments({ organizationId: organization._id })).toBe(0);
+    expect(await TrainingCertificate.countDocuments({ recordId: record.body.data.id })).toBe(0);
+  });
+});
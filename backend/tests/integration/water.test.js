@@ -0,0 +1,122 @@
+const WaterRecord = require('../../models/WaterRecord');
+const WaterAnalysisReport = require('../../models/WaterAnalysisReport');
+
+describe('Water Control API', () => {
+  let organization, token;
+
+  const app = global.testUtils.createTestApp({
+    '/api/water': require('../../routes/water.routes')
+  });
+  const api = global.testUtils.createApiClient(app, () => token);
+  const { post } = api;
+
+  beforeEach(async () => {
+    ({ organization, token } = await global.testUtils.createAuthenticatedUser());
+  });
+
+  const createPoint = global.testUtils.createFixtureFactory(api, '/api/water/points', {
+    name: 'Grifo de cocina',
+    location: 'Cocina'
+  });
+
+  const recordData = (pointId, data) => ({
+    pointId,
+    dateTime: '2024-06-01T08:00:00.000Z',
+    freeChlorine: 0.5,
+    ph: 7.4,
+    ...data
+  });
+
+  test('should create sampling points with default acceptable ranges', async () => {
+    const response = await createPoint().expect(201);
+
+    expect(response.body.data).toMatchObject({
+      name: 'Grifo de cocina',
+      chlorineMin: 0.2,
+      chlorineMax: 1,
+      phMin: 6.5,
+      phMax: 9.5
+    });
+
+    await createPoint({ phMin: 8, phMax: 7 }).expect(400);
+    await createPoint({ chlorineMax: 20 }).expect(400);
+  });
+
+  test('should detect out-of-range readings with the point ranges', async () => {
+    const point = await createPoint({ chlorineMin: 0.3, chlorineMax: 0.8 }).expect(201);
+    const pointId = point.body.data.id;
+
+    const ok = await post('/api/water/records', recordData(pointId)).expect(201);
+    expect(ok.body.data).toMatchObject({ isOutOfRange: false, outOfRangeParameters: [] });
+
+    const low = await post('/api/water/records', recordData(pointId, {
+      dateTime: '2024-06-02T08:00:00.000Z',
+      freeChlorine: 0.1,
+      ph: 9.8,
+      notes: 'Se revisa el dosificador'
+    })).expect(201);
+    expect(low.body.data).toMatchObject({ isOutOfRange: true, outOfRangeParameters: ['freeChlorine', 'ph'] });
+
+    // Al corregir la lectura se vuelve a evaluar
+    const fixed = await api.put(`/api/water/records/${low.body.data.id}`, recordData(pointId, { dateTime: '2024-06-02T08:00:00.000Z', ph: 9.8 }))
+      .expect(200);
+    expect(fixed.body.data.outOfRangeParameters).toEqual(['ph']);
+
+    const outOfRange = await api.get('/api/water/records')
+      .query({ outOfRange: 'true', dateFrom: '2024-06-02', dateTo: '2024-06-02' })
+      .expect(200);
+    expect(outOfRange.body.data.records).toHaveLength(1);
+
+    await post('/api/water/records', recordData(pointId, { ph: 15 })).expect(400);
+  });
+
+  test('should not register readings on another organization points', async () => {
+    const { token: otherToken } = await global.testUtils.createAuthenticatedUser();
+
+    const otherPoint = await createPoint({}, otherToken).expect(201);
+
+    await post('/api/water/records', recordData(otherPoint.body.data.id)).expect(404);
+    await post('/api/water/analyses', {
+      pointId: otherPoint.body.data.id,
+      sampleDate: '2024-06-01',
+      laboratory: 'Laboratorio Aguas del Sur',
+      analysisType: 'Control',
+      result: 'Apto'
+    }).expect(404);
+  });
+
+  test('should store lab analysis reports and remove readings with their point', async () => {
+    const point = await createPoint().expect(201);
+    await post('/api/water/records', recordData(point.body.data.id)).expect(201);
+
+    const analysis = await post('/api/water/analyses', {
+      pointId: point.body.data.id,
+      sampleDate: '2024-06-01',
+      laboratory: 'Laboratorio Aguas del Sur',
+      analysisType: 'Completo',
+      result: 'Apto'
+    }).expect(201);
+
+    const reportUrl = `/api/water/analyses/${analysis.body.data.id}/report`;
+    const pdf = Buffer.from('%PDF-1.4 informe de laboratorio');
+
+    const uploaded = await api.post(reportUrl)
+      .attach('file', pdf, 'analisis-junio.pdf')
+      .expect(200);
+    expect(uploaded.body.data.report).toMatchObject({ fileName: 'analisis-junio.pdf', mimeType: 'application/pdf', size: pdf.length });
+
+    const downloaded = await api.get(reportUrl).expect(200);
+    expect(downloaded.headers['content-type']).toBe('application/pdf');
+
+    await api.delete(`/api/water/points/${point.body.data.id}`).expect(200);
+
+    expect(await WaterRecord.countDocuments({ organizationId: organization._id })).toBe(0);
+
+    const analyses = await api.get('/api/water/analyses').expect(200);
+    expect(analyses.body.data.records[0]).toMatchObject({ pointId: null, result: 'Apto' });
+
+    await api.delete(`/api/water/analyses/${analysis.body.data.id}`).expect(200);
+
+    expect(await WaterAnalysisReport.countDocuments({ analysisId: analysis.body.data.id })).toBe(0);
+  });
+});
@@ -5,6 +5,8 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
 
 let mongoServer;
+// Keeps subdomains and emails unique when several users are created in the same millisecond
+let uniqueCounter = 0;
 
 // Setup before all tests
 beforeAll(async () => {
@@ -161,6 +163,49 @@ global.testUtils = {
     );
   },
   
+  // Build an Express app with the given routers mounted ({ '/api/water': router })
+  createTestApp: (routes) => {
+    const express = require('express');
+    const app = express();
+    app.use(express.json());
+    Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+    return app;
+  },
+
+  // Create a user in its own organization (unless organizationData is given) with its token
+  createAuthenticatedUser: async (userData = {}) => {
+    const uniqueId = `${Date.now()}-${++uniqueCounter}`;
+    const { user, organization } = await global.testUtils.createTestUser({
+      subdomain: `test-org-${uniqueId}`,
+      email: `test-${uniqueId}@example.com`,
+      ...userData
+    });
+    return { user, organization, token: global.testUtils.generateTestToken(user, organization) };
+  },
+
+  // Authenticated requests against an app; getToken is read on every call so it can
+  // point to the token created in beforeEach
+  createApiClient: (app, getToken) => {
+    const request = require('supertest');
+    const send = (method) => (url, data, authToken = getToken()) => {
+      const req = request(app)[method](url).set('Authorization', `Bearer ${authToken}`);
+      return data === undefined ? req : req.send(data);
+    };
+    return { get: send('get'), post: send('post'), put: send('put'), patch: send('patch'), delete: send('delete') };
+  },
+
+  // POST factory for a resource: default values overridden by the given data
+  createFixtureFactory: (client, url, defaults) => (data = {}, authToken) => (
+    client.post(url, { ...defaults, ...data }, authToken)
+  ),
+
+  // Supertest parser that keeps binary responses (PDF, Excel, uploads) as a Buffer
+  binaryParser: (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  },
+
   // Wait for a specified time
   wait: (ms) => new Promise(resolve => setTimeout(resolve, ms))
 };
\ No newline at end of file
@@ -0,0 +1,19 @@
+// Descarga de los archivos adjuntos guardados en MongoDB (fichas de productos químicos, certificados de plagas)
+
+// Nombre del archivo en la cabecera de descarga (ASCII para clientes antiguos y UTF-8 completo)
+const contentDisposition = (fileName) => {
+  const asciiName = fileName.replace(/[^\x20-\x7E]|"/g, '_');
+  return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+// Envía el contenido de un documento ({ fileName, mimeType, data })
+const sendAttachment = (res, document) => {
+  res.setHeader('Content-Type', document.mimeType);
+  res.setHeader('Content-Disposition', contentDisposition(document.fileName));
+  res.send(document.data);
+};
+
+module.exports = {
+  contentDisposition,
+  sendAttachment
+};
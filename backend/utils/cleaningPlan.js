@@ -0,0 +1,78 @@
+// Campos del plan de limpieza y desinfección (Plan L+D) comunes a superficies y zonas.
+//
+// Cada elemento del plan indica cómo se limpia (método, producto, dilución y tiempo de contacto),
+// quién es responsable y con qué frecuencia. Las superficies se limpian a diario, ciertos días de
+// la semana o después de cada uso; las zonas cada X días o ciertos días de la semana.
+
+const SURFACE_FREQUENCY_TYPES = ['Diaria', 'Días de la semana', 'Después de cada uso'];
+const AREA_FREQUENCY_TYPES = ['Cada X días', 'Días de la semana'];
+
+// Campos del plan que se pueden enviar al crear o actualizar una superficie o zona
+const CLEANING_PLAN_FIELDS = ['method', 'product', 'dilution', 'contactTimeMinutes', 'responsibleRole', 'frequencyType', 'weekdays'];
+
+const cleaningPlanFields = (frequencyTypes) => ({
+  method: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'El método no puede exceder 500 caracteres'],
+    default: ''
+  },
+  product: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El producto no puede exceder 100 caracteres'],
+    default: ''
+  },
+  dilution: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'La dilución no puede exceder 100 caracteres'],
+    default: ''
+  },
+  contactTimeMinutes: {
+    type: Number,
+    min: [0, 'El tiempo de contacto no puede ser negativo'],
+    max: [1440, 'El tiempo de contacto no puede superar 1440 minutos'],
+    default: null
+  },
+  responsibleRole: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'El responsable no puede exceder 100 caracteres'],
+    default: ''
+  },
+  frequencyType: {
+    type: String,
+    enum: frequencyTypes,
+    default: frequencyTypes[0]
+  },
+  // Días de la semana (0 = domingo ... 6 = sábado) para la frecuencia 'Días de la semana'
+  weekdays: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: []
+  }
+});
+
+// Comprueba los días de la semana y los descarta si la frecuencia no los usa
+const validateCleaningFrequency = (doc) => {
+  if (doc.frequencyType !== 'Días de la semana') {
+    if (doc.weekdays.length > 0) doc.weekdays = [];
+    return;
+  }
+
+  if (doc.weekdays.length === 0) {
+    doc.invalidate('weekdays', 'Debe indicar al menos un día de la semana');
+  } else if (new Set(doc.weekdays).size !== doc.weekdays.length) {
+    doc.invalidate('weekdays', 'Los días de la semana no pueden repetirse');
+  } else {
+    doc.weekdays = [...doc.weekdays].sort((a, b) => a - b);
+  }
+};
+
+module.exports = {
+  SURFACE_FREQUENCY_TYPES,
+  AREA_FREQUENCY_TYPES,
+  CLEANING_PLAN_FIELDS,
+  cleaningPlanFields,
+  validateCleaningFrequency
+};
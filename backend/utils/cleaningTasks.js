@@ -0,0 +1,134 @@
+// Tareas de limpieza generadas a partir del Plan L+D.
+//
+// Las superficies 'Diaria' tocan todos los días y las que tienen días de la semana, solo esos días.
+// Las zonas 'Cada X días' tocan cuando han pasado X días desde la última limpieza anterior al día
+// (o si nunca se han limpiado). Las superficies 'Después de cada uso' no tienen un día fijo: se
+// listan para poder registrar cada limpieza. Los días se cuentan en la zona horaria indicada.
+
+const mongoose = require('mongoose');
+const DailySurface = require('../models/DailySurface');
+const FrequentArea = require('../models/FrequentArea');
+const DailyCleaningRecord = require('../models/DailyCleaningRecord');
+const { DEFAULT_MONITORING_TIMEZONE } = require('../models/StorageUnit');
+const { zonedTime, localDay, nextDay } = require('./missedChecks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CLEANING_TASK_STATUSES = ['Pendiente', 'Vencida', 'Realizada', 'Tras cada uso'];
+
+// Número de día (desde 1970) de una fecha YYYY-MM-DD, para contar días entre fechas
+const dayNumber = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return Date.UTC(year, month - 1, date) / DAY_MS;
+};
+
+// Indica si un elemento del plan toca en el día según su frecuencia
+const isDueOn = (item, day, lastCleanedDay) => {
+  switch (item.frequencyType) {
+    case 'Diaria':
+      return true;
+    case 'Días de la semana':
+      return item.weekdays.includes(new Date(dayNumber(day) * DAY_MS).getUTCDay());
+    case 'Cada X días':
+      return !lastCleanedDay || dayNumber(day) - dayNumber(lastCleanedDay) >= item.frequencyDays;
+    default:
+      return false;
+  }
+};
+
+// Tarea de un elemento del plan en el día, o null si ese día no le toca
+const buildTask = (itemType, item, { day, today, dayRecords, lastCleanedDay }) => {
+  const isAfterUse = item.frequencyType === 'Después de cada uso';
+  if (!isAfterUse && !isDueOn(item, day, lastCleanedDay)) return null;
+
+  let status = 'Pendiente';
+  if (isAfterUse) {
+    status = 'Tras cada uso';
+  } else if (dayRecords.length > 0) {
+    status = 'Realizada';
+  } else if (day < today || (item.frequencyType === 'Cada X días' && lastCleanedDay &&
+      dayNumber(day) - dayNumber(lastCleanedDay) > item.frequencyDays)) {
+    status = 'Vencida';
+  }
+
+  return {
+    itemType,
+    itemId: String(item._id),
+    name: item.name,
+    frequencyType: item.frequencyType,
+    weekdays: [...item.weekdays],
+    frequencyDays: itemType === 'area' ? item.frequencyDays : null,
+    method: item.method,
+    product: item.product,
+    dilution: item.dilution,
+    contactTimeMinutes: item.contactTimeMinutes,
+    responsibleRole: item.responsibleRole,
+    status,
+    completions: dayRecords.length,
+    completedAt: dayRecords.length > 0 ? dayRecords[dayRecords.length - 1].dateTime : null
+  };
+};
+
+// Tareas de limpieza de un día (hoy por defecto) para todas las superficies y zonas del plan
+const getCleaningTasks = async (organizationId, { date, timezone = DEFAULT_MONITORING_TIMEZONE, now = new Date() } = {}) => {
+  const today = localDay(now, timezone);
+  const day = date || today;
+  const dayStart = zonedTime(day, '00:00', timezone);
+  const dayEnd = zonedTime(nextDay(day), '00:00', timezone);
+
+  // Sin lean() para que los elementos creados antes del plan tomen la frecuencia por defecto
+  const [surfaces, areas, records] = await Promise.all([
+    DailySurface.find({ organizationId }).sort({ name: 1 }),
+    FrequentArea.find({ organizationId }).sort({ name: 1 }),
+    DailyCleaningRecord.find({ organizationId, dateTime: { $gte: dayStart, $lt: dayEnd } })
+      .sort({ dateTime: 1 })
+      .lean()
+  ]);
+
+  // Última limpieza de cada zona antes del día, para las frecuencias 'Cada X días'
+  const previousCleanings = areas.length === 0 ? [] : await DailyCleaningRecord.aggregate([
+    {
+      $match: {
+        organizationId: new mongoose.Types.ObjectId(String(organizationId)),
+        areaId: { $in: areas.map(area => area._id) },
+        dateTime: { $lt: dayStart }
+      }
+    },
+    { $group: { _id: '$areaId', lastCleaned: { $max: '$dateTime' } } }
+  ]);
+  const lastCleanedByArea = new Map(previousCleanings.map(entry => [String(entry._id), entry.lastCleaned]));
+
+  const recordsOf = (field, id) => records.filter(record => record[field] && String(record[field]) === String(id));
+
+  const surfaceTasks = surfaces.map(surface => buildTask('surface', surface, {
+    day,
+    today,
+    dayRecords: recordsOf('surfaceId', surface._id)
+  }));
+
+  const areaTasks = areas.map(area => {
+    // lastCleaned puede ser anterior a los registros de limpieza de la zona
+    const candidates = [lastCleanedByArea.get(String(area._id)), area.lastCleaned]
+      .filter(date => date && date < dayStart)
+      .map(date => date.getTime());
+    const lastCleanedDay = candidates.length > 0 ? localDay(Math.max(...candidates), timezone) : null;
+
+    return buildTask('area', area, {
+      day,
+      today,
+      dayRecords: recordsOf('areaId', area._id),
+      lastCleanedDay
+    });
+  });
+
+  return {
+    date: day,
+    timezone,
+    tasks: [...surfaceTasks, ...areaTasks].filter(Boolean)
+  };
+};
+
+module.exports = {
+  CLEANING_TASK_STATUSES,
+  getCleaningTasks
+};
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Datos de un archivo adjunto que se muestran en los listados sin descargarlo
+// (el contenido se guarda en la colección de documentos de cada módulo)
+const DocumentInfoSchema = new mongoose.Schema({
+  fileName: { type: String, required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+module.exports = DocumentInfoSchema;
@@ -0,0 +1,40 @@
+// Cambios de aceite pendientes.
+//
+// Una freidora tiene un cambio pendiente si alguna lectura de compuestos polares posterior a su
+// último cambio de aceite supera el límite de desecho. La alerta se mantiene hasta registrar el
+// cambio: una lectura posterior por debajo del límite no la resuelve (el aceite ya se debió desechar).
+
+const Fryer = require('../models/Fryer');
+const FryingOilEvent = require('../models/FryingOilEvent');
+
+// Alertas de las freidoras activas de la organización, con la primera lectura que superó el límite
+const getPendingOilChanges = async (organizationId) => {
+  const fryers = await Fryer.find({ organizationId, isActive: true }).sort({ name: 1 });
+
+  const alerts = await Promise.all(fryers.map(async (fryer) => {
+    const lastChange = await FryingOilEvent.findOne({ organizationId, fryerId: fryer._id, type: 'change' })
+      .sort({ dateTime: -1 });
+
+    const filter = { organizationId, fryerId: fryer._id, type: 'reading', isOverLimit: true };
+    if (lastChange) filter.dateTime = { $gt: lastChange.dateTime };
+
+    const reading = await FryingOilEvent.findOne(filter).sort({ dateTime: 1 });
+    if (!reading) return null;
+
+    return {
+      fryerId: fryer._id,
+      fryerName: fryer.name,
+      readingId: reading._id,
+      readingAt: reading.dateTime,
+      tpm: reading.tpm,
+      discardLimit: reading.discardLimit,
+      lastChangeAt: lastChange ? lastChange.dateTime : null
+    };
+  }));
+
+  return alerts.filter(Boolean);
+};
+
+module.exports = {
+  getPendingOilChanges
+};
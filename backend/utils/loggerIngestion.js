@@ -0,0 +1,240 @@
+// Ingesta de lecturas de registradores de datos (sondas) de las cámaras.
+//
+// Las lecturas llegan en lotes JSON desde el propio dispositivo o en el CSV que exportan
+// los registradores USB. Cada lectura se guarda como un StorageRecord de origen "logger",
+// de modo que el cálculo de fuera de rango y las excursiones son los mismos que en los
+// controles manuales. Para mostrarlas se agrupan en intervalos (getDownsampledSeries).
+
+const StorageRecord = require('../models/StorageRecord');
+const DataLogger = require('../models/DataLogger');
+const { normalizeText, isEmptyValue, parseNumber, parseDate } = require('./recordImport');
+const { syncUnitExcursions } = require('./temperatureExcursions');
+const { syncUnitMissedChecks } = require('./missedChecks');
+
+const MAX_BATCH_READINGS = 20000;
+const MIN_TEMPERATURE = -50;
+const MAX_TEMPERATURE = 100;
+
+// Intervalos de agrupación admitidos (minutos) y puntos máximos de una serie
+const BUCKET_MINUTES = [1, 5, 15, 30, 60, 180, 360, 720, 1440];
+const MAX_SERIES_POINTS = 300;
+
+// Error de formato del lote o del archivo (se responde con 400 en lugar de 500)
+const ingestionError = (message) => {
+  const error = new Error(message);
+  error.name = 'ImportFileError';
+  return error;
+};
+
+// Fecha de un registrador: las horas sin zona ("YYYY-MM-DD HH:mm[:ss]" o DD/MM/YYYY HH:mm)
+// se toman como UTC, que es el reloj de los registradores
+const parseLoggerDate = (value) => {
+  const match = String(value ?? '').trim()
+    .match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) return parseDate(value, 'UTC');
+
+  const [, year, month, day, hours, minutes, seconds] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds || 0));
+};
+
+// Valida las lecturas de un lote y las devuelve normalizadas junto con los errores por fila
+const normalizeReadings = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw ingestionError('Debe enviar una lista de lecturas');
+  }
+  if (items.length > MAX_BATCH_READINGS) {
+    throw ingestionError(`El lote supera el máximo de ${MAX_BATCH_READINGS} lecturas`);
+  }
+
+  const readings = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const row = index + 1;
+    const dateTime = parseLoggerDate(item?.dateTime);
+    const temperature = parseNumber(item?.temperature);
+    const humidity = parseNumber(item?.humidity);
+
+    if (!dateTime) {
+      errors.push({ row, field: 'dateTime', message: 'Fecha y hora no válidas' });
+    } else if (temperature === null || temperature < MIN_TEMPERATURE || temperature > MAX_TEMPERATURE) {
+      errors.push({ row, field: 'temperature', message: `La temperatura debe ser un número entre ${MIN_TEMPERATURE} y ${MAX_TEMPERATURE}` });
+    } else if (humidity !== null && (humidity < 0 || humidity > 100)) {
+      errors.push({ row, field: 'humidity', message: 'La humedad debe ser un número entre 0 y 100' });
+    } else {
+      readings.push({ dateTime, temperature, ...(humidity !== null && { humidity }) });
+    }
+  });
+
+  return { readings, errors };
+};
+
+// Separa una línea CSV respetando los campos entre comillas
+const splitCsvLine = (line, delimiter) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+// Identifica las columnas de la cabecera de un registrador (EasyLog, Elitech, Testo...):
+// fecha y hora juntas o por separado, temperatura en °C o °F y humedad opcional
+const findLoggerColumns = (headers) => {
+  const names = headers.map(normalizeText);
+  const find = (test) => names.findIndex(test);
+
+  const dateTime = find(name => /^(fecha y hora|date ?\/ ?time|datetime|timestamp|tiempo)$/.test(name));
+  const date = find(name => /^(date|fecha)\b/.test(name));
+  const time = find(name => /^(time|hora)\b/.test(name));
+  const isFahrenheit = (name) => name.includes('fahrenheit') || name.includes('°f');
+  const celsius = find(name => !isFahrenheit(name) && (name.includes('celsius') || name.includes('°c') || /^temp/.test(name)));
+  const fahrenheit = find(isFahrenheit);
+  const humidity = find(name => name.includes('humid') || name.includes('%rh') || name.includes('humedad'));
+
+  const temperature = celsius !== -1 ? celsius : fahrenheit;
+  const hasDate = dateTime !== -1 || date !== -1 || time !== -1;
+  if (!hasDate || temperature === -1) return null;
+
+  return {
+    dateTime: dateTime !== -1 ? dateTime : (date !== -1 ? date : time),
+    // Hora en columna aparte solo si la fecha no la incluye ya
+    time: dateTime === -1 && date !== -1 && time !== -1 ? time : -1,
+    temperature,
+    isFahrenheit: celsius === -1,
+    humidity
+  };
+};
+
+// Lee el CSV de un registrador USB. Los datos empiezan en la primera fila con columnas de fecha
+// y temperatura; las líneas anteriores (modelo, número de serie...) se ignoran.
+const parseLoggerCsv = (buffer) => {
+  const lines = buffer.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (!line.trim()) continue;
+
+    const delimiter = [';', '\t', ','].find(candidate => line.includes(candidate)) || ',';
+    const columns = findLoggerColumns(splitCsvLine(line, delimiter));
+    if (!columns) continue;
+
+    const items = lines.slice(index + 1)
+      .filter(dataLine => dataLine.trim())
+      .map(dataLine => {
+        const fields = splitCsvLine(dataLine, delimiter);
+        const dateTime = columns.time !== -1
+          ? `${fields[columns.dateTime]} ${fields[columns.time]}`
+          : fields[columns.dateTime];
+        let temperature = parseNumber(fields[columns.temperature]);
+        if (temperature !== null && columns.isFahrenheit) {
+          temperature = Math.round((temperature - 32) * 5 / 9 * 10) / 10;
+        }
+
+        return {
+          dateTime,
+          temperature,
+          humidity: columns.humidity !== -1 && !isEmptyValue(fields[columns.humidity]) ? fields[columns.humidity] : null
+        };
+      });
+
+    if (items.length === 0) {
+      throw ingestionError('El archivo no contiene lecturas');
+    }
+    return items;
+  }
+
+  throw ingestionError('No se han encontrado columnas de fecha y temperatura en el archivo');
+};
+
+// Guarda las lecturas de una sonda en su cámara. Las lecturas ya recibidas (misma sonda y
+// misma fecha) se omiten, por lo que el dispositivo puede reenviar un lote sin duplicar datos.
+const ingestReadings = async (dataLogger, unit, readings) => {
+  if (readings.length === 0) return { imported: 0, duplicates: 0, outOfRange: 0 };
+
+  const times = readings.map(reading => reading.dateTime.getTime());
+  const existing = await StorageRecord.find({
+    loggerId: dataLogger._id,
+    dateTime: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) }
+  }).select('dateTime').lean();
+
+  const seen = new Set(existing.map(record => record.dateTime.getTime()));
+  const records = [];
+
+  readings.forEach(reading => {
+    const time = reading.dateTime.getTime();
+    if (seen.has(time)) return;
+    seen.add(time);
+
+    records.push({
+      organizationId: dataLogger.organizationId,
+      unitId: unit._id,
+      dateTime: reading.dateTime,
+      temperature: reading.temperature,
+      humidity: reading.humidity,
+      isOutOfRange: unit.isTemperatureOutOfRange(reading.temperature),
+      source: 'logger',
+      loggerId: dataLogger._id,
+      registeredBy: `Sonda ${dataLogger.name}`,
+      registeredAt: new Date()
+    });
+  });
+
+  if (records.length > 0) {
+    await StorageRecord.insertMany(records);
+    // Las excursiones y los controles programados solo se revisan en el periodo del lote
+    const dates = records.map(record => record.dateTime.getTime());
+    const range = { from: new Date(Math.min(...dates)), to: new Date(Math.max(...dates)) };
+    await syncUnitExcursions(dataLogger.organizationId, unit._id, range);
+    await syncUnitMissedChecks(dataLogger.organizationId, unit._id, range);
+  }
+
+  const lastReadingAt = records.reduce(
+    (latest, record) => (!latest || record.dateTime > latest ? record.dateTime : latest),
+    dataLogger.lastReadingAt
+  );
+  await DataLogger.updateOne({ _id: dataLogger._id }, {
+    $set: { lastSeenAt: new Date(), lastReadingAt },
+    $inc: { readingsCount: records.length }
+  });
+
+  return {
+    imported: records.length,
+    duplicates: readings.length - records.length,
+    outOfRange: records.filter(record => record.isOutOfRange).length
+  };
+};
+
+// Intervalo de agrupación para que una serie entre fechas no supere MAX_SERIES_POINTS puntos
+const chooseBucketMinutes = (from, to) => {
+  const minutes = (to.getTime() - from.getTime()) / 60000;
+  return BUCKET_MINUTES.find(bucket => minutes / bucket <= MAX_SERIES_POINTS) || BUCKET_MINUTES[BUCKET_MINUTES.length - 1];
+};
+
+module.exports = {
+  MAX_BATCH_READINGS,
+  BUCKET_MINUTES,
+  MAX_SERIES_POINTS,
+  parseLoggerDate,
+  normalizeReadings,
+  parseLoggerCsv,
+  ingestReadings,
+  chooseBucketMinutes
+};
@@ -0,0 +1,411 @@
+// Genealogía de lotes: vínculos entre recepciones, elaboraciones y salidas
+//
+// Un paso atrás: de qué recepciones (y proveedores) proceden los ingredientes de un lote elaborado.
+// Un paso adelante: en qué elaboraciones se usó un lote recibido y en qué salidas se expidió.
+// La retirada de producto (traceRecall) recorre la cadena completa en un sentido.
+
+const mongoose = require('mongoose');
+const DeliveryRecord = require('../models/DeliveryRecord');
+const ElaboratedRecord = require('../models/ElaboratedRecord');
+const OutgoingRecord = require('../models/OutgoingRecord');
+const Supplier = require('../models/Supplier');
+const ProductType = require('../models/ProductType');
+const { escapeRegExp } = require('./queryHelpers');
+
+const MAX_LOT_OPTIONS = 200;
+// Niveles de elaboración que recorre la retirada de producto (elaborados hechos con otros elaborados)
+const MAX_RECALL_DEPTH = 10;
+
+// Vínculo de lote inválido (se responde con 400 en lugar de 500)
+const lotLinkError = (field, message) => {
+  const error = new Error(message);
+  error.name = 'LotLinkError';
+  error.field = field;
+  return error;
+};
+
+// Mapa id → nombre de los documentos indicados (las recepciones guardan los ids como texto)
+const loadNames = async (Model, organizationId, ids) => {
+  const validIds = [...new Set(ids.map(String))].filter(id => mongoose.Types.ObjectId.isValid(id));
+  if (validIds.length === 0) return new Map();
+
+  const docs = await Model.find({ _id: { $in: validIds }, organizationId }).select('name').lean();
+  return new Map(docs.map(doc => [doc._id.toString(), doc.name]));
+};
+
+const receptionSummary = (record, suppliers, productTypes) => ({
+  id: record._id.toString(),
+  lot: record.lot,
+  expiryDate: record.expiryDate,
+  receptionDate: record.receptionDate,
+  supplierId: record.supplierId,
+  supplierName: suppliers.get(record.supplierId) || null,
+  productTypeId: record.productTypeId,
+  productName: productTypes.get(record.productTypeId) || null,
+  temperature: record.temperature,
+  docsOk: record.docsOk
+});
+
+const elaborationSummary = (record) => ({
+  id: record._id.toString(),
+  productName: record.productName,
+  productLot: record.productLot,
+  elaborationDate: record.elaborationDate,
+  destination: record.destination,
+  quantitySent: record.quantitySent,
+  ingredients: record.ingredients
+});
+
+const shipmentSummary = (record) => ({
+  id: record._id.toString(),
+  productName: record.productName,
+  lotIdentifier: record.lotIdentifier,
+  quantity: record.quantity,
+  destinationType: record.destinationType,
+  destination: record.destination,
+  date: record.date,
+  sourceType: record.sourceType,
+  sourceRecordId: record.sourceRecordId
+});
+
+// Resúmenes de recepciones con los nombres de proveedor y producto resueltos
+const summarizeReceptions = async (organizationId, records) => {
+  const [suppliers, productTypes] = await Promise.all([
+    loadNames(Supplier, organizationId, records.map(r => r.supplierId)),
+    loadNames(ProductType, organizationId, records.map(r => r.productTypeId))
+  ]);
+  return records.map(record => receptionSummary(record, suppliers, productTypes));
+};
+
+// Completa los ingredientes elegidos entre los lotes recibidos con el lote y el proveedor de la recepción
+const resolveIngredientLots = async (organizationId, ingredients) => {
+  const linkedIds = ingredients.map(i => i.deliveryRecordId).filter(Boolean);
+  if (linkedIds.length === 0) {
+    return ingredients.map(ingredient => ({ ...ingredient, deliveryRecordId: undefined }));
+  }
+
+  const deliveries = await DeliveryRecord.find({ _id: { $in: linkedIds }, organizationId })
+    .select('lot supplierId')
+    .lean();
+  const deliveriesById = new Map(deliveries.map(d => [d._id.toString(), d]));
+  const suppliers = await loadNames(Supplier, organizationId, deliveries.map(d => d.supplierId));
+
+  return ingredients.map((ingredient, index) => {
+    if (!ingredient.deliveryRecordId) return { ...ingredient, deliveryRecordId: undefined };
+
+    const field = `ingredients[${index}].deliveryRecordId`;
+    const delivery = deliveriesById.get(String(ingredient.deliveryRecordId));
+    if (!delivery) throw lotLinkError(field, 'Recepción del ingrediente no encontrada');
+    if (!delivery.lot) throw lotLinkError(field, 'La recepción del ingrediente no tiene lote registrado');
+
+    return {
+      ...ingredient,
+      lot: delivery.lot,
+      supplier: ingredient.supplier || suppliers.get(delivery.supplierId) || '',
+      deliveryRecordId: delivery._id
+    };
+  });
+};
+
+// Registro de origen del lote de una salida: { sourceType, sourceRecordId, lot } o null si no se vincula
+const resolveOutgoingSource = async (organizationId, { sourceType, sourceRecordId }) => {
+  if (!sourceType) return null;
+
+  if (sourceType === 'elaborated') {
+    const record = await ElaboratedRecord.findOne({ _id: sourceRecordId, organizationId }).select('productLot').lean();
+    if (!record) throw lotLinkError('sourceRecordId', 'Producto elaborado de origen no encontrado');
+    return { sourceType, sourceRecordId: record._id, lot: record.productLot };
+  }
+
+  const record = await DeliveryRecord.findOne({ _id: sourceRecordId, organizationId }).select('lot').lean();
+  if (!record) throw lotLinkError('sourceRecordId', 'Recepción de origen no encontrada');
+  if (!record.lot) throw lotLinkError('sourceRecordId', 'La recepción de origen no tiene lote registrado');
+  return { sourceType, sourceRecordId: record._id, lot: record.lot };
+};
+
+// Número de elaboraciones y salidas que dependen de un registro (no se puede eliminar mientras existan)
+const countLotReferences = async (organizationId, sourceType, recordId) => {
+  const [elaborations, shipments] = await Promise.all([
+    sourceType === 'delivery'
+      ? ElaboratedRecord.countDocuments({ organizationId, 'ingredients.deliveryRecordId': recordId })
+      : 0,
+    OutgoingRecord.countDocuments({ organizationId, sourceType, sourceRecordId: recordId })
+  ]);
+  return elaborations + shipments;
+};
+
+// Lotes disponibles para vincular: recibidos (delivery) o elaborados (elaborated), los más recientes primero
+const listLots = async (organizationId, { type, q, limit = 50 }) => {
+  const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LOT_OPTIONS);
+  const text = q ? new RegExp(escapeRegExp(String(q).trim()), 'i') : null;
+
+  if (type === 'elaborated') {
+    const records = await ElaboratedRecord.find({ organizationId, ...(text && { productLot: text }) })
+      .sort({ elaborationDate: -1, createdAt: -1 })
+      .limit(size)
+      .select('productName productLot elaborationDate')
+      .lean();
+
+    return records.map(record => ({
+      sourceType: 'elaborated',
+      recordId: record._id.toString(),
+      lot: record.productLot,
+      productName: record.productName,
+      date: record.elaborationDate
+    }));
+  }
+
+  const records = await DeliveryRecord.find({ organizationId, lot: text || { $nin: [null, ''] } })
+    .sort({ receptionDate: -1, createdAt: -1 })
+    .limit(size)
+    .select('lot expiryDate receptionDate supplierId productTypeId')
+    .lean();
+
+  return (await summarizeReceptions(organizationId, records)).map(reception => ({
+    sourceType: 'delivery',
+    recordId: reception.id,
+    lot: reception.lot,
+    productName: reception.productName,
+    supplierName: reception.supplierName,
+    date: reception.receptionDate,
+    expiryDate: reception.expiryDate
+  }));
+};
+
+// Genealogía de un lote a un paso: recepciones y elaboraciones que lo originan,
+// recepciones de sus ingredientes (atrás) y elaboraciones y salidas que lo usan (adelante).
+// Los registros anteriores a los vínculos se relacionan por el texto del lote.
+const getLotGenealogy = async (organizationId, lot) => {
+  const [receptions, elaborations] = await Promise.all([
+    DeliveryRecord.find({ organizationId, lot }).sort({ receptionDate: -1 }).lean(),
+    ElaboratedRecord.find({ organizationId, productLot: lot }).sort({ elaborationDate: -1 }).lean()
+  ]);
+
+  const receptionIds = receptions.map(r => r._id);
+  const elaborationIds = elaborations.map(e => e._id);
+  const ingredientDeliveryIds = elaborations.flatMap(e => e.ingredients.map(i => i.deliveryRecordId).filter(Boolean));
+
+  const [ingredientReceptions, usedIn, shipments] = await Promise.all([
+    ingredientDeliveryIds.length > 0
+      ? DeliveryRecord.find({ _id: { $in: ingredientDeliveryIds }, organizationId }).lean()
+      : [],
+    ElaboratedRecord.find({
+      organizationId,
+      $or: [
+        { 'ingredients.deliveryRecordId': { $in: receptionIds } },
+        { ingredients: { $elemMatch: { lot, deliveryRecordId: { $exists: false } } } }
+      ]
+    }).sort({ elaborationDate: -1 }).lean(),
+    OutgoingRecord.find({
+      organizationId,
+      $or: [
+        { sourceRecordId: { $in: [...receptionIds, ...elaborationIds] } },
+        { lotIdentifier: lot, sourceRecordId: { $exists: false } }
+      ]
+    }).sort({ date: -1 }).lean()
+  ]);
+
+  const receptionSummaries = await summarizeReceptions(organizationId, [...receptions, ...ingredientReceptions]);
+  const receptionsById = new Map(receptionSummaries.map(r => [r.id, r]));
+
+  return {
+    lot,
+    receptions: receptionSummaries.slice(0, receptions.length),
+    elaborations: elaborations.map(elaborationSummary),
+    backward: {
+      ingredients: elaborations.flatMap(elaboration => elaboration.ingredients.map(ingredient => ({
+        elaborationId: elaboration._id.toString(),
+        productLot: elaboration.productLot,
+        name: ingredient.name,
+        supplier: ingredient.supplier,
+        lot: ingredient.lot,
+        quantity: ingredient.quantity,
+        reception: ingredient.deliveryRecordId
+          ? receptionsById.get(ingredient.deliveryRecordId.toString()) || null
+          : null
+      })))
+    },
+    forward: {
+      elaborations: usedIn.map(elaborationSummary),
+      shipments: shipments.map(shipmentSummary)
+    }
+  };
+};
+
+const idsOf = (records) => records.map(record => record._id);
+
+// Añade al mapa los registros no vistos y devuelve solo los nuevos
+const addNew = (map, records, extra = {}) => records.filter(record => {
+  const id = record._id.toString();
+  if (map.has(id)) return false;
+  map.set(id, { ...record, ...extra });
+  return true;
+});
+
+// Destinos afectados: salidas agrupadas por destino
+const groupDestinations = (shipments) => {
+  const destinations = new Map();
+  shipments.forEach(shipment => {
+    const key = `${shipment.destinationType}|${shipment.destination}`;
+    const entry = destinations.get(key) || {
+      destination: shipment.destination,
+      destinationType: shipment.destinationType,
+      shipments: 0,
+      quantities: [],
+      lots: [],
+      firstDate: shipment.date,
+      lastDate: shipment.date
+    };
+    entry.shipments += 1;
+    entry.quantities.push(shipment.quantity);
+    if (!entry.lots.includes(shipment.lotIdentifier)) entry.lots.push(shipment.lotIdentifier);
+    if (shipment.date < entry.firstDate) entry.firstDate = shipment.date;
+    if (shipment.date > entry.lastDate) entry.lastDate = shipment.date;
+    destinations.set(key, entry);
+  });
+  return [...destinations.values()];
+};
+
+// Proveedores implicados: recepciones agrupadas por proveedor
+const groupSuppliers = (receptions) => {
+  const suppliers = new Map();
+  receptions.forEach(reception => {
+    const entry = suppliers.get(reception.supplierId) || {
+      supplierId: reception.supplierId,
+      supplierName: reception.supplierName,
+      receptions: 0,
+      lots: []
+    };
+    entry.receptions += 1;
+    if (reception.lot && !entry.lots.includes(reception.lot)) entry.lots.push(reception.lot);
+    suppliers.set(reception.supplierId, entry);
+  });
+  return [...suppliers.values()];
+};
+
+// Hacia delante: elaboraciones (a cualquier nivel) y salidas en las que acabó el lote
+const walkForward = async (organizationId, lot) => {
+  const receptions = await DeliveryRecord.find({ organizationId, lot }).lean();
+  const elaborations = new Map();
+  const shipments = new Map();
+  const seenLots = new Set([lot]);
+
+  let lots = [lot];
+  let receptionIds = idsOf(receptions);
+  let sourceIds = [...receptionIds, ...idsOf(addNew(elaborations,
+    await ElaboratedRecord.find({ organizationId, productLot: lot }).lean(), { depth: 0 }))];
+
+  for (let depth = 1; sourceIds.length > 0 && depth <= MAX_RECALL_DEPTH; depth++) {
+    const [usedIn, shipped] = await Promise.all([
+      ElaboratedRecord.find({
+        organizationId,
+        $or: [
+          { 'ingredients.deliveryRecordId': { $in: receptionIds } },
+          { ingredients: { $elemMatch: { lot: { $in: lots }, deliveryRecordId: { $exists: false } } } }
+        ]
+      }).lean(),
+      OutgoingRecord.find({
+        organizationId,
+        $or: [
+          { sourceRecordId: { $in: sourceIds } },
+          { lotIdentifier: { $in: lots }, sourceRecordId: { $exists: false } }
+        ]
+      }).lean()
+    ]);
+
+    addNew(shipments, shipped);
+
+    // Los lotes elaborados a partir de este nivel se siguen en el siguiente
+    const newElaborations = addNew(elaborations, usedIn, { depth });
+    lots = [...new Set(newElaborations.map(e => e.productLot))].filter(productLot => !seenLots.has(productLot));
+    lots.forEach(productLot => seenLots.add(productLot));
+    const sameLot = lots.length > 0
+      ? addNew(elaborations, await ElaboratedRecord.find({ organizationId, productLot: { $in: lots } }).lean(), { depth })
+      : [];
+    receptionIds = [];
+    sourceIds = idsOf([...newElaborations, ...sameLot]);
+  }
+
+  return { receptions, elaborations: [...elaborations.values()], shipments: [...shipments.values()], untracedIngredients: [] };
+};
+
+// Hacia atrás: elaboraciones y recepciones (proveedores) de las que procede un lote expedido
+const walkBackward = async (organizationId, lot) => {
+  const shipments = await OutgoingRecord.find({ organizationId, lotIdentifier: lot }).lean();
+  const linkedIds = (type) => shipments.filter(s => s.sourceType === type).map(s => s.sourceRecordId);
+
+  const receptions = new Map();
+  const elaborations = new Map();
+  const untracedIngredients = [];
+  const seenLots = new Set([lot]);
+
+  addNew(receptions, await DeliveryRecord.find({
+    organizationId,
+    $or: [{ _id: { $in: linkedIds('delivery') } }, { lot }]
+  }).lean());
+  let current = addNew(elaborations, await ElaboratedRecord.find({
+    organizationId,
+    $or: [{ _id: { $in: linkedIds('elaborated') } }, { productLot: lot }]
+  }).lean(), { depth: 0 });
+
+  for (let depth = 1; current.length > 0 && depth <= MAX_RECALL_DEPTH; depth++) {
+    const ingredients = current.flatMap(e => e.ingredients.map(ingredient => ({ ...ingredient, productLot: e.productLot })));
+    const deliveryIds = ingredients.filter(i => i.deliveryRecordId).map(i => i.deliveryRecordId);
+    const unlinked = ingredients.filter(i => !i.deliveryRecordId);
+    const lots = [...new Set(unlinked.map(i => i.lot))].filter(ingredientLot => !seenLots.has(ingredientLot));
+    lots.forEach(ingredientLot => seenLots.add(ingredientLot));
+
+    // Los ingredientes sin vincular se buscan por el texto del lote entre recepciones y elaborados
+    const [linkedReceptions, lotReceptions, lotElaborations] = await Promise.all([
+      deliveryIds.length > 0 ? DeliveryRecord.find({ _id: { $in: deliveryIds }, organizationId }).lean() : [],
+      lots.length > 0 ? DeliveryRecord.find({ organizationId, lot: { $in: lots } }).lean() : [],
+      lots.length > 0 ? ElaboratedRecord.find({ organizationId, productLot: { $in: lots } }).lean() : []
+    ]);
+
+    addNew(receptions, [...linkedReceptions, ...lotReceptions]);
+    current = addNew(elaborations, lotElaborations, { depth });
+
+    const tracedLots = new Set([...lotReceptions.map(r => r.lot), ...lotElaborations.map(e => e.productLot)]);
+    unlinked
+      .filter(ingredient => lots.includes(ingredient.lot) && !tracedLots.has(ingredient.lot))
+      .forEach(({ name, lot: ingredientLot, supplier, productLot }) => {
+        untracedIngredients.push({ name, lot: ingredientLot, supplier, productLot });
+      });
+  }
+
+  return { receptions: [...receptions.values()], elaborations: [...elaborations.values()], shipments, untracedIngredients };
+};
+
+// Informe de retirada de producto de un lote: hacia delante (destinos afectados)
+// o hacia atrás (proveedores de origen), recorriendo todos los niveles de elaboración
+const traceRecall = async (organizationId, lot, direction) => {
+  const walk = direction === 'backward' ? walkBackward : walkForward;
+  const { receptions, elaborations, shipments, untracedIngredients } = await walk(organizationId, lot);
+
+  const receptionSummaries = await summarizeReceptions(organizationId, receptions);
+  const shipmentSummaries = shipments.map(shipmentSummary).sort((a, b) => a.date - b.date);
+
+  return {
+    lot,
+    direction,
+    generatedAt: new Date(),
+    receptions: receptionSummaries,
+    elaborations: elaborations
+      .sort((a, b) => a.depth - b.depth || a.elaborationDate - b.elaborationDate)
+      .map(elaboration => ({ ...elaborationSummary(elaboration), depth: elaboration.depth })),
+    shipments: shipmentSummaries,
+    destinations: groupDestinations(shipmentSummaries),
+    suppliers: groupSuppliers(receptionSummaries),
+    untracedIngredients
+  };
+};
+
+module.exports = {
+  MAX_LOT_OPTIONS,
+  resolveIngredientLots,
+  resolveOutgoingSource,
+  countLotReferences,
+  listLots,
+  getLotGenealogy,
+  traceRecall
+};
@@ -0,0 +1,209 @@
+// Controles programados no realizados.
+//
+// Cada cámara puede tener una programación de controles (StorageUnit.monitoringSchedule): horas
+// diarias en su zona horaria y una tolerancia en minutos. Un control se da por realizado si la
+// cámara tiene alguna lectura (manual o de sonda) entre la hora programada menos la tolerancia y la
+// hora programada más la tolerancia. Pasada esa ventana sin lecturas se registra un MissedCheck.
+//
+// La detección se repite periódicamente (startMissedCheckJob) y al guardar o eliminar lecturas,
+// para que una lectura registrada con retraso resuelva el control pendiente.
+
+const StorageRecord = require('../models/StorageRecord');
+const StorageUnit = require('../models/StorageUnit');
+const MissedCheck = require('../models/MissedCheck');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Días hacia atrás que se revisan en cada pasada si no se indica otro inicio
+const LOOKBACK_DAYS = 7;
+const DEFAULT_JOB_INTERVAL_MINUTES = 15;
+
+const ZONED_PARTS_FORMAT = {
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+};
+
+// Diferencia en ms entre la hora local de la zona horaria y UTC en un instante
+const timezoneOffset = (time, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { ...ZONED_PARTS_FORMAT, timeZone })
+    .formatToParts(new Date(time))
+    .forEach(part => { parts[part.type] = Number(part.value); });
+
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return localAsUtc - Math.floor(time / 1000) * 1000;
+};
+
+// Fecha local (YYYY-MM-DD) de un instante en la zona horaria
+const localDay = (time, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(new Date(time));
+
+// Instante de una fecha (YYYY-MM-DD) y hora (HH:mm) locales; se corrige el desfase dos veces
+// para que los días de cambio de horario queden bien
+const zonedTime = (day, time, timeZone) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const localAsUtc = Date.UTC(year, month - 1, date, hours, minutes);
+
+  const firstGuess = localAsUtc - timezoneOffset(localAsUtc, timeZone);
+  return new Date(localAsUtc - timezoneOffset(firstGuess, timeZone));
+};
+
+const nextDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + 1)).toISOString().slice(0, 10);
+};
+
+// Controles programados entre dos instantes, ordenados por fecha
+const getScheduledChecks = (schedule, from, to) => {
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  const graceMs = schedule.graceMinutes * MINUTE_MS;
+  const times = [...schedule.times].sort();
+
+  const checks = [];
+  for (let day = localDay(start, schedule.timezone); day <= localDay(end, schedule.timezone); day = nextDay(day)) {
+    times.forEach(scheduledTime => {
+      const scheduledAt = zonedTime(day, scheduledTime, schedule.timezone);
+      if (scheduledAt.getTime() < start || scheduledAt.getTime() > end) return;
+      checks.push({
+        scheduledTime,
+        scheduledAt,
+        dueAt: new Date(scheduledAt.getTime() + graceMs)
+      });
+    });
+  }
+  return checks;
+};
+
+// Controles sin ninguna lectura dentro de su ventana de tolerancia (lecturas ordenadas por fecha)
+const detectMissedChecks = (schedule, checks, readingDates) => {
+  const graceMs = schedule.graceMinutes * MINUTE_MS;
+  const times = readingDates.map(date => new Date(date).getTime());
+
+  let index = 0;
+  return checks.filter(check => {
+    const windowStart = check.scheduledAt.getTime() - graceMs;
+    while (index < times.length && times[index] < windowStart) index += 1;
+    return index >= times.length || times[index] > check.dueAt.getTime();
+  });
+};
+
+// Revisa los controles programados de una cámara cuya tolerancia ya ha vencido: los de los
+// últimos LOOKBACK_DAYS días o, si se indica, solo los que pueden verse afectados por lecturas
+// entre `from` y `to`; nunca los anteriores a que rigiera la programación.
+// Los controles que ahora tienen lectura se descartan salvo que ya estuvieran justificados.
+const syncUnitMissedChecks = async (organizationId, unitId, { from, to, now = new Date() } = {}) => {
+  const unit = await StorageUnit.findOne({ _id: unitId, organizationId });
+  if (!unit || !unit.hasMonitoringSchedule()) return { missed: 0, resolved: 0 };
+
+  const schedule = unit.monitoringSchedule;
+  const graceMs = schedule.graceMinutes * MINUTE_MS;
+  const windowStart = new Date(Math.max(
+    from ? new Date(from).getTime() - graceMs : now.getTime() - LOOKBACK_DAYS * DAY_MS,
+    schedule.activeSince ? schedule.activeSince.getTime() : 0
+  ));
+  // Solo cuentan los controles cuya ventana de tolerancia ya ha terminado
+  const windowEnd = new Date(Math.min(
+    now.getTime() - graceMs,
+    to ? new Date(to).getTime() + graceMs : Infinity
+  ));
+  if (windowStart > windowEnd) return { missed: 0, resolved: 0 };
+
+  const checks = getScheduledChecks(schedule, windowStart, windowEnd);
+  const [records, existing] = await Promise.all([
+    StorageRecord.find({
+      organizationId,
+      unitId: unit._id,
+      dateTime: { $gte: new Date(windowStart.getTime() - graceMs), $lte: new Date(windowEnd.getTime() + graceMs) }
+    }).sort({ dateTime: 1 }).select('dateTime').lean(),
+    MissedCheck.find({
+      organizationId,
+      unitId: unit._id,
+      scheduledAt: { $gte: windowStart, $lte: windowEnd }
+    }).select('scheduledAt status').lean()
+  ]);
+
+  const missed = detectMissedChecks(schedule, checks, records.map(record => record.dateTime));
+  const missedTimes = new Set(missed.map(check => check.scheduledAt.getTime()));
+
+  // Upsert para no duplicar controles si la tarea periódica y una petición coinciden
+  if (missed.length > 0) {
+    await MissedCheck.bulkWrite(missed.map(check => ({
+      updateOne: {
+        filter: { organizationId, unitId: unit._id, scheduledAt: check.scheduledAt },
+        update: { $setOnInsert: { ...check, status: 'Pendiente' } },
+        upsert: true
+      }
+    })));
+  }
+
+  const resolved = existing.filter(check => check.status === 'Pendiente' && !missedTimes.has(check.scheduledAt.getTime()));
+  if (resolved.length > 0) {
+    await MissedCheck.deleteMany({ _id: { $in: resolved.map(check => check._id) } });
+  }
+
+  return { missed: missed.length, resolved: resolved.length };
+};
+
+// Revisa las cámaras indicadas, todas las de la organización o, sin organización, todas las
+// cámaras con controles programados
+const syncMissedChecks = async (organizationId, unitIds, options = {}) => {
+  const filter = { 'monitoringSchedule.times.0': { $exists: true } };
+  if (organizationId) filter.organizationId = organizationId;
+  if (unitIds) filter._id = { $in: [...new Set(unitIds.map(String))] };
+
+  const units = await StorageUnit.find(filter).select('_id organizationId').lean();
+
+  let missed = 0;
+  for (const unit of units) {
+    missed += (await syncUnitMissedChecks(unit.organizationId, unit._id, options)).missed;
+  }
+  return { units: units.length, missed };
+};
+
+// Tarea periódica de detección para todas las organizaciones
+let jobInterval = null;
+
+const startMissedCheckJob = (intervalMinutes = DEFAULT_JOB_INTERVAL_MINUTES) => {
+  if (jobInterval) return;
+
+  jobInterval = setInterval(async () => {
+    try {
+      await syncMissedChecks();
+    } catch (error) {
+      console.error('Error detectando controles no realizados:', error);
+    }
+  }, intervalMinutes * MINUTE_MS);
+};
+
+const stopMissedCheckJob = () => {
+  if (jobInterval) {
+    clearInterval(jobInterval);
+    jobInterval = null;
+  }
+};
+
+module.exports = {
+  LOOKBACK_DAYS,
+  DEFAULT_JOB_INTERVAL_MINUTES,
+  zonedTime,
+  localDay,
+  nextDay,
+  getScheduledChecks,
+  detectMissedChecks,
+  syncUnitMissedChecks,
+  syncMissedChecks,
+  startMissedCheckJob,
+  stopMissedCheckJob
+};
@@ -0,0 +1,104 @@
+// Control de plagas: hallazgos de las visitas por estación e incidencias automáticas.
+// Un hallazgo cuya actividad alcanza el umbral de su estación (PestStation.incidentThreshold)
+// abre una incidencia vinculada a la visita.
+
+const PestStation = require('../models/PestStation');
+const Incident = require('../models/Incident');
+
+// Gravedad de la incidencia según la actividad detectada
+const ACTIVITY_SEVERITIES = {
+  'Baja': 'Baja',
+  'Media': 'Media',
+  'Alta': 'Alta'
+};
+
+const findStationsMap = async (organizationId, stationIds) => {
+  const stations = await PestStation.find({ _id: { $in: stationIds }, organizationId });
+  return new Map(stations.map(station => [station.id, station]));
+};
+
+// Hallazgos con el número y la ubicación de su estación, o null si alguna estación no es de la organización.
+// Al editar una visita se conserva la incidencia ya abierta para cada estación.
+const buildFindings = async (organizationId, findings = [], previousFindings = []) => {
+  const stationsMap = await findStationsMap(organizationId, findings.map(finding => finding.stationId));
+  if (findings.some(finding => !stationsMap.has(String(finding.stationId)))) return null;
+
+  const previousIncidents = new Map(previousFindings
+    .filter(finding => finding.incidentId)
+    .map(finding => [String(finding.stationId), finding.incidentId]));
+
+  return findings.map(finding => {
+    const station = stationsMap.get(String(finding.stationId));
+    return {
+      stationId: station._id,
+      stationNumber: station.number,
+      location: station.location,
+      activity: finding.activity,
+      notes: finding.notes || '',
+      incidentId: previousIncidents.get(station.id) || null
+    };
+  });
+};
+
+// Abre la incidencia de un hallazgo que supera el umbral
+const openFindingIncident = (visit, finding, user) => {
+  const visitDate = visit.visitDate.toLocaleDateString('es-ES', { timeZone: 'UTC' });
+
+  const description = [
+    `Visita de control de plagas del ${visitDate} (${visit.company}): actividad ${finding.activity.toLowerCase()} en la estación ${finding.stationNumber} (${finding.location}).`,
+    finding.notes && `Observaciones: ${finding.notes}.`,
+    `Técnico: ${visit.technician || 'sin indicar'}, carné ${visit.technicianCertificate}.`
+  ].filter(Boolean).join(' ');
+
+  return Incident.create({
+    organizationId: visit.organizationId,
+    title: `Plagas: actividad ${finding.activity.toLowerCase()} en estación ${finding.stationNumber}`.slice(0, 100),
+    description: description.slice(0, 1000),
+    detectionDate: visit.visitDate,
+    affectedArea: (finding.location || 'Control de plagas').slice(0, 50),
+    severity: ACTIVITY_SEVERITIES[finding.activity] || 'Media',
+    status: 'Abierta',
+    reportedBy: user.id,
+    pestControlVisitId: visit._id,
+    statusHistory: [{
+      from: null,
+      to: 'Abierta',
+      changedAt: new Date(),
+      changedBy: user.name,
+      changedById: user.id,
+      notes: 'Abierta automáticamente por la actividad detectada en la visita de control de plagas'
+    }],
+    registeredBy: user.name,
+    registeredById: user.id,
+    registeredAt: new Date().toISOString()
+  });
+};
+
+// Guarda la visita y abre una incidencia por cada hallazgo que alcanza el umbral de su estación.
+// Cada hallazgo abre una sola incidencia: al editar la visita se conservan las ya abiertas.
+const saveVisitWithIncidents = async (visit, user) => {
+  await visit.save();
+
+  const pending = visit.findings.filter(finding => !finding.incidentId);
+  if (pending.length === 0) return visit;
+
+  const stationsMap = await findStationsMap(visit.organizationId, pending.map(finding => finding.stationId));
+  let openedIncidents = 0;
+
+  for (const finding of pending) {
+    const station = stationsMap.get(String(finding.stationId));
+    if (!station || !station.reachesThreshold(finding.activity)) continue;
+
+    const incident = await openFindingIncident(visit, finding, user);
+    finding.incidentId = incident._id;
+    openedIncidents += 1;
+  }
+
+  if (openedIncidents > 0) await visit.save();
+  return visit;
+};
+
+module.exports = {
+  buildFindings,
+  saveVisitWithIncidents
+};
@@ -0,0 +1,74 @@
+// Utilidades compartidas para consultas de listados (filtros por fecha y paginación)
+
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 500;
+
+// Construye un filtro de rango de fechas a partir de dateFrom/dateTo (YYYY-MM-DD o ISO)
+const buildDateRangeFilter = (dateFrom, dateTo) => {
+  const range = {};
+
+  if (dateFrom) {
+    const from = new Date(dateFrom);
+    if (!isNaN(from.getTime())) {
+      range.$gte = from;
+    }
+  }
+
+  if (dateTo) {
+    const to = new Date(dateTo);
+    if (!isNaN(to.getTime())) {
+      // Si solo se indica el día, incluir el día completo
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(dateTo))) {
+        to.setHours(23, 59, 59, 999);
+      }
+      range.$lte = to;
+    }
+  }
+
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Obtiene page/limit/skip normalizados desde la query string
+const getPaginationParams = (query = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_LIMIT, 1), MAX_PAGE_LIMIT);
+
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit
+  };
+};
+
+// Construye el objeto de paginación que espera el frontend (RecordsListResponse)
+const buildPaginationInfo = (total, page, limit) => ({
+  current: page,
+  pages: Math.max(Math.ceil(total / limit), 1),
+  total,
+  limit
+});
+
+// Convierte "campo" / "-campo" en un objeto de ordenación de Mongo limitado a campos permitidos
+const buildSort = (sort, allowedFields, defaultSort) => {
+  if (!sort) return defaultSort;
+
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const field = sort.replace(/^-/, '');
+
+  if (!allowedFields.includes(field)) return defaultSort;
+
+  return { [field]: direction };
+};
+
+// Escapa un texto de usuario para usarlo dentro de una expresión regular
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  buildDateRangeFilter,
+  getPaginationParams,
+  buildPaginationInfo,
+  buildSort,
+  escapeRegExp
+};
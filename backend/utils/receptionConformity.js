@@ -0,0 +1,118 @@
+// Conformidad de las recepciones: compara la temperatura recibida con la óptima del
+// tipo de producto y sus tolerancias (ProductType.classifyTemperature).
+// Una recepción con la temperatura fuera de tolerancia (rechazada o aceptada con observaciones) abre
+// automáticamente una incidencia vinculada a la recepción y al proveedor. La documentación incorrecta
+// sola queda como observación, sin incidencia.
+
+const mongoose = require('mongoose');
+const ProductType = require('../models/ProductType');
+const Supplier = require('../models/Supplier');
+const Incident = require('../models/Incident');
+
+const CONFORMITY_LABELS = {
+  accepted: 'Aceptada',
+  accepted_with_remark: 'Aceptada con observaciones',
+  rejected: 'Rechazada'
+};
+
+// Las recepciones guardan los ids como texto; los que no son ObjectId no se buscan
+const findOrganizationDoc = async (Model, organizationId, id) => (
+  mongoose.Types.ObjectId.isValid(id) ? Model.findOne({ _id: id, organizationId }) : null
+);
+
+const formatDeviation = (deviation) => `${deviation > 0 ? '+' : ''}${deviation} °C`;
+
+// Conformidad de una recepción, o undefined si no hay tipo de producto o temperatura con los que comparar
+const evaluateConformity = (productType, { temperature, docsOk }) => {
+  const value = parseFloat(temperature);
+  if (!productType || Number.isNaN(value)) return undefined;
+
+  const { status, deviation } = productType.classifyTemperature(value);
+  const reasons = [];
+  if (status !== 'accepted') {
+    reasons.push(`Temperatura de ${value} °C con una desviación de ${formatDeviation(deviation)} respecto a la óptima (${productType.optimalTemp} °C)`);
+  }
+
+  // La documentación incorrecta no rechaza la recepción, pero queda como observación
+  let finalStatus = status;
+  if (docsOk === false) {
+    reasons.push('Documentación incorrecta');
+    if (finalStatus === 'accepted') finalStatus = 'accepted_with_remark';
+  }
+
+  return {
+    status: finalStatus,
+    optimalTemp: productType.optimalTemp,
+    deviation,
+    reasons
+  };
+};
+
+// No conformidad de temperatura: fuera de tolerancia, se haya rechazado o aceptado con observaciones
+const isTemperatureNonConformity = (productType, record) => (
+  productType.classifyTemperature(parseFloat(record.temperature)).status !== 'accepted'
+);
+
+// Abre la incidencia de una recepción con la temperatura fuera de tolerancia
+const openConformityIncident = async (record, productType, user) => {
+  const supplier = await findOrganizationDoc(Supplier, record.organizationId, record.supplierId);
+  const receptionDate = record.receptionDate.toLocaleDateString('es-ES', { timeZone: 'UTC' });
+  const rejected = record.conformity.status === 'rejected';
+
+  const description = [
+    `Recepción del ${receptionDate} de ${supplier ? supplier.name : 'proveedor desconocido'}: ${productType.name} ${rejected ? 'rechazado' : 'aceptado con observaciones'}.`,
+    record.lot && `Lote: ${record.lot}.`,
+    ...record.conformity.reasons.map(reason => `${reason}.`)
+  ].filter(Boolean).join(' ');
+
+  return Incident.create({
+    organizationId: record.organizationId,
+    title: `${rejected ? 'Recepción rechazada' : 'Recepción fuera de tolerancia'}: ${productType.name}`.slice(0, 100),
+    description: description.slice(0, 1000),
+    detectionDate: record.receptionDate,
+    affectedArea: 'Recepción',
+    severity: rejected ? 'Alta' : 'Media',
+    status: 'Abierta',
+    reportedBy: user.id,
+    deliveryRecordId: record._id,
+    supplierId: record.supplierId,
+    statusHistory: [{
+      from: null,
+      to: 'Abierta',
+      changedAt: new Date(),
+      changedBy: user.name,
+      changedById: user.id,
+      notes: rejected
+        ? 'Abierta automáticamente al rechazar la recepción'
+        : 'Abierta automáticamente al aceptar la recepción con la temperatura fuera de tolerancia'
+    }],
+    registeredBy: user.name,
+    registeredById: user.id,
+    registeredAt: new Date().toISOString()
+  });
+};
+
+// Guarda la recepción con su conformidad y abre una incidencia si la temperatura está fuera de tolerancia.
+// La incidencia se abre una sola vez: al editar la recepción se conserva la ya abierta.
+const saveWithConformity = async (record, user) => {
+  const productType = await findOrganizationDoc(ProductType, record.organizationId, record.productTypeId);
+  const incidentId = record.conformity ? record.conformity.incidentId : undefined;
+  const conformity = evaluateConformity(productType, record);
+
+  record.conformity = conformity ? { ...conformity, incidentId } : undefined;
+  await record.save();
+
+  if (conformity && !incidentId && isTemperatureNonConformity(productType, record)) {
+    const incident = await openConformityIncident(record, productType, user);
+    record.conformity.incidentId = incident._id;
+    await record.save();
+  }
+
+  return record;
+};
+
+module.exports = {
+  CONFORMITY_LABELS,
+  evaluateConformity,
+  saveWithConformity
+};
@@ -0,0 +1,119 @@
+// Utilidades para exportar registros en CSV, Excel (XLSX) y JSON
+//
+// Cada exportación se describe con una lista de columnas { key, header, value },
+// donde `value(record, lookups)` devuelve el valor de la celda. CSV y JSON se
+// escriben en streaming desde un cursor de Mongo; XLSX se construye en memoria
+// porque el formato no admite escritura incremental.
+
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  excel: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json'
+  }
+};
+
+// Normaliza el formato solicitado ("xlsx" es un alias de "excel")
+const resolveExportFormat = (format) => {
+  const name = format === 'xlsx' ? 'excel' : (format || 'csv');
+  return EXPORT_FORMATS[name] ? name : null;
+};
+
+// Fecha en formato YYYY-MM-DD (o cadena vacía)
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Fecha y hora ISO 8601 (o cadena vacía)
+const formatDateTime = (value) => (value ? new Date(value).toISOString() : '');
+
+// Valor de celda para CSV/Excel (los booleanos se muestran como Sí/No)
+const toCellValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+  return value;
+};
+
+// Escapa un valor para CSV (RFC 4180)
+const toCsvValue = (value) => {
+  const text = String(toCellValue(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => values.map(toCsvValue).join(',') + '\r\n';
+
+const buildRow = (columns, record, lookups) => columns.map(column => column.value(record, lookups));
+
+// Escribe respetando la contrapresión del socket
+const write = (res, chunk) => new Promise(resolve => {
+  if (res.write(chunk)) {
+    resolve();
+  } else {
+    res.once('drain', resolve);
+  }
+});
+
+const setDownloadHeaders = (res, format, fileName) => {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${extension}"`);
+};
+
+// Envía la exportación en el formato indicado a partir de un cursor de Mongo
+const sendExport = async (res, { format, fileName, sheetName, columns, cursor, lookups = {} }) => {
+  setDownloadHeaders(res, format, fileName);
+
+  if (format === 'excel') {
+    const rows = [columns.map(column => column.header)];
+    for await (const record of cursor) {
+      rows.push(buildRow(columns, record, lookups).map(toCellValue));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.addRows(rows);
+    worksheet.columns.forEach((column, index) => {
+      column.width = rows.reduce((width, row) => Math.max(width, String(row[index]).length), 0) + 2;
+    });
+
+    return res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+  }
+
+  if (format === 'json') {
+    let first = true;
+    await write(res, '[');
+    for await (const record of cursor) {
+      const values = buildRow(columns, record, lookups);
+      const item = columns.reduce((obj, column, index) => {
+        obj[column.key] = values[index] ?? null;
+        return obj;
+      }, {});
+      await write(res, (first ? '' : ',') + JSON.stringify(item));
+      first = false;
+    }
+    return res.end(']');
+  }
+
+  // BOM para que Excel detecte UTF-8 al abrir el CSV
+  await write(res, '\uFEFF' + toCsvLine(columns.map(column => column.header)));
+  for await (const record of cursor) {
+    await write(res, toCsvLine(buildRow(columns, record, lookups)));
+  }
+  res.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveExportFormat,
+  formatDate,
+  formatDateTime,
+  toCsvValue,
+  sendExport
+};
@@ -0,0 +1,134 @@
+// Filtros de consulta de registros compartidos entre listados y exportaciones
+
+const mongoose = require('mongoose');
+const { buildDateRangeFilter, escapeRegExp } = require('./queryHelpers');
+
+// Recepciones: proveedor, tipo de producto, lote, documentación, conformidad y rango de fechas de recepción
+const buildDeliveryFilter = (organizationId, query = {}) => {
+  const { supplier, productType, lot, docsOk, conformity, dateFrom, dateTo } = query;
+
+  const filter = { organizationId };
+  if (supplier) filter.supplierId = String(supplier);
+  if (productType) filter.productTypeId = String(productType);
+  if (lot) filter.lot = String(lot);
+  if (docsOk !== undefined) filter.docsOk = docsOk === 'true';
+  if (conformity) filter['conformity.status'] = String(conformity);
+
+  const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+  if (dateRange) filter.receptionDate = dateRange;
+
+  return filter;
+};
+
+// Almacenamiento: cámara, lecturas fuera de rango y rango de fechas de la lectura
+const buildStorageFilter = (organizationId, query = {}) => {
+  const { unitId, outOfRange, source, dateFrom, dateTo } = query;
+
+  const filter = { organizationId };
+  if (unitId && mongoose.Types.ObjectId.isValid(unitId)) filter.unitId = unitId;
+  if (outOfRange !== undefined) filter.isOutOfRange = outOfRange === 'true';
+  // Los registros anteriores a las sondas no tienen origen: son manuales
+  if (source === 'manual') filter.source = { $ne: 'logger' };
+  if (source === 'logger') filter.source = 'logger';
+
+  const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+  if (dateRange) filter.dateTime = dateRange;
+
+  return filter;
+};
+
+// Fichas técnicas: denominación del producto y fecha de la revisión vigente
+const buildTechnicalSheetFilter = (organizationId, query = {}) => {
+  const { productName, dateFrom, dateTo } = query;
+
+  const filter = { organizationId };
+  if (productName) filter.productName = new RegExp(escapeRegExp(productName), 'i');
+
+  const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+  if (dateRange) filter.revisionDate = dateRange;
+
+  return filter;
+};
+
+// Salidas: lote, tipo de destino y fecha de salida
+const buildOutgoingFilter = (organizationId, query = {}) => {
+  const { lot, destinationType, dateFrom, dateTo } = query;
+
+  const filter = { organizationId };
+  if (lot) filter.lotIdentifier = String(lot);
+  if (destinationType) filter.destinationType = String(destinationType);
+
+  const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+  if (dateRange) filter.date = dateRange;
+
+  return filter;
+};
+
+// Elaborados: lote del producto, lote de un ingrediente y fecha de elaboración
+const buildElaboratedFilter = (organizationId, query = {}) => {
+  const { lot, ingredientLot, dateFrom, dateTo } = query;
+
+  const filter = { organizationId };
+  if (lot) filter.productLot = String(lot);
+  if (ingredientLot) filter['ingredients.lot'] = String(ingredientLot);
+
+  const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+  if (dateRange) filter.elaborationDate = dateRange;
+
+  return filter;
+};
+
+// Incidencias: estado, gravedad, zona afectada y fecha de detección
+const buildIncidentFilter = (organizationId, query = {}) => {
+  const { status, severity, area, dateFrom, dateTo } = query;
+
+  const filter = { organizationId };
+  if (status) filter.status = String(status);
+  if (severity) filter.severity = String(severity);
+  if (area) filter.affectedArea = new RegExp(escapeRegExp(area), 'i');
+
+  const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+  if (dateRange) filter.detectionDate = dateRange;
+
+  return filter;
+};
+
+// Excursiones de temperatura: cámara, estado (active=true para las no cerradas) y rango de fechas de inicio
+const buildExcursionFilter = (organizationId, query = {}) => {
+  const { unitId, status, active, dateFrom, dateTo } = query;
+
+  const filter = { organizationId };
+  if (unitId && mongoose.Types.ObjectId.isValid(unitId)) filter.unitId = unitId;
+  if (status) filter.status = String(status);
+  else if (active === 'true') filter.status = { $ne: 'Cerrada' };
+
+  const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+  if (dateRange) filter.startedAt = dateRange;
+
+  return filter;
+};
+
+// Controles no realizados: cámara, estado y rango de fechas de la hora programada
+const buildMissedCheckFilter = (organizationId, query = {}) => {
+  const { unitId, status, dateFrom, dateTo } = query;
+
+  const filter = { organizationId };
+  if (unitId && mongoose.Types.ObjectId.isValid(unitId)) filter.unitId = unitId;
+  if (status) filter.status = String(status);
+
+  const dateRange = buildDateRangeFilter(dateFrom, dateTo);
+  if (dateRange) filter.scheduledAt = dateRange;
+
+  return filter;
+};
+
+module.exports = {
+  buildDeliveryFilter,
+  buildStorageFilter,
+  buildTechnicalSheetFilter,
+  buildOutgoingFilter,
+  buildElaboratedFilter,
+  buildIncidentFilter,
+  buildExcursionFilter,
+  buildMissedCheckFilter
+};
@@ -0,0 +1,244 @@
+// Utilidades para importar registros desde archivos CSV, Excel (XLSX) y JSON
+//
+// Las columnas se reconocen por la misma definición { key, header } que usa la
+// exportación, de modo que un archivo exportado puede volver a importarse.
+
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { DEFAULT_MONITORING_TIMEZONE } = require('../models/StorageUnit');
+const { zonedTime } = require('./missedChecks');
+
+const MAX_IMPORT_ROWS = 20000;
+
+// Error de formato del archivo (se responde con 400 en lugar de 500)
+const importFileError = (message) => {
+  const error = new Error(message);
+  error.name = 'ImportFileError';
+  return error;
+};
+
+// Texto en minúsculas, sin acentos ni espacios sobrantes (para comparar cabeceras y nombres)
+const normalizeText = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .trim()
+  .toLowerCase();
+
+const isEmptyValue = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Separa un CSV (RFC 4180) en filas de valores. El separador (coma, punto y coma o tabulador)
+// se deduce de la primera línea; los valores entre comillas pueden contener saltos de línea.
+const parseCsv = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = [';', '\t', ','].find(candidate => firstLine.includes(candidate)) || ',';
+
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        value += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Valor de una celda de Excel: texto enriquecido, hipervínculos y fórmulas se reducen a su texto o resultado
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return toCellValue(value.text);
+  if (value.result !== undefined) return toCellValue(value.result);
+  return '';
+};
+
+// Filas de la primera hoja del libro como listas de valores (con su número de fila en la hoja)
+const readWorkbookRows = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw importFileError('No se ha podido leer la hoja de cálculo');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    const values = [];
+    row.eachCell((cell, column) => {
+      values[column - 1] = toCellValue(cell.value);
+    });
+    rows.push({ rowNumber, cells: Array.from(values, value => value ?? '') });
+  });
+  return rows;
+};
+
+// Convierte filas de valores en objetos usando la primera fila como cabecera
+const toHeaderRows = (rows) => {
+  if (rows.length === 0) return [];
+  const headers = rows[0].cells.map(header => String(header).trim());
+
+  return rows.slice(1).map(({ rowNumber, cells }) => ({
+    rowNumber,
+    values: headers.reduce((values, header, index) => {
+      if (header) values[header] = cells[index] ?? '';
+      return values;
+    }, {})
+  }));
+};
+
+// Lee el archivo subido y devuelve las filas con su número de fila en el archivo
+const parseImportFile = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  let rows;
+
+  if (extension === '.json') {
+    let content;
+    try {
+      content = JSON.parse(file.buffer.toString('utf8'));
+    } catch (error) {
+      throw importFileError('El archivo JSON no es válido');
+    }
+
+    const items = Array.isArray(content) ? content : content.records;
+    if (!Array.isArray(items)) {
+      throw importFileError('El archivo JSON debe contener una lista de registros');
+    }
+
+    rows = items.map((values, index) => ({ rowNumber: index + 1, values: values || {} }));
+  } else if (extension === '.csv') {
+    // Los valores del CSV se interpretan como texto al importar cada fila
+    const lines = parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    rows = toHeaderRows(lines.map((cells, index) => ({ rowNumber: index + 1, cells })));
+  } else {
+    rows = toHeaderRows(await readWorkbookRows(file.buffer));
+  }
+
+  rows = rows.filter(row => Object.values(row.values).some(value => !isEmptyValue(value)));
+
+  if (rows.length === 0) {
+    throw importFileError('El archivo no contiene registros');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw importFileError(`El archivo supera el máximo de ${MAX_IMPORT_ROWS} registros por importación`);
+  }
+
+  return rows;
+};
+
+// Traduce las cabeceras del archivo (clave o título de la columna) a las claves de las columnas
+const mapRowKeys = (values, columns) => {
+  const keysByHeader = new Map();
+  columns.forEach(column => {
+    keysByHeader.set(normalizeText(column.key), column.key);
+    keysByHeader.set(normalizeText(column.header), column.key);
+  });
+
+  return Object.entries(values).reduce((row, [header, value]) => {
+    const key = keysByHeader.get(normalizeText(header));
+    if (key) row[key] = typeof value === 'string' ? value.trim() : value;
+    return row;
+  }, {});
+};
+
+// Número admitiendo coma decimal ("3,5"); null si está vacío o no es numérico.
+// No se admiten separadores de miles: "1.234,5" o "1,234" no son números válidos en lugar de
+// leerse como 1,2345 o 1,234
+const parseNumber = (value) => {
+  if (isEmptyValue(value)) return null;
+  if (typeof value === 'number') return value;
+
+  const text = String(value).trim();
+  if (!/^[+-]?\d*[.,]?\d+$/.test(text) || /^[+-]?[1-9]\d{0,2}[.,]\d{3}$/.test(text)) return null;
+  return Number(text.replace(',', '.'));
+};
+
+// Booleano a partir de Sí/No, true/false, 1/0; defaultValue si está vacío
+const parseBoolean = (value, defaultValue = false) => {
+  if (isEmptyValue(value)) return defaultValue;
+  if (typeof value === 'boolean') return value;
+
+  const text = normalizeText(value);
+  if (['si', 's', 'true', '1', 'x', 'ok'].includes(text)) return true;
+  if (['no', 'n', 'false', '0'].includes(text)) return false;
+  return null;
+};
+
+// Fecha DD/MM/YYYY [HH:mm[:ss]]: sin hora es el día (medianoche UTC, como las fechas de los
+// formularios); con hora, la hora local de la zona horaria indicada
+const parseSpanishDate = ([, day, month, year, hours, minutes, seconds], timezone) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (hours === undefined || isNaN(date.getTime())) return date;
+
+  const localTime = zonedTime(date.toISOString().slice(0, 10), `${hours}:${minutes}`, timezone);
+  return new Date(localTime.getTime() + (seconds || 0) * 1000);
+};
+
+// Fecha a partir de un Date, ISO 8601 o DD/MM/YYYY [HH:mm[:ss]]; null si no es válida.
+// Las horas DD/MM/YYYY se interpretan en timezone (la de la cámara en las lecturas)
+const parseDate = (value, timezone = DEFAULT_MONITORING_TIMEZONE) => {
+  if (isEmptyValue(value)) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  const text = String(value).trim();
+  const spanish = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ ,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  const date = spanish ? parseSpanishDate(spanish, timezone) : new Date(text);
+
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Busca en un mapa id → documento por id o por nombre (sin distinguir mayúsculas ni acentos)
+const findByIdOrName = (map, value) => {
+  if (isEmptyValue(value)) return null;
+  if (map.has(String(value))) return map.get(String(value));
+
+  const name = normalizeText(value);
+  for (const doc of map.values()) {
+    if (normalizeText(doc.name) === name) return doc;
+  }
+  return null;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  normalizeText,
+  isEmptyValue,
+  parseImportFile,
+  mapRowKeys,
+  parseNumber,
+  parseBoolean,
+  parseDate,
+  findByIdOrName
+};
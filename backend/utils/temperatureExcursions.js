@@ -0,0 +1,176 @@
+// Motor de excursiones de temperatura: analiza la serie de lecturas de cada cámara.
+//
+// Una excursión es una racha de lecturas consecutivas fuera del rango de la cámara en el mismo
+// sentido (por encima de maxTemp o por debajo de minTemp). Termina con la primera lectura de nuevo
+// dentro de rango; su duración va desde la primera lectura fuera de rango hasta esa lectura,
+// o hasta la última lectura si sigue en curso.
+//
+// Al guardar o eliminar lecturas solo se revisa el tramo de la serie que pueden cambiar: desde la
+// última lectura dentro de rango anterior a ellas hasta la primera posterior.
+
+const StorageRecord = require('../models/StorageRecord');
+const StorageUnit = require('../models/StorageUnit');
+const TemperatureExcursion = require('../models/TemperatureExcursion');
+
+const MINUTE_MS = 60 * 1000;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Sentido, límite superado y desviación de una lectura (null si está dentro de rango)
+const readingDeviation = (unit, temperature) => {
+  if (unit.maxTemp != null && temperature > unit.maxTemp) {
+    return { direction: 'above', limit: unit.maxTemp, deviation: temperature - unit.maxTemp };
+  }
+  if (unit.minTemp != null && temperature < unit.minTemp) {
+    return { direction: 'below', limit: unit.minTemp, deviation: unit.minTemp - temperature };
+  }
+  return null;
+};
+
+// Excursiones de una serie de lecturas ordenada por fecha
+const detectExcursions = (unit, records) => {
+  const excursions = [];
+  let current = null;
+
+  const finish = (endedAt) => {
+    const end = endedAt || current.lastReadingAt;
+    excursions.push({
+      ...current,
+      peakDeviation: round(current.peakDeviation),
+      endedAt,
+      durationMinutes: Math.round((new Date(end) - new Date(current.startedAt)) / MINUTE_MS)
+    });
+    current = null;
+  };
+
+  records.forEach(record => {
+    const reading = readingDeviation(unit, record.temperature);
+    if (current && (!reading || reading.direction !== current.direction)) finish(record.dateTime);
+    if (!reading) return;
+
+    if (!current) {
+      current = {
+        direction: reading.direction,
+        limit: reading.limit,
+        startedAt: record.dateTime,
+        lastReadingAt: record.dateTime,
+        peakTemperature: record.temperature,
+        peakDeviation: reading.deviation,
+        readingsCount: 0
+      };
+    }
+
+    current.lastReadingAt = record.dateTime;
+    current.readingsCount += 1;
+    if (reading.deviation > current.peakDeviation) {
+      current.peakDeviation = reading.deviation;
+      current.peakTemperature = record.temperature;
+    }
+  });
+
+  if (current) finish(null);
+  return excursions;
+};
+
+// Filtro de las lecturas dentro del rango de la cámara
+const inRangeFilter = (unit) => {
+  const temperature = {};
+  if (unit.minTemp != null) temperature.$gte = unit.minTemp;
+  if (unit.maxTemp != null) temperature.$lte = unit.maxTemp;
+  return Object.keys(temperature).length > 0 ? { temperature } : {};
+};
+
+// Lecturas dentro de rango que delimitan el tramo afectado por cambios entre `from` y `to`
+// (null si no hay ninguna antes o después). Las excursiones fuera del tramo no pueden cambiar.
+const findSyncBounds = async (unit, { from, to }) => {
+  const filter = { organizationId: unit.organizationId, unitId: unit._id, ...inRangeFilter(unit) };
+
+  return Promise.all([
+    from
+      ? StorageRecord.findOne({ ...filter, dateTime: { $lt: new Date(from) } }).sort({ dateTime: -1, _id: -1 }).select('dateTime').lean()
+      : null,
+    to
+      ? StorageRecord.findOne({ ...filter, dateTime: { $gt: new Date(to) } }).sort({ dateTime: 1, _id: 1 }).select('dateTime').lean()
+      : null
+  ]);
+};
+
+// Una excursión registrada corresponde a una detectada si tienen el mismo sentido y sus lecturas se solapan
+const overlaps = (excursion, detected) => (
+  excursion.direction === detected.direction &&
+  excursion.startedAt <= detected.lastReadingAt &&
+  excursion.lastReadingAt >= detected.startedAt
+);
+
+// Recalcula las excursiones de una cámara: toda la serie o, si se indica, solo el tramo que pueden
+// cambiar las lecturas entre `from` y `to`. Las ya registradas se identifican por el periodo que
+// comparten con las detectadas, de modo que conservan su estado y su acción correctiva.
+const syncUnitExcursions = async (organizationId, unitId, { from, to } = {}) => {
+  const unit = await StorageUnit.findOne({ _id: unitId, organizationId });
+  if (!unit) return [];
+
+  const [before, after] = await findSyncBounds(unit, { from, to });
+  const bounds = {};
+  if (before) bounds.$gte = before.dateTime;
+  if (after) bounds.$lte = after.dateTime;
+
+  const recordFilter = { organizationId, unitId: unit._id };
+  const excursionFilter = { organizationId, unitId: unit._id };
+  if (before || after) {
+    recordFilter.dateTime = { ...bounds };
+    excursionFilter.startedAt = { ...bounds };
+  }
+
+  const [windowRecords, existing] = await Promise.all([
+    StorageRecord.find(recordFilter)
+      .sort({ dateTime: 1, _id: 1 })
+      .select('dateTime temperature')
+      .lean(),
+    TemperatureExcursion.find(excursionFilter).sort({ startedAt: 1 })
+  ]);
+
+  // Las lecturas con la misma fecha que los límites pero ordenadas fuera de ellos no son del tramo
+  const indexOf = (bound) => (bound ? windowRecords.findIndex(record => record._id.equals(bound._id)) : -1);
+  const first = indexOf(before);
+  const last = indexOf(after);
+  const records = windowRecords.slice(Math.max(first, 0), last === -1 ? windowRecords.length : last + 1);
+
+  const kept = new Set();
+  const excursions = [];
+  for (const detected of detectExcursions(unit, records)) {
+    const match = existing.find(excursion => !kept.has(excursion.id) && overlaps(excursion, detected));
+
+    const excursion = match || new TemperatureExcursion({ organizationId, unitId: unit._id });
+    excursion.set(detected);
+    kept.add(excursion.id);
+    excursions.push(excursion.isNew || excursion.isModified() ? await excursion.save() : excursion);
+  }
+
+  // Las que ya no aparecen en la serie (lecturas editadas o eliminadas) se descartan si nadie
+  // las había gestionado; las reconocidas o cerradas se conservan como constancia
+  const stale = existing.filter(excursion => !kept.has(excursion.id) && excursion.status === 'Abierta');
+  if (stale.length > 0) {
+    await TemperatureExcursion.deleteMany({ _id: { $in: stale.map(excursion => excursion._id) } });
+  }
+
+  return excursions;
+};
+
+// Recalcula las excursiones de las cámaras indicadas (o de todas las de la organización),
+// opcionalmente solo en torno a las lecturas entre `from` y `to`
+const syncExcursions = async (organizationId, unitIds, options = {}) => {
+  const ids = unitIds || (await StorageUnit.find({ organizationId }).select('_id').lean()).map(unit => unit._id);
+  const uniqueIds = [...new Set(ids.map(String))];
+
+  let total = 0;
+  for (const unitId of uniqueIds) {
+    total += (await syncUnitExcursions(organizationId, unitId, options)).length;
+  }
+  return { units: uniqueIds.length, excursions: total };
+};
+
+module.exports = {
+  detectExcursions,
+  syncUnitExcursions,
+  syncExcursions
+};
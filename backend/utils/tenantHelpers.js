@@ -0,0 +1,22 @@
+// Utilidades para resolver entidades dentro del contexto de la organización (tenant)
+const User = require('../models/User');
+
+// Devuelve el usuario indicado si pertenece a la organización, o el usuario autenticado si no se indica ninguno
+const findOrganizationUser = async (req, userId) => {
+  if (!userId) {
+    return { _id: req.user.id, name: req.user.name };
+  }
+
+  return User.findOne({ _id: userId, organizationId: req.tenantId }).select('name');
+};
+
+// Mapa id → documento de la organización (para resolver nombres a partir de ids guardados como texto)
+const loadOrganizationMap = async (Model, organizationId, fields) => {
+  const docs = await Model.find({ organizationId }).select(fields).lean();
+  return new Map(docs.map(doc => [doc._id.toString(), doc]));
+};
+
+module.exports = {
+  findOrganizationUser,
+  loadOrganizationMap
+};
@@ -0,0 +1,51 @@
+// Certificados de formación próximos a caducar.
+//
+// Para cada trabajador activo y curso se toma el certificado con la caducidad más lejana: si el
+// trabajador ya renovó la formación, el certificado anterior no genera aviso. Se incluyen los ya
+// caducados (días restantes negativos) porque el trabajador sigue sin formación vigente.
+
+const User = require('../models/User');
+const TrainingRecord = require('../models/TrainingRecord');
+
+// Días de antelación con los que se avisa por defecto
+const DEFAULT_EXPIRY_WARNING_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Avisos ordenados por fecha de caducidad, del más urgente al menos urgente
+const getExpiringTrainings = async (organizationId, days = DEFAULT_EXPIRY_WARNING_DAYS, now = new Date()) => {
+  const users = await User.find({ organizationId, isActive: true }).select('name');
+  const usersMap = new Map(users.map(user => [user._id.toString(), user]));
+
+  const records = await TrainingRecord.find({
+    organizationId,
+    userId: { $in: users.map(user => user._id) },
+    expiryDate: { $ne: null }
+  }).sort({ expiryDate: -1 });
+
+  const latestByCourse = new Map();
+  records.forEach(record => {
+    const key = `${record.userId}|${record.course.toLowerCase()}`;
+    if (!latestByCourse.has(key)) latestByCourse.set(key, record);
+  });
+
+  const limit = now.getTime() + days * DAY_MS;
+
+  return [...latestByCourse.values()]
+    .filter(record => record.expiryDate.getTime() <= limit)
+    .sort((a, b) => a.expiryDate - b.expiryDate)
+    .map(record => ({
+      recordId: record._id,
+      userId: record.userId,
+      userName: usersMap.get(record.userId.toString()).name,
+      course: record.course,
+      expiryDate: record.expiryDate,
+      daysLeft: Math.ceil((record.expiryDate.getTime() - now.getTime()) / DAY_MS),
+      isExpired: record.expiryDate < now
+    }));
+};
+
+module.exports = {
+  DEFAULT_EXPIRY_WARNING_DAYS,
+  getExpiringTrainings
+};
@@ -120,15 +120,43 @@ const DashboardWrapper: React.FC = () => {
     suppliers,
     productTypes,
     storageUnits,
+    catalogs,
     dailySurfaces,
     dailyCleaningRecords,
     frequentAreas,
+    cleaningTasks,
+    chemicalProducts,
+    pestStations,
+    pestControlVisits,
+    waterPoints,
+    waterRecords,
+    waterAnalyses,
+    fryers,
+    fryingOilEvents,
+    fryingOilAlerts,
+    expiringTrainings,
     costings,
     outgoingRecords,
     elaboratedRecords,
+    incidents,
+    excursions,
+    missedChecks,
+    dataLoggers,
+    listPagination,
+    deliveryStats,
+    storageStats,
     establishmentInfo,
     isLoading,
     // Métodos para manejar datos
+    exportRecords,
+    importRecords,
+    searchRecords,
+    loadMoreRecords,
+    filterDeliveryRecords,
+    filterStorageRecords,
+    getLots,
+    getLotGenealogy,
+    getRecallReport,
     addDeliveryRecord,
     deleteDeliveryRecord,
     addStorageRecord,
@@ -140,7 +168,73 @@ const DashboardWrapper: React.FC = () => {
     addProductType,
     deleteProductType,
     addStorageUnit,
+    updateStorageUnit,
     deleteStorageUnit,
+    updateCatalog,
+    resetCatalog,
+    addDailySurface,
+    updateDailySurface,
+    deleteDailySurface,
+    addDailyCleaningRecord,
+    deleteDailyCleaningRecord,
+    addFrequentArea,
+    updateFrequentArea,
+    deleteFrequentArea,
+    cleanFrequentArea,
+    addChemicalProduct,
+    updateChemicalProduct,
+    deleteChemicalProduct,
+    uploadChemicalDocument,
+    downloadChemicalDocument,
+    deleteChemicalDocument,
+    addPestStation,
+    updatePestStation,
+    deletePestStation,
+    addPestControlVisit,
+    updatePestControlVisit,
+    deletePestControlVisit,
+    uploadPestControlCertificate,
+    downloadPestControlCertificate,
+    deletePestControlCertificate,
+    addWaterPoint,
+    updateWaterPoint,
+    deleteWaterPoint,
+    addWaterRecord,
+    deleteWaterRecord,
+    addWaterAnalysis,
+    updateWaterAnalysis,
+    deleteWaterAnalysis,
+    uploadWaterAnalysisReport,
+    downloadWaterAnalysisReport,
+    deleteWaterAnalysisReport,
+    addFryer,
+    updateFryer,
+    deleteFryer,
+    addFryingOilEvent,
+    deleteFryingOilEvent,
+    addCosting,
+    updateCosting,
+    updateCostingSalePrices,
+    deleteCosting,
+    getCostingHistory,
+    addOutgoingRecord,
+    deleteOutgoingRecord,
+    addElaboratedRecord,
+    deleteElaboratedRecord,
+    addIncident,
+    changeIncidentStatus,
+    deleteIncident,
+    addCorrectiveAction,
+    updateCorrectiveAction,
+    deleteCorrectiveAction,
+    changeExcursionStatus,
+    justifyMissedCheck,
+    addDataLogger,
+    regenerateDataLoggerToken,
+    setDataLoggerActive,
+    deleteDataLogger,
+    uploadDataLoggerFile,
+    getStorageSeries,
     updateEstablishmentInfo,
   } = useAppData();
 
@@ -193,6 +287,7 @@ const DashboardWrapper: React.FC = () => {
       onDeleteUser={() => {}} // TODO: Implementar con OrganizationContext
       onUpdateUser={() => {}} // TODO: Implementar con OrganizationContext
       deliveryRecords={deliveryRecords}
+      deliveryStats={deliveryStats}
       onAddDeliveryRecord={addDeliveryRecord}
       onDeleteDeliveryRecord={deleteDeliveryRecord}
       establishmentInfo={establishmentInfo || {
@@ -213,31 +308,112 @@ const DashboardWrapper: React.FC = () => {
       onDeleteProductType={deleteProductType}
       storageUnits={storageUnits}
       onAddStorageUnit={addStorageUnit}
+      onUpdateStorageUnit={updateStorageUnit}
       onDeleteStorageUnit={deleteStorageUnit}
+      catalogs={catalogs}
+      onUpdateCatalog={updateCatalog}
+      onResetCatalog={resetCatalog}
       storageRecords={storageRecords}
+      storageStats={storageStats}
       onAddStorageRecord={addStorageRecord}
       onDeleteStorageRecord={deleteStorageRecord}
+      excursions={excursions}
+      onChangeExcursionStatus={changeExcursionStatus}
+      missedChecks={missedChecks}
+      onJustifyMissedCheck={justifyMissedCheck}
+      dataLoggers={dataLoggers}
+      onAddDataLogger={addDataLogger}
+      onRegenerateDataLoggerToken={regenerateDataLoggerToken}
+      onSetDataLoggerActive={setDataLoggerActive}
+      onDeleteDataLogger={deleteDataLogger}
+      onUploadDataLoggerFile={uploadDataLoggerFile}
+      onLoadStorageSeries={getStorageSeries}
       dailySurfaces={dailySurfaces}
-      onAddDailySurface={() => {}} // TODO: Implementar
-      onDeleteDailySurface={() => {}} // TODO: Implementar
+      onAddDailySurface={addDailySurface}
+      onUpdateDailySurface={updateDailySurface}
+      onDeleteDailySurface={deleteDailySurface}
       dailyCleaningRecords={dailyCleaningRecords}
-      onAddDailyCleaningRecord={() => {}} // TODO: Implementar
-      onDeleteDailyCleaningRecord={() => {}} // TODO: Implementar
+      onAddDailyCleaningRecord={addDailyCleaningRecord}
+      onDeleteDailyCleaningRecord={deleteDailyCleaningRecord}
       frequentAreas={frequentAreas}
-      onAddFrequentArea={() => {}} // TODO: Implementar
-      onDeleteFrequentArea={() => {}} // TODO: Implementar
-      onCleanFrequentArea={() => {}} // TODO: Implementar
+      onAddFrequentArea={addFrequentArea}
+      onUpdateFrequentArea={updateFrequentArea}
+      onDeleteFrequentArea={deleteFrequentArea}
+      onCleanFrequentArea={cleanFrequentArea}
+      cleaningTasks={cleaningTasks}
+      chemicalProducts={chemicalProducts}
+      onAddChemicalProduct={addChemicalProduct}
+      onUpdateChemicalProduct={updateChemicalProduct}
+      onDeleteChemicalProduct={deleteChemicalProduct}
+      onUploadChemicalDocument={uploadChemicalDocument}
+      onDownloadChemicalDocument={downloadChemicalDocument}
+      onDeleteChemicalDocument={deleteChemicalDocument}
+      pestStations={pestStations}
+      pestControlVisits={pestControlVisits}
+      onAddPestStation={addPestStation}
+      onUpdatePestStation={updatePestStation}
+      onDeletePestStation={deletePestStation}
+      onAddPestControlVisit={addPestControlVisit}
+      onUpdatePestControlVisit={updatePestControlVisit}
+      onDeletePestControlVisit={deletePestControlVisit}
+      onUploadPestControlCertificate={uploadPestControlCertificate}
+      onDownloadPestControlCertificate={downloadPestControlCertificate}
+      onDeletePestControlCertificate={deletePestControlCertificate}
+      waterPoints={waterPoints}
+      waterRecords={waterRecords}
+      waterAnalyses={waterAnalyses}
+      onAddWaterPoint={addWaterPoint}
+      onUpdateWaterPoint={updateWaterPoint}
+      onDeleteWaterPoint={deleteWaterPoint}
+      onAddWaterRecord={addWaterRecord}
+      onDeleteWaterRecord={deleteWaterRecord}
+      onAddWaterAnalysis={addWaterAnalysis}
+      onUpdateWaterAnalysis={updateWaterAnalysis}
+      onDeleteWaterAnalysis={deleteWaterAnalysis}
+      onUploadWaterAnalysisReport={uploadWaterAnalysisReport}
+      onDownloadWaterAnalysisReport={downloadWaterAnalysisReport}
+      onDeleteWaterAnalysisReport={deleteWaterAnalysisReport}
+      fryers={fryers}
+      fryingOilEvents={fryingOilEvents}
+      fryingOilAlerts={fryingOilAlerts}
+      onAddFryer={addFryer}
+      onUpdateFryer={updateFryer}
+      onDeleteFryer={deleteFryer}
+      onAddFryingOilEvent={addFryingOilEvent}
+      onDeleteFryingOilEvent={deleteFryingOilEvent}
+      expiringTrainings={expiringTrainings}
       costings={costings}
-      onSetCostings={() => {}} // TODO: Implementar
+      onAddCosting={addCosting}
+      onUpdateCosting={updateCosting}
+      onUpdateCostingSalePrices={updateCostingSalePrices}
+      onDeleteCosting={deleteCosting}
+      onLoadCostingHistory={getCostingHistory}
       outgoingRecords={outgoingRecords}
-      onAddOutgoingRecord={() => {}} // TODO: Implementar
-      onDeleteOutgoingRecord={() => {}} // TODO: Implementar
+      onAddOutgoingRecord={addOutgoingRecord}
+      onDeleteOutgoingRecord={deleteOutgoingRecord}
       elaboratedRecords={elaboratedRecords}
-      onAddElaboratedRecord={() => {}} // TODO: Implementar
-      onDeleteElaboratedRecord={() => {}} // TODO: Implementar
+      onAddElaboratedRecord={addElaboratedRecord}
+      onDeleteElaboratedRecord={deleteElaboratedRecord}
+      incidents={incidents}
+      onAddIncident={addIncident}
+      onChangeIncidentStatus={changeIncidentStatus}
+      onDeleteIncident={deleteIncident}
+      onAddCorrectiveAction={addCorrectiveAction}
+      onUpdateCorrectiveAction={updateCorrectiveAction}
+      onDeleteCorrectiveAction={deleteCorrectiveAction}
       technicalSheets={technicalSheets}
       onAddTechnicalSheet={addTechnicalSheet}
       onDeleteTechnicalSheet={deleteTechnicalSheet}
+      onExportRecords={exportRecords}
+      onImportRecords={importRecords}
+      onSearchRecords={searchRecords}
+      listPagination={listPagination}
+      onLoadMoreRecords={loadMoreRecords}
+      onFilterDeliveryRecords={filterDeliveryRecords}
+      onFilterStorageRecords={filterStorageRecords}
+      onLoadLots={getLots}
+      onLoadLotGenealogy={getLotGenealogy}
+      onLoadRecallReport={getRecallReport}
     />
     </>
   );
@@ -1,19 +1,41 @@
 import React, { useState, useMemo } from 'react';
 import { exportToPDF, exportToExcel } from './exportUtils';
-import { User, DailySurface, DailyCleaningRecord, FrequentArea, EstablishmentInfo } from './types';
+import { getErrorMessage } from './services';
+import type { ListPagination } from './services';
+import { User, DailySurface, DailyCleaningRecord, FrequentArea, CleaningTask, SurfaceFrequencyType, AreaFrequencyType, ChemicalProduct, ChemicalProductFormData, ChemicalDocumentKind, EstablishmentInfo } from './types';
+import CleaningPlanFields from './components/CleaningPlanFields';
+import ChemicalProductsPanel from './components/ChemicalProductsPanel';
+import LoadMoreButton from './components/LoadMoreButton';
+import {
+    SURFACE_FREQUENCY_TYPES, AREA_FREQUENCY_TYPES, CLEANING_TASK_STATUS_CLASSES, CLEANING_PLAN_HEADERS,
+    cleaningPlanToRows, formatFrequency, formatProduct, toPlanFormData, validatePlanForm, fromPlanFormData
+} from './utils/cleaningPlanUtils';
+import { CHEMICAL_PRODUCT_HEADERS, chemicalProductsToRows } from './utils/chemicalProductUtils';
 
 interface CleaningPageProps {
     users: User[];
     surfaces: DailySurface[];
     dailyRecords: DailyCleaningRecord[];
+    dailyRecordsPagination?: ListPagination;
+    onLoadMoreDailyRecords: () => Promise<void>;
     areas: FrequentArea[];
-    onAddSurface: (name: string) => void;
+    onAddSurface: (surface: Omit<DailySurface, 'id'>) => Promise<void>;
+    onUpdateSurface: (id: string, surface: Omit<DailySurface, 'id'>) => Promise<void>;
     onDeleteSurface: (id: string) => void;
     onCleanSurface: (record: Omit<DailyCleaningRecord, 'id'>) => void;
     onDeleteRecord: (id: string) => void;
-    onAddArea: (area: Omit<FrequentArea, 'id'>) => void;
+    onAddArea: (area: Omit<FrequentArea, 'id'>) => Promise<void>;
+    onUpdateArea: (id: string, area: Omit<FrequentArea, 'id' | 'lastCleaned'>) => Promise<void>;
     onDeleteArea: (id: string) => void;
-    onCleanArea: (id: string) => void;
+    onCleanArea: (id: string, userId?: string, productId?: string) => void;
+    tasks: CleaningTask[];
+    chemicalProducts: ChemicalProduct[];
+    onAddChemicalProduct: (data: ChemicalProductFormData) => Promise<void>;
+    onUpdateChemicalProduct: (id: string, data: ChemicalProductFormData) => Promise<void>;
+    onDeleteChemicalProduct: (id: string) => Promise<void>;
+    onUploadChemicalDocument: (id: string, kind: ChemicalDocumentKind, file: File) => Promise<void>;
+    onDownloadChemicalDocument: (id: string, kind: ChemicalDocumentKind) => Promise<{ blob: Blob; fileName: string }>;
+    onDeleteChemicalDocument: (id: string, kind: ChemicalDocumentKind) => Promise<void>;
     establishmentInfo: EstablishmentInfo;
 }
 
@@ -28,16 +50,23 @@ const calculateNextDueDate = (lastCleaned: string | null, frequencyDays: number)
 };
 
 const CleaningPage: React.FC<CleaningPageProps> = ({
-    users, surfaces, dailyRecords, areas,
-    onAddSurface, onDeleteSurface, onCleanSurface, onDeleteRecord,
-    onAddArea, onDeleteArea, onCleanArea, establishmentInfo
+    users, surfaces, dailyRecords, dailyRecordsPagination, onLoadMoreDailyRecords, areas,
+    onAddSurface, onUpdateSurface, onDeleteSurface, onCleanSurface, onDeleteRecord,
+    onAddArea, onUpdateArea, onDeleteArea, onCleanArea, tasks, chemicalProducts,
+    onAddChemicalProduct, onUpdateChemicalProduct, onDeleteChemicalProduct,
+    onUploadChemicalDocument, onDownloadChemicalDocument, onDeleteChemicalDocument, establishmentInfo
 }) => {
     // Estado de formularios y UI
-    const [newSurfaceName, setNewSurfaceName] = useState('');
+    const [surfaceName, setSurfaceName] = useState('');
+    const [surfacePlan, setSurfacePlan] = useState(() => toPlanFormData('Diaria'));
+    const [editingSurfaceId, setEditingSurfaceId] = useState<string | null>(null);
     const [cleaningUser, setCleaningUser] = useState<string>(users.length > 0 ? String(users[0].id) : '');
+    // Producto químico usado en las limpiezas que se registren (opcional)
+    const [cleaningProduct, setCleaningProduct] = useState('');
     const [isSurfaceManagementOpen, setIsSurfaceManagementOpen] = useState(false);
-    const [newAreaName, setNewAreaName] = useState('');
-    const [newAreaFrequency, setNewAreaFrequency] = useState('');
+    const [areaName, setAreaName] = useState('');
+    const [areaPlan, setAreaPlan] = useState(() => toPlanFormData('Cada X días'));
+    const [editingAreaId, setEditingAreaId] = useState<string | null>(null);
     const [isAreaManagementOpen, setIsAreaManagementOpen] = useState(false);
     const [isDailyCleaningOpen, setIsDailyCleaningOpen] = useState(true);
     const [isFrequentCleaningOpen, setIsFrequentCleaningOpen] = useState(true);
@@ -47,7 +76,24 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
 
     // Memos para visualización
     const surfacesMap = useMemo(() => new Map(surfaces.map(s => [s.id, s.name])), [surfaces]);
+    const areasMap = useMemo(() => new Map(areas.map(a => [a.id, a.name])), [areas]);
     const usersMap = useMemo(() => new Map(users.map(u => [u.id, u.name])), [users]);
+    const productsMap = useMemo(() => new Map(chemicalProducts.map(p => [p.id, p.name])), [chemicalProducts]);
+    const productNames = useMemo(() => chemicalProducts.map(p => p.name), [chemicalProducts]);
+    const selectedProductId = productsMap.has(cleaningProduct) ? cleaningProduct : '';
+    const tasksByItem = useMemo(() => new Map(tasks.map(t => [t.itemId, t])), [tasks]);
+    const planRows = useMemo(() => cleaningPlanToRows(surfaces, areas), [surfaces, areas]);
+
+    // Los registros pueden ser de una superficie diaria o de una zona de limpieza frecuente
+    const getRecordLocationName = (record: DailyCleaningRecord) => {
+        if (record.areaId) return areasMap.get(record.areaId) || 'Zona eliminada';
+        return (record.surfaceId && surfacesMap.get(record.surfaceId)) || 'Superficie eliminada';
+    };
+
+    const getRecordProductName = (record: DailyCleaningRecord) => {
+        if (!record.productId) return '';
+        return productsMap.get(record.productId) || 'Producto eliminado';
+    };
 
     const filteredDailyRecords = useMemo(() => {
         return dailyRecords.filter(record => {
@@ -60,11 +106,35 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
     }, [dailyRecords, startDate, endDate]);
 
     // Handlers: Limpieza Diaria
-    const handleAddSurface = (e: React.FormEvent) => {
+    const resetSurfaceForm = () => {
+        setSurfaceName('');
+        setSurfacePlan(toPlanFormData('Diaria'));
+        setEditingSurfaceId(null);
+    };
+
+    const handleSubmitSurface = async (e: React.FormEvent) => {
         e.preventDefault();
-        if (!newSurfaceName.trim()) { alert('El nombre de la superficie no puede estar vacío.'); return; }
-        onAddSurface(newSurfaceName.trim());
-        setNewSurfaceName('');
+        if (!surfaceName.trim()) { alert('El nombre de la superficie no puede estar vacío.'); return; }
+        const planError = validatePlanForm(surfacePlan);
+        if (planError) { alert(planError); return; }
+
+        const surface = { name: surfaceName.trim(), ...fromPlanFormData<SurfaceFrequencyType>(surfacePlan) };
+        try {
+            if (editingSurfaceId) {
+                await onUpdateSurface(editingSurfaceId, surface);
+            } else {
+                await onAddSurface(surface);
+            }
+            resetSurfaceForm();
+        } catch (error) {
+            alert(`No se pudo guardar la superficie.\n${getErrorMessage(error)}`);
+        }
+    };
+
+    const handleEditSurface = (surface: DailySurface) => {
+        setSurfaceName(surface.name);
+        setSurfacePlan(toPlanFormData('Diaria', surface));
+        setEditingSurfaceId(surface.id);
     };
 
     const handleDeleteSurface = (id: string) => {
@@ -82,6 +152,7 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
             surfaceId: surfaceId,
             dateTime: new Date().toISOString(),
             userId: cleaningUser,
+            productId: selectedProductId || null,
         });
         alert(`Limpieza de "${surfacesMap.get(surfaceId)}" registrada.`);
     };
@@ -93,16 +164,39 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
     };
 
     // Handlers: Limpieza Frecuente
-    const handleAddArea = (e: React.FormEvent) => {
+    const resetAreaForm = () => {
+        setAreaName('');
+        setAreaPlan(toPlanFormData('Cada X días'));
+        setEditingAreaId(null);
+    };
+
+    const handleSubmitArea = async (e: React.FormEvent) => {
         e.preventDefault();
-        if (!newAreaName.trim() || !newAreaFrequency.trim() || parseInt(newAreaFrequency) < 1) { alert('Por favor, complete todos los campos con valores válidos.'); return; }
-        onAddArea({
-            name: newAreaName.trim(),
-            frequencyDays: parseInt(newAreaFrequency, 10),
-            lastCleaned: null
-        });
-        setNewAreaName('');
-        setNewAreaFrequency('');
+        if (!areaName.trim()) { alert('El nombre de la zona no puede estar vacío.'); return; }
+        const planError = validatePlanForm(areaPlan);
+        if (planError) { alert(planError); return; }
+
+        const area = {
+            name: areaName.trim(),
+            frequencyDays: areaPlan.frequencyType === 'Cada X días' ? parseInt(areaPlan.frequencyDays, 10) : null,
+            ...fromPlanFormData<AreaFrequencyType>(areaPlan)
+        };
+        try {
+            if (editingAreaId) {
+                await onUpdateArea(editingAreaId, area);
+            } else {
+                await onAddArea({ ...area, lastCleaned: null });
+            }
+            resetAreaForm();
+        } catch (error) {
+            alert(`No se pudo guardar la zona.\n${getErrorMessage(error)}`);
+        }
+    };
+
+    const handleEditArea = (area: FrequentArea) => {
+        setAreaName(area.name);
+        setAreaPlan(toPlanFormData('Cada X días', area));
+        setEditingAreaId(area.id);
     };
     
     const handleDeleteArea = (id: string) => {
@@ -112,16 +206,30 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
     };
 
     const handleCleanArea = (areaId: string) => {
-        onCleanArea(areaId);
+        if (!cleaningUser) {
+            alert('Por favor, seleccione un usuario antes de registrar una limpieza.');
+            return;
+        }
+        onCleanArea(areaId, cleaningUser, selectedProductId || undefined);
         alert(`Limpieza de "${areas.find(a=>a.id === areaId)?.name}" registrada.`);
     };
 
+    // Tareas del plan: cada una se marca como una superficie o una zona limpiada
+    const handleCleanTask = (task: CleaningTask) => {
+        if (task.itemType === 'area') {
+            handleCleanArea(task.itemId);
+        } else {
+            handleCleanSurface(task.itemId);
+        }
+    };
+
     // Handlers: Exportación
     const handleExportPDF = () => {
-        const headers = ["Fecha y Hora", "Superficie", "Usuario"];
+        const headers = ["Fecha y Hora", "Superficie", "Producto", "Usuario"];
         const data = filteredDailyRecords.map(r => [
             new Date(r.dateTime).toLocaleString('es-ES'),
-            surfacesMap.get(r.surfaceId) || 'Superficie eliminada',
+            getRecordLocationName(r),
+            getRecordProductName(r),
             usersMap.get(r.userId) || 'Usuario eliminado'
         ]);
         exportToPDF("Historial de Limpieza Diaria", headers, data, "historial_limpieza_diaria", establishmentInfo);
@@ -130,12 +238,30 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
     const handleExportExcel = () => {
         const data = filteredDailyRecords.map(r => ({
             "Fecha y Hora": new Date(r.dateTime).toLocaleString('es-ES'),
-            "Superficie": surfacesMap.get(r.surfaceId) || 'Superficie eliminada',
+            "Superficie": getRecordLocationName(r),
+            "Producto": getRecordProductName(r),
             "Usuario": usersMap.get(r.userId) || 'Usuario eliminado'
         }));
         exportToExcel(data, "historial_limpieza_diaria");
     };
 
+    // Documento oficial del Plan L+D con los registros de limpieza del rango de fechas del historial
+    // y el registro de productos químicos como anexo
+    const handleExportPlanPDF = () => {
+        const recordRows = filteredDailyRecords.map(r => [
+            new Date(r.dateTime).toLocaleString('es-ES'),
+            getRecordLocationName(r),
+            getRecordProductName(r),
+            usersMap.get(r.userId) || 'Usuario eliminado'
+        ]);
+        exportToPDF("Plan de Limpieza y Desinfección (L+D)", CLEANING_PLAN_HEADERS, planRows, "plan_limpieza_desinfeccion", establishmentInfo, [
+            { title: 'Registros de limpieza', headers: ["Fecha y Hora", "Superficie / Zona", "Producto", "Usuario"], data: recordRows },
+            ...(chemicalProducts.length > 0
+                ? [{ title: 'Anexo: Productos químicos', headers: CHEMICAL_PRODUCT_HEADERS, data: chemicalProductsToRows(chemicalProducts) }]
+                : [])
+        ]);
+    };
+
     return (
         <>
             <h1>Limpieza e Higiene</h1>
@@ -146,6 +272,53 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
                          {users.map(user => <option key={user.id} value={user.id}>{user.name}</option>)}
                     </select>
                 </div>
+                <div className="form-group" style={{maxWidth: '400px', margin: '15px 0 0'}}>
+                    <label htmlFor="cleaning-product"><strong>Producto utilizado</strong></label>
+                    <select id="cleaning-product" value={selectedProductId} onChange={e => setCleaningProduct(e.target.value)}>
+                        <option value="">Sin indicar</option>
+                        {chemicalProducts.map(product => <option key={product.id} value={product.id}>{product.name} ({product.use})</option>)}
+                    </select>
+                </div>
+            </div>
+
+            {/* --- TAREAS DE HOY (PLAN L+D) --- */}
+            <div className="card cleaning-tasks">
+                <h2>Tareas de Hoy</h2>
+                {tasks.length > 0 ? (
+                    <div style={{overflowX: 'auto'}}>
+                        <table className="user-table">
+                            <thead>
+                                <tr>
+                                    <th>Superficie / Zona</th>
+                                    <th>Frecuencia</th>
+                                    <th>Producto y dilución</th>
+                                    <th>Responsable</th>
+                                    <th>Estado</th>
+                                    <th>Acciones</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {tasks.map(task => (
+                                    <tr key={`${task.itemType}-${task.itemId}`}>
+                                        <td data-label="Superficie / Zona">{task.name}</td>
+                                        <td data-label="Frecuencia">{formatFrequency(task)}</td>
+                                        <td data-label="Producto y dilución">{formatProduct(task) || '-'}</td>
+                                        <td data-label="Responsable">{task.responsibleRole || '-'}</td>
+                                        <td data-label="Estado">
+                                            <span className={`incident-badge ${CLEANING_TASK_STATUS_CLASSES[task.status]}`}>{task.status}</span>
+                                            {task.status === 'Tras cada uso' && task.completions > 0 && ` ${task.completions} hoy`}
+                                        </td>
+                                        <td data-label="Acciones">
+                                            {task.status !== 'Realizada' && (
+                                                <button className="btn-view-photo" onClick={() => handleCleanTask(task)} disabled={!cleaningUser}>Limpiado</button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : <p>No hay limpiezas programadas para hoy en el Plan L+D.</p>}
             </div>
 
             <div className="page-grid">
@@ -190,17 +363,22 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
                         </h3>
                          <div className={`collapsible-content ${isSurfaceManagementOpen ? 'open' : ''}`}>
                             <div className="collapsible-content-inner">
-                                <form onSubmit={handleAddSurface}>
+                                <form onSubmit={handleSubmitSurface}>
                                     <div className="form-group">
-                                        <label htmlFor="new-surface-name">Añadir nueva superficie</label>
-                                        <input type="text" id="new-surface-name" value={newSurfaceName} onChange={e => setNewSurfaceName(e.target.value)} placeholder="Ej: Tabla de cortar roja" required />
+                                        <label htmlFor="new-surface-name">{editingSurfaceId ? 'Editar superficie' : 'Añadir nueva superficie'}</label>
+                                        <input type="text" id="new-surface-name" value={surfaceName} onChange={e => setSurfaceName(e.target.value)} placeholder="Ej: Tabla de cortar roja" required />
                                     </div>
-                                    <button type="submit" className="btn-submit">Añadir</button>
+                                    <CleaningPlanFields idPrefix="surface-plan" value={surfacePlan} frequencyTypes={SURFACE_FREQUENCY_TYPES} productSuggestions={productNames} onChange={setSurfacePlan} />
+                                    <button type="submit" className="btn-submit">{editingSurfaceId ? 'Guardar cambios' : 'Añadir'}</button>
+                                    {editingSurfaceId && <button type="button" className="btn-delete" style={{marginTop: '10px'}} onClick={resetSurfaceForm}>Cancelar</button>}
                                 </form>
                                  {surfaces.map(s => (
                                     <div key={s.id} className="units-list-item" style={{backgroundColor: 'transparent', padding: '10px 0'}}>
-                                        <span>{s.name}</span>
-                                        <button className="btn-delete" onClick={() => handleDeleteSurface(s.id)}>Eliminar</button>
+                                        <span>{s.name} ({formatFrequency(s)})</span>
+                                        <div className="logger-actions">
+                                            <button className="btn-view-photo" onClick={() => handleEditSurface(s)}>Editar</button>
+                                            <button className="btn-delete" onClick={() => handleDeleteSurface(s.id)}>Eliminar</button>
+                                        </div>
                                     </div>
                                  ))}
                             </div>
@@ -225,14 +403,20 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
                             <div className="units-list" style={{flexGrow: 1, overflowY: 'auto'}}>
                                 <h3>Zonas a Limpiar</h3>
                                 {areas.length > 0 ? areas.map(area => {
-                                    const nextDueDate = calculateNextDueDate(area.lastCleaned, area.frequencyDays);
+                                    // Las zonas con días de la semana toman el estado de la tarea de hoy
+                                    const isWeekly = area.frequencyType === 'Días de la semana';
+                                    const todayTask = tasksByItem.get(area.id);
+                                    const nextDueDate = isWeekly ? null : calculateNextDueDate(area.lastCleaned, area.frequencyDays || 0);
                                     const today = new Date();
                                     today.setHours(0,0,0,0);
                                     
                                     let statusClass = '';
                                     let statusText = 'OK';
                                     
-                                    if (nextDueDate) {
+                                    if (isWeekly && todayTask && todayTask.status !== 'Realizada') {
+                                        statusClass = 'status-due';
+                                        statusText = 'TOCA HOY';
+                                    } else if (nextDueDate) {
                                         nextDueDate.setHours(0,0,0,0);
                                         const timeDiff = nextDueDate.getTime() - today.getTime();
                                         const dayDiff = Math.ceil(timeDiff / (1000 * 3600 * 24));
@@ -256,7 +440,7 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
                                                 <button className="btn-submit" style={{width: 'auto', padding: '8px 15px', marginTop: 0}} onClick={() => handleCleanArea(area.id)} disabled={!cleaningUser}>Limpiado</button>
                                             </div>
                                             <div className="item-meta-info">
-                                                <span>Frecuencia: <strong>Cada {area.frequencyDays} días</strong></span>
+                                                <span>Frecuencia: <strong>{formatFrequency(area)}</strong></span>
                                                 <span>Última vez: <strong>{area.lastCleaned ? new Date(area.lastCleaned).toLocaleDateString('es-ES') : 'Nunca'}</strong></span>
                                                 <span className="status-text">{statusText}</span>
                                             </div>
@@ -279,21 +463,22 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
                         </h3>
                          <div className={`collapsible-content ${isAreaManagementOpen ? 'open' : ''}`}>
                             <div className="collapsible-content-inner">
-                                <form onSubmit={handleAddArea}>
+                                <form onSubmit={handleSubmitArea}>
                                     <div className="form-group">
-                                        <label htmlFor="new-area-name">Nombre de la zona</label>
-                                        <input type="text" id="new-area-name" value={newAreaName} onChange={e => setNewAreaName(e.target.value)} placeholder="Ej: Almacén seco" required />
+                                        <label htmlFor="new-area-name">{editingAreaId ? 'Editar zona' : 'Nombre de la zona'}</label>
+                                        <input type="text" id="new-area-name" value={areaName} onChange={e => setAreaName(e.target.value)} placeholder="Ej: Almacén seco" required />
                                     </div>
-                                    <div className="form-group">
-                                        <label htmlFor="new-area-freq">Frecuencia de limpieza (días)</label>
-                                        <input type="number" min="1" id="new-area-freq" value={newAreaFrequency} onChange={e => setNewAreaFrequency(e.target.value)} placeholder="Ej: 7" required />
-                                    </div>
-                                    <button type="submit" className="btn-submit">Añadir</button>
+                                    <CleaningPlanFields idPrefix="area-plan" value={areaPlan} frequencyTypes={AREA_FREQUENCY_TYPES} productSuggestions={productNames} onChange={setAreaPlan} />
+                                    <button type="submit" className="btn-submit">{editingAreaId ? 'Guardar cambios' : 'Añadir'}</button>
+                                    {editingAreaId && <button type="button" className="btn-delete" style={{marginTop: '10px'}} onClick={resetAreaForm}>Cancelar</button>}
                                 </form>
                                 {areas.map(a => (
                                     <div key={a.id} className="units-list-item" style={{backgroundColor: 'transparent', padding: '10px 0'}}>
-                                        <span>{a.name} (Cada {a.frequencyDays} días)</span>
-                                        <button className="btn-delete" onClick={() => handleDeleteArea(a.id)}>Eliminar</button>
+                                        <span>{a.name} ({formatFrequency(a)})</span>
+                                        <div className="logger-actions">
+                                            <button className="btn-view-photo" onClick={() => handleEditArea(a)}>Editar</button>
+                                            <button className="btn-delete" onClick={() => handleDeleteArea(a.id)}>Eliminar</button>
+                                        </div>
                                     </div>
                                 ))}
                             </div>
@@ -302,6 +487,46 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
                 </div>
             </div>
 
+            {/* --- PLAN L+D --- */}
+            <div className="card cleaning-plan">
+                <h2>Plan de Limpieza y Desinfección</h2>
+                <p style={{color: '#6c757d'}}>El documento incluye los registros de limpieza del rango de fechas seleccionado en el historial.</p>
+                <div className="export-buttons" style={{marginBottom: '15px'}}>
+                    <button className="btn-export btn-pdf" onClick={handleExportPlanPDF} disabled={planRows.length === 0}>
+                        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+                        Plan L+D
+                    </button>
+                </div>
+                {planRows.length > 0 ? (
+                    <div style={{overflowX: 'auto'}}>
+                        <table className="user-table">
+                            <thead>
+                                <tr>{CLEANING_PLAN_HEADERS.map(header => <th key={header}>{header}</th>)}</tr>
+                            </thead>
+                            <tbody>
+                                {planRows.map((row, index) => (
+                                    <tr key={index}>
+                                        {row.map((cell, cellIndex) => <td key={CLEANING_PLAN_HEADERS[cellIndex]} data-label={CLEANING_PLAN_HEADERS[cellIndex]}>{cell || '-'}</td>)}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : <p>Añada superficies y zonas para definir el plan.</p>}
+            </div>
+
+            {/* --- PRODUCTOS QUÍMICOS --- */}
+            <ChemicalProductsPanel
+                products={chemicalProducts}
+                establishmentInfo={establishmentInfo}
+                onAdd={onAddChemicalProduct}
+                onUpdate={onUpdateChemicalProduct}
+                onDelete={onDeleteChemicalProduct}
+                onUploadDocument={onUploadChemicalDocument}
+                onDownloadDocument={onDownloadChemicalDocument}
+                onDeleteDocument={onDeleteChemicalDocument}
+            />
+
             {/* --- HISTORIAL DIARIO --- */}
             <div className="card">
                 <h2>Historial de Limpieza Diaria</h2>
@@ -341,7 +566,7 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
                             <tbody>
                                 {filteredDailyRecords.map(record => {
                                     const isExpanded = expandedRecordId === record.id;
-                                    const surfaceName = surfacesMap.get(record.surfaceId) || 'Superficie eliminada';
+                                    const surfaceName = getRecordLocationName(record);
                                     const userName = usersMap.get(record.userId) || 'Usuario eliminado';
                                     const formattedDate = new Date(record.dateTime).toLocaleString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
 
@@ -364,6 +589,7 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
                                                     <td colSpan={3}>
                                                         <div className="record-details">
                                                             <div><strong>Usuario</strong><span>{userName}</span></div>
+                                                            <div><strong>Producto</strong><span>{getRecordProductName(record) || 'Sin indicar'}</span></div>
                                                             <div className="detail-actions">
                                                                 <strong>Acciones</strong>
                                                                 <div>
@@ -386,6 +612,7 @@ const CleaningPage: React.FC<CleaningPageProps> = ({
                         </table>
                     </div>
                 ) : <p>No hay registros de limpieza diaria para el rango de fechas seleccionado.</p>}
+                <LoadMoreButton pagination={dailyRecordsPagination} loadedCount={dailyRecords.length} onLoadMore={onLoadMoreDailyRecords} />
             </div>
         </>
     );
@@ -4,15 +4,29 @@ import UsersPage from './UsersPage';
 import StoragePage from './StoragePage';
 import ReceptionPage from './ReceptionPage';
 import CleaningPage from './CleaningPage';
+import PestControlPage from './PestControlPage';
+import WaterPage from './WaterPage';
+import FryingOilPage from './FryingOilPage';
 import EscandallosPage from './EscandallosPage';
 import { TraceabilityPage } from './TraceabilityPage';
+import RecallPage from './RecallPage';
+import ExcursionsPanel from './components/ExcursionsPanel';
+import MissedChecksPanel from './components/MissedChecksPanel';
 import Hamburger from './Hamburger';
 import TechnicalSheetsPage from './TechnicalSheetsPage';
+import IncidentsPage from './IncidentsPage';
 import HelpButton from './HelpButton';
 import HelpModal from './HelpModal';
 import SettingsPage from './SettingsPage';
 import { OrganizationSettingsPage, UserManagementPage, OrganizationDashboard } from './components/organization';
-import { User, Supplier, ProductType, DeliveryRecord, StorageUnit, StorageRecord, DailySurface, DailyCleaningRecord, FrequentArea, Costing, OutgoingRecord, ElaboratedRecord, TechnicalSheet, EstablishmentInfo } from './types';
+import { STATS_PERIOD_DAYS, TRAINING_EXPIRY_WARNING_DAYS } from './contexts';
+import type { PagedRecordList } from './contexts';
+import { getActiveExcursions } from './utils/excursionUtils';
+import { getPendingMissedChecks } from './utils/missedCheckUtils';
+import { getPendingCleaningTasks } from './utils/cleaningPlanUtils';
+import { SEARCH_RESULTS_LIMIT } from './components/RecordSearchBar';
+import type { StatsResponse, RecordsFilters, RecordsListResponse, ListPagination, ExportableRecordType, ExportFormat, ImportResult, SearchableRecordType, LoggerIngestResult } from './services';
+import { User, Supplier, ProductType, DeliveryRecord, CatalogKey, ConfigCatalogs, StorageUnit, StorageRecord, DailySurface, DailyCleaningRecord, FrequentArea, CleaningTask, ChemicalProduct, ChemicalProductFormData, ChemicalDocumentKind, PestStation, PestStationFormData, PestControlVisit, PestControlVisitFormData, WaterSamplingPoint, WaterSamplingPointFormData, WaterRecord, WaterRecordFormData, WaterAnalysis, WaterAnalysisFormData, Fryer, FryerFormData, FryingOilEvent, FryingOilEventFormData, FryingOilAlert, ExpiringTraining, Costing, CostingHistoryEntry, OutgoingRecord, ElaboratedRecord, LotSourceType, LotOption, LotGenealogy, RecallDirection, RecallReport, TemperatureExcursion, ExcursionStatus, MissedCheck, DataLogger, DataLoggerFormData, StorageSeries, Incident, IncidentFormData, IncidentStatus, CorrectiveActionFormData, TechnicalSheet, EstablishmentInfo } from './types';
 
 // --- PROPS INTERFACE ---
 interface DashboardProps {
@@ -26,50 +40,124 @@ interface DashboardProps {
   onAddSupplier: (name: string) => void;
   onDeleteSupplier: (id: string) => void;
   productTypes: ProductType[];
-  onAddProductType: (name: string, temp: number) => void;
+  onAddProductType: (productType: Omit<ProductType, 'id'>) => void;
   onDeleteProductType: (id: string) => void;
   deliveryRecords: DeliveryRecord[];
+  deliveryStats: StatsResponse | null;
   onAddDeliveryRecord: (record: Omit<DeliveryRecord, 'id' | 'userId'>) => void;
-  onDeleteDeliveryRecord: (id: string) => void;
+  onDeleteDeliveryRecord: (id: string) => Promise<void>;
   storageUnits: StorageUnit[];
   onAddStorageUnit: (unit: Omit<StorageUnit, 'id'>) => void;
-  onDeleteStorageUnit: (id: string) => void;
+  onUpdateStorageUnit: (id: string, unit: Partial<StorageUnit>) => Promise<void>;
+  onDeleteStorageUnit: (id: string) => Promise<void>;
+  catalogs: ConfigCatalogs;
+  onUpdateCatalog: (catalog: CatalogKey, items: string[]) => Promise<void>;
+  onResetCatalog: (catalog: CatalogKey) => Promise<void>;
   storageRecords: StorageRecord[];
+  storageStats: StatsResponse[];
   onAddStorageRecord: (record: Omit<StorageRecord, 'id' | 'userId'>) => void;
   onDeleteStorageRecord: (id: string) => void;
+  excursions: TemperatureExcursion[];
+  onChangeExcursionStatus: (id: string, status: ExcursionStatus, correctiveAction?: string) => Promise<void>;
+  missedChecks: MissedCheck[];
+  onJustifyMissedCheck: (id: string, justification: string) => Promise<void>;
+  dataLoggers: DataLogger[];
+  onAddDataLogger: (data: DataLoggerFormData) => Promise<string>;
+  onRegenerateDataLoggerToken: (id: string) => Promise<string>;
+  onSetDataLoggerActive: (id: string, isActive: boolean) => Promise<void>;
+  onDeleteDataLogger: (id: string) => Promise<void>;
+  onUploadDataLoggerFile: (id: string, file: File) => Promise<LoggerIngestResult>;
+  onLoadStorageSeries: (unitId: string, dateFrom?: string, dateTo?: string) => Promise<StorageSeries | null>;
   dailySurfaces: DailySurface[];
-  onAddDailySurface: (name: string) => void;
+  onAddDailySurface: (surface: Omit<DailySurface, 'id'>) => Promise<void>;
+  onUpdateDailySurface: (id: string, surface: Omit<DailySurface, 'id'>) => Promise<void>;
   onDeleteDailySurface: (id: string) => void;
   dailyCleaningRecords: DailyCleaningRecord[];
   onAddDailyCleaningRecord: (record: Omit<DailyCleaningRecord, 'id'>) => void;
   onDeleteDailyCleaningRecord: (id: string) => void;
   frequentAreas: FrequentArea[];
-  onAddFrequentArea: (area: Omit<FrequentArea, 'id'>) => void;
+  onAddFrequentArea: (area: Omit<FrequentArea, 'id'>) => Promise<void>;
+  onUpdateFrequentArea: (id: string, area: Omit<FrequentArea, 'id' | 'lastCleaned'>) => Promise<void>;
   onDeleteFrequentArea: (id: string) => void;
-  onCleanFrequentArea: (id: string) => void;
+  onCleanFrequentArea: (id: string, userId?: string, productId?: string) => void;
+  cleaningTasks: CleaningTask[];
+  chemicalProducts: ChemicalProduct[];
+  onAddChemicalProduct: (data: ChemicalProductFormData) => Promise<void>;
+  onUpdateChemicalProduct: (id: string, data: ChemicalProductFormData) => Promise<void>;
+  onDeleteChemicalProduct: (id: string) => Promise<void>;
+  onUploadChemicalDocument: (id: string, kind: ChemicalDocumentKind, file: File) => Promise<void>;
+  onDownloadChemicalDocument: (id: string, kind: ChemicalDocumentKind) => Promise<{ blob: Blob; fileName: string }>;
+  onDeleteChemicalDocument: (id: string, kind: ChemicalDocumentKind) => Promise<void>;
+  pestStations: PestStation[];
+  pestControlVisits: PestControlVisit[];
+  onAddPestStation: (data: PestStationFormData) => Promise<void>;
+  onUpdatePestStation: (id: string, data: PestStationFormData) => Promise<void>;
+  onDeletePestStation: (id: string) => Promise<void>;
+  onAddPestControlVisit: (data: PestControlVisitFormData) => Promise<void>;
+  onUpdatePestControlVisit: (id: string, data: PestControlVisitFormData) => Promise<void>;
+  onDeletePestControlVisit: (id: string) => Promise<void>;
+  onUploadPestControlCertificate: (id: string, file: File) => Promise<void>;
+  onDownloadPestControlCertificate: (id: string) => Promise<{ blob: Blob; fileName: string }>;
+  onDeletePestControlCertificate: (id: string) => Promise<void>;
+  waterPoints: WaterSamplingPoint[];
+  waterRecords: WaterRecord[];
+  waterAnalyses: WaterAnalysis[];
+  onAddWaterPoint: (data: WaterSamplingPointFormData) => Promise<void>;
+  onUpdateWaterPoint: (id: string, data: WaterSamplingPointFormData) => Promise<void>;
+  onDeleteWaterPoint: (id: string) => Promise<void>;
+  onAddWaterRecord: (data: WaterRecordFormData) => Promise<void>;
+  onDeleteWaterRecord: (id: string) => Promise<void>;
+  onAddWaterAnalysis: (data: WaterAnalysisFormData) => Promise<void>;
+  onUpdateWaterAnalysis: (id: string, data: WaterAnalysisFormData) => Promise<void>;
+  onDeleteWaterAnalysis: (id: string) => Promise<void>;
+  onUploadWaterAnalysisReport: (id: string, file: File) => Promise<void>;
+  onDownloadWaterAnalysisReport: (id: string) => Promise<{ blob: Blob; fileName: string }>;
+  onDeleteWaterAnalysisReport: (id: string) => Promise<void>;
+  fryers: Fryer[];
+  fryingOilEvents: FryingOilEvent[];
+  fryingOilAlerts: FryingOilAlert[];
+  onAddFryer: (data: FryerFormData) => Promise<void>;
+  onUpdateFryer: (id: string, data: FryerFormData) => Promise<void>;
+  onDeleteFryer: (id: string) => Promise<void>;
+  onAddFryingOilEvent: (data: FryingOilEventFormData) => Promise<void>;
+  onDeleteFryingOilEvent: (id: string) => Promise<void>;
+  expiringTrainings: ExpiringTraining[];
   costings: Costing[];
-  onSetCostings: (costings: Costing[] | ((prevState: Costing[]) => Costing[])) => void;
+  onAddCosting: (costing: Omit<Costing, 'id'>) => void;
+  onUpdateCosting: (id: string, costing: Omit<Costing, 'id'>) => void;
+  onUpdateCostingSalePrices: (id: string, salePrices: Costing['salePrices']) => void;
+  onDeleteCosting: (id: string) => void;
+  onLoadCostingHistory: (id: string) => Promise<CostingHistoryEntry[]>;
   outgoingRecords: OutgoingRecord[];
   onAddOutgoingRecord: (record: Omit<OutgoingRecord, 'id'>) => void;
   onDeleteOutgoingRecord: (id: string) => void;
   elaboratedRecords: ElaboratedRecord[];
   onAddElaboratedRecord: (record: Omit<ElaboratedRecord, 'id'>) => void;
-  onDeleteElaboratedRecord: (id: string) => void;
+  onDeleteElaboratedRecord: (id: string) => Promise<void>;
+  incidents: Incident[];
+  onAddIncident: (incident: IncidentFormData) => Promise<void>;
+  onChangeIncidentStatus: (id: string, status: IncidentStatus, notes?: string) => Promise<void>;
+  onDeleteIncident: (id: string) => Promise<void>;
+  onAddCorrectiveAction: (incidentId: string, action: CorrectiveActionFormData) => Promise<void>;
+  onUpdateCorrectiveAction: (incidentId: string, actionId: string, action: Partial<CorrectiveActionFormData>) => Promise<void>;
+  onDeleteCorrectiveAction: (incidentId: string, actionId: string) => Promise<void>;
   technicalSheets: TechnicalSheet[];
   onAddTechnicalSheet: (sheet: Omit<TechnicalSheet, 'id'>) => void;
   onDeleteTechnicalSheet: (id: string) => void;
+  onExportRecords: (type: ExportableRecordType, format: ExportFormat, filters?: RecordsFilters) => Promise<{ blob: Blob; fileName: string }>;
+  onImportRecords: (type: ExportableRecordType, file: File) => Promise<ImportResult>;
+  onSearchRecords: <T = any>(type: SearchableRecordType, query: string, filters?: RecordsFilters) => Promise<RecordsListResponse<T>>;
+  listPagination: Partial<Record<PagedRecordList, ListPagination>>;
+  onLoadMoreRecords: (list: PagedRecordList) => Promise<void>;
+  onFilterDeliveryRecords: (filters: RecordsFilters) => Promise<RecordsListResponse<DeliveryRecord>>;
+  onFilterStorageRecords: (filters: RecordsFilters) => Promise<RecordsListResponse<StorageRecord>>;
+  onLoadLots: (type: LotSourceType, query?: string) => Promise<LotOption[]>;
+  onLoadLotGenealogy: (lot: string) => Promise<LotGenealogy | null>;
+  onLoadRecallReport: (lot: string, direction: RecallDirection) => Promise<RecallReport | null>;
   establishmentInfo: EstablishmentInfo;
   onUpdateEstablishmentInfo: (info: EstablishmentInfo) => void;
 }
 
-const calculateNextDueDate = (lastCleaned: string | null, frequencyDays: number): Date | null => {
-  if (!lastCleaned) return new Date();
-  const lastCleanedDate = new Date(lastCleaned);
-  const nextDueDate = new Date(lastCleanedDate);
-  nextDueDate.setDate(lastCleanedDate.getDate() + frequencyDays);
-  return nextDueDate;
-};
-
 const Dashboard: React.FC<DashboardProps> = (props) => {
   const [activePage, setActivePage] = useState('Panel Principal');
   const [isSidebarOpen, setSidebarOpen] = useState(false);
@@ -80,40 +168,34 @@ const Dashboard: React.FC<DashboardProps> = (props) => {
     setSidebarOpen(false); // Close sidebar on navigation
   };
 
+  // Búsqueda en el servidor para una página: devuelve los registros más relevantes
+  const searchRecords = <T,>(type: SearchableRecordType) => async (query: string): Promise<T[]> => {
+    const result = await props.onSearchRecords<T>(type, query, { limit: SEARCH_RESULTS_LIMIT });
+    return result.records;
+  };
+
   // El primer usuario registrado es el administrador.
   const isCurrentUserAdmin = props.currentUser.isAdmin === true;
 
   // --- DYNAMIC WIDGET CALCULATIONS ---
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  // Tareas del Plan L+D de hoy que aún no se han hecho
+  const pendingCleanings = getPendingCleaningTasks(props.cleaningTasks).length;
 
-  const pendingCleanings = props.frequentAreas.filter(area => {
-    const nextDueDate = calculateNextDueDate(area.lastCleaned, area.frequencyDays);
-    if (!nextDueDate) return true; // Never cleaned, so it's pending
-    nextDueDate.setHours(0, 0, 0, 0);
-    return nextDueDate.getTime() <= today.getTime();
-  }).length;
-
-  const tempAlerts = props.storageUnits.reduce((count, unit) => {
-    if (unit.minTemp === undefined || unit.maxTemp === undefined) {
-      return count;
-    }
-    const latestRecord = props.storageRecords
-      .filter(r => r.unitId === unit.id)
-      .sort((a, b) => new Date(b.dateTime).getTime() - new Date(a.dateTime).getTime())
-    [0];
-    if (!latestRecord) {
-      return count;
-    }
-    const temp = parseFloat(latestRecord.temperature);
-    if (temp < unit.minTemp || temp > unit.maxTemp) {
-      return count + 1;
-    }
-    return count;
-  }, 0);
+  // Excursiones detectadas en el servidor sobre la serie completa de lecturas, pendientes de cerrar
+  const tempAlerts = getActiveExcursions(props.excursions).length;
+  // Controles de temperatura programados que no se hicieron y nadie ha justificado
+  const missedChecks = getPendingMissedChecks(props.missedChecks).length;
 
   const todayStr = new Date().toISOString().slice(0, 10);
-  const receptionsToday = props.deliveryRecords.filter(r => r.receptionDate === todayStr).length;
+  const receptionsToday = props.deliveryRecords.filter(r => r.receptionDate.slice(0, 10) === todayStr).length;
+
+  // Estadísticas del periodo calculadas en el servidor
+  const acceptanceRate = props.deliveryStats?.totalDeliveries ? props.deliveryStats.acceptanceRate ?? 0 : null;
+  const outOfRangeReadings = props.storageStats.reduce((total, unit) => total + (unit.outOfRangeCount || 0), 0);
+  // Freidoras con una lectura de compuestos polares por encima del límite y sin cambio de aceite posterior
+  const pendingOilChanges = props.fryingOilAlerts.length;
+  // Trabajadores con algún certificado de formación caducado o a punto de caducar
+  const expiringTrainingUsers = [...new Set(props.expiringTrainings.map(training => training.userName))];
 
 
   const renderContent = () => {
@@ -126,19 +208,62 @@ const Dashboard: React.FC<DashboardProps> = (props) => {
               <div className="widget-card">
                 <h3>Controles Pendientes Hoy</h3>
                 <p className={`widget-value ${pendingCleanings > 0 ? 'warning' : 'success'}`}>{pendingCleanings}</p>
-                <p className="widget-footer">Limpiezas frecuentes que vencen o están vencidas.</p>
+                <p className="widget-footer">Limpiezas del Plan L+D pendientes o vencidas hoy.</p>
               </div>
               <div className="widget-card">
                 <h3>Alertas de Temperatura</h3>
                 <p className={`widget-value ${tempAlerts > 0 ? 'danger' : 'success'}`}>{tempAlerts}</p>
-                <p className="widget-footer">Cámaras con temperaturas fuera del rango óptimo.</p>
+                <p className="widget-footer">Excursiones de temperatura sin cerrar ({props.excursions.filter(e => e.status === 'Abierta').length} sin reconocer).</p>
               </div>
               <div className="widget-card">
                 <h3>Recepciones de Hoy</h3>
                 <p className="widget-value">{receptionsToday}</p>
                 <p className="widget-footer">Entregas de proveedores registradas hoy.</p>
               </div>
+              <div className="widget-card">
+                <h3>Aceptación de Recepciones</h3>
+                <p className={`widget-value ${acceptanceRate !== null && acceptanceRate < 100 ? 'warning' : 'success'}`}>{acceptanceRate !== null ? `${acceptanceRate}%` : '-'}</p>
+                <p className="widget-footer">Entregas aceptadas en los últimos {STATS_PERIOD_DAYS} días ({props.deliveryStats?.conditionalDeliveries ?? 0} con observaciones, {props.deliveryStats?.rejectedDeliveries ?? 0} rechazadas).</p>
+              </div>
+              <div className="widget-card">
+                <h3>Lecturas Fuera de Rango</h3>
+                <p className={`widget-value ${outOfRangeReadings > 0 ? 'danger' : 'success'}`}>{outOfRangeReadings}</p>
+                <p className="widget-footer">Controles de temperatura fuera de rango en los últimos {STATS_PERIOD_DAYS} días.</p>
+              </div>
+              <div className="widget-card">
+                <h3>Controles No Realizados</h3>
+                <p className={`widget-value ${missedChecks > 0 ? 'danger' : 'success'}`}>{missedChecks}</p>
+                <p className="widget-footer">Controles de temperatura programados sin lectura ni justificación.</p>
+              </div>
+              <div className="widget-card">
+                <h3>Cambios de Aceite Pendientes</h3>
+                <p className={`widget-value ${pendingOilChanges > 0 ? 'danger' : 'success'}`}>{pendingOilChanges}</p>
+                <p className="widget-footer">
+                  {pendingOilChanges > 0
+                    ? `Aceite por encima del límite de compuestos polares: ${props.fryingOilAlerts.map(alert => alert.fryerName).join(', ')}.`
+                    : 'Freidoras con el aceite por encima del límite de compuestos polares.'}
+                </p>
+              </div>
+              <div className="widget-card">
+                <h3>Formación por Caducar</h3>
+                <p className={`widget-value ${expiringTrainingUsers.length > 0 ? 'danger' : 'success'}`}>{expiringTrainingUsers.length}</p>
+                <p className="widget-footer">
+                  {expiringTrainingUsers.length > 0
+                    ? `Certificados caducados o que caducan en ${TRAINING_EXPIRY_WARNING_DAYS} días: ${expiringTrainingUsers.join(', ')}.`
+                    : `Trabajadores con certificados de formación que caducan en los próximos ${TRAINING_EXPIRY_WARNING_DAYS} días.`}
+                </p>
+              </div>
             </div>
+            <ExcursionsPanel
+              excursions={props.excursions}
+              units={props.storageUnits}
+              onChangeStatus={props.onChangeExcursionStatus}
+            />
+            <MissedChecksPanel
+              missedChecks={props.missedChecks}
+              units={props.storageUnits}
+              onJustify={props.onJustifyMissedCheck}
+            />
           </>
         );
       case 'Recepción y Transporte':
@@ -146,6 +271,8 @@ const Dashboard: React.FC<DashboardProps> = (props) => {
           users={props.users}
           suppliers={props.suppliers}
           productTypes={props.productTypes}
+          categories={props.catalogs.categories}
+          transportConditions={props.catalogs['transport-conditions']}
           records={props.deliveryRecords}
           onAddSupplier={props.onAddSupplier}
           onDeleteSupplier={props.onDeleteSupplier}
@@ -153,22 +280,48 @@ const Dashboard: React.FC<DashboardProps> = (props) => {
           onDeleteProductType={props.onDeleteProductType}
           onAddRecord={props.onAddDeliveryRecord}
           onDeleteRecord={props.onDeleteDeliveryRecord}
+          onExportHistory={(format, filters) => props.onExportRecords('delivery', format, filters)}
+          onImportHistory={(file) => props.onImportRecords('delivery', file)}
+          onSearchHistory={searchRecords<DeliveryRecord>('delivery')}
+          onFilterHistory={props.onFilterDeliveryRecords}
+          pagination={props.listPagination.delivery}
+          onLoadMore={() => props.onLoadMoreRecords('delivery')}
           establishmentInfo={props.establishmentInfo}
         />;
       case 'Almacenamiento':
         return <StoragePage
           users={props.users}
           units={props.storageUnits}
+          storageTypes={props.catalogs['storage-types']}
           records={props.storageRecords}
+          excursions={props.excursions}
+          missedChecks={props.missedChecks}
           onAddUnit={props.onAddStorageUnit}
+          onUpdateUnit={props.onUpdateStorageUnit}
           onDeleteUnit={props.onDeleteStorageUnit}
           onAddRecord={props.onAddStorageRecord}
           onDeleteRecord={props.onDeleteStorageRecord}
+          onExportHistory={(format, filters) => props.onExportRecords('storage', format, filters)}
+          onImportHistory={(file) => props.onImportRecords('storage', file)}
+          onSearchHistory={searchRecords<StorageRecord>('storage')}
+          onFilterHistory={props.onFilterStorageRecords}
+          pagination={props.listPagination.storage}
+          onLoadMore={() => props.onLoadMoreRecords('storage')}
+          isAdmin={isCurrentUserAdmin}
+          dataLoggers={props.dataLoggers}
+          onAddDataLogger={props.onAddDataLogger}
+          onRegenerateDataLoggerToken={props.onRegenerateDataLoggerToken}
+          onSetDataLoggerActive={props.onSetDataLoggerActive}
+          onDeleteDataLogger={props.onDeleteDataLogger}
+          onUploadDataLoggerFile={props.onUploadDataLoggerFile}
+          onLoadSeries={props.onLoadStorageSeries}
           establishmentInfo={props.establishmentInfo}
         />;
       case 'Fichas Técnicas':
         return <TechnicalSheetsPage
           sheets={props.technicalSheets}
+          pagination={props.listPagination['technical-sheets']}
+          onLoadMore={() => props.onLoadMoreRecords('technical-sheets')}
           onAddSheet={props.onAddTechnicalSheet}
           onDeleteSheet={props.onDeleteTechnicalSheet}
           establishmentInfo={props.establishmentInfo}
@@ -178,14 +331,71 @@ const Dashboard: React.FC<DashboardProps> = (props) => {
           users={props.users}
           surfaces={props.dailySurfaces}
           dailyRecords={props.dailyCleaningRecords}
+          dailyRecordsPagination={props.listPagination['cleaning-records']}
+          onLoadMoreDailyRecords={() => props.onLoadMoreRecords('cleaning-records')}
           areas={props.frequentAreas}
           onAddSurface={props.onAddDailySurface}
+          onUpdateSurface={props.onUpdateDailySurface}
           onDeleteSurface={props.onDeleteDailySurface}
           onCleanSurface={props.onAddDailyCleaningRecord}
           onDeleteRecord={props.onDeleteDailyCleaningRecord}
           onAddArea={props.onAddFrequentArea}
+          onUpdateArea={props.onUpdateFrequentArea}
           onDeleteArea={props.onDeleteFrequentArea}
           onCleanArea={props.onCleanFrequentArea}
+          tasks={props.cleaningTasks}
+          chemicalProducts={props.chemicalProducts}
+          onAddChemicalProduct={props.onAddChemicalProduct}
+          onUpdateChemicalProduct={props.onUpdateChemicalProduct}
+          onDeleteChemicalProduct={props.onDeleteChemicalProduct}
+          onUploadChemicalDocument={props.onUploadChemicalDocument}
+          onDownloadChemicalDocument={props.onDownloadChemicalDocument}
+          onDeleteChemicalDocument={props.onDeleteChemicalDocument}
+          establishmentInfo={props.establishmentInfo}
+        />;
+      case 'Control de Plagas':
+        return <PestControlPage
+          stations={props.pestStations}
+          visits={props.pestControlVisits}
+          onAddStation={props.onAddPestStation}
+          onUpdateStation={props.onUpdatePestStation}
+          onDeleteStation={props.onDeletePestStation}
+          onAddVisit={props.onAddPestControlVisit}
+          onUpdateVisit={props.onUpdatePestControlVisit}
+          onDeleteVisit={props.onDeletePestControlVisit}
+          onUploadCertificate={props.onUploadPestControlCertificate}
+          onDownloadCertificate={props.onDownloadPestControlCertificate}
+          onDeleteCertificate={props.onDeletePestControlCertificate}
+          establishmentInfo={props.establishmentInfo}
+        />;
+      case 'Control del Agua':
+        return <WaterPage
+          points={props.waterPoints}
+          records={props.waterRecords}
+          analyses={props.waterAnalyses}
+          onAddPoint={props.onAddWaterPoint}
+          onUpdatePoint={props.onUpdateWaterPoint}
+          onDeletePoint={props.onDeleteWaterPoint}
+          onAddRecord={props.onAddWaterRecord}
+          onDeleteRecord={props.onDeleteWaterRecord}
+          onAddAnalysis={props.onAddWaterAnalysis}
+          onUpdateAnalysis={props.onUpdateWaterAnalysis}
+          onDeleteAnalysis={props.onDeleteWaterAnalysis}
+          onUploadReport={props.onUploadWaterAnalysisReport}
+          onDownloadReport={props.onDownloadWaterAnalysisReport}
+          onDeleteReport={props.onDeleteWaterAnalysisReport}
+          establishmentInfo={props.establishmentInfo}
+        />;
+      case 'Aceite de Fritura':
+        return <FryingOilPage
+          fryers={props.fryers}
+          events={props.fryingOilEvents}
+          alerts={props.fryingOilAlerts}
+          onAddFryer={props.onAddFryer}
+          onUpdateFryer={props.onUpdateFryer}
+          onDeleteFryer={props.onDeleteFryer}
+          onAddEvent={props.onAddFryingOilEvent}
+          onDeleteEvent={props.onDeleteFryingOilEvent}
           establishmentInfo={props.establishmentInfo}
         />;
       case 'Trazabilidad':
@@ -193,27 +403,65 @@ const Dashboard: React.FC<DashboardProps> = (props) => {
           users={props.users}
           outgoingRecords={props.outgoingRecords}
           elaboratedRecords={props.elaboratedRecords}
+          outgoingPagination={props.listPagination.outgoing}
+          elaboratedPagination={props.listPagination.elaborated}
+          onLoadMoreOutgoing={() => props.onLoadMoreRecords('outgoing')}
+          onLoadMoreElaborated={() => props.onLoadMoreRecords('elaborated')}
           onAddOutgoingRecord={props.onAddOutgoingRecord}
           onDeleteOutgoing={props.onDeleteOutgoingRecord}
           onAddElaboratedRecord={props.onAddElaboratedRecord}
           onDeleteElaborated={props.onDeleteElaboratedRecord}
+          onSearchOutgoing={searchRecords<OutgoingRecord>('outgoing')}
+          onSearchElaborated={searchRecords<ElaboratedRecord>('elaborated')}
+          onLoadLots={props.onLoadLots}
+          onLoadLotGenealogy={props.onLoadLotGenealogy}
+          establishmentInfo={props.establishmentInfo}
+        />;
+      case 'Retirada de Producto':
+        return <RecallPage
+          onLoadRecallReport={props.onLoadRecallReport}
+          establishmentInfo={props.establishmentInfo}
+        />;
+      case 'Incidencias':
+        return <IncidentsPage
+          users={props.users}
+          incidents={props.incidents}
+          pagination={props.listPagination.incidents}
+          onLoadMore={() => props.onLoadMoreRecords('incidents')}
+          onAddIncident={props.onAddIncident}
+          onChangeStatus={props.onChangeIncidentStatus}
+          onDeleteIncident={props.onDeleteIncident}
+          onAddCorrectiveAction={props.onAddCorrectiveAction}
+          onUpdateCorrectiveAction={props.onUpdateCorrectiveAction}
+          onDeleteCorrectiveAction={props.onDeleteCorrectiveAction}
+          onSearchIncidents={searchRecords<Incident>('incidents')}
           establishmentInfo={props.establishmentInfo}
         />;
       case 'Escandallos':
         return <EscandallosPage
           costings={props.costings}
-          onSetCostings={props.onSetCostings}
+          onAddCosting={props.onAddCosting}
+          onUpdateCosting={props.onUpdateCosting}
+          onUpdateSalePrices={props.onUpdateCostingSalePrices}
+          onDeleteCosting={props.onDeleteCosting}
+          onLoadHistory={props.onLoadCostingHistory}
         />;
       case 'Usuarios':
         return isCurrentUserAdmin ? <UsersPage users={props.users} onAddUser={props.onAddUser} onDeleteUser={props.onDeleteUser} onUpdateUser={props.onUpdateUser} /> : <h1>Acceso Denegado</h1>;
       case 'Configuración':
-        return isCurrentUserAdmin ? <SettingsPage info={props.establishmentInfo} onUpdateInfo={props.onUpdateEstablishmentInfo} /> : <h1>Acceso Denegado</h1>;
+        return isCurrentUserAdmin ? <SettingsPage
+          info={props.establishmentInfo}
+          onUpdateInfo={props.onUpdateEstablishmentInfo}
+          catalogs={props.catalogs}
+          onUpdateCatalog={props.onUpdateCatalog}
+          onResetCatalog={props.onResetCatalog}
+        /> : <h1>Acceso Denegado</h1>;
       case 'Dashboard Organización':
         return isCurrentUserAdmin ? <OrganizationDashboard /> : <h1>Acceso Denegado</h1>;
       case 'Configuración Organización':
         return isCurrentUserAdmin ? <OrganizationSettingsPage /> : <h1>Acceso Denegado</h1>;
       case 'Gestión de Usuarios':
-        return isCurrentUserAdmin ? <UserManagementPage /> : <h1>Acceso Denegado</h1>;
+        return isCurrentUserAdmin ? <UserManagementPage establishmentInfo={props.establishmentInfo} /> : <h1>Acceso Denegado</h1>;
       default:
         // Placeholder for other pages, showing the title
         return <h1>{activePage}</h1>;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Costing, CostingPart } from './types';
+import { Costing, CostingPart, CostingHistoryEntry } from './types';
 
 // Type for the form state for both creating and editing
 type CostingFormState = {
@@ -17,10 +17,14 @@ type CostingFormState = {
 
 interface EscandallosPageProps {
     costings: Costing[];
-    onSetCostings: (costings: Costing[] | ((prevState: Costing[]) => Costing[])) => void;
+    onAddCosting: (costing: Omit<Costing, 'id'>) => void;
+    onUpdateCosting: (id: string, costing: Omit<Costing, 'id'>) => void;
+    onUpdateSalePrices: (id: string, salePrices: Costing['salePrices']) => void;
+    onDeleteCosting: (id: string) => void;
+    onLoadHistory: (id: string) => Promise<CostingHistoryEntry[]>;
 }
 
-const EscandallosPage: React.FC<EscandallosPageProps> = ({ costings, onSetCostings }) => {
+const EscandallosPage: React.FC<EscandallosPageProps> = ({ costings, onAddCosting, onUpdateCosting, onUpdateSalePrices, onDeleteCosting, onLoadHistory }) => {
     
     // --- STATE MANAGEMENT ---
     const [isCreateFormOpen, setIsCreateFormOpen] = useState(true);
@@ -36,6 +40,11 @@ const EscandallosPage: React.FC<EscandallosPageProps> = ({ costings, onSetCostin
     const [editingCostingId, setEditingCostingId] = useState<string | null>(null);
     const [editForm, setEditForm] = useState<CostingFormState | null>(null);
     
+    // Precios que se están escribiendo; se guardan en el servidor al salir del campo
+    const [priceDrafts, setPriceDrafts] = useState<{ [key: string]: string }>({});
+    const [historyCostingId, setHistoryCostingId] = useState<string | null>(null);
+    const [history, setHistory] = useState<CostingHistoryEntry[]>([]);
+    
     useEffect(() => {
         // If the expanded costing is deleted, collapse everything or expand the first one.
         if (expandedCostingId && !costings.some(c => c.id === expandedCostingId)) {
@@ -71,8 +80,7 @@ const EscandallosPage: React.FC<EscandallosPageProps> = ({ costings, onSetCostin
         
         const calculatedPurchasePrice = parseFloat(createForm.pricePerKg) * parseFloat(createForm.totalWeight);
 
-        const newCosting: Costing = {
-            id: String(Date.now()),
+        const newCosting: Omit<Costing, 'id'> = {
             productName: createForm.productName.trim(),
             totalWeight: parseFloat(createForm.totalWeight),
             purchasePrice: calculatedPurchasePrice,
@@ -86,8 +94,7 @@ const EscandallosPage: React.FC<EscandallosPageProps> = ({ costings, onSetCostin
             salePrices: {}
         };
         
-        onSetCostings(prev => [newCosting, ...prev]);
-        setExpandedCostingId(newCosting.id); // Expand the new one
+        onAddCosting(newCosting);
         setCreateForm({ productName: '', totalWeight: '', pricePerKg: '', parts: [{name: '', weight: '', saleType: 'weight', quantity: ''}] });
     };
     
@@ -173,8 +180,7 @@ const EscandallosPage: React.FC<EscandallosPageProps> = ({ costings, onSetCostin
             }
         });
 
-        const updatedCosting: Costing = {
-            ...originalCosting,
+        const updatedCosting: Omit<Costing, 'id'> = {
             productName: editForm.productName.trim(),
             totalWeight: parseFloat(editForm.totalWeight),
             purchasePrice: calculatedPurchasePrice,
@@ -182,25 +188,56 @@ const EscandallosPage: React.FC<EscandallosPageProps> = ({ costings, onSetCostin
             salePrices: newSalePrices
         };
 
-        onSetCostings(prev => prev.map(c => c.id === editingCostingId ? updatedCosting : c));
+        onUpdateCosting(editingCostingId, updatedCosting);
         handleCancelEdit();
     };
 
 
     // --- DISPLAY HANDLERS ---
+    const getSalePriceValue = (costing: Costing, partId: string): string => {
+        const draft = priceDrafts[`${costing.id}:${partId}`];
+        if (draft !== undefined) return draft;
+        const saved = costing.salePrices[partId];
+        return saved !== undefined && saved !== null ? String(saved) : '';
+    };
+
     const handleSalePriceChange = (costingId: string, partId: string, value: string) => {
-        onSetCostings(prevCostings => prevCostings.map(c => {
-            if (c.id === costingId) {
-                const newSalePrices = { ...c.salePrices, [partId]: value };
-                return { ...c, salePrices: newSalePrices };
-            }
-            return c;
-        }));
+        setPriceDrafts(prev => ({ ...prev, [`${costingId}:${partId}`]: value }));
+    };
+
+    const handleSalePriceBlur = (costing: Costing, partId: string) => {
+        const key = `${costing.id}:${partId}`;
+        const draft = priceDrafts[key];
+        if (draft === undefined) return;
+
+        setPriceDrafts(prev => {
+            const { [key]: _, ...rest } = prev;
+            return rest;
+        });
+
+        const saved = costing.salePrices[partId];
+        if (draft !== (saved !== undefined && saved !== null ? String(saved) : '')) {
+            onUpdateSalePrices(costing.id, { [partId]: draft });
+        }
+    };
+
+    const handleToggleHistory = async (id: string) => {
+        if (historyCostingId === id) {
+            setHistoryCostingId(null);
+            return;
+        }
+        setHistoryCostingId(id);
+        setHistory([]);
+        try {
+            setHistory(await onLoadHistory(id));
+        } catch {
+            alert('No se pudo cargar el histórico de precios.');
+        }
     };
 
     const handleDeleteCosting = (id: string) => {
         if(window.confirm('¿Está seguro de que desea eliminar este escandallo?')) {
-            onSetCostings(prev => prev.filter(c => c.id !== id));
+            onDeleteCosting(id);
         }
     };
     
@@ -300,7 +337,7 @@ const EscandallosPage: React.FC<EscandallosPageProps> = ({ costings, onSetCostin
                                 };
 
                                 costing.parts.forEach(part => {
-                                    const salePrice = parseFloat(costing.salePrices[part.id]) || 0;
+                                    const salePrice = parseFloat(getSalePriceValue(costing, part.id)) || 0;
                                     const revenue = part.saleType === 'unit' ? salePrice * (part.quantity || 0) : salePrice * part.weight;
                                     calculated.totalSaleRevenue += revenue;
                                     calculated.partsData.push({ part, salePrice, revenue });
@@ -359,8 +396,9 @@ const EscandallosPage: React.FC<EscandallosPageProps> = ({ costings, onSetCostin
                                                                             step="0.01" 
                                                                             className="price-input" 
                                                                             placeholder="0.00"
-                                                                            value={costing.salePrices[part.id] || ''}
+                                                                            value={getSalePriceValue(costing, part.id)}
                                                                             onChange={(e) => handleSalePriceChange(costing.id, part.id, e.target.value)}
+                                                                            onBlur={() => handleSalePriceBlur(costing, part.id)}
                                                                         />
                                                                         <span className="price-unit-label">{part.saleType === 'unit' ? '€/ud' : '€/kg'}</span>
                                                                     </div>
@@ -388,6 +426,38 @@ const EscandallosPage: React.FC<EscandallosPageProps> = ({ costings, onSetCostin
                                                         <span>{yieldPercent.toFixed(2)}%</span>
                                                     </div>
                                                  </div>
+
+                                                 <button type="button" className="btn-add-part" onClick={() => handleToggleHistory(costing.id)}>
+                                                     {historyCostingId === costing.id ? 'Ocultar histórico de precios' : 'Ver histórico de precios'}
+                                                 </button>
+                                                 {historyCostingId === costing.id && (
+                                                     history.length > 0 ? (
+                                                         <table className="user-table costing-table">
+                                                             <thead>
+                                                                 <tr>
+                                                                     <th>Fecha</th>
+                                                                     <th>Coste Compra (€)</th>
+                                                                     <th>Coste (€/kg)</th>
+                                                                     <th>Ingresos (€)</th>
+                                                                     <th>Beneficio (€)</th>
+                                                                     <th>Rendimiento</th>
+                                                                 </tr>
+                                                             </thead>
+                                                             <tbody>
+                                                                 {history.map(entry => (
+                                                                     <tr key={entry.id}>
+                                                                         <td data-label="Fecha">{new Date(entry.recordedAt).toLocaleString('es-ES')}</td>
+                                                                         <td data-label="Coste Compra (€)">{entry.purchasePrice.toFixed(2)}</td>
+                                                                         <td data-label="Coste (€/kg)">{entry.costPerKg.toFixed(2)}</td>
+                                                                         <td data-label="Ingresos (€)">{entry.totalRevenue.toFixed(2)}</td>
+                                                                         <td data-label="Beneficio (€)" className={entry.profit >= 0 ? 'profit' : 'loss'}>{entry.profit.toFixed(2)}</td>
+                                                                         <td data-label="Rendimiento" className={entry.profit >= 0 ? 'profit' : 'loss'}>{entry.marginPercent.toFixed(2)}%</td>
+                                                                     </tr>
+                                                                 ))}
+                                                             </tbody>
+                                                         </table>
+                                                     ) : <p>No hay cambios de precio registrados.</p>
+                                                 )}
                                             </div>
                                          </div>
                                     </div>
@@ -0,0 +1,428 @@
+import React, { useState, useMemo } from 'react';
+import { exportToPDF, exportToExcel } from './exportUtils';
+import { getErrorMessage } from './services';
+import { Fryer, FryerFormData, FryingOilEvent, FryingOilEventFormData, FryingOilEventType, FryingOilAlert, EstablishmentInfo } from './types';
+import { DEFAULT_DISCARD_LIMIT, FRYING_OIL_EVENT_LABELS, FRYING_OIL_EVENT_HEADERS, formatFryingOilEvent, fryingOilEventToRow } from './utils/fryingOilUtils';
+
+
+interface FryingOilPageProps {
+    fryers: Fryer[];
+    events: FryingOilEvent[];
+    alerts: FryingOilAlert[];
+    onAddFryer: (data: FryerFormData) => Promise<void>;
+    onUpdateFryer: (id: string, data: FryerFormData) => Promise<void>;
+    onDeleteFryer: (id: string) => Promise<void>;
+    onAddEvent: (data: FryingOilEventFormData) => Promise<void>;
+    onDeleteEvent: (id: string) => Promise<void>;
+    establishmentInfo: EstablishmentInfo;
+}
+
+// El límite se edita como texto
+const EMPTY_FRYER = { name: '', location: '', discardLimit: String(DEFAULT_DISCARD_LIMIT), isActive: true };
+
+
+const FryingOilPage: React.FC<FryingOilPageProps> = ({ fryers, events, alerts, onAddFryer, onUpdateFryer, onDeleteFryer, onAddEvent, onDeleteEvent, establishmentInfo }) => {
+    // Collapsible sections state
+    const [isEventFormOpen, setIsEventFormOpen] = useState(true);
+    const [isFryerManagementOpen, setIsFryerManagementOpen] = useState(false);
+
+    // Form state for fryers
+    const [fryerForm, setFryerForm] = useState(EMPTY_FRYER);
+    const [editingFryerId, setEditingFryerId] = useState<string | null>(null);
+
+    // Form state for new reading or oil change
+    const [eventFryer, setEventFryer] = useState<string>('');
+    const [eventType, setEventType] = useState<FryingOilEventType>('reading');
+    const [eventDateTime, setEventDateTime] = useState(new Date().toISOString().slice(0, 16));
+    const [eventTpm, setEventTpm] = useState('');
+    const [eventTemperature, setEventTemperature] = useState('');
+    const [eventOilProduct, setEventOilProduct] = useState('');
+    const [eventQuantity, setEventQuantity] = useState('');
+    const [eventNotes, setEventNotes] = useState('');
+
+    // State for filtering (timeline de una freidora o de todas)
+    const [timelineFryerId, setTimelineFryerId] = useState('');
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+
+    // Derived data for display
+    const fryersMap = useMemo(() => new Map(fryers.map(f => [f.id, f])), [fryers]);
+    const activeFryers = useMemo(() => fryers.filter(fryer => fryer.isActive), [fryers]);
+    // La freidora elegida puede haberse eliminado o desactivado
+    const selectedFryerId = activeFryers.some(f => f.id === eventFryer) ? eventFryer : activeFryers[0]?.id || '';
+    const selectedFryer = fryersMap.get(selectedFryerId);
+    const timelineFryer = fryersMap.get(timelineFryerId);
+
+    const filteredEvents = useMemo(() => {
+        return events.filter(event => {
+            if (timelineFryerId && event.fryerId !== timelineFryerId) return false;
+            const eventDate = new Date(event.dateTime);
+            if (startDate && new Date(startDate) > eventDate) return false;
+            if (endDate && new Date(endDate).setHours(23, 59, 59, 999) < eventDate.getTime()) return false;
+            return true;
+        }).sort((a, b) => new Date(b.dateTime).getTime() - new Date(a.dateTime).getTime());
+    }, [events, timelineFryerId, startDate, endDate]);
+
+    const pendingReadingIds = useMemo(() => new Set(alerts.map(alert => alert.readingId)), [alerts]);
+
+    // Ejecuta una operación del servidor mostrando su mensaje de error si la rechaza
+    const runAction = async (operation: () => Promise<void>, errorMessage: string) => {
+        try {
+            await operation();
+            return true;
+        } catch (error) {
+            alert(`${errorMessage}\n${getErrorMessage(error)}`);
+            return false;
+        }
+    };
+
+
+    // Handlers: Freidoras
+    const resetFryerForm = () => {
+        setFryerForm(EMPTY_FRYER);
+        setEditingFryerId(null);
+    };
+
+    const handleSubmitFryer = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!fryerForm.name.trim()) {
+            alert('El nombre de la freidora no puede estar vacío.');
+            return;
+        }
+        const data: FryerFormData = {
+            name: fryerForm.name.trim(),
+            location: fryerForm.location.trim(),
+            discardLimit: parseFloat(fryerForm.discardLimit),
+            isActive: fryerForm.isActive
+        };
+        if (isNaN(data.discardLimit)) {
+            alert('Indique el límite de desecho en % de compuestos polares.');
+            return;
+        }
+        const saved = await runAction(
+            () => editingFryerId ? onUpdateFryer(editingFryerId, data) : onAddFryer(data),
+            'No se pudo guardar la freidora.'
+        );
+        if (saved) resetFryerForm();
+    };
+
+    const handleEditFryer = (fryer: Fryer) => {
+        setFryerForm({
+            name: fryer.name,
+            location: fryer.location || '',
+            discardLimit: String(fryer.discardLimit),
+            isActive: fryer.isActive
+        });
+        setEditingFryerId(fryer.id);
+    };
+
+    const handleDeleteFryer = (fryer: Fryer) => {
+        if (window.confirm(`¿Eliminar la freidora "${fryer.name}"? Si tiene lecturas o cambios de aceite se dejará fuera de uso para conservar su historial.`)) {
+            runAction(() => onDeleteFryer(fryer.id), 'No se pudo eliminar la freidora.');
+        }
+    };
+
+
+    // Handlers: Lecturas y cambios de aceite
+    const handleAddEvent = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!selectedFryerId || (eventType === 'reading' && !eventTpm.trim())) {
+            alert('Por favor, complete todos los campos del registro.');
+            return;
+        }
+        const data: FryingOilEventFormData = {
+            fryerId: selectedFryerId,
+            type: eventType,
+            dateTime: new Date(eventDateTime).toISOString(),
+            notes: eventNotes.trim()
+        };
+        if (eventType === 'reading') {
+            data.tpm = parseFloat(eventTpm);
+            if (eventTemperature.trim()) data.temperature = parseFloat(eventTemperature);
+        } else {
+            data.oilProduct = eventOilProduct.trim();
+            if (eventQuantity.trim()) data.quantityLiters = parseFloat(eventQuantity);
+        }
+
+        const saved = await runAction(
+            () => onAddEvent(data),
+            eventType === 'reading' ? 'No se pudo guardar la lectura.' : 'No se pudo guardar el cambio de aceite.'
+        );
+
+        if (saved) {
+            if (eventType === 'reading' && selectedFryer && parseFloat(eventTpm) > selectedFryer.discardLimit) {
+                alert(`La lectura supera el límite de desecho de "${selectedFryer.name}" (${selectedFryer.discardLimit}% TPM). Registre el cambio de aceite.`);
+            }
+            setEventTpm('');
+            setEventTemperature('');
+            setEventQuantity('');
+            setEventNotes('');
+            setEventDateTime(new Date().toISOString().slice(0, 16));
+        }
+    };
+
+    const handleDeleteEvent = (event: FryingOilEvent) => {
+        const label = event.type === 'reading' ? 'esta lectura' : 'este cambio de aceite';
+        if (window.confirm(`¿Está seguro de que desea eliminar ${label}?`)) {
+            runAction(() => onDeleteEvent(event.id), 'No se pudo eliminar el registro.');
+        }
+    };
+
+
+    // Handlers: Exportación
+    const exportFileName = timelineFryer ? `aceite_fritura_${timelineFryer.name.replace(/\s+/g, '_').toLowerCase()}` : 'historial_aceite_fritura';
+
+    const handleExportPDF = () => {
+        const data = filteredEvents.map(event => fryingOilEventToRow(event, fryersMap));
+        const title = timelineFryer ? `Aceite de Fritura - ${timelineFryer.name}` : 'Historial de Aceite de Fritura';
+        exportToPDF(title, FRYING_OIL_EVENT_HEADERS, data, exportFileName, establishmentInfo);
+    };
+
+    const handleExportExcel = () => {
+        const data = filteredEvents.map(event => {
+            const row = fryingOilEventToRow(event, fryersMap);
+            return Object.fromEntries(FRYING_OIL_EVENT_HEADERS.map((header, i) => [header, row[i]]));
+        });
+        exportToExcel(data, exportFileName);
+    };
+
+
+    return (
+        <>
+            <div className="page-header-with-org">
+                <h1>Aceite de Fritura</h1>
+                <div className="org-context">
+                    <span className="org-label">Organización:</span>
+                    <span className="org-name">{establishmentInfo.name || 'Mi Organización'}</span>
+                </div>
+            </div>
+            {alerts.length > 0 && (
+                <div className="card" style={{marginBottom: '30px'}}>
+                    <h2>Cambios de Aceite Pendientes</h2>
+                    <div className="units-list">
+                        {alerts.map(pending => (
+                            <div key={pending.fryerId} className="units-list-item">
+                                <div>
+                                    <span>{pending.fryerName}</span>
+                                    <span className="unit-type">
+                                        {pending.tpm}% TPM el {new Date(pending.readingAt).toLocaleString('es-ES')} (límite {pending.discardLimit}%)
+                                    </span>
+                                </div>
+                                <span className="incident-badge status-open">Cambio pendiente</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+            <div className="storage-grid">
+                <div className="card">
+                    <h2
+                        className="collapsible-header"
+                        onClick={() => setIsEventFormOpen(!isEventFormOpen)}
+                        role="button"
+                        aria-expanded={isEventFormOpen}
+                    >
+                        Registrar Lectura o Cambio
+                        <span className={`chevron ${isEventFormOpen ? 'open' : ''}`}>&#9660;</span>
+                    </h2>
+                    <div className={`collapsible-content ${isEventFormOpen ? 'open' : ''}`}>
+                        <div className="collapsible-content-inner">
+                            <form onSubmit={handleAddEvent}>
+                                <div className="form-group">
+                                    <label htmlFor="frying-event-fryer">Freidora</label>
+                                    <select id="frying-event-fryer" value={selectedFryerId} onChange={e => setEventFryer(e.target.value)} required disabled={activeFryers.length === 0}>
+                                        {activeFryers.length === 0 ? <option>Cree una freidora primero</option> : activeFryers.map(fryer => <option key={fryer.id} value={fryer.id}>{fryer.name}</option>)}
+                                    </select>
+                                    {selectedFryer && <span className="unit-type">Límite de desecho: {selectedFryer.discardLimit}% TPM</span>}
+                                </div>
+                                <div className="costing-form-grid">
+                                    <div className="form-group">
+                                        <label htmlFor="frying-event-type">Registro</label>
+                                        <select id="frying-event-type" value={eventType} onChange={e => setEventType(e.target.value as FryingOilEventType)}>
+                                            {(Object.keys(FRYING_OIL_EVENT_LABELS) as FryingOilEventType[]).map(type => <option key={type} value={type}>{FRYING_OIL_EVENT_LABELS[type]}</option>)}
+                                        </select>
+                                    </div>
+                                    <div className="form-group">
+                                        <label htmlFor="frying-event-datetime">Fecha y Hora</label>
+                                        <input type="datetime-local" id="frying-event-datetime" value={eventDateTime} onChange={e => setEventDateTime(e.target.value)} required />
+                                    </div>
+                                </div>
+                                {eventType === 'reading' ? (
+                                    <div className="costing-form-grid">
+                                        <div className="form-group">
+                                            <label htmlFor="frying-event-tpm">Compuestos polares (% TPM)</label>
+                                            <input type="number" step="0.5" min="0" max="100" id="frying-event-tpm" value={eventTpm} onChange={e => setEventTpm(e.target.value)} placeholder="Ej: 18" required />
+                                        </div>
+                                        <div className="form-group">
+                                            <label htmlFor="frying-event-temperature">Temperatura del aceite (°C)</label>
+                                            <input type="number" step="1" min="0" max="250" id="frying-event-temperature" value={eventTemperature} onChange={e => setEventTemperature(e.target.value)} placeholder="Ej: 175" />
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <div className="costing-form-grid">
+                                        <div className="form-group">
+                                            <label htmlFor="frying-event-product">Aceite utilizado</label>
+                                            <input type="text" id="frying-event-product" value={eventOilProduct} onChange={e => setEventOilProduct(e.target.value)} placeholder="Ej: Girasol alto oleico" />
+                                        </div>
+                                        <div className="form-group">
+                                            <label htmlFor="frying-event-quantity">Cantidad (L)</label>
+                                            <input type="number" step="0.1" min="0" id="frying-event-quantity" value={eventQuantity} onChange={e => setEventQuantity(e.target.value)} placeholder="Ej: 12" />
+                                        </div>
+                                    </div>
+                                )}
+                                <div className="form-group">
+                                    <label htmlFor="frying-event-notes">Observaciones</label>
+                                    <input type="text" id="frying-event-notes" value={eventNotes} onChange={e => setEventNotes(e.target.value)} placeholder={eventType === 'reading' ? 'Ej: Aceite oscuro, con espuma' : 'Ej: Se filtra y limpia la cuba'} />
+                                </div>
+                                <button type="submit" className="btn-submit" disabled={activeFryers.length === 0}>
+                                    {eventType === 'reading' ? 'Guardar Lectura' : 'Guardar Cambio de Aceite'}
+                                </button>
+                            </form>
+                        </div>
+                    </div>
+                </div>
+                <div className="card">
+                    <h2
+                        className="collapsible-header"
+                        onClick={() => setIsFryerManagementOpen(!isFryerManagementOpen)}
+                        role="button"
+                        aria-expanded={isFryerManagementOpen}
+                    >
+                        Gestionar Freidoras
+                        <span className={`chevron ${isFryerManagementOpen ? 'open' : ''}`}>&#9660;</span>
+                    </h2>
+                    <div className={`collapsible-content ${isFryerManagementOpen ? 'open' : ''}`}>
+                        <div className="collapsible-content-inner">
+                            <form onSubmit={handleSubmitFryer}>
+                                <div className="form-group">
+                                    <label htmlFor="fryer-name">{editingFryerId ? 'Editar freidora' : 'Nombre de la freidora'}</label>
+                                    <input type="text" id="fryer-name" value={fryerForm.name} onChange={e => setFryerForm({ ...fryerForm, name: e.target.value })} placeholder="Ej: Freidora doble cuba 1" required />
+                                </div>
+                                <div className="costing-form-grid">
+                                    <div className="form-group">
+                                        <label htmlFor="fryer-location">Ubicación</label>
+                                        <input type="text" id="fryer-location" value={fryerForm.location} onChange={e => setFryerForm({ ...fryerForm, location: e.target.value })} placeholder="Ej: Cocina caliente" />
+                                    </div>
+                                    <div className="form-group">
+                                        <label htmlFor="fryer-discard-limit">Límite de desecho (% TPM)</label>
+                                        <input type="number" step="0.5" min="1" max="50" id="fryer-discard-limit" value={fryerForm.discardLimit} onChange={e => setFryerForm({ ...fryerForm, discardLimit: e.target.value })} required />
+                                    </div>
+                                </div>
+                                <div className="form-group-checkbox">
+                                    <input type="checkbox" id="fryer-active" checked={fryerForm.isActive} onChange={e => setFryerForm({ ...fryerForm, isActive: e.target.checked })} />
+                                    <label htmlFor="fryer-active">Freidora en uso (se controla y genera alertas)</label>
+                                </div>
+                                <button type="submit" className="btn-submit">{editingFryerId ? 'Guardar cambios' : 'Añadir Freidora'}</button>
+                                {editingFryerId && <button type="button" className="btn-delete" style={{marginTop: '10px'}} onClick={resetFryerForm}>Cancelar</button>}
+                            </form>
+                            <div className="units-list">
+                                <h3>Freidoras Existentes</h3>
+                                {fryers.length > 0 ? (
+                                    fryers.map(fryer => (
+                                    <div key={fryer.id} className="units-list-item">
+                                        <div>
+                                            <span>{fryer.name}</span>
+                                            {fryer.location && <span className="unit-type">{fryer.location}</span>}
+                                            <span className="unit-type">Límite de desecho: {fryer.discardLimit}% TPM</span>
+                                            {!fryer.isActive && <span className="incident-badge status-open">Fuera de uso</span>}
+                                        </div>
+                                        <div className="logger-actions">
+                                            <button className="btn-view-photo" onClick={() => handleEditFryer(fryer)}>Editar</button>
+                                            <button className="btn-delete" onClick={() => handleDeleteFryer(fryer)}>Eliminar</button>
+                                        </div>
+                                    </div>
+                                    ))
+                                ) : <p>No hay freidoras registradas.</p>}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <div className="card">
+                <h2>Historial por Freidora</h2>
+                <div className="export-controls-container">
+                     <h3>Exportar Registros</h3>
+                     <div className="export-controls-row">
+                        <div className="form-group">
+                            <label htmlFor="timeline-fryer">Freidora</label>
+                            <select id="timeline-fryer" value={timelineFryerId} onChange={e => setTimelineFryerId(e.target.value)}>
+                                <option value="">Todas las freidoras</option>
+                                {fryers.map(fryer => <option key={fryer.id} value={fryer.id}>{fryer.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="start-date-frying">Fecha de Inicio</label>
+                            <input type="date" id="start-date-frying" value={startDate} onChange={e => setStartDate(e.target.value)} />
+                        </div>
+                         <div className="form-group">
+                            <label htmlFor="end-date-frying">Fecha de Fin</label>
+                            <input type="date" id="end-date-frying" value={endDate} onChange={e => setEndDate(e.target.value)} />
+                        </div>
+                        <div className="export-buttons">
+                            <button className="btn-export btn-pdf" onClick={handleExportPDF} disabled={filteredEvents.length === 0}>
+                                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+                                PDF
+                            </button>
+                            <button className="btn-export btn-excel" onClick={handleExportExcel} disabled={filteredEvents.length === 0}>
+                               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+                                Excel
+                            </button>
+                        </div>
+                     </div>
+                </div>
+                {filteredEvents.length > 0 ? (
+                    <div style={{overflowX: 'auto'}}>
+                        <table className="user-table">
+                            <thead>
+                                <tr>
+                                    <th>Fecha y Hora</th>
+                                    {!timelineFryerId && <th>Freidora</th>}
+                                    <th>Registro</th>
+                                    <th>Detalle</th>
+                                    <th>Acciones</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {filteredEvents.map(event => {
+                                    const fryerName = fryersMap.get(event.fryerId)?.name || 'N/A';
+                                    const formattedDate = new Date(event.dateTime).toLocaleString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+                                    return (
+                                        <tr key={event.id}>
+                                            <td data-label="Fecha y Hora">{formattedDate}</td>
+                                            {!timelineFryerId && <td data-label="Freidora">{fryerName}</td>}
+                                            <td data-label="Registro">
+                                                {event.type === 'change'
+                                                    ? <span className="incident-badge status-resolved">{FRYING_OIL_EVENT_LABELS.change}</span>
+                                                    : FRYING_OIL_EVENT_LABELS.reading}
+                                                {pendingReadingIds.has(event.id) && <span className="incident-badge status-open">Cambio pendiente</span>}
+                                            </td>
+                                            <td data-label="Detalle" className={event.isOverLimit ? 'danger' : ''} title={event.notes || undefined}>
+                                                {formatFryingOilEvent(event)}
+                                                {event.temperature != null && <span className="unit-type">{event.temperature} °C</span>}
+                                                {event.notes && <span className="unit-type">{event.notes}</span>}
+                                                <span className="unit-type">{event.registeredBy || 'N/A'}</span>
+                                            </td>
+                                            <td data-label="Acciones">
+                                                <div className="logger-actions">
+                                                    <button
+                                                        className="btn-delete"
+                                                        onClick={() => handleDeleteEvent(event)}
+                                                        aria-label={`Eliminar registro de ${fryerName}`}>
+                                                        Eliminar
+                                                    </button>
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : <p>No hay lecturas ni cambios de aceite para el filtro seleccionado.</p>}
+            </div>
+        </>
+    );
+};
+
+export default FryingOilPage;
@@ -35,9 +35,29 @@ const HelpModal: React.FC<HelpModalProps> = ({ isOpen, onClose, page }) => {
                         <HelpAccordion title="¿Qué significan los widgets?">
                             <p>Cada tarjeta o "widget" resume información importante de los diferentes módulos:</p>
                             <ul>
-                                <li><strong>Controles Pendientes Hoy:</strong> Muestra cuántas tareas de limpieza frecuente (de la sección Limpieza e Higiene) están vencidas o vencen hoy. Le ayuda a no olvidar ninguna tarea programada.</li>
-                                <li><strong>Alertas de Temperatura:</strong> Indica el número de cámaras de almacenamiento cuya última temperatura registrada está fuera del rango óptimo que usted definió. Un número mayor que cero requiere su atención inmediata.</li>
+                                <li><strong>Controles Pendientes Hoy:</strong> Muestra cuántas tareas del Plan L+D (de la sección Limpieza e Higiene) tocan hoy y aún no se han hecho, o están vencidas. Le ayuda a no olvidar ninguna tarea programada.</li>
+                                <li><strong>Alertas de Temperatura:</strong> Indica el número de excursiones de temperatura sin cerrar: rachas de lecturas de una cámara fuera del rango óptimo que usted definió. Un número mayor que cero requiere su atención inmediata.</li>
                                 <li><strong>Recepciones de Hoy:</strong> Es un contador simple de cuántas entregas de proveedores ha registrado en el día actual.</li>
+                                <li><strong>Aceptación de Recepciones:</strong> Porcentaje de entregas del último mes aceptadas según su conformidad (temperatura y documentación), junto con el número de entregas aceptadas con observaciones y rechazadas.</li>
+                                <li><strong>Lecturas Fuera de Rango:</strong> Número de controles de temperatura del último mes que quedaron fuera del rango de su cámara.</li>
+                                <li><strong>Controles No Realizados:</strong> Controles de temperatura programados en los que no se registró ninguna lectura y que nadie ha justificado.</li>
+                                <li><strong>Formación por Caducar:</strong> Trabajadores con un certificado de formación (p. ej. de manipulador de alimentos) caducado o que caduca en los próximos 30 días. Las formaciones se registran en Gestión de Usuarios → Formación.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Excursiones de temperatura">
+                            <p>Debajo de los widgets se listan las excursiones pendientes, detectadas sobre todas las lecturas de cada cámara (no solo la última):</p>
+                            <ul>
+                                <li>Cada excursión indica la cámara, si la temperatura quedó <strong>por encima o por debajo</strong> del rango, cuándo empezó, cuánto duró y la <strong>desviación máxima</strong> respecto al límite.</li>
+                                <li>Pulse <strong>"Reconocer"</strong> para dejar constancia de que la ha visto.</li>
+                                <li>Cuando una lectura vuelva a estar dentro de rango, pulse <strong>"Cerrar"</strong> y describa la <strong>acción correctiva</strong> adoptada (es obligatoria).</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Controles no realizados">
+                            <p>Si una cámara tiene horas de control programadas (en Almacenamiento → Gestionar Cámaras), el sistema comprueba cada pocos minutos que se haya registrado una lectura en cada una:</p>
+                            <ul>
+                                <li>Un control cuenta como realizado si hay una lectura (manual o de una sonda) dentro del margen de tolerancia antes o después de la hora programada.</li>
+                                <li>Pasado ese margen sin lecturas, el control aparece aquí como <strong>no realizado</strong>. Si después registra la lectura con su hora real, desaparece solo.</li>
+                                <li>Si el control no se pudo hacer (cierre por festivo, cámara vacía, avería...), pulse <strong>"Justificar"</strong> e indique el motivo. Los controles justificados se conservan en el historial y en el PDF.</li>
                             </ul>
                         </HelpAccordion>
                     </>
@@ -52,6 +72,8 @@ const HelpModal: React.FC<HelpModalProps> = ({ isOpen, onClose, page }) => {
                                 <li>Seleccione el proveedor, el tipo de producto, la fecha y el usuario.</li>
                                 <li>Introduzca la <strong>temperatura de entrega</strong> que midió en el producto. La app le mostrará la temperatura óptima como referencia.</li>
                                 <li>Marque si la documentación (albaranes, etc.) es correcta.</li>
+                                <li>Anote el <strong>lote</strong> y la <strong>fecha de caducidad</strong> que figuran en la etiqueta o el albarán. Ese lote podrá elegirse después en Trazabilidad como ingrediente de una elaboración o como origen de una salida, y la <strong>Genealogía de Lotes</strong> mostrará de dónde viene y a dónde ha ido cada lote. Las recepciones cuyo lote ya se ha usado no se pueden eliminar.</li>
+                                <li>Al guardar, la recepción se clasifica como <strong>Aceptada</strong>, <strong>Con observaciones</strong> o <strong>Rechazada</strong> comparando la temperatura con la óptima del producto y sus tolerancias. Si la temperatura queda fuera de tolerancia (recepción rechazada o con observaciones) se abre automáticamente una incidencia vinculada a la recepción y al proveedor; la documentación incorrecta sola queda como observación.</li>
                                 <li>Puede hacer una <strong>foto del albarán</strong> para tener un registro visual.</li>
                                 <li>Pulse "Guardar Registro".</li>
                             </ul>
@@ -61,6 +83,7 @@ const HelpModal: React.FC<HelpModalProps> = ({ isOpen, onClose, page }) => {
                             <ul>
                                 <li><strong>Gestionar Proveedores:</strong> Aquí puede añadir o eliminar proveedores de su lista.</li>
                                 <li><strong>Gestionar Tipos de Género:</strong> Le permite definir los productos que recibe y su temperatura óptima de conservación. Estos datos son cruciales para las alertas automáticas.</li>
+                                <li>Las <strong>tolerancias</strong> indican cuántos grados de diferencia con la óptima se aceptan sin observaciones y a partir de cuántos se rechaza la recepción. Deje vacíos los campos "por debajo" si recibir el producto más frío no es un problema.</li>
                             </ul>
                         </HelpAccordion>
                          <HelpAccordion title="Consultar el historial">
@@ -69,6 +92,9 @@ const HelpModal: React.FC<HelpModalProps> = ({ isOpen, onClose, page }) => {
                                 <li>Por defecto, las filas están colapsadas. Haga clic en una para <strong>ver todos los detalles</strong>.</li>
                                 <li>Use los <strong>filtros de fecha</strong> para encontrar registros en un período específico.</li>
                                 <li>Use los botones <strong>PDF</strong> y <strong>Excel</strong> para descargar los registros que está viendo.</li>
+                                <li>El botón <strong>CSV completo</strong> descarga desde el servidor todo el historial del rango de fechas, aunque no esté cargado en pantalla. Úselo para exportar varios meses o años de registros.</li>
+                                <li>Con <strong>Importar</strong> puede cargar registros en papel pasados a una hoja de cálculo (CSV o Excel) o un archivo JSON. Use las mismas columnas que la exportación; proveedores, productos y cámaras se reconocen por su nombre. Al terminar verá cuántos registros se importaron y qué filas tenían errores.</li>
+                                <li>La barra <strong>Buscar</strong> encima del historial busca en todos los registros guardados en el servidor (nombre del proveedor o del producto), no solo en los cargados. Pulse <strong>Limpiar</strong> para volver a la lista habitual. La misma búsqueda está disponible en Almacenamiento, Trazabilidad (productos, lotes y destinos) e Incidencias (títulos, notas y acciones correctivas).</li>
                             </ul>
                         </HelpAccordion>
                     </>
@@ -90,12 +116,23 @@ const HelpModal: React.FC<HelpModalProps> = ({ isOpen, onClose, page }) => {
                         <HelpAccordion title="Gestionar cámaras">
                            <p>En la sección "Gestionar Cámaras", puede añadir nuevas unidades de almacenamiento o eliminar las existentes.</p>
                             <ul>
-                                <li>Al añadir una cámara, es muy importante definir su <strong>rango de temperatura óptima (mínima y máxima)</strong>. Esto activará las alertas en el Panel Principal si un registro está fuera de este rango.</li>
-                                <li>También puede especificar si es una cámara normal, expositora o de secado.</li>
+                                <li>Al añadir una cámara, es muy importante definir su <strong>rango de temperatura óptima (mínima y máxima)</strong>. Las lecturas fuera de este rango generan excursiones de temperatura en el Panel Principal.</li>
+                                <li>En <strong>Horas de control</strong> indique a qué horas debe registrarse la temperatura cada día (ej: 08:00, 18:00) y la <strong>tolerancia</strong> en minutos. Para cambiarla más tarde, pulse <strong>"Programar"</strong> en la lista de cámaras; si deja las horas vacías, la cámara deja de tener controles programados.</li>
+                                <li>También puede especificar su tipo (frigorífica, expositora, de secado...). Los tipos disponibles los define el administrador en <strong>Configuración → Catálogos</strong>, donde también se editan las categorías de producto, las condiciones de transporte y las unidades de medida.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Sondas y registradores de datos">
+                           <p>En "Sondas y Registradores" puede conectar sondas de temperatura para que las lecturas se registren solas:</p>
+                            <ul>
+                                <li>El administrador da de alta cada sonda indicando la cámara en la que está instalada. Al crearla se muestra un <strong>token de dispositivo</strong> una sola vez: cópielo en la configuración de la sonda. Si se pierde, pulse <strong>Nuevo Token</strong> (el anterior deja de funcionar).</li>
+                                <li>Las sondas conectadas envían sus lecturas automáticamente. Para los registradores USB, descargue el CSV con su software y pulse <strong>Subir CSV</strong>; las lecturas ya registradas se omiten.</li>
+                                <li>Las lecturas de sondas se evalúan igual que los controles manuales: las que quedan fuera del rango de la cámara generan excursiones de temperatura.</li>
+                                <li>Las lecturas de sondas no aparecen en el "Historial de Controles", que recoge solo los controles manuales. Consúltelas en el gráfico <strong>Evolución de la Temperatura</strong>, que agrupa las lecturas en intervalos y marca en rojo los que tienen lecturas fuera de rango.</li>
                             </ul>
                         </HelpAccordion>
                          <HelpAccordion title="Consultar el historial">
-                           <p>La tabla "Historial de Controles" funciona de manera similar a la de Recepción. Puede expandir filas para ver detalles, filtrar por fecha y exportar los datos a PDF o Excel.</p>
+                           <p>La tabla "Historial de Controles" funciona de manera similar a la de Recepción. Puede expandir filas para ver detalles, filtrar por fecha, exportar los datos a PDF, Excel o CSV completo e importar lecturas desde una hoja de cálculo. El PDF incluye al final las excursiones de temperatura del periodo filtrado con su estado y acción correctiva.</p>
+                           <p>Los controles programados que no se realizaron aparecen intercalados en el historial, resaltados, en la fecha y hora en que tocaban. El PDF los recoge en una tabla propia junto con su justificación, si la tienen.</p>
                         </HelpAccordion>
                     </>
                 );
@@ -122,6 +159,130 @@ const HelpModal: React.FC<HelpModalProps> = ({ isOpen, onClose, page }) => {
                         </HelpAccordion>
                     </>
                 );
+            case 'Limpieza e Higiene':
+                return (
+                    <>
+                        <p>Defina una sola vez su <strong>Plan de Limpieza y Desinfección (L+D)</strong>: la aplicación genera cada día las tareas que tocan y guarda quién las realiza.</p>
+                        <HelpAccordion title="Definir el plan de superficies y zonas">
+                            <ul>
+                                <li>En <strong>Gestionar Superficies</strong> y <strong>Gestionar Zonas</strong> indique para cada elemento el método de limpieza, el producto químico, su dilución, el tiempo de contacto y el responsable.</li>
+                                <li>Las superficies se limpian a diario, ciertos <strong>días de la semana</strong> o <strong>después de cada uso</strong>. Las zonas, cada cierto número de días o ciertos días de la semana.</li>
+                                <li>Pulse "Editar" en un elemento para cambiar su plan.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Tareas de hoy">
+                            <ul>
+                                <li>La tabla <strong>Tareas de Hoy</strong> muestra las limpiezas que tocan hoy según el plan. Seleccione el usuario y pulse "Limpiado" para registrarlas.</li>
+                                <li>Las tareas <strong>Vencidas</strong> son zonas cuya limpieza debió hacerse antes. Las marcadas <strong>Tras cada uso</strong> no tienen hora: registre cada limpieza cuando se use el equipo.</li>
+                                <li>Si elige un <strong>Producto utilizado</strong> junto al usuario, quedará anotado en cada limpieza que registre y aparecerá en el historial.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Productos químicos">
+                            <ul>
+                                <li>En <strong>Productos Químicos</strong> registre los detergentes y desinfectantes que usa: fabricante, uso, dilución y si están autorizados para superficies en contacto con alimentos.</li>
+                                <li>Pulse "Adjuntar" para guardar la <strong>ficha de seguridad</strong> y la <strong>ficha técnica</strong> de cada producto (PDF, JPG o PNG) y "Ver" para descargarlas.</li>
+                                <li>"Anexo PDF" descarga el registro de productos. El documento del Plan L+D también lo incluye como anexo.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Imprimir el plan">
+                            <p>En <strong>Plan de Limpieza y Desinfección</strong>, pulse "Plan L+D" para descargar el documento oficial del plan junto con los registros de limpieza del rango de fechas elegido en el historial.</p>
+                        </HelpAccordion>
+                    </>
+                );
+            case 'Control de Plagas':
+                return (
+                    <>
+                        <p>Registre las estaciones de cebo y trampas de su plano de control de plagas y cada visita de la empresa de control.</p>
+                        <HelpAccordion title="Estaciones y trampas">
+                            <ul>
+                                <li>En <strong>Estaciones y Trampas</strong> añada cada estación con su <strong>número en el plano</strong>, su ubicación y su tipo.</li>
+                                <li>Elija a partir de qué nivel de actividad se debe <strong>abrir una incidencia</strong> en esa estación.</li>
+                                <li>Las estaciones inactivas no aparecen en las visitas nuevas. Si elimina una estación, sus hallazgos se conservan en el historial.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Registrar una visita">
+                            <ul>
+                                <li>Indique la fecha, la empresa, el técnico y su <strong>número de carné</strong> de aplicador.</li>
+                                <li>Para cada estación anote la actividad encontrada. Las que alcanzan el umbral muestran "Abrirá incidencia": al guardar se abre una incidencia en la sección Incidencias.</li>
+                                <li>Añada los productos aplicados con su número de registro y la cantidad.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Historial y certificados">
+                            <ul>
+                                <li>Haga clic en una visita para ver sus hallazgos y pulse "Adjuntar" para guardar el <strong>certificado del servicio</strong> (PDF, JPG o PNG).</li>
+                                <li>Pulse "PDF" para descargar el historial del rango de fechas elegido junto con el plano de estaciones y los hallazgos.</li>
+                            </ul>
+                        </HelpAccordion>
+                    </>
+                );
+            case 'Control del Agua':
+                return (
+                    <>
+                        <p>Si su establecimiento tiene abastecimiento propio, registre aquí las lecturas diarias de <strong>cloro libre residual</strong> y <strong>pH</strong> y los análisis periódicos del laboratorio.</p>
+                        <HelpAccordion title="Puntos de muestreo">
+                            <ul>
+                                <li>En <strong>Gestionar Puntos de Muestreo</strong> añada cada grifo o depósito donde se toman las lecturas.</li>
+                                <li>Cada punto tiene su <strong>rango aceptable</strong>. Por defecto, cloro libre entre 0,2 y 1 mg/L y pH entre 6,5 y 9,5. Pulse "Editar" para cambiarlo.</li>
+                                <li>Si elimina un punto, también se eliminan sus lecturas.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Lecturas diarias">
+                            <ul>
+                                <li>Elija el punto, la fecha y hora, e indique el cloro libre y el pH medidos.</li>
+                                <li>Las lecturas fuera del rango del punto se marcan en rojo en el historial. Anote en <strong>Observaciones</strong> la medida adoptada.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Análisis de laboratorio">
+                            <ul>
+                                <li>Registre cada análisis con la fecha de toma de muestra, el laboratorio, el tipo y el resultado.</li>
+                                <li>Pulse "Adjuntar" para guardar el <strong>informe del laboratorio</strong> (PDF, JPG o PNG) y "Ver" para descargarlo.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Exportar el historial">
+                            <p>Elija un rango de fechas y pulse "PDF" para descargar las lecturas junto con los análisis del periodo, o "Excel" para obtener las lecturas en una hoja de cálculo.</p>
+                        </HelpAccordion>
+                    </>
+                );
+            case 'Aceite de Fritura':
+                return (
+                    <>
+                        <p>Controle la degradación del aceite de cada freidora midiendo los <strong>compuestos polares totales (% TPM)</strong> y registre cada cambio de aceite.</p>
+                        <HelpAccordion title="Freidoras">
+                            <ul>
+                                <li>En <strong>Gestionar Freidoras</strong> añada cada equipo con su ubicación.</li>
+                                <li>Cada freidora tiene su <strong>límite de desecho</strong>, por defecto 25% de compuestos polares. Pulse "Editar" para cambiarlo; las lecturas anteriores conservan el límite con el que se registraron.</li>
+                                <li>Desmarque "Freidora en uso" para dejar de controlarla sin perder su historial.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Lecturas y cambios de aceite">
+                            <ul>
+                                <li>Elija la freidora y registre una <strong>lectura</strong> con el % TPM medido y, si quiere, la temperatura del aceite.</li>
+                                <li>Cuando renueve el aceite, registre un <strong>cambio de aceite</strong> con el aceite utilizado y la cantidad.</li>
+                                <li>Una lectura por encima del límite queda como <strong>cambio pendiente</strong> en el Panel Principal hasta que registre un cambio de aceite posterior.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Historial por freidora">
+                            <p>Elija una freidora para ver su evolución entre cambios de aceite. Pulse "PDF" o "Excel" para descargar el historial del rango de fechas elegido.</p>
+                        </HelpAccordion>
+                    </>
+                );
+            case 'Retirada de Producto':
+                return (
+                    <>
+                        <p>Simule la retirada de un lote antes de que ocurra un problema real, o prepare en minutos la documentación que pide la autoridad sanitaria.</p>
+                        <HelpAccordion title="Simular una retirada">
+                            <ul>
+                                <li>Escriba el <strong>lote</strong> y elija el sentido del recorrido.</li>
+                                <li><strong>Hacia los destinos:</strong> parte de un lote recibido o elaborado y sigue todas las elaboraciones que lo usan, a cualquier nivel, hasta las salidas. Muestra los clientes y establecimientos afectados.</li>
+                                <li><strong>Hacia el origen:</strong> parte de un lote expedido o elaborado y sube por sus ingredientes hasta las recepciones. Muestra los proveedores de los que procede.</li>
+                                <li>Los ingredientes vinculados a una recepción se siguen siempre; los que solo tienen el lote escrito se relacionan por el texto del lote. Los que no coinciden con ninguna recepción aparecen como <strong>sin trazar</strong>.</li>
+                            </ul>
+                        </HelpAccordion>
+                        <HelpAccordion title="Generar el dossier de retirada">
+                            <p>Pulse <strong>Generar dossier PDF</strong> para descargar el informe con la cabecera del establecimiento, los destinos o proveedores afectados y todos los registros recorridos.</p>
+                        </HelpAccordion>
+                    </>
+                );
             default:
                 return <p>Bienvenido al centro de ayuda. Navegue a un módulo específico para ver instrucciones detalladas.</p>;
         }
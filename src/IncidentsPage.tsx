@@ -0,0 +1,493 @@
+import React, { useState, useMemo } from 'react';
+import { exportToExcel, exportIncidentsToPDF } from './exportUtils';
+import { getErrorMessage } from './services';
+import type { ListPagination } from './services';
+import RecordSearchBar, { applySearchResults } from './components/RecordSearchBar';
+import LoadMoreButton from './components/LoadMoreButton';
+import { calculateIncidentStats, canResolveIncident, getIncidentCompletionRate } from './utils/incidentUtils';
+import { User, Incident, IncidentFormData, IncidentSeverity, IncidentStatus, CorrectiveActionFormData, CorrectiveActionStatus, EstablishmentInfo } from './types';
+
+interface IncidentsPageProps {
+    users: User[];
+    incidents: Incident[];
+    pagination?: ListPagination;
+    onLoadMore: () => Promise<void>;
+    onAddIncident: (incident: IncidentFormData) => Promise<void>;
+    onChangeStatus: (id: string, status: IncidentStatus, notes?: string) => Promise<void>;
+    onDeleteIncident: (id: string) => Promise<void>;
+    onAddCorrectiveAction: (incidentId: string, action: CorrectiveActionFormData) => Promise<void>;
+    onUpdateCorrectiveAction: (incidentId: string, actionId: string, action: Partial<CorrectiveActionFormData>) => Promise<void>;
+    onDeleteCorrectiveAction: (incidentId: string, actionId: string) => Promise<void>;
+    onSearchIncidents: (query: string) => Promise<Incident[]>;
+    establishmentInfo: EstablishmentInfo;
+}
+
+const SEVERITIES: IncidentSeverity[] = ['Baja', 'Media', 'Alta', 'Crítica'];
+const STATUSES: IncidentStatus[] = ['Abierta', 'En Proceso', 'Resuelta'];
+const ACTION_STATUSES: CorrectiveActionStatus[] = ['Pendiente', 'En Progreso', 'Completada'];
+
+const SEVERITY_CLASSES: Record<IncidentSeverity, string> = {
+    'Crítica': 'severity-critical',
+    'Alta': 'severity-high',
+    'Media': 'severity-medium',
+    'Baja': 'severity-low'
+};
+
+const STATUS_CLASSES: Record<IncidentStatus, string> = {
+    'Abierta': 'status-open',
+    'En Proceso': 'status-in-progress',
+    'Resuelta': 'status-resolved'
+};
+
+const ACTION_STATUS_CLASSES: Record<CorrectiveActionStatus, string> = {
+    'Pendiente': 'action-pending',
+    'En Progreso': 'action-in-progress',
+    'Completada': 'action-completed'
+};
+
+const IncidentsPage: React.FC<IncidentsPageProps> = ({
+    users, incidents, pagination, onLoadMore, onAddIncident, onChangeStatus, onDeleteIncident,
+    onAddCorrectiveAction, onUpdateCorrectiveAction, onDeleteCorrectiveAction,
+    onSearchIncidents, establishmentInfo
+}) => {
+    // UI State
+    const [isIncidentFormOpen, setIsIncidentFormOpen] = useState(true);
+    const [expandedIncidentId, setExpandedIncidentId] = useState<string | null>(null);
+    const [actionFormIncidentId, setActionFormIncidentId] = useState<string | null>(null);
+    const [incidentToResolve, setIncidentToResolve] = useState<string | null>(null);
+    const [resolutionNotes, setResolutionNotes] = useState('');
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+    const [statusFilter, setStatusFilter] = useState<IncidentStatus | ''>('');
+    const [severityFilter, setSeverityFilter] = useState<IncidentSeverity | ''>('');
+    const [searchText, setSearchText] = useState('');
+    // Resultados de la búsqueda en el servidor (null sin búsqueda activa)
+    const [searchResults, setSearchResults] = useState<Incident[] | null>(null);
+
+    // Form state: New Incident
+    const [incidentTitle, setIncidentTitle] = useState('');
+    const [incidentDescription, setIncidentDescription] = useState('');
+    const [incidentDate, setIncidentDate] = useState(new Date().toISOString().slice(0, 10));
+    const [incidentArea, setIncidentArea] = useState('');
+    const [incidentSeverity, setIncidentSeverity] = useState<IncidentSeverity>('Media');
+    const [reportedBy, setReportedBy] = useState(users.length > 0 ? String(users[0].id) : '');
+
+    // Form state: New Corrective Action
+    const [actionDescription, setActionDescription] = useState('');
+    const [actionDate, setActionDate] = useState(new Date().toISOString().slice(0, 10));
+    const [actionResponsible, setActionResponsible] = useState(users.length > 0 ? String(users[0].id) : '');
+    const [actionStatus, setActionStatus] = useState<CorrectiveActionStatus>('Pendiente');
+
+    const usersMap = useMemo(() => new Map(users.map(u => [u.id, u.name])), [users]);
+
+    const filteredIncidents = useMemo(() => {
+        const search = searchText.trim().toLowerCase();
+        return applySearchResults(searchResults, incidents).filter(incident => {
+            const detectionDate = incident.detectionDate.slice(0, 10);
+            if (startDate && detectionDate < startDate) return false;
+            if (endDate && detectionDate > endDate) return false;
+            if (statusFilter && incident.status !== statusFilter) return false;
+            if (severityFilter && incident.severity !== severityFilter) return false;
+            if (search) {
+                return [incident.title, incident.description, incident.affectedArea]
+                    .some(text => text.toLowerCase().includes(search));
+            }
+            return true;
+        }).sort((a, b) => new Date(b.detectionDate).getTime() - new Date(a.detectionDate).getTime());
+    }, [incidents, searchResults, startDate, endDate, statusFilter, severityFilter, searchText]);
+
+    const stats = useMemo(() => calculateIncidentStats(filteredIncidents), [filteredIncidents]);
+
+    // Ejecuta una operación del servidor mostrando su mensaje de error si la rechaza
+    const runAction = async (operation: () => Promise<void>, errorMessage: string) => {
+        try {
+            await operation();
+            return true;
+        } catch (error) {
+            alert(`${errorMessage}\n${getErrorMessage(error)}`);
+            return false;
+        }
+    };
+
+    const handleAddIncident = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!incidentTitle.trim() || !incidentDescription.trim() || !incidentArea.trim() || !reportedBy) {
+            alert('Por favor, complete todos los campos de la incidencia.');
+            return;
+        }
+
+        const saved = await runAction(() => onAddIncident({
+            title: incidentTitle.trim(),
+            description: incidentDescription.trim(),
+            detectionDate: incidentDate,
+            affectedArea: incidentArea.trim(),
+            severity: incidentSeverity,
+            reportedBy
+        }), 'No se pudo registrar la incidencia.');
+
+        if (saved) {
+            setIncidentTitle('');
+            setIncidentDescription('');
+            setIncidentArea('');
+            setIncidentSeverity('Media');
+        }
+    };
+
+    const handleDeleteIncident = (id: string) => {
+        if (window.confirm('¿Está seguro de que desea eliminar esta incidencia y sus acciones correctivas? Esta acción no se puede deshacer.')) {
+            runAction(async () => {
+                await onDeleteIncident(id);
+                setSearchResults(prev => prev && prev.filter(incident => incident.id !== id));
+            }, 'No se pudo eliminar la incidencia.');
+        }
+    };
+
+    const handleAddCorrectiveAction = async (e: React.FormEvent, incidentId: string) => {
+        e.preventDefault();
+        if (!actionDescription.trim() || !actionResponsible) {
+            alert('Por favor, describa la acción correctiva e indique un responsable.');
+            return;
+        }
+
+        const saved = await runAction(() => onAddCorrectiveAction(incidentId, {
+            description: actionDescription.trim(),
+            implementationDate: actionDate,
+            responsibleUser: actionResponsible,
+            status: actionStatus
+        }), 'No se pudo registrar la acción correctiva.');
+
+        if (saved) {
+            setActionDescription('');
+            setActionDate(new Date().toISOString().slice(0, 10));
+            setActionStatus('Pendiente');
+            setActionFormIncidentId(null);
+        }
+    };
+
+    const handleActionStatusChange = (incidentId: string, actionId: string, status: CorrectiveActionStatus) => {
+        runAction(() => onUpdateCorrectiveAction(incidentId, actionId, { status }), 'No se pudo actualizar la acción correctiva.');
+    };
+
+    const handleDeleteCorrectiveAction = (incidentId: string, actionId: string) => {
+        if (window.confirm('¿Está seguro de que desea eliminar esta acción correctiva?')) {
+            runAction(() => onDeleteCorrectiveAction(incidentId, actionId), 'No se pudo eliminar la acción correctiva.');
+        }
+    };
+
+    const closeResolveDialog = () => {
+        setIncidentToResolve(null);
+        setResolutionNotes('');
+    };
+
+    const handleConfirmResolve = async () => {
+        if (!incidentToResolve) return;
+        const resolved = await runAction(
+            () => onChangeStatus(incidentToResolve, 'Resuelta', resolutionNotes.trim()),
+            'No se pudo resolver la incidencia.'
+        );
+        if (resolved) closeResolveDialog();
+    };
+
+    const handleReopen = (id: string) => {
+        const notes = window.prompt('Motivo de la reapertura (opcional):');
+        if (notes === null) return;
+        runAction(() => onChangeStatus(id, 'En Proceso', notes.trim()), 'No se pudo reabrir la incidencia.');
+    };
+
+    const clearFilters = () => {
+        setStartDate('');
+        setEndDate('');
+        setStatusFilter('');
+        setSeverityFilter('');
+        setSearchText('');
+    };
+
+    const handleExportPDF = () => {
+        exportIncidentsToPDF(filteredIncidents, establishmentInfo, usersMap);
+    };
+
+    const handleExportExcel = () => {
+        const data = filteredIncidents.map(incident => ({
+            "Fecha de Detección": new Date(incident.detectionDate).toLocaleDateString('es-ES'),
+            "Título": incident.title,
+            "Descripción": incident.description,
+            "Área Afectada": incident.affectedArea,
+            "Gravedad": incident.severity,
+            "Estado": incident.status,
+            "Detectada por": usersMap.get(incident.reportedBy) || 'N/A',
+            "Acciones Correctivas": incident.correctiveActions.length,
+            "Acciones Completadas": incident.correctiveActions.filter(a => a.status === 'Completada').length,
+            "Fecha de Resolución": incident.resolvedAt ? new Date(incident.resolvedAt).toLocaleDateString('es-ES') : '',
+            "Resuelta por": incident.resolvedBy || '',
+            "Notas de Resolución": incident.resolutionNotes || ''
+        }));
+        exportToExcel(data, "registro_incidencias");
+    };
+
+    return (
+        <>
+            <h1>Gestión de Incidencias</h1>
+
+            <div className="card">
+                <h2
+                    className="collapsible-header"
+                    onClick={() => setIsIncidentFormOpen(!isIncidentFormOpen)}
+                    role="button"
+                    aria-expanded={isIncidentFormOpen}
+                >
+                    Registrar Nueva Incidencia
+                    <span className={`chevron ${isIncidentFormOpen ? 'open' : ''}`}>&#9660;</span>
+                </h2>
+                <div className={`collapsible-content ${isIncidentFormOpen ? 'open' : ''}`}>
+                    <div className="collapsible-content-inner">
+                        <form onSubmit={handleAddIncident}>
+                            <div className="form-group">
+                                <label htmlFor="incident-title">Título de la Incidencia</label>
+                                <input type="text" id="incident-title" value={incidentTitle} onChange={e => setIncidentTitle(e.target.value)} placeholder="Ej: Temperatura fuera de rango en cámara frigorífica" maxLength={100} required />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="incident-description">Descripción Detallada</label>
+                                <textarea id="incident-description" value={incidentDescription} onChange={e => setIncidentDescription(e.target.value)} placeholder="Describa detalladamente la incidencia detectada..." rows={4} maxLength={1000} required />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="incident-date">Fecha de Detección</label>
+                                <input type="date" id="incident-date" value={incidentDate} onChange={e => setIncidentDate(e.target.value)} max={new Date().toISOString().slice(0, 10)} required />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="incident-area">Área Afectada</label>
+                                <input type="text" id="incident-area" value={incidentArea} onChange={e => setIncidentArea(e.target.value)} placeholder="Ej: Cocina, Almacén, Cámara frigorífica" maxLength={50} required />
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="incident-severity">Nivel de Gravedad</label>
+                                <select id="incident-severity" value={incidentSeverity} onChange={e => setIncidentSeverity(e.target.value as IncidentSeverity)} required>
+                                    {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                                </select>
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="incident-reporter">Detectada por</label>
+                                <select id="incident-reporter" value={reportedBy} onChange={e => setReportedBy(e.target.value)} required>
+                                    {users.map(user => <option key={user.id} value={user.id}>{user.name}</option>)}
+                                </select>
+                            </div>
+                            <button type="submit" className="btn-submit">Registrar Incidencia</button>
+                        </form>
+                    </div>
+                </div>
+            </div>
+
+            <div className="card">
+                <h2>Registro de Incidencias</h2>
+                <RecordSearchBar
+                    placeholder="Buscar en todo el historial (títulos, notas, acciones correctivas)..."
+                    onSearch={onSearchIncidents}
+                    onResults={setSearchResults}
+                />
+                <div className="incident-stats">
+                    <div><span className="stat-value">{stats.total}</span><span className="stat-label">Mostradas</span></div>
+                    <div><span className="stat-value status-open">{stats.open}</span><span className="stat-label">Abiertas</span></div>
+                    <div><span className="stat-value status-in-progress">{stats.inProgress}</span><span className="stat-label">En Proceso</span></div>
+                    <div><span className="stat-value status-resolved">{stats.resolved}</span><span className="stat-label">Resueltas</span></div>
+                    <div><span className="stat-value severity-critical">{stats.critical}</span><span className="stat-label">Críticas</span></div>
+                    <div><span className="stat-value">{stats.averageResolutionTime}</span><span className="stat-label">Días medios de resolución</span></div>
+                </div>
+                <div className="export-controls-container">
+                    <h3>Filtrar y Exportar</h3>
+                    <div className="export-controls-row">
+                        <div className="form-group">
+                            <label htmlFor="incident-search">Búsqueda</label>
+                            <input type="text" id="incident-search" value={searchText} onChange={e => setSearchText(e.target.value)} placeholder="Título, descripción o área..." />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="status-filter">Estado</label>
+                            <select id="status-filter" value={statusFilter} onChange={e => setStatusFilter(e.target.value as IncidentStatus | '')}>
+                                <option value="">Todos</option>
+                                {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="severity-filter">Gravedad</label>
+                            <select id="severity-filter" value={severityFilter} onChange={e => setSeverityFilter(e.target.value as IncidentSeverity | '')}>
+                                <option value="">Todas</option>
+                                {SEVERITIES.map(severity => <option key={severity} value={severity}>{severity}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <div className="export-controls-row">
+                        <div className="form-group">
+                            <label htmlFor="start-date">Fecha de Inicio</label>
+                            <input type="date" id="start-date" value={startDate} onChange={e => setStartDate(e.target.value)} />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="end-date">Fecha de Fin</label>
+                            <input type="date" id="end-date" value={endDate} onChange={e => setEndDate(e.target.value)} />
+                        </div>
+                        <div className="export-buttons">
+                            <button className="btn-view-photo" onClick={clearFilters}>Limpiar Filtros</button>
+                            <button className="btn-export btn-pdf" onClick={handleExportPDF} disabled={filteredIncidents.length === 0}>
+                                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+                                PDF
+                            </button>
+                            <button className="btn-export btn-excel" onClick={handleExportExcel} disabled={filteredIncidents.length === 0}>
+                                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+                                Excel
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                {filteredIncidents.length > 0 ? (
+                    <div style={{overflowX: 'auto'}}>
+                        <table className="user-table">
+                            <thead>
+                                <tr>
+                                    <th>Fecha</th>
+                                    <th>Título</th>
+                                    <th>Gravedad</th>
+                                    <th>Estado</th>
+                                    <th>Detalles</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {filteredIncidents.map(incident => {
+                                    const isExpanded = expandedIncidentId === incident.id;
+                                    const showActionForm = actionFormIncidentId === incident.id;
+
+                                    return (
+                                        <React.Fragment key={incident.id}>
+                                            <tr className="summary-row" onClick={() => setExpandedIncidentId(isExpanded ? null : incident.id)} aria-expanded={isExpanded}>
+                                                <td data-label="Fecha">{new Date(incident.detectionDate).toLocaleDateString('es-ES')}</td>
+                                                <td data-label="Título">{incident.title}</td>
+                                                <td data-label="Gravedad"><span className={`incident-badge ${SEVERITY_CLASSES[incident.severity]}`}>{incident.severity}</span></td>
+                                                <td data-label="Estado"><span className={`incident-badge ${STATUS_CLASSES[incident.status]}`}>{incident.status}</span></td>
+                                                <td data-label="Detalles" className="expand-cell">
+                                                    <span className="expand-indicator">{isExpanded ? 'Ocultar' : 'Ver'}</span>
+                                                    <span className={`chevron ${isExpanded ? 'open' : ''}`}>&#9660;</span>
+                                                </td>
+                                            </tr>
+                                            {isExpanded && (
+                                                <tr className="detail-row">
+                                                    <td colSpan={5}>
+                                                        <div className="record-details">
+                                                            <div><strong>Descripción</strong><span>{incident.description}</span></div>
+                                                            <div><strong>Área afectada</strong><span>{incident.affectedArea}</span></div>
+                                                            <div><strong>Detectada por</strong><span>{usersMap.get(incident.reportedBy) || 'N/A'}</span></div>
+                                                            <div><strong>Registrada por</strong><span>{incident.registeredBy || 'N/A'}</span></div>
+                                                            {incident.deliveryRecordId && <div><strong>Origen</strong><span>Recepción no conforme (abierta automáticamente)</span></div>}
+                                                            {incident.pestControlVisitId && <div><strong>Origen</strong><span>Visita de control de plagas (abierta automáticamente)</span></div>}
+                                                            <div><strong>Acciones completadas</strong><span>{getIncidentCompletionRate(incident)}%</span></div>
+                                                            {incident.status === 'Resuelta' && (
+                                                                <>
+                                                                    <div><strong>Resuelta el</strong><span>{incident.resolvedAt ? new Date(incident.resolvedAt).toLocaleString('es-ES') : 'N/A'}</span></div>
+                                                                    <div><strong>Resuelta por</strong><span>{incident.resolvedBy || 'N/A'}</span></div>
+                                                                    {incident.resolutionNotes && <div><strong>Notas de resolución</strong><span>{incident.resolutionNotes}</span></div>}
+                                                                </>
+                                                            )}
+
+                                                            <div className="corrective-actions">
+                                                                <h4>Acciones Correctivas</h4>
+                                                                {incident.correctiveActions.length > 0 ? (
+                                                                    <ul className="corrective-actions-list">
+                                                                        {incident.correctiveActions.map(action => (
+                                                                            <li key={action.id}>
+                                                                                <div className="corrective-action-info">
+                                                                                    <span className={`incident-badge ${ACTION_STATUS_CLASSES[action.status]}`}>{action.status}</span>
+                                                                                    <p>{action.description}</p>
+                                                                                    <small>
+                                                                                        {new Date(action.implementationDate).toLocaleDateString('es-ES')} · Responsable: {usersMap.get(action.responsibleUser) || 'N/A'}
+                                                                                        {action.completedAt && ` · Completada el ${new Date(action.completedAt).toLocaleDateString('es-ES')}`}
+                                                                                    </small>
+                                                                                </div>
+                                                                                <div className="corrective-action-controls">
+                                                                                    <select value={action.status} onChange={e => handleActionStatusChange(incident.id, action.id, e.target.value as CorrectiveActionStatus)} aria-label="Estado de la acción">
+                                                                                        {ACTION_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                                                                                    </select>
+                                                                                    <button className="btn-delete" onClick={() => handleDeleteCorrectiveAction(incident.id, action.id)}>Eliminar</button>
+                                                                                </div>
+                                                                            </li>
+                                                                        ))}
+                                                                    </ul>
+                                                                ) : (
+                                                                    <p>No hay acciones correctivas registradas.</p>
+                                                                )}
+
+                                                                {showActionForm && (
+                                                                    <form className="corrective-action-form" onSubmit={e => handleAddCorrectiveAction(e, incident.id)}>
+                                                                        <div className="form-group">
+                                                                            <label htmlFor={`action-desc-${incident.id}`}>Descripción de la acción</label>
+                                                                            <textarea id={`action-desc-${incident.id}`} value={actionDescription} onChange={e => setActionDescription(e.target.value)} placeholder="Describa la acción correctiva..." rows={3} maxLength={1000} required />
+                                                                        </div>
+                                                                        <div className="corrective-action-fields">
+                                                                            <div className="form-group">
+                                                                                <label htmlFor={`action-date-${incident.id}`}>Fecha de implementación</label>
+                                                                                <input type="date" id={`action-date-${incident.id}`} value={actionDate} onChange={e => setActionDate(e.target.value)} required />
+                                                                            </div>
+                                                                            <div className="form-group">
+                                                                                <label htmlFor={`action-responsible-${incident.id}`}>Responsable</label>
+                                                                                <select id={`action-responsible-${incident.id}`} value={actionResponsible} onChange={e => setActionResponsible(e.target.value)} required>
+                                                                                    {users.map(user => <option key={user.id} value={user.id}>{user.name}</option>)}
+                                                                                </select>
+                                                                            </div>
+                                                                            <div className="form-group">
+                                                                                <label htmlFor={`action-status-${incident.id}`}>Estado</label>
+                                                                                <select id={`action-status-${incident.id}`} value={actionStatus} onChange={e => setActionStatus(e.target.value as CorrectiveActionStatus)}>
+                                                                                    {ACTION_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+                                                                                </select>
+                                                                            </div>
+                                                                        </div>
+                                                                        <button type="submit" className="btn-submit">Guardar Acción</button>
+                                                                    </form>
+                                                                )}
+                                                            </div>
+
+                                                            <div className="detail-actions">
+                                                                <strong>Acciones</strong>
+                                                                <div>
+                                                                    <button className="btn-view-photo" onClick={() => setActionFormIncidentId(showActionForm ? null : incident.id)}>
+                                                                        {showActionForm ? 'Cancelar' : 'Añadir Acción Correctiva'}
+                                                                    </button>
+                                                                    {canResolveIncident(incident) && (
+                                                                        <button className="btn-view-photo" onClick={() => setIncidentToResolve(incident.id)}>Marcar como Resuelta</button>
+                                                                    )}
+                                                                    {incident.status === 'Resuelta' && (
+                                                                        <button className="btn-view-photo" onClick={() => handleReopen(incident.id)}>Reabrir</button>
+                                                                    )}
+                                                                    <button className="btn-delete" onClick={() => handleDeleteIncident(incident.id)}>Eliminar Incidencia</button>
+                                                                </div>
+                                                            </div>
+                                                        </div>
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <p>No hay incidencias registradas para los filtros seleccionados.</p>
+                )}
+                {searchResults === null && (
+                    <LoadMoreButton pagination={pagination} loadedCount={incidents.length} onLoadMore={onLoadMore} />
+                )}
+            </div>
+
+            {incidentToResolve && (
+                <div className="image-modal-overlay" onClick={closeResolveDialog}>
+                    <div className="image-modal-content resolve-incident-modal" onClick={e => e.stopPropagation()}>
+                        <h3>Resolver Incidencia</h3>
+                        <div className="form-group">
+                            <label htmlFor="resolution-notes">Notas de resolución</label>
+                            <textarea id="resolution-notes" value={resolutionNotes} onChange={e => setResolutionNotes(e.target.value)} rows={4} placeholder="Describa cómo se resolvió la incidencia y las medidas adoptadas..." />
+                        </div>
+                        <div className="resolve-incident-actions">
+                            <button className="btn-delete" onClick={closeResolveDialog}>Cancelar</button>
+                            <button onClick={handleConfirmResolve}>Marcar como Resuelta</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default IncidentsPage;
@@ -0,0 +1,497 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { exportToPDF, downloadFile } from './exportUtils';
+import { getErrorMessage } from './services';
+import { PestStation, PestStationFormData, PestStationType, PestActivityLevel, PestControlVisit, PestControlVisitFormData, AppliedPestProduct, EstablishmentInfo } from './types';
+import {
+    PEST_STATION_TYPES, PEST_ACTIVITY_LEVELS, PEST_INCIDENT_THRESHOLDS, PEST_ACTIVITY_CLASSES, PEST_VISIT_HEADERS, PEST_STATION_HEADERS, PEST_FINDING_HEADERS,
+    reachesThreshold, formatActiveFindings, formatAppliedProducts, toVisitFormData, pestVisitsToRows, pestStationsToRows, pestFindingsToRows
+} from './utils/pestControlUtils';
+import { CHEMICAL_DOCUMENT_ACCEPT } from './utils/chemicalProductUtils';
+
+interface PestControlPageProps {
+    stations: PestStation[];
+    visits: PestControlVisit[];
+    onAddStation: (data: PestStationFormData) => Promise<void>;
+    onUpdateStation: (id: string, data: PestStationFormData) => Promise<void>;
+    onDeleteStation: (id: string) => Promise<void>;
+    onAddVisit: (data: PestControlVisitFormData) => Promise<void>;
+    onUpdateVisit: (id: string, data: PestControlVisitFormData) => Promise<void>;
+    onDeleteVisit: (id: string) => Promise<void>;
+    onUploadCertificate: (id: string, file: File) => Promise<void>;
+    onDownloadCertificate: (id: string) => Promise<{ blob: Blob; fileName: string }>;
+    onDeleteCertificate: (id: string) => Promise<void>;
+    establishmentInfo: EstablishmentInfo;
+}
+
+const EMPTY_STATION: PestStationFormData = { number: 0, location: '', type: 'Cebadero de roedores', incidentThreshold: 'Media', isActive: true };
+const EMPTY_PRODUCT: AppliedPestProduct = { name: '', registrationNumber: '', quantity: '' };
+
+const PestControlPage: React.FC<PestControlPageProps> = ({
+    stations, visits, onAddStation, onUpdateStation, onDeleteStation,
+    onAddVisit, onUpdateVisit, onDeleteVisit, onUploadCertificate, onDownloadCertificate, onDeleteCertificate,
+    establishmentInfo
+}) => {
+    // UI State
+    const [isStationsOpen, setIsStationsOpen] = useState(false);
+    const [isVisitFormOpen, setIsVisitFormOpen] = useState(true);
+    const [expandedVisitId, setExpandedVisitId] = useState<string | null>(null);
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+
+    // Form state: Station (el número se edita como texto)
+    const [stationForm, setStationForm] = useState(EMPTY_STATION);
+    const [stationNumber, setStationNumber] = useState('');
+    const [editingStationId, setEditingStationId] = useState<string | null>(null);
+
+    // Form state: Visit
+    const [visitForm, setVisitForm] = useState<PestControlVisitFormData>(() => toVisitFormData(stations));
+    const [editingVisitId, setEditingVisitId] = useState<string | null>(null);
+
+    const certificateInputRef = useRef<HTMLInputElement>(null);
+    const [certificateVisitId, setCertificateVisitId] = useState<string | null>(null);
+    const [isUploading, setIsUploading] = useState(false);
+
+    const stationsMap = useMemo(() => new Map(stations.map(s => [s.id, s])), [stations]);
+
+    // Las estaciones creadas después de abrir el formulario también se revisan
+    const visitFindings = useMemo(() => {
+        const current = new Map(visitForm.findings.map(finding => [finding.stationId, finding]));
+        return toVisitFormData(stations).findings
+            .filter(finding => !current.has(finding.stationId))
+            .concat(visitForm.findings)
+            .filter(finding => stationsMap.has(finding.stationId))
+            .sort((a, b) => (stationsMap.get(a.stationId)?.number || 0) - (stationsMap.get(b.stationId)?.number || 0));
+    }, [visitForm.findings, stations, stationsMap]);
+
+    const filteredVisits = useMemo(() => {
+        return visits.filter(visit => {
+            const visitDate = visit.visitDate.slice(0, 10);
+            if (startDate && visitDate < startDate) return false;
+            if (endDate && visitDate > endDate) return false;
+            return true;
+        }).sort((a, b) => new Date(b.visitDate).getTime() - new Date(a.visitDate).getTime());
+    }, [visits, startDate, endDate]);
+
+    // Ejecuta una operación del servidor mostrando su mensaje de error si la rechaza
+    const runAction = async (operation: () => Promise<void>, errorMessage: string) => {
+        try {
+            await operation();
+            return true;
+        } catch (error) {
+            alert(`${errorMessage}\n${getErrorMessage(error)}`);
+            return false;
+        }
+    };
+
+    // Handlers: Estaciones
+    const resetStationForm = () => {
+        setStationForm(EMPTY_STATION);
+        setStationNumber('');
+        setEditingStationId(null);
+    };
+
+    const handleSubmitStation = async (e: React.FormEvent) => {
+        e.preventDefault();
+        const number = parseInt(stationNumber, 10);
+        if (!(number >= 1) || !stationForm.location.trim()) {
+            alert('Indique el número de la estación en el plano y su ubicación.');
+            return;
+        }
+
+        const data = { ...stationForm, number, location: stationForm.location.trim() };
+        const saved = await runAction(
+            () => editingStationId ? onUpdateStation(editingStationId, data) : onAddStation(data),
+            'No se pudo guardar la estación.'
+        );
+        if (saved) resetStationForm();
+    };
+
+    const handleEditStation = (station: PestStation) => {
+        setStationForm({ number: station.number, location: station.location, type: station.type, incidentThreshold: station.incidentThreshold, isActive: station.isActive });
+        setStationNumber(String(station.number));
+        setEditingStationId(station.id);
+    };
+
+    const handleDeleteStation = (station: PestStation) => {
+        if (window.confirm(`¿Eliminar la estación ${station.number} (${station.location})? Sus hallazgos se conservarán en el historial de visitas.`)) {
+            runAction(() => onDeleteStation(station.id), 'No se pudo eliminar la estación.');
+        }
+    };
+
+    // Handlers: Visitas
+    const setVisitField = <K extends keyof PestControlVisitFormData>(field: K, value: PestControlVisitFormData[K]) =>
+        setVisitForm(current => ({ ...current, [field]: value }));
+
+    const handleFindingChange = (stationId: string, field: 'activity' | 'notes', value: string) => {
+        setVisitField('findings', visitFindings.map(finding =>
+            finding.stationId === stationId ? { ...finding, [field]: value } : finding
+        ));
+    };
+
+    const handleProductChange = (index: number, field: keyof AppliedPestProduct, value: string) => {
+        setVisitField('productsApplied', visitForm.productsApplied.map((product, i) => i === index ? { ...product, [field]: value } : product));
+    };
+
+    const resetVisitForm = () => {
+        setVisitForm(toVisitFormData(stations));
+        setEditingVisitId(null);
+    };
+
+    const handleSubmitVisit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!visitForm.company.trim() || !visitForm.technicianCertificate.trim()) {
+            alert('Indique la empresa y el número de carné del técnico.');
+            return;
+        }
+        if (visitForm.productsApplied.some(product => !product.name.trim())) {
+            alert('Indique el nombre de cada producto aplicado o elimine la fila.');
+            return;
+        }
+
+        const data: PestControlVisitFormData = {
+            ...visitForm,
+            company: visitForm.company.trim(),
+            technician: visitForm.technician.trim(),
+            technicianCertificate: visitForm.technicianCertificate.trim(),
+            findings: visitFindings.map(finding => ({ ...finding, notes: finding.notes.trim() })),
+            productsApplied: visitForm.productsApplied.map(product => ({
+                name: product.name.trim(),
+                registrationNumber: product.registrationNumber.trim(),
+                quantity: product.quantity.trim()
+            })),
+            observations: visitForm.observations.trim()
+        };
+
+        const newIncidents = data.findings.filter(finding => {
+            const station = stationsMap.get(finding.stationId);
+            return station && reachesThreshold(finding.activity, station);
+        }).length;
+
+        const saved = await runAction(
+            () => editingVisitId ? onUpdateVisit(editingVisitId, data) : onAddVisit(data),
+            'No se pudo guardar la visita.'
+        );
+        if (saved) {
+            resetVisitForm();
+            if (newIncidents > 0 && !editingVisitId) {
+                alert(`Visita registrada. ${newIncidents} hallazgo(s) superan el umbral de su estación y se han abierto incidencias.`);
+            }
+        }
+    };
+
+    const handleEditVisit = (visit: PestControlVisit) => {
+        setVisitForm(toVisitFormData(stations, visit));
+        setEditingVisitId(visit.id);
+        setIsVisitFormOpen(true);
+    };
+
+    const handleDeleteVisit = (visit: PestControlVisit) => {
+        if (window.confirm('¿Eliminar esta visita y su certificado? Las incidencias abiertas se conservarán.')) {
+            runAction(() => onDeleteVisit(visit.id), 'No se pudo eliminar la visita.');
+        }
+    };
+
+    // Handlers: Certificados
+    const handleUploadClick = (visitId: string) => {
+        setCertificateVisitId(visitId);
+        certificateInputRef.current?.click();
+    };
+
+    const handleUploadFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !certificateVisitId) return;
+
+        setIsUploading(true);
+        await runAction(() => onUploadCertificate(certificateVisitId, file), 'No se pudo adjuntar el certificado.');
+        setIsUploading(false);
+    };
+
+    // Se guarda con el nombre original (la cabecera de descarga solo lo trae en ASCII)
+    const handleDownloadCertificate = (visit: PestControlVisit) => {
+        runAction(async () => {
+            const file = await onDownloadCertificate(visit.id);
+            downloadFile(file.blob, visit.certificate?.fileName || file.fileName);
+        }, 'No se pudo descargar el certificado.');
+    };
+
+    const handleDeleteCertificate = (visit: PestControlVisit) => {
+        if (window.confirm('¿Eliminar el certificado de esta visita?')) {
+            runAction(() => onDeleteCertificate(visit.id), 'No se pudo eliminar el certificado.');
+        }
+    };
+
+    // Handlers: Exportación
+    const handleExportPDF = () => {
+        exportToPDF("Historial de Control de Plagas", PEST_VISIT_HEADERS, pestVisitsToRows(filteredVisits), "historial_control_plagas", establishmentInfo, [
+            { title: 'Estaciones (plano)', headers: PEST_STATION_HEADERS, data: pestStationsToRows(stations) },
+            { title: 'Hallazgos por estación', headers: PEST_FINDING_HEADERS, data: pestFindingsToRows(filteredVisits) }
+        ]);
+    };
+
+    return (
+        <>
+            <h1>Control de Plagas</h1>
+
+            {/* --- ESTACIONES --- */}
+            <div className="card" style={{marginBottom: '30px'}}>
+                <h2
+                    className="collapsible-header"
+                    onClick={() => setIsStationsOpen(!isStationsOpen)}
+                    role="button"
+                    aria-expanded={isStationsOpen}
+                >
+                    Estaciones y Trampas ({stations.length})
+                    <span className={`chevron ${isStationsOpen ? 'open' : ''}`}>&#9660;</span>
+                </h2>
+                <div className={`collapsible-content ${isStationsOpen ? 'open' : ''}`}>
+                    <div className="collapsible-content-inner">
+                        <form onSubmit={handleSubmitStation}>
+                            <div className="costing-form-grid">
+                                <div className="form-group">
+                                    <label htmlFor="station-number">Nº en el plano</label>
+                                    <input type="number" min="1" id="station-number" value={stationNumber} onChange={e => setStationNumber(e.target.value)} placeholder="Ej: 1" required />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="station-location">Ubicación</label>
+                                    <input type="text" id="station-location" value={stationForm.location} onChange={e => setStationForm({ ...stationForm, location: e.target.value })} placeholder="Ej: Almacén seco, junto a la puerta" required />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="station-type">Tipo</label>
+                                    <select id="station-type" value={stationForm.type} onChange={e => setStationForm({ ...stationForm, type: e.target.value as PestStationType })}>
+                                        {PEST_STATION_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="station-threshold">Abrir incidencia desde actividad</label>
+                                    <select id="station-threshold" value={stationForm.incidentThreshold} onChange={e => setStationForm({ ...stationForm, incidentThreshold: e.target.value as PestStation['incidentThreshold'] })}>
+                                        {PEST_INCIDENT_THRESHOLDS.map(level => <option key={level} value={level}>{level}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+                            <div className="form-group-checkbox">
+                                <input type="checkbox" id="station-active" checked={stationForm.isActive} onChange={e => setStationForm({ ...stationForm, isActive: e.target.checked })} />
+                                <label htmlFor="station-active">Estación activa (se revisa en cada visita)</label>
+                            </div>
+                            <button type="submit" className="btn-submit">{editingStationId ? 'Guardar cambios' : 'Añadir Estación'}</button>
+                            {editingStationId && <button type="button" className="btn-delete" style={{marginTop: '10px'}} onClick={resetStationForm}>Cancelar</button>}
+                        </form>
+                        <div className="units-list">
+                            {stations.length > 0 ? stations.map(station => (
+                                <div key={station.id} className="units-list-item">
+                                    <div>
+                                        <span>{station.number}. {station.location}</span>
+                                        <span className="unit-type">{station.type} · Incidencia desde actividad {station.incidentThreshold.toLowerCase()}</span>
+                                        {!station.isActive && <span className="incident-badge status-open">Inactiva</span>}
+                                    </div>
+                                    <div className="logger-actions">
+                                        <button className="btn-view-photo" onClick={() => handleEditStation(station)}>Editar</button>
+                                        <button className="btn-delete" onClick={() => handleDeleteStation(station)}>Eliminar</button>
+                                    </div>
+                                </div>
+                            )) : <p>No hay estaciones. Añada las estaciones de cebo y trampas con su número en el plano.</p>}
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            {/* --- REGISTRAR VISITA --- */}
+            <div className="card" style={{marginBottom: '30px'}}>
+                <h2
+                    className="collapsible-header"
+                    onClick={() => setIsVisitFormOpen(!isVisitFormOpen)}
+                    role="button"
+                    aria-expanded={isVisitFormOpen}
+                >
+                    {editingVisitId ? 'Editar Visita' : 'Registrar Visita'}
+                    <span className={`chevron ${isVisitFormOpen ? 'open' : ''}`}>&#9660;</span>
+                </h2>
+                <div className={`collapsible-content ${isVisitFormOpen ? 'open' : ''}`}>
+                    <div className="collapsible-content-inner">
+                        <form onSubmit={handleSubmitVisit}>
+                            <div className="costing-form-grid">
+                                <div className="form-group">
+                                    <label htmlFor="visit-date">Fecha de la visita</label>
+                                    <input type="date" id="visit-date" value={visitForm.visitDate} onChange={e => setVisitField('visitDate', e.target.value)} required />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="visit-company">Empresa</label>
+                                    <input type="text" id="visit-company" value={visitForm.company} onChange={e => setVisitField('company', e.target.value)} placeholder="Ej: Plagas Control S.L." required />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="visit-technician">Técnico</label>
+                                    <input type="text" id="visit-technician" value={visitForm.technician} onChange={e => setVisitField('technician', e.target.value)} />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="visit-certificate">Nº carné de aplicador</label>
+                                    <input type="text" id="visit-certificate" value={visitForm.technicianCertificate} onChange={e => setVisitField('technicianCertificate', e.target.value)} required />
+                                </div>
+                            </div>
+
+                            <h3>Revisión de estaciones</h3>
+                            {visitFindings.length > 0 ? (
+                                <div style={{overflowX: 'auto'}}>
+                                    <table className="user-table">
+                                        <thead>
+                                            <tr>
+                                                <th>Estación</th>
+                                                <th>Actividad</th>
+                                                <th>Observaciones</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {visitFindings.map(finding => {
+                                                const station = stationsMap.get(finding.stationId);
+                                                const opensIncident = station && reachesThreshold(finding.activity, station);
+                                                return (
+                                                    <tr key={finding.stationId}>
+                                                        <td data-label="Estación">{station?.number}. {station?.location}</td>
+                                                        <td data-label="Actividad">
+                                                            <select value={finding.activity} onChange={e => handleFindingChange(finding.stationId, 'activity', e.target.value as PestActivityLevel)}>
+                                                                {PEST_ACTIVITY_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+                                                            </select>
+                                                            {opensIncident && <span className="incident-badge status-open">Abrirá incidencia</span>}
+                                                        </td>
+                                                        <td data-label="Observaciones">
+                                                            <input type="text" value={finding.notes} onChange={e => handleFindingChange(finding.stationId, 'notes', e.target.value)} placeholder="Ej: Cebo consumido al 50%" />
+                                                        </td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            ) : <p>No hay estaciones activas que revisar.</p>}
+
+                            <h3>Productos aplicados</h3>
+                            {visitForm.productsApplied.map((product, index) => (
+                                <div key={index} className="costing-form-grid">
+                                    <div className="form-group"><label>Producto</label><input type="text" value={product.name} onChange={e => handleProductChange(index, 'name', e.target.value)} placeholder="Ej: Cebo bromadiolona" required /></div>
+                                    <div className="form-group"><label>Nº de registro</label><input type="text" value={product.registrationNumber} onChange={e => handleProductChange(index, 'registrationNumber', e.target.value)} placeholder="Ej: ES/RM-2020-14-00123" /></div>
+                                    <div className="form-group"><label>Cantidad</label><input type="text" value={product.quantity} onChange={e => handleProductChange(index, 'quantity', e.target.value)} placeholder="Ej: 200 g" /></div>
+                                    <button type="button" className="btn-delete" onClick={() => setVisitField('productsApplied', visitForm.productsApplied.filter((_, i) => i !== index))}>Quitar</button>
+                                </div>
+                            ))}
+                            <button type="button" className="btn-view-photo" onClick={() => setVisitField('productsApplied', [...visitForm.productsApplied, EMPTY_PRODUCT])}>+ Añadir producto</button>
+
+                            <div className="form-group" style={{marginTop: '20px'}}>
+                                <label htmlFor="visit-observations">Observaciones y recomendaciones</label>
+                                <textarea id="visit-observations" rows={3} value={visitForm.observations} onChange={e => setVisitField('observations', e.target.value)} />
+                            </div>
+                            <button type="submit" className="btn-submit">{editingVisitId ? 'Guardar cambios' : 'Registrar Visita'}</button>
+                            {editingVisitId && <button type="button" className="btn-delete" style={{marginTop: '10px'}} onClick={resetVisitForm}>Cancelar</button>}
+                        </form>
+                    </div>
+                </div>
+            </div>
+
+            {/* --- HISTORIAL --- */}
+            <div className="card">
+                <h2>Historial de Visitas</h2>
+                <div className="export-controls-container">
+                    <h3>Exportar Historial</h3>
+                    <div className="export-controls-row">
+                        <div className="form-group">
+                            <label htmlFor="start-date-pest">Fecha de Inicio</label>
+                            <input type="date" id="start-date-pest" value={startDate} onChange={e => setStartDate(e.target.value)} />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="end-date-pest">Fecha de Fin</label>
+                            <input type="date" id="end-date-pest" value={endDate} onChange={e => setEndDate(e.target.value)} />
+                        </div>
+                        <div className="export-buttons">
+                            <button className="btn-export btn-pdf" onClick={handleExportPDF} disabled={filteredVisits.length === 0}>
+                                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+                                PDF
+                            </button>
+                        </div>
+                    </div>
+                </div>
+                <input type="file" accept={CHEMICAL_DOCUMENT_ACCEPT} ref={certificateInputRef} onChange={handleUploadFile} style={{ display: 'none' }} />
+                {filteredVisits.length > 0 ? (
+                    <div style={{overflowX: 'auto'}}>
+                        <table className="user-table">
+                            <thead>
+                                <tr>
+                                    <th>Fecha</th>
+                                    <th>Empresa</th>
+                                    <th>Estaciones con actividad</th>
+                                    <th>Detalles</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {filteredVisits.map(visit => {
+                                    const isExpanded = expandedVisitId === visit.id;
+                                    const openedIncidents = visit.findings.filter(finding => finding.incidentId).length;
+
+                                    return (
+                                        <React.Fragment key={visit.id}>
+                                            <tr
+                                                className="summary-row"
+                                                onClick={() => setExpandedVisitId(isExpanded ? null : visit.id)}
+                                                aria-expanded={isExpanded}
+                                            >
+                                                <td data-label="Fecha">{new Date(visit.visitDate).toLocaleDateString('es-ES', { timeZone: 'UTC' })}</td>
+                                                <td data-label="Empresa">{visit.company}</td>
+                                                <td data-label="Estaciones con actividad">
+                                                    {formatActiveFindings(visit) || 'Sin actividad'}
+                                                    {openedIncidents > 0 && <span className="incident-badge status-open">{openedIncidents} incidencia(s)</span>}
+                                                </td>
+                                                <td data-label="Detalles" className="expand-cell">
+                                                    <span className="expand-indicator">{isExpanded ? 'Ocultar' : 'Ver'}</span>
+                                                    <span className={`chevron ${isExpanded ? 'open' : ''}`}>&#9660;</span>
+                                                </td>
+                                            </tr>
+                                            {isExpanded && (
+                                                <tr className="detail-row">
+                                                    <td colSpan={4}>
+                                                        <div className="record-details">
+                                                            <div><strong>Técnico</strong><span>{visit.technician || '-'} (carné {visit.technicianCertificate})</span></div>
+                                                            <div><strong>Productos aplicados</strong><span>{formatAppliedProducts(visit) || 'Ninguno'}</span></div>
+                                                            {visit.observations && <div><strong>Observaciones</strong><span>{visit.observations}</span></div>}
+                                                            <div>
+                                                                <strong>Hallazgos</strong>
+                                                                <ul>
+                                                                    {visit.findings.map(finding => (
+                                                                        <li key={finding.stationId}>
+                                                                            {finding.stationNumber}. {finding.location}: <span className={`incident-badge ${PEST_ACTIVITY_CLASSES[finding.activity]}`}>{finding.activity}</span>
+                                                                            {finding.notes && ` ${finding.notes}`}
+                                                                            {finding.incidentId && <span className="part-meta-info"> · incidencia abierta</span>}
+                                                                        </li>
+                                                                    ))}
+                                                                </ul>
+                                                            </div>
+                                                            <div>
+                                                                <strong>Certificado del servicio</strong>
+                                                                <div className="logger-actions">
+                                                                    {visit.certificate && <button className="btn-view-photo" onClick={() => handleDownloadCertificate(visit)} title={visit.certificate.fileName}>Ver</button>}
+                                                                    <button className="btn-view-photo" onClick={() => handleUploadClick(visit.id)} disabled={isUploading}>
+                                                                        {isUploading && certificateVisitId === visit.id ? 'Subiendo...' : visit.certificate ? 'Sustituir' : 'Adjuntar'}
+                                                                    </button>
+                                                                    {visit.certificate && <button className="btn-delete" onClick={() => handleDeleteCertificate(visit)}>Quitar</button>}
+                                                                </div>
+                                                            </div>
+                                                            <div className="detail-actions">
+                                                                <strong>Acciones</strong>
+                                                                <div>
+                                                                    <button className="btn-view-photo" onClick={() => handleEditVisit(visit)}>Editar</button>
+                                                                    <button className="btn-delete" onClick={() => handleDeleteVisit(visit)}>Eliminar</button>
+                                                                </div>
+                                                            </div>
+                                                        </div>
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : <p>No hay visitas de control de plagas para el rango de fechas seleccionado.</p>}
+            </div>
+        </>
+    );
+};
+
+export default PestControlPage;
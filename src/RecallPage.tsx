@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { exportRecallToPDF } from './exportUtils';
+import { getErrorMessage } from './services';
+import { RecallDirection, RecallReport, EstablishmentInfo } from './types';
+
+interface RecallPageProps {
+    onLoadRecallReport: (lot: string, direction: RecallDirection) => Promise<RecallReport | null>;
+    establishmentInfo: EstablishmentInfo;
+}
+
+const formatDate = (value?: string | null) => (value ? new Date(value).toLocaleDateString('es-ES', { timeZone: 'UTC' }) : '-');
+
+// Simulación de retirada de producto: hacia delante (destinos afectados por un lote)
+// o hacia atrás (proveedores de los que procede), con dossier PDF para la autoridad sanitaria.
+const RecallPage: React.FC<RecallPageProps> = ({ onLoadRecallReport, establishmentInfo }) => {
+    const [lot, setLot] = useState('');
+    const [direction, setDirection] = useState<RecallDirection>('forward');
+    const [report, setReport] = useState<RecallReport | null>(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e: React.FormEvent) => {
+        e.preventDefault();
+        const text = lot.trim();
+        if (!text) return;
+
+        setIsLoading(true);
+        try {
+            setReport(await onLoadRecallReport(text, direction));
+        } catch (error) {
+            setReport(null);
+            alert(`No se pudo simular la retirada: ${getErrorMessage(error)}`);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const isForward = report?.direction === 'forward';
+
+    return (
+        <>
+            <h1>Retirada de Producto</h1>
+            <div className="card">
+                <h2>Simular Retirada</h2>
+                <form onSubmit={handleSubmit}>
+                    <div className="costing-form-grid">
+                        <div className="form-group">
+                            <label>Lote</label>
+                            <input type="text" value={lot} onChange={e => setLot(e.target.value)} maxLength={100} required placeholder="Lote recibido, elaborado o expedido" />
+                        </div>
+                        <div className="form-group">
+                            <label>Sentido</label>
+                            <select value={direction} onChange={e => setDirection(e.target.value as RecallDirection)}>
+                                <option value="forward">Hacia los destinos (¿a quién ha llegado?)</option>
+                                <option value="backward">Hacia el origen (¿de qué proveedores procede?)</option>
+                            </select>
+                        </div>
+                    </div>
+                    <button type="submit" className="btn-submit" disabled={isLoading}>
+                        {isLoading ? 'Simulando...' : 'Simular Retirada'}
+                    </button>
+                </form>
+            </div>
+
+            {report && (
+                <div className="card">
+                    <h2>Resultado para el lote {report.lot}</h2>
+                    <p className="part-meta-info">
+                        {isForward
+                            ? `${report.destinations.length} destinos afectados, ${report.shipments.length} salidas y ${report.elaborations.length} elaboraciones.`
+                            : `${report.suppliers.length} proveedores, ${report.receptions.length} recepciones y ${report.elaborations.length} elaboraciones.`}
+                    </p>
+                    <div className="export-buttons">
+                        <button className="btn-export btn-pdf" onClick={() => exportRecallToPDF(report, establishmentInfo)}>
+                            Generar dossier PDF
+                        </button>
+                    </div>
+
+                    {isForward ? (
+                        <>
+                            <h3>Destinos afectados</h3>
+                            <div style={{overflowX: 'auto'}}>
+                                <table className="user-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Destino</th>
+                                            <th>Tipo</th>
+                                            <th>Salidas</th>
+                                            <th>Lotes</th>
+                                            <th>Fechas</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {report.destinations.length > 0 ? report.destinations.map(d => (
+                                            <tr key={`${d.destinationType}-${d.destination}`}>
+                                                <td data-label="Destino">{d.destination}</td>
+                                                <td data-label="Tipo">{d.destinationType}</td>
+                                                <td data-label="Salidas">{d.shipments} ({d.quantities.join(', ')})</td>
+                                                <td data-label="Lotes">{d.lots.join(', ')}</td>
+                                                <td data-label="Fechas">{formatDate(d.firstDate)} - {formatDate(d.lastDate)}</td>
+                                            </tr>
+                                        )) : (
+                                            <tr><td colSpan={5} style={{textAlign: 'center'}}>El lote no ha salido del establecimiento.</td></tr>
+                                        )}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    ) : (
+                        <>
+                            <h3>Proveedores de origen</h3>
+                            <div style={{overflowX: 'auto'}}>
+                                <table className="user-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Proveedor</th>
+                                            <th>Recepciones</th>
+                                            <th>Lotes</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {report.suppliers.length > 0 ? report.suppliers.map(s => (
+                                            <tr key={s.supplierId}>
+                                                <td data-label="Proveedor">{s.supplierName || 'Desconocido'}</td>
+                                                <td data-label="Recepciones">{s.receptions}</td>
+                                                <td data-label="Lotes">{s.lots.join(', ')}</td>
+                                            </tr>
+                                        )) : (
+                                            <tr><td colSpan={3} style={{textAlign: 'center'}}>No se ha encontrado ninguna recepción de origen.</td></tr>
+                                        )}
+                                    </tbody>
+                                </table>
+                            </div>
+                            {report.untracedIngredients.length > 0 && (
+                                <>
+                                    <h3>Ingredientes sin trazar</h3>
+                                    <ul>
+                                        {report.untracedIngredients.map((ing, idx) => (
+                                            <li key={`${ing.productLot}-${idx}`}>
+                                                {ing.name}, lote {ing.lot}{ing.supplier ? ` (${ing.supplier})` : ''} <span className="part-meta-info">usado en el lote {ing.productLot}</span>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </>
+                            )}
+                        </>
+                    )}
+
+                    {report.elaborations.length > 0 && (
+                        <>
+                            <h3>Elaboraciones recorridas</h3>
+                            <ul>
+                                {report.elaborations.map(e => (
+                                    <li key={e.id}>
+                                        {e.productName}, lote {e.productLot} ({formatDate(e.elaborationDate)}) <span className="part-meta-info">nivel {e.depth}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </>
+                    )}
+                </div>
+            )}
+        </>
+    );
+};
+
+export default RecallPage;
@@ -1,25 +1,61 @@
-import React, { useState, useMemo } from 'react';
-import { exportToPDF, exportToExcel } from './exportUtils';
-import { User, Supplier, ProductType, DeliveryRecord, EstablishmentInfo } from './types';
+import React, { useState, useMemo, useRef } from 'react';
+import { exportToPDF, exportToExcel, downloadFile } from './exportUtils';
+import { getErrorMessage } from './services';
+import type { RecordsFilters, RecordsListResponse, ListPagination, ExportFormat, ImportResult } from './services';
+import { formatImportSummary } from './utils/importUtils';
+import RecordSearchBar, { applySearchResults } from './components/RecordSearchBar';
+import LoadMoreButton from './components/LoadMoreButton';
+import { useDateFilteredRecords, isInDateRange } from './hooks/useDateFilteredRecords';
+import { User, Supplier, ProductType, DeliveryRecord, ConformityStatus, EstablishmentInfo } from './types';
 
 interface ReceptionPageProps {
     users: User[];
     suppliers: Supplier[];
     productTypes: ProductType[];
+    categories: string[];
+    transportConditions: string[];
     records: DeliveryRecord[];
     onAddSupplier: (name: string) => void;
     onDeleteSupplier: (id: string) => void;
-    onAddProductType: (name: string, temp: number) => void;
+    onAddProductType: (productType: Omit<ProductType, 'id'>) => void;
     onDeleteProductType: (id: string) => void;
     onAddRecord: (record: Omit<DeliveryRecord, 'id' | 'userId'>) => void;
-    onDeleteRecord: (id: string) => void;
+    onDeleteRecord: (id: string) => Promise<void>;
+    onExportHistory: (format: ExportFormat, filters: RecordsFilters) => Promise<{ blob: Blob; fileName: string }>;
+    onImportHistory: (file: File) => Promise<ImportResult>;
+    onSearchHistory: (query: string) => Promise<DeliveryRecord[]>;
+    onFilterHistory: (filters: RecordsFilters) => Promise<RecordsListResponse<DeliveryRecord>>;
+    pagination?: ListPagination;
+    onLoadMore: () => Promise<void>;
     establishmentInfo: EstablishmentInfo;
 }
 
+const CONFORMITY_LABELS: Record<ConformityStatus, string> = {
+    'accepted': 'Aceptada',
+    'accepted_with_remark': 'Con observaciones',
+    'rejected': 'Rechazada'
+};
+
+const CONFORMITY_CLASSES: Record<ConformityStatus, string> = {
+    'accepted': 'conformity-accepted',
+    'accepted_with_remark': 'conformity-remark',
+    'rejected': 'conformity-rejected'
+};
+
+// Tolerancias en texto: "+2/+5°C" (por encima) y "-1/-3°C" (por debajo, si tiene límite)
+const formatTolerances = (p: ProductType) => [
+    p.rejectAbove != null && `+${p.toleranceAbove ?? 0}/+${p.rejectAbove}°C`,
+    p.rejectBelow != null && `-${p.toleranceBelow ?? 0}/-${p.rejectBelow}°C`
+].filter(Boolean).join(' ');
+
+const receptionDateOf = (record: DeliveryRecord) => record.receptionDate;
+
+const conformityLabel = (record: DeliveryRecord) => (record.conformity?.status ? CONFORMITY_LABELS[record.conformity.status] : 'Sin evaluar');
+
 
 const ReceptionPage: React.FC<ReceptionPageProps> = ({
-    users, suppliers, productTypes, records,
-    onAddSupplier, onDeleteSupplier, onAddProductType, onDeleteProductType, onAddRecord, onDeleteRecord, establishmentInfo
+    users, suppliers, productTypes, categories, transportConditions, records,
+    onAddSupplier, onDeleteSupplier, onAddProductType, onDeleteProductType, onAddRecord, onDeleteRecord, onExportHistory, onImportHistory, onSearchHistory, onFilterHistory, pagination, onLoadMore, establishmentInfo
 }) => {
     // UI State
     const [viewingImage, setViewingImage] = useState<string | null>(null);
@@ -30,19 +66,38 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
     const [startDate, setStartDate] = useState('');
     const [endDate, setEndDate] = useState('');
 
+    // State for importing records
+    const importInputRef = useRef<HTMLInputElement>(null);
+    const [isImporting, setIsImporting] = useState(false);
+
+    // Resultados de la búsqueda en el servidor (null sin búsqueda activa)
+    const [searchResults, setSearchResults] = useState<DeliveryRecord[] | null>(null);
+
     // Form state: New Supplier
     const [newSupplierName, setNewSupplierName] = useState('');
 
     // Form state: New Product Type
     const [newProductName, setNewProductName] = useState('');
     const [newProductTemp, setNewProductTemp] = useState('');
+    const [newProductCategory, setNewProductCategory] = useState('');
+    const [newProductToleranceAbove, setNewProductToleranceAbove] = useState('2');
+    const [newProductRejectAbove, setNewProductRejectAbove] = useState('5');
+    const [newProductToleranceBelow, setNewProductToleranceBelow] = useState('');
+    const [newProductRejectBelow, setNewProductRejectBelow] = useState('');
     
+    // Los archivados solo se usan para mostrar el historial, no para nuevos registros
+    const activeSuppliers = useMemo(() => suppliers.filter(s => !s.isArchived), [suppliers]);
+    const activeProductTypes = useMemo(() => productTypes.filter(p => !p.isArchived), [productTypes]);
+
     // Form state: New Record
-    const [recordSupplier, setRecordSupplier] = useState<string>(suppliers.length > 0 ? String(suppliers[0].id) : '');
-    const [recordProductType, setRecordProductType] = useState<string>(productTypes.length > 0 ? String(productTypes[0].id) : '');
+    const [recordSupplier, setRecordSupplier] = useState<string>(activeSuppliers.length > 0 ? String(activeSuppliers[0].id) : '');
+    const [recordProductType, setRecordProductType] = useState<string>(activeProductTypes.length > 0 ? String(activeProductTypes[0].id) : '');
     const [recordDate, setRecordDate] = useState(new Date().toISOString().slice(0, 10));
     const [recordTemp, setRecordTemp] = useState('');
     const [recordDocs, setRecordDocs] = useState(true);
+    const [recordTransportCondition, setRecordTransportCondition] = useState('');
+    const [recordLot, setRecordLot] = useState('');
+    const [recordExpiryDate, setRecordExpiryDate] = useState('');
     const [recordAlbaranImage, setRecordAlbaranImage] = useState<string | null>(null);
 
 
@@ -51,15 +106,16 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
     const productTypesMap = useMemo(() => new Map(productTypes.map(p => [p.id, p])), [productTypes]);
     const usersMap = useMemo(() => new Map(users.map(u => [u.id, u.name])), [users]);
 
+    // El rango de fechas se filtra en el servidor (el historial cargado solo tiene las últimas recepciones)
+    const dateFilter = useDateFilteredRecords(records, receptionDateOf, startDate, endDate, onFilterHistory);
+
     const filteredRecords = useMemo(() => {
-        return records.filter(record => {
-            if (!startDate && !endDate) return true;
-            const recordDate = new Date(record.receptionDate);
-            if (startDate && new Date(startDate) > recordDate) return false;
-            if (endDate && new Date(endDate) > recordDate) return false;
-            return true;
-        }).sort((a, b) => new Date(b.receptionDate).getTime() - new Date(a.receptionDate).getTime());
-    }, [records, startDate, endDate]);
+        // Los resultados de una búsqueda ya vienen de todo el historial: basta con acotarlos a las fechas
+        const visible = searchResults
+            ? applySearchResults(searchResults, records).filter(record => isInDateRange(record.receptionDate, startDate, endDate))
+            : dateFilter.records || records;
+        return [...visible].sort((a, b) => new Date(b.receptionDate).getTime() - new Date(a.receptionDate).getTime());
+    }, [records, searchResults, dateFilter.records, startDate, endDate]);
 
     // Handlers: Supplier
     const handleAddSupplier = (e: React.FormEvent) => {
@@ -69,7 +125,7 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
         setNewSupplierName('');
     };
     const handleDeleteSupplier = (id: string) => {
-        if (window.confirm('¿Eliminar proveedor? Sus registros asociados no se eliminarán pero el nombre aparecerá como "N/A".')) {
+        if (window.confirm('¿Eliminar proveedor? Si tiene registros de recepción se archivará para conservar el historial.')) {
             onDeleteSupplier(id);
         }
     };
@@ -78,12 +134,34 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
     const handleAddProductType = (e: React.FormEvent) => {
         e.preventDefault();
         if (!newProductName.trim() || !newProductTemp.trim()) { alert('Complete todos los campos del tipo de producto.'); return; }
-        onAddProductType(newProductName.trim(), parseFloat(newProductTemp));
+        // Vacío = sin límite
+        const toNumber = (value: string) => (value.trim() ? parseFloat(value) : null);
+        const tolerances = {
+            toleranceAbove: toNumber(newProductToleranceAbove),
+            rejectAbove: toNumber(newProductRejectAbove),
+            toleranceBelow: toNumber(newProductToleranceBelow),
+            rejectBelow: toNumber(newProductRejectBelow)
+        };
+        if ((tolerances.rejectAbove !== null && tolerances.toleranceAbove !== null && tolerances.rejectAbove < tolerances.toleranceAbove) ||
+            (tolerances.rejectBelow !== null && tolerances.toleranceBelow !== null && tolerances.rejectBelow < tolerances.toleranceBelow)) {
+            alert('El límite de rechazo no puede ser menor que la tolerancia.'); return;
+        }
+        onAddProductType({
+            name: newProductName.trim(),
+            optimalTemp: parseFloat(newProductTemp),
+            ...(newProductCategory && { category: newProductCategory }),
+            ...tolerances
+        });
         setNewProductName('');
         setNewProductTemp('');
+        setNewProductCategory('');
+        setNewProductToleranceAbove('2');
+        setNewProductRejectAbove('5');
+        setNewProductToleranceBelow('');
+        setNewProductRejectBelow('');
     };
     const handleDeleteProductType = (id: string) => {
-         if (window.confirm('¿Eliminar tipo de producto? Sus registros asociados no se eliminarán pero el nombre aparecerá como "N/A".')) {
+         if (window.confirm('¿Eliminar tipo de producto? Si tiene registros de recepción se archivará para conservar el historial.')) {
             onDeleteProductType(id);
         }
     };
@@ -91,7 +169,7 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
     // Handlers: Record
     const handleAddRecord = (e: React.FormEvent) => {
         e.preventDefault();
-        if (!recordSupplier || !recordProductType || !recordTemp.trim()) {
+        if (!recordSupplier || !recordProductType || !recordTemp.trim() || !recordLot.trim()) {
             alert('Por favor, complete todos los campos del registro.'); return;
         }
         onAddRecord({
@@ -100,17 +178,29 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
             temperature: recordTemp,
             receptionDate: recordDate,
             docsOk: recordDocs,
+            transportCondition: recordTransportCondition || undefined,
+            lot: recordLot.trim(),
+            expiryDate: recordExpiryDate || undefined,
             albaranImage: recordAlbaranImage || undefined,
         });
         // Reset part of the form
         setRecordTemp('');
+        setRecordLot('');
+        setRecordExpiryDate('');
         setRecordDocs(true);
         setRecordAlbaranImage(null);
     };
 
-    const handleDeleteRecord = (id: string) => {
+    const handleDeleteRecord = async (id: string) => {
         if (window.confirm('¿Está seguro de que desea eliminar este registro?')) {
-            onDeleteRecord(id);
+            try {
+                await onDeleteRecord(id);
+                setSearchResults(prev => prev && prev.filter(r => r.id !== id));
+                dateFilter.removeRecord(id);
+            } catch (error) {
+                // Las recepciones cuyo lote se ha usado en elaboraciones o salidas no se pueden eliminar
+                alert(`No se pudo eliminar el registro: ${getErrorMessage(error)}`);
+            }
         }
     };
 
@@ -126,15 +216,17 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
     };
 
     const handleExportPDF = () => {
-        const headers = ["Fecha", "Proveedor", "Producto", "Temp. Recibida", "Docs OK", "Usuario"];
+        const headers = ["Fecha", "Proveedor", "Producto", "Lote", "Temp. Recibida", "Docs OK", "Conformidad", "Usuario"];
         const data = filteredRecords.map(r => {
             const product = productTypesMap.get(r.productTypeId);
             return [
                 new Date(r.receptionDate).toLocaleDateString('es-ES', { timeZone: 'UTC' }),
                 suppliersMap.get(r.supplierId) || 'N/A',
                 product?.name || 'N/A',
+                r.lot || '',
                 `${r.temperature}°C`,
                 r.docsOk ? 'Sí' : 'No',
+                conformityLabel(r),
                 usersMap.get(r.userId) || 'N/A'
             ];
         });
@@ -151,6 +243,11 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                 "Temperatura Recibida (°C)": r.temperature,
                 "Temperatura Óptima (°C)": product?.optimalTemp || 'N/A',
                 "Documentación OK": r.docsOk ? 'Sí' : 'No',
+                "Conformidad": conformityLabel(r),
+                "Observaciones": r.conformity?.reasons.join('; ') || '',
+                "Condiciones de Transporte": r.transportCondition || '',
+                "Lote": r.lot || '',
+                "Fecha de Caducidad": r.expiryDate ? new Date(r.expiryDate).toLocaleDateString('es-ES', { timeZone: 'UTC' }) : '',
                 "Usuario": usersMap.get(r.userId) || 'N/A',
                 "Foto Albarán": r.albaranImage ? 'Sí' : 'No'
             };
@@ -158,6 +255,35 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
         exportToExcel(data, "historial_recepciones");
     };
 
+    // Exportación generada en el servidor con todo el historial del rango de fechas
+    const handleExportFullHistory = async () => {
+        try {
+            const { blob, fileName } = await onExportHistory('csv', {
+                dateFrom: startDate || undefined,
+                dateTo: endDate || undefined
+            });
+            downloadFile(blob, fileName);
+        } catch (error) {
+            alert(`No se pudo exportar el historial: ${getErrorMessage(error)}`);
+        }
+    };
+
+    // Importación de registros en papel desde hoja de cálculo (CSV, XLSX) o JSON
+    const handleImportFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setIsImporting(true);
+        try {
+            alert(formatImportSummary(await onImportHistory(file)));
+        } catch (error) {
+            alert(`No se pudo importar el archivo: ${getErrorMessage(error)}`);
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
 
     return (
         <>
@@ -184,14 +310,14 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                             <form onSubmit={handleAddRecord}>
                                 <div className="form-group">
                                     <label htmlFor="rec-supplier">Proveedor</label>
-                                    <select id="rec-supplier" value={recordSupplier} onChange={e => setRecordSupplier(e.target.value)} required disabled={suppliers.length === 0}>
-                                        {suppliers.length === 0 ? <option>Cree un proveedor</option> : suppliers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                                    <select id="rec-supplier" value={recordSupplier} onChange={e => setRecordSupplier(e.target.value)} required disabled={activeSuppliers.length === 0}>
+                                        {activeSuppliers.length === 0 ? <option>Cree un proveedor</option> : activeSuppliers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
                                     </select>
                                 </div>
                                 <div className="form-group">
                                     <label htmlFor="rec-product">Tipo de producto</label>
-                                    <select id="rec-product" value={recordProductType} onChange={e => setRecordProductType(e.target.value)} required disabled={productTypes.length === 0}>
-                                        {productTypes.length === 0 ? <option>Cree un tipo de producto</option> : productTypes.map(p => <option key={p.id} value={p.id}>{p.name} (Óptima: {p.optimalTemp}°C)</option>)}
+                                    <select id="rec-product" value={recordProductType} onChange={e => setRecordProductType(e.target.value)} required disabled={activeProductTypes.length === 0}>
+                                        {activeProductTypes.length === 0 ? <option>Cree un tipo de producto</option> : activeProductTypes.map(p => <option key={p.id} value={p.id}>{p.name} (Óptima: {p.optimalTemp}°C)</option>)}
                                     </select>
                                 </div>
                                 <div className="form-group">
@@ -202,10 +328,25 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                                     <label htmlFor="rec-temp">Temperatura de Entrega (°C)</label>
                                     <input type="number" step="0.1" id="rec-temp" value={recordTemp} onChange={e => setRecordTemp(e.target.value)} placeholder="Ej: 3.5" required />
                                 </div>
+                                <div className="form-group">
+                                    <label htmlFor="rec-lot">Lote</label>
+                                    <input type="text" id="rec-lot" value={recordLot} onChange={e => setRecordLot(e.target.value)} placeholder="Lote indicado en la etiqueta o el albarán" maxLength={100} required />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="rec-expiry">Fecha de Caducidad</label>
+                                    <input type="date" id="rec-expiry" value={recordExpiryDate} onChange={e => setRecordExpiryDate(e.target.value)} />
+                                </div>
                                 <div className="form-group-checkbox">
                                     <input type="checkbox" id="rec-docs" checked={recordDocs} onChange={e => setRecordDocs(e.target.checked)} />
                                     <label htmlFor="rec-docs">Documentación de acompañamiento correcta</label>
                                 </div>
+                                <div className="form-group">
+                                    <label htmlFor="rec-transport">Condiciones de Transporte</label>
+                                    <select id="rec-transport" value={recordTransportCondition} onChange={e => setRecordTransportCondition(e.target.value)}>
+                                        <option value="">Sin indicar</option>
+                                        {transportConditions.map(condition => <option key={condition} value={condition}>{condition}</option>)}
+                                    </select>
+                                </div>
                                 <div className="form-group">
                                     <label>Foto del Albarán</label>
                                     <input 
@@ -226,7 +367,7 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                                         </div>
                                     )}
                                 </div>
-                                <button type="submit" className="btn-submit" disabled={suppliers.length === 0 || productTypes.length === 0}>
+                                <button type="submit" className="btn-submit" disabled={activeSuppliers.length === 0 || activeProductTypes.length === 0}>
                                     Guardar Registro
                                 </button>
                             </form>
@@ -255,7 +396,7 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                                 </form>
                                 <div className="units-list">
                                     <h3>Proveedores Existentes</h3>
-                                    {suppliers.length > 0 ? suppliers.map(s => (
+                                    {activeSuppliers.length > 0 ? activeSuppliers.map(s => (
                                         <div key={s.id} className="units-list-item">
                                             <span>{s.name}</span>
                                             <button className="btn-delete" onClick={() => handleDeleteSupplier(s.id)}>Eliminar</button>
@@ -286,15 +427,40 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                                         <label htmlFor="new-product-temp">Temperatura Óptima (°C)</label>
                                         <input type="number" step="0.1" id="new-product-temp" value={newProductTemp} onChange={e => setNewProductTemp(e.target.value)} placeholder="Ej: 4" required />
                                     </div>
+                                    <div className="costing-form-grid">
+                                        <div className="form-group">
+                                            <label htmlFor="new-product-tolerance-above">Tolerancia por encima (°C)</label>
+                                            <input type="number" step="0.1" min="0" id="new-product-tolerance-above" value={newProductToleranceAbove} onChange={e => setNewProductToleranceAbove(e.target.value)} placeholder="Sin límite" />
+                                        </div>
+                                        <div className="form-group">
+                                            <label htmlFor="new-product-reject-above">Rechazo por encima (°C)</label>
+                                            <input type="number" step="0.1" min="0" id="new-product-reject-above" value={newProductRejectAbove} onChange={e => setNewProductRejectAbove(e.target.value)} placeholder="Sin límite" />
+                                        </div>
+                                        <div className="form-group">
+                                            <label htmlFor="new-product-tolerance-below">Tolerancia por debajo (°C)</label>
+                                            <input type="number" step="0.1" min="0" id="new-product-tolerance-below" value={newProductToleranceBelow} onChange={e => setNewProductToleranceBelow(e.target.value)} placeholder="Sin límite" />
+                                        </div>
+                                        <div className="form-group">
+                                            <label htmlFor="new-product-reject-below">Rechazo por debajo (°C)</label>
+                                            <input type="number" step="0.1" min="0" id="new-product-reject-below" value={newProductRejectBelow} onChange={e => setNewProductRejectBelow(e.target.value)} placeholder="Sin límite" />
+                                        </div>
+                                    </div>
+                                    <div className="form-group">
+                                        <label htmlFor="new-product-category">Categoría</label>
+                                        <select id="new-product-category" value={newProductCategory} onChange={e => setNewProductCategory(e.target.value)}>
+                                            <option value="">Sin categoría</option>
+                                            {categories.map(category => <option key={category} value={category}>{category}</option>)}
+                                        </select>
+                                    </div>
                                     <button type="submit" className="btn-submit">Añadir Tipo</button>
                                 </form>
                                 <div className="units-list">
                                     <h3>Tipos Existentes</h3>
-                                    {productTypes.length > 0 ? productTypes.map(p => (
+                                    {activeProductTypes.length > 0 ? activeProductTypes.map(p => (
                                         <div key={p.id} className="units-list-item">
                                             <div>
                                                 <span>{p.name}</span>
-                                                <span className="product-type-temp">Óptima: {p.optimalTemp}°C</span>
+                                                <span className="product-type-temp">Óptima: {p.optimalTemp}°C{formatTolerances(p) && ` (${formatTolerances(p)})`}{p.category && ` · ${p.category}`}</span>
                                             </div>
                                             <button className="btn-delete" onClick={() => handleDeleteProductType(p.id)}>Eliminar</button>
                                         </div>
@@ -308,6 +474,11 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
 
             <div className="card">
                 <h2>Historial de Recepciones</h2>
+                <RecordSearchBar
+                    placeholder="Buscar por proveedor o producto en todo el historial..."
+                    onSearch={onSearchHistory}
+                    onResults={setSearchResults}
+                />
                  <div className="export-controls-container">
                      <h3>Exportar Registros</h3>
                      <div className="export-controls-row">
@@ -328,6 +499,15 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
                                 Excel
                             </button>
+                            <button className="btn-export btn-excel" onClick={handleExportFullHistory} title="Descarga todos los registros del rango de fechas desde el servidor">
+                               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+                                CSV completo
+                            </button>
+                            <button className="btn-export btn-import" onClick={() => importInputRef.current?.click()} disabled={isImporting} title="Importa registros desde un archivo CSV, Excel o JSON con las mismas columnas que la exportación">
+                                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 1.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1-.708.708L8.5 2.707V11.5a.5.5 0 0 1-1 0V2.707L5.354 4.854a.5.5 0 1 1-.708-.708l3-3z"/></svg>
+                                {isImporting ? 'Importando...' : 'Importar'}
+                            </button>
+                            <input ref={importInputRef} type="file" accept=".csv,.xlsx,.json" onChange={handleImportFile} style={{ display: 'none' }} />
                         </div>
                      </div>
                 </div>
@@ -339,6 +519,7 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                                     <th>Fecha</th>
                                     <th>Producto</th>
                                     <th>Temp.</th>
+                                    <th>Conformidad</th>
                                     <th>Detalles</th>
                                 </tr>
                             </thead>
@@ -351,8 +532,9 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                                 const formattedDate = new Date(record.receptionDate).toLocaleDateString('es-ES', { timeZone: 'UTC' });
                                 
                                 const temp = parseFloat(record.temperature);
+                                const conformity = record.conformity;
                                 let tempClass = '';
-                                if(product && temp > product.optimalTemp) {
+                                if (conformity?.status ? conformity.status === 'rejected' : product && temp > product.optimalTemp) {
                                     tempClass = 'danger';
                                 }
 
@@ -366,6 +548,11 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                                         <td data-label="Fecha">{formattedDate}</td>
                                         <td data-label="Producto">{product?.name || 'N/A'}</td>
                                         <td data-label="Temp." className={tempClass}>{record.temperature}°C</td>
+                                        <td data-label="Conformidad">
+                                            {conformity?.status
+                                                ? <span className={`incident-badge ${CONFORMITY_CLASSES[conformity.status]}`}>{CONFORMITY_LABELS[conformity.status]}</span>
+                                                : 'Sin evaluar'}
+                                        </td>
                                         <td data-label="Detalles" className="expand-cell">
                                             <span className="expand-indicator">{isExpanded ? 'Ocultar' : 'Ver'}</span>
                                             <span className={`chevron ${isExpanded ? 'open' : ''}`}>&#9660;</span>
@@ -373,11 +560,17 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                                     </tr>
                                     {isExpanded && (
                                         <tr className="detail-row">
-                                            <td colSpan={4}>
+                                            <td colSpan={5}>
                                                 <div className="record-details">
                                                     <div><strong>Proveedor</strong><span>{supplierName}</span></div>
-                                                    <div><strong>Temp. Óptima</strong><span>{product?.optimalTemp}°C</span></div>
+                                                    <div><strong>Temp. Óptima</strong><span>{conformity?.optimalTemp ?? product?.optimalTemp}°C</span></div>
+                                                    {conformity?.deviation != null && <div><strong>Desviación</strong><span>{conformity.deviation > 0 ? '+' : ''}{conformity.deviation}°C</span></div>}
+                                                    {conformity && conformity.reasons.length > 0 && <div><strong>Observaciones</strong><span>{conformity.reasons.join('. ')}</span></div>}
+                                                    {conformity?.incidentId && <div><strong>Incidencia</strong><span>Abierta automáticamente (ver Incidencias)</span></div>}
                                                     <div><strong>Docs OK</strong><span className={record.docsOk ? 'check-icon' : 'cross-icon'}>{record.docsOk ? '✓' : '✗'}</span></div>
+                                                    <div><strong>Transporte</strong><span>{record.transportCondition || 'Sin indicar'}</span></div>
+                                                    <div><strong>Lote</strong><span>{record.lot || 'Sin indicar'}</span></div>
+                                                    <div><strong>Caducidad</strong><span>{record.expiryDate ? new Date(record.expiryDate).toLocaleDateString('es-ES', { timeZone: 'UTC' }) : 'Sin indicar'}</span></div>
                                                     <div><strong>Usuario</strong><span>{userName}</span></div>
                                                     <div className="detail-actions">
                                                         <strong>Acciones</strong>
@@ -397,6 +590,11 @@ const ReceptionPage: React.FC<ReceptionPageProps> = ({
                         </table>
                     </div>
                 ) : <p>No hay registros para el rango de fechas seleccionado.</p>}
+                {searchResults === null && (dateFilter.records ? (
+                    <LoadMoreButton pagination={dateFilter.pagination} loadedCount={dateFilter.records.length} onLoadMore={dateFilter.loadMore} />
+                ) : (
+                    <LoadMoreButton pagination={pagination} loadedCount={records.length} onLoadMore={onLoadMore} />
+                ))}
             </div>
 
             {viewingImage && (
@@ -1,12 +1,107 @@
 import React, { useState, useEffect } from 'react';
-import { EstablishmentInfo } from './types';
+import { getErrorMessage } from './services';
+import { EstablishmentInfo, CatalogKey, ConfigCatalogs } from './types';
 
 interface SettingsPageProps {
     info: EstablishmentInfo;
     onUpdateInfo: (newInfo: EstablishmentInfo) => void;
+    catalogs: ConfigCatalogs;
+    onUpdateCatalog: (catalog: CatalogKey, items: string[]) => Promise<void>;
+    onResetCatalog: (catalog: CatalogKey) => Promise<void>;
 }
 
-const SettingsPage: React.FC<SettingsPageProps> = ({ info, onUpdateInfo }) => {
+const CATALOG_LABELS: Record<CatalogKey, { title: string; description: string; placeholder: string }> = {
+    'storage-types': { title: 'Tipos de Cámara', description: 'Opciones del campo "Tipo" al crear una cámara en Almacenamiento.', placeholder: 'Ej: Abatidor' },
+    'categories': { title: 'Categorías de Producto', description: 'Categorías que se pueden asignar a los tipos de género en Recepción.', placeholder: 'Ej: Embutidos' },
+    'transport-conditions': { title: 'Condiciones de Transporte', description: 'Condiciones que se registran con cada recepción de mercancía.', placeholder: 'Ej: Refrigerado con registrador' },
+    'units': { title: 'Unidades de Medida', description: 'Unidades disponibles para cantidades de producto.', placeholder: 'Ej: bandejas' }
+};
+
+interface CatalogEditorProps {
+    catalog: CatalogKey;
+    items: string[];
+    onSave: (catalog: CatalogKey, items: string[]) => Promise<void>;
+    onReset: (catalog: CatalogKey) => Promise<void>;
+}
+
+const CatalogEditor: React.FC<CatalogEditorProps> = ({ catalog, items, onSave, onReset }) => {
+    const [draft, setDraft] = useState<string[]>(items);
+    const [newItem, setNewItem] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const labels = CATALOG_LABELS[catalog];
+
+    useEffect(() => {
+        setDraft(items);
+    }, [items]);
+
+    const hasChanges = draft.join('\n') !== items.join('\n');
+
+    const handleAdd = (e: React.FormEvent) => {
+        e.preventDefault();
+        const value = newItem.trim();
+        if (!value) return;
+        if (draft.some(item => item.toLowerCase() === value.toLowerCase())) {
+            alert(`"${value}" ya está en el catálogo.`);
+            return;
+        }
+        setDraft([...draft, value]);
+        setNewItem('');
+    };
+
+    const handleRemove = (value: string) => {
+        if (draft.length === 1) {
+            alert('El catálogo debe tener al menos un valor.');
+            return;
+        }
+        setDraft(draft.filter(item => item !== value));
+    };
+
+    const runSave = async (operation: () => Promise<void>) => {
+        setIsSaving(true);
+        try {
+            await operation();
+        } catch (error) {
+            alert(`No se pudo guardar el catálogo.\n${getErrorMessage(error)}`);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleReset = () => {
+        if (window.confirm(`¿Restablecer los valores por defecto de "${labels.title}"? Los registros existentes conservan su valor.`)) {
+            runSave(() => onReset(catalog));
+        }
+    };
+
+    return (
+        <div className="management-section">
+            <h3>{labels.title}</h3>
+            <p style={{color: '#6c757d'}}>{labels.description}</p>
+            <form onSubmit={handleAdd} className="record-search-bar">
+                <input type="text" value={newItem} onChange={e => setNewItem(e.target.value)} placeholder={labels.placeholder} maxLength={100} aria-label={`Nuevo valor de ${labels.title}`} />
+                <button type="submit" className="btn-secondary">Añadir</button>
+            </form>
+            <div className="units-list">
+                {draft.map(item => (
+                    <div key={item} className="units-list-item">
+                        <span>{item}</span>
+                        <button type="button" className="btn-delete" onClick={() => handleRemove(item)}>Quitar</button>
+                    </div>
+                ))}
+            </div>
+            <div className="export-buttons">
+                <button type="button" className="btn-export btn-import" onClick={() => runSave(() => onSave(catalog, draft))} disabled={!hasChanges || isSaving}>
+                    {isSaving ? 'Guardando...' : 'Guardar'}
+                </button>
+                <button type="button" className="btn-export btn-pdf" onClick={handleReset} disabled={isSaving}>
+                    Restablecer valores por defecto
+                </button>
+            </div>
+        </div>
+    );
+};
+
+const SettingsPage: React.FC<SettingsPageProps> = ({ info, onUpdateInfo, catalogs, onUpdateCatalog, onResetCatalog }) => {
     const [formState, setFormState] = useState<EstablishmentInfo>(info);
     const [isSaved, setIsSaved] = useState(false);
 
@@ -107,6 +202,21 @@ const SettingsPage: React.FC<SettingsPageProps> = ({ info, onUpdateInfo }) => {
                     {isSaved && <p style={{color: 'var(--success-color)', marginTop: '15px', fontWeight: '500'}}>¡Información guardada correctamente!</p>}
                 </form>
             </div>
+            <div className="card">
+                <h2>Catálogos</h2>
+                <p style={{color: '#6c757d'}}>
+                    Valores que se ofrecen en los formularios. Quitar un valor no modifica los registros que ya lo usan.
+                </p>
+                {(Object.keys(CATALOG_LABELS) as CatalogKey[]).map(catalog => (
+                    <CatalogEditor
+                        key={catalog}
+                        catalog={catalog}
+                        items={catalogs[catalog]}
+                        onSave={onUpdateCatalog}
+                        onReset={onResetCatalog}
+                    />
+                ))}
+            </div>
         </>
     );
 };
@@ -1,21 +1,53 @@
-import React, { useState, useMemo } from 'react';
-import { exportToPDF, exportToExcel } from './exportUtils';
-import { User, StorageUnit, StorageRecord, EstablishmentInfo } from './types';
+import React, { useState, useMemo, useRef } from 'react';
+import { exportToPDF, exportToExcel, downloadFile } from './exportUtils';
+import { getErrorMessage } from './services';
+import type { RecordsFilters, RecordsListResponse, ListPagination, ExportFormat, ImportResult, LoggerIngestResult } from './services';
+import { formatImportSummary } from './utils/importUtils';
+import RecordSearchBar, { applySearchResults } from './components/RecordSearchBar';
+import LoadMoreButton from './components/LoadMoreButton';
+import { useDateFilteredRecords, isInDateRange } from './hooks/useDateFilteredRecords';
+import DataLoggersPanel from './components/DataLoggersPanel';
+import TemperatureSeriesChart from './components/TemperatureSeriesChart';
+import { EXCURSION_ROW_HEADERS, excursionToRow } from './utils/excursionUtils';
+import { DEFAULT_GRACE_MINUTES, MISSED_CHECK_ROW_HEADERS, MISSED_CHECK_STATUS_CLASSES, formatSchedule, missedCheckToRow, parseScheduleTimes } from './utils/missedCheckUtils';
+import { User, StorageUnit, StorageRecord, TemperatureExcursion, MissedCheck, DataLogger, DataLoggerFormData, StorageSeries, EstablishmentInfo } from './types';
 
 
+// Fila del historial: una lectura o un control programado no realizado
+type HistoryRow = { kind: 'record'; date: string; record: StorageRecord } | { kind: 'missed'; date: string; check: MissedCheck };
+
 interface StoragePageProps {
     users: User[];
     units: StorageUnit[];
+    storageTypes: string[];
     records: StorageRecord[];
+    excursions: TemperatureExcursion[];
+    missedChecks: MissedCheck[];
     onAddUnit: (unit: Omit<StorageUnit, 'id'>) => void;
-    onDeleteUnit: (id: string) => void;
+    onUpdateUnit: (id: string, unit: Partial<StorageUnit>) => Promise<void>;
+    onDeleteUnit: (id: string) => Promise<void>;
     onAddRecord: (record: Omit<StorageRecord, 'id' | 'userId'>) => void;
     onDeleteRecord: (id: string) => void;
+    onExportHistory: (format: ExportFormat, filters: RecordsFilters) => Promise<{ blob: Blob; fileName: string }>;
+    onImportHistory: (file: File) => Promise<ImportResult>;
+    onSearchHistory: (query: string) => Promise<StorageRecord[]>;
+    onFilterHistory: (filters: RecordsFilters) => Promise<RecordsListResponse<StorageRecord>>;
+    pagination?: ListPagination;
+    onLoadMore: () => Promise<void>;
+    isAdmin: boolean;
+    dataLoggers: DataLogger[];
+    onAddDataLogger: (data: DataLoggerFormData) => Promise<string>;
+    onRegenerateDataLoggerToken: (id: string) => Promise<string>;
+    onSetDataLoggerActive: (id: string, isActive: boolean) => Promise<void>;
+    onDeleteDataLogger: (id: string) => Promise<void>;
+    onUploadDataLoggerFile: (id: string, file: File) => Promise<LoggerIngestResult>;
+    onLoadSeries: (unitId: string, dateFrom?: string, dateTo?: string) => Promise<StorageSeries | null>;
     establishmentInfo: EstablishmentInfo;
 }
 
+const readingDateOf = (record: StorageRecord) => record.dateTime;
 
-const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddUnit, onDeleteUnit, onAddRecord, onDeleteRecord, establishmentInfo }) => {
+const StoragePage: React.FC<StoragePageProps> = ({ users, units, storageTypes, records, excursions, missedChecks, onAddUnit, onUpdateUnit, onDeleteUnit, onAddRecord, onDeleteRecord, onExportHistory, onImportHistory, onSearchHistory, onFilterHistory, pagination, onLoadMore, isAdmin, dataLoggers, onAddDataLogger, onRegenerateDataLoggerToken, onSetDataLoggerActive, onDeleteDataLogger, onUploadDataLoggerFile, onLoadSeries, establishmentInfo }) => {
     // Collapsible sections state
     const [isRecordFormOpen, setIsRecordFormOpen] = useState(true);
     const [isUnitManagementOpen, setIsUnitManagementOpen] = useState(false);
@@ -23,9 +55,16 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
 
     // Form state for new unit
     const [newUnitName, setNewUnitName] = useState('');
-    const [newUnitType, setNewUnitType] = useState<StorageUnit['type']>('Cámara Frigorífica');
+    const [newUnitType, setNewUnitType] = useState<StorageUnit['type']>('');
     const [newUnitMinTemp, setNewUnitMinTemp] = useState('');
     const [newUnitMaxTemp, setNewUnitMaxTemp] = useState('');
+    const [newUnitScheduleTimes, setNewUnitScheduleTimes] = useState('');
+    const [newUnitGraceMinutes, setNewUnitGraceMinutes] = useState(String(DEFAULT_GRACE_MINUTES));
+
+    // Edición de la programación de controles de una cámara existente
+    const [scheduleUnitId, setScheduleUnitId] = useState<string | null>(null);
+    const [scheduleTimes, setScheduleTimes] = useState('');
+    const [scheduleGraceMinutes, setScheduleGraceMinutes] = useState('');
 
 
     // Form state for new record
@@ -40,20 +79,58 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
     const [startDate, setStartDate] = useState('');
     const [endDate, setEndDate] = useState('');
 
+    // State for importing records
+    const importInputRef = useRef<HTMLInputElement>(null);
+    const [isImporting, setIsImporting] = useState(false);
+
+    // Resultados de la búsqueda en el servidor (null sin búsqueda activa)
+    const [searchResults, setSearchResults] = useState<StorageRecord[] | null>(null);
+
     // Derived data for display
     const unitsMap = useMemo(() => new Map(units.map(u => [u.id, u])), [units]);
     const usersMap = useMemo(() => new Map(users.map(u => [u.id, u.name])), [users]);
     const selectedUnitForRecord = useMemo(() => units.find(u => u.id === recordUnit), [units, recordUnit]);
+    // El tipo elegido puede haber desaparecido del catálogo al editarlo en Configuración
+    const selectedUnitType = storageTypes.includes(newUnitType) ? newUnitType : storageTypes[0] || '';
+
+    // El rango de fechas de las lecturas se filtra en el servidor (solo están cargadas las últimas)
+    const dateFilter = useDateFilteredRecords(records, readingDateOf, startDate, endDate, onFilterHistory);
 
     const filteredRecords = useMemo(() => {
-        return records.filter(record => {
-            if (!startDate && !endDate) return true;
-            const recordDate = new Date(record.dateTime);
-            if (startDate && new Date(startDate) > recordDate) return false;
-            if (endDate && new Date(endDate).setHours(23, 59, 59, 999) < recordDate.getTime()) return false;
+        // Los resultados de una búsqueda ya vienen de todo el historial: basta con acotarlos a las fechas
+        const visible = searchResults
+            ? applySearchResults(searchResults, records).filter(record => isInDateRange(record.dateTime, startDate, endDate))
+            : dateFilter.records || records;
+        return [...visible].sort((a, b) => new Date(b.dateTime).getTime() - new Date(a.dateTime).getTime());
+    }, [records, searchResults, dateFilter.records, startDate, endDate]);
+
+    // Excursiones que se solapan con el periodo filtrado
+    const filteredExcursions = useMemo(() => {
+        return excursions.filter(excursion => {
+            if (startDate && new Date(startDate) > new Date(excursion.endedAt || excursion.lastReadingAt)) return false;
+            if (endDate && new Date(endDate).setHours(23, 59, 59, 999) < new Date(excursion.startedAt).getTime()) return false;
+            return true;
+        }).sort((a, b) => new Date(b.startedAt).getTime() - new Date(a.startedAt).getTime());
+    }, [excursions, startDate, endDate]);
+
+    // Controles programados no realizados en el periodo filtrado
+    const filteredMissedChecks = useMemo(() => {
+        return missedChecks.filter(check => {
+            const scheduledAt = new Date(check.scheduledAt);
+            if (startDate && new Date(startDate) > scheduledAt) return false;
+            if (endDate && new Date(endDate).setHours(23, 59, 59, 999) < scheduledAt.getTime()) return false;
             return true;
-        }).sort((a, b) => new Date(b.dateTime).getTime() - new Date(a.dateTime).getTime());
-    }, [records, startDate, endDate]);
+        }).sort((a, b) => new Date(b.scheduledAt).getTime() - new Date(a.scheduledAt).getTime());
+    }, [missedChecks, startDate, endDate]);
+
+    // El historial intercala los controles no realizados entre las lecturas (salvo durante una búsqueda)
+    const historyRows = useMemo<HistoryRow[]>(() => {
+        const rows: HistoryRow[] = filteredRecords.map(record => ({ kind: 'record', date: record.dateTime, record }));
+        if (searchResults === null) {
+            filteredMissedChecks.forEach(check => rows.push({ kind: 'missed', date: check.scheduledAt, check }));
+        }
+        return rows.sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+    }, [filteredRecords, filteredMissedChecks, searchResults]);
 
 
     // Handlers
@@ -63,20 +140,58 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
             alert('El nombre de la cámara no puede estar vacío.');
             return;
         }
+        const times = parseScheduleTimes(newUnitScheduleTimes);
+        if (!times) {
+            alert('Las horas de control deben tener el formato HH:mm, separadas por comas (ej: 08:00, 18:00).');
+            return;
+        }
         onAddUnit({
             name: newUnitName.trim(),
-            type: newUnitType,
+            type: selectedUnitType,
             minTemp: newUnitMinTemp !== '' ? parseFloat(newUnitMinTemp) : undefined,
             maxTemp: newUnitMaxTemp !== '' ? parseFloat(newUnitMaxTemp) : undefined,
+            ...(times.length > 0 && {
+                monitoringSchedule: { times, graceMinutes: parseInt(newUnitGraceMinutes, 10) || DEFAULT_GRACE_MINUTES }
+            })
         });
         setNewUnitName('');
         setNewUnitMinTemp('');
         setNewUnitMaxTemp('');
+        setNewUnitScheduleTimes('');
+    };
+
+    const handleEditSchedule = (unit: StorageUnit) => {
+        setScheduleUnitId(unit.id);
+        setScheduleTimes(unit.monitoringSchedule?.times.join(', ') || '');
+        setScheduleGraceMinutes(String(unit.monitoringSchedule?.graceMinutes ?? DEFAULT_GRACE_MINUTES));
+    };
+
+    // Sin horas se elimina la programación; los controles no realizados anteriores se conservan
+    const handleSaveSchedule = async (unit: StorageUnit) => {
+        const times = parseScheduleTimes(scheduleTimes);
+        if (!times) {
+            alert('Las horas de control deben tener el formato HH:mm, separadas por comas (ej: 08:00, 18:00).');
+            return;
+        }
+        try {
+            await onUpdateUnit(unit.id, {
+                name: unit.name,
+                monitoringSchedule: times.length > 0
+                    ? { times, graceMinutes: parseInt(scheduleGraceMinutes, 10) || DEFAULT_GRACE_MINUTES }
+                    : null
+            });
+            setScheduleUnitId(null);
+        } catch (error) {
+            alert(`No se pudo guardar la programación de controles.\n${getErrorMessage(error)}`);
+        }
     };
 
-    const handleDeleteUnit = (unitId: string) => {
-        if (window.confirm('¿Eliminar esta cámara? También se eliminarán todos sus registros.')) {
-            onDeleteUnit(unitId);
+    const handleDeleteUnit = async (unitId: string) => {
+        if (!window.confirm('¿Eliminar esta cámara? Solo se puede eliminar si no tiene registros de temperatura.')) return;
+        try {
+            await onDeleteUnit(unitId);
+        } catch (error) {
+            alert(`No se pudo eliminar la cámara.\n${getErrorMessage(error)}`);
         }
     };
 
@@ -93,10 +208,10 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
         onAddRecord({
             unitId: recordUnit,
             dateTime: new Date(recordDateTime).toISOString(),
-            temperature: recordTemp,
+            temperature: parseFloat(recordTemp),
             rotationCheck: recordRotation,
             mincingCheck: recordMincing,
-            ...(selectedUnitForRecord?.type === 'Cámara de secado' && { humidity: recordHumidity })
+            ...(selectedUnitForRecord?.type === 'Cámara de secado' && { humidity: parseFloat(recordHumidity) })
         });
 
         // Reset form
@@ -110,6 +225,8 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
     const handleDeleteRecord = (recordId: string) => {
         if (window.confirm('¿Está seguro de que desea eliminar este registro?')) {
             onDeleteRecord(recordId);
+            setSearchResults(prev => prev && prev.filter(r => r.id !== recordId));
+            dateFilter.removeRecord(recordId);
         }
     };
 
@@ -119,12 +236,20 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
             new Date(r.dateTime).toLocaleString('es-ES'),
             unitsMap.get(r.unitId)?.name || 'N/A',
             r.temperature,
-            r.humidity || 'N/A',
+            r.humidity ?? 'N/A',
             r.rotationCheck ? 'Sí' : 'No',
             r.mincingCheck ? 'Sí' : 'No',
             usersMap.get(r.userId) || 'N/A'
         ]);
-        exportToPDF("Historial de Controles de Almacenamiento", headers, data, "historial_almacenamiento", establishmentInfo);
+        exportToPDF("Historial de Controles de Almacenamiento", headers, data, "historial_almacenamiento", establishmentInfo, [{
+            title: 'Excursiones de temperatura',
+            headers: EXCURSION_ROW_HEADERS,
+            data: filteredExcursions.map(excursion => excursionToRow(excursion, unitsMap))
+        }, {
+            title: 'Controles programados no realizados',
+            headers: MISSED_CHECK_ROW_HEADERS,
+            data: filteredMissedChecks.map(check => missedCheckToRow(check, unitsMap))
+        }]);
     };
 
     const handleExportExcel = () => {
@@ -132,7 +257,7 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
             "Fecha y Hora": new Date(r.dateTime).toLocaleString('es-ES'),
             "Cámara": unitsMap.get(r.unitId)?.name || 'N/A',
             "Temperatura (°C)": r.temperature,
-            "Humedad (%)": r.humidity || 'N/A',
+            "Humedad (%)": r.humidity ?? 'N/A',
             "Rotación OK": r.rotationCheck ? 'Sí' : 'No',
             "Instrucciones Picado OK": r.mincingCheck ? 'Sí' : 'No',
             "Usuario": usersMap.get(r.userId) || 'N/A'
@@ -140,6 +265,35 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
         exportToExcel(data, "historial_almacenamiento");
     };
 
+    // Exportación generada en el servidor con todo el historial del rango de fechas
+    const handleExportFullHistory = async () => {
+        try {
+            const { blob, fileName } = await onExportHistory('csv', {
+                dateFrom: startDate || undefined,
+                dateTo: endDate || undefined
+            });
+            downloadFile(blob, fileName);
+        } catch (error) {
+            alert(`No se pudo exportar el historial: ${getErrorMessage(error)}`);
+        }
+    };
+
+    // Importación de registros en papel desde hoja de cálculo (CSV, XLSX) o JSON
+    const handleImportFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setIsImporting(true);
+        try {
+            alert(formatImportSummary(await onImportHistory(file)));
+        } catch (error) {
+            alert(`No se pudo importar el archivo: ${getErrorMessage(error)}`);
+        } finally {
+            setIsImporting(false);
+        }
+    };
+
 
     return (
         <>
@@ -218,10 +372,8 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
                                 </div>
                                 <div className="form-group">
                                     <label htmlFor="new-unit-type">Tipo</label>
-                                    <select id="new-unit-type" value={newUnitType} onChange={e => setNewUnitType(e.target.value as any)}>
-                                        <option value="Cámara Frigorífica">Cámara Frigorífica</option>
-                                        <option value="Cámara Expositora">Cámara Expositora</option>
-                                        <option value="Cámara de secado">Cámara de secado</option>
+                                    <select id="new-unit-type" value={selectedUnitType} onChange={e => setNewUnitType(e.target.value)}>
+                                        {storageTypes.map(type => <option key={type} value={type}>{type}</option>)}
                                     </select>
                                 </div>
                                  <div className="costing-form-grid">
@@ -234,6 +386,16 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
                                         <input type="number" step="0.1" id="new-unit-max-temp" value={newUnitMaxTemp} onChange={e => setNewUnitMaxTemp(e.target.value)} placeholder="Ej: 4" />
                                     </div>
                                 </div>
+                                <div className="costing-form-grid">
+                                    <div className="form-group">
+                                        <label htmlFor="new-unit-schedule">Horas de control (opcional)</label>
+                                        <input type="text" id="new-unit-schedule" value={newUnitScheduleTimes} onChange={e => setNewUnitScheduleTimes(e.target.value)} placeholder="Ej: 08:00, 18:00" />
+                                    </div>
+                                    <div className="form-group">
+                                        <label htmlFor="new-unit-grace">Tolerancia (minutos)</label>
+                                        <input type="number" min="5" max="720" id="new-unit-grace" value={newUnitGraceMinutes} onChange={e => setNewUnitGraceMinutes(e.target.value)} />
+                                    </div>
+                                </div>
                                 <button type="submit" className="btn-submit">Añadir Cámara</button>
                             </form>
                             <div className="units-list">
@@ -245,8 +407,20 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
                                             <span>{unit.name}</span>
                                             <span className="unit-type">{unit.type}</span>
                                             {(unit.minTemp !== undefined && unit.maxTemp !== undefined) && <span className="unit-type">({unit.minTemp}°C - {unit.maxTemp}°C)</span>}
+                                            <span className="unit-type">Controles: {formatSchedule(unit.monitoringSchedule)}</span>
+                                            {scheduleUnitId === unit.id && (
+                                                <div className="unit-schedule-form">
+                                                    <input type="text" aria-label="Horas de control" value={scheduleTimes} onChange={e => setScheduleTimes(e.target.value)} placeholder="Ej: 08:00, 18:00 (vacío para quitarla)" />
+                                                    <input type="number" min="5" max="720" aria-label="Tolerancia en minutos" value={scheduleGraceMinutes} onChange={e => setScheduleGraceMinutes(e.target.value)} />
+                                                    <button className="btn-view-photo" onClick={() => handleSaveSchedule(unit)}>Guardar</button>
+                                                    <button className="btn-delete" onClick={() => setScheduleUnitId(null)}>Cancelar</button>
+                                                </div>
+                                            )}
+                                        </div>
+                                        <div className="logger-actions">
+                                            {scheduleUnitId !== unit.id && <button className="btn-view-photo" onClick={() => handleEditSchedule(unit)}>Programar</button>}
+                                            <button className="btn-delete" onClick={() => handleDeleteUnit(unit.id)}>Eliminar</button>
                                         </div>
-                                        <button className="btn-delete" onClick={() => handleDeleteUnit(unit.id)}>Eliminar</button>
                                     </div>
                                     ))
                                 ) : <p>No hay cámaras registradas.</p>}
@@ -255,8 +429,24 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
                     </div>
                 </div>
             </div>
+            <DataLoggersPanel
+                units={units}
+                dataLoggers={dataLoggers}
+                isAdmin={isAdmin}
+                onAdd={onAddDataLogger}
+                onRegenerateToken={onRegenerateDataLoggerToken}
+                onSetActive={onSetDataLoggerActive}
+                onDelete={onDeleteDataLogger}
+                onUpload={onUploadDataLoggerFile}
+            />
+            <TemperatureSeriesChart units={units} onLoadSeries={onLoadSeries} />
             <div className="card">
                 <h2>Historial de Controles</h2>
+                <RecordSearchBar
+                    placeholder="Buscar por cámara en todo el historial..."
+                    onSearch={onSearchHistory}
+                    onResults={setSearchResults}
+                />
                 <div className="export-controls-container">
                      <h3>Exportar Registros</h3>
                      <div className="export-controls-row">
@@ -269,7 +459,7 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
                             <input type="date" id="end-date" value={endDate} onChange={e => setEndDate(e.target.value)} />
                         </div>
                         <div className="export-buttons">
-                            <button className="btn-export btn-pdf" onClick={handleExportPDF} disabled={filteredRecords.length === 0}>
+                            <button className="btn-export btn-pdf" onClick={handleExportPDF} disabled={historyRows.length === 0}>
                                 <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
                                 PDF
                             </button>
@@ -277,10 +467,19 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
                                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
                                 Excel
                             </button>
+                            <button className="btn-export btn-excel" onClick={handleExportFullHistory} title="Descarga todos los registros del rango de fechas desde el servidor">
+                               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+                                CSV completo
+                            </button>
+                            <button className="btn-export btn-import" onClick={() => importInputRef.current?.click()} disabled={isImporting} title="Importa registros desde un archivo CSV, Excel o JSON con las mismas columnas que la exportación">
+                                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 1.146a.5.5 0 0 1 .708 0l3 3a.5.5 0 0 1-.708.708L8.5 2.707V11.5a.5.5 0 0 1-1 0V2.707L5.354 4.854a.5.5 0 1 1-.708-.708l3-3z"/></svg>
+                                {isImporting ? 'Importando...' : 'Importar'}
+                            </button>
+                            <input ref={importInputRef} type="file" accept=".csv,.xlsx,.json" onChange={handleImportFile} style={{ display: 'none' }} />
                         </div>
                      </div>
                 </div>
-                {filteredRecords.length > 0 ? (
+                {historyRows.length > 0 ? (
                     <div style={{overflowX: 'auto'}}>
                         <table className="user-table">
                             <thead>
@@ -291,15 +490,30 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
                                 </tr>
                             </thead>
                             <tbody>
-                                {filteredRecords.map(record => {
+                                {historyRows.map(row => {
+                                    if (row.kind === 'missed') {
+                                        const { check } = row;
+                                        return (
+                                            <tr key={`missed-${check.id}`} className="missed-check-row">
+                                                <td data-label="Fecha y Hora">{new Date(check.scheduledAt).toLocaleString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' })}</td>
+                                                <td data-label="Cámara" className="danger">{unitsMap.get(check.unitId)?.name || 'N/A'}</td>
+                                                <td data-label="Detalles" title={check.justification || undefined}>
+                                                    <span className={`incident-badge ${MISSED_CHECK_STATUS_CLASSES[check.status]}`}>
+                                                        {check.status === 'Justificado' ? 'Control justificado' : 'Control no realizado'}
+                                                    </span>
+                                                </td>
+                                            </tr>
+                                        );
+                                    }
+                                    const { record } = row;
                                     const isExpanded = expandedRecordId === record.id;
                                     const unit = unitsMap.get(record.unitId);
                                     const unitName = unit?.name || 'N/A';
                                     const userName = usersMap.get(record.userId) || 'N/A';
                                     const formattedDate = new Date(record.dateTime).toLocaleString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
                                     
-                                    const temp = parseFloat(record.temperature);
-                                    let tempClass = '';
+                                    const temp = Number(record.temperature);
+                                    let tempClass = record.isOutOfRange ? 'danger' : '';
                                     if(unit && unit.minTemp !== undefined && unit.maxTemp !== undefined) {
                                         if (temp < unit.minTemp || temp > unit.maxTemp) tempClass = 'danger';
                                     }
@@ -324,7 +538,7 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
                                                     <td colSpan={3}>
                                                         <div className="record-details">
                                                             <div><strong>Temperatura</strong><span className={tempClass}>{record.temperature}°C</span></div>
-                                                            {record.humidity && <div><strong>Humedad</strong><span>{record.humidity}%</span></div>}
+                                                            {record.humidity !== undefined && record.humidity !== null && <div><strong>Humedad</strong><span>{record.humidity}%</span></div>}
                                                             <div><strong>Rotación OK</strong><span className={record.rotationCheck ? 'check-icon' : 'cross-icon'}>{record.rotationCheck ? '✓' : '✗'}</span></div>
                                                             <div><strong>Picado OK</strong><span className={record.mincingCheck ? 'check-icon' : 'cross-icon'}>{record.mincingCheck ? '✓' : '✗'}</span></div>
                                                             <div><strong>Usuario</strong><span>{userName}</span></div>
@@ -350,6 +564,11 @@ const StoragePage: React.FC<StoragePageProps> = ({ users, units, records, onAddU
                         </table>
                     </div>
                 ) : <p>No hay registros para el rango de fechas seleccionado.</p>}
+                {searchResults === null && (dateFilter.records ? (
+                    <LoadMoreButton pagination={dateFilter.pagination} loadedCount={dateFilter.records.length} onLoadMore={dateFilter.loadMore} />
+                ) : (
+                    <LoadMoreButton pagination={pagination} loadedCount={records.length} onLoadMore={onLoadMore} />
+                ))}
             </div>
         </>
     );
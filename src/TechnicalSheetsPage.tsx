@@ -1,4 +1,6 @@
 import React, { useState } from 'react';
+import type { ListPagination } from './services';
+import LoadMoreButton from './components/LoadMoreButton';
 import { TechnicalSheet, Ingredient, EstablishmentInfo } from './types';
 
 // --- Interfaces ---
@@ -8,6 +10,8 @@ interface IngredientFormState extends Omit<Ingredient, 'id'> {
 
 interface TechnicalSheetsPageProps {
     sheets: TechnicalSheet[];
+    pagination?: ListPagination;
+    onLoadMore: () => Promise<void>;
     onAddSheet: (sheet: Omit<TechnicalSheet, 'id'>) => void;
     onDeleteSheet: (id: string) => void;
     establishmentInfo: EstablishmentInfo;
@@ -15,7 +19,7 @@ interface TechnicalSheetsPageProps {
 
 
 // --- Component ---
-const TechnicalSheetsPage: React.FC<TechnicalSheetsPageProps> = ({ sheets, onAddSheet, onDeleteSheet, establishmentInfo }) => {
+const TechnicalSheetsPage: React.FC<TechnicalSheetsPageProps> = ({ sheets, pagination, onLoadMore, onAddSheet, onDeleteSheet, establishmentInfo }) => {
     // --- State ---
     const [isCreateFormOpen, setIsCreateFormOpen] = useState(true);
     const [expandedSheetId, setExpandedSheetId] = useState<string | null>(sheets.length > 0 ? sheets[0].id : null);
@@ -163,7 +167,14 @@ const TechnicalSheetsPage: React.FC<TechnicalSheetsPageProps> = ({ sheets, onAdd
                                     role="button"
                                     aria-expanded={isExpanded}
                                 >
-                                    <h2 style={{borderBottom: 'none', paddingBottom: 0, marginBottom: 0}}>{sheet.productName}</h2>
+                                    <h2 style={{borderBottom: 'none', paddingBottom: 0, marginBottom: 0}}>
+                                        {sheet.productName}
+                                        {sheet.revision && (
+                                            <small style={{ fontWeight: 'normal', marginLeft: '10px' }}>
+                                                Rev. {sheet.revision}{sheet.revisionDate && ` · ${new Date(sheet.revisionDate).toLocaleDateString('es-ES')}`}
+                                            </small>
+                                        )}
+                                    </h2>
                                     <div style={{display: 'flex', alignItems: 'center', gap: '15px'}}>
                                         <div onClick={e => e.stopPropagation()}>
                                             {/* Edit button can be added here in the future */}
@@ -195,6 +206,7 @@ const TechnicalSheetsPage: React.FC<TechnicalSheetsPageProps> = ({ sheets, onAdd
                             </div>
                         )
                     }) : <div className="card"><p>No hay fichas técnicas creadas.</p></div>}
+                    <LoadMoreButton pagination={pagination} loadedCount={sheets.length} onLoadMore={onLoadMore} />
                  </div>
 
             </div>
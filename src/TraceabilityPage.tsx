@@ -1,6 +1,11 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { exportToPDF, exportToExcel } from './exportUtils';
-import { User, OutgoingRecord, ElaboratedRecord, EstablishmentInfo } from './types';
+import { getErrorMessage } from './services';
+import type { ListPagination } from './services';
+import RecordSearchBar, { applySearchResults } from './components/RecordSearchBar';
+import LoadMoreButton from './components/LoadMoreButton';
+import LotGenealogyView from './components/LotGenealogyView';
+import { User, OutgoingRecord, ElaboratedRecord, ElaboratedIngredient, LotSourceType, LotOption, LotGenealogy, EstablishmentInfo } from './types';
 
 // --- Estados de Formulario ---
 type OutgoingFormState = {
@@ -11,17 +16,15 @@ type OutgoingFormState = {
     destination: string;
     date: string;
     userId: string;
+    // Lote de origen elegido entre los elaborados o recibidos (vacío si se escribe a mano)
+    sourceType?: LotSourceType;
+    sourceRecordId?: string;
 }
 
 type ElaboratedFormState = {
     productName: string;
     elaborationDate: string;
-    ingredients: {
-        name: string;
-        supplier: string;
-        lot: string;
-        quantity: string;
-    }[];
+    ingredients: ElaboratedIngredient[];
     productLot: string;
     destination: string;
     quantitySent: string;
@@ -32,19 +35,39 @@ interface TraceabilityPageProps {
     users: User[];
     outgoingRecords: OutgoingRecord[];
     elaboratedRecords: ElaboratedRecord[];
+    outgoingPagination?: ListPagination;
+    elaboratedPagination?: ListPagination;
+    onLoadMoreOutgoing: () => Promise<void>;
+    onLoadMoreElaborated: () => Promise<void>;
     onAddOutgoingRecord: (record: Omit<OutgoingRecord, 'id'>) => void;
     onDeleteOutgoing: (id: string) => void;
     onAddElaboratedRecord: (record: Omit<ElaboratedRecord, 'id'>) => void;
-    onDeleteElaborated: (id: string) => void;
+    onDeleteElaborated: (id: string) => Promise<void>;
+    onSearchOutgoing: (query: string) => Promise<OutgoingRecord[]>;
+    onSearchElaborated: (query: string) => Promise<ElaboratedRecord[]>;
+    onLoadLots: (type: LotSourceType, query?: string) => Promise<LotOption[]>;
+    onLoadLotGenealogy: (lot: string) => Promise<LotGenealogy | null>;
     establishmentInfo: EstablishmentInfo;
 }
 
+const EMPTY_INGREDIENT: ElaboratedIngredient = { name: '', supplier: '', lot: '', quantity: '' };
+
+// Valor de los selectores de lote: "tipo:id" del registro de origen
+const lotOptionValue = (option: Pick<LotOption, 'sourceType' | 'recordId'>) => `${option.sourceType}:${option.recordId}`;
+
+const lotOptionLabel = (option: LotOption) => [
+    option.lot,
+    option.productName,
+    option.supplierName,
+    option.expiryDate && `cad. ${new Date(option.expiryDate).toLocaleDateString('es-ES', { timeZone: 'UTC' })}`
+].filter(Boolean).join(' · ');
+
 
 // --- Componente ---
 export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
-    users, outgoingRecords, elaboratedRecords, 
+    users, outgoingRecords, elaboratedRecords, outgoingPagination, elaboratedPagination, onLoadMoreOutgoing, onLoadMoreElaborated,
     onAddOutgoingRecord, onDeleteOutgoing, onAddElaboratedRecord, onDeleteElaborated,
-    establishmentInfo
+    onSearchOutgoing, onSearchElaborated, onLoadLots, onLoadLotGenealogy, establishmentInfo
 }) => {
     const usersMap = useMemo(() => new Map(users.map(u => [u.id, u.name])), [users]);
 
@@ -63,32 +86,51 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
 
     // Estado para sección de Elaborados
     const [elaboratedForm, setElaboratedForm] = useState<ElaboratedFormState>({
-        productName: '', elaborationDate: new Date().toISOString().slice(0,10), ingredients: [{name: '', supplier: '', lot: '', quantity: ''}], productLot: '', destination: '', quantitySent: '', userId: users.length > 0 ? String(users[0].id) : ''
+        productName: '', elaborationDate: new Date().toISOString().slice(0,10), ingredients: [EMPTY_INGREDIENT], productLot: '', destination: '', quantitySent: '', userId: users.length > 0 ? String(users[0].id) : ''
     });
     const [elaboratedStartDate, setElaboratedStartDate] = useState('');
     const [elaboratedEndDate, setElaboratedEndDate] = useState('');
 
+    // Resultados de la búsqueda en el servidor (null sin búsqueda activa)
+    const [outgoingSearchResults, setOutgoingSearchResults] = useState<OutgoingRecord[] | null>(null);
+    const [elaboratedSearchResults, setElaboratedSearchResults] = useState<ElaboratedRecord[] | null>(null);
+
+    // Lotes disponibles para vincular ingredientes y salidas
+    const [receivedLots, setReceivedLots] = useState<LotOption[]>([]);
+    const [elaboratedLots, setElaboratedLots] = useState<LotOption[]>([]);
+    const [genealogyLot, setGenealogyLot] = useState<string | undefined>(undefined);
+
+    // Se recargan al registrar elaboraciones (nuevos lotes elaborados)
+    useEffect(() => {
+        Promise.all([onLoadLots('delivery'), onLoadLots('elaborated')])
+            .then(([received, elaborated]) => {
+                setReceivedLots(received);
+                setElaboratedLots(elaborated);
+            })
+            .catch(error => console.error('Error cargando lotes:', error));
+    }, [elaboratedRecords]);
+
 
     // --- Lógica de Filtrado ---
     const filteredOutgoingRecords = useMemo(() => {
-        return outgoingRecords.filter(record => {
+        return applySearchResults(outgoingSearchResults, outgoingRecords).filter(record => {
             if (!outgoingStartDate && !outgoingEndDate) return true;
             const recordDate = new Date(record.date);
             if (outgoingStartDate && new Date(outgoingStartDate) > recordDate) return false;
             if (outgoingEndDate && new Date(outgoingEndDate) > recordDate) return false;
             return true;
         }).sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
-    }, [outgoingRecords, outgoingStartDate, outgoingEndDate]);
+    }, [outgoingRecords, outgoingSearchResults, outgoingStartDate, outgoingEndDate]);
 
     const filteredElaboratedRecords = useMemo(() => {
-        return elaboratedRecords.filter(record => {
+        return applySearchResults(elaboratedSearchResults, elaboratedRecords).filter(record => {
             if (!elaboratedStartDate && !elaboratedEndDate) return true;
             const recordDate = new Date(record.elaborationDate);
             if (elaboratedStartDate && new Date(elaboratedStartDate) > recordDate) return false;
             if (elaboratedEndDate && new Date(elaboratedEndDate) > recordDate) return false;
             return true;
         }).sort((a, b) => new Date(b.elaborationDate).getTime() - new Date(a.elaborationDate).getTime());
-    }, [elaboratedRecords, elaboratedStartDate, elaboratedEndDate]);
+    }, [elaboratedRecords, elaboratedSearchResults, elaboratedStartDate, elaboratedEndDate]);
 
 
     // --- Handlers para Salidas ---
@@ -110,9 +152,18 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
         setOutgoingForm(prev => ({...prev, [field]: value}));
     };
 
+    // Vincular la salida a un lote elaborado o recibido (el lote se toma del registro de origen)
+    const handleOutgoingSourceChange = (value: string) => {
+        const option = [...elaboratedLots, ...receivedLots].find(lot => lotOptionValue(lot) === value);
+        setOutgoingForm(prev => option
+            ? { ...prev, sourceType: option.sourceType, sourceRecordId: option.recordId, lotIdentifier: option.lot, productName: prev.productName || option.productName || '' }
+            : { ...prev, sourceType: undefined, sourceRecordId: undefined, lotIdentifier: '' });
+    };
+
     const handleDeleteOutgoing = (id: string) => {
         if(window.confirm('¿Eliminar este registro de salida?')) {
             onDeleteOutgoing(id);
+            setOutgoingSearchResults(prev => prev && prev.filter(r => r.id !== id));
         }
     };
     
@@ -161,21 +212,32 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
             userId: elaboratedForm.userId
         });
         // Resetear formulario
-        setElaboratedForm({ productName: '', elaborationDate: new Date().toISOString().slice(0,10), ingredients: [{name: '', supplier: '', lot: '', quantity: ''}], productLot: '', destination: '', quantitySent: '', userId: elaboratedForm.userId });
+        setElaboratedForm({ productName: '', elaborationDate: new Date().toISOString().slice(0,10), ingredients: [EMPTY_INGREDIENT], productLot: '', destination: '', quantitySent: '', userId: elaboratedForm.userId });
     };
 
     const handleElaboratedChange = (field: keyof Omit<ElaboratedFormState, 'ingredients'>, value: any) => {
         setElaboratedForm(prev => ({...prev, [field]: value}));
     };
     
-    const handleIngredientChange = (index: number, field: keyof ElaboratedFormState['ingredients'][0], value: any) => {
+    const handleIngredientChange = (index: number, field: keyof ElaboratedIngredient, value: any) => {
         const newIngredients = [...elaboratedForm.ingredients];
         newIngredients[index] = { ...newIngredients[index], [field]: value };
         setElaboratedForm(prev => ({ ...prev, ingredients: newIngredients }));
     };
 
+    // Elegir el lote del ingrediente entre los recibidos (lote y proveedor de la recepción)
+    const handleIngredientLotChange = (index: number, recordId: string) => {
+        const option = receivedLots.find(lot => lot.recordId === recordId);
+        const newIngredients = [...elaboratedForm.ingredients];
+        const current = newIngredients[index];
+        newIngredients[index] = option
+            ? { ...current, deliveryRecordId: option.recordId, lot: option.lot, supplier: option.supplierName || '', name: current.name || option.productName || '' }
+            : { ...current, deliveryRecordId: undefined, lot: '', supplier: '' };
+        setElaboratedForm(prev => ({ ...prev, ingredients: newIngredients }));
+    };
+
     const handleAddIngredient = () => {
-        setElaboratedForm(prev => ({ ...prev, ingredients: [...prev.ingredients, {name: '', supplier: '', lot: '', quantity: ''}] }));
+        setElaboratedForm(prev => ({ ...prev, ingredients: [...prev.ingredients, EMPTY_INGREDIENT] }));
     };
 
     const handleRemoveIngredient = (index: number) => {
@@ -183,9 +245,15 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
         setElaboratedForm(prev => ({ ...prev, ingredients: newIngredients }));
     };
 
-    const handleDeleteElaborated = (id: string) => {
+    const handleDeleteElaborated = async (id: string) => {
         if(window.confirm('¿Eliminar este registro de producto elaborado?')) {
-            onDeleteElaborated(id);
+            try {
+                await onDeleteElaborated(id);
+                setElaboratedSearchResults(prev => prev && prev.filter(r => r.id !== id));
+            } catch (error) {
+                // Los lotes elaborados con salidas vinculadas no se pueden eliminar
+                alert(`No se pudo eliminar el registro: ${getErrorMessage(error)}`);
+            }
         }
     };
 
@@ -259,9 +327,21 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
                                         <input type="text" placeholder="Ej: 5 kg" value={outgoingForm.quantity} onChange={e => handleOutgoingChange('quantity', e.target.value)} required style={{flex: 1}}/>
                                     </div>
                                 </div>
+                                <div className="form-group">
+                                    <label htmlFor="out-source">Lote de Origen</label>
+                                    <select id="out-source" value={outgoingForm.sourceType && outgoingForm.sourceRecordId ? lotOptionValue({ sourceType: outgoingForm.sourceType, recordId: outgoingForm.sourceRecordId }) : ''} onChange={e => handleOutgoingSourceChange(e.target.value)}>
+                                        <option value="">Sin vincular (introducir a mano)</option>
+                                        <optgroup label="Lotes elaborados">
+                                            {elaboratedLots.map(lot => <option key={lotOptionValue(lot)} value={lotOptionValue(lot)}>{lotOptionLabel(lot)}</option>)}
+                                        </optgroup>
+                                        <optgroup label="Lotes recibidos">
+                                            {receivedLots.map(lot => <option key={lotOptionValue(lot)} value={lotOptionValue(lot)}>{lotOptionLabel(lot)}</option>)}
+                                        </optgroup>
+                                    </select>
+                                </div>
                                 <div className="form-group">
                                     <label htmlFor="out-lot">Lote / Crotal / Albarán</label>
-                                    <input type="text" id="out-lot" placeholder="Identificador del producto" value={outgoingForm.lotIdentifier} onChange={e => handleOutgoingChange('lotIdentifier', e.target.value)} required />
+                                    <input type="text" id="out-lot" placeholder="Identificador del producto" value={outgoingForm.lotIdentifier} onChange={e => handleOutgoingChange('lotIdentifier', e.target.value)} readOnly={Boolean(outgoingForm.sourceType)} required />
                                 </div>
                                 <div className="form-group">
                                     <label htmlFor="out-date">Fecha / Destino</label>
@@ -321,9 +401,16 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
                                 {elaboratedForm.ingredients.map((ing, index) => (
                                      <div key={index} className="part-entry">
                                         <div className="part-entry-inputs" style={{gridTemplateColumns: 'repeat(auto-fill, minmax(120px, 1fr))'}}>
+                                            <div className="form-group">
+                                                <label>Lote Recibido</label>
+                                                <select value={ing.deliveryRecordId || ''} onChange={e => handleIngredientLotChange(index, e.target.value)}>
+                                                    <option value="">Introducir a mano</option>
+                                                    {receivedLots.map(lot => <option key={lot.recordId} value={lot.recordId}>{lotOptionLabel(lot)}</option>)}
+                                                </select>
+                                            </div>
                                             <div className="form-group"><label>Ingrediente</label><input type="text" value={ing.name} onChange={e => handleIngredientChange(index, 'name', e.target.value)} required placeholder="Ej: Carne picada"/></div>
-                                            <div className="form-group"><label>Proveedor</label><input type="text" value={ing.supplier} onChange={e => handleIngredientChange(index, 'supplier', e.target.value)} placeholder="Opcional"/></div>
-                                            <div className="form-group"><label>Lote</label><input type="text" value={ing.lot} onChange={e => handleIngredientChange(index, 'lot', e.target.value)} required placeholder="Lote ingrediente"/></div>
+                                            <div className="form-group"><label>Proveedor</label><input type="text" value={ing.supplier} onChange={e => handleIngredientChange(index, 'supplier', e.target.value)} readOnly={Boolean(ing.deliveryRecordId)} placeholder="Opcional"/></div>
+                                            <div className="form-group"><label>Lote</label><input type="text" value={ing.lot} onChange={e => handleIngredientChange(index, 'lot', e.target.value)} readOnly={Boolean(ing.deliveryRecordId)} required placeholder="Lote ingrediente"/></div>
                                             <div className="form-group"><label>Cantidad</label><input type="text" value={ing.quantity} onChange={e => handleIngredientChange(index, 'quantity', e.target.value)} required placeholder="Ej: 10 kg"/></div>
                                         </div>
                                         <button type="button" className="btn-delete" onClick={() => handleRemoveIngredient(index)} disabled={elaboratedForm.ingredients.length <= 1}>×</button>
@@ -355,9 +442,20 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
                 </div>
             </div>
 
+            {/* --- Genealogía de Lotes --- */}
+            <div className="card">
+                <h2>Genealogía de Lotes</h2>
+                <LotGenealogyView selectedLot={genealogyLot} onLoadGenealogy={onLoadLotGenealogy} />
+            </div>
+
             {/* --- Tabla Historial de Salidas --- */}
             <div className="card">
                 <h2>Historial de Salidas</h2>
+                <RecordSearchBar
+                    placeholder="Buscar por producto, lote o destino..."
+                    onSearch={onSearchOutgoing}
+                    onResults={setOutgoingSearchResults}
+                />
                 <div className="export-controls-container">
                      <h3>Exportar Registros de Salida</h3>
                      <div className="export-controls-row">
@@ -416,6 +514,7 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
                                                         <div className="detail-actions">
                                                             <strong>Acciones</strong>
                                                             <div>
+                                                                <button className="btn-secondary" onClick={() => setGenealogyLot(r.lotIdentifier)}>Ver Genealogía</button>
                                                                 <button className="btn-delete" onClick={() => handleDeleteOutgoing(r.id)}>Eliminar</button>
                                                             </div>
                                                         </div>
@@ -431,11 +530,19 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
                         </tbody>
                     </table>
                 </div>
+                {outgoingSearchResults === null && (
+                    <LoadMoreButton pagination={outgoingPagination} loadedCount={outgoingRecords.length} onLoadMore={onLoadMoreOutgoing} />
+                )}
             </div>
             
             {/* --- Tabla Historial de Elaborados --- */}
             <div className="card">
                 <h2>Historial de Productos Elaborados</h2>
+                <RecordSearchBar
+                    placeholder="Buscar por producto, lote, ingrediente o destino..."
+                    onSearch={onSearchElaborated}
+                    onResults={setElaboratedSearchResults}
+                />
                 <div className="export-controls-container">
                      <h3>Exportar Registros de Elaborados</h3>
                      <div className="export-controls-row">
@@ -491,7 +598,7 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
                                                         <div style={{gridColumn: '1 / -1'}}>
                                                             <strong>Ingredientes</strong>
                                                             <ul style={{paddingLeft: '20px', margin: '5px 0 0', fontSize: '14px'}}>
-                                                                {r.ingredients.map((ing, idx) => <li key={idx}><strong>{ing.quantity}</strong> de {ing.name} (Proveedor: {ing.supplier || 'N/A'}, Lote: {ing.lot})</li>)}
+                                                                {r.ingredients.map((ing, idx) => <li key={idx}><strong>{ing.quantity}</strong> de {ing.name} (Proveedor: {ing.supplier || 'N/A'}, Lote: {ing.lot}){ing.deliveryRecordId && <span className="part-meta-info"> · vinculado a recepción</span>}</li>)}
                                                             </ul>
                                                         </div>
                                                         <div><strong>Destino</strong><span>{r.destination}</span></div>
@@ -500,6 +607,7 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
                                                         <div className="detail-actions">
                                                             <strong>Acciones</strong>
                                                             <div>
+                                                                <button className="btn-secondary" onClick={() => setGenealogyLot(r.productLot)}>Ver Genealogía</button>
                                                                 <button className="btn-delete" onClick={() => handleDeleteElaborated(r.id)}>Eliminar</button>
                                                             </div>
                                                         </div>
@@ -515,6 +623,9 @@ export const TraceabilityPage: React.FC<TraceabilityPageProps> = ({
                         </tbody>
                     </table>
                 </div>
+                {elaboratedSearchResults === null && (
+                    <LoadMoreButton pagination={elaboratedPagination} loadedCount={elaboratedRecords.length} onLoadMore={onLoadMoreElaborated} />
+                )}
             </div>
         </>
     );
@@ -0,0 +1,592 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { exportToPDF, exportToExcel, downloadFile } from './exportUtils';
+import { getErrorMessage } from './services';
+import { WaterSamplingPoint, WaterSamplingPointFormData, WaterRecord, WaterRecordFormData, WaterAnalysis, WaterAnalysisFormData, WaterAnalysisType, WaterAnalysisResult, EstablishmentInfo } from './types';
+import {
+    DEFAULT_WATER_RANGES, WATER_ANALYSIS_TYPES, WATER_ANALYSIS_RESULTS, WATER_RECORD_HEADERS, WATER_ANALYSIS_HEADERS,
+    formatWaterRanges, formatOutOfRangeParameters, waterRecordToRow, waterAnalysisToRow
+} from './utils/waterUtils';
+import { CHEMICAL_DOCUMENT_ACCEPT } from './utils/chemicalProductUtils';
+
+
+interface WaterPageProps {
+    points: WaterSamplingPoint[];
+    records: WaterRecord[];
+    analyses: WaterAnalysis[];
+    onAddPoint: (data: WaterSamplingPointFormData) => Promise<void>;
+    onUpdatePoint: (id: string, data: WaterSamplingPointFormData) => Promise<void>;
+    onDeletePoint: (id: string) => Promise<void>;
+    onAddRecord: (data: WaterRecordFormData) => Promise<void>;
+    onDeleteRecord: (id: string) => Promise<void>;
+    onAddAnalysis: (data: WaterAnalysisFormData) => Promise<void>;
+    onUpdateAnalysis: (id: string, data: WaterAnalysisFormData) => Promise<void>;
+    onDeleteAnalysis: (id: string) => Promise<void>;
+    onUploadReport: (id: string, file: File) => Promise<void>;
+    onDownloadReport: (id: string) => Promise<{ blob: Blob; fileName: string }>;
+    onDeleteReport: (id: string) => Promise<void>;
+    establishmentInfo: EstablishmentInfo;
+}
+
+// Los límites y lecturas se editan como texto
+const EMPTY_POINT = { name: '', location: '', chlorineMin: String(DEFAULT_WATER_RANGES.chlorineMin), chlorineMax: String(DEFAULT_WATER_RANGES.chlorineMax), phMin: String(DEFAULT_WATER_RANGES.phMin), phMax: String(DEFAULT_WATER_RANGES.phMax) };
+const EMPTY_ANALYSIS: WaterAnalysisFormData = { pointId: null, sampleDate: new Date().toISOString().slice(0, 10), laboratory: '', analysisType: 'Control', result: 'Apto', notes: '' };
+
+
+const WaterPage: React.FC<WaterPageProps> = ({ points, records, analyses, onAddPoint, onUpdatePoint, onDeletePoint, onAddRecord, onDeleteRecord, onAddAnalysis, onUpdateAnalysis, onDeleteAnalysis, onUploadReport, onDownloadReport, onDeleteReport, establishmentInfo }) => {
+    // Collapsible sections state
+    const [isRecordFormOpen, setIsRecordFormOpen] = useState(true);
+    const [isPointManagementOpen, setIsPointManagementOpen] = useState(false);
+    const [isAnalysesOpen, setIsAnalysesOpen] = useState(false);
+    const [expandedRecordId, setExpandedRecordId] = useState<string | null>(null);
+
+    // Form state for sampling points
+    const [pointForm, setPointForm] = useState(EMPTY_POINT);
+    const [editingPointId, setEditingPointId] = useState<string | null>(null);
+
+    // Form state for new record
+    const [recordPoint, setRecordPoint] = useState<string>(points.length > 0 ? points[0].id : '');
+    const [recordDateTime, setRecordDateTime] = useState(new Date().toISOString().slice(0, 16));
+    const [recordChlorine, setRecordChlorine] = useState('');
+    const [recordPh, setRecordPh] = useState('');
+    const [recordNotes, setRecordNotes] = useState('');
+
+    // Form state for lab analyses
+    const [analysisForm, setAnalysisForm] = useState<WaterAnalysisFormData>(EMPTY_ANALYSIS);
+    const [editingAnalysisId, setEditingAnalysisId] = useState<string | null>(null);
+    const reportInputRef = useRef<HTMLInputElement>(null);
+    const [reportAnalysisId, setReportAnalysisId] = useState<string | null>(null);
+    const [isUploading, setIsUploading] = useState(false);
+
+    // State for filtering
+    const [startDate, setStartDate] = useState('');
+    const [endDate, setEndDate] = useState('');
+
+    // Derived data for display
+    const pointsMap = useMemo(() => new Map(points.map(p => [p.id, p])), [points]);
+    // El punto elegido puede haberse eliminado
+    const selectedPointId = pointsMap.has(recordPoint) ? recordPoint : points[0]?.id || '';
+    const selectedPoint = pointsMap.get(selectedPointId);
+
+    const filteredRecords = useMemo(() => {
+        return records.filter(record => {
+            if (!startDate && !endDate) return true;
+            const recordDate = new Date(record.dateTime);
+            if (startDate && new Date(startDate) > recordDate) return false;
+            if (endDate && new Date(endDate).setHours(23, 59, 59, 999) < recordDate.getTime()) return false;
+            return true;
+        }).sort((a, b) => new Date(b.dateTime).getTime() - new Date(a.dateTime).getTime());
+    }, [records, startDate, endDate]);
+
+    // La fecha de muestra es un día sin hora
+    const filteredAnalyses = useMemo(() => {
+        return analyses.filter(analysis => {
+            const sampleDate = analysis.sampleDate.slice(0, 10);
+            if (startDate && sampleDate < startDate) return false;
+            if (endDate && sampleDate > endDate) return false;
+            return true;
+        }).sort((a, b) => new Date(b.sampleDate).getTime() - new Date(a.sampleDate).getTime());
+    }, [analyses, startDate, endDate]);
+
+    const outOfRangeCount = filteredRecords.filter(record => record.isOutOfRange).length;
+
+    // Ejecuta una operación del servidor mostrando su mensaje de error si la rechaza
+    const runAction = async (operation: () => Promise<void>, errorMessage: string) => {
+        try {
+            await operation();
+            return true;
+        } catch (error) {
+            alert(`${errorMessage}\n${getErrorMessage(error)}`);
+            return false;
+        }
+    };
+
+
+    // Handlers: Puntos de muestreo
+    const resetPointForm = () => {
+        setPointForm(EMPTY_POINT);
+        setEditingPointId(null);
+    };
+
+    const handleSubmitPoint = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!pointForm.name.trim()) {
+            alert('El nombre del punto de muestreo no puede estar vacío.');
+            return;
+        }
+        const data: WaterSamplingPointFormData = {
+            name: pointForm.name.trim(),
+            location: pointForm.location.trim(),
+            chlorineMin: parseFloat(pointForm.chlorineMin),
+            chlorineMax: parseFloat(pointForm.chlorineMax),
+            phMin: parseFloat(pointForm.phMin),
+            phMax: parseFloat(pointForm.phMax)
+        };
+        if ([data.chlorineMin, data.chlorineMax, data.phMin, data.phMax].some(isNaN)) {
+            alert('Indique los rangos aceptables de cloro libre y pH.');
+            return;
+        }
+        const saved = await runAction(
+            () => editingPointId ? onUpdatePoint(editingPointId, data) : onAddPoint(data),
+            'No se pudo guardar el punto de muestreo.'
+        );
+        if (saved) resetPointForm();
+    };
+
+    const handleEditPoint = (point: WaterSamplingPoint) => {
+        setPointForm({
+            name: point.name,
+            location: point.location || '',
+            chlorineMin: String(point.chlorineMin),
+            chlorineMax: String(point.chlorineMax),
+            phMin: String(point.phMin),
+            phMax: String(point.phMax)
+        });
+        setEditingPointId(point.id);
+    };
+
+    const handleDeletePoint = (point: WaterSamplingPoint) => {
+        if (window.confirm(`¿Eliminar el punto "${point.name}"? También se eliminarán todas sus lecturas.`)) {
+            runAction(() => onDeletePoint(point.id), 'No se pudo eliminar el punto de muestreo.');
+        }
+    };
+
+
+    // Handlers: Lecturas
+    const handleAddRecord = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!selectedPointId || !recordChlorine.trim() || !recordPh.trim()) {
+            alert('Por favor, complete todos los campos del registro.');
+            return;
+        }
+        const saved = await runAction(() => onAddRecord({
+            pointId: selectedPointId,
+            dateTime: new Date(recordDateTime).toISOString(),
+            freeChlorine: parseFloat(recordChlorine),
+            ph: parseFloat(recordPh),
+            notes: recordNotes.trim()
+        }), 'No se pudo guardar la lectura.');
+
+        if (saved) {
+            setRecordChlorine('');
+            setRecordPh('');
+            setRecordNotes('');
+            setRecordDateTime(new Date().toISOString().slice(0, 16));
+        }
+    };
+
+    const handleDeleteRecord = (recordId: string) => {
+        if (window.confirm('¿Está seguro de que desea eliminar esta lectura?')) {
+            runAction(() => onDeleteRecord(recordId), 'No se pudo eliminar la lectura.');
+        }
+    };
+
+
+    // Handlers: Análisis de laboratorio
+    const setAnalysisField = <K extends keyof WaterAnalysisFormData>(field: K, value: WaterAnalysisFormData[K]) =>
+        setAnalysisForm({ ...analysisForm, [field]: value });
+
+    const resetAnalysisForm = () => {
+        setAnalysisForm({ ...EMPTY_ANALYSIS, sampleDate: new Date().toISOString().slice(0, 10) });
+        setEditingAnalysisId(null);
+    };
+
+    const handleSubmitAnalysis = async (e: React.FormEvent) => {
+        e.preventDefault();
+        if (!analysisForm.laboratory.trim()) {
+            alert('Indique el laboratorio que realizó el análisis.');
+            return;
+        }
+        const data = { ...analysisForm, laboratory: analysisForm.laboratory.trim(), notes: analysisForm.notes.trim() };
+        const saved = await runAction(
+            () => editingAnalysisId ? onUpdateAnalysis(editingAnalysisId, data) : onAddAnalysis(data),
+            'No se pudo guardar el análisis.'
+        );
+        if (saved) resetAnalysisForm();
+    };
+
+    const handleEditAnalysis = (analysis: WaterAnalysis) => {
+        setAnalysisForm({
+            pointId: analysis.pointId,
+            sampleDate: analysis.sampleDate.slice(0, 10),
+            laboratory: analysis.laboratory,
+            analysisType: analysis.analysisType,
+            result: analysis.result,
+            notes: analysis.notes || ''
+        });
+        setEditingAnalysisId(analysis.id);
+        setIsAnalysesOpen(true);
+    };
+
+    const handleDeleteAnalysis = (analysis: WaterAnalysis) => {
+        if (window.confirm('¿Eliminar este análisis y su informe?')) {
+            runAction(() => onDeleteAnalysis(analysis.id), 'No se pudo eliminar el análisis.');
+        }
+    };
+
+    const handleUploadClick = (analysisId: string) => {
+        setReportAnalysisId(analysisId);
+        reportInputRef.current?.click();
+    };
+
+    const handleUploadFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !reportAnalysisId) return;
+
+        setIsUploading(true);
+        await runAction(() => onUploadReport(reportAnalysisId, file), 'No se pudo adjuntar el informe.');
+        setIsUploading(false);
+    };
+
+    // Se guarda con el nombre original (la cabecera de descarga solo lo trae en ASCII)
+    const handleDownloadReport = (analysis: WaterAnalysis) => {
+        runAction(async () => {
+            const file = await onDownloadReport(analysis.id);
+            downloadFile(file.blob, analysis.report?.fileName || file.fileName);
+        }, 'No se pudo descargar el informe.');
+    };
+
+    const handleDeleteReport = (analysis: WaterAnalysis) => {
+        if (window.confirm('¿Eliminar el informe de este análisis?')) {
+            runAction(() => onDeleteReport(analysis.id), 'No se pudo eliminar el informe.');
+        }
+    };
+
+
+    // Handlers: Exportación
+    const handleExportPDF = () => {
+        const data = filteredRecords.map(r => waterRecordToRow(r, pointsMap));
+        exportToPDF("Historial de Control del Agua", WATER_RECORD_HEADERS, data, "historial_control_agua", establishmentInfo, [{
+            title: 'Análisis de laboratorio',
+            headers: WATER_ANALYSIS_HEADERS,
+            data: filteredAnalyses.map(analysis => waterAnalysisToRow(analysis, pointsMap))
+        }]);
+    };
+
+    const handleExportExcel = () => {
+        const data = filteredRecords.map(r => {
+            const row = waterRecordToRow(r, pointsMap);
+            return Object.fromEntries(WATER_RECORD_HEADERS.map((header, i) => [header, row[i]]));
+        });
+        exportToExcel(data, "historial_control_agua");
+    };
+
+
+    return (
+        <>
+            <div className="page-header-with-org">
+                <h1>Control del Agua</h1>
+                <div className="org-context">
+                    <span className="org-label">Organización:</span>
+                    <span className="org-name">{establishmentInfo.name || 'Mi Organización'}</span>
+                </div>
+            </div>
+            <div className="storage-grid">
+                <div className="card">
+                    <h2
+                        className="collapsible-header"
+                        onClick={() => setIsRecordFormOpen(!isRecordFormOpen)}
+                        role="button"
+                        aria-expanded={isRecordFormOpen}
+                    >
+                        Registrar Lectura
+                        <span className={`chevron ${isRecordFormOpen ? 'open' : ''}`}>&#9660;</span>
+                    </h2>
+                    <div className={`collapsible-content ${isRecordFormOpen ? 'open' : ''}`}>
+                        <div className="collapsible-content-inner">
+                            <form onSubmit={handleAddRecord}>
+                                <div className="form-group">
+                                    <label htmlFor="water-record-point">Punto de muestreo</label>
+                                    <select id="water-record-point" value={selectedPointId} onChange={e => setRecordPoint(e.target.value)} required disabled={points.length === 0}>
+                                        {points.length === 0 ? <option>Cree un punto de muestreo primero</option> : points.map(point => <option key={point.id} value={point.id}>{point.name}</option>)}
+                                    </select>
+                                    {selectedPoint && <span className="unit-type">Rango aceptable: {formatWaterRanges(selectedPoint)}</span>}
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="water-record-datetime">Fecha y Hora</label>
+                                    <input type="datetime-local" id="water-record-datetime" value={recordDateTime} onChange={e => setRecordDateTime(e.target.value)} required />
+                                </div>
+                                <div className="costing-form-grid">
+                                    <div className="form-group">
+                                        <label htmlFor="water-record-chlorine">Cloro libre residual (mg/L)</label>
+                                        <input type="number" step="0.01" min="0" id="water-record-chlorine" value={recordChlorine} onChange={e => setRecordChlorine(e.target.value)} placeholder="Ej: 0.5" required />
+                                    </div>
+                                    <div className="form-group">
+                                        <label htmlFor="water-record-ph">pH</label>
+                                        <input type="number" step="0.1" min="0" max="14" id="water-record-ph" value={recordPh} onChange={e => setRecordPh(e.target.value)} placeholder="Ej: 7.4" required />
+                                    </div>
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="water-record-notes">Observaciones / medidas adoptadas</label>
+                                    <input type="text" id="water-record-notes" value={recordNotes} onChange={e => setRecordNotes(e.target.value)} placeholder="Ej: Se revisa el dosificador de cloro" />
+                                </div>
+                                <button type="submit" className="btn-submit" disabled={points.length === 0}>
+                                    Guardar Lectura
+                                </button>
+                            </form>
+                        </div>
+                    </div>
+                </div>
+                <div className="card">
+                    <h2
+                        className="collapsible-header"
+                        onClick={() => setIsPointManagementOpen(!isPointManagementOpen)}
+                        role="button"
+                        aria-expanded={isPointManagementOpen}
+                    >
+                        Gestionar Puntos de Muestreo
+                        <span className={`chevron ${isPointManagementOpen ? 'open' : ''}`}>&#9660;</span>
+                    </h2>
+                    <div className={`collapsible-content ${isPointManagementOpen ? 'open' : ''}`}>
+                        <div className="collapsible-content-inner">
+                            <form onSubmit={handleSubmitPoint}>
+                                <div className="form-group">
+                                    <label htmlFor="water-point-name">{editingPointId ? 'Editar punto de muestreo' : 'Nombre del punto'}</label>
+                                    <input type="text" id="water-point-name" value={pointForm.name} onChange={e => setPointForm({ ...pointForm, name: e.target.value })} placeholder="Ej: Grifo de cocina" required />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="water-point-location">Ubicación</label>
+                                    <input type="text" id="water-point-location" value={pointForm.location} onChange={e => setPointForm({ ...pointForm, location: e.target.value })} placeholder="Ej: Salida del depósito" />
+                                </div>
+                                <div className="costing-form-grid">
+                                    <div className="form-group">
+                                        <label htmlFor="water-point-chlorine-min">Cloro libre mínimo (mg/L)</label>
+                                        <input type="number" step="0.01" min="0" id="water-point-chlorine-min" value={pointForm.chlorineMin} onChange={e => setPointForm({ ...pointForm, chlorineMin: e.target.value })} required />
+                                    </div>
+                                    <div className="form-group">
+                                        <label htmlFor="water-point-chlorine-max">Cloro libre máximo (mg/L)</label>
+                                        <input type="number" step="0.01" min="0" id="water-point-chlorine-max" value={pointForm.chlorineMax} onChange={e => setPointForm({ ...pointForm, chlorineMax: e.target.value })} required />
+                                    </div>
+                                    <div className="form-group">
+                                        <label htmlFor="water-point-ph-min">pH mínimo</label>
+                                        <input type="number" step="0.1" min="0" max="14" id="water-point-ph-min" value={pointForm.phMin} onChange={e => setPointForm({ ...pointForm, phMin: e.target.value })} required />
+                                    </div>
+                                    <div className="form-group">
+                                        <label htmlFor="water-point-ph-max">pH máximo</label>
+                                        <input type="number" step="0.1" min="0" max="14" id="water-point-ph-max" value={pointForm.phMax} onChange={e => setPointForm({ ...pointForm, phMax: e.target.value })} required />
+                                    </div>
+                                </div>
+                                <button type="submit" className="btn-submit">{editingPointId ? 'Guardar cambios' : 'Añadir Punto'}</button>
+                                {editingPointId && <button type="button" className="btn-delete" style={{marginTop: '10px'}} onClick={resetPointForm}>Cancelar</button>}
+                            </form>
+                            <div className="units-list">
+                                <h3>Puntos Existentes</h3>
+                                {points.length > 0 ? (
+                                    points.map(point => (
+                                    <div key={point.id} className="units-list-item">
+                                        <div>
+                                            <span>{point.name}</span>
+                                            {point.location && <span className="unit-type">{point.location}</span>}
+                                            <span className="unit-type">{formatWaterRanges(point)}</span>
+                                        </div>
+                                        <div className="logger-actions">
+                                            <button className="btn-view-photo" onClick={() => handleEditPoint(point)}>Editar</button>
+                                            <button className="btn-delete" onClick={() => handleDeletePoint(point)}>Eliminar</button>
+                                        </div>
+                                    </div>
+                                    ))
+                                ) : <p>No hay puntos de muestreo registrados.</p>}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <div className="card" style={{marginBottom: '30px'}}>
+                <h2
+                    className="collapsible-header"
+                    onClick={() => setIsAnalysesOpen(!isAnalysesOpen)}
+                    role="button"
+                    aria-expanded={isAnalysesOpen}
+                >
+                    Análisis de Laboratorio ({analyses.length})
+                    <span className={`chevron ${isAnalysesOpen ? 'open' : ''}`}>&#9660;</span>
+                </h2>
+                <div className={`collapsible-content ${isAnalysesOpen ? 'open' : ''}`}>
+                    <div className="collapsible-content-inner">
+                        <form onSubmit={handleSubmitAnalysis}>
+                            <div className="costing-form-grid">
+                                <div className="form-group">
+                                    <label htmlFor="water-analysis-date">Fecha de toma de muestra</label>
+                                    <input type="date" id="water-analysis-date" value={analysisForm.sampleDate} onChange={e => setAnalysisField('sampleDate', e.target.value)} required />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="water-analysis-laboratory">Laboratorio</label>
+                                    <input type="text" id="water-analysis-laboratory" value={analysisForm.laboratory} onChange={e => setAnalysisField('laboratory', e.target.value)} placeholder="Ej: Laboratorio Aguas del Sur" required />
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="water-analysis-point">Punto de muestreo</label>
+                                    <select id="water-analysis-point" value={analysisForm.pointId || ''} onChange={e => setAnalysisField('pointId', e.target.value || null)}>
+                                        <option value="">Toda la red</option>
+                                        {points.map(point => <option key={point.id} value={point.id}>{point.name}</option>)}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="water-analysis-type">Tipo de análisis</label>
+                                    <select id="water-analysis-type" value={analysisForm.analysisType} onChange={e => setAnalysisField('analysisType', e.target.value as WaterAnalysisType)}>
+                                        {WATER_ANALYSIS_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label htmlFor="water-analysis-result">Resultado</label>
+                                    <select id="water-analysis-result" value={analysisForm.result} onChange={e => setAnalysisField('result', e.target.value as WaterAnalysisResult)}>
+                                        {WATER_ANALYSIS_RESULTS.map(result => <option key={result} value={result}>{result}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+                            <div className="form-group">
+                                <label htmlFor="water-analysis-notes">Observaciones</label>
+                                <textarea id="water-analysis-notes" rows={2} value={analysisForm.notes} onChange={e => setAnalysisField('notes', e.target.value)} />
+                            </div>
+                            <button type="submit" className="btn-submit">{editingAnalysisId ? 'Guardar cambios' : 'Registrar Análisis'}</button>
+                            {editingAnalysisId && <button type="button" className="btn-delete" style={{marginTop: '10px'}} onClick={resetAnalysisForm}>Cancelar</button>}
+                        </form>
+
+                        <input type="file" accept={CHEMICAL_DOCUMENT_ACCEPT} ref={reportInputRef} onChange={handleUploadFile} style={{ display: 'none' }} />
+                        {filteredAnalyses.length > 0 ? (
+                            <div style={{overflowX: 'auto', marginTop: '20px'}}>
+                                <table className="user-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Fecha de muestra</th>
+                                            <th>Punto</th>
+                                            <th>Laboratorio</th>
+                                            <th>Resultado</th>
+                                            <th>Informe</th>
+                                            <th>Acciones</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {filteredAnalyses.map(analysis => (
+                                            <tr key={analysis.id}>
+                                                <td data-label="Fecha de muestra">{new Date(analysis.sampleDate).toLocaleDateString('es-ES', { timeZone: 'UTC' })}</td>
+                                                <td data-label="Punto">{analysis.pointId ? pointsMap.get(analysis.pointId)?.name || 'N/A' : 'Toda la red'}</td>
+                                                <td data-label="Laboratorio">
+                                                    {analysis.laboratory}
+                                                    <span className="unit-type">{analysis.analysisType}</span>
+                                                </td>
+                                                <td data-label="Resultado" title={analysis.notes || undefined}>
+                                                    <span className={`incident-badge ${analysis.result === 'Apto' ? 'status-resolved' : 'status-open'}`}>{analysis.result}</span>
+                                                </td>
+                                                <td data-label="Informe">
+                                                    <div className="logger-actions">
+                                                        {analysis.report && <button className="btn-view-photo" onClick={() => handleDownloadReport(analysis)} title={analysis.report.fileName}>Ver</button>}
+                                                        <button className="btn-view-photo" onClick={() => handleUploadClick(analysis.id)} disabled={isUploading}>
+                                                            {isUploading && reportAnalysisId === analysis.id ? 'Subiendo...' : analysis.report ? 'Sustituir' : 'Adjuntar'}
+                                                        </button>
+                                                        {analysis.report && <button className="btn-delete" onClick={() => handleDeleteReport(analysis)}>Quitar</button>}
+                                                    </div>
+                                                </td>
+                                                <td data-label="Acciones">
+                                                    <div className="logger-actions">
+                                                        <button className="btn-view-photo" onClick={() => handleEditAnalysis(analysis)}>Editar</button>
+                                                        <button className="btn-delete" onClick={() => handleDeleteAnalysis(analysis)}>Eliminar</button>
+                                                    </div>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        ) : <p>No hay análisis para el rango de fechas seleccionado.</p>}
+                    </div>
+                </div>
+            </div>
+            <div className="card">
+                <h2>Historial de Lecturas</h2>
+                <div className="export-controls-container">
+                     <h3>Exportar Registros</h3>
+                     <div className="export-controls-row">
+                        <div className="form-group">
+                            <label htmlFor="start-date-water">Fecha de Inicio</label>
+                            <input type="date" id="start-date-water" value={startDate} onChange={e => setStartDate(e.target.value)} />
+                        </div>
+                         <div className="form-group">
+                            <label htmlFor="end-date-water">Fecha de Fin</label>
+                            <input type="date" id="end-date-water" value={endDate} onChange={e => setEndDate(e.target.value)} />
+                        </div>
+                        <div className="export-buttons">
+                            <button className="btn-export btn-pdf" onClick={handleExportPDF} disabled={filteredRecords.length === 0 && filteredAnalyses.length === 0}>
+                                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+                                PDF
+                            </button>
+                            <button className="btn-export btn-excel" onClick={handleExportExcel} disabled={filteredRecords.length === 0}>
+                               <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+                                Excel
+                            </button>
+                        </div>
+                     </div>
+                </div>
+                {outOfRangeCount > 0 && (
+                    <p className="out-of-range-summary">{outOfRangeCount} lectura(s) fuera del rango aceptable en el periodo seleccionado.</p>
+                )}
+                {filteredRecords.length > 0 ? (
+                    <div style={{overflowX: 'auto'}}>
+                        <table className="user-table">
+                            <thead>
+                                <tr>
+                                    <th>Fecha y Hora</th>
+                                    <th>Punto de muestreo</th>
+                                    <th>Detalles</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {filteredRecords.map(record => {
+                                    const isExpanded = expandedRecordId === record.id;
+                                    const pointName = pointsMap.get(record.pointId)?.name || 'N/A';
+                                    const formattedDate = new Date(record.dateTime).toLocaleString('es-ES', { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+                                    const isParameterOut = (parameter: WaterRecord['outOfRangeParameters'][number]) =>
+                                        record.outOfRangeParameters.includes(parameter) ? 'danger' : '';
+
+                                    return (
+                                        <React.Fragment key={record.id}>
+                                            <tr
+                                                className="summary-row"
+                                                onClick={() => setExpandedRecordId(isExpanded ? null : record.id)}
+                                                aria-expanded={isExpanded}
+                                            >
+                                                <td data-label="Fecha y Hora">{formattedDate}</td>
+                                                <td data-label="Punto de muestreo" className={record.isOutOfRange ? 'danger' : ''}>
+                                                    {pointName}
+                                                    {record.isOutOfRange && <span className="incident-badge status-open">{formatOutOfRangeParameters(record)} fuera de rango</span>}
+                                                </td>
+                                                <td data-label="Detalles" className="expand-cell">
+                                                     <span className="expand-indicator">{isExpanded ? 'Ocultar' : 'Ver'}</span>
+                                                     <span className={`chevron ${isExpanded ? 'open' : ''}`}>&#9660;</span>
+                                                </td>
+                                            </tr>
+                                            {isExpanded && (
+                                                 <tr className="detail-row">
+                                                    <td colSpan={3}>
+                                                        <div className="record-details">
+                                                            <div><strong>Cloro libre</strong><span className={isParameterOut('freeChlorine')}>{record.freeChlorine} mg/L</span></div>
+                                                            <div><strong>pH</strong><span className={isParameterOut('ph')}>{record.ph}</span></div>
+                                                            {record.notes && <div><strong>Observaciones</strong><span>{record.notes}</span></div>}
+                                                            <div><strong>Usuario</strong><span>{record.registeredBy || 'N/A'}</span></div>
+                                                            <div className="detail-actions">
+                                                                <strong>Acciones</strong>
+                                                                <div>
+                                                                    <button
+                                                                        className="btn-delete"
+                                                                        onClick={() => handleDeleteRecord(record.id)}
+                                                                        aria-label={`Eliminar lectura de ${pointName}`}>
+                                                                        Eliminar
+                                                                    </button>
+                                                                </div>
+                                                            </div>
+                                                        </div>
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </React.Fragment>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : <p>No hay lecturas para el rango de fechas seleccionado.</p>}
+            </div>
+        </>
+    );
+};
+
+export default WaterPage;
@@ -0,0 +1,224 @@
+import React, { useRef, useState } from 'react';
+import { getErrorMessage } from '../services';
+import { exportToPDF, downloadFile } from '../exportUtils';
+import { ChemicalDocumentKind, ChemicalProduct, ChemicalProductFormData, ChemicalUse, EstablishmentInfo } from '../types';
+import {
+  CHEMICAL_USES, CHEMICAL_DOCUMENT_KINDS, CHEMICAL_DOCUMENT_LABELS, CHEMICAL_DOCUMENT_ACCEPT, CHEMICAL_PRODUCT_HEADERS, chemicalProductsToRows
+} from '../utils/chemicalProductUtils';
+
+interface ChemicalProductsPanelProps {
+  products: ChemicalProduct[];
+  establishmentInfo: EstablishmentInfo;
+  onAdd: (data: ChemicalProductFormData) => Promise<void>;
+  onUpdate: (id: string, data: ChemicalProductFormData) => Promise<void>;
+  onDelete: (id: string) => Promise<void>;
+  onUploadDocument: (id: string, kind: ChemicalDocumentKind, file: File) => Promise<void>;
+  onDownloadDocument: (id: string, kind: ChemicalDocumentKind) => Promise<{ blob: Blob; fileName: string }>;
+  onDeleteDocument: (id: string, kind: ChemicalDocumentKind) => Promise<void>;
+}
+
+const EMPTY_FORM: ChemicalProductFormData = { name: '', manufacturer: '', use: 'Detergente', dilution: '', foodContactAuthorized: false };
+
+// Registro de productos químicos de limpieza con su ficha de seguridad y ficha técnica
+const ChemicalProductsPanel: React.FC<ChemicalProductsPanelProps> = ({
+  products, establishmentInfo, onAdd, onUpdate, onDelete, onUploadDocument, onDownloadDocument, onDeleteDocument
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [form, setForm] = useState<ChemicalProductFormData>(EMPTY_FORM);
+  const [editingId, setEditingId] = useState<string | null>(null);
+
+  const uploadInputRef = useRef<HTMLInputElement>(null);
+  const [uploadTarget, setUploadTarget] = useState<{ id: string; kind: ChemicalDocumentKind } | null>(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const setField = <K extends keyof ChemicalProductFormData>(field: K, value: ChemicalProductFormData[K]) =>
+    setForm({ ...form, [field]: value });
+
+  const runAction = async <T,>(action: () => Promise<T>, errorMessage: string): Promise<T | null> => {
+    try {
+      return await action();
+    } catch (error) {
+      alert(`${errorMessage}\n${getErrorMessage(error)}`);
+      return null;
+    }
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      alert('El nombre del producto no puede estar vacío.');
+      return;
+    }
+    const data = { ...form, name: form.name.trim(), manufacturer: form.manufacturer.trim(), dilution: form.dilution.trim() };
+    const saved = await runAction(
+      async () => { await (editingId ? onUpdate(editingId, data) : onAdd(data)); return true; },
+      'No se pudo guardar el producto.'
+    );
+    if (saved) resetForm();
+  };
+
+  const handleEdit = (product: ChemicalProduct) => {
+    setForm({
+      name: product.name,
+      manufacturer: product.manufacturer || '',
+      use: product.use,
+      dilution: product.dilution || '',
+      foodContactAuthorized: product.foodContactAuthorized
+    });
+    setEditingId(product.id);
+    setIsOpen(true);
+  };
+
+  const handleDelete = (product: ChemicalProduct) => {
+    if (window.confirm(`¿Eliminar el producto "${product.name}" y sus fichas? Los registros de limpieza que lo usaron se conservarán.`)) {
+      runAction(() => onDelete(product.id), 'No se pudo eliminar el producto.');
+    }
+  };
+
+  const handleUploadClick = (id: string, kind: ChemicalDocumentKind) => {
+    setUploadTarget({ id, kind });
+    uploadInputRef.current?.click();
+  };
+
+  const handleUploadFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !uploadTarget) return;
+
+    setIsUploading(true);
+    await runAction(() => onUploadDocument(uploadTarget.id, uploadTarget.kind, file), 'No se pudo adjuntar el documento.');
+    setIsUploading(false);
+  };
+
+  // Se guarda con el nombre original (la cabecera de descarga solo lo trae en ASCII)
+  const handleDownload = async (product: ChemicalProduct, kind: ChemicalDocumentKind) => {
+    const file = await runAction(() => onDownloadDocument(product.id, kind), 'No se pudo descargar el documento.');
+    if (file) downloadFile(file.blob, product[kind]?.fileName || file.fileName);
+  };
+
+  const handleDeleteDocument = (product: ChemicalProduct, kind: ChemicalDocumentKind) => {
+    if (window.confirm(`¿Eliminar la ${CHEMICAL_DOCUMENT_LABELS[kind].toLowerCase()} de "${product.name}"?`)) {
+      runAction(() => onDeleteDocument(product.id, kind), 'No se pudo eliminar el documento.');
+    }
+  };
+
+  const handleExportAnnex = () => {
+    exportToPDF("Anexo: Productos Químicos de Limpieza", CHEMICAL_PRODUCT_HEADERS, chemicalProductsToRows(products), "anexo_productos_quimicos", establishmentInfo);
+  };
+
+  return (
+    <div className="card chemical-products">
+      <h2
+        className="collapsible-header"
+        onClick={() => setIsOpen(!isOpen)}
+        role="button"
+        aria-expanded={isOpen}
+      >
+        Productos Químicos
+        <span className={`chevron ${isOpen ? 'open' : ''}`}>&#9660;</span>
+      </h2>
+      <div className={`collapsible-content ${isOpen ? 'open' : ''}`}>
+        <div className="collapsible-content-inner">
+          <form onSubmit={handleSubmit}>
+            <div className="costing-form-grid">
+              <div className="form-group">
+                <label htmlFor="chemical-name">{editingId ? 'Editar producto' : 'Nombre del producto'}</label>
+                <input type="text" id="chemical-name" value={form.name} onChange={e => setField('name', e.target.value)} placeholder="Ej: Desinfectante clorado" required />
+              </div>
+              <div className="form-group">
+                <label htmlFor="chemical-manufacturer">Fabricante</label>
+                <input type="text" id="chemical-manufacturer" value={form.manufacturer} onChange={e => setField('manufacturer', e.target.value)} />
+              </div>
+              <div className="form-group">
+                <label htmlFor="chemical-use">Uso</label>
+                <select id="chemical-use" value={form.use} onChange={e => setField('use', e.target.value as ChemicalUse)}>
+                  {CHEMICAL_USES.map(use => <option key={use} value={use}>{use}</option>)}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="chemical-dilution">Dilución</label>
+                <input type="text" id="chemical-dilution" value={form.dilution} onChange={e => setField('dilution', e.target.value)} placeholder="Ej: 20 ml/L" />
+              </div>
+            </div>
+            <div className="form-group-checkbox">
+              <input type="checkbox" id="chemical-food-contact" checked={form.foodContactAuthorized} onChange={e => setField('foodContactAuthorized', e.target.checked)} />
+              <label htmlFor="chemical-food-contact">Autorizado para superficies en contacto con alimentos</label>
+            </div>
+            <button type="submit" className="btn-submit">{editingId ? 'Guardar cambios' : 'Añadir Producto'}</button>
+            {editingId && <button type="button" className="btn-delete" style={{marginTop: '10px'}} onClick={resetForm}>Cancelar</button>}
+          </form>
+
+          <div className="export-buttons" style={{margin: '20px 0 15px'}}>
+            <button className="btn-export btn-pdf" onClick={handleExportAnnex} disabled={products.length === 0}>
+              <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+              Anexo PDF
+            </button>
+          </div>
+
+          <input type="file" accept={CHEMICAL_DOCUMENT_ACCEPT} ref={uploadInputRef} onChange={handleUploadFile} style={{ display: 'none' }} />
+          {products.length > 0 ? (
+            <div style={{overflowX: 'auto'}}>
+              <table className="user-table">
+                <thead>
+                  <tr>
+                    <th>Producto</th>
+                    <th>Uso</th>
+                    <th>Dilución</th>
+                    <th>Contacto alimentario</th>
+                    {CHEMICAL_DOCUMENT_KINDS.map(kind => <th key={kind}>{CHEMICAL_DOCUMENT_LABELS[kind]}</th>)}
+                    <th>Acciones</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {products.map(product => (
+                    <tr key={product.id}>
+                      <td data-label="Producto">
+                        {product.name}
+                        {product.manufacturer && <span className="unit-type">{product.manufacturer}</span>}
+                      </td>
+                      <td data-label="Uso">{product.use}</td>
+                      <td data-label="Dilución">{product.dilution || '-'}</td>
+                      <td data-label="Contacto alimentario">
+                        <span className={`incident-badge ${product.foodContactAuthorized ? 'status-resolved' : 'status-open'}`}>
+                          {product.foodContactAuthorized ? 'Autorizado' : 'No autorizado'}
+                        </span>
+                      </td>
+                      {CHEMICAL_DOCUMENT_KINDS.map(kind => {
+                        const document = product[kind];
+                        const isUploadingThis = isUploading && uploadTarget?.id === product.id && uploadTarget.kind === kind;
+                        return (
+                          <td key={kind} data-label={CHEMICAL_DOCUMENT_LABELS[kind]}>
+                            <div className="logger-actions">
+                              {document && <button className="btn-view-photo" onClick={() => handleDownload(product, kind)} title={document.fileName}>Ver</button>}
+                              <button className="btn-view-photo" onClick={() => handleUploadClick(product.id, kind)} disabled={isUploading}>
+                                {isUploadingThis ? 'Subiendo...' : document ? 'Sustituir' : 'Adjuntar'}
+                              </button>
+                              {document && <button className="btn-delete" onClick={() => handleDeleteDocument(product, kind)}>Quitar</button>}
+                            </div>
+                          </td>
+                        );
+                      })}
+                      <td data-label="Acciones">
+                        <div className="logger-actions">
+                          <button className="btn-view-photo" onClick={() => handleEdit(product)}>Editar</button>
+                          <button className="btn-delete" onClick={() => handleDelete(product)}>Eliminar</button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : <p>No hay productos registrados.</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChemicalProductsPanel;
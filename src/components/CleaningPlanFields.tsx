@@ -0,0 +1,76 @@
+import React from 'react';
+import { AreaFrequencyType, CleaningPlanFormData, SurfaceFrequencyType } from '../types';
+import { WEEKDAY_OPTIONS } from '../utils/cleaningPlanUtils';
+
+interface CleaningPlanFieldsProps {
+  idPrefix: string;
+  value: CleaningPlanFormData;
+  frequencyTypes: (SurfaceFrequencyType | AreaFrequencyType)[];
+  // Nombres del registro de productos químicos que se sugieren al escribir el producto
+  productSuggestions?: string[];
+  onChange: (value: CleaningPlanFormData) => void;
+}
+
+// Campos del Plan L+D (frecuencia, método, producto, dilución, tiempo de contacto y responsable)
+// comunes a los formularios de superficies y zonas
+const CleaningPlanFields: React.FC<CleaningPlanFieldsProps> = ({ idPrefix, value, frequencyTypes, productSuggestions = [], onChange }) => {
+  const setField = <K extends keyof CleaningPlanFormData>(field: K, fieldValue: CleaningPlanFormData[K]) =>
+    onChange({ ...value, [field]: fieldValue });
+
+  const toggleWeekday = (day: number) => setField(
+    'weekdays',
+    value.weekdays.includes(day) ? value.weekdays.filter(d => d !== day) : [...value.weekdays, day]
+  );
+
+  return (
+    <>
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-frequency`}>Frecuencia</label>
+        <select id={`${idPrefix}-frequency`} value={value.frequencyType} onChange={e => setField('frequencyType', e.target.value as CleaningPlanFormData['frequencyType'])}>
+          {frequencyTypes.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+      </div>
+      {value.frequencyType === 'Días de la semana' && (
+        <div className="form-group weekday-options">
+          {WEEKDAY_OPTIONS.map(day => (
+            <div key={day.value} className="form-group-checkbox">
+              <input type="checkbox" id={`${idPrefix}-weekday-${day.value}`} checked={value.weekdays.includes(day.value)} onChange={() => toggleWeekday(day.value)} />
+              <label htmlFor={`${idPrefix}-weekday-${day.value}`}>{day.label}</label>
+            </div>
+          ))}
+        </div>
+      )}
+      {value.frequencyType === 'Cada X días' && (
+        <div className="form-group">
+          <label htmlFor={`${idPrefix}-days`}>Frecuencia de limpieza (días)</label>
+          <input type="number" min="1" id={`${idPrefix}-days`} value={value.frequencyDays} onChange={e => setField('frequencyDays', e.target.value)} placeholder="Ej: 7" required />
+        </div>
+      )}
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-method`}>Método de limpieza</label>
+        <textarea id={`${idPrefix}-method`} rows={2} value={value.method} onChange={e => setField('method', e.target.value)} placeholder="Ej: Retirar restos, lavar con detergente, aclarar y desinfectar" />
+      </div>
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-product`}>Producto químico</label>
+        <input type="text" id={`${idPrefix}-product`} value={value.product} onChange={e => setField('product', e.target.value)} placeholder="Ej: Desinfectante clorado" list={`${idPrefix}-products`} />
+        <datalist id={`${idPrefix}-products`}>
+          {productSuggestions.map(name => <option key={name} value={name} />)}
+        </datalist>
+      </div>
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-dilution`}>Dilución</label>
+        <input type="text" id={`${idPrefix}-dilution`} value={value.dilution} onChange={e => setField('dilution', e.target.value)} placeholder="Ej: 20 ml/L" />
+      </div>
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-contact`}>Tiempo de contacto (min)</label>
+        <input type="number" min="0" id={`${idPrefix}-contact`} value={value.contactTimeMinutes} onChange={e => setField('contactTimeMinutes', e.target.value)} placeholder="Ej: 5" />
+      </div>
+      <div className="form-group">
+        <label htmlFor={`${idPrefix}-role`}>Responsable</label>
+        <input type="text" id={`${idPrefix}-role`} value={value.responsibleRole} onChange={e => setField('responsibleRole', e.target.value)} placeholder="Ej: Ayudante de cocina" />
+      </div>
+    </>
+  );
+};
+
+export default CleaningPlanFields;
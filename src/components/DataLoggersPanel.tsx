@@ -0,0 +1,173 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { getErrorMessage } from '../services';
+import type { LoggerIngestResult } from '../services';
+import { formatImportSummary } from '../utils/importUtils';
+import { DataLogger, DataLoggerFormData, StorageUnit } from '../types';
+
+interface DataLoggersPanelProps {
+  units: StorageUnit[];
+  dataLoggers: DataLogger[];
+  // Dar de alta, regenerar tokens, activar y eliminar sondas es cosa del administrador
+  isAdmin: boolean;
+  onAdd: (data: DataLoggerFormData) => Promise<string>;
+  onRegenerateToken: (id: string) => Promise<string>;
+  onSetActive: (id: string, isActive: boolean) => Promise<void>;
+  onDelete: (id: string) => Promise<void>;
+  onUpload: (id: string, file: File) => Promise<LoggerIngestResult>;
+}
+
+const formatDateTime = (value: string | null) => (value ? new Date(value).toLocaleString('es-ES') : 'Sin lecturas');
+
+// Sondas de las cámaras: alta con su token de dispositivo y subida del CSV de los registradores USB
+const DataLoggersPanel: React.FC<DataLoggersPanelProps> = ({ units, dataLoggers, isAdmin, onAdd, onRegenerateToken, onSetActive, onDelete, onUpload }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState('');
+  const [unitId, setUnitId] = useState('');
+  const [serialNumber, setSerialNumber] = useState('');
+  // Token recién generado: solo se puede ver ahora
+  const [newToken, setNewToken] = useState<{ name: string; token: string } | null>(null);
+
+  const uploadInputRef = useRef<HTMLInputElement>(null);
+  const [uploadLoggerId, setUploadLoggerId] = useState<string | null>(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const unitsMap = useMemo(() => new Map(units.map(u => [u.id, u])), [units]);
+  const selectedUnitId = unitsMap.has(unitId) ? unitId : units[0]?.id || '';
+
+  const runAction = async <T,>(action: () => Promise<T>, errorMessage: string): Promise<T | null> => {
+    try {
+      return await action();
+    } catch (error) {
+      alert(`${errorMessage}\n${getErrorMessage(error)}`);
+      return null;
+    }
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!name.trim() || !selectedUnitId) {
+      alert('Indique el nombre de la sonda y la cámara en la que está instalada.');
+      return;
+    }
+    const token = await runAction(
+      () => onAdd({ name: name.trim(), unitId: selectedUnitId, serialNumber: serialNumber.trim() }),
+      'No se pudo dar de alta la sonda.'
+    );
+    if (token) {
+      setNewToken({ name: name.trim(), token });
+      setName('');
+      setSerialNumber('');
+    }
+  };
+
+  const handleRegenerateToken = async (dataLogger: DataLogger) => {
+    if (!window.confirm(`¿Generar un token nuevo para "${dataLogger.name}"? El dispositivo dejará de enviar lecturas hasta que lo actualice.`)) return;
+    const token = await runAction(() => onRegenerateToken(dataLogger.id), 'No se pudo regenerar el token.');
+    if (token) setNewToken({ name: dataLogger.name, token });
+  };
+
+  const handleDelete = (dataLogger: DataLogger) => {
+    if (window.confirm(`¿Eliminar la sonda "${dataLogger.name}"? Sus lecturas se conservarán en el historial de la cámara.`)) {
+      runAction(() => onDelete(dataLogger.id), 'No se pudo eliminar la sonda.');
+    }
+  };
+
+  const handleUploadClick = (id: string) => {
+    setUploadLoggerId(id);
+    uploadInputRef.current?.click();
+  };
+
+  const handleUploadFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !uploadLoggerId) return;
+
+    setIsUploading(true);
+    const result = await runAction(() => onUpload(uploadLoggerId, file), 'No se pudo subir el archivo del registrador.');
+    setIsUploading(false);
+    if (result) {
+      alert(`${formatImportSummary(result)}\n\n${result.duplicates} lecturas ya registradas omitidas. ${result.outOfRange} lecturas fuera de rango.`);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2
+        className="collapsible-header"
+        onClick={() => setIsOpen(!isOpen)}
+        role="button"
+        aria-expanded={isOpen}
+      >
+        Sondas y Registradores
+        <span className={`chevron ${isOpen ? 'open' : ''}`}>&#9660;</span>
+      </h2>
+      <div className={`collapsible-content ${isOpen ? 'open' : ''}`}>
+        <div className="collapsible-content-inner">
+          {isAdmin && (
+            <form onSubmit={handleAdd}>
+              <div className="costing-form-grid">
+                <div className="form-group">
+                  <label htmlFor="logger-name">Nombre de la sonda</label>
+                  <input type="text" id="logger-name" value={name} onChange={e => setName(e.target.value)} placeholder="Ej: EL-USB-2 Lácteos" />
+                </div>
+                <div className="form-group">
+                  <label htmlFor="logger-unit">Cámara</label>
+                  <select id="logger-unit" value={selectedUnitId} onChange={e => setUnitId(e.target.value)} disabled={units.length === 0}>
+                    {units.length === 0 ? <option>Cree una cámara primero</option> : units.map(unit => <option key={unit.id} value={unit.id}>{unit.name}</option>)}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label htmlFor="logger-serial">Número de serie (opcional)</label>
+                  <input type="text" id="logger-serial" value={serialNumber} onChange={e => setSerialNumber(e.target.value)} />
+                </div>
+              </div>
+              <button type="submit" className="btn-submit" disabled={units.length === 0}>Añadir Sonda</button>
+            </form>
+          )}
+
+          {newToken && (
+            <div className="logger-token">
+              <p>Token de <strong>{newToken.name}</strong>. Cópielo en la configuración del dispositivo: no se volverá a mostrar.</p>
+              <code>{newToken.token}</code>
+              <button className="btn-view-photo" onClick={() => setNewToken(null)}>Ya lo he guardado</button>
+            </div>
+          )}
+
+          <input type="file" accept=".csv,.txt" ref={uploadInputRef} onChange={handleUploadFile} style={{ display: 'none' }} />
+          <div className="units-list">
+            <h3>Sondas Instaladas</h3>
+            {dataLoggers.length > 0 ? (
+              dataLoggers.map(dataLogger => (
+                <div key={dataLogger.id} className="units-list-item">
+                  <div>
+                    <span>{dataLogger.name}</span>
+                    <span className="unit-type">{unitsMap.get(dataLogger.unitId)?.name || 'N/A'}</span>
+                    <span className="unit-type">Última lectura: {formatDateTime(dataLogger.lastReadingAt)} ({dataLogger.readingsCount} lecturas)</span>
+                    <span className="unit-type">Token: {dataLogger.tokenHint}…</span>
+                    {!dataLogger.isActive && <span className="incident-badge status-open">Desactivada</span>}
+                  </div>
+                  <div className="logger-actions">
+                    <button className="btn-view-photo" onClick={() => handleUploadClick(dataLogger.id)} disabled={isUploading}>
+                      {isUploading && uploadLoggerId === dataLogger.id ? 'Subiendo...' : 'Subir CSV'}
+                    </button>
+                    {isAdmin && (
+                      <>
+                        <button className="btn-view-photo" onClick={() => handleRegenerateToken(dataLogger)}>Nuevo Token</button>
+                        <button className="btn-view-photo" onClick={() => runAction(() => onSetActive(dataLogger.id, !dataLogger.isActive), 'No se pudo actualizar la sonda.')}>
+                          {dataLogger.isActive ? 'Desactivar' : 'Activar'}
+                        </button>
+                        <button className="btn-delete" onClick={() => handleDelete(dataLogger)}>Eliminar</button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              ))
+            ) : <p>No hay sondas registradas. Las lecturas también pueden registrarse manualmente.</p>}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DataLoggersPanel;
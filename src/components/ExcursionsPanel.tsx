@@ -0,0 +1,122 @@
+import React, { useMemo, useState } from 'react';
+import { getErrorMessage } from '../services';
+import { ExcursionStatus, StorageUnit, TemperatureExcursion } from '../types';
+import { EXCURSION_STATUS_CLASSES, EXCURSION_ROW_HEADERS, excursionToRow, getActiveExcursions } from '../utils/excursionUtils';
+
+interface ExcursionsPanelProps {
+  excursions: TemperatureExcursion[];
+  units: StorageUnit[];
+  onChangeStatus: (id: string, status: ExcursionStatus, correctiveAction?: string) => Promise<void>;
+}
+
+// Excursiones de temperatura sin cerrar: se reconocen al verlas y se cierran con la acción correctiva
+const ExcursionsPanel: React.FC<ExcursionsPanelProps> = ({ excursions, units, onChangeStatus }) => {
+  const [excursionToClose, setExcursionToClose] = useState<string | null>(null);
+  const [correctiveAction, setCorrectiveAction] = useState('');
+
+  const unitsMap = useMemo(() => new Map(units.map(u => [u.id, u])), [units]);
+  const activeExcursions = useMemo(
+    () => getActiveExcursions(excursions).sort((a, b) => new Date(b.startedAt).getTime() - new Date(a.startedAt).getTime()),
+    [excursions]
+  );
+
+  const runAction = async (action: () => Promise<void>, errorMessage: string) => {
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      alert(`${errorMessage}\n${getErrorMessage(error)}`);
+      return false;
+    }
+  };
+
+  const closeDialog = () => {
+    setExcursionToClose(null);
+    setCorrectiveAction('');
+  };
+
+  const handleConfirmClose = async () => {
+    if (!excursionToClose) return;
+    if (!correctiveAction.trim()) {
+      alert('Describa la acción correctiva adoptada para cerrar la excursión.');
+      return;
+    }
+    const closed = await runAction(
+      () => onChangeStatus(excursionToClose, 'Cerrada', correctiveAction.trim()),
+      'No se pudo cerrar la excursión.'
+    );
+    if (closed) closeDialog();
+  };
+
+  // Las columnas de estado y acción correctiva se muestran aparte
+  const headers = EXCURSION_ROW_HEADERS.slice(0, 5);
+
+  return (
+    <div className="card excursions-panel">
+      <h2>Excursiones de Temperatura</h2>
+      {activeExcursions.length > 0 ? (
+        <div style={{overflowX: 'auto'}}>
+          <table className="user-table">
+            <thead>
+              <tr>
+                {headers.map(header => <th key={header}>{header}</th>)}
+                <th>Estado</th>
+                <th>Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {activeExcursions.map(excursion => {
+                const row = excursionToRow(excursion, unitsMap);
+                return (
+                  <tr key={excursion.id}>
+                    {headers.map((header, index) => <td key={header} data-label={header}>{row[index]}</td>)}
+                    <td data-label="Estado">
+                      <span className={`incident-badge ${EXCURSION_STATUS_CLASSES[excursion.status]}`}>{excursion.status}</span>
+                    </td>
+                    <td data-label="Acciones">
+                      {excursion.status === 'Abierta' && (
+                        <button className="btn-view-photo" onClick={() => runAction(() => onChangeStatus(excursion.id, 'Reconocida'), 'No se pudo reconocer la excursión.')}>
+                          Reconocer
+                        </button>
+                      )}
+                      {excursion.status === 'Reconocida' && (
+                        <button
+                          className="btn-view-photo"
+                          onClick={() => setExcursionToClose(excursion.id)}
+                          disabled={excursion.isOngoing}
+                          title={excursion.isOngoing ? 'Sigue en curso: registre una lectura dentro de rango para cerrarla' : undefined}
+                        >
+                          Cerrar
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p>No hay excursiones de temperatura pendientes.</p>
+      )}
+
+      {excursionToClose && (
+        <div className="image-modal-overlay" onClick={closeDialog}>
+          <div className="image-modal-content resolve-incident-modal" onClick={e => e.stopPropagation()}>
+            <h3>Cerrar Excursión</h3>
+            <div className="form-group">
+              <label htmlFor="excursion-corrective-action">Acción correctiva</label>
+              <textarea id="excursion-corrective-action" value={correctiveAction} onChange={e => setCorrectiveAction(e.target.value)} rows={4} placeholder="Describa la acción adoptada (ajuste del equipo, revisión o retirada del producto...)" />
+            </div>
+            <div className="resolve-incident-actions">
+              <button className="btn-delete" onClick={closeDialog}>Cancelar</button>
+              <button onClick={handleConfirmClose}>Cerrar Excursión</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExcursionsPanel;
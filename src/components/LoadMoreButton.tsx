@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { getErrorMessage } from '../services';
+import type { ListPagination } from '../services';
+
+interface LoadMoreButtonProps {
+  pagination?: ListPagination;
+  loadedCount: number;
+  onLoadMore: () => Promise<void>;
+}
+
+// Pie de un listado paginado: registros cargados y botón para pedir la página siguiente al servidor
+const LoadMoreButton: React.FC<LoadMoreButtonProps> = ({ pagination, loadedCount, onLoadMore }) => {
+  const [isLoading, setIsLoading] = useState(false);
+
+  if (!pagination || pagination.current >= pagination.pages) return null;
+
+  const handleLoadMore = async () => {
+    setIsLoading(true);
+    try {
+      await onLoadMore();
+    } catch (error) {
+      alert(`No se pudieron cargar más registros: ${getErrorMessage(error)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="load-more">
+      <span className="record-search-count">Mostrando {loadedCount} de {pagination.total}</span>
+      <button type="button" className="btn-secondary" onClick={handleLoadMore} disabled={isLoading}>
+        {isLoading ? 'Cargando...' : 'Cargar más'}
+      </button>
+    </div>
+  );
+};
+
+export default LoadMoreButton;
@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+import { getErrorMessage } from '../services';
+import { LotGenealogy, LotReception } from '../types';
+
+interface LotGenealogyViewProps {
+  // Lote elegido desde un historial; se consulta cada vez que cambia
+  selectedLot?: string;
+  onLoadGenealogy: (lot: string) => Promise<LotGenealogy | null>;
+}
+
+const formatDate = (value?: string) => (value ? new Date(value).toLocaleDateString('es-ES', { timeZone: 'UTC' }) : 'Sin indicar');
+
+const describeReception = (reception: LotReception) =>
+  `${reception.productName || 'Producto'} de ${reception.supplierName || 'proveedor desconocido'}, recibido el ${formatDate(reception.receptionDate)} (caducidad: ${formatDate(reception.expiryDate)})`;
+
+// Consulta de la genealogía de un lote: origen, un paso atrás y un paso adelante.
+// Los lotes del resultado se pueden pulsar para seguir recorriendo la cadena.
+const LotGenealogyView: React.FC<LotGenealogyViewProps> = ({ selectedLot, onLoadGenealogy }) => {
+  const [query, setQuery] = useState('');
+  const [genealogy, setGenealogy] = useState<LotGenealogy | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadLot = async (lot: string) => {
+    const text = lot.trim();
+    if (!text) return;
+
+    setQuery(text);
+    setIsLoading(true);
+    try {
+      setGenealogy(await onLoadGenealogy(text));
+    } catch (error) {
+      setGenealogy(null);
+      alert(`No se pudo consultar el lote: ${getErrorMessage(error)}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (selectedLot) loadLot(selectedLot);
+  }, [selectedLot]);
+
+  const lotLink = (lot: string) => (
+    <button type="button" className="lot-link" onClick={() => loadLot(lot)}>{lot}</button>
+  );
+
+  const emptyItem = (text: string) => <li className="genealogy-empty">{text}</li>;
+
+  return (
+    <>
+      <form className="record-search-bar" onSubmit={e => { e.preventDefault(); loadLot(query); }}>
+        <input
+          type="search"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+          placeholder="Lote recibido o elaborado..."
+          maxLength={100}
+          aria-label="Lote a consultar"
+        />
+        <button type="submit" className="btn-submit" disabled={isLoading}>
+          {isLoading ? 'Consultando...' : 'Consultar'}
+        </button>
+      </form>
+
+      {genealogy && (
+        <div className="genealogy-result">
+          <div className="genealogy-section">
+            <h3>Origen del lote {genealogy.lot}</h3>
+            <ul>
+              {genealogy.receptions.map(r => <li key={r.id}>Recepción: {describeReception(r)}</li>)}
+              {genealogy.elaborations.map(e => <li key={e.id}>Elaboración: {e.productName}, elaborado el {formatDate(e.elaborationDate)}</li>)}
+              {genealogy.receptions.length === 0 && genealogy.elaborations.length === 0 && emptyItem('No hay recepciones ni elaboraciones con este lote.')}
+            </ul>
+          </div>
+
+          <div className="genealogy-section">
+            <h3>Un paso atrás</h3>
+            <ul>
+              {genealogy.receptions.map(r => <li key={r.id}>Proveedor: {r.supplierName || 'Desconocido'}</li>)}
+              {genealogy.backward.ingredients.map((ing, idx) => (
+                <li key={`${ing.elaborationId}-${idx}`}>
+                  {ing.quantity} de {ing.name}, lote {lotLink(ing.lot)}{' '}
+                  {ing.reception
+                    ? `(${describeReception(ing.reception)})`
+                    : <span className="part-meta-info">(lote sin vincular a una recepción{ing.supplier ? `, proveedor: ${ing.supplier}` : ''})</span>}
+                </li>
+              ))}
+              {genealogy.receptions.length === 0 && genealogy.backward.ingredients.length === 0 && emptyItem('Sin registros anteriores.')}
+            </ul>
+          </div>
+
+          <div className="genealogy-section">
+            <h3>Un paso adelante</h3>
+            <ul>
+              {genealogy.forward.elaborations.map(e => (
+                <li key={e.id}>Usado en {e.productName}, lote {lotLink(e.productLot)} ({formatDate(e.elaborationDate)})</li>
+              ))}
+              {genealogy.forward.shipments.map(s => (
+                <li key={s.id}>Salida del {formatDate(s.date)}: {s.quantity} de {s.productName} a {s.destination} <span className="part-meta-info">({s.destinationType})</span></li>
+              ))}
+              {genealogy.forward.elaborations.length === 0 && genealogy.forward.shipments.length === 0 && emptyItem('El lote no se ha usado ni expedido.')}
+            </ul>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default LotGenealogyView;
@@ -0,0 +1,99 @@
+import React, { useMemo, useState } from 'react';
+import { getErrorMessage } from '../services';
+import { MissedCheck, StorageUnit } from '../types';
+import { MISSED_CHECK_STATUS_CLASSES, MISSED_CHECK_ROW_HEADERS, getPendingMissedChecks, missedCheckToRow } from '../utils/missedCheckUtils';
+
+interface MissedChecksPanelProps {
+  missedChecks: MissedCheck[];
+  units: StorageUnit[];
+  onJustify: (id: string, justification: string) => Promise<void>;
+}
+
+// Controles de temperatura programados sin lectura: se justifican indicando el motivo
+const MissedChecksPanel: React.FC<MissedChecksPanelProps> = ({ missedChecks, units, onJustify }) => {
+  const [checkToJustify, setCheckToJustify] = useState<string | null>(null);
+  const [justification, setJustification] = useState('');
+
+  const unitsMap = useMemo(() => new Map(units.map(u => [u.id, u])), [units]);
+  const pendingChecks = useMemo(
+    () => getPendingMissedChecks(missedChecks).sort((a, b) => new Date(b.scheduledAt).getTime() - new Date(a.scheduledAt).getTime()),
+    [missedChecks]
+  );
+
+  const closeDialog = () => {
+    setCheckToJustify(null);
+    setJustification('');
+  };
+
+  const handleConfirmJustify = async () => {
+    if (!checkToJustify) return;
+    if (!justification.trim()) {
+      alert('Indique el motivo por el que no se realizó el control.');
+      return;
+    }
+    try {
+      await onJustify(checkToJustify, justification.trim());
+      closeDialog();
+    } catch (error) {
+      alert(`No se pudo justificar el control.\n${getErrorMessage(error)}`);
+    }
+  };
+
+  // La justificación solo se muestra en el PDF y el historial
+  const headers = MISSED_CHECK_ROW_HEADERS.slice(0, 2);
+
+  return (
+    <div className="card missed-checks-panel">
+      <h2>Controles No Realizados</h2>
+      {pendingChecks.length > 0 ? (
+        <div style={{overflowX: 'auto'}}>
+          <table className="user-table">
+            <thead>
+              <tr>
+                {headers.map(header => <th key={header}>{header}</th>)}
+                <th>Estado</th>
+                <th>Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {pendingChecks.map(check => {
+                const row = missedCheckToRow(check, unitsMap);
+                return (
+                  <tr key={check.id}>
+                    {headers.map((header, index) => <td key={header} data-label={header}>{row[index]}</td>)}
+                    <td data-label="Estado">
+                      <span className={`incident-badge ${MISSED_CHECK_STATUS_CLASSES[check.status]}`}>{check.status}</span>
+                    </td>
+                    <td data-label="Acciones">
+                      <button className="btn-view-photo" onClick={() => setCheckToJustify(check.id)}>Justificar</button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p>Todos los controles programados se han realizado o están justificados.</p>
+      )}
+
+      {checkToJustify && (
+        <div className="image-modal-overlay" onClick={closeDialog}>
+          <div className="image-modal-content resolve-incident-modal" onClick={e => e.stopPropagation()}>
+            <h3>Justificar Control</h3>
+            <div className="form-group">
+              <label htmlFor="missed-check-justification">Motivo</label>
+              <textarea id="missed-check-justification" value={justification} onChange={e => setJustification(e.target.value)} rows={4} placeholder="Indique por qué no se hizo el control (cierre del establecimiento, cámara vacía, avería...)" />
+            </div>
+            <div className="resolve-incident-actions">
+              <button className="btn-delete" onClick={closeDialog}>Cancelar</button>
+              <button onClick={handleConfirmJustify}>Justificar</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MissedChecksPanel;
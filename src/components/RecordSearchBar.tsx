@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { getErrorMessage } from '../services';
+
+// Número máximo de resultados que se muestran de una búsqueda
+export const SEARCH_RESULTS_LIMIT = 200;
+
+// Registros a mostrar: sin búsqueda activa, los cargados; con búsqueda, sus resultados
+// sustituidos por la versión cargada si existe (para reflejar cambios posteriores)
+export const applySearchResults = <T extends { id: string }>(results: T[] | null, records: T[]): T[] => {
+  if (!results) return records;
+  const recordsById = new Map(records.map(record => [record.id, record]));
+  return results.map(result => recordsById.get(result.id) || result);
+};
+
+interface RecordSearchBarProps<T> {
+  placeholder?: string;
+  onSearch: (query: string) => Promise<T[]>;
+  // null cuando no hay búsqueda activa (la página vuelve a mostrar sus registros)
+  onResults: (records: T[] | null) => void;
+}
+
+function RecordSearchBar<T>({ placeholder = 'Buscar...', onSearch, onResults }: RecordSearchBarProps<T>) {
+  const [query, setQuery] = useState('');
+  const [isSearching, setIsSearching] = useState(false);
+  const [resultCount, setResultCount] = useState<number | null>(null);
+
+  const handleSearch = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const text = query.trim();
+    if (!text) {
+      handleClear();
+      return;
+    }
+
+    setIsSearching(true);
+    try {
+      const records = await onSearch(text);
+      setResultCount(records.length);
+      onResults(records);
+    } catch (error) {
+      alert(`Error en la búsqueda: ${getErrorMessage(error)}`);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleClear = () => {
+    setQuery('');
+    setResultCount(null);
+    onResults(null);
+  };
+
+  return (
+    <form className="record-search-bar" onSubmit={handleSearch}>
+      <input
+        type="search"
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        placeholder={placeholder}
+        maxLength={200}
+        aria-label="Buscar registros"
+      />
+      <button type="submit" className="btn-submit" disabled={isSearching}>
+        {isSearching ? 'Buscando...' : 'Buscar'}
+      </button>
+      {resultCount !== null && (
+        <>
+          <span className="record-search-count">
+            {resultCount === 1 ? '1 resultado' : `${resultCount} resultados`}
+            {resultCount >= SEARCH_RESULTS_LIMIT && ' (se muestran los más relevantes)'}
+          </span>
+          <button type="button" className="btn-secondary" onClick={handleClear}>Limpiar</button>
+        </>
+      )}
+    </form>
+  );
+}
+
+export default RecordSearchBar;
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import { getErrorMessage } from '../services';
+import { StorageSeries, StorageUnit } from '../types';
+
+interface TemperatureSeriesChartProps {
+  units: StorageUnit[];
+  onLoadSeries: (unitId: string, dateFrom?: string, dateTo?: string) => Promise<StorageSeries | null>;
+}
+
+// Dimensiones del gráfico (unidades del viewBox)
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 36 };
+
+const formatBucket = (minutes: number) => (minutes < 60 ? `${minutes} min` : `${minutes / 60} h`);
+
+// Serie de temperatura de una cámara agrupada en el servidor: media de cada intervalo,
+// banda con la mínima y la máxima y el rango óptimo de la cámara
+const TemperatureSeriesChart: React.FC<TemperatureSeriesChartProps> = ({ units, onLoadSeries }) => {
+  const [unitId, setUnitId] = useState('');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [series, setSeries] = useState<StorageSeries | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const selectedUnitId = units.some(unit => unit.id === unitId) ? unitId : units[0]?.id || '';
+
+  useEffect(() => {
+    if (!selectedUnitId) return;
+    let isCurrent = true;
+
+    setIsLoading(true);
+    onLoadSeries(selectedUnitId, dateFrom || undefined, dateTo || undefined)
+      .then(result => { if (isCurrent) setSeries(result); })
+      .catch(error => { if (isCurrent) alert(`No se pudo cargar la serie de temperatura: ${getErrorMessage(error)}`); })
+      .finally(() => { if (isCurrent) setIsLoading(false); });
+
+    return () => { isCurrent = false; };
+  }, [selectedUnitId, dateFrom, dateTo]);
+
+  const renderChart = (data: StorageSeries) => {
+    const start = new Date(data.dateFrom).getTime();
+    const end = Math.max(new Date(data.dateTo).getTime(), start + 1);
+    const limits = [data.minTemp, data.maxTemp].filter((value): value is number => value !== null);
+    const low = Math.floor(Math.min(...data.points.map(p => p.minTemp), ...limits) - 1);
+    const high = Math.ceil(Math.max(...data.points.map(p => p.maxTemp), ...limits) + 1);
+
+    const x = (time: string) => PADDING.left + ((new Date(time).getTime() - start) / (end - start)) * (WIDTH - PADDING.left - PADDING.right);
+    const y = (temp: number) => PADDING.top + ((high - temp) / (high - low)) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+    const band = [
+      ...data.points.map(p => `${x(p.dateTime)},${y(p.maxTemp)}`),
+      ...[...data.points].reverse().map(p => `${x(p.dateTime)},${y(p.minTemp)}`)
+    ].join(' ');
+    const line = data.points.map(p => `${x(p.dateTime)},${y(p.avgTemp)}`).join(' ');
+
+    return (
+      <svg className="temperature-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Evolución de la temperatura">
+        {[low, (low + high) / 2, high].map(temp => (
+          <text key={temp} x={PADDING.left - 6} y={y(temp) + 4} textAnchor="end" className="chart-axis">{Math.round(temp)}°</text>
+        ))}
+        <text x={PADDING.left} y={HEIGHT - 6} className="chart-axis">{new Date(start).toLocaleString('es-ES')}</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end" className="chart-axis">{new Date(end).toLocaleString('es-ES')}</text>
+        {limits.map(limit => (
+          <line key={limit} x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(limit)} y2={y(limit)} className="chart-limit" />
+        ))}
+        <polygon points={band} className="chart-band" />
+        <polyline points={line} className="chart-line" />
+        {data.points.filter(p => p.outOfRangeCount > 0).map(p => (
+          <circle key={p.dateTime} cx={x(p.dateTime)} cy={y(p.avgTemp)} r={3} className="chart-alert">
+            <title>{`${new Date(p.dateTime).toLocaleString('es-ES')}: ${p.outOfRangeCount} de ${p.readings} lecturas fuera de rango (máx. ${p.maxTemp} °C, mín. ${p.minTemp} °C)`}</title>
+          </circle>
+        ))}
+      </svg>
+    );
+  };
+
+  const totalReadings = series?.points.reduce((total, point) => total + point.readings, 0) || 0;
+  const outOfRange = series?.points.reduce((total, point) => total + point.outOfRangeCount, 0) || 0;
+
+  return (
+    <div className="card">
+      <h2>Evolución de la Temperatura</h2>
+      <div className="export-controls-row">
+        <div className="form-group">
+          <label htmlFor="series-unit">Cámara</label>
+          <select id="series-unit" value={selectedUnitId} onChange={e => setUnitId(e.target.value)} disabled={units.length === 0}>
+            {units.length === 0 ? <option>Cree una cámara primero</option> : units.map(unit => <option key={unit.id} value={unit.id}>{unit.name}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="series-from">Desde</label>
+          <input type="date" id="series-from" value={dateFrom} onChange={e => setDateFrom(e.target.value)} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="series-to">Hasta</label>
+          <input type="date" id="series-to" value={dateTo} onChange={e => setDateTo(e.target.value)} />
+        </div>
+      </div>
+      {isLoading && <p>Cargando lecturas...</p>}
+      {!isLoading && series && series.points.length > 0 && (
+        <>
+          {renderChart(series)}
+          <p className="widget-footer">
+            {totalReadings} lecturas (manuales y de sondas) agrupadas cada {formatBucket(series.bucketMinutes)}; {outOfRange} fuera de rango.
+            {!dateFrom && !dateTo && ' Últimas 24 horas.'}
+          </p>
+        </>
+      )}
+      {!isLoading && series && series.points.length === 0 && <p>No hay lecturas en el periodo seleccionado.</p>}
+    </div>
+  );
+};
+
+export default TemperatureSeriesChart;
@@ -0,0 +1,464 @@
+import React, { useState, useRef } from 'react';
+import { getErrorMessage } from '../../services';
+import { downloadFile } from '../../exportUtils';
+import { TrainingPlan, TrainingPlanFormData, TrainingPlanStatus, TrainingRecord, TrainingRecordFormData } from '../../types';
+import { OrganizationUser } from '../../contexts';
+import { TRAINING_PLAN_STATUSES, getPlanTrainedUserIds } from '../../utils/trainingUtils';
+import { CHEMICAL_DOCUMENT_ACCEPT } from '../../utils/chemicalProductUtils';
+
+const formatDate = (date: string | null) => date ? new Date(date).toLocaleDateString('es-ES', { timeZone: 'UTC' }) : '-';
+
+// Ejecuta una operación del servidor mostrando su mensaje de error si la rechaza
+const runAction = async (operation: () => Promise<void>, errorMessage: string) => {
+  try {
+    await operation();
+    return true;
+  } catch (error) {
+    alert(`${errorMessage}\n${getErrorMessage(error)}`);
+    return false;
+  }
+};
+
+// Las horas se editan como texto
+const emptyRecordForm = () => ({
+  planId: '',
+  course: 'Manipulador de alimentos',
+  trainingDate: new Date().toISOString().slice(0, 10),
+  hours: '',
+  provider: '',
+  expiryDate: '',
+  notes: ''
+});
+
+interface TrainingModalProps {
+  user: OrganizationUser | null;
+  records: TrainingRecord[];
+  plans: TrainingPlan[];
+  onClose: () => void;
+  onAddRecord: (data: TrainingRecordFormData) => Promise<void>;
+  onUpdateRecord: (id: string, data: TrainingRecordFormData) => Promise<void>;
+  onDeleteRecord: (id: string) => Promise<void>;
+  onUploadCertificate: (id: string, file: File) => Promise<void>;
+  onDownloadCertificate: (id: string) => Promise<{ blob: Blob; fileName: string }>;
+  onDeleteCertificate: (id: string) => Promise<void>;
+}
+
+// Formaciones de un trabajador: alta, edición, certificado y caducidad
+export const TrainingModal: React.FC<TrainingModalProps> = ({
+  user, records, plans, onClose, onAddRecord, onUpdateRecord, onDeleteRecord, onUploadCertificate, onDownloadCertificate, onDeleteCertificate
+}) => {
+  const [form, setForm] = useState(emptyRecordForm);
+  const [editingRecordId, setEditingRecordId] = useState<string | null>(null);
+  const certificateInputRef = useRef<HTMLInputElement>(null);
+  const [certificateRecordId, setCertificateRecordId] = useState<string | null>(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  if (!user) return null;
+
+  const userRecords = records
+    .filter(record => record.userId === user.id)
+    .sort((a, b) => new Date(b.trainingDate).getTime() - new Date(a.trainingDate).getTime());
+  // Acciones del plan dirigidas a este trabajador o a toda la plantilla
+  const userPlans = plans.filter(plan => plan.status !== 'Cancelada' && (plan.participantIds.length === 0 || plan.participantIds.includes(user.id)));
+
+  const resetForm = () => {
+    setForm(emptyRecordForm());
+    setEditingRecordId(null);
+  };
+
+  // Al elegir una acción del plan se rellenan sus datos
+  const handlePlanChange = (planId: string) => {
+    const plan = plans.find(p => p.id === planId);
+    setForm({
+      ...form,
+      planId,
+      course: plan ? plan.name : form.course,
+      hours: plan?.hours != null ? String(plan.hours) : form.hours,
+      provider: plan ? plan.provider : form.provider,
+      trainingDate: plan?.plannedDate ? plan.plannedDate.slice(0, 10) : form.trainingDate
+    });
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const hours = parseFloat(form.hours);
+    if (!form.course.trim() || isNaN(hours)) {
+      alert('Indique el curso y las horas de formación.');
+      return;
+    }
+    const data: TrainingRecordFormData = {
+      userId: user.id,
+      planId: form.planId || null,
+      course: form.course.trim(),
+      trainingDate: form.trainingDate,
+      hours,
+      provider: form.provider.trim(),
+      expiryDate: form.expiryDate || null,
+      notes: form.notes.trim()
+    };
+    const saved = await runAction(
+      () => editingRecordId ? onUpdateRecord(editingRecordId, data) : onAddRecord(data),
+      'No se pudo guardar la formación.'
+    );
+    if (saved) resetForm();
+  };
+
+  const handleEdit = (record: TrainingRecord) => {
+    setForm({
+      planId: record.planId || '',
+      course: record.course,
+      trainingDate: record.trainingDate.slice(0, 10),
+      hours: String(record.hours),
+      provider: record.provider || '',
+      expiryDate: record.expiryDate ? record.expiryDate.slice(0, 10) : '',
+      notes: record.notes || ''
+    });
+    setEditingRecordId(record.id);
+  };
+
+  const handleDelete = (record: TrainingRecord) => {
+    if (window.confirm(`¿Eliminar la formación "${record.course}" y su certificado?`)) {
+      runAction(() => onDeleteRecord(record.id), 'No se pudo eliminar la formación.');
+    }
+  };
+
+  const handleUploadClick = (recordId: string) => {
+    setCertificateRecordId(recordId);
+    certificateInputRef.current?.click();
+  };
+
+  const handleUploadFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !certificateRecordId) return;
+
+    setIsUploading(true);
+    await runAction(() => onUploadCertificate(certificateRecordId, file), 'No se pudo adjuntar el certificado.');
+    setIsUploading(false);
+  };
+
+  // Se guarda con el nombre original (la cabecera de descarga solo lo trae en ASCII)
+  const handleDownloadCertificate = (record: TrainingRecord) => {
+    runAction(async () => {
+      const file = await onDownloadCertificate(record.id);
+      downloadFile(file.blob, record.certificate?.fileName || file.fileName);
+    }, 'No se pudo descargar el certificado.');
+  };
+
+  const handleDeleteCertificate = (record: TrainingRecord) => {
+    if (window.confirm('¿Eliminar el certificado de esta formación?')) {
+      runAction(() => onDeleteCertificate(record.id), 'No se pudo eliminar el certificado.');
+    }
+  };
+
+  const handleClose = () => {
+    resetForm();
+    onClose();
+  };
+
+  return (
+    <div className="modal-overlay" onClick={handleClose}>
+      <div className="modal-content modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Formación de {user.name}</h2>
+          <button className="modal-close" onClick={handleClose}>✕</button>
+        </div>
+
+        <div className="modal-form">
+          <input type="file" accept={CHEMICAL_DOCUMENT_ACCEPT} ref={certificateInputRef} onChange={handleUploadFile} style={{ display: 'none' }} />
+          {userRecords.length > 0 ? (
+            <table className="training-table">
+              <thead>
+                <tr>
+                  <th>Curso</th>
+                  <th>Fecha</th>
+                  <th>Horas</th>
+                  <th>Caducidad</th>
+                  <th>Certificado</th>
+                  <th>Acciones</th>
+                </tr>
+              </thead>
+              <tbody>
+                {userRecords.map(record => (
+                  <tr key={record.id}>
+                    <td>
+                      {record.course}
+                      {record.provider && <div className="training-meta">{record.provider}</div>}
+                    </td>
+                    <td>{formatDate(record.trainingDate)}</td>
+                    <td>{record.hours}</td>
+                    <td>{record.expiryDate ? formatDate(record.expiryDate) : 'No caduca'}</td>
+                    <td>
+                      <div className="user-actions">
+                        {record.certificate && (
+                          <button className="btn-secondary btn-sm" onClick={() => handleDownloadCertificate(record)} title={record.certificate.fileName}>Ver</button>
+                        )}
+                        <button className="btn-secondary btn-sm" onClick={() => handleUploadClick(record.id)} disabled={isUploading}>
+                          {isUploading && certificateRecordId === record.id ? 'Subiendo...' : record.certificate ? 'Sustituir' : 'Adjuntar'}
+                        </button>
+                        {record.certificate && (
+                          <button className="btn-danger btn-sm" onClick={() => handleDeleteCertificate(record)}>Quitar</button>
+                        )}
+                      </div>
+                    </td>
+                    <td>
+                      <div className="user-actions">
+                        <button className="btn-secondary btn-sm" onClick={() => handleEdit(record)}>Editar</button>
+                        <button className="btn-danger btn-sm" onClick={() => handleDelete(record)}>Eliminar</button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="training-meta">Este trabajador no tiene formaciones registradas.</p>
+          )}
+
+          <form onSubmit={handleSubmit}>
+            <h3>{editingRecordId ? 'Editar formación' : 'Registrar formación'}</h3>
+            {userPlans.length > 0 && (
+              <div className="form-group">
+                <label className="form-label">Acción del plan de formación</label>
+                <select className="form-select" value={form.planId} onChange={(e) => handlePlanChange(e.target.value)}>
+                  <option value="">Fuera del plan</option>
+                  {userPlans.map(plan => <option key={plan.id} value={plan.id}>{plan.year} · {plan.name}</option>)}
+                </select>
+              </div>
+            )}
+            <div className="training-form-grid">
+              <div className="form-group">
+                <label className="form-label">Curso</label>
+                <input type="text" className="form-input" value={form.course} onChange={(e) => setForm({ ...form, course: e.target.value })} required />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Entidad formadora</label>
+                <input type="text" className="form-input" value={form.provider} onChange={(e) => setForm({ ...form, provider: e.target.value })} placeholder="Ej: Academia APPCC" />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Fecha</label>
+                <input type="date" className="form-input" value={form.trainingDate} onChange={(e) => setForm({ ...form, trainingDate: e.target.value })} required />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Horas</label>
+                <input type="number" step="0.5" min="0" className="form-input" value={form.hours} onChange={(e) => setForm({ ...form, hours: e.target.value })} required />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Caducidad del certificado</label>
+                <input type="date" className="form-input" value={form.expiryDate} min={form.trainingDate} onChange={(e) => setForm({ ...form, expiryDate: e.target.value })} />
+              </div>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Observaciones</label>
+              <input type="text" className="form-input" value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+            </div>
+            <div className="modal-actions">
+              {editingRecordId && <button type="button" className="btn-secondary" onClick={resetForm}>Cancelar</button>}
+              <button type="submit" className="btn-primary">{editingRecordId ? 'Guardar cambios' : 'Registrar Formación'}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const emptyPlanForm = (): TrainingPlanFormData => ({
+  name: '',
+  year: new Date().getFullYear(),
+  plannedDate: null,
+  hours: null,
+  provider: '',
+  description: '',
+  participantIds: [],
+  status: 'Planificada'
+});
+
+interface TrainingPlanSectionProps {
+  plans: TrainingPlan[];
+  records: TrainingRecord[];
+  users: OrganizationUser[];
+  onAddPlan: (data: TrainingPlanFormData) => Promise<void>;
+  onUpdatePlan: (id: string, data: TrainingPlanFormData) => Promise<void>;
+  onDeletePlan: (id: string) => Promise<void>;
+}
+
+// Plan anual de formación de la organización, con el avance de cada acción
+export const TrainingPlanSection: React.FC<TrainingPlanSectionProps> = ({ plans, records, users, onAddPlan, onUpdatePlan, onDeletePlan }) => {
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [form, setForm] = useState<TrainingPlanFormData>(emptyPlanForm);
+  const [editingPlanId, setEditingPlanId] = useState<string | null>(null);
+  const [isFormOpen, setIsFormOpen] = useState(false);
+
+  const years = [...new Set([new Date().getFullYear(), ...plans.map(plan => plan.year)])].sort((a, b) => b - a);
+  const yearPlans = plans
+    .filter(plan => plan.year === year)
+    .sort((a, b) => (a.plannedDate || '').localeCompare(b.plannedDate || '') || a.name.localeCompare(b.name));
+  const activeUsers = users.filter(user => user.isActive);
+
+  const resetForm = () => {
+    setForm({ ...emptyPlanForm(), year });
+    setEditingPlanId(null);
+    setIsFormOpen(false);
+  };
+
+  const toggleParticipant = (userId: string) => {
+    const participantIds = form.participantIds.includes(userId)
+      ? form.participantIds.filter(id => id !== userId)
+      : [...form.participantIds, userId];
+    setForm({ ...form, participantIds });
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      alert('Indique el nombre de la formación.');
+      return;
+    }
+    const data = { ...form, name: form.name.trim(), provider: form.provider.trim(), description: form.description.trim() };
+    const saved = await runAction(
+      () => editingPlanId ? onUpdatePlan(editingPlanId, data) : onAddPlan(data),
+      'No se pudo guardar la acción formativa.'
+    );
+    if (saved) {
+      setYear(data.year);
+      resetForm();
+    }
+  };
+
+  const handleEdit = (plan: TrainingPlan) => {
+    setForm({
+      name: plan.name,
+      year: plan.year,
+      plannedDate: plan.plannedDate ? plan.plannedDate.slice(0, 10) : null,
+      hours: plan.hours,
+      provider: plan.provider || '',
+      description: plan.description || '',
+      participantIds: plan.participantIds,
+      status: plan.status
+    });
+    setEditingPlanId(plan.id);
+    setIsFormOpen(true);
+  };
+
+  const handleDelete = (plan: TrainingPlan) => {
+    if (window.confirm(`¿Eliminar "${plan.name}" del plan de formación? Las formaciones ya registradas se conservan.`)) {
+      runAction(() => onDeletePlan(plan.id), 'No se pudo eliminar la acción formativa.');
+    }
+  };
+
+  return (
+    <div className="users-section training-section">
+      <div className="training-section-header">
+        <h2>Plan de Formación</h2>
+        <div className="user-actions">
+          <select className="filter-select" value={year} onChange={(e) => setYear(Number(e.target.value))}>
+            {years.map(y => <option key={y} value={y}>{y}</option>)}
+          </select>
+          {!isFormOpen && (
+            <button className="btn-primary btn-sm" onClick={() => { setForm({ ...emptyPlanForm(), year }); setIsFormOpen(true); }}>
+              Añadir Formación
+            </button>
+          )}
+        </div>
+      </div>
+
+      {isFormOpen && (
+        <form onSubmit={handleSubmit} className="training-plan-form">
+          <div className="training-form-grid">
+            <div className="form-group">
+              <label className="form-label">Formación</label>
+              <input type="text" className="form-input" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} placeholder="Ej: Manipulador de alimentos" required />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Año</label>
+              <input type="number" min="2000" max="2100" className="form-input" value={form.year} onChange={(e) => setForm({ ...form, year: Number(e.target.value) })} required />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Fecha prevista</label>
+              <input type="date" className="form-input" value={form.plannedDate || ''} onChange={(e) => setForm({ ...form, plannedDate: e.target.value || null })} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Horas</label>
+              <input type="number" step="0.5" min="0" className="form-input" value={form.hours ?? ''} onChange={(e) => setForm({ ...form, hours: e.target.value ? parseFloat(e.target.value) : null })} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Entidad formadora</label>
+              <input type="text" className="form-input" value={form.provider} onChange={(e) => setForm({ ...form, provider: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Estado</label>
+              <select className="form-select" value={form.status} onChange={(e) => setForm({ ...form, status: e.target.value as TrainingPlanStatus })}>
+                {TRAINING_PLAN_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="form-group">
+            <label className="form-label">Descripción</label>
+            <input type="text" className="form-input" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} placeholder="Ej: Contenidos, modalidad, lugar..." />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Participantes (si no marca ninguno, va dirigida a toda la plantilla)</label>
+            <div className="training-participants">
+              {activeUsers.map(user => (
+                <label key={user.id}>
+                  <input type="checkbox" checked={form.participantIds.includes(user.id)} onChange={() => toggleParticipant(user.id)} />
+                  {user.name}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="modal-actions">
+            <button type="button" className="btn-secondary" onClick={resetForm}>Cancelar</button>
+            <button type="submit" className="btn-primary">{editingPlanId ? 'Guardar cambios' : 'Añadir al Plan'}</button>
+          </div>
+        </form>
+      )}
+
+      {yearPlans.length > 0 ? (
+        <table className="training-table">
+          <thead>
+            <tr>
+              <th>Formación</th>
+              <th>Fecha prevista</th>
+              <th>Estado</th>
+              <th>Realizada por</th>
+              <th>Acciones</th>
+            </tr>
+          </thead>
+          <tbody>
+            {yearPlans.map(plan => {
+              const trained = getPlanTrainedUserIds(plan, records);
+              const target = plan.participantIds.length > 0 ? plan.participantIds.length : activeUsers.length;
+              return (
+                <tr key={plan.id}>
+                  <td>
+                    {plan.name}
+                    <div className="training-meta">
+                      {[plan.hours != null ? `${plan.hours} h` : '', plan.provider].filter(Boolean).join(' · ')}
+                    </div>
+                  </td>
+                  <td>{formatDate(plan.plannedDate)}</td>
+                  <td>
+                    <span className={`status-badge ${plan.status === 'Realizada' ? 'active' : plan.status === 'Cancelada' ? 'inactive' : 'warning'}`}>{plan.status}</span>
+                  </td>
+                  <td title={plan.participantIds.length > 0 ? plan.participantIds.map(id => users.find(u => u.id === id)?.name || 'N/A').join(', ') : 'Toda la plantilla'}>
+                    {trained.size} de {target}
+                  </td>
+                  <td>
+                    <div className="user-actions">
+                      <button className="btn-secondary btn-sm" onClick={() => handleEdit(plan)}>Editar</button>
+                      <button className="btn-danger btn-sm" onClick={() => handleDelete(plan)}>Eliminar</button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      ) : (
+        <p className="training-meta">No hay formaciones planificadas para {year}.</p>
+      )}
+    </div>
+  );
+};
@@ -1,5 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { useAuth, useOrganization } from '../../contexts';
+import { useAuth, useOrganization, useAppData, OrganizationUser } from '../../contexts';
+import { EstablishmentInfo } from '../../types';
+import { exportToPDF } from '../../exportUtils';
+import { TRAINING_RECORD_HEADERS, TRAINING_PLAN_HEADERS, trainingRecordToRow, trainingPlanToRow } from '../../utils/trainingUtils';
+import { TrainingModal, TrainingPlanSection } from './StaffTraining';
 
 interface InviteUserModalProps {
   isOpen: boolean;
@@ -97,7 +101,11 @@ const InviteUserModal: React.FC<InviteUserModalProps> = ({ isOpen, onClose, onIn
   );
 };
 
-const UserManagementPage: React.FC = () => {
+interface UserManagementPageProps {
+  establishmentInfo: EstablishmentInfo;
+}
+
+const UserManagementPage: React.FC<UserManagementPageProps> = ({ establishmentInfo }) => {
   const { user: currentUser } = useAuth();
   const {
     users,
@@ -113,8 +121,23 @@ const UserManagementPage: React.FC = () => {
     resendInvitation,
     clearError,
   } = useOrganization();
+  const {
+    trainingPlans,
+    trainingRecords,
+    expiringTrainings,
+    addTrainingPlan,
+    updateTrainingPlan,
+    deleteTrainingPlan,
+    addTrainingRecord,
+    updateTrainingRecord,
+    deleteTrainingRecord,
+    uploadTrainingCertificate,
+    downloadTrainingCertificate,
+    deleteTrainingCertificate,
+  } = useAppData();
 
   const [showInviteModal, setShowInviteModal] = useState(false);
+  const [trainingUser, setTrainingUser] = useState<OrganizationUser | null>(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterRole, setFilterRole] = useState<'all' | 'Admin' | 'Manager' | 'User'>('all');
   const [filterStatus, setFilterStatus] = useState<'all' | 'active' | 'inactive'>('all');
@@ -200,6 +223,31 @@ const UserManagementPage: React.FC = () => {
 
   const isAdmin = currentUser?.role === 'Admin' || currentUser?.isAdmin;
 
+  // Situación de la formación de cada trabajador según sus certificados
+  const getTrainingStatus = (userId: string) => {
+    const expiring = expiringTrainings.filter(training => training.userId === userId);
+    if (expiring.some(training => training.isExpired)) return { label: 'Caducada', className: 'inactive' };
+    if (expiring.length > 0) return { label: 'Caduca pronto', className: 'warning' };
+    if (trainingRecords.some(record => record.userId === userId)) return { label: 'Vigente', className: 'active' };
+    return { label: 'Sin formación', className: 'inactive' };
+  };
+
+  const handleExportTraining = () => {
+    const usersMap = new Map(users.map(user => [user.id, user]));
+    const records = [...trainingRecords].sort((a, b) =>
+      a.userName.localeCompare(b.userName) || new Date(b.trainingDate).getTime() - new Date(a.trainingDate).getTime()
+    );
+    const plans = [...trainingPlans].sort((a, b) => b.year - a.year || a.name.localeCompare(b.name));
+    exportToPDF(
+      'Registro de Formación del Personal',
+      TRAINING_RECORD_HEADERS,
+      records.map(trainingRecordToRow),
+      'registro_formacion',
+      establishmentInfo,
+      plans.length > 0 ? [{ title: 'Plan de Formación', headers: TRAINING_PLAN_HEADERS, data: plans.map(plan => trainingPlanToRow(plan, trainingRecords, usersMap)) }] : []
+    );
+  };
+
   return (
     <div className="user-management">
       <div className="page-header">
@@ -209,13 +257,22 @@ const UserManagementPage: React.FC = () => {
         </div>
         
         {isAdmin && (
-          <button 
-            className="btn-primary"
-            onClick={() => setShowInviteModal(true)}
-          >
-            <span className="btn-icon">➕</span>
-            Invitar Usuario
-          </button>
+          <div className="user-actions">
+            <button
+              className="btn-secondary"
+              onClick={handleExportTraining}
+              disabled={trainingRecords.length === 0}
+            >
+              Registro de Formación (PDF)
+            </button>
+            <button 
+              className="btn-primary"
+              onClick={() => setShowInviteModal(true)}
+            >
+              <span className="btn-icon">➕</span>
+              Invitar Usuario
+            </button>
+          </div>
         )}
       </div>
 
@@ -333,6 +390,7 @@ const UserManagementPage: React.FC = () => {
               <div className="header-cell">Rol</div>
               <div className="header-cell">Estado</div>
               <div className="header-cell">Último Acceso</div>
+              <div className="header-cell">Formación</div>
               {isAdmin && <div className="header-cell">Acciones</div>}
             </div>
             
@@ -378,21 +436,37 @@ const UserManagementPage: React.FC = () => {
                     : 'Nunca'
                   }
                 </div>
+
+                <div className="user-training">
+                  <span className={`status-badge ${getTrainingStatus(user.id).className}`}>
+                    {getTrainingStatus(user.id).label}
+                  </span>
+                </div>
                 
-                {isAdmin && user.id !== currentUser?.id && (
+                {isAdmin && (
                   <div className="user-actions">
                     <button
-                      className={`btn-sm ${user.isActive ? 'btn-warning' : 'btn-success'}`}
-                      onClick={() => handleToggleUserStatus(user.id, user.isActive)}
+                      className="btn-sm btn-secondary"
+                      onClick={() => setTrainingUser(user)}
                     >
-                      {user.isActive ? 'Desactivar' : 'Activar'}
-                    </button>
-                    <button
-                      className="btn-sm btn-danger"
-                      onClick={() => handleRemoveUser(user.id, user.name)}
-                    >
-                      Eliminar
+                      Formación
                     </button>
+                    {user.id !== currentUser?.id && (
+                      <>
+                        <button
+                          className={`btn-sm ${user.isActive ? 'btn-warning' : 'btn-success'}`}
+                          onClick={() => handleToggleUserStatus(user.id, user.isActive)}
+                        >
+                          {user.isActive ? 'Desactivar' : 'Activar'}
+                        </button>
+                        <button
+                          className="btn-sm btn-danger"
+                          onClick={() => handleRemoveUser(user.id, user.name)}
+                        >
+                          Eliminar
+                        </button>
+                      </>
+                    )}
                   </div>
                 )}
               </div>
@@ -401,11 +475,36 @@ const UserManagementPage: React.FC = () => {
         )}
       </div>
 
+      {/* Plan de formación */}
+      {isAdmin && (
+        <TrainingPlanSection
+          plans={trainingPlans}
+          records={trainingRecords}
+          users={users}
+          onAddPlan={addTrainingPlan}
+          onUpdatePlan={updateTrainingPlan}
+          onDeletePlan={deleteTrainingPlan}
+        />
+      )}
+
       <InviteUserModal
         isOpen={showInviteModal}
         onClose={() => setShowInviteModal(false)}
         onInvite={handleInviteUser}
       />
+
+      <TrainingModal
+        user={trainingUser}
+        records={trainingRecords}
+        plans={trainingPlans}
+        onClose={() => setTrainingUser(null)}
+        onAddRecord={addTrainingRecord}
+        onUpdateRecord={updateTrainingRecord}
+        onDeleteRecord={deleteTrainingRecord}
+        onUploadCertificate={uploadTrainingCertificate}
+        onDownloadCertificate={downloadTrainingCertificate}
+        onDeleteCertificate={deleteTrainingCertificate}
+      />
     </div>
   );
 };
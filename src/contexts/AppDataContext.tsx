@@ -1,6 +1,7 @@
-import React, { createContext, useContext, useReducer, useEffect, ReactNode } from 'react';
+import React, { createContext, useContext, useReducer, useEffect, useCallback, ReactNode } from 'react';
 import { useAuth } from './AuthContext';
-import { recordsService, configService } from '../services';
+import { recordsService, configService, cleaningService, costingService, incidentService, excursionService, missedCheckService, dataLoggerService, chemicalProductService, pestControlService, waterService, fryingOilService, trainingService } from '../services';
+import type { StatsResponse, RecordsFilters, RecordsListResponse, ListPagination, ExportableRecordType, ExportFormat, ImportResult, SearchableRecordType, LoggerIngestResult } from '../services';
 
 // Importar tipos existentes (mantenemos compatibilidad)
 import { 
@@ -13,12 +14,57 @@ import {
   DailySurface,
   DailyCleaningRecord,
   FrequentArea,
+  CleaningTask,
+  ChemicalProduct,
+  ChemicalProductFormData,
+  ChemicalDocumentKind,
+  PestStation,
+  PestStationFormData,
+  PestControlVisit,
+  PestControlVisitFormData,
+  WaterSamplingPoint,
+  WaterSamplingPointFormData,
+  WaterRecord,
+  WaterRecordFormData,
+  WaterAnalysis,
+  WaterAnalysisFormData,
+  Fryer,
+  FryerFormData,
+  FryingOilEvent,
+  FryingOilEventFormData,
+  FryingOilAlert,
+  TrainingPlan,
+  TrainingPlanFormData,
+  TrainingRecord,
+  TrainingRecordFormData,
+  ExpiringTraining,
   Costing,
+  CostingHistoryEntry,
   OutgoingRecord,
   ElaboratedRecord,
-  EstablishmentInfo
+  Incident,
+  IncidentStatus,
+  IncidentFormData,
+  CorrectiveActionFormData,
+  EstablishmentInfo,
+  CatalogKey,
+  ConfigCatalogs,
+  LotSourceType,
+  LotOption,
+  LotGenealogy,
+  RecallDirection,
+  RecallReport,
+  TemperatureExcursion,
+  ExcursionStatus,
+  MissedCheck,
+  DataLogger,
+  DataLoggerFormData,
+  StorageSeries
 } from '../types';
 
+// Listados que se cargan por páginas: la primera al iniciar y las siguientes a petición
+export type PagedRecordList = 'storage' | 'cleaning-records' | 'outgoing' | 'elaborated' | 'technical-sheets' | 'incidents' | 'delivery';
+
 // Estado de la aplicación
 export interface AppDataState {
   // Datos principales
@@ -30,17 +76,60 @@ export interface AppDataState {
   suppliers: Supplier[];
   productTypes: ProductType[];
   storageUnits: StorageUnit[];
+  catalogs: ConfigCatalogs;
   
   // Datos de limpieza
   dailySurfaces: DailySurface[];
   dailyCleaningRecords: DailyCleaningRecord[];
   frequentAreas: FrequentArea[];
+  // Tareas de hoy generadas por el Plan L+D
+  cleaningTasks: CleaningTask[];
+  // Registro de productos químicos de limpieza
+  chemicalProducts: ChemicalProduct[];
+  
+  // Control de plagas
+  pestStations: PestStation[];
+  pestControlVisits: PestControlVisit[];
+  
+  // Control del agua
+  waterPoints: WaterSamplingPoint[];
+  waterRecords: WaterRecord[];
+  waterAnalyses: WaterAnalysis[];
+  
+  // Aceite de fritura
+  fryers: Fryer[];
+  fryingOilEvents: FryingOilEvent[];
+  fryingOilAlerts: FryingOilAlert[];
+  
+  // Formación del personal
+  trainingPlans: TrainingPlan[];
+  trainingRecords: TrainingRecord[];
+  expiringTrainings: ExpiringTraining[];
   
   // Datos de costos y producción
   costings: Costing[];
   outgoingRecords: OutgoingRecord[];
   elaboratedRecords: ElaboratedRecord[];
   
+  // Incidencias
+  incidents: Incident[];
+  
+  // Excursiones de temperatura de las cámaras
+  excursions: TemperatureExcursion[];
+  
+  // Controles de temperatura programados no realizados
+  missedChecks: MissedCheck[];
+  
+  // Sondas (registradores de datos) de las cámaras
+  dataLoggers: DataLogger[];
+  
+  // Paginación de los listados cargados por páginas
+  listPagination: Partial<Record<PagedRecordList, ListPagination>>;
+  
+  // Estadísticas calculadas en el servidor (últimos días)
+  deliveryStats: StatsResponse | null;
+  storageStats: StatsResponse[];
+  
   // Información del establecimiento
   establishmentInfo: EstablishmentInfo | null;
   
@@ -59,22 +148,27 @@ type AppDataAction =
   | { type: 'SET_ERROR'; payload: string }
   | { type: 'CLEAR_ERROR' }
   | { type: 'SET_LAST_SYNC'; payload: Date }
+  | { type: 'SET_STATS'; payload: { deliveryStats: StatsResponse | null; storageStats: StatsResponse[] } }
   | { type: 'SET_UNSAVED_CHANGES'; payload: boolean }
+  | { type: 'SET_LIST_PAGINATION'; payload: { list: PagedRecordList; pagination: ListPagination } }
   
   // Delivery Records
   | { type: 'SET_DELIVERY_RECORDS'; payload: DeliveryRecord[] }
+  | { type: 'APPEND_DELIVERY_RECORDS'; payload: DeliveryRecord[] }
   | { type: 'ADD_DELIVERY_RECORD'; payload: DeliveryRecord }
   | { type: 'UPDATE_DELIVERY_RECORD'; payload: { id: string; data: Partial<DeliveryRecord> } }
   | { type: 'REMOVE_DELIVERY_RECORD'; payload: string }
   
   // Storage Records
   | { type: 'SET_STORAGE_RECORDS'; payload: StorageRecord[] }
+  | { type: 'APPEND_STORAGE_RECORDS'; payload: StorageRecord[] }
   | { type: 'ADD_STORAGE_RECORD'; payload: StorageRecord }
   | { type: 'UPDATE_STORAGE_RECORD'; payload: { id: string; data: Partial<StorageRecord> } }
   | { type: 'REMOVE_STORAGE_RECORD'; payload: string }
   
   // Technical Sheets
   | { type: 'SET_TECHNICAL_SHEETS'; payload: TechnicalSheet[] }
+  | { type: 'APPEND_TECHNICAL_SHEETS'; payload: TechnicalSheet[] }
   | { type: 'ADD_TECHNICAL_SHEET'; payload: TechnicalSheet }
   | { type: 'UPDATE_TECHNICAL_SHEET'; payload: { id: string; data: Partial<TechnicalSheet> } }
   | { type: 'REMOVE_TECHNICAL_SHEET'; payload: string }
@@ -82,43 +176,134 @@ type AppDataAction =
   // Configuration data
   | { type: 'SET_SUPPLIERS'; payload: Supplier[] }
   | { type: 'ADD_SUPPLIER'; payload: Supplier }
+  | { type: 'UPDATE_SUPPLIER'; payload: Supplier }
   | { type: 'REMOVE_SUPPLIER'; payload: string }
   
   | { type: 'SET_PRODUCT_TYPES'; payload: ProductType[] }
   | { type: 'ADD_PRODUCT_TYPE'; payload: ProductType }
+  | { type: 'UPDATE_PRODUCT_TYPE'; payload: ProductType }
   | { type: 'REMOVE_PRODUCT_TYPE'; payload: string }
   
   | { type: 'SET_STORAGE_UNITS'; payload: StorageUnit[] }
   | { type: 'ADD_STORAGE_UNIT'; payload: StorageUnit }
+  | { type: 'UPDATE_STORAGE_UNIT'; payload: StorageUnit }
   | { type: 'REMOVE_STORAGE_UNIT'; payload: string }
   
+  | { type: 'SET_CATALOGS'; payload: ConfigCatalogs }
+  | { type: 'UPDATE_CATALOG'; payload: { catalog: CatalogKey; items: string[] } }
+  
   // Cleaning data
   | { type: 'SET_DAILY_SURFACES'; payload: DailySurface[] }
   | { type: 'ADD_DAILY_SURFACE'; payload: DailySurface }
+  | { type: 'UPDATE_DAILY_SURFACE'; payload: DailySurface }
   | { type: 'REMOVE_DAILY_SURFACE'; payload: string }
   
   | { type: 'SET_DAILY_CLEANING_RECORDS'; payload: DailyCleaningRecord[] }
+  | { type: 'APPEND_DAILY_CLEANING_RECORDS'; payload: DailyCleaningRecord[] }
   | { type: 'ADD_DAILY_CLEANING_RECORD'; payload: DailyCleaningRecord }
   | { type: 'REMOVE_DAILY_CLEANING_RECORD'; payload: string }
   
   | { type: 'SET_FREQUENT_AREAS'; payload: FrequentArea[] }
   | { type: 'ADD_FREQUENT_AREA'; payload: FrequentArea }
+  | { type: 'UPDATE_FREQUENT_AREA'; payload: FrequentArea }
   | { type: 'REMOVE_FREQUENT_AREA'; payload: string }
-  | { type: 'CLEAN_FREQUENT_AREA'; payload: string }
+  | { type: 'CLEAN_FREQUENT_AREA'; payload: { area: FrequentArea; record: DailyCleaningRecord } }
+  | { type: 'SET_CLEANING_TASKS'; payload: CleaningTask[] }
+  | { type: 'SET_CHEMICAL_PRODUCTS'; payload: ChemicalProduct[] }
+  | { type: 'ADD_CHEMICAL_PRODUCT'; payload: ChemicalProduct }
+  | { type: 'UPDATE_CHEMICAL_PRODUCT'; payload: ChemicalProduct }
+  | { type: 'REMOVE_CHEMICAL_PRODUCT'; payload: string }
+  
+  // Pest control
+  | { type: 'SET_PEST_STATIONS'; payload: PestStation[] }
+  | { type: 'ADD_PEST_STATION'; payload: PestStation }
+  | { type: 'UPDATE_PEST_STATION'; payload: PestStation }
+  | { type: 'REMOVE_PEST_STATION'; payload: string }
+  | { type: 'SET_PEST_CONTROL_VISITS'; payload: PestControlVisit[] }
+  | { type: 'ADD_PEST_CONTROL_VISIT'; payload: PestControlVisit }
+  | { type: 'UPDATE_PEST_CONTROL_VISIT'; payload: PestControlVisit }
+  | { type: 'REMOVE_PEST_CONTROL_VISIT'; payload: string }
+  
+  // Water control
+  | { type: 'SET_WATER_POINTS'; payload: WaterSamplingPoint[] }
+  | { type: 'ADD_WATER_POINT'; payload: WaterSamplingPoint }
+  | { type: 'UPDATE_WATER_POINT'; payload: WaterSamplingPoint }
+  | { type: 'REMOVE_WATER_POINT'; payload: string }
+  | { type: 'SET_WATER_RECORDS'; payload: WaterRecord[] }
+  | { type: 'ADD_WATER_RECORD'; payload: WaterRecord }
+  | { type: 'REMOVE_WATER_RECORD'; payload: string }
+  | { type: 'SET_WATER_ANALYSES'; payload: WaterAnalysis[] }
+  | { type: 'ADD_WATER_ANALYSIS'; payload: WaterAnalysis }
+  | { type: 'UPDATE_WATER_ANALYSIS'; payload: WaterAnalysis }
+  | { type: 'REMOVE_WATER_ANALYSIS'; payload: string }
+  
+  // Frying oil
+  | { type: 'SET_FRYERS'; payload: Fryer[] }
+  | { type: 'ADD_FRYER'; payload: Fryer }
+  | { type: 'UPDATE_FRYER'; payload: Fryer }
+  | { type: 'REMOVE_FRYER'; payload: string }
+  | { type: 'SET_FRYING_OIL_EVENTS'; payload: FryingOilEvent[] }
+  | { type: 'ADD_FRYING_OIL_EVENT'; payload: FryingOilEvent }
+  | { type: 'REMOVE_FRYING_OIL_EVENT'; payload: string }
+  | { type: 'SET_FRYING_OIL_ALERTS'; payload: FryingOilAlert[] }
+  
+  // Staff training
+  | { type: 'SET_TRAINING_PLANS'; payload: TrainingPlan[] }
+  | { type: 'ADD_TRAINING_PLAN'; payload: TrainingPlan }
+  | { type: 'UPDATE_TRAINING_PLAN'; payload: TrainingPlan }
+  | { type: 'REMOVE_TRAINING_PLAN'; payload: string }
+  | { type: 'SET_TRAINING_RECORDS'; payload: TrainingRecord[] }
+  | { type: 'ADD_TRAINING_RECORD'; payload: TrainingRecord }
+  | { type: 'UPDATE_TRAINING_RECORD'; payload: TrainingRecord }
+  | { type: 'REMOVE_TRAINING_RECORD'; payload: string }
+  | { type: 'SET_EXPIRING_TRAININGS'; payload: ExpiringTraining[] }
   
   // Production data
   | { type: 'SET_COSTINGS'; payload: Costing[] }
+  | { type: 'ADD_COSTING'; payload: Costing }
+  | { type: 'UPDATE_COSTING'; payload: Costing }
+  | { type: 'REMOVE_COSTING'; payload: string }
+  
   | { type: 'SET_OUTGOING_RECORDS'; payload: OutgoingRecord[] }
+  | { type: 'APPEND_OUTGOING_RECORDS'; payload: OutgoingRecord[] }
   | { type: 'ADD_OUTGOING_RECORD'; payload: OutgoingRecord }
   | { type: 'REMOVE_OUTGOING_RECORD'; payload: string }
   
   | { type: 'SET_ELABORATED_RECORDS'; payload: ElaboratedRecord[] }
+  | { type: 'APPEND_ELABORATED_RECORDS'; payload: ElaboratedRecord[] }
   | { type: 'ADD_ELABORATED_RECORD'; payload: ElaboratedRecord }
   | { type: 'REMOVE_ELABORATED_RECORD'; payload: string }
   
+  // Incidents
+  | { type: 'SET_INCIDENTS'; payload: Incident[] }
+  | { type: 'APPEND_INCIDENTS'; payload: Incident[] }
+  | { type: 'ADD_INCIDENT'; payload: Incident }
+  | { type: 'UPDATE_INCIDENT'; payload: Incident }
+  | { type: 'REMOVE_INCIDENT'; payload: string }
+  
+  // Temperature excursions
+  | { type: 'SET_EXCURSIONS'; payload: TemperatureExcursion[] }
+  | { type: 'UPDATE_EXCURSION'; payload: TemperatureExcursion }
+  
+  // Missed checks
+  | { type: 'SET_MISSED_CHECKS'; payload: MissedCheck[] }
+  | { type: 'UPDATE_MISSED_CHECK'; payload: MissedCheck }
+  
+  // Data loggers
+  | { type: 'SET_DATA_LOGGERS'; payload: DataLogger[] }
+  | { type: 'ADD_DATA_LOGGER'; payload: DataLogger }
+  | { type: 'UPDATE_DATA_LOGGER'; payload: DataLogger }
+  | { type: 'REMOVE_DATA_LOGGER'; payload: string }
+  
   // Establishment info
   | { type: 'SET_ESTABLISHMENT_INFO'; payload: EstablishmentInfo };
 
+// Periodo por defecto de las estadísticas del panel principal
+export const STATS_PERIOD_DAYS = 30;
+
+// Días de antelación con los que se avisa de los certificados de formación que caducan
+export const TRAINING_EXPIRY_WARNING_DAYS = 30;
+
 // Estado inicial
 const initialState: AppDataState = {
   deliveryRecords: [],
@@ -127,12 +312,34 @@ const initialState: AppDataState = {
   suppliers: [],
   productTypes: [],
   storageUnits: [],
+  // Vacíos hasta cargar los de la organización (GET /api/config)
+  catalogs: { 'storage-types': [], 'units': [], 'categories': [], 'transport-conditions': [] },
   dailySurfaces: [],
   dailyCleaningRecords: [],
   frequentAreas: [],
+  cleaningTasks: [],
+  chemicalProducts: [],
+  pestStations: [],
+  pestControlVisits: [],
+  waterPoints: [],
+  waterRecords: [],
+  waterAnalyses: [],
+  fryers: [],
+  fryingOilEvents: [],
+  fryingOilAlerts: [],
+  trainingPlans: [],
+  trainingRecords: [],
+  expiringTrainings: [],
   costings: [],
   outgoingRecords: [],
   elaboratedRecords: [],
+  incidents: [],
+  excursions: [],
+  missedChecks: [],
+  dataLoggers: [],
+  listPagination: {},
+  deliveryStats: null,
+  storageStats: [],
   establishmentInfo: null,
   isLoading: false,
   error: null,
@@ -140,6 +347,16 @@ const initialState: AppDataState = {
   hasUnsavedChanges: false,
 };
 
+// Añade una página a un listado sin repetir registros (las altas hechas en la app desplazan los demás a la página siguiente)
+const appendNewRecords = <T extends { id: string }>(records: T[], page: T[]): T[] => {
+  const loadedIds = new Set(records.map(record => record.id));
+  return [...records, ...page.filter(record => !loadedIds.has(record.id))];
+};
+
+// Una página que no se ha podido cargar no se omite: el listado quedaría incompleto sin avisar
+const pageLoadError = (response: { message?: string }) =>
+  new Error(response.message || 'No se pudo cargar la página siguiente del listado');
+
 // Reducer para manejar el estado de los datos
 const appDataReducer = (state: AppDataState, action: AppDataAction): AppDataState => {
   switch (action.type) {
@@ -158,10 +375,19 @@ const appDataReducer = (state: AppDataState, action: AppDataAction): AppDataStat
     case 'SET_UNSAVED_CHANGES':
       return { ...state, hasUnsavedChanges: action.payload };
 
+    case 'SET_LIST_PAGINATION':
+      return {
+        ...state,
+        listPagination: { ...state.listPagination, [action.payload.list]: action.payload.pagination }
+      };
+
     // Delivery Records
     case 'SET_DELIVERY_RECORDS':
       return { ...state, deliveryRecords: action.payload };
 
+    case 'APPEND_DELIVERY_RECORDS':
+      return { ...state, deliveryRecords: appendNewRecords(state.deliveryRecords, action.payload) };
+
     case 'ADD_DELIVERY_RECORD':
       return { 
         ...state, 
@@ -191,6 +417,9 @@ const appDataReducer = (state: AppDataState, action: AppDataAction): AppDataStat
     case 'SET_STORAGE_RECORDS':
       return { ...state, storageRecords: action.payload };
 
+    case 'APPEND_STORAGE_RECORDS':
+      return { ...state, storageRecords: appendNewRecords(state.storageRecords, action.payload) };
+
     case 'ADD_STORAGE_RECORD':
       return { 
         ...state, 
@@ -220,6 +449,9 @@ const appDataReducer = (state: AppDataState, action: AppDataAction): AppDataStat
     case 'SET_TECHNICAL_SHEETS':
       return { ...state, technicalSheets: action.payload };
 
+    case 'APPEND_TECHNICAL_SHEETS':
+      return { ...state, technicalSheets: appendNewRecords(state.technicalSheets, action.payload) };
+
     case 'ADD_TECHNICAL_SHEET':
       return { 
         ...state, 
@@ -256,6 +488,15 @@ const appDataReducer = (state: AppDataState, action: AppDataAction): AppDataStat
         hasUnsavedChanges: true 
       };
 
+    case 'UPDATE_SUPPLIER':
+      return {
+        ...state,
+        suppliers: state.suppliers.map(supplier =>
+          supplier.id === action.payload.id ? action.payload : supplier
+        ),
+        hasUnsavedChanges: true,
+      };
+
     case 'REMOVE_SUPPLIER':
       return {
         ...state,
@@ -274,6 +515,15 @@ const appDataReducer = (state: AppDataState, action: AppDataAction): AppDataStat
         hasUnsavedChanges: true 
       };
 
+    case 'UPDATE_PRODUCT_TYPE':
+      return {
+        ...state,
+        productTypes: state.productTypes.map(type =>
+          type.id === action.payload.id ? action.payload : type
+        ),
+        hasUnsavedChanges: true,
+      };
+
     case 'REMOVE_PRODUCT_TYPE':
       return {
         ...state,
@@ -292,208 +542,1909 @@ const appDataReducer = (state: AppDataState, action: AppDataAction): AppDataStat
         hasUnsavedChanges: true 
       };
 
+    case 'UPDATE_STORAGE_UNIT':
+      return {
+        ...state,
+        storageUnits: state.storageUnits.map(unit =>
+          unit.id === action.payload.id ? action.payload : unit
+        ),
+      };
+
     case 'REMOVE_STORAGE_UNIT':
       return {
         ...state,
         storageUnits: state.storageUnits.filter(unit => unit.id !== action.payload),
+        // Las sondas y los controles no realizados de la cámara se eliminan con ella
+        dataLoggers: state.dataLoggers.filter(dataLogger => dataLogger.unitId !== action.payload),
+        missedChecks: state.missedChecks.filter(check => check.unitId !== action.payload),
         hasUnsavedChanges: true,
       };
 
-    // Establishment Info
-    case 'SET_ESTABLISHMENT_INFO':
-      return { ...state, establishmentInfo: action.payload };
+    // Catálogos configurables
+    case 'SET_CATALOGS':
+      return { ...state, catalogs: { ...state.catalogs, ...action.payload } };
 
-    // ... Agregar más casos según sea necesario
+    case 'UPDATE_CATALOG':
+      return {
+        ...state,
+        catalogs: { ...state.catalogs, [action.payload.catalog]: action.payload.items },
+      };
 
-    default:
-      return state;
-  }
-};
+    // Daily Surfaces
+    case 'SET_DAILY_SURFACES':
+      return { ...state, dailySurfaces: action.payload };
 
-// Interfaz del contexto
-interface AppDataContextType extends AppDataState {
-  // Métodos para cargar datos
-  loadAllData: () => Promise<void>;
-  syncData: () => Promise<void>;
-  
-  // Delivery Records
-  addDeliveryRecord: (record: Omit<DeliveryRecord, 'id' | 'userId'>) => Promise<void>;
-  updateDeliveryRecord: (id: string, data: Partial<DeliveryRecord>) => Promise<void>;
-  deleteDeliveryRecord: (id: string) => Promise<void>;
-  
-  // Storage Records
-  addStorageRecord: (record: Omit<StorageRecord, 'id' | 'userId'>) => Promise<void>;
-  updateStorageRecord: (id: string, data: Partial<StorageRecord>) => Promise<void>;
-  deleteStorageRecord: (id: string) => Promise<void>;
-  
-  // Technical Sheets
-  addTechnicalSheet: (sheet: Omit<TechnicalSheet, 'id'>) => Promise<void>;
-  updateTechnicalSheet: (id: string, data: Partial<TechnicalSheet>) => Promise<void>;
-  deleteTechnicalSheet: (id: string) => Promise<void>;
-  
-  // Configuration
-  addSupplier: (supplier: Omit<Supplier, 'id'>) => Promise<void>;
-  deleteSupplier: (id: string) => Promise<void>;
-  
-  addProductType: (type: Omit<ProductType, 'id'>) => Promise<void>;
-  deleteProductType: (id: string) => Promise<void>;
-  
-  addStorageUnit: (unit: Omit<StorageUnit, 'id'>) => Promise<void>;
-  deleteStorageUnit: (id: string) => Promise<void>;
-  
-  // Establishment
-  updateEstablishmentInfo: (info: EstablishmentInfo) => Promise<void>;
-  
-  // Utilidades
-  clearError: () => void;
-  markAsSaved: () => void;
-}
+    case 'ADD_DAILY_SURFACE':
+      return { 
+        ...state, 
+        dailySurfaces: [...state.dailySurfaces, action.payload],
+        hasUnsavedChanges: true 
+      };
 
-// Crear el contexto
-const AppDataContext = createContext<AppDataContextType | undefined>(undefined);
+    case 'UPDATE_DAILY_SURFACE':
+      return {
+        ...state,
+        dailySurfaces: state.dailySurfaces.map(surface =>
+          surface.id === action.payload.id ? action.payload : surface
+        ),
+        hasUnsavedChanges: true,
+      };
 
-// Hook para usar el contexto
-export const useAppData = () => {
-  const context = useContext(AppDataContext);
-  if (context === undefined) {
-    throw new Error('useAppData debe ser usado dentro de un AppDataProvider');
-  }
-  return context;
-};
+    case 'REMOVE_DAILY_SURFACE':
+      return {
+        ...state,
+        dailySurfaces: state.dailySurfaces.filter(surface => surface.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
 
-// Los servicios manejan la URL de la API automáticamente
+    // Daily Cleaning Records
+    case 'SET_DAILY_CLEANING_RECORDS':
+      return { ...state, dailyCleaningRecords: action.payload };
 
-// Provider del contexto
-export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
-  const [state, dispatch] = useReducer(appDataReducer, initialState);
-  const { token, isAuthenticated } = useAuth();
+    case 'APPEND_DAILY_CLEANING_RECORDS':
+      return { ...state, dailyCleaningRecords: appendNewRecords(state.dailyCleaningRecords, action.payload) };
 
-  // Los servicios ya manejan la autenticación automáticamente
+    case 'ADD_DAILY_CLEANING_RECORD':
+      return { 
+        ...state, 
+        dailyCleaningRecords: [action.payload, ...state.dailyCleaningRecords],
+        hasUnsavedChanges: true 
+      };
 
-  // Cargar todos los datos
-  const loadAllData = async () => {
-    dispatch({ type: 'SET_LOADING', payload: true });
-    
-    try {
-      // Cargar datos principales en paralelo usando los servicios
-      const [
-        deliveryResponse,
-        storageResponse,
-        technicalSheetsResponse,
-        suppliersResponse,
-        establishmentResponse
-      ] = await Promise.all([
-        recordsService.getDeliveryRecords().catch(() => ({ success: false, data: { records: [] } })),
-        recordsService.getStorageRecords().catch(() => ({ success: false, data: { records: [] } })),
-        recordsService.getTechnicalSheets().catch(() => ({ success: false, data: { records: [] } })),
-        configService.getSuppliers().catch(() => ({ success: false, data: [] })),
-        configService.getEstablishmentInfo().catch(() => ({ success: false, data: null }))
-      ]);
+    case 'REMOVE_DAILY_CLEANING_RECORD':
+      return {
+        ...state,
+        dailyCleaningRecords: state.dailyCleaningRecords.filter(record => record.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
 
-      // Actualizar el estado con todos los datos
-      if (deliveryResponse.success && deliveryResponse.data) {
-        dispatch({ type: 'SET_DELIVERY_RECORDS', payload: deliveryResponse.data.records || [] });
-      }
-      
-      if (storageResponse.success && storageResponse.data) {
-        dispatch({ type: 'SET_STORAGE_RECORDS', payload: storageResponse.data.records || [] });
-      }
-      
-      if (technicalSheetsResponse.success && technicalSheetsResponse.data) {
-        dispatch({ type: 'SET_TECHNICAL_SHEETS', payload: technicalSheetsResponse.data.records || [] });
-      }
-      
-      if (suppliersResponse.success && suppliersResponse.data) {
-        dispatch({ type: 'SET_SUPPLIERS', payload: suppliersResponse.data });
-      }
-      
-      if (establishmentResponse.success && establishmentResponse.data) {
-        dispatch({ type: 'SET_ESTABLISHMENT_INFO', payload: establishmentResponse.data });
-      }
-      
-      dispatch({ type: 'SET_LAST_SYNC', payload: new Date() });
-      
-    } catch (error: any) {
-      console.error('Error cargando datos:', error);
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-    } finally {
-      dispatch({ type: 'SET_LOADING', payload: false });
-    }
-  };
+    // Frequent Areas
+    case 'SET_FREQUENT_AREAS':
+      return { ...state, frequentAreas: action.payload };
 
-  // Sincronizar datos
-  const syncData = async () => {
-    await loadAllData();
-    dispatch({ type: 'SET_UNSAVED_CHANGES', payload: false });
-  };
+    case 'ADD_FREQUENT_AREA':
+      return { 
+        ...state, 
+        frequentAreas: [...state.frequentAreas, action.payload],
+        hasUnsavedChanges: true 
+      };
 
-  // Delivery Records
-  const addDeliveryRecord = async (record: Omit<DeliveryRecord, 'id' | 'userId'>) => {
-    try {
-      const response = await recordsService.createDeliveryRecord(record);
-      if (response.success && response.data) {
-        dispatch({ type: 'ADD_DELIVERY_RECORD', payload: response.data });
-      }
-    } catch (error: any) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-      throw error;
-    }
-  };
+    case 'UPDATE_FREQUENT_AREA':
+      return {
+        ...state,
+        frequentAreas: state.frequentAreas.map(area =>
+          area.id === action.payload.id ? action.payload : area
+        ),
+        hasUnsavedChanges: true,
+      };
 
-  const updateDeliveryRecord = async (id: string, recordData: Partial<DeliveryRecord>) => {
-    try {
-      const response = await recordsService.updateDeliveryRecord(id, recordData);
-      if (response.success && response.data) {
-        dispatch({ type: 'UPDATE_DELIVERY_RECORD', payload: { id, data: response.data } });
-      }
-    } catch (error: any) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-      throw error;
-    }
-  };
+    case 'REMOVE_FREQUENT_AREA':
+      return {
+        ...state,
+        frequentAreas: state.frequentAreas.filter(area => area.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
 
-  const deleteDeliveryRecord = async (id: string) => {
-    try {
-      const response = await recordsService.deleteDeliveryRecord(id);
-      if (response.success) {
-        dispatch({ type: 'REMOVE_DELIVERY_RECORD', payload: id });
-      }
-    } catch (error: any) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-      throw error;
-    }
-  };
+    case 'CLEAN_FREQUENT_AREA':
+      return {
+        ...state,
+        frequentAreas: state.frequentAreas.map(area =>
+          area.id === action.payload.area.id ? action.payload.area : area
+        ),
+        dailyCleaningRecords: [action.payload.record, ...state.dailyCleaningRecords],
+        hasUnsavedChanges: true,
+      };
 
-  // Storage Records
-  const addStorageRecord = async (record: Omit<StorageRecord, 'id' | 'userId'>) => {
-    try {
-      const response = await recordsService.createStorageRecord(record);
-      if (response.success && response.data) {
-        dispatch({ type: 'ADD_STORAGE_RECORD', payload: response.data });
-      }
-    } catch (error: any) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
-      throw error;
-    }
-  };
+    case 'SET_CLEANING_TASKS':
+      return { ...state, cleaningTasks: action.payload };
 
-  const updateStorageRecord = async (id: string, recordData: Partial<StorageRecord>) => {
-    try {
-      const response = await recordsService.updateStorageRecord(id, recordData);
-      if (response.success && response.data) {
-        dispatch({ type: 'UPDATE_STORAGE_RECORD', payload: { id, data: response.data } });
-      }
-    } catch (error: any) {
-      dispatch({ type: 'SET_ERROR', payload: error.message });
+    // Chemical Products
+    case 'SET_CHEMICAL_PRODUCTS':
+      return { ...state, chemicalProducts: action.payload };
+
+    case 'ADD_CHEMICAL_PRODUCT':
+      return {
+        ...state,
+        chemicalProducts: [...state.chemicalProducts, action.payload].sort((a, b) => a.name.localeCompare(b.name)),
+      };
+
+    case 'UPDATE_CHEMICAL_PRODUCT':
+      return {
+        ...state,
+        chemicalProducts: state.chemicalProducts.map(product =>
+          product.id === action.payload.id ? action.payload : product
+        ),
+      };
+
+    case 'REMOVE_CHEMICAL_PRODUCT':
+      return {
+        ...state,
+        chemicalProducts: state.chemicalProducts.filter(product => product.id !== action.payload),
+      };
+
+    // Pest Control
+    case 'SET_PEST_STATIONS':
+      return { ...state, pestStations: action.payload };
+
+    case 'ADD_PEST_STATION':
+      return {
+        ...state,
+        pestStations: [...state.pestStations, action.payload].sort((a, b) => a.number - b.number),
+      };
+
+    case 'UPDATE_PEST_STATION':
+      return {
+        ...state,
+        pestStations: state.pestStations
+          .map(station => station.id === action.payload.id ? action.payload : station)
+          .sort((a, b) => a.number - b.number),
+      };
+
+    case 'REMOVE_PEST_STATION':
+      return {
+        ...state,
+        pestStations: state.pestStations.filter(station => station.id !== action.payload),
+      };
+
+    case 'SET_PEST_CONTROL_VISITS':
+      return { ...state, pestControlVisits: action.payload };
+
+    case 'ADD_PEST_CONTROL_VISIT':
+      return {
+        ...state,
+        pestControlVisits: [action.payload, ...state.pestControlVisits],
+        hasUnsavedChanges: true,
+      };
+
+    case 'UPDATE_PEST_CONTROL_VISIT':
+      return {
+        ...state,
+        pestControlVisits: state.pestControlVisits.map(visit =>
+          visit.id === action.payload.id ? action.payload : visit
+        ),
+        hasUnsavedChanges: true,
+      };
+
+    case 'REMOVE_PEST_CONTROL_VISIT':
+      return {
+        ...state,
+        pestControlVisits: state.pestControlVisits.filter(visit => visit.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
+
+    // Water Control
+    case 'SET_WATER_POINTS':
+      return { ...state, waterPoints: action.payload };
+
+    case 'ADD_WATER_POINT':
+      return {
+        ...state,
+        waterPoints: [...state.waterPoints, action.payload].sort((a, b) => a.name.localeCompare(b.name)),
+      };
+
+    case 'UPDATE_WATER_POINT':
+      return {
+        ...state,
+        waterPoints: state.waterPoints
+          .map(point => point.id === action.payload.id ? action.payload : point)
+          .sort((a, b) => a.name.localeCompare(b.name)),
+      };
+
+    // Las lecturas del punto se eliminan con él y sus análisis quedan sin punto
+    case 'REMOVE_WATER_POINT':
+      return {
+        ...state,
+        waterPoints: state.waterPoints.filter(point => point.id !== action.payload),
+        waterRecords: state.waterRecords.filter(record => record.pointId !== action.payload),
+        waterAnalyses: state.waterAnalyses.map(analysis =>
+          analysis.pointId === action.payload ? { ...analysis, pointId: null } : analysis
+        ),
+      };
+
+    case 'SET_WATER_RECORDS':
+      return { ...state, waterRecords: action.payload };
+
+    case 'ADD_WATER_RECORD':
+      return {
+        ...state,
+        waterRecords: [action.payload, ...state.waterRecords],
+        hasUnsavedChanges: true,
+      };
+
+    case 'REMOVE_WATER_RECORD':
+      return {
+        ...state,
+        waterRecords: state.waterRecords.filter(record => record.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
+
+    case 'SET_WATER_ANALYSES':
+      return { ...state, waterAnalyses: action.payload };
+
+    case 'ADD_WATER_ANALYSIS':
+      return {
+        ...state,
+        waterAnalyses: [action.payload, ...state.waterAnalyses],
+        hasUnsavedChanges: true,
+      };
+
+    case 'UPDATE_WATER_ANALYSIS':
+      return {
+        ...state,
+        waterAnalyses: state.waterAnalyses.map(analysis =>
+          analysis.id === action.payload.id ? action.payload : analysis
+        ),
+        hasUnsavedChanges: true,
+      };
+
+    case 'REMOVE_WATER_ANALYSIS':
+      return {
+        ...state,
+        waterAnalyses: state.waterAnalyses.filter(analysis => analysis.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
+
+    // Frying Oil
+    case 'SET_FRYERS':
+      return { ...state, fryers: action.payload };
+
+    case 'ADD_FRYER':
+      return {
+        ...state,
+        fryers: [...state.fryers, action.payload].sort((a, b) => a.name.localeCompare(b.name)),
+      };
+
+    case 'UPDATE_FRYER':
+      return {
+        ...state,
+        fryers: state.fryers
+          .map(fryer => fryer.id === action.payload.id ? action.payload : fryer)
+          .sort((a, b) => a.name.localeCompare(b.name)),
+      };
+
+    // El historial de la freidora se elimina con ella
+    case 'REMOVE_FRYER':
+      return {
+        ...state,
+        fryers: state.fryers.filter(fryer => fryer.id !== action.payload),
+        fryingOilEvents: state.fryingOilEvents.filter(event => event.fryerId !== action.payload),
+      };
+
+    case 'SET_FRYING_OIL_EVENTS':
+      return { ...state, fryingOilEvents: action.payload };
+
+    // Se mantiene el orden cronológico descendente aunque el registro sea de una fecha anterior
+    case 'ADD_FRYING_OIL_EVENT':
+      return {
+        ...state,
+        fryingOilEvents: [action.payload, ...state.fryingOilEvents]
+          .sort((a, b) => new Date(b.dateTime).getTime() - new Date(a.dateTime).getTime()),
+        hasUnsavedChanges: true,
+      };
+
+    case 'REMOVE_FRYING_OIL_EVENT':
+      return {
+        ...state,
+        fryingOilEvents: state.fryingOilEvents.filter(event => event.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
+
+    case 'SET_FRYING_OIL_ALERTS':
+      return { ...state, fryingOilAlerts: action.payload };
+
+    // Staff Training
+    case 'SET_TRAINING_PLANS':
+      return { ...state, trainingPlans: action.payload };
+
+    case 'ADD_TRAINING_PLAN':
+      return {
+        ...state,
+        trainingPlans: [...state.trainingPlans, action.payload],
+      };
+
+    case 'UPDATE_TRAINING_PLAN':
+      return {
+        ...state,
+        trainingPlans: state.trainingPlans.map(plan => plan.id === action.payload.id ? action.payload : plan),
+      };
+
+    // Las formaciones de la acción eliminada quedan sin acción
+    case 'REMOVE_TRAINING_PLAN':
+      return {
+        ...state,
+        trainingPlans: state.trainingPlans.filter(plan => plan.id !== action.payload),
+        trainingRecords: state.trainingRecords.map(record =>
+          record.planId === action.payload ? { ...record, planId: null } : record
+        ),
+      };
+
+    case 'SET_TRAINING_RECORDS':
+      return { ...state, trainingRecords: action.payload };
+
+    case 'ADD_TRAINING_RECORD':
+      return {
+        ...state,
+        trainingRecords: [action.payload, ...state.trainingRecords],
+        hasUnsavedChanges: true,
+      };
+
+    case 'UPDATE_TRAINING_RECORD':
+      return {
+        ...state,
+        trainingRecords: state.trainingRecords.map(record =>
+          record.id === action.payload.id ? action.payload : record
+        ),
+        hasUnsavedChanges: true,
+      };
+
+    case 'REMOVE_TRAINING_RECORD':
+      return {
+        ...state,
+        trainingRecords: state.trainingRecords.filter(record => record.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
+
+    case 'SET_EXPIRING_TRAININGS':
+      return { ...state, expiringTrainings: action.payload };
+
+    // Costings
+    case 'SET_COSTINGS':
+      return { ...state, costings: action.payload };
+
+    case 'ADD_COSTING':
+      return { 
+        ...state, 
+        costings: [action.payload, ...state.costings],
+        hasUnsavedChanges: true 
+      };
+
+    case 'UPDATE_COSTING':
+      return {
+        ...state,
+        costings: state.costings.map(costing =>
+          costing.id === action.payload.id ? action.payload : costing
+        ),
+        hasUnsavedChanges: true,
+      };
+
+    case 'REMOVE_COSTING':
+      return {
+        ...state,
+        costings: state.costings.filter(costing => costing.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
+
+    // Outgoing Records
+    case 'SET_OUTGOING_RECORDS':
+      return { ...state, outgoingRecords: action.payload };
+
+    case 'APPEND_OUTGOING_RECORDS':
+      return { ...state, outgoingRecords: appendNewRecords(state.outgoingRecords, action.payload) };
+
+    case 'ADD_OUTGOING_RECORD':
+      return { 
+        ...state, 
+        outgoingRecords: [action.payload, ...state.outgoingRecords],
+        hasUnsavedChanges: true 
+      };
+
+    case 'REMOVE_OUTGOING_RECORD':
+      return {
+        ...state,
+        outgoingRecords: state.outgoingRecords.filter(record => record.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
+
+    // Elaborated Records
+    case 'SET_ELABORATED_RECORDS':
+      return { ...state, elaboratedRecords: action.payload };
+
+    case 'APPEND_ELABORATED_RECORDS':
+      return { ...state, elaboratedRecords: appendNewRecords(state.elaboratedRecords, action.payload) };
+
+    case 'ADD_ELABORATED_RECORD':
+      return { 
+        ...state, 
+        elaboratedRecords: [action.payload, ...state.elaboratedRecords],
+        hasUnsavedChanges: true 
+      };
+
+    case 'REMOVE_ELABORATED_RECORD':
+      return {
+        ...state,
+        elaboratedRecords: state.elaboratedRecords.filter(record => record.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
+
+    // Incidents
+    case 'SET_INCIDENTS':
+      return { ...state, incidents: action.payload };
+
+    case 'APPEND_INCIDENTS':
+      return { ...state, incidents: appendNewRecords(state.incidents, action.payload) };
+
+    case 'ADD_INCIDENT':
+      return { 
+        ...state, 
+        incidents: [action.payload, ...state.incidents],
+        hasUnsavedChanges: true 
+      };
+
+    case 'UPDATE_INCIDENT':
+      return {
+        ...state,
+        incidents: state.incidents.map(incident =>
+          incident.id === action.payload.id ? action.payload : incident
+        ),
+        hasUnsavedChanges: true,
+      };
+
+    case 'REMOVE_INCIDENT':
+      return {
+        ...state,
+        incidents: state.incidents.filter(incident => incident.id !== action.payload),
+        hasUnsavedChanges: true,
+      };
+
+    // Temperature Excursions
+    case 'SET_EXCURSIONS':
+      return { ...state, excursions: action.payload };
+
+    case 'UPDATE_EXCURSION':
+      return {
+        ...state,
+        excursions: state.excursions.map(excursion =>
+          excursion.id === action.payload.id ? action.payload : excursion
+        ),
+      };
+
+    // Missed Checks
+    case 'SET_MISSED_CHECKS':
+      return { ...state, missedChecks: action.payload };
+
+    case 'UPDATE_MISSED_CHECK':
+      return {
+        ...state,
+        missedChecks: state.missedChecks.map(check =>
+          check.id === action.payload.id ? action.payload : check
+        ),
+      };
+
+    // Data Loggers
+    case 'SET_DATA_LOGGERS':
+      return { ...state, dataLoggers: action.payload };
+
+    case 'ADD_DATA_LOGGER':
+      return { ...state, dataLoggers: [...state.dataLoggers, action.payload] };
+
+    case 'UPDATE_DATA_LOGGER':
+      return {
+        ...state,
+        dataLoggers: state.dataLoggers.map(dataLogger =>
+          dataLogger.id === action.payload.id ? action.payload : dataLogger
+        ),
+      };
+
+    case 'REMOVE_DATA_LOGGER':
+      return {
+        ...state,
+        dataLoggers: state.dataLoggers.filter(dataLogger => dataLogger.id !== action.payload),
+      };
+
+    // Establishment Info
+    case 'SET_ESTABLISHMENT_INFO':
+      return { ...state, establishmentInfo: action.payload };
+
+    // Stats
+    case 'SET_STATS':
+      return { ...state, ...action.payload };
+
+    // ... Agregar más casos según sea necesario
+
+    default:
+      return state;
+  }
+};
+
+// Interfaz del contexto
+interface AppDataContextType extends AppDataState {
+  // Métodos para cargar datos
+  loadAllData: () => Promise<void>;
+  syncData: () => Promise<void>;
+  loadStats: (days?: number) => Promise<void>;
+  exportRecords: (type: ExportableRecordType, format: ExportFormat, filters?: RecordsFilters) => Promise<{ blob: Blob; fileName: string }>;
+  importRecords: (type: ExportableRecordType, file: File) => Promise<ImportResult>;
+  searchRecords: <T = any>(type: SearchableRecordType, query: string, filters?: RecordsFilters) => Promise<RecordsListResponse<T>>;
+  loadMoreRecords: (list: PagedRecordList) => Promise<void>;
+  filterDeliveryRecords: (filters: RecordsFilters) => Promise<RecordsListResponse<DeliveryRecord>>;
+  filterStorageRecords: (filters: RecordsFilters) => Promise<RecordsListResponse<StorageRecord>>;
+  getLots: (type: LotSourceType, query?: string) => Promise<LotOption[]>;
+  getLotGenealogy: (lot: string) => Promise<LotGenealogy | null>;
+  getRecallReport: (lot: string, direction: RecallDirection) => Promise<RecallReport | null>;
+  
+  // Delivery Records
+  addDeliveryRecord: (record: Omit<DeliveryRecord, 'id' | 'userId'>) => Promise<void>;
+  updateDeliveryRecord: (id: string, data: Partial<DeliveryRecord>) => Promise<void>;
+  deleteDeliveryRecord: (id: string) => Promise<void>;
+  
+  // Storage Records
+  addStorageRecord: (record: Omit<StorageRecord, 'id' | 'userId'>) => Promise<void>;
+  updateStorageRecord: (id: string, data: Partial<StorageRecord>) => Promise<void>;
+  deleteStorageRecord: (id: string) => Promise<void>;
+  
+  // Technical Sheets
+  addTechnicalSheet: (sheet: Omit<TechnicalSheet, 'id'>) => Promise<void>;
+  updateTechnicalSheet: (id: string, data: Partial<TechnicalSheet>) => Promise<void>;
+  deleteTechnicalSheet: (id: string) => Promise<void>;
+  
+  // Configuration
+  addSupplier: (supplier: Omit<Supplier, 'id'>) => Promise<void>;
+  deleteSupplier: (id: string) => Promise<void>;
+  
+  addProductType: (type: Omit<ProductType, 'id'>) => Promise<void>;
+  deleteProductType: (id: string) => Promise<void>;
+  
+  addStorageUnit: (unit: Omit<StorageUnit, 'id'>) => Promise<void>;
+  updateStorageUnit: (id: string, unit: Partial<StorageUnit>) => Promise<void>;
+  deleteStorageUnit: (id: string) => Promise<void>;
+  
+  updateCatalog: (catalog: CatalogKey, items: string[]) => Promise<void>;
+  resetCatalog: (catalog: CatalogKey) => Promise<void>;
+  
+  // Cleaning
+  addDailySurface: (surface: Omit<DailySurface, 'id'>) => Promise<void>;
+  updateDailySurface: (id: string, surface: Omit<DailySurface, 'id'>) => Promise<void>;
+  deleteDailySurface: (id: string) => Promise<void>;
+  
+  addDailyCleaningRecord: (record: Omit<DailyCleaningRecord, 'id'>) => Promise<void>;
+  deleteDailyCleaningRecord: (id: string) => Promise<void>;
+  
+  addFrequentArea: (area: Omit<FrequentArea, 'id'>) => Promise<void>;
+  updateFrequentArea: (id: string, area: Omit<FrequentArea, 'id' | 'lastCleaned'>) => Promise<void>;
+  deleteFrequentArea: (id: string) => Promise<void>;
+  cleanFrequentArea: (id: string, userId?: string, productId?: string) => Promise<void>;
+  loadCleaningTasks: () => Promise<void>;
+  
+  // Chemical Products
+  addChemicalProduct: (data: ChemicalProductFormData) => Promise<void>;
+  updateChemicalProduct: (id: string, data: ChemicalProductFormData) => Promise<void>;
+  deleteChemicalProduct: (id: string) => Promise<void>;
+  uploadChemicalDocument: (id: string, kind: ChemicalDocumentKind, file: File) => Promise<void>;
+  downloadChemicalDocument: (id: string, kind: ChemicalDocumentKind) => Promise<{ blob: Blob; fileName: string }>;
+  deleteChemicalDocument: (id: string, kind: ChemicalDocumentKind) => Promise<void>;
+  
+  // Pest Control
+  addPestStation: (data: PestStationFormData) => Promise<void>;
+  updatePestStation: (id: string, data: PestStationFormData) => Promise<void>;
+  deletePestStation: (id: string) => Promise<void>;
+  addPestControlVisit: (data: PestControlVisitFormData) => Promise<void>;
+  updatePestControlVisit: (id: string, data: PestControlVisitFormData) => Promise<void>;
+  deletePestControlVisit: (id: string) => Promise<void>;
+  uploadPestControlCertificate: (id: string, file: File) => Promise<void>;
+  downloadPestControlCertificate: (id: string) => Promise<{ blob: Blob; fileName: string }>;
+  deletePestControlCertificate: (id: string) => Promise<void>;
+  
+  // Water Control
+  addWaterPoint: (data: WaterSamplingPointFormData) => Promise<void>;
+  updateWaterPoint: (id: string, data: WaterSamplingPointFormData) => Promise<void>;
+  deleteWaterPoint: (id: string) => Promise<void>;
+  addWaterRecord: (data: WaterRecordFormData) => Promise<void>;
+  deleteWaterRecord: (id: string) => Promise<void>;
+  addWaterAnalysis: (data: WaterAnalysisFormData) => Promise<void>;
+  updateWaterAnalysis: (id: string, data: WaterAnalysisFormData) => Promise<void>;
+  deleteWaterAnalysis: (id: string) => Promise<void>;
+  uploadWaterAnalysisReport: (id: string, file: File) => Promise<void>;
+  downloadWaterAnalysisReport: (id: string) => Promise<{ blob: Blob; fileName: string }>;
+  deleteWaterAnalysisReport: (id: string) => Promise<void>;
+  
+  // Frying Oil
+  addFryer: (data: FryerFormData) => Promise<void>;
+  updateFryer: (id: string, data: FryerFormData) => Promise<void>;
+  deleteFryer: (id: string) => Promise<void>;
+  addFryingOilEvent: (data: FryingOilEventFormData) => Promise<void>;
+  deleteFryingOilEvent: (id: string) => Promise<void>;
+  
+  // Staff Training
+  addTrainingPlan: (data: TrainingPlanFormData) => Promise<void>;
+  updateTrainingPlan: (id: string, data: TrainingPlanFormData) => Promise<void>;
+  deleteTrainingPlan: (id: string) => Promise<void>;
+  addTrainingRecord: (data: TrainingRecordFormData) => Promise<void>;
+  updateTrainingRecord: (id: string, data: TrainingRecordFormData) => Promise<void>;
+  deleteTrainingRecord: (id: string) => Promise<void>;
+  uploadTrainingCertificate: (id: string, file: File) => Promise<void>;
+  downloadTrainingCertificate: (id: string) => Promise<{ blob: Blob; fileName: string }>;
+  deleteTrainingCertificate: (id: string) => Promise<void>;
+  
+  // Costings
+  addCosting: (costing: Omit<Costing, 'id'>) => Promise<void>;
+  updateCosting: (id: string, costing: Omit<Costing, 'id'>) => Promise<void>;
+  updateCostingSalePrices: (id: string, salePrices: Costing['salePrices']) => Promise<void>;
+  deleteCosting: (id: string) => Promise<void>;
+  getCostingHistory: (id: string) => Promise<CostingHistoryEntry[]>;
+  
+  // Traceability
+  addOutgoingRecord: (record: Omit<OutgoingRecord, 'id'>) => Promise<void>;
+  deleteOutgoingRecord: (id: string) => Promise<void>;
+  
+  addElaboratedRecord: (record: Omit<ElaboratedRecord, 'id'>) => Promise<void>;
+  deleteElaboratedRecord: (id: string) => Promise<void>;
+  
+  // Incidents
+  addIncident: (incident: IncidentFormData) => Promise<void>;
+  changeIncidentStatus: (id: string, status: IncidentStatus, notes?: string) => Promise<void>;
+  deleteIncident: (id: string) => Promise<void>;
+  addCorrectiveAction: (incidentId: string, action: CorrectiveActionFormData) => Promise<void>;
+  updateCorrectiveAction: (incidentId: string, actionId: string, action: Partial<CorrectiveActionFormData>) => Promise<void>;
+  deleteCorrectiveAction: (incidentId: string, actionId: string) => Promise<void>;
+  
+  // Temperature Excursions
+  loadExcursions: () => Promise<void>;
+  changeExcursionStatus: (id: string, status: ExcursionStatus, correctiveAction?: string) => Promise<void>;
+  
+  // Missed Checks
+  loadMissedChecks: () => Promise<void>;
+  justifyMissedCheck: (id: string, justification: string) => Promise<void>;
+  
+  // Data Loggers (los métodos que generan token lo devuelven en claro)
+  addDataLogger: (data: DataLoggerFormData) => Promise<string>;
+  regenerateDataLoggerToken: (id: string) => Promise<string>;
+  setDataLoggerActive: (id: string, isActive: boolean) => Promise<void>;
+  deleteDataLogger: (id: string) => Promise<void>;
+  uploadDataLoggerFile: (id: string, file: File) => Promise<LoggerIngestResult>;
+  getStorageSeries: (unitId: string, dateFrom?: string, dateTo?: string) => Promise<StorageSeries | null>;
+  
+  // Establishment
+  updateEstablishmentInfo: (info: EstablishmentInfo) => Promise<void>;
+  
+  // Utilidades
+  clearError: () => void;
+  markAsSaved: () => void;
+}
+
+// Crear el contexto
+const AppDataContext = createContext<AppDataContextType | undefined>(undefined);
+
+// Hook para usar el contexto
+export const useAppData = () => {
+  const context = useContext(AppDataContext);
+  if (context === undefined) {
+    throw new Error('useAppData debe ser usado dentro de un AppDataProvider');
+  }
+  return context;
+};
+
+// Los servicios manejan la URL de la API automáticamente
+
+// Provider del contexto
+export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children }) => {
+  const [state, dispatch] = useReducer(appDataReducer, initialState);
+  const { token, isAuthenticated } = useAuth();
+
+  // Los servicios ya manejan la autenticación automáticamente
+
+  // Cargar todos los datos
+  const loadAllData = async () => {
+    dispatch({ type: 'SET_LOADING', payload: true });
+    
+    try {
+      // Cargar datos principales en paralelo usando los servicios
+      const [
+        deliveryResponse,
+        storageResponse,
+        technicalSheetsResponse,
+        suppliersResponse,
+        productTypesResponse,
+        storageUnitsResponse,
+        dailySurfacesResponse,
+        cleaningRecordsResponse,
+        frequentAreasResponse,
+        costingsResponse,
+        outgoingResponse,
+        elaboratedResponse,
+        incidentsResponse,
+        establishmentResponse,
+        catalogsResponse
+      ] = await Promise.all([
+        recordsService.getDeliveryRecords().catch(() => ({ success: false, data: null })),
+        // Las lecturas de las sondas se consultan agrupadas (getStorageSeries)
+        recordsService.getStorageRecords({ source: 'manual' }).catch(() => ({ success: false, data: null })),
+        recordsService.getTechnicalSheets().catch(() => ({ success: false, data: null })),
+        // Incluir archivados para poder mostrar sus nombres en el historial
+        configService.getSuppliers(true).catch(() => ({ success: false, data: [] })),
+        configService.getProductTypes(true).catch(() => ({ success: false, data: [] })),
+        configService.getStorageUnits().catch(() => ({ success: false, data: [] })),
+        cleaningService.getDailySurfaces().catch(() => ({ success: false, data: [] })),
+        cleaningService.getCleaningRecords().catch(() => ({ success: false, data: null })),
+        cleaningService.getFrequentAreas().catch(() => ({ success: false, data: [] })),
+        costingService.getCostings().catch(() => ({ success: false, data: [] })),
+        recordsService.getOutgoingRecords().catch(() => ({ success: false, data: null })),
+        recordsService.getElaboratedRecords().catch(() => ({ success: false, data: null })),
+        incidentService.getIncidents().catch(() => ({ success: false, data: null })),
+        configService.getEstablishmentInfo().catch(() => ({ success: false, data: null })),
+        configService.getCatalogs().catch(() => ({ success: false, data: null }))
+      ]);
+
+      // Actualizar el estado con todos los datos
+      if (deliveryResponse.success && deliveryResponse.data) {
+        dispatch({ type: 'SET_DELIVERY_RECORDS', payload: deliveryResponse.data.records || [] });
+        dispatch({ type: 'SET_LIST_PAGINATION', payload: { list: 'delivery', pagination: deliveryResponse.data.pagination } });
+      }
+      
+      if (storageResponse.success && storageResponse.data) {
+        dispatch({ type: 'SET_STORAGE_RECORDS', payload: storageResponse.data.records || [] });
+        dispatch({ type: 'SET_LIST_PAGINATION', payload: { list: 'storage', pagination: storageResponse.data.pagination } });
+      }
+      
+      if (technicalSheetsResponse.success && technicalSheetsResponse.data) {
+        dispatch({ type: 'SET_TECHNICAL_SHEETS', payload: technicalSheetsResponse.data.records || [] });
+        dispatch({ type: 'SET_LIST_PAGINATION', payload: { list: 'technical-sheets', pagination: technicalSheetsResponse.data.pagination } });
+      }
+      
+      if (suppliersResponse.success && suppliersResponse.data) {
+        dispatch({ type: 'SET_SUPPLIERS', payload: suppliersResponse.data });
+      }
+      
+      if (productTypesResponse.success && productTypesResponse.data) {
+        dispatch({ type: 'SET_PRODUCT_TYPES', payload: productTypesResponse.data });
+      }
+      
+      if (storageUnitsResponse.success && storageUnitsResponse.data) {
+        dispatch({ type: 'SET_STORAGE_UNITS', payload: storageUnitsResponse.data });
+      }
+      
+      if (dailySurfacesResponse.success && dailySurfacesResponse.data) {
+        dispatch({ type: 'SET_DAILY_SURFACES', payload: dailySurfacesResponse.data });
+      }
+      
+      if (cleaningRecordsResponse.success && cleaningRecordsResponse.data) {
+        dispatch({ type: 'SET_DAILY_CLEANING_RECORDS', payload: cleaningRecordsResponse.data.records || [] });
+        dispatch({ type: 'SET_LIST_PAGINATION', payload: { list: 'cleaning-records', pagination: cleaningRecordsResponse.data.pagination } });
+      }
+      
+      if (frequentAreasResponse.success && frequentAreasResponse.data) {
+        dispatch({ type: 'SET_FREQUENT_AREAS', payload: frequentAreasResponse.data });
+      }
+      
+      if (costingsResponse.success && costingsResponse.data) {
+        dispatch({ type: 'SET_COSTINGS', payload: costingsResponse.data });
+      }
+      
+      if (outgoingResponse.success && outgoingResponse.data) {
+        dispatch({ type: 'SET_OUTGOING_RECORDS', payload: outgoingResponse.data.records || [] });
+        dispatch({ type: 'SET_LIST_PAGINATION', payload: { list: 'outgoing', pagination: outgoingResponse.data.pagination } });
+      }
+      
+      if (elaboratedResponse.success && elaboratedResponse.data) {
+        dispatch({ type: 'SET_ELABORATED_RECORDS', payload: elaboratedResponse.data.records || [] });
+        dispatch({ type: 'SET_LIST_PAGINATION', payload: { list: 'elaborated', pagination: elaboratedResponse.data.pagination } });
+      }
+      
+      if (incidentsResponse.success && incidentsResponse.data) {
+        dispatch({ type: 'SET_INCIDENTS', payload: incidentsResponse.data.records || [] });
+        dispatch({ type: 'SET_LIST_PAGINATION', payload: { list: 'incidents', pagination: incidentsResponse.data.pagination } });
+      }
+      
+      if (establishmentResponse.success && establishmentResponse.data) {
+        dispatch({ type: 'SET_ESTABLISHMENT_INFO', payload: establishmentResponse.data });
+      }
+      
+      if (catalogsResponse.success && catalogsResponse.data) {
+        dispatch({ type: 'SET_CATALOGS', payload: catalogsResponse.data });
+      }
+      
+      await Promise.all([loadStats(), loadExcursions(), loadMissedChecks(), loadDataLoggers(), loadCleaningTasks(), loadChemicalProducts(), loadPestControl(), loadWaterControl(), loadFryingOil(), loadFryingOilAlerts(), loadTraining(), loadExpiringTrainings()]);
+      
+      dispatch({ type: 'SET_LAST_SYNC', payload: new Date() });
+      
+    } catch (error: any) {
+      console.error('Error cargando datos:', error);
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+    } finally {
+      dispatch({ type: 'SET_LOADING', payload: false });
+    }
+  };
+
+  // Cargar estadísticas de recepción y temperatura de los últimos días
+  const loadStats = async (days: number = STATS_PERIOD_DAYS) => {
+    const dateFrom = new Date();
+    dateFrom.setDate(dateFrom.getDate() - days);
+    const filters = { dateFrom: dateFrom.toISOString().slice(0, 10) };
+
+    const [deliveryStatsResponse, storageStatsResponse] = await Promise.all([
+      recordsService.getDeliveryStats(filters).catch(() => ({ success: false, data: null })),
+      recordsService.getStorageStats(filters).catch(() => ({ success: false, data: [] }))
+    ]);
+
+    dispatch({
+      type: 'SET_STATS',
+      payload: {
+        deliveryStats: deliveryStatsResponse.success ? deliveryStatsResponse.data || null : null,
+        storageStats: storageStatsResponse.success ? storageStatsResponse.data || [] : []
+      }
+    });
+  };
+
+  // Cargar las excursiones de temperatura (el servidor las recalcula al cambiar las lecturas)
+  const loadExcursions = async () => {
+    const response = await excursionService.getExcursions({ limit: 500 }).catch(() => ({ success: false, data: null }));
+    if (response.success && response.data) {
+      dispatch({ type: 'SET_EXCURSIONS', payload: response.data.records || [] });
+    }
+  };
+
+  // Cargar los controles programados no realizados (el servidor los revisa periódicamente y al cambiar las lecturas)
+  const loadMissedChecks = async () => {
+    const response = await missedCheckService.getMissedChecks({ limit: 500 }).catch(() => ({ success: false, data: null }));
+    if (response.success && response.data) {
+      dispatch({ type: 'SET_MISSED_CHECKS', payload: response.data.records || [] });
+    }
+  };
+
+  // Cargar las tareas de limpieza de hoy (el servidor las genera a partir del Plan L+D en la zona horaria del navegador)
+  const loadCleaningTasks = async () => {
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const response = await cleaningService.getCleaningTasks(undefined, timezone).catch(() => ({ success: false, data: null }));
+    if (response.success && response.data) {
+      dispatch({ type: 'SET_CLEANING_TASKS', payload: response.data.tasks || [] });
+    }
+  };
+
+  const loadChemicalProducts = async () => {
+    const response = await chemicalProductService.getChemicalProducts().catch(() => ({ success: false, data: null }));
+    if (response.success && response.data) {
+      dispatch({ type: 'SET_CHEMICAL_PRODUCTS', payload: response.data });
+    }
+  };
+
+  const loadPestControl = async () => {
+    const [stationsResponse, visitsResponse] = await Promise.all([
+      pestControlService.getStations().catch(() => ({ success: false, data: null })),
+      pestControlService.getVisits({ limit: 500 }).catch(() => ({ success: false, data: null }))
+    ]);
+    if (stationsResponse.success && stationsResponse.data) {
+      dispatch({ type: 'SET_PEST_STATIONS', payload: stationsResponse.data });
+    }
+    if (visitsResponse.success && visitsResponse.data) {
+      dispatch({ type: 'SET_PEST_CONTROL_VISITS', payload: visitsResponse.data.records || [] });
+    }
+  };
+
+  const loadWaterControl = async () => {
+    const [pointsResponse, recordsResponse, analysesResponse] = await Promise.all([
+      waterService.getPoints().catch(() => ({ success: false, data: null })),
+      waterService.getRecords({ limit: 500 }).catch(() => ({ success: false, data: null })),
+      waterService.getAnalyses({ limit: 500 }).catch(() => ({ success: false, data: null }))
+    ]);
+    if (pointsResponse.success && pointsResponse.data) {
+      dispatch({ type: 'SET_WATER_POINTS', payload: pointsResponse.data });
+    }
+    if (recordsResponse.success && recordsResponse.data) {
+      dispatch({ type: 'SET_WATER_RECORDS', payload: recordsResponse.data.records || [] });
+    }
+    if (analysesResponse.success && analysesResponse.data) {
+      dispatch({ type: 'SET_WATER_ANALYSES', payload: analysesResponse.data.records || [] });
+    }
+  };
+
+  const loadFryingOil = async () => {
+    const [fryersResponse, eventsResponse] = await Promise.all([
+      fryingOilService.getFryers().catch(() => ({ success: false, data: null })),
+      fryingOilService.getEvents({ limit: 500 }).catch(() => ({ success: false, data: null }))
+    ]);
+    if (fryersResponse.success && fryersResponse.data) {
+      dispatch({ type: 'SET_FRYERS', payload: fryersResponse.data });
+    }
+    if (eventsResponse.success && eventsResponse.data) {
+      dispatch({ type: 'SET_FRYING_OIL_EVENTS', payload: eventsResponse.data.records || [] });
+    }
+  };
+
+  const loadTraining = async () => {
+    const [plansResponse, recordsResponse] = await Promise.all([
+      trainingService.getPlans().catch(() => ({ success: false, data: null })),
+      trainingService.getRecords({ limit: 500 }).catch(() => ({ success: false, data: null }))
+    ]);
+    if (plansResponse.success && plansResponse.data) {
+      dispatch({ type: 'SET_TRAINING_PLANS', payload: plansResponse.data });
+    }
+    if (recordsResponse.success && recordsResponse.data) {
+      dispatch({ type: 'SET_TRAINING_RECORDS', payload: recordsResponse.data.records || [] });
+    }
+  };
+
+  // Certificados de trabajadores activos caducados o que caducan pronto (el servidor descarta los ya renovados)
+  const loadExpiringTrainings = async () => {
+    const response = await trainingService.getExpiring(TRAINING_EXPIRY_WARNING_DAYS).catch(() => ({ success: false, data: null }));
+    if (response.success && response.data) {
+      dispatch({ type: 'SET_EXPIRING_TRAININGS', payload: response.data });
+    }
+  };
+
+  // Cambios de aceite pendientes (lecturas por encima del límite sin cambio posterior), calculados en el servidor
+  const loadFryingOilAlerts = async () => {
+    const response = await fryingOilService.getAlerts().catch(() => ({ success: false, data: null }));
+    if (response.success && response.data) {
+      dispatch({ type: 'SET_FRYING_OIL_ALERTS', payload: response.data });
+    }
+  };
+
+  const loadDataLoggers = async () => {
+    const response = await dataLoggerService.getDataLoggers().catch(() => ({ success: false, data: null }));
+    if (response.success && response.data) {
+      dispatch({ type: 'SET_DATA_LOGGERS', payload: response.data });
+    }
+  };
+
+  // Exportar el historial completo de registros desde el servidor
+  const exportRecords = async (type: ExportableRecordType, format: ExportFormat, filters?: RecordsFilters) => {
+    try {
+      return await recordsService.exportRecords(type, format, filters);
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Importar registros desde un archivo y recargar la lista afectada
+  const importRecords = async (type: ExportableRecordType, file: File): Promise<ImportResult> => {
+    try {
+      const response = await recordsService.importRecords(type, file);
+      const result = response.success && response.data ? response.data : { imported: 0, errors: [] };
+
+      if (result.imported > 0) {
+        if (type === 'delivery') {
+          const records = await recordsService.getDeliveryRecords();
+          dispatch({ type: 'SET_DELIVERY_RECORDS', payload: records.data?.records || [] });
+          if (records.data) {
+            dispatch({ type: 'SET_LIST_PAGINATION', payload: { list: 'delivery', pagination: records.data.pagination } });
+          }
+        } else if (type === 'storage') {
+          const records = await recordsService.getStorageRecords({ source: 'manual' });
+          dispatch({ type: 'SET_STORAGE_RECORDS', payload: records.data?.records || [] });
+          if (records.data) {
+            dispatch({ type: 'SET_LIST_PAGINATION', payload: { list: 'storage', pagination: records.data.pagination } });
+          }
+          loadExcursions();
+          loadMissedChecks();
+        } else {
+          const sheets = await recordsService.getTechnicalSheets();
+          dispatch({ type: 'SET_TECHNICAL_SHEETS', payload: sheets.data?.records || [] });
+          if (sheets.data) {
+            dispatch({ type: 'SET_LIST_PAGINATION', payload: { list: 'technical-sheets', pagination: sheets.data.pagination } });
+          }
+        }
+        loadStats();
+      }
+
+      return result;
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Cargar la página siguiente de un listado paginado y añadirla a la lista cargada
+  const loadMoreRecords = async (list: PagedRecordList) => {
+    const pagination = state.listPagination[list];
+    if (!pagination || pagination.current >= pagination.pages) return;
+
+    try {
+      const page = pagination.current + 1;
+      switch (list) {
+        case 'storage': {
+          const response = await recordsService.getStorageRecords({ source: 'manual', page });
+          if (!response.success || !response.data) throw pageLoadError(response);
+          dispatch({ type: 'APPEND_STORAGE_RECORDS', payload: response.data.records });
+          dispatch({ type: 'SET_LIST_PAGINATION', payload: { list, pagination: response.data.pagination } });
+          break;
+        }
+        case 'cleaning-records': {
+          const response = await cleaningService.getCleaningRecords({ page });
+          if (!response.success || !response.data) throw pageLoadError(response);
+          dispatch({ type: 'APPEND_DAILY_CLEANING_RECORDS', payload: response.data.records });
+          dispatch({ type: 'SET_LIST_PAGINATION', payload: { list, pagination: response.data.pagination } });
+          break;
+        }
+        case 'outgoing': {
+          const response = await recordsService.getOutgoingRecords({ page });
+          if (!response.success || !response.data) throw pageLoadError(response);
+          dispatch({ type: 'APPEND_OUTGOING_RECORDS', payload: response.data.records });
+          dispatch({ type: 'SET_LIST_PAGINATION', payload: { list, pagination: response.data.pagination } });
+          break;
+        }
+        case 'elaborated': {
+          const response = await recordsService.getElaboratedRecords({ page });
+          if (!response.success || !response.data) throw pageLoadError(response);
+          dispatch({ type: 'APPEND_ELABORATED_RECORDS', payload: response.data.records });
+          dispatch({ type: 'SET_LIST_PAGINATION', payload: { list, pagination: response.data.pagination } });
+          break;
+        }
+        case 'technical-sheets': {
+          const response = await recordsService.getTechnicalSheets({ page });
+          if (!response.success || !response.data) throw pageLoadError(response);
+          dispatch({ type: 'APPEND_TECHNICAL_SHEETS', payload: response.data.records });
+          dispatch({ type: 'SET_LIST_PAGINATION', payload: { list, pagination: response.data.pagination } });
+          break;
+        }
+        case 'incidents': {
+          const response = await incidentService.getIncidents({ page });
+          if (!response.success || !response.data) throw pageLoadError(response);
+          dispatch({ type: 'APPEND_INCIDENTS', payload: response.data.records });
+          dispatch({ type: 'SET_LIST_PAGINATION', payload: { list, pagination: response.data.pagination } });
+          break;
+        }
+        case 'delivery': {
+          const response = await recordsService.getDeliveryRecords({ page });
+          if (!response.success || !response.data) throw pageLoadError(response);
+          dispatch({ type: 'APPEND_DELIVERY_RECORDS', payload: response.data.records });
+          dispatch({ type: 'SET_LIST_PAGINATION', payload: { list, pagination: response.data.pagination } });
+          break;
+        }
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Una página de recepciones filtradas en el servidor (no modifica la lista cargada).
+  // Estable entre renderizados: el historial vuelve a pedirla solo al cambiar sus filtros
+  const filterDeliveryRecords = useCallback(async (filters: RecordsFilters): Promise<RecordsListResponse<DeliveryRecord>> => {
+    try {
+      const response = await recordsService.getDeliveryRecords(filters);
+      if (!response.success || !response.data) throw pageLoadError(response);
+      return response.data;
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  }, []);
+
+  // Igual para las lecturas manuales de las cámaras
+  const filterStorageRecords = useCallback(async (filters: RecordsFilters): Promise<RecordsListResponse<StorageRecord>> => {
+    try {
+      const response = await recordsService.getStorageRecords({ ...filters, source: 'manual' });
+      if (!response.success || !response.data) throw pageLoadError(response);
+      return response.data;
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  }, []);
+
+  // Búsqueda de texto en el servidor (no modifica las listas cargadas)
+  const searchRecords = async <T = any>(type: SearchableRecordType, query: string, filters?: RecordsFilters): Promise<RecordsListResponse<T>> => {
+    try {
+      const response = await recordsService.searchRecords<T>(type, query, filters);
+      return response.success && response.data
+        ? response.data
+        : { records: [], pagination: { current: 1, pages: 1, total: 0, limit: filters?.limit || 0 } };
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Genealogía de lotes (consultas directas, no modifican las listas cargadas)
+  const getLots = async (type: LotSourceType, query?: string): Promise<LotOption[]> => {
+    try {
+      const response = await recordsService.getLots(type, query);
+      return response.success && response.data ? response.data : [];
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const getLotGenealogy = async (lot: string): Promise<LotGenealogy | null> => {
+    try {
+      const response = await recordsService.getLotGenealogy(lot);
+      return response.success && response.data ? response.data : null;
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const getRecallReport = async (lot: string, direction: RecallDirection): Promise<RecallReport | null> => {
+    try {
+      const response = await recordsService.getRecallReport(lot, direction);
+      return response.success && response.data ? response.data : null;
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Sincronizar datos
+  const syncData = async () => {
+    await loadAllData();
+    dispatch({ type: 'SET_UNSAVED_CHANGES', payload: false });
+  };
+
+  // Delivery Records
+  const addDeliveryRecord = async (record: Omit<DeliveryRecord, 'id' | 'userId'>) => {
+    try {
+      const response = await recordsService.createDeliveryRecord(record);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_DELIVERY_RECORD', payload: response.data });
+        loadStats();
+
+        // Una recepción con la temperatura fuera de tolerancia abre una incidencia en el servidor
+        const incidentId = response.data.conformity?.incidentId;
+        if (incidentId) {
+          const incidentResponse = await incidentService.getIncident(incidentId);
+          if (incidentResponse.success && incidentResponse.data) {
+            dispatch({ type: 'ADD_INCIDENT', payload: incidentResponse.data });
+          }
+        }
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateDeliveryRecord = async (id: string, recordData: Partial<DeliveryRecord>) => {
+    try {
+      const response = await recordsService.updateDeliveryRecord(id, recordData);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_DELIVERY_RECORD', payload: { id, data: response.data } });
+        loadStats();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteDeliveryRecord = async (id: string) => {
+    try {
+      const response = await recordsService.deleteDeliveryRecord(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_DELIVERY_RECORD', payload: id });
+        loadStats();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Storage Records
+  const addStorageRecord = async (record: Omit<StorageRecord, 'id' | 'userId'>) => {
+    try {
+      const response = await recordsService.createStorageRecord(record);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_STORAGE_RECORD', payload: response.data });
+        loadStats();
+        loadExcursions();
+        loadMissedChecks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateStorageRecord = async (id: string, recordData: Partial<StorageRecord>) => {
+    try {
+      const response = await recordsService.updateStorageRecord(id, recordData);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_STORAGE_RECORD', payload: { id, data: response.data } });
+        loadStats();
+        loadExcursions();
+        loadMissedChecks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteStorageRecord = async (id: string) => {
+    try {
+      const response = await recordsService.deleteStorageRecord(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_STORAGE_RECORD', payload: id });
+        loadStats();
+        loadExcursions();
+        loadMissedChecks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Technical Sheets
+  const addTechnicalSheet = async (sheet: Omit<TechnicalSheet, 'id'>) => {
+    try {
+      const response = await recordsService.createTechnicalSheet(sheet);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_TECHNICAL_SHEET', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateTechnicalSheet = async (id: string, sheetData: Partial<TechnicalSheet>) => {
+    try {
+      const response = await recordsService.updateTechnicalSheet(id, sheetData);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_TECHNICAL_SHEET', payload: { id, data: response.data } });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteTechnicalSheet = async (id: string) => {
+    try {
+      const response = await recordsService.deleteTechnicalSheet(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_TECHNICAL_SHEET', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Suppliers
+  const addSupplier = async (supplier: Omit<Supplier, 'id'>) => {
+    try {
+      const response = await configService.createSupplier(supplier);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_SUPPLIER', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteSupplier = async (id: string) => {
+    try {
+      const response = await configService.deleteSupplier(id);
+      if (response.success && response.data?.archived && response.data.supplier) {
+        dispatch({ type: 'UPDATE_SUPPLIER', payload: response.data.supplier });
+      } else if (response.success) {
+        dispatch({ type: 'REMOVE_SUPPLIER', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Product Types
+  const addProductType = async (type: Omit<ProductType, 'id'>) => {
+    try {
+      const response = await configService.createProductType(type);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_PRODUCT_TYPE', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteProductType = async (id: string) => {
+    try {
+      const response = await configService.deleteProductType(id);
+      if (response.success && response.data?.archived && response.data.productType) {
+        dispatch({ type: 'UPDATE_PRODUCT_TYPE', payload: response.data.productType });
+      } else if (response.success) {
+        dispatch({ type: 'REMOVE_PRODUCT_TYPE', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Storage Units
+  const addStorageUnit = async (unit: Omit<StorageUnit, 'id'>) => {
+    try {
+      const response = await configService.createStorageUnit(unit);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_STORAGE_UNIT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateStorageUnit = async (id: string, unit: Partial<StorageUnit>) => {
+    try {
+      const response = await configService.updateStorageUnit(id, unit);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_STORAGE_UNIT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteStorageUnit = async (id: string) => {
+    try {
+      const response = await configService.deleteStorageUnit(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_STORAGE_UNIT', payload: id });
+        loadExcursions();
+        loadMissedChecks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Catálogos configurables
+  const updateCatalog = async (catalog: CatalogKey, items: string[]) => {
+    try {
+      const response = await configService.updateCatalog(catalog, items);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_CATALOG', payload: { catalog, items: response.data } });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const resetCatalog = async (catalog: CatalogKey) => {
+    try {
+      const response = await configService.resetCatalog(catalog);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_CATALOG', payload: { catalog, items: response.data } });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Daily Surfaces
+  const addDailySurface = async (surface: Omit<DailySurface, 'id'>) => {
+    try {
+      const response = await cleaningService.createDailySurface(surface);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_DAILY_SURFACE', payload: response.data });
+        loadCleaningTasks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateDailySurface = async (id: string, surface: Omit<DailySurface, 'id'>) => {
+    try {
+      const response = await cleaningService.updateDailySurface(id, surface);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_DAILY_SURFACE', payload: response.data });
+        loadCleaningTasks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteDailySurface = async (id: string) => {
+    try {
+      const response = await cleaningService.deleteDailySurface(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_DAILY_SURFACE', payload: id });
+        loadCleaningTasks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Daily Cleaning Records
+  const addDailyCleaningRecord = async (record: Omit<DailyCleaningRecord, 'id'>) => {
+    try {
+      const response = await cleaningService.createCleaningRecord(record);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_DAILY_CLEANING_RECORD', payload: response.data });
+        loadCleaningTasks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteDailyCleaningRecord = async (id: string) => {
+    try {
+      const response = await cleaningService.deleteCleaningRecord(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_DAILY_CLEANING_RECORD', payload: id });
+        loadCleaningTasks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Frequent Areas
+  const addFrequentArea = async (area: Omit<FrequentArea, 'id'>) => {
+    try {
+      const response = await cleaningService.createFrequentArea(area);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_FREQUENT_AREA', payload: response.data });
+        loadCleaningTasks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateFrequentArea = async (id: string, area: Omit<FrequentArea, 'id' | 'lastCleaned'>) => {
+    try {
+      const response = await cleaningService.updateFrequentArea(id, area);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_FREQUENT_AREA', payload: response.data });
+        loadCleaningTasks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteFrequentArea = async (id: string) => {
+    try {
+      const response = await cleaningService.deleteFrequentArea(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_FREQUENT_AREA', payload: id });
+        loadCleaningTasks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const cleanFrequentArea = async (id: string, userId?: string, productId?: string) => {
+    try {
+      const response = await cleaningService.cleanFrequentArea(id, { userId, productId });
+      if (response.success && response.data) {
+        dispatch({ type: 'CLEAN_FREQUENT_AREA', payload: response.data });
+        loadCleaningTasks();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Chemical Products
+  const addChemicalProduct = async (data: ChemicalProductFormData) => {
+    try {
+      const response = await chemicalProductService.createChemicalProduct(data);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_CHEMICAL_PRODUCT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateChemicalProduct = async (id: string, data: ChemicalProductFormData) => {
+    try {
+      const response = await chemicalProductService.updateChemicalProduct(id, data);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_CHEMICAL_PRODUCT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteChemicalProduct = async (id: string) => {
+    try {
+      const response = await chemicalProductService.deleteChemicalProduct(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_CHEMICAL_PRODUCT', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const uploadChemicalDocument = async (id: string, kind: ChemicalDocumentKind, file: File) => {
+    try {
+      const response = await chemicalProductService.uploadDocument(id, kind, file);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_CHEMICAL_PRODUCT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Consulta directa (no modifica las listas cargadas)
+  const downloadChemicalDocument = async (id: string, kind: ChemicalDocumentKind) => {
+    try {
+      return await chemicalProductService.downloadDocument(id, kind);
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteChemicalDocument = async (id: string, kind: ChemicalDocumentKind) => {
+    try {
+      const response = await chemicalProductService.deleteDocument(id, kind);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_CHEMICAL_PRODUCT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Pest Stations
+  const addPestStation = async (data: PestStationFormData) => {
+    try {
+      const response = await pestControlService.createStation(data);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_PEST_STATION', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updatePestStation = async (id: string, data: PestStationFormData) => {
+    try {
+      const response = await pestControlService.updateStation(id, data);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_PEST_STATION', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deletePestStation = async (id: string) => {
+    try {
+      const response = await pestControlService.deleteStation(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_PEST_STATION', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Pest Control Visits
+  // Los hallazgos por encima del umbral abren incidencias en el servidor: se añaden las nuevas
+  const loadVisitIncidents = async (visit: PestControlVisit, previous?: PestControlVisit) => {
+    const known = new Set((previous?.findings || []).map(finding => finding.incidentId));
+    const incidentIds = visit.findings
+      .map(finding => finding.incidentId)
+      .filter((incidentId): incidentId is string => Boolean(incidentId) && !known.has(incidentId));
+
+    for (const incidentId of incidentIds) {
+      const incidentResponse = await incidentService.getIncident(incidentId);
+      if (incidentResponse.success && incidentResponse.data) {
+        dispatch({ type: 'ADD_INCIDENT', payload: incidentResponse.data });
+      }
+    }
+  };
+
+  const addPestControlVisit = async (data: PestControlVisitFormData) => {
+    try {
+      const response = await pestControlService.createVisit(data);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_PEST_CONTROL_VISIT', payload: response.data });
+        await loadVisitIncidents(response.data);
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updatePestControlVisit = async (id: string, data: PestControlVisitFormData) => {
+    try {
+      const previous = state.pestControlVisits.find(visit => visit.id === id);
+      const response = await pestControlService.updateVisit(id, data);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_PEST_CONTROL_VISIT', payload: response.data });
+        await loadVisitIncidents(response.data, previous);
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deletePestControlVisit = async (id: string) => {
+    try {
+      const response = await pestControlService.deleteVisit(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_PEST_CONTROL_VISIT', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const uploadPestControlCertificate = async (id: string, file: File) => {
+    try {
+      const response = await pestControlService.uploadCertificate(id, file);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_PEST_CONTROL_VISIT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Consulta directa (no modifica las listas cargadas)
+  const downloadPestControlCertificate = async (id: string) => {
+    try {
+      return await pestControlService.downloadCertificate(id);
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deletePestControlCertificate = async (id: string) => {
+    try {
+      const response = await pestControlService.deleteCertificate(id);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_PEST_CONTROL_VISIT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Water Sampling Points
+  const addWaterPoint = async (data: WaterSamplingPointFormData) => {
+    try {
+      const response = await waterService.createPoint(data);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_WATER_POINT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateWaterPoint = async (id: string, data: WaterSamplingPointFormData) => {
+    try {
+      const response = await waterService.updatePoint(id, data);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_WATER_POINT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteWaterPoint = async (id: string) => {
+    try {
+      const response = await waterService.deletePoint(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_WATER_POINT', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Water Records
+  const addWaterRecord = async (data: WaterRecordFormData) => {
+    try {
+      const response = await waterService.createRecord(data);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_WATER_RECORD', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteWaterRecord = async (id: string) => {
+    try {
+      const response = await waterService.deleteRecord(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_WATER_RECORD', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Water Analyses
+  const addWaterAnalysis = async (data: WaterAnalysisFormData) => {
+    try {
+      const response = await waterService.createAnalysis(data);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_WATER_ANALYSIS', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateWaterAnalysis = async (id: string, data: WaterAnalysisFormData) => {
+    try {
+      const response = await waterService.updateAnalysis(id, data);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_WATER_ANALYSIS', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteWaterAnalysis = async (id: string) => {
+    try {
+      const response = await waterService.deleteAnalysis(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_WATER_ANALYSIS', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const uploadWaterAnalysisReport = async (id: string, file: File) => {
+    try {
+      const response = await waterService.uploadReport(id, file);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_WATER_ANALYSIS', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Consulta directa (no modifica las listas cargadas)
+  const downloadWaterAnalysisReport = async (id: string) => {
+    try {
+      return await waterService.downloadReport(id);
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteWaterAnalysisReport = async (id: string) => {
+    try {
+      const response = await waterService.deleteReport(id);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_WATER_ANALYSIS', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Fryers
+  const addFryer = async (data: FryerFormData) => {
+    try {
+      const response = await fryingOilService.createFryer(data);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_FRYER', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Activar o desactivar una freidora cambia sus alertas
+  const updateFryer = async (id: string, data: FryerFormData) => {
+    try {
+      const response = await fryingOilService.updateFryer(id, data);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_FRYER', payload: response.data });
+        loadFryingOilAlerts();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
       throw error;
     }
   };
 
-  const deleteStorageRecord = async (id: string) => {
+  const deleteFryer = async (id: string) => {
     try {
-      const response = await recordsService.deleteStorageRecord(id);
+      const response = await fryingOilService.deleteFryer(id);
+      if (response.success && response.data?.deactivated && response.data.fryer) {
+        dispatch({ type: 'UPDATE_FRYER', payload: response.data.fryer });
+        loadFryingOilAlerts();
+      } else if (response.success) {
+        dispatch({ type: 'REMOVE_FRYER', payload: id });
+        loadFryingOilAlerts();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Frying Oil Events
+  const addFryingOilEvent = async (data: FryingOilEventFormData) => {
+    try {
+      const response = await fryingOilService.createEvent(data);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_FRYING_OIL_EVENT', payload: response.data });
+        loadFryingOilAlerts();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteFryingOilEvent = async (id: string) => {
+    try {
+      const response = await fryingOilService.deleteEvent(id);
       if (response.success) {
-        dispatch({ type: 'REMOVE_STORAGE_RECORD', payload: id });
+        dispatch({ type: 'REMOVE_FRYING_OIL_EVENT', payload: id });
+        loadFryingOilAlerts();
       }
     } catch (error: any) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
@@ -501,12 +2452,12 @@ export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children })
     }
   };
 
-  // Technical Sheets
-  const addTechnicalSheet = async (sheet: Omit<TechnicalSheet, 'id'>) => {
+  // Training Plans
+  const addTrainingPlan = async (data: TrainingPlanFormData) => {
     try {
-      const response = await recordsService.createTechnicalSheet(sheet);
+      const response = await trainingService.createPlan(data);
       if (response.success && response.data) {
-        dispatch({ type: 'ADD_TECHNICAL_SHEET', payload: response.data });
+        dispatch({ type: 'ADD_TRAINING_PLAN', payload: response.data });
       }
     } catch (error: any) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
@@ -514,11 +2465,11 @@ export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children })
     }
   };
 
-  const updateTechnicalSheet = async (id: string, sheetData: Partial<TechnicalSheet>) => {
+  const updateTrainingPlan = async (id: string, data: TrainingPlanFormData) => {
     try {
-      const response = await recordsService.updateTechnicalSheet(id, sheetData);
+      const response = await trainingService.updatePlan(id, data);
       if (response.success && response.data) {
-        dispatch({ type: 'UPDATE_TECHNICAL_SHEET', payload: { id, data: response.data } });
+        dispatch({ type: 'UPDATE_TRAINING_PLAN', payload: response.data });
       }
     } catch (error: any) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
@@ -526,11 +2477,11 @@ export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children })
     }
   };
 
-  const deleteTechnicalSheet = async (id: string) => {
+  const deleteTrainingPlan = async (id: string) => {
     try {
-      const response = await recordsService.deleteTechnicalSheet(id);
+      const response = await trainingService.deletePlan(id);
       if (response.success) {
-        dispatch({ type: 'REMOVE_TECHNICAL_SHEET', payload: id });
+        dispatch({ type: 'REMOVE_TRAINING_PLAN', payload: id });
       }
     } catch (error: any) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
@@ -538,12 +2489,13 @@ export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children })
     }
   };
 
-  // Suppliers
-  const addSupplier = async (supplier: Omit<Supplier, 'id'>) => {
+  // Training Records
+  const addTrainingRecord = async (data: TrainingRecordFormData) => {
     try {
-      const response = await configService.createSupplier(supplier);
+      const response = await trainingService.createRecord(data);
       if (response.success && response.data) {
-        dispatch({ type: 'ADD_SUPPLIER', payload: response.data });
+        dispatch({ type: 'ADD_TRAINING_RECORD', payload: response.data });
+        loadExpiringTrainings();
       }
     } catch (error: any) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
@@ -551,11 +2503,25 @@ export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children })
     }
   };
 
-  const deleteSupplier = async (id: string) => {
+  const updateTrainingRecord = async (id: string, data: TrainingRecordFormData) => {
     try {
-      const response = await configService.deleteSupplier(id);
+      const response = await trainingService.updateRecord(id, data);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_TRAINING_RECORD', payload: response.data });
+        loadExpiringTrainings();
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteTrainingRecord = async (id: string) => {
+    try {
+      const response = await trainingService.deleteRecord(id);
       if (response.success) {
-        dispatch({ type: 'REMOVE_SUPPLIER', payload: id });
+        dispatch({ type: 'REMOVE_TRAINING_RECORD', payload: id });
+        loadExpiringTrainings();
       }
     } catch (error: any) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
@@ -563,12 +2529,11 @@ export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children })
     }
   };
 
-  // Product Types
-  const addProductType = async (type: Omit<ProductType, 'id'>) => {
+  const uploadTrainingCertificate = async (id: string, file: File) => {
     try {
-      const response = await configService.createProductType(type);
+      const response = await trainingService.uploadCertificate(id, file);
       if (response.success && response.data) {
-        dispatch({ type: 'ADD_PRODUCT_TYPE', payload: response.data });
+        dispatch({ type: 'UPDATE_TRAINING_RECORD', payload: response.data });
       }
     } catch (error: any) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
@@ -576,11 +2541,69 @@ export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children })
     }
   };
 
-  const deleteProductType = async (id: string) => {
+  const downloadTrainingCertificate = async (id: string) => {
     try {
-      const response = await configService.deleteProductType(id);
+      return await trainingService.downloadCertificate(id);
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteTrainingCertificate = async (id: string) => {
+    try {
+      const response = await trainingService.deleteCertificate(id);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_TRAINING_RECORD', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Costings
+  const addCosting = async (costing: Omit<Costing, 'id'>) => {
+    try {
+      const response = await costingService.createCosting(costing);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_COSTING', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateCosting = async (id: string, costing: Omit<Costing, 'id'>) => {
+    try {
+      const response = await costingService.updateCosting(id, costing);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_COSTING', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateCostingSalePrices = async (id: string, salePrices: Costing['salePrices']) => {
+    try {
+      const response = await costingService.updateSalePrices(id, salePrices);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_COSTING', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteCosting = async (id: string) => {
+    try {
+      const response = await costingService.deleteCosting(id);
       if (response.success) {
-        dispatch({ type: 'REMOVE_PRODUCT_TYPE', payload: id });
+        dispatch({ type: 'REMOVE_COSTING', payload: id });
       }
     } catch (error: any) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
@@ -588,12 +2611,22 @@ export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children })
     }
   };
 
-  // Storage Units
-  const addStorageUnit = async (unit: Omit<StorageUnit, 'id'>) => {
+  const getCostingHistory = async (id: string): Promise<CostingHistoryEntry[]> => {
     try {
-      const response = await configService.createStorageUnit(unit);
+      const response = await costingService.getCostingHistory(id);
+      return response.success && response.data ? response.data : [];
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Outgoing Records
+  const addOutgoingRecord = async (record: Omit<OutgoingRecord, 'id'>) => {
+    try {
+      const response = await recordsService.createOutgoingRecord(record);
       if (response.success && response.data) {
-        dispatch({ type: 'ADD_STORAGE_UNIT', payload: response.data });
+        dispatch({ type: 'ADD_OUTGOING_RECORD', payload: response.data });
       }
     } catch (error: any) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
@@ -601,12 +2634,220 @@ export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children })
     }
   };
 
-  const deleteStorageUnit = async (id: string) => {
+  const deleteOutgoingRecord = async (id: string) => {
     try {
-      const response = await configService.deleteStorageUnit(id);
+      const response = await recordsService.deleteOutgoingRecord(id);
       if (response.success) {
-        dispatch({ type: 'REMOVE_STORAGE_UNIT', payload: id });
+        dispatch({ type: 'REMOVE_OUTGOING_RECORD', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Elaborated Records
+  const addElaboratedRecord = async (record: Omit<ElaboratedRecord, 'id'>) => {
+    try {
+      const response = await recordsService.createElaboratedRecord(record);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_ELABORATED_RECORD', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteElaboratedRecord = async (id: string) => {
+    try {
+      const response = await recordsService.deleteElaboratedRecord(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_ELABORATED_RECORD', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Incidents (las operaciones sobre acciones devuelven la incidencia completa)
+  const addIncident = async (incident: IncidentFormData) => {
+    try {
+      const response = await incidentService.createIncident(incident);
+      if (response.success && response.data) {
+        dispatch({ type: 'ADD_INCIDENT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const changeIncidentStatus = async (id: string, status: IncidentStatus, notes?: string) => {
+    try {
+      const response = await incidentService.changeIncidentStatus(id, status, notes);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_INCIDENT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteIncident = async (id: string) => {
+    try {
+      const response = await incidentService.deleteIncident(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_INCIDENT', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const addCorrectiveAction = async (incidentId: string, action: CorrectiveActionFormData) => {
+    try {
+      const response = await incidentService.addCorrectiveAction(incidentId, action);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_INCIDENT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const updateCorrectiveAction = async (incidentId: string, actionId: string, action: Partial<CorrectiveActionFormData>) => {
+    try {
+      const response = await incidentService.updateCorrectiveAction(incidentId, actionId, action);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_INCIDENT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteCorrectiveAction = async (incidentId: string, actionId: string) => {
+    try {
+      const response = await incidentService.deleteCorrectiveAction(incidentId, actionId);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_INCIDENT', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Temperature Excursions
+  const changeExcursionStatus = async (id: string, status: ExcursionStatus, correctiveAction?: string) => {
+    try {
+      const response = await excursionService.changeExcursionStatus(id, status, correctiveAction);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_EXCURSION', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Missed Checks
+  const justifyMissedCheck = async (id: string, justification: string) => {
+    try {
+      const response = await missedCheckService.justifyMissedCheck(id, justification);
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_MISSED_CHECK', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Data Loggers
+  const addDataLogger = async (data: DataLoggerFormData): Promise<string> => {
+    try {
+      const response = await dataLoggerService.createDataLogger(data);
+      if (!response.success || !response.data) return '';
+      const { token, ...dataLogger } = response.data;
+      dispatch({ type: 'ADD_DATA_LOGGER', payload: dataLogger });
+      return token;
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const regenerateDataLoggerToken = async (id: string): Promise<string> => {
+    try {
+      const response = await dataLoggerService.regenerateToken(id);
+      if (!response.success || !response.data) return '';
+      const { token, ...dataLogger } = response.data;
+      dispatch({ type: 'UPDATE_DATA_LOGGER', payload: dataLogger });
+      return token;
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const setDataLoggerActive = async (id: string, isActive: boolean) => {
+    try {
+      const response = await dataLoggerService.updateDataLogger(id, { isActive });
+      if (response.success && response.data) {
+        dispatch({ type: 'UPDATE_DATA_LOGGER', payload: response.data });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  const deleteDataLogger = async (id: string) => {
+    try {
+      const response = await dataLoggerService.deleteDataLogger(id);
+      if (response.success) {
+        dispatch({ type: 'REMOVE_DATA_LOGGER', payload: id });
+      }
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Las lecturas subidas no entran en el historial manual, pero sí en estadísticas y excursiones
+  const uploadDataLoggerFile = async (id: string, file: File): Promise<LoggerIngestResult> => {
+    try {
+      const response = await dataLoggerService.uploadReadings(id, file);
+      const result = response.success && response.data
+        ? response.data
+        : { received: 0, imported: 0, duplicates: 0, outOfRange: 0, errors: [] };
+
+      if (result.imported > 0) {
+        loadStats();
+        loadExcursions();
+        loadMissedChecks();
+        loadDataLoggers();
       }
+
+      return result;
+    } catch (error: any) {
+      dispatch({ type: 'SET_ERROR', payload: error.message });
+      throw error;
+    }
+  };
+
+  // Consulta directa (no modifica las listas cargadas)
+  const getStorageSeries = async (unitId: string, dateFrom?: string, dateTo?: string): Promise<StorageSeries | null> => {
+    try {
+      const response = await recordsService.getStorageSeries(unitId, { dateFrom, dateTo });
+      return response.success && response.data ? response.data : null;
     } catch (error: any) {
       dispatch({ type: 'SET_ERROR', payload: error.message });
       throw error;
@@ -646,6 +2887,16 @@ export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children })
     ...state,
     loadAllData,
     syncData,
+    loadStats,
+    exportRecords,
+    importRecords,
+    searchRecords,
+    loadMoreRecords,
+    filterDeliveryRecords,
+    filterStorageRecords,
+    getLots,
+    getLotGenealogy,
+    getRecallReport,
     addDeliveryRecord,
     updateDeliveryRecord,
     deleteDeliveryRecord,
@@ -660,7 +2911,85 @@ export const AppDataProvider: React.FC<{ children: ReactNode }> = ({ children })
     addProductType,
     deleteProductType,
     addStorageUnit,
+    updateStorageUnit,
     deleteStorageUnit,
+    updateCatalog,
+    resetCatalog,
+    addDailySurface,
+    updateDailySurface,
+    deleteDailySurface,
+    addDailyCleaningRecord,
+    deleteDailyCleaningRecord,
+    addFrequentArea,
+    updateFrequentArea,
+    deleteFrequentArea,
+    cleanFrequentArea,
+    loadCleaningTasks,
+    addChemicalProduct,
+    updateChemicalProduct,
+    deleteChemicalProduct,
+    uploadChemicalDocument,
+    downloadChemicalDocument,
+    deleteChemicalDocument,
+    addPestStation,
+    updatePestStation,
+    deletePestStation,
+    addPestControlVisit,
+    updatePestControlVisit,
+    deletePestControlVisit,
+    uploadPestControlCertificate,
+    downloadPestControlCertificate,
+    deletePestControlCertificate,
+    addWaterPoint,
+    updateWaterPoint,
+    deleteWaterPoint,
+    addWaterRecord,
+    deleteWaterRecord,
+    addWaterAnalysis,
+    updateWaterAnalysis,
+    deleteWaterAnalysis,
+    uploadWaterAnalysisReport,
+    downloadWaterAnalysisReport,
+    deleteWaterAnalysisReport,
+    addFryer,
+    updateFryer,
+    deleteFryer,
+    addFryingOilEvent,
+    deleteFryingOilEvent,
+    addTrainingPlan,
+    updateTrainingPlan,
+    deleteTrainingPlan,
+    addTrainingRecord,
+    updateTrainingRecord,
+    deleteTrainingRecord,
+    uploadTrainingCertificate,
+    downloadTrainingCertificate,
+    deleteTrainingCertificate,
+    addCosting,
+    updateCosting,
+    updateCostingSalePrices,
+    deleteCosting,
+    getCostingHistory,
+    addOutgoingRecord,
+    deleteOutgoingRecord,
+    addElaboratedRecord,
+    deleteElaboratedRecord,
+    addIncident,
+    changeIncidentStatus,
+    deleteIncident,
+    addCorrectiveAction,
+    updateCorrectiveAction,
+    deleteCorrectiveAction,
+    loadExcursions,
+    changeExcursionStatus,
+    loadMissedChecks,
+    justifyMissedCheck,
+    addDataLogger,
+    regenerateDataLoggerToken,
+    setDataLoggerActive,
+    deleteDataLogger,
+    uploadDataLoggerFile,
+    getStorageSeries,
     updateEstablishmentInfo,
     clearError,
     markAsSaved,
@@ -10,5 +10,5 @@ export type {
   OrganizationState 
 } from './OrganizationContext';
 
-export { AppDataProvider, useAppData } from './AppDataContext';
-export type { AppDataState } from './AppDataContext';
\ No newline at end of file
+export { AppDataProvider, useAppData, STATS_PERIOD_DAYS, TRAINING_EXPIRY_WARNING_DAYS } from './AppDataContext';
+export type { AppDataState, PagedRecordList } from './AppDataContext';
\ No newline at end of file
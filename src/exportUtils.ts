@@ -1,7 +1,90 @@
 import { jsPDF } from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import * as XLSX from 'xlsx';
-import { EstablishmentInfo } from './types'; // Importar interfaz
+import { EstablishmentInfo, Incident, RecallReport } from './types'; // Importar interfaces
+
+/**
+ * Dibuja la cabecera común de los PDF: nombre del establecimiento, N.R.S. y título.
+ * @param doc - Documento PDF.
+ * @param title - El título del documento.
+ * @param establishmentInfo - Objeto con los detalles del establecimiento.
+ */
+const addPDFHeader = (doc: jsPDF, title: string, establishmentInfo: EstablishmentInfo) => {
+  const establishmentName = establishmentInfo.name || 'Establecimiento';
+  const sanitaryRegistry = establishmentInfo.sanitaryRegistry || 'N/R.S.';
+
+  doc.setFontSize(10);
+  doc.setTextColor(150);
+  doc.text(establishmentName, 14, 15);
+  doc.text(`N.R.S: ${sanitaryRegistry}`, doc.internal.pageSize.width - 14, 15, { align: 'right' });
+  doc.line(14, 17, doc.internal.pageSize.width - 14, 17); // Línea horizontal
+
+  // Título
+  doc.setFontSize(18);
+  doc.setTextColor(40);
+  doc.text(title, 14, 28);
+};
+
+/**
+ * Devuelve el callback de autoTable que dibuja el pie de página (número de página y fecha).
+ * @param doc - Documento PDF.
+ */
+const pdfFooter = (doc: jsPDF) => (data: any) => {
+  const pageCount = doc.getNumberOfPages();
+  doc.setFontSize(10);
+  doc.setTextColor(150);
+  doc.text(`Página ${data.pageNumber} de ${pageCount}`, data.settings.margin.left, doc.internal.pageSize.height - 10);
+  doc.text(`Generado: ${new Date().toLocaleDateString('es-ES')}`, doc.internal.pageSize.width - data.settings.margin.right, doc.internal.pageSize.height - 10, { align: 'right' });
+};
+
+// Tabla adicional de un PDF, con su propio título
+export interface PDFSection {
+  title: string;
+  headers: string[];
+  data: (string | number)[][];
+}
+
+/**
+ * Dibuja una tras otra las secciones con datos, pasando de página cuando el título quedaría al final.
+ * @param doc - Documento PDF.
+ * @param sections - Secciones a dibujar (las vacías se omiten).
+ * @param startY - Posición vertical de la primera sección.
+ */
+const addPDFSections = (doc: jsPDF, sections: PDFSection[], startY: number) => {
+  let y = startY;
+  sections.filter(section => section.data.length > 0).forEach(section => {
+    if (y > doc.internal.pageSize.height - 40) {
+      doc.addPage();
+      y = 20;
+    }
+    doc.setFontSize(12);
+    doc.setTextColor(40);
+    doc.text(section.title, 14, y);
+
+    autoTable(doc, {
+      head: [section.headers],
+      body: section.data,
+      startY: y + 3,
+      theme: 'grid',
+      styles: {
+        fontSize: 8,
+        cellPadding: 2,
+        overflow: 'linebreak'
+      },
+      headStyles: {
+        fillColor: [0, 90, 156], // --primary-color
+        textColor: 255,
+        fontStyle: 'bold',
+        halign: 'center'
+      },
+      alternateRowStyles: {
+        fillColor: [245, 245, 245]
+      },
+      didDrawPage: pdfFooter(doc)
+    });
+    y = (doc as any).lastAutoTable.finalY + 12;
+  });
+};
 
 /**
  * Exporta datos a un archivo PDF con un aspecto limpio y profesional.
@@ -10,13 +93,15 @@ import { EstablishmentInfo } from './types'; // Importar interfaz
  * @param data - Un array de arrays, donde cada array interno es una fila.
  * @param fileName - El nombre del archivo a guardar (sin extensión).
  * @param establishmentInfo - Objeto con los detalles del establecimiento para añadir a la cabecera.
+ * @param sections - Tablas adicionales que se añaden después de la principal.
  */
 export const exportToPDF = (
   title: string, 
   headers: string[], 
   data: (string | number)[][], 
   fileName: string,
-  establishmentInfo: EstablishmentInfo
+  establishmentInfo: EstablishmentInfo,
+  sections: PDFSection[] = []
 ) => {
   try {
     const doc = new jsPDF({
@@ -25,20 +110,7 @@ export const exportToPDF = (
       format: 'a4'
     });
     
-    // Cabecera del documento
-    const establishmentName = establishmentInfo.name || 'Establecimiento';
-    const sanitaryRegistry = establishmentInfo.sanitaryRegistry || 'N/R.S.';
-    
-    doc.setFontSize(10);
-    doc.setTextColor(150);
-    doc.text(establishmentName, 14, 15);
-    doc.text(`N.R.S: ${sanitaryRegistry}`, doc.internal.pageSize.width - 14, 15, { align: 'right' });
-    doc.line(14, 17, doc.internal.pageSize.width - 14, 17); // Línea horizontal
-
-    // Título
-    doc.setFontSize(18);
-    doc.setTextColor(40);
-    doc.text(title, 14, 28);
+    addPDFHeader(doc, title, establishmentInfo);
     
     autoTable(doc, {
       head: [headers],
@@ -59,16 +131,11 @@ export const exportToPDF = (
       alternateRowStyles: {
         fillColor: [245, 245, 245]
       },
-      didDrawPage: (data) => {
-        // Pie de página
-        const pageCount = doc.getNumberOfPages();
-        doc.setFontSize(10);
-        doc.setTextColor(150);
-        doc.text(`Página ${data.pageNumber} de ${pageCount}`, data.settings.margin.left, doc.internal.pageSize.height - 10);
-        doc.text(`Generado: ${new Date().toLocaleDateString('es-ES')}`, doc.internal.pageSize.width - data.settings.margin.right, doc.internal.pageSize.height - 10, { align: 'right' });
-      }
+      didDrawPage: pdfFooter(doc)
     });
 
+    addPDFSections(doc, sections, (doc as any).lastAutoTable.finalY + 12);
+
     doc.save(`${fileName}_${new Date().toISOString().slice(0,10)}.pdf`);
   } catch (error) {
     console.error("Error exporting to PDF:", error);
@@ -108,3 +175,193 @@ export const exportToExcel = (data: any[], fileName: string) => {
         alert("Hubo un error al generar el archivo Excel. Por favor, revise la consola para más detalles.");
     }
 };
+
+/**
+ * Guarda en el dispositivo un archivo recibido del servidor (p. ej. una exportación completa).
+ * @param blob - Contenido del archivo.
+ * @param fileName - Nombre del archivo, con extensión.
+ */
+export const downloadFile = (blob: Blob, fileName: string) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
+
+/**
+ * Exporta el registro de incidencias a PDF, con sus acciones correctivas y datos de resolución.
+ * @param incidents - Incidencias a exportar.
+ * @param establishmentInfo - Objeto con los detalles del establecimiento para añadir a la cabecera.
+ * @param usersMap - Mapa de id de usuario a nombre.
+ */
+export const exportIncidentsToPDF = (
+  incidents: Incident[],
+  establishmentInfo: EstablishmentInfo,
+  usersMap: Map<string, string>
+) => {
+  try {
+    const doc = new jsPDF({
+      orientation: 'p',
+      unit: 'mm',
+      format: 'a4'
+    });
+
+    // Cabecera, título y resumen
+    addPDFHeader(doc, 'Registro de Incidencias', establishmentInfo);
+
+    const countBy = (status: Incident['status']) => incidents.filter(i => i.status === status).length;
+    doc.setFontSize(10);
+    doc.setTextColor(100);
+    doc.text(`Total: ${incidents.length} | Abiertas: ${countBy('Abierta')} | En Proceso: ${countBy('En Proceso')} | Resueltas: ${countBy('Resuelta')}`, 14, 35);
+
+    const formatDate = (value?: string | null) => value ? new Date(value).toLocaleDateString('es-ES') : '-';
+    const footer = pdfFooter(doc);
+
+    autoTable(doc, {
+      head: [["Fecha", "Título", "Área", "Gravedad", "Estado", "Detectada por", "Resolución"]],
+      body: incidents.map(incident => [
+        formatDate(incident.detectionDate),
+        incident.title,
+        incident.affectedArea,
+        incident.severity,
+        incident.status,
+        usersMap.get(incident.reportedBy) || 'N/A',
+        incident.status === 'Resuelta'
+          ? `${formatDate(incident.resolvedAt)} (${incident.resolvedBy || 'N/A'})${incident.resolutionNotes ? `: ${incident.resolutionNotes}` : ''}`
+          : '-'
+      ]),
+      startY: 40,
+      theme: 'grid',
+      styles: {
+        fontSize: 8,
+        cellPadding: 2,
+        overflow: 'linebreak'
+      },
+      headStyles: {
+        fillColor: [220, 53, 69], // --danger-color
+        textColor: 255,
+        fontStyle: 'bold',
+        halign: 'center'
+      },
+      alternateRowStyles: {
+        fillColor: [245, 245, 245]
+      },
+      didDrawPage: footer
+    });
+
+    // Acciones correctivas de todas las incidencias
+    const actionRows = incidents.flatMap(incident =>
+      incident.correctiveActions.map(action => [
+        incident.title,
+        action.description,
+        formatDate(action.implementationDate),
+        usersMap.get(action.responsibleUser) || 'N/A',
+        action.status,
+        formatDate(action.completedAt)
+      ])
+    );
+
+    if (actionRows.length > 0) {
+      autoTable(doc, {
+        head: [["Incidencia", "Acción correctiva", "Fecha prevista", "Responsable", "Estado", "Completada"]],
+        body: actionRows,
+        startY: (doc as any).lastAutoTable.finalY + 10,
+        theme: 'grid',
+        styles: {
+          fontSize: 8,
+          cellPadding: 2,
+          overflow: 'linebreak'
+        },
+        headStyles: {
+          fillColor: [0, 90, 156], // --primary-color
+          textColor: 255,
+          fontStyle: 'bold',
+          halign: 'center'
+        },
+        alternateRowStyles: {
+          fillColor: [245, 245, 245]
+        },
+        didDrawPage: footer
+      });
+    }
+
+    doc.save(`registro_incidencias_${new Date().toISOString().slice(0,10)}.pdf`);
+  } catch (error) {
+    console.error("Error exporting incidents to PDF:", error);
+    alert("Hubo un error al generar el PDF de incidencias. Por favor, revise la consola para más detalles.");
+  }
+};
+
+/**
+ * Genera el dossier PDF de una retirada de producto: destinos afectados (hacia delante)
+ * o proveedores de origen (hacia atrás), con todos los registros recorridos.
+ * @param report - Informe devuelto por la simulación de retirada.
+ * @param establishmentInfo - Objeto con los detalles del establecimiento para añadir a la cabecera.
+ */
+export const exportRecallToPDF = (report: RecallReport, establishmentInfo: EstablishmentInfo) => {
+  try {
+    const doc = new jsPDF({
+      orientation: 'p',
+      unit: 'mm',
+      format: 'a4'
+    });
+
+    const isForward = report.direction === 'forward';
+    const formatDate = (value?: string | null) => value ? new Date(value).toLocaleDateString('es-ES', { timeZone: 'UTC' }) : '-';
+
+    addPDFHeader(doc, `Retirada de Producto - Lote ${report.lot}`, establishmentInfo);
+
+    doc.setFontSize(10);
+    doc.setTextColor(100);
+    doc.text(isForward
+      ? `Recorrido hacia los destinos | Destinos afectados: ${report.destinations.length} | Salidas: ${report.shipments.length} | Elaboraciones: ${report.elaborations.length}`
+      : `Recorrido hacia el origen | Proveedores: ${report.suppliers.length} | Recepciones: ${report.receptions.length} | Elaboraciones: ${report.elaborations.length}`, 14, 35);
+    doc.text(`Informe generado el ${new Date(report.generatedAt).toLocaleString('es-ES')}`, 14, 40);
+
+    const destinationsSection: PDFSection = {
+      title: 'Destinos afectados',
+      headers: ["Destino", "Tipo", "Salidas", "Cantidades", "Lotes", "Primera salida", "Última salida"],
+      data: report.destinations.map(d => [d.destination, d.destinationType, d.shipments, d.quantities.join(', '), d.lots.join(', '), formatDate(d.firstDate), formatDate(d.lastDate)])
+    };
+    const suppliersSection: PDFSection = {
+      title: 'Proveedores de origen',
+      headers: ["Proveedor", "Recepciones", "Lotes"],
+      data: report.suppliers.map(s => [s.supplierName || s.supplierId, s.receptions, s.lots.join(', ')])
+    };
+    const shipmentsSection: PDFSection = {
+      title: 'Salidas',
+      headers: ["Fecha", "Producto", "Lote", "Cantidad", "Destino", "Tipo Destino"],
+      data: report.shipments.map(s => [formatDate(s.date), s.productName, s.lotIdentifier, s.quantity, s.destination, s.destinationType])
+    };
+    const elaborationsSection: PDFSection = {
+      title: 'Elaboraciones',
+      headers: ["Nivel", "Fecha", "Producto", "Lote", "Ingredientes"],
+      data: report.elaborations.map(e => [e.depth, formatDate(e.elaborationDate), e.productName, e.productLot, e.ingredients.map(i => `${i.name} (Lote: ${i.lot})`).join(', ')])
+    };
+    const receptionsSection: PDFSection = {
+      title: 'Recepciones',
+      headers: ["Fecha", "Proveedor", "Producto", "Lote", "Caducidad"],
+      data: report.receptions.map(r => [formatDate(r.receptionDate), r.supplierName || 'N/A', r.productName || 'N/A', r.lot, formatDate(r.expiryDate)])
+    };
+    const untracedSection: PDFSection = {
+      title: 'Ingredientes sin trazar (lote sin recepción registrada)',
+      headers: ["Ingrediente", "Lote", "Proveedor", "Usado en lote"],
+      data: report.untracedIngredients.map(i => [i.name, i.lot, i.supplier || 'N/A', i.productLot])
+    };
+
+    const sections = isForward
+      ? [destinationsSection, shipmentsSection, elaborationsSection, receptionsSection]
+      : [suppliersSection, receptionsSection, elaborationsSection, shipmentsSection, untracedSection];
+
+    addPDFSections(doc, sections, 48);
+
+    doc.save(`retirada_lote_${report.lot.replace(/[^\w-]+/g, '_')}_${new Date().toISOString().slice(0,10)}.pdf`);
+  } catch (error) {
+    console.error("Error exporting recall to PDF:", error);
+    alert("Hubo un error al generar el dossier de retirada. Por favor, revise la consola para más detalles.");
+  }
+};
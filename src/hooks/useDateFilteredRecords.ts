@@ -0,0 +1,100 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { getErrorMessage } from '../services';
+import type { RecordsFilters, RecordsListResponse, ListPagination } from '../services';
+import { applySearchResults } from '../components/RecordSearchBar';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mismo criterio que el servidor: "Hasta" incluye el día completo
+export const isInDateRange = (date: string, startDate: string, endDate: string) => {
+  const time = new Date(date).getTime();
+  if (startDate && time < new Date(startDate).getTime()) return false;
+  if (endDate && time > new Date(endDate).getTime() + DAY_MS - 1) return false;
+  return true;
+};
+
+interface DateFilterResult<T> {
+  startDate: string;
+  endDate: string;
+  records: T[];
+  pagination: ListPagination;
+  // Registros cargados en la app al pedir el rango: los que aparezcan después son altas
+  knownIds: Set<string>;
+}
+
+// Registros de un rango de fechas filtrados en el servidor, página a página.
+// Solo se vuelven a pedir al cambiar las fechas; las altas posteriores se añaden en local
+// y las bajas se quitan con removeRecord.
+export const useDateFilteredRecords = <T extends { id: string }>(
+  records: T[],
+  getDate: (record: T) => string,
+  startDate: string,
+  endDate: string,
+  fetchPage: (filters: RecordsFilters) => Promise<RecordsListResponse<T>>
+) => {
+  const [loaded, setResult] = useState<DateFilterResult<T> | null>(null);
+  // Solo vale la respuesta del rango seleccionado (la del anterior puede seguir guardada)
+  const result = loaded && loaded.startDate === startDate && loaded.endDate === endDate ? loaded : null;
+  const [removedIds, setRemovedIds] = useState<Set<string>>(new Set());
+
+  // Los registros cargados solo se consultan al pedir el rango (no provocan otra petición)
+  const recordsRef = useRef(records);
+  recordsRef.current = records;
+
+  useEffect(() => {
+    if (!startDate && !endDate) {
+      setResult(null);
+      return;
+    }
+
+    let cancelled = false;
+    const knownIds = new Set(recordsRef.current.map(record => record.id));
+    fetchPage({ dateFrom: startDate || undefined, dateTo: endDate || undefined })
+      .then(page => {
+        if (cancelled) return;
+        setResult({ startDate, endDate, records: page.records, pagination: page.pagination, knownIds });
+        setRemovedIds(new Set());
+      })
+      .catch(error => {
+        if (!cancelled) alert(`No se pudo filtrar el historial: ${getErrorMessage(error)}`);
+      });
+    return () => { cancelled = true; };
+  }, [startDate, endDate, fetchPage]);
+
+  const loadMore = async () => {
+    if (!result) return;
+    const page = await fetchPage({ dateFrom: startDate || undefined, dateTo: endDate || undefined, page: result.pagination.current + 1 });
+    setResult(current => {
+      if (!current || current.startDate !== startDate || current.endDate !== endDate) return current;
+      const loadedIds = new Set(current.records.map(record => record.id));
+      return {
+        ...current,
+        records: [...current.records, ...page.records.filter(record => !loadedIds.has(record.id))],
+        pagination: page.pagination
+      };
+    });
+  };
+
+  const removeRecord = (id: string) => {
+    setRemovedIds(current => new Set(current).add(id));
+  };
+
+  // null sin fechas; vacío mientras llega la respuesta del rango pedido
+  const filteredRecords = useMemo(() => {
+    if (!startDate && !endDate) return null;
+    if (!result) return [];
+    const resultIds = new Set(result.records.map(record => record.id));
+    const added = records.filter(record =>
+      !result.knownIds.has(record.id) && !resultIds.has(record.id) && isInDateRange(getDate(record), startDate, endDate)
+    );
+    // Con la versión cargada de cada registro para reflejar los cambios posteriores
+    return applySearchResults([...added, ...result.records], records).filter(record => !removedIds.has(record.id));
+  }, [records, result, removedIds, getDate, startDate, endDate]);
+
+  return {
+    records: filteredRecords,
+    pagination: result?.pagination,
+    loadMore,
+    removeRecord
+  };
+};
@@ -155,9 +155,14 @@ export class ApiService {
     retryOnAuth = true
   ): Promise<ApiResponse<T>> {
     const url = `${this.baseURL}${endpoint}`;
+    const headers = this.getHeaders(options.headers as Record<string, string>);
+    // Con FormData el navegador debe fijar el Content-Type (incluye el boundary del multipart)
+    if (options.body instanceof FormData) {
+      delete headers['Content-Type'];
+    }
     const config: RequestInit = {
       ...options,
-      headers: this.getHeaders(options.headers as Record<string, string>),
+      headers,
     };
 
     try {
@@ -166,9 +171,13 @@ export class ApiService {
     } catch (error) {
       if (error instanceof ApiError && error.status === 401 && retryOnAuth) {
         // Token fue renovado, reintentar una vez
+        const retryHeaders = this.getHeaders(options.headers as Record<string, string>);
+        if (options.body instanceof FormData) {
+          delete retryHeaders['Content-Type'];
+        }
         const retryResponse = await fetch(url, {
           ...config,
-          headers: this.getHeaders(options.headers as Record<string, string>),
+          headers: retryHeaders,
         });
         return await this.handleResponse<T>(retryResponse);
       }
@@ -176,8 +185,8 @@ export class ApiService {
     }
   }
 
-  // Métodos HTTP
-  async get<T>(endpoint: string, params?: Record<string, any>): Promise<ApiResponse<T>> {
+  // Añadir parámetros de consulta al endpoint
+  private buildUrl(endpoint: string, params?: Record<string, any>): string {
     let url = endpoint;
     if (params) {
       const searchParams = new URLSearchParams();
@@ -191,8 +200,12 @@ export class ApiService {
         url += `?${queryString}`;
       }
     }
+    return url;
+  }
 
-    return this.request<T>(url, { method: 'GET' });
+  // Métodos HTTP
+  async get<T>(endpoint: string, params?: Record<string, any>): Promise<ApiResponse<T>> {
+    return this.request<T>(this.buildUrl(endpoint, params), { method: 'GET' });
   }
 
   async post<T>(endpoint: string, data?: any): Promise<ApiResponse<T>> {
@@ -220,6 +233,24 @@ export class ApiService {
     return this.request<T>(endpoint, { method: 'DELETE' });
   }
 
+  // Descarga de archivos (exportaciones)
+  async download(endpoint: string, params?: Record<string, any>): Promise<{ blob: Blob; fileName: string }> {
+    const response = await fetch(`${this.baseURL}${this.buildUrl(endpoint, params)}`, {
+      method: 'GET',
+      headers: this.getHeaders(),
+    });
+
+    if (!response.ok) {
+      // Reutilizar el manejo de errores de las respuestas JSON
+      await this.handleResponse(response);
+    }
+
+    const disposition = response.headers.get('content-disposition') || '';
+    const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || 'exportacion';
+
+    return { blob: await response.blob(), fileName };
+  }
+
   // Upload de archivos
   async upload<T>(endpoint: string, file: File, additionalData?: Record<string, any>): Promise<ApiResponse<T>> {
     const formData = new FormData();
@@ -0,0 +1,36 @@
+// Servicio para el registro de productos químicos de limpieza y sus fichas
+import { apiService, ApiResponse } from './api';
+import { ChemicalProduct, ChemicalProductFormData, ChemicalDocumentKind } from '../types';
+
+export class ChemicalProductService {
+  async getChemicalProducts(): Promise<ApiResponse<ChemicalProduct[]>> {
+    return apiService.get<ChemicalProduct[]>('/api/chemical-products');
+  }
+
+  async createChemicalProduct(data: ChemicalProductFormData): Promise<ApiResponse<ChemicalProduct>> {
+    return apiService.post<ChemicalProduct>('/api/chemical-products', data);
+  }
+
+  async updateChemicalProduct(id: string, data: Partial<ChemicalProductFormData>): Promise<ApiResponse<ChemicalProduct>> {
+    return apiService.put<ChemicalProduct>(`/api/chemical-products/${id}`, data);
+  }
+
+  async deleteChemicalProduct(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/chemical-products/${id}`);
+  }
+
+  // Ficha de seguridad o ficha técnica (PDF, JPG o PNG); sustituye la anterior
+  async uploadDocument(id: string, kind: ChemicalDocumentKind, file: File): Promise<ApiResponse<ChemicalProduct>> {
+    return apiService.upload<ChemicalProduct>(`/api/chemical-products/${id}/documents/${kind}`, file);
+  }
+
+  async downloadDocument(id: string, kind: ChemicalDocumentKind): Promise<{ blob: Blob; fileName: string }> {
+    return apiService.download(`/api/chemical-products/${id}/documents/${kind}`);
+  }
+
+  async deleteDocument(id: string, kind: ChemicalDocumentKind): Promise<ApiResponse<ChemicalProduct>> {
+    return apiService.delete<ChemicalProduct>(`/api/chemical-products/${id}/documents/${kind}`);
+  }
+}
+
+export const chemicalProductService = new ChemicalProductService();
@@ -0,0 +1,75 @@
+// Servicio para limpieza e higiene (Plan L+D: superficies, zonas, tareas y registros de limpieza)
+import { apiService, ApiResponse } from './api';
+import { DailySurface, DailyCleaningRecord, FrequentArea, CleaningTasksResponse } from '../types';
+import { RecordsFilters, RecordsListResponse } from './recordsService';
+
+export interface CleaningRecordsFilters extends RecordsFilters {
+  surfaceId?: string;
+  areaId?: string;
+}
+
+export interface CleanAreaResponse {
+  area: FrequentArea;
+  record: DailyCleaningRecord;
+}
+
+export class CleaningService {
+  // Daily Surfaces
+  async getDailySurfaces(): Promise<ApiResponse<DailySurface[]>> {
+    return apiService.get<DailySurface[]>('/api/cleaning/surfaces');
+  }
+
+  async createDailySurface(data: Omit<DailySurface, 'id'>): Promise<ApiResponse<DailySurface>> {
+    return apiService.post<DailySurface>('/api/cleaning/surfaces', data);
+  }
+
+  async updateDailySurface(id: string, data: Partial<DailySurface>): Promise<ApiResponse<DailySurface>> {
+    return apiService.put<DailySurface>(`/api/cleaning/surfaces/${id}`, data);
+  }
+
+  async deleteDailySurface(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/cleaning/surfaces/${id}`);
+  }
+
+  // Tareas del Plan L+D para un día (YYYY-MM-DD, hoy por defecto) en la zona horaria indicada
+  async getCleaningTasks(date?: string, timezone?: string): Promise<ApiResponse<CleaningTasksResponse>> {
+    return apiService.get<CleaningTasksResponse>('/api/cleaning/tasks', { date, timezone });
+  }
+
+  // Cleaning Records
+  async getCleaningRecords(filters?: CleaningRecordsFilters): Promise<ApiResponse<RecordsListResponse<DailyCleaningRecord>>> {
+    return apiService.get<RecordsListResponse<DailyCleaningRecord>>('/api/cleaning/records', filters);
+  }
+
+  async createCleaningRecord(data: Omit<DailyCleaningRecord, 'id'>): Promise<ApiResponse<DailyCleaningRecord>> {
+    return apiService.post<DailyCleaningRecord>('/api/cleaning/records', data);
+  }
+
+  async deleteCleaningRecord(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/cleaning/records/${id}`);
+  }
+
+  // Frequent Areas
+  async getFrequentAreas(): Promise<ApiResponse<FrequentArea[]>> {
+    return apiService.get<FrequentArea[]>('/api/cleaning/areas');
+  }
+
+  async createFrequentArea(data: Omit<FrequentArea, 'id'>): Promise<ApiResponse<FrequentArea>> {
+    return apiService.post<FrequentArea>('/api/cleaning/areas', data);
+  }
+
+  async updateFrequentArea(id: string, data: Partial<FrequentArea>): Promise<ApiResponse<FrequentArea>> {
+    return apiService.put<FrequentArea>(`/api/cleaning/areas/${id}`, data);
+  }
+
+  async deleteFrequentArea(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/cleaning/areas/${id}`);
+  }
+
+  // Marca la zona como limpiada y crea el registro de limpieza en el servidor
+  async cleanFrequentArea(id: string, data?: { userId?: string; dateTime?: string; productId?: string }): Promise<ApiResponse<CleanAreaResponse>> {
+    return apiService.post<CleanAreaResponse>(`/api/cleaning/areas/${id}/clean`, data);
+  }
+}
+
+export const cleaningService = new CleaningService();
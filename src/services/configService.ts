@@ -1,11 +1,18 @@
 // Servicio para datos de configuración (suppliers, product types, etc.)
 import { apiService, ApiResponse } from './api';
-import { Supplier, ProductType, StorageUnit, EstablishmentInfo } from '../types';
+import { Supplier, ProductType, StorageUnit, EstablishmentInfo, CatalogKey, ConfigCatalogs } from '../types';
+
+// Al eliminar un proveedor o tipo con registros de recepción, el servidor lo archiva
+export interface ArchiveOnDeleteResponse<T> {
+  archived: boolean;
+  supplier?: T;
+  productType?: T;
+}
 
 export class ConfigService {
   // Suppliers
-  async getSuppliers(): Promise<ApiResponse<Supplier[]>> {
-    return apiService.get<Supplier[]>('/api/suppliers');
+  async getSuppliers(includeArchived = false): Promise<ApiResponse<Supplier[]>> {
+    return apiService.get<Supplier[]>('/api/suppliers', includeArchived ? { includeArchived } : undefined);
   }
 
   async createSupplier(data: Omit<Supplier, 'id'>): Promise<ApiResponse<Supplier>> {
@@ -16,13 +23,17 @@ export class ConfigService {
     return apiService.put<Supplier>(`/api/suppliers/${id}`, data);
   }
 
-  async deleteSupplier(id: string): Promise<ApiResponse<{ message: string }>> {
-    return apiService.delete<{ message: string }>(`/api/suppliers/${id}`);
+  async deleteSupplier(id: string): Promise<ApiResponse<ArchiveOnDeleteResponse<Supplier>>> {
+    return apiService.delete<ArchiveOnDeleteResponse<Supplier>>(`/api/suppliers/${id}`);
+  }
+
+  async restoreSupplier(id: string): Promise<ApiResponse<Supplier>> {
+    return apiService.post<Supplier>(`/api/suppliers/${id}/restore`);
   }
 
   // Product Types
-  async getProductTypes(): Promise<ApiResponse<ProductType[]>> {
-    return apiService.get<ProductType[]>('/api/product-types');
+  async getProductTypes(includeArchived = false): Promise<ApiResponse<ProductType[]>> {
+    return apiService.get<ProductType[]>('/api/product-types', includeArchived ? { includeArchived } : undefined);
   }
 
   async createProductType(data: Omit<ProductType, 'id'>): Promise<ApiResponse<ProductType>> {
@@ -33,8 +44,12 @@ export class ConfigService {
     return apiService.put<ProductType>(`/api/product-types/${id}`, data);
   }
 
-  async deleteProductType(id: string): Promise<ApiResponse<{ message: string }>> {
-    return apiService.delete<{ message: string }>(`/api/product-types/${id}`);
+  async deleteProductType(id: string): Promise<ApiResponse<ArchiveOnDeleteResponse<ProductType>>> {
+    return apiService.delete<ArchiveOnDeleteResponse<ProductType>>(`/api/product-types/${id}`);
+  }
+
+  async restoreProductType(id: string): Promise<ApiResponse<ProductType>> {
+    return apiService.post<ProductType>(`/api/product-types/${id}/restore`);
   }
 
   // Storage Units
@@ -63,21 +78,37 @@ export class ConfigService {
     return apiService.post<EstablishmentInfo>('/api/establishment', data);
   }
 
-  // Categorías predefinidas
+  // Catálogos configurables de la organización
+  async getCatalogs(): Promise<ApiResponse<ConfigCatalogs>> {
+    return apiService.get<ConfigCatalogs>('/api/config');
+  }
+
+  async getCatalog(catalog: CatalogKey): Promise<ApiResponse<string[]>> {
+    return apiService.get<string[]>(`/api/config/${catalog}`);
+  }
+
+  async updateCatalog(catalog: CatalogKey, items: string[]): Promise<ApiResponse<string[]>> {
+    return apiService.put<string[]>(`/api/config/${catalog}`, { items });
+  }
+
+  async resetCatalog(catalog: CatalogKey): Promise<ApiResponse<string[]>> {
+    return apiService.post<string[]>(`/api/config/${catalog}/reset`);
+  }
+
   async getCategories(): Promise<ApiResponse<string[]>> {
-    return apiService.get<string[]>('/api/config/categories');
+    return this.getCatalog('categories');
   }
 
   async getUnits(): Promise<ApiResponse<string[]>> {
-    return apiService.get<string[]>('/api/config/units');
+    return this.getCatalog('units');
   }
 
   async getStorageTypes(): Promise<ApiResponse<string[]>> {
-    return apiService.get<string[]>('/api/config/storage-types');
+    return this.getCatalog('storage-types');
   }
 
   async getTransportConditions(): Promise<ApiResponse<string[]>> {
-    return apiService.get<string[]>('/api/config/transport-conditions');
+    return this.getCatalog('transport-conditions');
   }
 }
 
@@ -0,0 +1,36 @@
+// Servicio para escandallos y su histórico de precios
+import { apiService, ApiResponse } from './api';
+import { Costing, CostingHistoryEntry } from '../types';
+
+export class CostingService {
+  async getCostings(): Promise<ApiResponse<Costing[]>> {
+    return apiService.get<Costing[]>('/api/costings');
+  }
+
+  async getCosting(id: string): Promise<ApiResponse<Costing>> {
+    return apiService.get<Costing>(`/api/costings/${id}`);
+  }
+
+  async createCosting(data: Omit<Costing, 'id'>): Promise<ApiResponse<Costing>> {
+    return apiService.post<Costing>('/api/costings', data);
+  }
+
+  async updateCosting(id: string, data: Omit<Costing, 'id'>): Promise<ApiResponse<Costing>> {
+    return apiService.put<Costing>(`/api/costings/${id}`, data);
+  }
+
+  // Actualiza solo los precios de venta indicados (un valor vacío elimina el precio)
+  async updateSalePrices(id: string, salePrices: Costing['salePrices']): Promise<ApiResponse<Costing>> {
+    return apiService.patch<Costing>(`/api/costings/${id}/sale-prices`, { salePrices });
+  }
+
+  async deleteCosting(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/costings/${id}`);
+  }
+
+  async getCostingHistory(id: string, filters?: { dateFrom?: string; dateTo?: string }): Promise<ApiResponse<CostingHistoryEntry[]>> {
+    return apiService.get<CostingHistoryEntry[]>(`/api/costings/${id}/history`, filters);
+  }
+}
+
+export const costingService = new CostingService();
@@ -0,0 +1,45 @@
+// Servicio para las sondas (registradores de datos) de las cámaras
+import { apiService, ApiResponse } from './api';
+import { DataLogger, DataLoggerFormData } from '../types';
+import { ImportRowError } from './recordsService';
+
+// Resultado de una ingesta de lecturas (las repetidas se omiten)
+export interface LoggerIngestResult {
+  received: number;
+  imported: number;
+  duplicates: number;
+  outOfRange: number;
+  errors: ImportRowError[];
+}
+
+// El token en claro solo llega al crear la sonda o regenerarlo
+type DataLoggerWithToken = DataLogger & { token: string };
+
+export class DataLoggerService {
+  async getDataLoggers(unitId?: string): Promise<ApiResponse<DataLogger[]>> {
+    return apiService.get<DataLogger[]>('/api/data-loggers', unitId ? { unitId } : undefined);
+  }
+
+  async createDataLogger(data: DataLoggerFormData): Promise<ApiResponse<DataLoggerWithToken>> {
+    return apiService.post<DataLoggerWithToken>('/api/data-loggers', data);
+  }
+
+  async regenerateToken(id: string): Promise<ApiResponse<DataLoggerWithToken>> {
+    return apiService.post<DataLoggerWithToken>(`/api/data-loggers/${id}/token`);
+  }
+
+  async updateDataLogger(id: string, data: Partial<DataLoggerFormData> & { isActive?: boolean }): Promise<ApiResponse<DataLogger>> {
+    return apiService.put<DataLogger>(`/api/data-loggers/${id}`, data);
+  }
+
+  async deleteDataLogger(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/data-loggers/${id}`);
+  }
+
+  // CSV descargado de un registrador USB
+  async uploadReadings(id: string, file: File): Promise<ApiResponse<LoggerIngestResult>> {
+    return apiService.upload<LoggerIngestResult>(`/api/data-loggers/${id}/upload`, file);
+  }
+}
+
+export const dataLoggerService = new DataLoggerService();
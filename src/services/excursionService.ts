@@ -0,0 +1,28 @@
+// Servicio para las excursiones de temperatura detectadas en las cámaras
+import { apiService, ApiResponse } from './api';
+import { TemperatureExcursion, ExcursionStatus } from '../types';
+import { RecordsFilters, RecordsListResponse } from './recordsService';
+
+export interface ExcursionsFilters extends RecordsFilters {
+  unitId?: string;
+  status?: ExcursionStatus;
+  // Solo las no cerradas
+  active?: boolean;
+}
+
+export class ExcursionService {
+  async getExcursions(filters?: ExcursionsFilters): Promise<ApiResponse<RecordsListResponse<TemperatureExcursion>>> {
+    return apiService.get<RecordsListResponse<TemperatureExcursion>>('/api/excursions', filters);
+  }
+
+  // Reconocer (Abierta → Reconocida) o cerrar con la acción correctiva (Reconocida → Cerrada)
+  async changeExcursionStatus(id: string, status: ExcursionStatus, correctiveAction?: string): Promise<ApiResponse<TemperatureExcursion>> {
+    return apiService.patch<TemperatureExcursion>(`/api/excursions/${id}/status`, { status, correctiveAction });
+  }
+
+  async analyzeExcursions(): Promise<ApiResponse<{ units: number; excursions: number }>> {
+    return apiService.post<{ units: number; excursions: number }>('/api/excursions/analyze');
+  }
+}
+
+export const excursionService = new ExcursionService();
@@ -0,0 +1,50 @@
+// Servicio para el control del aceite de fritura (freidoras, lecturas de compuestos polares y cambios de aceite)
+import { apiService, ApiResponse } from './api';
+import { Fryer, FryerFormData, FryingOilEvent, FryingOilEventFormData, FryingOilEventType, FryingOilAlert } from '../types';
+import { RecordsFilters, RecordsListResponse } from './recordsService';
+
+export interface FryingOilEventsFilters extends RecordsFilters {
+  fryerId?: string;
+  type?: FryingOilEventType;
+}
+
+export class FryingOilService {
+  // Fryers
+  async getFryers(): Promise<ApiResponse<Fryer[]>> {
+    return apiService.get<Fryer[]>('/api/frying-oil/fryers');
+  }
+
+  async createFryer(data: FryerFormData): Promise<ApiResponse<Fryer>> {
+    return apiService.post<Fryer>('/api/frying-oil/fryers', data);
+  }
+
+  async updateFryer(id: string, data: FryerFormData): Promise<ApiResponse<Fryer>> {
+    return apiService.put<Fryer>(`/api/frying-oil/fryers/${id}`, data);
+  }
+
+  // También elimina las lecturas y cambios de aceite de la freidora
+  async deleteFryer(id: string): Promise<ApiResponse<{ deactivated: boolean; fryer?: Fryer }>> {
+    return apiService.delete<{ deactivated: boolean; fryer?: Fryer }>(`/api/frying-oil/fryers/${id}`);
+  }
+
+  // Events
+  async getEvents(filters?: FryingOilEventsFilters): Promise<ApiResponse<RecordsListResponse<FryingOilEvent>>> {
+    return apiService.get<RecordsListResponse<FryingOilEvent>>('/api/frying-oil/events', filters);
+  }
+
+  // El servidor evalúa las lecturas con el límite de desecho de la freidora
+  async createEvent(data: FryingOilEventFormData): Promise<ApiResponse<FryingOilEvent>> {
+    return apiService.post<FryingOilEvent>('/api/frying-oil/events', data);
+  }
+
+  async deleteEvent(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/frying-oil/events/${id}`);
+  }
+
+  // Freidoras con una lectura por encima del límite sin cambio de aceite posterior
+  async getAlerts(): Promise<ApiResponse<FryingOilAlert[]>> {
+    return apiService.get<FryingOilAlert[]>('/api/frying-oil/alerts');
+  }
+}
+
+export const fryingOilService = new FryingOilService();
@@ -0,0 +1,51 @@
+// Servicio para incidencias y sus acciones correctivas
+import { apiService, ApiResponse } from './api';
+import { Incident, IncidentStatus, IncidentFormData, CorrectiveActionFormData } from '../types';
+import { RecordsFilters, RecordsListResponse } from './recordsService';
+
+export interface IncidentsFilters extends RecordsFilters {
+  severity?: string;
+  area?: string;
+}
+
+export class IncidentService {
+  async getIncidents(filters?: IncidentsFilters): Promise<ApiResponse<RecordsListResponse<Incident>>> {
+    return apiService.get<RecordsListResponse<Incident>>('/api/incidents', filters);
+  }
+
+  async getIncident(id: string): Promise<ApiResponse<Incident>> {
+    return apiService.get<Incident>(`/api/incidents/${id}`);
+  }
+
+  async createIncident(data: IncidentFormData): Promise<ApiResponse<Incident>> {
+    return apiService.post<Incident>('/api/incidents', data);
+  }
+
+  async updateIncident(id: string, data: IncidentFormData): Promise<ApiResponse<Incident>> {
+    return apiService.put<Incident>(`/api/incidents/${id}`, data);
+  }
+
+  // Cambia el estado respetando las transiciones Abierta → En Proceso → Resuelta
+  async changeIncidentStatus(id: string, status: IncidentStatus, notes?: string): Promise<ApiResponse<Incident>> {
+    return apiService.patch<Incident>(`/api/incidents/${id}/status`, { status, notes });
+  }
+
+  async deleteIncident(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/incidents/${id}`);
+  }
+
+  // Acciones correctivas: todas las operaciones devuelven la incidencia completa
+  async addCorrectiveAction(incidentId: string, data: CorrectiveActionFormData): Promise<ApiResponse<Incident>> {
+    return apiService.post<Incident>(`/api/incidents/${incidentId}/actions`, data);
+  }
+
+  async updateCorrectiveAction(incidentId: string, actionId: string, data: Partial<CorrectiveActionFormData>): Promise<ApiResponse<Incident>> {
+    return apiService.put<Incident>(`/api/incidents/${incidentId}/actions/${actionId}`, data);
+  }
+
+  async deleteCorrectiveAction(incidentId: string, actionId: string): Promise<ApiResponse<Incident>> {
+    return apiService.delete<Incident>(`/api/incidents/${incidentId}/actions/${actionId}`);
+  }
+}
+
+export const incidentService = new IncidentService();
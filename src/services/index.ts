@@ -17,11 +17,43 @@ export { recordsService } from './recordsService';
 export type { 
   RecordsFilters, 
   RecordsListResponse, 
-  StatsResponse 
+  ListPagination,
+  StatsResponse,
+  ExportableRecordType,
+  ExportFormat,
+  SearchableRecordType,
+  ImportResult,
+  ImportRowError,
+  StorageRecordsFilters
 } from './recordsService';
 
 export { configService } from './configService';
 
+export { cleaningService } from './cleaningService';
+export type { CleaningRecordsFilters, CleanAreaResponse } from './cleaningService';
+export { chemicalProductService } from './chemicalProductService';
+export { pestControlService } from './pestControlService';
+export type { PestControlVisitsFilters } from './pestControlService';
+export { waterService } from './waterService';
+export type { WaterRecordsFilters } from './waterService';
+export { fryingOilService } from './fryingOilService';
+export type { FryingOilEventsFilters } from './fryingOilService';
+export { trainingService } from './trainingService';
+export type { TrainingRecordsFilters } from './trainingService';
+
+export { costingService } from './costingService';
+
+export { incidentService } from './incidentService';
+export type { IncidentsFilters } from './incidentService';
+
+export { excursionService } from './excursionService';
+export type { ExcursionsFilters } from './excursionService';
+export { missedCheckService } from './missedCheckService';
+export type { MissedChecksFilters } from './missedCheckService';
+
+export { dataLoggerService } from './dataLoggerService';
+export type { LoggerIngestResult } from './dataLoggerService';
+
 // Configurar callbacks del servicio API
 import { apiService } from './api';
 
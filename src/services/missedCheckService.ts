@@ -0,0 +1,25 @@
+// Servicio para los controles de temperatura programados que no se realizaron
+import { apiService, ApiResponse } from './api';
+import { MissedCheck, MissedCheckStatus } from '../types';
+import { RecordsFilters, RecordsListResponse } from './recordsService';
+
+export interface MissedChecksFilters extends RecordsFilters {
+  unitId?: string;
+  status?: MissedCheckStatus;
+}
+
+export class MissedCheckService {
+  async getMissedChecks(filters?: MissedChecksFilters): Promise<ApiResponse<RecordsListResponse<MissedCheck>>> {
+    return apiService.get<RecordsListResponse<MissedCheck>>('/api/missed-checks', filters);
+  }
+
+  async justifyMissedCheck(id: string, justification: string): Promise<ApiResponse<MissedCheck>> {
+    return apiService.patch<MissedCheck>(`/api/missed-checks/${id}/justify`, { justification });
+  }
+
+  async analyzeMissedChecks(): Promise<ApiResponse<{ units: number; missed: number }>> {
+    return apiService.post<{ units: number; missed: number }>('/api/missed-checks/analyze');
+  }
+}
+
+export const missedCheckService = new MissedCheckService();
@@ -0,0 +1,60 @@
+// Servicio para el control de plagas (estaciones, visitas de la empresa externa y certificados)
+import { apiService, ApiResponse } from './api';
+import { PestStation, PestStationFormData, PestControlVisit, PestControlVisitFormData } from '../types';
+import { RecordsFilters, RecordsListResponse } from './recordsService';
+
+export interface PestControlVisitsFilters extends RecordsFilters {
+  stationId?: string;
+}
+
+export class PestControlService {
+  // Stations
+  async getStations(): Promise<ApiResponse<PestStation[]>> {
+    return apiService.get<PestStation[]>('/api/pest-control/stations');
+  }
+
+  async createStation(data: PestStationFormData): Promise<ApiResponse<PestStation>> {
+    return apiService.post<PestStation>('/api/pest-control/stations', data);
+  }
+
+  async updateStation(id: string, data: PestStationFormData): Promise<ApiResponse<PestStation>> {
+    return apiService.put<PestStation>(`/api/pest-control/stations/${id}`, data);
+  }
+
+  async deleteStation(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/pest-control/stations/${id}`);
+  }
+
+  // Visits
+  async getVisits(filters?: PestControlVisitsFilters): Promise<ApiResponse<RecordsListResponse<PestControlVisit>>> {
+    return apiService.get<RecordsListResponse<PestControlVisit>>('/api/pest-control/visits', filters);
+  }
+
+  // Los hallazgos que alcanzan el umbral de su estación abren incidencias en el servidor
+  async createVisit(data: PestControlVisitFormData): Promise<ApiResponse<PestControlVisit>> {
+    return apiService.post<PestControlVisit>('/api/pest-control/visits', data);
+  }
+
+  async updateVisit(id: string, data: PestControlVisitFormData): Promise<ApiResponse<PestControlVisit>> {
+    return apiService.put<PestControlVisit>(`/api/pest-control/visits/${id}`, data);
+  }
+
+  async deleteVisit(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/pest-control/visits/${id}`);
+  }
+
+  // Certificado del servicio (PDF, JPG o PNG); sustituye el anterior
+  async uploadCertificate(id: string, file: File): Promise<ApiResponse<PestControlVisit>> {
+    return apiService.upload<PestControlVisit>(`/api/pest-control/visits/${id}/certificate`, file);
+  }
+
+  async downloadCertificate(id: string): Promise<{ blob: Blob; fileName: string }> {
+    return apiService.download(`/api/pest-control/visits/${id}/certificate`);
+  }
+
+  async deleteCertificate(id: string): Promise<ApiResponse<PestControlVisit>> {
+    return apiService.delete<PestControlVisit>(`/api/pest-control/visits/${id}/certificate`);
+  }
+}
+
+export const pestControlService = new PestControlService();
@@ -1,6 +1,6 @@
 // Servicio para registros (delivery, storage, etc.)
 import { apiService, ApiResponse } from './api';
-import { DeliveryRecord, StorageRecord, TechnicalSheet } from '../types';
+import { DeliveryRecord, StorageRecord, StorageRecordSource, StorageSeries, TechnicalSheet, TechnicalSheetRevision, OutgoingRecord, ElaboratedRecord, LotSourceType, LotOption, LotGenealogy, RecallDirection, RecallReport } from '../types';
 
 export interface RecordsFilters {
   page?: number;
@@ -23,17 +23,46 @@ export interface RecordsListResponse<T> {
   };
 }
 
+export type ListPagination = RecordsListResponse<unknown>['pagination'];
+
 export interface StatsResponse {
   totalDeliveries?: number;
   acceptedDeliveries?: number;
+  conditionalDeliveries?: number;
   rejectedDeliveries?: number;
   acceptanceRate?: number;
-  uniqueCategories?: number;
+  uniqueProductTypes?: number;
   totalReadings?: number;
   outOfRangeCount?: number;
   avgTemp?: number;
   minTemp?: number;
   maxTemp?: number;
+  // Solo en las estadísticas de temperatura (una entrada por cámara)
+  unitId?: string;
+  unitName?: string | null;
+  lastReadingAt?: string;
+}
+
+export type ExportableRecordType = 'delivery' | 'storage' | 'technical-sheets';
+export type ExportFormat = 'json' | 'csv' | 'excel';
+export type SearchableRecordType = ExportableRecordType | 'outgoing' | 'elaborated' | 'incidents';
+
+// Resultado de una importación: filas guardadas y errores por fila del archivo
+export interface ImportRowError {
+  row: number;
+  field: string;
+  message: string;
+}
+
+export interface ImportResult {
+  imported: number;
+  errors: ImportRowError[];
+}
+
+export interface StorageRecordsFilters extends RecordsFilters {
+  unitId?: string;
+  // Controles manuales o lecturas de sondas
+  source?: StorageRecordSource;
 }
 
 export class RecordsService {
@@ -63,7 +92,7 @@ export class RecordsService {
   }
 
   // Storage Records
-  async getStorageRecords(filters?: RecordsFilters): Promise<ApiResponse<RecordsListResponse<StorageRecord>>> {
+  async getStorageRecords(filters?: StorageRecordsFilters): Promise<ApiResponse<RecordsListResponse<StorageRecord>>> {
     return apiService.get<RecordsListResponse<StorageRecord>>('/api/records/storage', filters);
   }
 
@@ -83,10 +112,57 @@ export class RecordsService {
     return apiService.delete<{ message: string }>(`/api/records/storage/${id}`);
   }
 
-  async getStorageStats(filters?: { dateFrom?: string; dateTo?: string }): Promise<ApiResponse<StatsResponse[]>> {
+  // Serie de temperatura agrupada en intervalos (por defecto, las últimas 24 horas)
+  async getStorageSeries(unitId: string, filters?: { dateFrom?: string; dateTo?: string }): Promise<ApiResponse<StorageSeries>> {
+    return apiService.get<StorageSeries>('/api/records/storage/series', { unitId, ...filters });
+  }
+
+  async getStorageStats(filters?: { dateFrom?: string; dateTo?: string; unitId?: string }): Promise<ApiResponse<StatsResponse[]>> {
     return apiService.get<StatsResponse[]>('/api/records/storage/stats/temperature', filters);
   }
 
+  // Outgoing Records (trazabilidad)
+  async getOutgoingRecords(filters?: RecordsFilters & { lot?: string }): Promise<ApiResponse<RecordsListResponse<OutgoingRecord>>> {
+    return apiService.get<RecordsListResponse<OutgoingRecord>>('/api/records/outgoing', filters);
+  }
+
+  async getOutgoingRecord(id: string): Promise<ApiResponse<OutgoingRecord>> {
+    return apiService.get<OutgoingRecord>(`/api/records/outgoing/${id}`);
+  }
+
+  async createOutgoingRecord(data: Omit<OutgoingRecord, 'id'>): Promise<ApiResponse<OutgoingRecord>> {
+    return apiService.post<OutgoingRecord>('/api/records/outgoing', data);
+  }
+
+  async updateOutgoingRecord(id: string, data: Partial<OutgoingRecord>): Promise<ApiResponse<OutgoingRecord>> {
+    return apiService.put<OutgoingRecord>(`/api/records/outgoing/${id}`, data);
+  }
+
+  async deleteOutgoingRecord(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/records/outgoing/${id}`);
+  }
+
+  // Elaborated Records (trazabilidad)
+  async getElaboratedRecords(filters?: RecordsFilters & { lot?: string; ingredientLot?: string }): Promise<ApiResponse<RecordsListResponse<ElaboratedRecord>>> {
+    return apiService.get<RecordsListResponse<ElaboratedRecord>>('/api/records/elaborated', filters);
+  }
+
+  async getElaboratedRecord(id: string): Promise<ApiResponse<ElaboratedRecord>> {
+    return apiService.get<ElaboratedRecord>(`/api/records/elaborated/${id}`);
+  }
+
+  async createElaboratedRecord(data: Omit<ElaboratedRecord, 'id'>): Promise<ApiResponse<ElaboratedRecord>> {
+    return apiService.post<ElaboratedRecord>('/api/records/elaborated', data);
+  }
+
+  async updateElaboratedRecord(id: string, data: Partial<ElaboratedRecord>): Promise<ApiResponse<ElaboratedRecord>> {
+    return apiService.put<ElaboratedRecord>(`/api/records/elaborated/${id}`, data);
+  }
+
+  async deleteElaboratedRecord(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/records/elaborated/${id}`);
+  }
+
   // Technical Sheets
   async getTechnicalSheets(filters?: RecordsFilters): Promise<ApiResponse<RecordsListResponse<TechnicalSheet>>> {
     return apiService.get<RecordsListResponse<TechnicalSheet>>('/api/technical-sheets', filters);
@@ -108,32 +184,58 @@ export class RecordsService {
     return apiService.delete<{ message: string }>(`/api/technical-sheets/${id}`);
   }
 
-  // Exportar registros
+  async getTechnicalSheetRevisions(id: string): Promise<ApiResponse<TechnicalSheetRevision[]>> {
+    return apiService.get<TechnicalSheetRevision[]>(`/api/technical-sheets/${id}/revisions`);
+  }
+
+  async getTechnicalSheetRevision(id: string, revision: number): Promise<ApiResponse<TechnicalSheetRevision>> {
+    return apiService.get<TechnicalSheetRevision>(`/api/technical-sheets/${id}/revisions/${revision}`);
+  }
+
+  // Revisión que estaba vigente en una fecha (YYYY-MM-DD)
+  async getTechnicalSheetRevisionAt(id: string, date: string): Promise<ApiResponse<TechnicalSheetRevision>> {
+    return apiService.get<TechnicalSheetRevision>(`/api/technical-sheets/${id}/revisions/effective`, { date });
+  }
+
+  // Exportar registros (descarga generada en el servidor)
   async exportRecords(
-    type: 'delivery' | 'storage' | 'technical-sheets',
-    format: 'json' | 'csv' | 'excel' = 'csv',
+    type: ExportableRecordType,
+    format: ExportFormat = 'csv',
     filters?: RecordsFilters
-  ): Promise<ApiResponse<{ downloadUrl: string }>> {
+  ): Promise<{ blob: Blob; fileName: string }> {
     const params = { ...filters, format };
-    return apiService.get<{ downloadUrl: string }>(`/api/records/${type}/export`, params);
+    return apiService.download(`/api/records/${type}/export`, params);
   }
 
-  // Importar registros
+  // Importar registros desde CSV, XLSX o JSON
   async importRecords(
-    type: 'delivery' | 'storage' | 'technical-sheets',
+    type: ExportableRecordType,
     file: File
-  ): Promise<ApiResponse<{ imported: number; errors: any[] }>> {
-    return apiService.upload<{ imported: number; errors: any[] }>(`/api/records/${type}/import`, file);
+  ): Promise<ApiResponse<ImportResult>> {
+    return apiService.upload<ImportResult>(`/api/records/${type}/import`, file);
   }
 
-  // Búsqueda avanzada
-  async searchRecords(
-    type: 'delivery' | 'storage' | 'technical-sheets',
+  // Búsqueda de texto (admite los mismos filtros que el listado)
+  async searchRecords<T = any>(
+    type: SearchableRecordType,
     query: string,
     filters?: RecordsFilters
-  ): Promise<ApiResponse<RecordsListResponse<any>>> {
+  ): Promise<ApiResponse<RecordsListResponse<T>>> {
     const params = { ...filters, q: query };
-    return apiService.get<RecordsListResponse<any>>(`/api/records/${type}/search`, params);
+    return apiService.get<RecordsListResponse<T>>(`/api/records/${type}/search`, params);
+  }
+
+  // Genealogía de lotes
+  async getLots(type: LotSourceType, query?: string, limit?: number): Promise<ApiResponse<LotOption[]>> {
+    return apiService.get<LotOption[]>('/api/lots', { type, q: query, limit });
+  }
+
+  async getLotGenealogy(lot: string): Promise<ApiResponse<LotGenealogy>> {
+    return apiService.get<LotGenealogy>('/api/lots/genealogy', { lot });
+  }
+
+  async getRecallReport(lot: string, direction: RecallDirection): Promise<ApiResponse<RecallReport>> {
+    return apiService.get<RecallReport>('/api/lots/recall', { lot, direction });
   }
 }
 
@@ -0,0 +1,66 @@
+// Servicio para la formación del personal (plan de formación, formaciones de los trabajadores y certificados)
+import { apiService, ApiResponse } from './api';
+import { TrainingPlan, TrainingPlanFormData, TrainingRecord, TrainingRecordFormData, ExpiringTraining } from '../types';
+import { RecordsFilters, RecordsListResponse } from './recordsService';
+
+export interface TrainingRecordsFilters extends RecordsFilters {
+  userId?: string;
+  planId?: string;
+}
+
+export class TrainingService {
+  // Training plan
+  async getPlans(year?: number): Promise<ApiResponse<TrainingPlan[]>> {
+    return apiService.get<TrainingPlan[]>('/api/training/plans', year ? { year } : undefined);
+  }
+
+  async createPlan(data: TrainingPlanFormData): Promise<ApiResponse<TrainingPlan>> {
+    return apiService.post<TrainingPlan>('/api/training/plans', data);
+  }
+
+  async updatePlan(id: string, data: TrainingPlanFormData): Promise<ApiResponse<TrainingPlan>> {
+    return apiService.put<TrainingPlan>(`/api/training/plans/${id}`, data);
+  }
+
+  // Las formaciones de la acción se conservan sin acción
+  async deletePlan(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/training/plans/${id}`);
+  }
+
+  // Records
+  async getRecords(filters?: TrainingRecordsFilters): Promise<ApiResponse<RecordsListResponse<TrainingRecord>>> {
+    return apiService.get<RecordsListResponse<TrainingRecord>>('/api/training/records', filters);
+  }
+
+  async createRecord(data: TrainingRecordFormData): Promise<ApiResponse<TrainingRecord>> {
+    return apiService.post<TrainingRecord>('/api/training/records', data);
+  }
+
+  async updateRecord(id: string, data: TrainingRecordFormData): Promise<ApiResponse<TrainingRecord>> {
+    return apiService.put<TrainingRecord>(`/api/training/records/${id}`, data);
+  }
+
+  async deleteRecord(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/training/records/${id}`);
+  }
+
+  // Certificado de la formación (PDF, JPG o PNG); sustituye el anterior
+  async uploadCertificate(id: string, file: File): Promise<ApiResponse<TrainingRecord>> {
+    return apiService.upload<TrainingRecord>(`/api/training/records/${id}/certificate`, file);
+  }
+
+  async downloadCertificate(id: string): Promise<{ blob: Blob; fileName: string }> {
+    return apiService.download(`/api/training/records/${id}/certificate`);
+  }
+
+  async deleteCertificate(id: string): Promise<ApiResponse<TrainingRecord>> {
+    return apiService.delete<TrainingRecord>(`/api/training/records/${id}/certificate`);
+  }
+
+  // Certificados caducados o que caducan en los próximos días
+  async getExpiring(days: number): Promise<ApiResponse<ExpiringTraining[]>> {
+    return apiService.get<ExpiringTraining[]>('/api/training/expiring', { days });
+  }
+}
+
+export const trainingService = new TrainingService();
@@ -0,0 +1,79 @@
+// Servicio para el control del agua (puntos de muestreo, lecturas de cloro libre y pH, análisis de laboratorio)
+import { apiService, ApiResponse } from './api';
+import { WaterSamplingPoint, WaterSamplingPointFormData, WaterRecord, WaterRecordFormData, WaterAnalysis, WaterAnalysisFormData } from '../types';
+import { RecordsFilters, RecordsListResponse } from './recordsService';
+
+export interface WaterRecordsFilters extends RecordsFilters {
+  pointId?: string;
+  outOfRange?: boolean;
+}
+
+export class WaterService {
+  // Sampling points
+  async getPoints(): Promise<ApiResponse<WaterSamplingPoint[]>> {
+    return apiService.get<WaterSamplingPoint[]>('/api/water/points');
+  }
+
+  async createPoint(data: WaterSamplingPointFormData): Promise<ApiResponse<WaterSamplingPoint>> {
+    return apiService.post<WaterSamplingPoint>('/api/water/points', data);
+  }
+
+  async updatePoint(id: string, data: WaterSamplingPointFormData): Promise<ApiResponse<WaterSamplingPoint>> {
+    return apiService.put<WaterSamplingPoint>(`/api/water/points/${id}`, data);
+  }
+
+  // También elimina las lecturas del punto
+  async deletePoint(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/water/points/${id}`);
+  }
+
+  // Records
+  async getRecords(filters?: WaterRecordsFilters): Promise<ApiResponse<RecordsListResponse<WaterRecord>>> {
+    return apiService.get<RecordsListResponse<WaterRecord>>('/api/water/records', filters);
+  }
+
+  // El servidor evalúa la lectura con los rangos del punto de muestreo
+  async createRecord(data: WaterRecordFormData): Promise<ApiResponse<WaterRecord>> {
+    return apiService.post<WaterRecord>('/api/water/records', data);
+  }
+
+  async updateRecord(id: string, data: WaterRecordFormData): Promise<ApiResponse<WaterRecord>> {
+    return apiService.put<WaterRecord>(`/api/water/records/${id}`, data);
+  }
+
+  async deleteRecord(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/water/records/${id}`);
+  }
+
+  // Analyses
+  async getAnalyses(filters?: RecordsFilters & { pointId?: string }): Promise<ApiResponse<RecordsListResponse<WaterAnalysis>>> {
+    return apiService.get<RecordsListResponse<WaterAnalysis>>('/api/water/analyses', filters);
+  }
+
+  async createAnalysis(data: WaterAnalysisFormData): Promise<ApiResponse<WaterAnalysis>> {
+    return apiService.post<WaterAnalysis>('/api/water/analyses', data);
+  }
+
+  async updateAnalysis(id: string, data: WaterAnalysisFormData): Promise<ApiResponse<WaterAnalysis>> {
+    return apiService.put<WaterAnalysis>(`/api/water/analyses/${id}`, data);
+  }
+
+  async deleteAnalysis(id: string): Promise<ApiResponse<{ message: string }>> {
+    return apiService.delete<{ message: string }>(`/api/water/analyses/${id}`);
+  }
+
+  // Informe del laboratorio (PDF, JPG o PNG); sustituye el anterior
+  async uploadReport(id: string, file: File): Promise<ApiResponse<WaterAnalysis>> {
+    return apiService.upload<WaterAnalysis>(`/api/water/analyses/${id}/report`, file);
+  }
+
+  async downloadReport(id: string): Promise<{ blob: Blob; fileName: string }> {
+    return apiService.download(`/api/water/analyses/${id}/report`);
+  }
+
+  async deleteReport(id: string): Promise<ApiResponse<WaterAnalysis>> {
+    return apiService.delete<WaterAnalysis>(`/api/water/analyses/${id}/report`);
+  }
+}
+
+export const waterService = new WaterService();
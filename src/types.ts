@@ -8,23 +8,173 @@ export interface User {
   isAdmin?: boolean;
 }
 export interface Supplier {
-  id: string; name: string;
+  id: string; name: string; isArchived?: boolean;
 }
+// Tolerancias de recepción en °C de desviación respecto a optimalTemp (null = sin límite)
 export interface ProductType {
-  id: string; name: string; optimalTemp: number;
+  id: string; name: string; optimalTemp: number; category?: string; isArchived?: boolean;
+  toleranceAbove?: number | null; rejectAbove?: number | null; toleranceBelow?: number | null; rejectBelow?: number | null;
 }
+export type ConformityStatus = 'accepted' | 'accepted_with_remark' | 'rejected';
+// Calculada por el servidor al guardar la recepción
+export interface ReceptionConformity { status?: ConformityStatus; optimalTemp?: number; deviation?: number; reasons: string[]; incidentId?: string; }
 export interface DeliveryRecord {
   id: string; // Mongo usa strings para los IDs
-  supplierId: string; productTypeId: string; temperature: string; receptionDate: string; docsOk: boolean; userId: string; albaranImage?: string;
+  supplierId: string; productTypeId: string; temperature: string; receptionDate: string; docsOk: boolean; transportCondition?: string; lot?: string; expiryDate?: string; userId: string; albaranImage?: string; conformity?: ReceptionConformity;
 }
-export interface StorageUnit { id: string; name: string; type: 'Cámara Frigorífica' | 'Cámara Expositora' | 'Cámara de secado'; minTemp?: number; maxTemp?: number; }
-export interface StorageRecord { id: string; unitId: string; dateTime: string; temperature: string; humidity?: string; rotationCheck: boolean; mincingCheck: boolean; userId: string; }
-export interface DailySurface { id: string; name: string; }
-export interface DailyCleaningRecord { id: string; surfaceId: string; dateTime: string; userId: string; }
-export interface FrequentArea { id: string; name: string; frequencyDays: number; lastCleaned: string | null; }
+// type es un valor del catálogo de tipos de cámara de la organización
+// Horas diarias a las que debe registrarse una lectura de la cámara, con su tolerancia en minutos
+export interface MonitoringSchedule { times: string[]; graceMinutes: number; timezone?: string; activeSince?: string | null; }
+export interface StorageUnit { id: string; name: string; type: string; minTemp?: number; maxTemp?: number; monitoringSchedule?: MonitoringSchedule | null; }
+// Catálogos configurables por organización (api/config)
+export type CatalogKey = 'storage-types' | 'units' | 'categories' | 'transport-conditions';
+export type ConfigCatalogs = Record<CatalogKey, string[]>;
+export interface StorageRecord { id: string; unitId: string; dateTime: string; temperature: number; humidity?: number; rotationCheck: boolean; mincingCheck: boolean; userId: string; isOutOfRange?: boolean; registeredBy?: string; source?: StorageRecordSource; loggerId?: string | null; }
+// Lecturas de registradores de datos (sondas) de las cámaras (api/data-loggers)
+export type StorageRecordSource = 'manual' | 'logger';
+export interface DataLogger { id: string; unitId: string; name: string; serialNumber?: string; tokenHint: string; isActive: boolean; lastSeenAt: string | null; lastReadingAt: string | null; readingsCount: number; }
+export interface DataLoggerFormData { name: string; unitId: string; serialNumber?: string; }
+export interface StorageSeriesPoint { dateTime: string; readings: number; outOfRangeCount: number; avgTemp: number; minTemp: number; maxTemp: number; }
+export interface StorageSeries { unitId: string; dateFrom: string; dateTo: string; bucketMinutes: number; minTemp: number | null; maxTemp: number | null; points: StorageSeriesPoint[]; }
+export type ExcursionStatus = 'Abierta' | 'Reconocida' | 'Cerrada';
+// Racha de lecturas de una cámara fuera de rango, detectada por el servidor (endedAt null = en curso)
+export interface TemperatureExcursion {
+  id: string; unitId: string; direction: 'above' | 'below'; limit: number; startedAt: string; endedAt: string | null; lastReadingAt: string;
+  durationMinutes: number; peakTemperature: number; peakDeviation: number; readingsCount: number; isOngoing: boolean; status: ExcursionStatus;
+  acknowledgedAt?: string | null; acknowledgedBy?: string; correctiveAction?: string; closedAt?: string | null; closedBy?: string;
+}
+export type MissedCheckStatus = 'Pendiente' | 'Justificado';
+// Control programado sin ninguna lectura dentro de la tolerancia, detectado por el servidor (api/missed-checks)
+export interface MissedCheck {
+  id: string; unitId: string; scheduledTime: string; scheduledAt: string; dueAt: string; status: MissedCheckStatus;
+  justification?: string; justifiedAt?: string | null; justifiedBy?: string;
+}
+// Plan de limpieza y desinfección (Plan L+D) de una superficie o zona; weekdays: 0 = domingo ... 6 = sábado
+export type SurfaceFrequencyType = 'Diaria' | 'Días de la semana' | 'Después de cada uso';
+export type AreaFrequencyType = 'Cada X días' | 'Días de la semana';
+export interface CleaningPlan { method?: string; product?: string; dilution?: string; contactTimeMinutes?: number | null; responsibleRole?: string; weekdays?: number[]; }
+export interface DailySurface extends CleaningPlan { id: string; name: string; frequencyType?: SurfaceFrequencyType; }
+export interface DailyCleaningRecord { id: string; surfaceId?: string; areaId?: string; dateTime: string; userId: string; productId?: string | null; }
+export interface FrequentArea extends CleaningPlan { id: string; name: string; frequencyDays: number | null; lastCleaned: string | null; frequencyType?: AreaFrequencyType; }
+// Tarea de limpieza de un día generada por el servidor a partir del Plan L+D (api/cleaning/tasks)
+export type CleaningTaskStatus = 'Pendiente' | 'Vencida' | 'Realizada' | 'Tras cada uso';
+export interface CleaningTask extends CleaningPlan {
+  itemType: 'surface' | 'area'; itemId: string; name: string; frequencyType: SurfaceFrequencyType | AreaFrequencyType;
+  frequencyDays: number | null; status: CleaningTaskStatus; completions: number; completedAt: string | null;
+}
+export interface CleaningTasksResponse { date: string; timezone: string; tasks: CleaningTask[]; }
+// Campos del Plan L+D en los formularios (los números se editan como texto)
+export interface CleaningPlanFormData {
+  frequencyType: SurfaceFrequencyType | AreaFrequencyType; weekdays: number[]; frequencyDays: string;
+  method: string; product: string; dilution: string; contactTimeMinutes: string; responsibleRole: string;
+}
+// Archivo adjunto guardado en el servidor (se descarga aparte)
+export interface AttachedDocumentInfo { fileName: string; mimeType: string; size: number; uploadedAt: string; }
+// Registro de productos químicos de limpieza con su ficha de seguridad y ficha técnica (api/chemical-products)
+export type ChemicalUse = 'Detergente' | 'Desinfectante' | 'Detergente desinfectante';
+export type ChemicalDocumentKind = 'safetyDataSheet' | 'technicalSheet';
+export interface ChemicalProduct {
+  id: string; name: string; manufacturer: string; use: ChemicalUse; dilution: string; foodContactAuthorized: boolean;
+  safetyDataSheet: AttachedDocumentInfo | null; technicalSheet: AttachedDocumentInfo | null;
+}
+export interface ChemicalProductFormData { name: string; manufacturer: string; use: ChemicalUse; dilution: string; foodContactAuthorized: boolean; }
+// Control de plagas: estaciones numeradas en el plano y visitas de la empresa externa (api/pest-control)
+export type PestStationType = 'Cebadero de roedores' | 'Trampa mecánica' | 'Trampa adhesiva' | 'Lámpara UV' | 'Trampa de feromonas';
+export type PestActivityLevel = 'Sin actividad' | 'Baja' | 'Media' | 'Alta';
+export interface PestStation { id: string; number: number; location: string; type: PestStationType; incidentThreshold: Exclude<PestActivityLevel, 'Sin actividad'>; isActive: boolean; }
+export type PestStationFormData = Omit<PestStation, 'id'>;
+export interface PestFinding { stationId: string; stationNumber: number; location: string; activity: PestActivityLevel; notes: string; incidentId: string | null; }
+export interface AppliedPestProduct { name: string; registrationNumber: string; quantity: string; }
+export interface PestControlVisit {
+  id: string; visitDate: string; company: string; technician: string; technicianCertificate: string;
+  findings: PestFinding[]; productsApplied: AppliedPestProduct[]; observations: string; certificate: AttachedDocumentInfo | null; registeredBy?: string;
+}
+export interface PestControlVisitFormData {
+  visitDate: string; company: string; technician: string; technicianCertificate: string;
+  findings: Pick<PestFinding, 'stationId' | 'activity' | 'notes'>[]; productsApplied: AppliedPestProduct[]; observations: string;
+}
+// Control del agua de autoabastecimiento: puntos de muestreo, lecturas diarias y análisis de laboratorio (api/water)
+export type WaterParameter = 'freeChlorine' | 'ph';
+export interface WaterSamplingPoint { id: string; name: string; location: string; chlorineMin: number; chlorineMax: number; phMin: number; phMax: number; }
+export type WaterSamplingPointFormData = Omit<WaterSamplingPoint, 'id'>;
+export interface WaterRecord {
+  id: string; pointId: string; dateTime: string; freeChlorine: number; ph: number; notes: string;
+  isOutOfRange: boolean; outOfRangeParameters: WaterParameter[]; registeredBy?: string;
+}
+export interface WaterRecordFormData { pointId: string; dateTime: string; freeChlorine: number; ph: number; notes: string; }
+export type WaterAnalysisType = 'Control' | 'Completo' | 'Grifo del consumidor' | 'Otro';
+export type WaterAnalysisResult = 'Apto' | 'No apto';
+export interface WaterAnalysis {
+  id: string; pointId: string | null; sampleDate: string; laboratory: string; analysisType: WaterAnalysisType;
+  result: WaterAnalysisResult; notes: string; report: AttachedDocumentInfo | null; registeredBy?: string;
+}
+export interface WaterAnalysisFormData { pointId: string | null; sampleDate: string; laboratory: string; analysisType: WaterAnalysisType; result: WaterAnalysisResult; notes: string; }
+// Control del aceite de fritura: freidoras, lecturas de compuestos polares (%TPM) y cambios de aceite (api/frying-oil)
+export interface Fryer { id: string; name: string; location: string; discardLimit: number; isActive: boolean; }
+export type FryerFormData = Omit<Fryer, 'id'>;
+export type FryingOilEventType = 'reading' | 'change';
+export interface FryingOilEvent {
+  id: string; fryerId: string; type: FryingOilEventType; dateTime: string; notes: string; registeredBy?: string;
+  tpm?: number; temperature?: number; isOverLimit?: boolean; discardLimit?: number | null; oilProduct?: string; quantityLiters?: number;
+}
+export interface FryingOilEventFormData {
+  fryerId: string; type: FryingOilEventType; dateTime: string; notes: string;
+  tpm?: number; temperature?: number; oilProduct?: string; quantityLiters?: number;
+}
+// Lectura por encima del límite sin un cambio de aceite posterior
+export interface FryingOilAlert { fryerId: string; fryerName: string; readingId: string; readingAt: string; tpm: number; discardLimit: number; lastChangeAt: string | null; }
+// Formación del personal: plan de formación, registro de formaciones con certificado y caducidades (api/training)
+export type TrainingPlanStatus = 'Planificada' | 'Realizada' | 'Cancelada';
+export interface TrainingPlan {
+  id: string; name: string; year: number; plannedDate: string | null; hours: number | null; provider: string;
+  description: string; participantIds: string[]; status: TrainingPlanStatus;
+}
+export type TrainingPlanFormData = Omit<TrainingPlan, 'id'>;
+export interface TrainingRecord {
+  id: string; userId: string; userName: string; planId: string | null; course: string; trainingDate: string; hours: number;
+  provider: string; expiryDate: string | null; notes: string; certificate: AttachedDocumentInfo | null; registeredBy?: string;
+}
+export interface TrainingRecordFormData { userId: string; planId: string | null; course: string; trainingDate: string; hours: number; provider: string; expiryDate: string | null; notes: string; }
+// Certificado caducado o próximo a caducar (el más reciente de cada trabajador y curso)
+export interface ExpiringTraining { recordId: string; userId: string; userName: string; course: string; expiryDate: string; daysLeft: number; isExpired: boolean; }
 export interface CostingPart { id: string; name: string; weight: number; saleType: 'weight' | 'unit'; quantity?: number; }
-export interface Costing { id: string; productName: string; totalWeight: number; purchasePrice: number; parts: CostingPart[]; salePrices: { [partId: string]: string }; }
-export interface OutgoingRecord { id: string; productName: string; quantity: string; lotIdentifier: string; destinationType: 'sucursal' | 'consumidor'; destination: string; date: string; userId: string; }
-export interface ElaboratedRecord { id: string; productName: string; elaborationDate: string; productLot: string; ingredients: { name: string; supplier: string; lot: string; quantity: string; }[]; destination: string; quantitySent: string; userId: string; }
-export interface TechnicalSheet { id: string; productName: string; ingredients: Omit<Ingredient, 'id'>[]; elaboration: string; presentation: string; shelfLife: string; labeling: string; }
+export interface Costing { id: string; productName: string; totalWeight: number; purchasePrice: number; parts: CostingPart[]; salePrices: { [partId: string]: number | string }; }
+export interface CostingHistoryEntry { id: string; costingId: string; recordedAt: string; registeredBy: string; totalWeight: number; purchasePrice: number; costPerKg: number; totalRevenue: number; profit: number; marginPercent: number; parts: { partId: string; name: string; weight: number; saleType: 'weight' | 'unit'; quantity?: number; salePrice: number; revenue: number; }[]; }
+// Salidas y elaboraciones vinculadas a lotes recibidos o elaborados (genealogía de lotes, api/lots)
+export type LotSourceType = 'delivery' | 'elaborated';
+export interface OutgoingRecord { id: string; productName: string; quantity: string; lotIdentifier: string; destinationType: 'sucursal' | 'consumidor'; destination: string; date: string; userId: string; sourceType?: LotSourceType; sourceRecordId?: string; }
+export interface ElaboratedIngredient { name: string; supplier: string; lot: string; quantity: string; deliveryRecordId?: string; }
+export interface ElaboratedRecord { id: string; productName: string; elaborationDate: string; productLot: string; ingredients: ElaboratedIngredient[]; destination: string; quantitySent: string; userId: string; }
+export interface LotOption { sourceType: LotSourceType; recordId: string; lot: string; productName: string | null; supplierName?: string | null; date: string; expiryDate?: string; }
+export interface LotReception { id: string; lot: string; expiryDate?: string; receptionDate: string; supplierId: string; supplierName: string | null; productTypeId: string; productName: string | null; temperature: string; docsOk: boolean; }
+export interface LotGenealogy {
+  lot: string;
+  receptions: LotReception[];
+  elaborations: Omit<ElaboratedRecord, 'userId'>[];
+  backward: { ingredients: (ElaboratedIngredient & { elaborationId: string; productLot: string; reception: LotReception | null; })[]; };
+  forward: { elaborations: Omit<ElaboratedRecord, 'userId'>[]; shipments: Omit<OutgoingRecord, 'userId'>[]; };
+}
+// Simulación de retirada de producto (api/lots/recall)
+export type RecallDirection = 'forward' | 'backward';
+export interface RecallReport {
+  lot: string;
+  direction: RecallDirection;
+  generatedAt: string;
+  receptions: LotReception[];
+  elaborations: (Omit<ElaboratedRecord, 'userId'> & { depth: number; })[];
+  shipments: Omit<OutgoingRecord, 'userId'>[];
+  destinations: { destination: string; destinationType: OutgoingRecord['destinationType']; shipments: number; quantities: string[]; lots: string[]; firstDate: string; lastDate: string; }[];
+  suppliers: { supplierId: string; supplierName: string | null; receptions: number; lots: string[]; }[];
+  untracedIngredients: { name: string; lot: string; supplier?: string; productLot: string; }[];
+}
+export interface TechnicalSheet { id: string; productName: string; ingredients: Omit<Ingredient, 'id'>[]; elaboration: string; presentation: string; shelfLife: string; labeling: string; revision?: number; revisionDate?: string; changeReason?: string; }
+export interface TechnicalSheetRevision extends Omit<TechnicalSheet, 'id' | 'revisionDate'> { id: string; sheetId: string; revision: number; effectiveFrom: string; changeReason: string; registeredBy: string; }
 export interface Ingredient { id: string; name: string; lot: string; isAllergen: boolean; }
+export type IncidentSeverity = 'Baja' | 'Media' | 'Alta' | 'Crítica';
+export type IncidentStatus = 'Abierta' | 'En Proceso' | 'Resuelta';
+export type CorrectiveActionStatus = 'Pendiente' | 'En Progreso' | 'Completada';
+export interface CorrectiveAction { id: string; description: string; implementationDate: string; responsibleUser: string; status: CorrectiveActionStatus; completedAt?: string | null; registeredBy?: string; createdAt?: string; updatedAt?: string; }
+export interface IncidentStatusChange { from: IncidentStatus | null; to: IncidentStatus; changedAt: string; changedBy: string; notes?: string; }
+export interface Incident { id: string; title: string; description: string; detectionDate: string; affectedArea: string; severity: IncidentSeverity; status: IncidentStatus; reportedBy: string; correctiveActions: CorrectiveAction[]; resolutionNotes?: string; resolvedAt?: string | null; resolvedBy?: string; statusHistory?: IncidentStatusChange[]; deliveryRecordId?: string | null; supplierId?: string; pestControlVisitId?: string | null; registeredBy?: string; createdAt: string; updatedAt: string; }
+export type IncidentFormData = Pick<Incident, 'title' | 'description' | 'detectionDate' | 'affectedArea' | 'severity' | 'reportedBy'>;
+export type CorrectiveActionFormData = Pick<CorrectiveAction, 'description' | 'implementationDate' | 'responsibleUser' | 'status'>;
@@ -0,0 +1,34 @@
+// Utilidades para el registro de productos químicos de limpieza y su anexo al Plan L+D
+import { ChemicalDocumentKind, ChemicalProduct, ChemicalUse } from '../types';
+
+export const CHEMICAL_USES: ChemicalUse[] = ['Detergente', 'Desinfectante', 'Detergente desinfectante'];
+
+export const CHEMICAL_DOCUMENT_LABELS: Record<ChemicalDocumentKind, string> = {
+  safetyDataSheet: 'Ficha de seguridad',
+  technicalSheet: 'Ficha técnica'
+};
+
+export const CHEMICAL_DOCUMENT_KINDS = Object.keys(CHEMICAL_DOCUMENT_LABELS) as ChemicalDocumentKind[];
+
+// Mismos formatos que admite el servidor
+export const CHEMICAL_DOCUMENT_ACCEPT = '.pdf,.jpg,.jpeg,.png';
+
+export const CHEMICAL_PRODUCT_HEADERS = ['Producto', 'Fabricante', 'Uso', 'Dilución', 'Apto contacto alimentario', 'Ficha de seguridad', 'Ficha técnica'];
+
+// Estado de un documento en el anexo, p. ej. "Sí (10/03/2025)"
+const formatDocumentStatus = (product: ChemicalProduct, kind: ChemicalDocumentKind): string => {
+  const document = product[kind];
+  return document ? `Sí (${new Date(document.uploadedAt).toLocaleDateString('es-ES')})` : 'No';
+};
+
+// Filas del anexo de productos químicos del Plan L+D
+export const chemicalProductsToRows = (products: ChemicalProduct[]): string[][] =>
+  products.map(product => [
+    product.name,
+    product.manufacturer || '',
+    product.use,
+    product.dilution || '',
+    product.foodContactAuthorized ? 'Sí' : 'No',
+    formatDocumentStatus(product, 'safetyDataSheet'),
+    formatDocumentStatus(product, 'technicalSheet')
+  ]);
@@ -0,0 +1,96 @@
+// Utilidades para el plan de limpieza y desinfección (Plan L+D) y sus tareas
+import { AreaFrequencyType, CleaningPlan, CleaningPlanFormData, CleaningTask, CleaningTaskStatus, DailySurface, FrequentArea, SurfaceFrequencyType } from '../types';
+
+export const SURFACE_FREQUENCY_TYPES: SurfaceFrequencyType[] = ['Diaria', 'Días de la semana', 'Después de cada uso'];
+export const AREA_FREQUENCY_TYPES: AreaFrequencyType[] = ['Cada X días', 'Días de la semana'];
+
+export const CLEANING_TASK_STATUS_CLASSES: Record<CleaningTaskStatus, string> = {
+  'Pendiente': 'status-in-progress',
+  'Vencida': 'status-open',
+  'Realizada': 'status-resolved',
+  'Tras cada uso': 'action-pending'
+};
+
+// Días de la semana en el orden de los formularios (0 = domingo)
+export const WEEKDAY_OPTIONS: { value: number; label: string }[] = [
+  { value: 1, label: 'Lun' },
+  { value: 2, label: 'Mar' },
+  { value: 3, label: 'Mié' },
+  { value: 4, label: 'Jue' },
+  { value: 5, label: 'Vie' },
+  { value: 6, label: 'Sáb' },
+  { value: 0, label: 'Dom' }
+];
+
+// Tareas de limpieza que todavía hay que hacer
+export const getPendingCleaningTasks = (tasks: CleaningTask[]) =>
+  tasks.filter(task => task.status === 'Pendiente' || task.status === 'Vencida');
+
+type PlanItem = CleaningPlan & { frequencyType?: SurfaceFrequencyType | AreaFrequencyType; frequencyDays?: number | null };
+
+// Frecuencia legible, p. ej. "Lun, Mié, Vie" o "Cada 7 días"
+export const formatFrequency = (item: PlanItem): string => {
+  switch (item.frequencyType) {
+    case 'Días de la semana':
+      return WEEKDAY_OPTIONS.filter(day => item.weekdays?.includes(day.value)).map(day => day.label).join(', ');
+    case 'Cada X días':
+    case undefined:
+      // Los elementos anteriores al plan: las zonas tienen días de frecuencia y las superficies son diarias
+      return item.frequencyDays ? `Cada ${item.frequencyDays} días` : 'Diaria';
+    default:
+      return item.frequencyType;
+  }
+};
+
+// Producto con su dilución, p. ej. "Desinfectante clorado (20 ml/L)"
+export const formatProduct = (plan: CleaningPlan): string => {
+  if (!plan.product) return '';
+  return plan.dilution ? `${plan.product} (${plan.dilution})` : plan.product;
+};
+
+export const formatContactTime = (plan: CleaningPlan): string =>
+  plan.contactTimeMinutes || plan.contactTimeMinutes === 0 ? `${plan.contactTimeMinutes} min` : '';
+
+export const CLEANING_PLAN_HEADERS = ['Superficie / Zona', 'Frecuencia', 'Método', 'Producto y dilución', 'Tiempo de contacto', 'Responsable'];
+
+// Filas del documento del Plan L+D: primero las superficies y después las zonas
+export const cleaningPlanToRows = (surfaces: DailySurface[], areas: FrequentArea[]): string[][] =>
+  [...surfaces, ...areas].map((item: PlanItem & { name: string }) => [
+    item.name,
+    formatFrequency(item),
+    item.method || '',
+    formatProduct(item),
+    formatContactTime(item),
+    item.responsibleRole || ''
+  ]);
+
+// Datos del formulario a partir de una superficie o zona (o vacíos para crear una nueva)
+export const toPlanFormData = (frequencyType: SurfaceFrequencyType | AreaFrequencyType, item?: PlanItem): CleaningPlanFormData => ({
+  frequencyType: item?.frequencyType || frequencyType,
+  weekdays: item?.weekdays || [],
+  frequencyDays: item?.frequencyDays ? String(item.frequencyDays) : '',
+  method: item?.method || '',
+  product: item?.product || '',
+  dilution: item?.dilution || '',
+  contactTimeMinutes: item?.contactTimeMinutes || item?.contactTimeMinutes === 0 ? String(item.contactTimeMinutes) : '',
+  responsibleRole: item?.responsibleRole || ''
+});
+
+// Mensaje de error del formulario, o null si es válido
+export const validatePlanForm = (form: CleaningPlanFormData): string | null => {
+  if (form.frequencyType === 'Días de la semana' && form.weekdays.length === 0) return 'Seleccione al menos un día de la semana.';
+  if (form.frequencyType === 'Cada X días' && !(parseInt(form.frequencyDays, 10) >= 1)) return 'Indique cada cuántos días se limpia la zona.';
+  if (form.contactTimeMinutes && !(parseInt(form.contactTimeMinutes, 10) >= 0)) return 'El tiempo de contacto debe ser un número de minutos.';
+  return null;
+};
+
+// Campos del plan que se envían al servidor (T: frecuencias de superficie o de zona)
+export const fromPlanFormData = <T extends SurfaceFrequencyType | AreaFrequencyType>(form: CleaningPlanFormData) => ({
+  frequencyType: form.frequencyType as T,
+  weekdays: form.frequencyType === 'Días de la semana' ? form.weekdays : [],
+  method: form.method.trim(),
+  product: form.product.trim(),
+  dilution: form.dilution.trim(),
+  contactTimeMinutes: form.contactTimeMinutes ? parseInt(form.contactTimeMinutes, 10) : null,
+  responsibleRole: form.responsibleRole.trim()
+});
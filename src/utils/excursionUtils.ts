@@ -0,0 +1,44 @@
+// Utilidades para mostrar las excursiones de temperatura
+import { ExcursionStatus, StorageUnit, TemperatureExcursion } from '../types';
+
+export const EXCURSION_STATUS_CLASSES: Record<ExcursionStatus, string> = {
+  'Abierta': 'status-open',
+  'Reconocida': 'status-in-progress',
+  'Cerrada': 'status-resolved'
+};
+
+export const EXCURSION_DIRECTION_LABELS: Record<TemperatureExcursion['direction'], string> = {
+  above: 'Por encima',
+  below: 'Por debajo'
+};
+
+// Excursiones pendientes de gestionar (no cerradas)
+export const getActiveExcursions = (excursions: TemperatureExcursion[]) =>
+  excursions.filter(excursion => excursion.status !== 'Cerrada');
+
+// Duración legible: "45 min", "3 h 20 min", "2 d 4 h"
+export const formatExcursionDuration = (minutes: number): string => {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+  return hours % 24 ? `${Math.floor(hours / 24)} d ${hours % 24} h` : `${Math.floor(hours / 24)} d`;
+};
+
+// Pico de la excursión respecto al límite superado, p. ej. "9.5 °C (+5.5 °C)"
+export const formatExcursionPeak = (excursion: TemperatureExcursion): string => {
+  const sign = excursion.direction === 'above' ? '+' : '-';
+  return `${excursion.peakTemperature} °C (${sign}${excursion.peakDeviation} °C)`;
+};
+
+// Fila de tabla (PDF o panel) con los datos principales de una excursión
+export const excursionToRow = (excursion: TemperatureExcursion, unitsMap: Map<string, StorageUnit>): string[] => [
+  unitsMap.get(excursion.unitId)?.name || 'N/A',
+  EXCURSION_DIRECTION_LABELS[excursion.direction],
+  new Date(excursion.startedAt).toLocaleString('es-ES'),
+  excursion.isOngoing ? `${formatExcursionDuration(excursion.durationMinutes)} (en curso)` : formatExcursionDuration(excursion.durationMinutes),
+  formatExcursionPeak(excursion),
+  excursion.status,
+  excursion.correctiveAction || ''
+];
+
+export const EXCURSION_ROW_HEADERS = ['Cámara', 'Sentido', 'Inicio', 'Duración', 'Pico', 'Estado', 'Acción correctiva'];
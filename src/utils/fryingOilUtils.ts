@@ -0,0 +1,34 @@
+// Utilidades para el control del aceite de fritura (lecturas de compuestos polares y cambios de aceite)
+import { Fryer, FryingOilEvent, FryingOilEventType } from '../types';
+
+// Igual que en el servidor: límite habitual de desecho del aceite (% de compuestos polares totales)
+export const DEFAULT_DISCARD_LIMIT = 25;
+
+export const FRYING_OIL_EVENT_LABELS: Record<FryingOilEventType, string> = {
+  reading: 'Lectura de compuestos polares',
+  change: 'Cambio de aceite'
+};
+
+// Resumen de un evento, p. ej. "27.5% TPM (límite 25%)" o "Aceite de girasol · 12 L"
+export const formatFryingOilEvent = (event: FryingOilEvent): string => {
+  if (event.type === 'reading') {
+    const limit = event.discardLimit != null ? ` (límite ${event.discardLimit}%)` : '';
+    return `${event.tpm}% TPM${limit}`;
+  }
+  return [event.oilProduct, event.quantityLiters != null ? `${event.quantityLiters} L` : '']
+    .filter(Boolean)
+    .join(' · ') || 'Aceite renovado';
+};
+
+export const FRYING_OIL_EVENT_HEADERS = ['Fecha y Hora', 'Freidora', 'Tipo', 'Detalle', 'Temperatura (°C)', 'Supera el límite', 'Observaciones', 'Usuario'];
+
+export const fryingOilEventToRow = (event: FryingOilEvent, fryersMap: Map<string, Fryer>): string[] => [
+  new Date(event.dateTime).toLocaleString('es-ES'),
+  fryersMap.get(event.fryerId)?.name || 'N/A',
+  FRYING_OIL_EVENT_LABELS[event.type],
+  formatFryingOilEvent(event),
+  event.temperature != null ? String(event.temperature) : '',
+  event.type === 'reading' ? (event.isOverLimit ? 'Sí' : 'No') : '',
+  event.notes || '',
+  event.registeredBy || 'N/A'
+];
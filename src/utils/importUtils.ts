@@ -0,0 +1,24 @@
+// Utilidades para mostrar el resultado de las importaciones de registros
+import type { ImportResult } from '../services';
+
+const MAX_LISTED_ERRORS = 10;
+
+// Resumen legible de una importación, con los primeros errores por fila
+export const formatImportSummary = (result: ImportResult): string => {
+  let summary = `${result.imported} registros importados.`;
+
+  if (result.errors.length > 0) {
+    const listed = result.errors
+      .slice(0, MAX_LISTED_ERRORS)
+      .map(error => `Fila ${error.row}: ${error.message}`)
+      .join('\n');
+    const remaining = result.errors.length - MAX_LISTED_ERRORS;
+
+    summary += `\n\nFilas con errores (no importadas):\n${listed}`;
+    if (remaining > 0) {
+      summary += `\n... y ${remaining} errores más.`;
+    }
+  }
+
+  return summary;
+};
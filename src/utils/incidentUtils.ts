@@ -1,5 +1,5 @@
 // Utilidades específicas para incidencias
-import { Incident, IncidentStatus, IncidentSeverity, CorrectiveAction } from '../App';
+import { Incident, IncidentStatus, IncidentSeverity, CorrectiveAction } from '../types';
 
 export interface IncidentStats {
   total: number;
@@ -48,10 +48,10 @@ export const calculateIncidentStats = (incidents: Incident[]): IncidentStats =>
         break;
       case 'Resuelta':
         stats.resolved++;
-        // Calcular tiempo de resolución
+        // Calcular tiempo de resolución (la fecha de resolución la fija el servidor)
         const createdDate = new Date(incident.createdAt);
-        const updatedDate = new Date(incident.updatedAt);
-        const resolutionTime = updatedDate.getTime() - createdDate.getTime();
+        const resolvedDate = new Date(incident.resolvedAt || incident.updatedAt);
+        const resolutionTime = resolvedDate.getTime() - createdDate.getTime();
         totalResolutionTime += resolutionTime;
         resolvedCount++;
         break;
@@ -176,7 +176,7 @@ export const getIncidentTrends = (incidents: Incident[], days: number = 30): {
     ).length;
     
     const resolvedCount = incidents.filter(incident => 
-      incident.status === 'Resuelta' && incident.updatedAt.split('T')[0] === dateString
+      incident.status === 'Resuelta' && (incident.resolvedAt || incident.updatedAt).split('T')[0] === dateString
     ).length;
     
     created.push(createdCount);
@@ -226,8 +226,9 @@ export const getIncidentSummary = (incident: Incident): string => {
   return summary;
 };
 
+// Mismas reglas que el servidor: solo se resuelve desde En Proceso y con todas las acciones completadas
 export const canResolveIncident = (incident: Incident): boolean => {
-  if (incident.status === 'Resuelta') return false;
+  if (incident.status !== 'En Proceso') return false;
   if (incident.correctiveActions.length === 0) return false;
   
   return incident.correctiveActions.every(action => action.status === 'Completada');
@@ -0,0 +1,42 @@
+// Utilidades para la programación de controles de las cámaras y los controles no realizados
+import { MissedCheck, MissedCheckStatus, MonitoringSchedule, StorageUnit } from '../types';
+
+export const MISSED_CHECK_STATUS_CLASSES: Record<MissedCheckStatus, string> = {
+  'Pendiente': 'status-open',
+  'Justificado': 'status-resolved'
+};
+
+export const DEFAULT_GRACE_MINUTES = 60;
+
+// Controles no realizados que nadie ha justificado
+export const getPendingMissedChecks = (missedChecks: MissedCheck[]) =>
+  missedChecks.filter(check => check.status === 'Pendiente');
+
+// Horas de control escritas por el usuario ("8:00, 18:00") en formato HH:mm ordenadas;
+// null si alguna no es válida
+export const parseScheduleTimes = (text: string): string[] | null => {
+  const parts = text.split(/[\s,;]+/).filter(Boolean);
+  const times: string[] = [];
+  for (const part of parts) {
+    const match = part.match(/^(\d{1,2})[:.h](\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    times.push(`${match[1].padStart(2, '0')}:${match[2]}`);
+  }
+  return [...new Set(times)].sort();
+};
+
+// Programación legible, p. ej. "08:00 · 18:00 (±60 min)"
+export const formatSchedule = (schedule?: MonitoringSchedule | null): string => {
+  if (!schedule || schedule.times.length === 0) return 'Sin controles programados';
+  return `${schedule.times.join(' · ')} (±${schedule.graceMinutes} min)`;
+};
+
+// Fila de tabla (PDF o panel) con los datos principales de un control no realizado
+export const missedCheckToRow = (check: MissedCheck, unitsMap: Map<string, StorageUnit>): string[] => [
+  unitsMap.get(check.unitId)?.name || 'N/A',
+  new Date(check.scheduledAt).toLocaleString('es-ES'),
+  check.status,
+  check.justification || ''
+];
+
+export const MISSED_CHECK_ROW_HEADERS = ['Cámara', 'Control programado', 'Estado', 'Justificación'];
@@ -0,0 +1,79 @@
+// Utilidades para el control de plagas (estaciones, hallazgos de las visitas y exportación)
+import { PestActivityLevel, PestControlVisit, PestControlVisitFormData, PestStation, PestStationType } from '../types';
+
+export const PEST_STATION_TYPES: PestStationType[] = ['Cebadero de roedores', 'Trampa mecánica', 'Trampa adhesiva', 'Lámpara UV', 'Trampa de feromonas'];
+// De menor a mayor actividad
+export const PEST_ACTIVITY_LEVELS: PestActivityLevel[] = ['Sin actividad', 'Baja', 'Media', 'Alta'];
+export const PEST_INCIDENT_THRESHOLDS = PEST_ACTIVITY_LEVELS.slice(1) as PestStation['incidentThreshold'][];
+
+export const PEST_ACTIVITY_CLASSES: Record<PestActivityLevel, string> = {
+  'Sin actividad': 'status-resolved',
+  'Baja': 'severity-low',
+  'Media': 'severity-medium',
+  'Alta': 'severity-high'
+};
+
+// Igual que en el servidor: un hallazgo abre una incidencia si su actividad alcanza el umbral de la estación
+export const reachesThreshold = (activity: PestActivityLevel, station: Pick<PestStation, 'incidentThreshold'>) =>
+  PEST_ACTIVITY_LEVELS.indexOf(activity) >= PEST_ACTIVITY_LEVELS.indexOf(station.incidentThreshold);
+
+// Estaciones con actividad, p. ej. "3 (Media), 7 (Baja)"
+export const formatActiveFindings = (visit: PestControlVisit): string =>
+  visit.findings
+    .filter(finding => finding.activity !== 'Sin actividad')
+    .map(finding => `${finding.stationNumber} (${finding.activity})`)
+    .join(', ');
+
+// Productos aplicados con su número de registro y cantidad
+export const formatAppliedProducts = (visit: PestControlVisit): string =>
+  visit.productsApplied
+    .map(product => [product.name, product.registrationNumber && `Reg. ${product.registrationNumber}`, product.quantity].filter(Boolean).join(' - '))
+    .join('; ');
+
+// Formulario vacío con una fila de hallazgo por cada estación activa (o con los datos de la visita a editar)
+export const toVisitFormData = (stations: PestStation[], visit?: PestControlVisit): PestControlVisitFormData => {
+  const findings = new Map((visit?.findings || []).map(finding => [finding.stationId, finding]));
+  const stationIds = stations.filter(station => station.isActive || findings.has(station.id)).map(station => station.id);
+
+  return {
+    visitDate: visit ? visit.visitDate.slice(0, 10) : new Date().toISOString().slice(0, 10),
+    company: visit?.company || '',
+    technician: visit?.technician || '',
+    technicianCertificate: visit?.technicianCertificate || '',
+    findings: stationIds.map(stationId => ({
+      stationId,
+      activity: findings.get(stationId)?.activity || 'Sin actividad',
+      notes: findings.get(stationId)?.notes || ''
+    })),
+    productsApplied: visit?.productsApplied || [],
+    observations: visit?.observations || ''
+  };
+};
+
+export const PEST_VISIT_HEADERS = ['Fecha', 'Empresa', 'Técnico', 'Nº carné', 'Estaciones con actividad', 'Productos aplicados', 'Certificado'];
+export const PEST_STATION_HEADERS = ['Nº', 'Ubicación', 'Tipo', 'Umbral de incidencia', 'Activa'];
+export const PEST_FINDING_HEADERS = ['Fecha', 'Nº', 'Ubicación', 'Actividad', 'Observaciones', 'Incidencia'];
+
+export const pestVisitsToRows = (visits: PestControlVisit[]): string[][] =>
+  visits.map(visit => [
+    new Date(visit.visitDate).toLocaleDateString('es-ES', { timeZone: 'UTC' }),
+    visit.company,
+    visit.technician || '',
+    visit.technicianCertificate,
+    formatActiveFindings(visit) || 'Sin actividad',
+    formatAppliedProducts(visit),
+    visit.certificate ? 'Sí' : 'No'
+  ]);
+
+export const pestStationsToRows = (stations: PestStation[]): string[][] =>
+  stations.map(station => [String(station.number), station.location, station.type, station.incidentThreshold, station.isActive ? 'Sí' : 'No']);
+
+export const pestFindingsToRows = (visits: PestControlVisit[]): string[][] =>
+  visits.flatMap(visit => visit.findings.map(finding => [
+    new Date(visit.visitDate).toLocaleDateString('es-ES', { timeZone: 'UTC' }),
+    String(finding.stationNumber),
+    finding.location,
+    finding.activity,
+    finding.notes || '',
+    finding.incidentId ? 'Abierta' : ''
+  ]));
@@ -0,0 +1,46 @@
+// Utilidades para la formación del personal (plan de formación, registro de formación y caducidad de certificados)
+import { TrainingPlan, TrainingPlanStatus, TrainingRecord, ExpiringTraining } from '../types';
+
+export const TRAINING_PLAN_STATUSES: TrainingPlanStatus[] = ['Planificada', 'Realizada', 'Cancelada'];
+
+const formatDate = (date: string | null) => date ? new Date(date).toLocaleDateString('es-ES', { timeZone: 'UTC' }) : '';
+
+// Situación del certificado más urgente de un trabajador, p. ej. "Caduca en 12 días" o "Caducado"
+export const formatExpiringTraining = (training: ExpiringTraining): string => {
+  if (training.isExpired) return `${training.course}: caducado`;
+  if (training.daysLeft === 0) return `${training.course}: caduca hoy`;
+  return `${training.course}: caduca en ${training.daysLeft} día${training.daysLeft === 1 ? '' : 's'}`;
+};
+
+// Trabajadores que han completado una acción del plan (formaciones vinculadas a ella)
+export const getPlanTrainedUserIds = (plan: TrainingPlan, records: TrainingRecord[]): Set<string> =>
+  new Set(records.filter(record => record.planId === plan.id).map(record => record.userId));
+
+export const TRAINING_RECORD_HEADERS = ['Trabajador', 'Curso', 'Fecha', 'Horas', 'Entidad formadora', 'Caducidad', 'Certificado'];
+export const TRAINING_PLAN_HEADERS = ['Año', 'Formación', 'Fecha prevista', 'Horas', 'Entidad formadora', 'Estado', 'Participantes'];
+
+export const trainingRecordToRow = (record: TrainingRecord): string[] => [
+  record.userName,
+  record.course,
+  formatDate(record.trainingDate),
+  String(record.hours),
+  record.provider || '',
+  formatDate(record.expiryDate) || 'No caduca',
+  record.certificate ? 'Sí' : 'No'
+];
+
+export const trainingPlanToRow = (plan: TrainingPlan, records: TrainingRecord[], usersMap: Map<string, { name: string }>): string[] => {
+  const trained = getPlanTrainedUserIds(plan, records);
+  const participants = plan.participantIds.length > 0
+    ? plan.participantIds.map(id => `${usersMap.get(id)?.name || 'N/A'}${trained.has(id) ? ' (realizada)' : ''}`).join(', ')
+    : `Toda la plantilla (${trained.size} realizada${trained.size === 1 ? '' : 's'})`;
+  return [
+    String(plan.year),
+    plan.name,
+    formatDate(plan.plannedDate),
+    plan.hours != null ? String(plan.hours) : '',
+    plan.provider || '',
+    plan.status,
+    participants
+  ];
+};
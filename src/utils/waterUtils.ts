@@ -0,0 +1,42 @@
+// Utilidades para el control del agua (rangos aceptables, lecturas y análisis de laboratorio)
+import { WaterAnalysis, WaterAnalysisResult, WaterAnalysisType, WaterParameter, WaterRecord, WaterSamplingPoint, WaterSamplingPointFormData } from '../types';
+
+// Igual que en el servidor: valores de referencia para agua de consumo (cloro libre en mg/L)
+export const DEFAULT_WATER_RANGES: Omit<WaterSamplingPointFormData, 'name' | 'location'> = { chlorineMin: 0.2, chlorineMax: 1, phMin: 6.5, phMax: 9.5 };
+
+export const WATER_ANALYSIS_TYPES: WaterAnalysisType[] = ['Control', 'Completo', 'Grifo del consumidor', 'Otro'];
+export const WATER_ANALYSIS_RESULTS: WaterAnalysisResult[] = ['Apto', 'No apto'];
+
+export const WATER_PARAMETER_LABELS: Record<WaterParameter, string> = {
+  freeChlorine: 'Cloro libre',
+  ph: 'pH'
+};
+
+// Rangos aceptables de un punto, p. ej. "Cloro 0.2-1 mg/L · pH 6.5-9.5"
+export const formatWaterRanges = (point: WaterSamplingPoint): string =>
+  `Cloro ${point.chlorineMin}-${point.chlorineMax} mg/L · pH ${point.phMin}-${point.phMax}`;
+
+export const formatOutOfRangeParameters = (record: WaterRecord): string =>
+  record.outOfRangeParameters.map(parameter => WATER_PARAMETER_LABELS[parameter]).join(', ');
+
+export const WATER_RECORD_HEADERS = ['Fecha y Hora', 'Punto de muestreo', 'Cloro libre (mg/L)', 'pH', 'Fuera de rango', 'Observaciones', 'Usuario'];
+export const WATER_ANALYSIS_HEADERS = ['Fecha de muestra', 'Punto de muestreo', 'Laboratorio', 'Tipo', 'Resultado', 'Informe'];
+
+export const waterRecordToRow = (record: WaterRecord, pointsMap: Map<string, WaterSamplingPoint>): string[] => [
+  new Date(record.dateTime).toLocaleString('es-ES'),
+  pointsMap.get(record.pointId)?.name || 'N/A',
+  String(record.freeChlorine),
+  String(record.ph),
+  formatOutOfRangeParameters(record) || 'No',
+  record.notes || '',
+  record.registeredBy || 'N/A'
+];
+
+export const waterAnalysisToRow = (analysis: WaterAnalysis, pointsMap: Map<string, WaterSamplingPoint>): string[] => [
+  new Date(analysis.sampleDate).toLocaleDateString('es-ES', { timeZone: 'UTC' }),
+  analysis.pointId ? pointsMap.get(analysis.pointId)?.name || 'N/A' : 'Toda la red',
+  analysis.laboratory,
+  analysis.analysisType,
+  analysis.result,
+  analysis.report ? 'Sí' : 'No'
+];